@@ -84,24 +84,37 @@ if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET) {
 }
 
 // JWT Strategy
+const verifyJwtUser = async (payload, done) => {
+  try {
+    const user = await User.findById(payload.id);
+    // Tokens issued before the user's last password reset are no longer valid
+    if (user && (payload.sessionVersion || 0) === (user.session_version || 0)) {
+      // Remove password from user object
+      delete user.password;
+      return done(null, user);
+    }
+    return done(null, false);
+  } catch (error) {
+    console.error('❌ JWT Strategy Error:', error);
+    return done(error, false);
+  }
+};
+
 if (process.env.JWT_SECRET) {
   passport.use(new JwtStrategy({
     jwtFromRequest: ExtractJwt.fromAuthHeaderAsBearerToken(),
     secretOrKey: process.env.JWT_SECRET
-  }, async (payload, done) => {
-    try {
-      const user = await User.findById(payload.id);
-      if (user) {
-        // Remove password from user object
-        delete user.password;
-        return done(null, user);
-      }
-      return done(null, false);
-    } catch (error) {
-      console.error('❌ JWT Strategy Error:', error);
-      return done(error, false);
-    }
-  }));
+  }, verifyJwtUser));
+
+  // The real-time event stream is opened with EventSource, which can't set headers,
+  // so it also accepts the token as ?access_token=
+  passport.use('jwt-stream', new JwtStrategy({
+    jwtFromRequest: ExtractJwt.fromExtractors([
+      ExtractJwt.fromAuthHeaderAsBearerToken(),
+      ExtractJwt.fromUrlQueryParameter('access_token')
+    ]),
+    secretOrKey: process.env.JWT_SECRET
+  }, verifyJwtUser));
 } else {
   console.log('⚠️  JWT_SECRET not configured - JWT authentication disabled');
 }
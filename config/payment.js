@@ -1,4 +1,11 @@
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { minorUnits } = require('../utils/currency');
+
+// Stripe is called through its REST API, the same way M-Pesa is below
+const stripeConfig = {
+  secretKey: process.env.STRIPE_SECRET_KEY,
+  webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+  apiUrl: 'https://api.stripe.com/v1'
+};
 
 // M-Pesa configuration
 const mpesaConfig = {
@@ -8,6 +15,8 @@ const mpesaConfig = {
   passkey: process.env.MPESA_PASSKEY,
   environment: process.env.MPESA_ENVIRONMENT || 'sandbox', // 'sandbox' or 'production'
   callbackUrl: process.env.MPESA_CALLBACK_URL || 'https://your-domain.com/api/payments/mpesa/callback',
+  // Safaricom does not sign callbacks, so the callback URL carries this shared token instead
+  callbackToken: process.env.MPESA_CALLBACK_TOKEN,
   accountReference: 'iSafari Global',
   transactionDesc: 'Payment for iSafari Global services'
 };
@@ -57,7 +66,9 @@ const initiateMpesaPayment = async (phoneNumber, amount, accountReference, trans
       PartyA: phoneNumber,
       PartyB: mpesaConfig.businessShortCode,
       PhoneNumber: phoneNumber,
-      CallBackURL: mpesaConfig.callbackUrl,
+      CallBackURL: mpesaConfig.callbackToken
+        ? `${mpesaConfig.callbackUrl}?token=${encodeURIComponent(mpesaConfig.callbackToken)}`
+        : mpesaConfig.callbackUrl,
       AccountReference: accountReference || mpesaConfig.accountReference,
       TransactionDesc: transactionDesc || mpesaConfig.transactionDesc
     };
@@ -82,19 +93,37 @@ const initiateMpesaPayment = async (phoneNumber, amount, accountReference, trans
   }
 };
 
+// Call the Stripe API with a form-encoded body
+const stripeRequest = async (path, method = 'GET', params = null) => {
+  const response = await fetch(`${stripeConfig.apiUrl}${path}`, {
+    method,
+    headers: {
+      'Authorization': `Bearer ${stripeConfig.secretKey}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: params ? new URLSearchParams(params).toString() : undefined
+  });
+
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error?.message || `Stripe request failed with status ${response.status}`);
+  }
+  return data;
+};
+
 // Create Stripe payment intent
 const createStripePaymentIntent = async (amount, currency = 'usd', metadata = {}) => {
   try {
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(amount * 100), // Stripe uses cents
+    const params = {
+      amount: String(Math.round(amount * Math.pow(10, minorUnits(currency.toUpperCase())))), // Stripe uses the smallest currency unit
       currency: currency.toLowerCase(),
-      metadata: metadata,
-      automatic_payment_methods: {
-        enabled: true,
-      },
+      'automatic_payment_methods[enabled]': 'true'
+    };
+    Object.entries(metadata).forEach(([key, value]) => {
+      params[`metadata[${key}]`] = String(value);
     });
 
-    return paymentIntent;
+    return await stripeRequest('/payment_intents', 'POST', params);
   } catch (error) {
     console.error('Stripe payment intent error:', error);
     throw error;
@@ -104,8 +133,7 @@ const createStripePaymentIntent = async (amount, currency = 'usd', metadata = {}
 // Verify Stripe payment
 const verifyStripePayment = async (paymentIntentId) => {
   try {
-    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
-    return paymentIntent;
+    return await stripeRequest(`/payment_intents/${encodeURIComponent(paymentIntentId)}`);
   } catch (error) {
     console.error('Stripe payment verification error:', error);
     throw error;
@@ -164,7 +192,7 @@ const paymentMethods = {
 };
 
 module.exports = {
-  stripe,
+  stripeConfig,
   mpesaConfig,
   getMpesaAccessToken,
   generateMpesaPassword,
@@ -149,8 +149,8 @@ const initQueries = [
     end_time VARCHAR(20),
     participants INTEGER DEFAULT 1,
     total_amount DECIMAL(10,2),
-    status VARCHAR(20) CHECK (status IN ('pending', 'confirmed', 'cancelled', 'completed')) DEFAULT 'pending',
-    payment_status VARCHAR(20) CHECK (payment_status IN ('pending', 'paid', 'refunded')) DEFAULT 'pending',
+    status VARCHAR(20) CHECK (status IN ('draft', 'pending', 'confirmed', 'cancelled', 'completed')) DEFAULT 'pending',
+    payment_status VARCHAR(20) CHECK (payment_status IN ('pending', 'partially_paid', 'paid', 'refunded')) DEFAULT 'pending',
     special_requests TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -327,10 +327,540 @@ const initQueries = [
     UNIQUE(user_id, provider_id)
   )`,
 
+  // Review moderation log - keeps a record of flags and admin actions, even after deletion
+  `CREATE TABLE IF NOT EXISTS review_moderation_log (
+    id SERIAL PRIMARY KEY,
+    review_id INTEGER NOT NULL,
+    action VARCHAR(20) CHECK (action IN ('flag', 'hide', 'restore', 'delete')) NOT NULL,
+    reason TEXT,
+    actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    review_snapshot JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Service availability - recurring weekly departures with a seat capacity each
+  `CREATE TABLE IF NOT EXISTS service_availability_slots (
+    id SERIAL PRIMARY KEY,
+    service_id INTEGER REFERENCES services(id) ON DELETE CASCADE NOT NULL,
+    day_of_week SMALLINT CHECK (day_of_week BETWEEN 0 AND 6) NOT NULL,
+    start_time VARCHAR(20) NOT NULL,
+    end_time VARCHAR(20),
+    capacity INTEGER CHECK (capacity > 0) NOT NULL,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Service blackout dates - days the provider does not take bookings
+  `CREATE TABLE IF NOT EXISTS service_blackout_dates (
+    id SERIAL PRIMARY KEY,
+    service_id INTEGER REFERENCES services(id) ON DELETE CASCADE NOT NULL,
+    blackout_date DATE NOT NULL,
+    reason VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(service_id, blackout_date)
+  )`,
+
+  // Booking status history - every status change with who made it and why
+  `CREATE TABLE IF NOT EXISTS booking_status_history (
+    id SERIAL PRIMARY KEY,
+    booking_id INTEGER REFERENCES bookings(id) ON DELETE CASCADE NOT NULL,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    actor_type VARCHAR(20) CHECK (actor_type IN ('traveler', 'provider', 'admin', 'system')) NOT NULL,
+    actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Refunds - money owed back to a traveler after a cancellation, against the original payment
+  `CREATE TABLE IF NOT EXISTS refunds (
+    id SERIAL PRIMARY KEY,
+    booking_id INTEGER REFERENCES bookings(id) ON DELETE RESTRICT NOT NULL,
+    payment_id INTEGER REFERENCES payments(id) ON DELETE SET NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    currency VARCHAR(3) DEFAULT 'TZS',
+    refund_percent DECIMAL(5,2),
+    status VARCHAR(20) CHECK (status IN ('pending', 'processed', 'failed')) DEFAULT 'pending',
+    reason TEXT,
+    requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    processed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Gateway notifications already applied, so retried callbacks and webhooks are ignored
+  `CREATE TABLE IF NOT EXISTS payment_gateway_events (
+    id SERIAL PRIMARY KEY,
+    gateway VARCHAR(30) NOT NULL,
+    event_id VARCHAR(255) NOT NULL,
+    payment_id INTEGER REFERENCES payments(id) ON DELETE SET NULL,
+    payload JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(gateway, event_id)
+  )`,
+
+  // Provider payout batches and the individual payouts in them
+  `CREATE TABLE IF NOT EXISTS payout_batches (
+    id SERIAL PRIMARY KEY,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    status VARCHAR(20) CHECK (status IN ('processing', 'completed')) DEFAULT 'processing',
+    payout_count INTEGER DEFAULT 0,
+    total_amount DECIMAL(12,2) DEFAULT 0,
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS payouts (
+    id SERIAL PRIMARY KEY,
+    batch_id INTEGER REFERENCES payout_batches(id) ON DELETE CASCADE NOT NULL,
+    provider_id INTEGER REFERENCES service_providers(id) ON DELETE CASCADE NOT NULL,
+    amount DECIMAL(12,2) NOT NULL,
+    currency VARCHAR(3) DEFAULT 'TZS',
+    status VARCHAR(20) CHECK (status IN ('pending', 'paid', 'failed')) DEFAULT 'pending',
+    reference VARCHAR(255),
+    failure_reason TEXT,
+    paid_at TIMESTAMP,
+    processed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Double-entry ledger: each journal is one money event, its entries always balance
+  `CREATE TABLE IF NOT EXISTS ledger_journals (
+    id SERIAL PRIMARY KEY,
+    reference VARCHAR(100) UNIQUE NOT NULL,
+    entry_type VARCHAR(30) CHECK (entry_type IN ('payment', 'refund', 'payout', 'payout_reversal')) NOT NULL,
+    currency VARCHAR(3) DEFAULT 'TZS',
+    booking_id INTEGER REFERENCES bookings(id) ON DELETE SET NULL,
+    payment_id INTEGER REFERENCES payments(id) ON DELETE SET NULL,
+    refund_id INTEGER REFERENCES refunds(id) ON DELETE SET NULL,
+    payout_id INTEGER REFERENCES payouts(id) ON DELETE SET NULL,
+    description TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS ledger_entries (
+    id SERIAL PRIMARY KEY,
+    journal_id INTEGER REFERENCES ledger_journals(id) ON DELETE CASCADE NOT NULL,
+    account VARCHAR(30) CHECK (account IN ('cash', 'platform_revenue', 'provider_payable', 'refunds_payable', 'promotions_expense')) NOT NULL,
+    provider_id INTEGER REFERENCES service_providers(id) ON DELETE SET NULL,
+    debit DECIMAL(12,2) DEFAULT 0 CHECK (debit >= 0),
+    credit DECIMAL(12,2) DEFAULT 0 CHECK (credit >= 0),
+    currency VARCHAR(3) DEFAULT 'TZS',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Platform commission rules: percentage plus fixed fee, matched on category, region,
+  // provider tier and promotion status within effective dates
+  `CREATE TABLE IF NOT EXISTS commission_rules (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    category VARCHAR(100),
+    region VARCHAR(100),
+    provider_tier VARCHAR(20) CHECK (provider_tier IN ('standard', 'verified', 'premium')),
+    promotion_status VARCHAR(20) CHECK (promotion_status IN ('promoted', 'standard')),
+    commission_percent DECIMAL(5,2) NOT NULL CHECK (commission_percent >= 0 AND commission_percent <= 100),
+    fixed_fee DECIMAL(10,2) DEFAULT 0 CHECK (fixed_fee >= 0),
+    priority INTEGER DEFAULT 0,
+    effective_from DATE NOT NULL DEFAULT CURRENT_DATE,
+    effective_to DATE,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Invoices for paid bookings and receipts for paid promotions, with the content as issued
+  `CREATE TABLE IF NOT EXISTS invoices (
+    id SERIAL PRIMARY KEY,
+    invoice_number VARCHAR(30) UNIQUE NOT NULL,
+    document_type VARCHAR(20) CHECK (document_type IN ('invoice', 'receipt')) NOT NULL,
+    booking_id INTEGER UNIQUE REFERENCES bookings(id) ON DELETE SET NULL,
+    promotion_id INTEGER UNIQUE REFERENCES service_promotions(id) ON DELETE SET NULL,
+    provider_id INTEGER REFERENCES service_providers(id) ON DELETE SET NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    currency VARCHAR(3) DEFAULT 'TZS',
+    subtotal DECIMAL(12,2) NOT NULL,
+    tax_amount DECIMAL(12,2) NOT NULL,
+    total_amount DECIMAL(12,2) NOT NULL,
+    document JSONB NOT NULL,
+    issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Last document number used per prefix and year
+  `CREATE TABLE IF NOT EXISTS invoice_counters (
+    prefix VARCHAR(10) NOT NULL,
+    year INTEGER NOT NULL,
+    last_number INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (prefix, year)
+  )`,
+
+  // Exchange rates: what one unit of each currency is worth in TZS
+  `CREATE TABLE IF NOT EXISTS exchange_rates (
+    currency VARCHAR(3) PRIMARY KEY,
+    rate DECIMAL(18,6) NOT NULL CHECK (rate > 0),
+    source VARCHAR(20) CHECK (source IN ('manual', 'import')) DEFAULT 'manual',
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Cart checkouts: the bookings made together and paid with one combined payment
+  `CREATE TABLE IF NOT EXISTS orders (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) CHECK (status IN ('pending', 'paid', 'cancelled')) DEFAULT 'pending',
+    total_amount DECIMAL(12,2) NOT NULL,
+    currency VARCHAR(3) DEFAULT 'TZS',
+    charged_amount DECIMAL(12,2),
+    charged_currency VARCHAR(3),
+    exchange_rate DECIMAL(18,8),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Promo codes: platform-wide when created by an admin, limited to a provider's services otherwise
+  `CREATE TABLE IF NOT EXISTS promo_codes (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(30) UNIQUE NOT NULL,
+    campaign VARCHAR(100),
+    description TEXT,
+    discount_type VARCHAR(20) CHECK (discount_type IN ('percentage', 'fixed')) NOT NULL,
+    discount_value DECIMAL(12,2) NOT NULL CHECK (discount_value > 0),
+    currency VARCHAR(3) DEFAULT 'TZS',
+    provider_id INTEGER REFERENCES service_providers(id) ON DELETE CASCADE,
+    service_id INTEGER REFERENCES services(id) ON DELETE CASCADE,
+    category VARCHAR(100),
+    region VARCHAR(100),
+    min_spend DECIMAL(12,2) DEFAULT 0,
+    max_uses INTEGER,
+    max_uses_per_user INTEGER DEFAULT 1,
+    valid_from TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    valid_until TIMESTAMP,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Each use of a promo code, on a single booking or a cart checkout order
+  `CREATE TABLE IF NOT EXISTS promo_redemptions (
+    id SERIAL PRIMARY KEY,
+    promo_code_id INTEGER REFERENCES promo_codes(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    booking_id INTEGER REFERENCES bookings(id) ON DELETE SET NULL,
+    order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+    discount_amount DECIMAL(12,2) NOT NULL,
+    currency VARCHAR(3) DEFAULT 'TZS',
+    status VARCHAR(20) CHECK (status IN ('applied', 'voided')) DEFAULT 'applied',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Travelers waiting for a place on a fully booked service date (and slot). When capacity frees
+  // up the next entry that fits is offered the seats until offer_expires_at, then it passes on.
+  `CREATE TABLE IF NOT EXISTS waitlist_entries (
+    id SERIAL PRIMARY KEY,
+    service_id INTEGER REFERENCES services(id) ON DELETE CASCADE NOT NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    booking_date DATE NOT NULL,
+    slot_id INTEGER REFERENCES service_availability_slots(id) ON DELETE SET NULL,
+    start_time TIME,
+    participants INTEGER NOT NULL DEFAULT 1 CHECK (participants > 0),
+    status VARCHAR(20) CHECK (status IN ('waiting', 'offered', 'accepted', 'expired', 'cancelled')) DEFAULT 'waiting',
+    offered_at TIMESTAMP,
+    offer_expires_at TIMESTAMP,
+    booking_id INTEGER REFERENCES bookings(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Traveler requests to change a booking's date, time or party size. Each request keeps the
+  // booking's values from before the change, so approved changes leave the original on record.
+  `CREATE TABLE IF NOT EXISTS booking_modifications (
+    id SERIAL PRIMARY KEY,
+    booking_id INTEGER REFERENCES bookings(id) ON DELETE CASCADE NOT NULL,
+    requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    status VARCHAR(20) CHECK (status IN ('pending', 'approved', 'declined', 'withdrawn')) DEFAULT 'pending',
+    original_booking_date DATE NOT NULL,
+    original_start_time TIME,
+    original_slot_id INTEGER REFERENCES service_availability_slots(id) ON DELETE SET NULL,
+    original_participants INTEGER NOT NULL,
+    original_total_amount DECIMAL(12,2) NOT NULL,
+    new_booking_date DATE NOT NULL,
+    new_start_time TIME,
+    new_participants INTEGER NOT NULL CHECK (new_participants > 0),
+    new_total_amount DECIMAL(12,2) NOT NULL,
+    price_difference DECIMAL(12,2) NOT NULL,
+    currency VARCHAR(3) DEFAULT 'TZS',
+    reason TEXT,
+    decided_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    decided_at TIMESTAMP,
+    decline_reason TEXT,
+    refund_id INTEGER REFERENCES refunds(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Deposit and instalments a booking on a payment plan is paid in, each with its due date
+  `CREATE TABLE IF NOT EXISTS booking_instalments (
+    id SERIAL PRIMARY KEY,
+    booking_id INTEGER REFERENCES bookings(id) ON DELETE CASCADE NOT NULL,
+    sequence INTEGER NOT NULL,
+    kind VARCHAR(20) CHECK (kind IN ('deposit', 'instalment', 'balance')) NOT NULL,
+    amount DECIMAL(12,2) NOT NULL CHECK (amount >= 0),
+    currency VARCHAR(3) DEFAULT 'TZS',
+    due_date DATE NOT NULL,
+    status VARCHAR(20) CHECK (status IN ('pending', 'paid', 'cancelled')) DEFAULT 'pending',
+    payment_id INTEGER REFERENCES payments(id) ON DELETE SET NULL,
+    paid_at TIMESTAMP,
+    reminder_sent_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(booking_id, sequence)
+  )`,
+
+  // Message threads between a traveler and a provider, optionally about a service or a booking.
+  // There is one thread per traveler, provider, service and booking (see idx_conversations_thread).
+  `CREATE TABLE IF NOT EXISTS conversations (
+    id SERIAL PRIMARY KEY,
+    traveler_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    provider_id INTEGER REFERENCES service_providers(id) ON DELETE CASCADE NOT NULL,
+    service_id INTEGER REFERENCES services(id) ON DELETE SET NULL,
+    booking_id INTEGER REFERENCES bookings(id) ON DELETE SET NULL,
+    last_message_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Messages in a thread; read_at is set when the other participant opens the thread
+  `CREATE TABLE IF NOT EXISTS messages (
+    id SERIAL PRIMARY KEY,
+    conversation_id INTEGER REFERENCES conversations(id) ON DELETE CASCADE NOT NULL,
+    sender_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    body TEXT NOT NULL,
+    read_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Files sent with a message, kept in private storage (see utils/storage.js) under storage_key
+  `CREATE TABLE IF NOT EXISTS message_attachments (
+    id SERIAL PRIMARY KEY,
+    message_id INTEGER REFERENCES messages(id) ON DELETE CASCADE NOT NULL,
+    conversation_id INTEGER REFERENCES conversations(id) ON DELETE CASCADE NOT NULL,
+    uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    file_name VARCHAR(255) NOT NULL,
+    content_type VARCHAR(100) NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    storage_key VARCHAR(500) NOT NULL,
+    thumbnail_key VARCHAR(500),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Events pushed to connected clients, kept for a while so they can be replayed after a reconnect
+  `CREATE TABLE IF NOT EXISTS realtime_events (
+    id BIGSERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(50) NOT NULL,
+    data JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Emails waiting to be sent or already sent (see utils/mailer.js), rendered when queued
+  `CREATE TABLE IF NOT EXISTS email_outbox (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    to_address VARCHAR(255) NOT NULL,
+    template VARCHAR(50) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    html TEXT NOT NULL,
+    text TEXT NOT NULL,
+    attachments JSONB,
+    status VARCHAR(20) CHECK (status IN ('pending', 'sending', 'sent', 'failed')) DEFAULT 'pending',
+    attempts INTEGER DEFAULT 0,
+    last_error TEXT,
+    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    sent_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Text messages waiting to be sent or already sent (see utils/textMessages.js)
+  `CREATE TABLE IF NOT EXISTS sms_outbox (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    to_number VARCHAR(20) NOT NULL,
+    channel VARCHAR(10) CHECK (channel IN ('sms', 'whatsapp')) DEFAULT 'sms',
+    type VARCHAR(50) NOT NULL,
+    body TEXT NOT NULL,
+    status VARCHAR(20) CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'cancelled')) DEFAULT 'pending',
+    attempts INTEGER DEFAULT 0,
+    last_error TEXT,
+    provider_message_id VARCHAR(255),
+    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    sent_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Channels a user turned off or on for a notification type; missing rows use the type's default
+  `CREATE TABLE IF NOT EXISTS notification_preferences (
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    notification_type VARCHAR(50) NOT NULL,
+    channel VARCHAR(10) CHECK (channel IN ('in_app', 'email', 'sms')) NOT NULL,
+    enabled BOOLEAN NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, notification_type, channel)
+  )`,
+
+  // Password reset links: only a SHA-256 hash of the token is kept, and each can be used once
+  `CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    requested_ip VARCHAR(64),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Every forgot-password request, by email and IP, for rate limiting
+  `CREATE TABLE IF NOT EXISTS password_reset_requests (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL,
+    ip VARCHAR(64),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Low-priority notifications held for the user's next daily or weekly digest
+  `CREATE TABLE IF NOT EXISTS notification_digest_items (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(50) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    message TEXT NOT NULL,
+    data JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Platform settings admins can change, one JSON value per key
+  `CREATE TABLE IF NOT EXISTS system_settings (
+    id SERIAL PRIMARY KEY,
+    setting_key VARCHAR(255) UNIQUE NOT NULL,
+    setting_value JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Commission and provider share worked out when the booking was made
+  `ALTER TABLE bookings ADD COLUMN IF NOT EXISTS fee_breakdown JSONB`,
+
+  // Currency a booking settles to the provider in, the currency the traveler is charged in,
+  // and the rate used (charged units per settlement unit). total_amount is in the settlement currency.
+  `ALTER TABLE bookings ADD COLUMN IF NOT EXISTS settlement_currency VARCHAR(3)`,
+  `ALTER TABLE bookings ADD COLUMN IF NOT EXISTS charged_currency VARCHAR(3)`,
+  `ALTER TABLE bookings ADD COLUMN IF NOT EXISTS charged_amount DECIMAL(12,2)`,
+  `ALTER TABLE bookings ADD COLUMN IF NOT EXISTS exchange_rate DECIMAL(18,8)`,
+
+  // What the gateway collected when it differs from the payment's settlement amount and currency
+  `ALTER TABLE payments ADD COLUMN IF NOT EXISTS charged_amount DECIMAL(12,2)`,
+  `ALTER TABLE payments ADD COLUMN IF NOT EXISTS charged_currency VARCHAR(3)`,
+  `ALTER TABLE payments ADD COLUMN IF NOT EXISTS exchange_rate DECIMAL(18,8)`,
+
+  // Order a booking was checked out in, and the order a combined payment pays for
+  `ALTER TABLE bookings ADD COLUMN IF NOT EXISTS order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL`,
+  `ALTER TABLE payments ADD COLUMN IF NOT EXISTS order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL`,
+
+  // Promo code discount taken off a booking's total_amount, and off a checkout order's total
+  `ALTER TABLE bookings ADD COLUMN IF NOT EXISTS promo_code_id INTEGER REFERENCES promo_codes(id) ON DELETE SET NULL`,
+  `ALTER TABLE bookings ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(12,2) DEFAULT 0`,
+  `ALTER TABLE orders ADD COLUMN IF NOT EXISTS promo_code_id INTEGER REFERENCES promo_codes(id) ON DELETE SET NULL`,
+  `ALTER TABLE orders ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(12,2) DEFAULT 0`,
+
+  // Set when the provider checks the traveler in with their booking voucher
+  `ALTER TABLE bookings ADD COLUMN IF NOT EXISTS checked_in_at TIMESTAMP`,
+  `ALTER TABLE bookings ADD COLUMN IF NOT EXISTS checked_in_by INTEGER REFERENCES users(id) ON DELETE SET NULL`,
+
+  // Deposit and instalment terms: set per service, snapshotted onto each booking like its cancellation policy
+  `ALTER TABLE services ADD COLUMN IF NOT EXISTS payment_plan JSONB`,
+  `ALTER TABLE bookings ADD COLUMN IF NOT EXISTS payment_plan JSONB`,
+  // Databases created before instalments only allowed pending/paid/refunded
+  `ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_payment_status_check`,
+  `ALTER TABLE bookings ADD CONSTRAINT bookings_payment_status_check CHECK (payment_status IN ('pending', 'partially_paid', 'paid', 'refunded'))`,
+  `ALTER TABLE payments ADD COLUMN IF NOT EXISTS instalment_id INTEGER REFERENCES booking_instalments(id) ON DELETE SET NULL`,
+
+  // Currency prices are shown in for the user
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS preferred_currency VARCHAR(3)`,
+
+  // Text message consent: whether the user opted in, by SMS or WhatsApp, and the E.164 number they agreed to
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS sms_opt_in BOOLEAN DEFAULT FALSE`,
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS sms_channel VARCHAR(10) DEFAULT 'sms'`,
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS sms_phone VARCHAR(20)`,
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS sms_consent_updated_at TIMESTAMP`,
+
+  // Bumped when a password is reset; login tokens carrying an older version stop working
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS session_version INTEGER DEFAULT 0`,
+
+  // Notification delivery: digest frequency for low-priority notifications, and quiet hours
+  // (local times in notification_timezone) during which emails and texts wait
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS notification_digest VARCHAR(10) DEFAULT 'off'`,
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS quiet_hours_start TIME`,
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS quiet_hours_end TIME`,
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS notification_timezone VARCHAR(50) DEFAULT 'Africa/Dar_es_Salaam'`,
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS last_digest_at TIMESTAMP`,
+
+  // Tax number printed on provider invoices
+  `ALTER TABLE service_providers ADD COLUMN IF NOT EXISTS tin_number VARCHAR(50)`,
+
+  // Promotion payment and approval columns, also created by the promote route on older databases
+  `ALTER TABLE service_promotions ADD COLUMN IF NOT EXISTS payment_status VARCHAR(50) DEFAULT 'pending'`,
+  `ALTER TABLE service_promotions ADD COLUMN IF NOT EXISTS card_last_four VARCHAR(4)`,
+  `ALTER TABLE service_promotions ADD COLUMN IF NOT EXISTS card_brand VARCHAR(20)`,
+  `ALTER TABLE service_promotions ADD COLUMN IF NOT EXISTS card_holder VARCHAR(255)`,
+  `ALTER TABLE service_promotions ADD COLUMN IF NOT EXISTS status VARCHAR(50) DEFAULT 'pending'`,
+  `ALTER TABLE service_promotions ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP`,
+  `ALTER TABLE service_promotions ADD COLUMN IF NOT EXISTS approved_by INTEGER`,
+  `ALTER TABLE service_promotions ADD COLUMN IF NOT EXISTS rejection_reason TEXT`,
+  `ALTER TABLE service_promotions ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP`,
+
+  // Gateway tracking on payments: which gateway, its reference for the payment, and when a pending payment times out
+  `ALTER TABLE payments ADD COLUMN IF NOT EXISTS gateway VARCHAR(30)`,
+  `ALTER TABLE payments ADD COLUMN IF NOT EXISTS gateway_reference VARCHAR(255)`,
+  `ALTER TABLE payments ADD COLUMN IF NOT EXISTS gateway_response JSONB`,
+  `ALTER TABLE payments ADD COLUMN IF NOT EXISTS failure_reason TEXT`,
+  `ALTER TABLE payments ADD COLUMN IF NOT EXISTS paid_at TIMESTAMP`,
+  `ALTER TABLE payments ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP`,
+
+  // Cancellation terms: set per service, snapshotted onto each booking when it is made
+  `ALTER TABLE services ADD COLUMN IF NOT EXISTS cancellation_policy JSONB`,
+  `ALTER TABLE bookings ADD COLUMN IF NOT EXISTS cancellation_policy JSONB`,
+  `ALTER TABLE bookings ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP`,
+  // Keep refund records: a booking that has a refund can no longer be deleted
+  `ALTER TABLE refunds DROP CONSTRAINT IF EXISTS refunds_booking_id_fkey`,
+  `ALTER TABLE refunds ADD CONSTRAINT refunds_booking_id_fkey FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE RESTRICT`,
+
+  // Bookings made against a weekly slot
+  `ALTER TABLE bookings ADD COLUMN IF NOT EXISTS slot_id INTEGER REFERENCES service_availability_slots(id) ON DELETE SET NULL`,
+
   // Add payment_methods and contact_info columns to services table if they don't exist
   `ALTER TABLE services ADD COLUMN IF NOT EXISTS payment_methods JSONB DEFAULT '{}'`,
   `ALTER TABLE services ADD COLUMN IF NOT EXISTS contact_info JSONB DEFAULT '{}'`,
 
+  // Review editing and rating aggregates
+  `ALTER TABLE reviews ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP`,
+  `ALTER TABLE services ADD COLUMN IF NOT EXISTS total_reviews INTEGER DEFAULT 0`,
+  `ALTER TABLE service_providers ADD COLUMN IF NOT EXISTS total_reviews INTEGER DEFAULT 0`,
+
+  // Provider replies and moderation state on reviews
+  `ALTER TABLE reviews ADD COLUMN IF NOT EXISTS provider_reply TEXT`,
+  `ALTER TABLE reviews ADD COLUMN IF NOT EXISTS provider_replied_at TIMESTAMP`,
+  `ALTER TABLE reviews ADD COLUMN IF NOT EXISTS is_flagged BOOLEAN DEFAULT FALSE`,
+  `ALTER TABLE reviews ADD COLUMN IF NOT EXISTS flag_reason TEXT`,
+  `ALTER TABLE reviews ADD COLUMN IF NOT EXISTS flagged_at TIMESTAMP`,
+  `ALTER TABLE reviews ADD COLUMN IF NOT EXISTS is_hidden BOOLEAN DEFAULT FALSE`,
+  `ALTER TABLE reviews ADD COLUMN IF NOT EXISTS moderation_reason TEXT`,
+  `ALTER TABLE reviews ADD COLUMN IF NOT EXISTS moderated_at TIMESTAMP`,
+
   // Create indexes for better performance
   `CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)`,
   `CREATE INDEX IF NOT EXISTS idx_users_google_id ON users(google_id) WHERE google_id IS NOT NULL`,
@@ -355,9 +885,71 @@ const initQueries = [
   `CREATE INDEX IF NOT EXISTS idx_reviews_service_id ON reviews(service_id)`,
   `CREATE INDEX IF NOT EXISTS idx_reviews_provider_id ON reviews(provider_id)`,
   `CREATE INDEX IF NOT EXISTS idx_reviews_traveler_id ON reviews(traveler_id)`,
+  // One review per booking: databases from before the rule can hold several, so keep the first
+  // and refresh the aggregates it changes before the unique index is built
+  `DO $$
+  BEGIN
+    IF EXISTS (SELECT 1 FROM reviews WHERE booking_id IS NOT NULL GROUP BY booking_id HAVING COUNT(*) > 1) THEN
+      DELETE FROM reviews r USING reviews kept
+      WHERE r.booking_id = kept.booking_id AND r.id > kept.id;
+
+      UPDATE services s SET
+        average_rating = COALESCE((SELECT ROUND(AVG(rating)::numeric, 2) FROM reviews WHERE service_id = s.id AND is_hidden IS NOT TRUE), 0),
+        total_reviews = (SELECT COUNT(*) FROM reviews WHERE service_id = s.id AND is_hidden IS NOT TRUE)
+      WHERE s.id IN (SELECT service_id FROM reviews);
+
+      UPDATE service_providers sp SET
+        rating = COALESCE((SELECT ROUND(AVG(rating)::numeric, 2) FROM reviews WHERE provider_id = sp.id AND is_hidden IS NOT TRUE), 0),
+        total_reviews = (SELECT COUNT(*) FROM reviews WHERE provider_id = sp.id AND is_hidden IS NOT TRUE)
+      WHERE sp.id IN (SELECT provider_id FROM reviews);
+    END IF;
+  END $$`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS idx_reviews_booking_id ON reviews(booking_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_reviews_moderation ON reviews(is_flagged, is_hidden)`,
+  `CREATE INDEX IF NOT EXISTS idx_review_moderation_log_review_id ON review_moderation_log(review_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_availability_slots_service ON service_availability_slots(service_id, day_of_week)`,
+  `CREATE INDEX IF NOT EXISTS idx_blackout_dates_service ON service_blackout_dates(service_id, blackout_date)`,
+  `CREATE INDEX IF NOT EXISTS idx_bookings_service_date ON bookings(service_id, booking_date, slot_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_booking_status_history_booking ON booking_status_history(booking_id, created_at)`,
+  `CREATE INDEX IF NOT EXISTS idx_refunds_booking_id ON refunds(booking_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_refunds_status ON refunds(status)`,
   `CREATE INDEX IF NOT EXISTS idx_payments_user_id ON payments(user_id)`,
   `CREATE INDEX IF NOT EXISTS idx_payments_type ON payments(payment_type, payment_status)`,
   `CREATE INDEX IF NOT EXISTS idx_payments_transaction_id ON payments(transaction_id)`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_gateway_reference ON payments(gateway, gateway_reference)`,
+  `CREATE INDEX IF NOT EXISTS idx_payments_pending_expiry ON payments(expires_at) WHERE payment_status = 'pending'`,
+  `CREATE INDEX IF NOT EXISTS idx_payments_booking_id ON payments(booking_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_payments_order_id ON payments(order_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_bookings_order_id ON bookings(order_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_orders_user_id ON orders(user_id, created_at DESC)`,
+  `CREATE INDEX IF NOT EXISTS idx_promo_codes_provider_id ON promo_codes(provider_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_promo_redemptions_code ON promo_redemptions(promo_code_id, user_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_waitlist_entries_queue ON waitlist_entries(service_id, booking_date, status, created_at)`,
+  `CREATE INDEX IF NOT EXISTS idx_waitlist_entries_user_id ON waitlist_entries(user_id, status)`,
+  `CREATE INDEX IF NOT EXISTS idx_waitlist_entries_offer_expiry ON waitlist_entries(offer_expires_at) WHERE status = 'offered'`,
+  `CREATE INDEX IF NOT EXISTS idx_booking_modifications_booking ON booking_modifications(booking_id, created_at DESC)`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS idx_booking_modifications_one_pending ON booking_modifications(booking_id) WHERE status = 'pending'`,
+  `CREATE INDEX IF NOT EXISTS idx_booking_instalments_due ON booking_instalments(due_date) WHERE status = 'pending'`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS idx_conversations_thread ON conversations(traveler_id, provider_id, COALESCE(service_id, 0), COALESCE(booking_id, 0))`,
+  `CREATE INDEX IF NOT EXISTS idx_conversations_provider ON conversations(provider_id, last_message_at DESC)`,
+  `CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages(conversation_id, id DESC)`,
+  `CREATE INDEX IF NOT EXISTS idx_messages_unread ON messages(conversation_id) WHERE read_at IS NULL`,
+  `CREATE INDEX IF NOT EXISTS idx_message_attachments_message ON message_attachments(message_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_realtime_events_user ON realtime_events(user_id, id)`,
+  `CREATE INDEX IF NOT EXISTS idx_realtime_events_created ON realtime_events(created_at)`,
+  `CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox(status, next_attempt_at)`,
+  `CREATE INDEX IF NOT EXISTS idx_sms_outbox_due ON sms_outbox(status, next_attempt_at)`,
+  `CREATE INDEX IF NOT EXISTS idx_users_sms_phone ON users(sms_phone)`,
+  `CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens(user_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_password_reset_requests_created ON password_reset_requests(created_at)`,
+  `CREATE INDEX IF NOT EXISTS idx_notification_digest_items_user ON notification_digest_items(user_id, created_at)`,
+  `CREATE INDEX IF NOT EXISTS idx_ledger_entries_provider ON ledger_entries(account, provider_id, created_at)`,
+  `CREATE INDEX IF NOT EXISTS idx_ledger_entries_journal ON ledger_entries(journal_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_payouts_batch_id ON payouts(batch_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_payouts_provider_id ON payouts(provider_id, created_at DESC)`,
+  `CREATE INDEX IF NOT EXISTS idx_commission_rules_effective ON commission_rules(is_active, effective_from, effective_to)`,
+  `CREATE INDEX IF NOT EXISTS idx_invoices_user_id ON invoices(user_id, issued_at DESC)`,
+  `CREATE INDEX IF NOT EXISTS idx_invoices_provider_id ON invoices(provider_id, issued_at DESC)`,
   `CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id, is_read, created_at DESC)`,
   `CREATE INDEX IF NOT EXISTS idx_traveler_stories_user_id ON traveler_stories(user_id)`,
   `CREATE INDEX IF NOT EXISTS idx_traveler_stories_approved ON traveler_stories(is_approved, is_active)`,
@@ -429,7 +1021,55 @@ const initQueries = [
 
   // Triggers for trip plans
   `DROP TRIGGER IF EXISTS update_trip_plans_updated_at ON trip_plans`,
-  `CREATE TRIGGER update_trip_plans_updated_at BEFORE UPDATE ON trip_plans FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()`
+  `CREATE TRIGGER update_trip_plans_updated_at BEFORE UPDATE ON trip_plans FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()`,
+
+  // Triggers for reviews
+  `DROP TRIGGER IF EXISTS update_reviews_updated_at ON reviews`,
+  `CREATE TRIGGER update_reviews_updated_at BEFORE UPDATE ON reviews FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()`,
+
+  // Triggers for availability slots
+  `DROP TRIGGER IF EXISTS update_service_availability_slots_updated_at ON service_availability_slots`,
+  `CREATE TRIGGER update_service_availability_slots_updated_at BEFORE UPDATE ON service_availability_slots FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()`,
+
+  // Triggers for refunds
+  `DROP TRIGGER IF EXISTS update_refunds_updated_at ON refunds`,
+  `CREATE TRIGGER update_refunds_updated_at BEFORE UPDATE ON refunds FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()`,
+
+  // Triggers for payouts
+  `DROP TRIGGER IF EXISTS update_payouts_updated_at ON payouts`,
+  `CREATE TRIGGER update_payouts_updated_at BEFORE UPDATE ON payouts FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()`,
+
+  // Triggers for commission rules
+  `DROP TRIGGER IF EXISTS update_commission_rules_updated_at ON commission_rules`,
+  `CREATE TRIGGER update_commission_rules_updated_at BEFORE UPDATE ON commission_rules FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()`,
+
+  // Triggers for orders
+  `DROP TRIGGER IF EXISTS update_orders_updated_at ON orders`,
+  `CREATE TRIGGER update_orders_updated_at BEFORE UPDATE ON orders FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()`,
+
+  // Triggers for promo codes
+  `DROP TRIGGER IF EXISTS update_promo_codes_updated_at ON promo_codes`,
+  `CREATE TRIGGER update_promo_codes_updated_at BEFORE UPDATE ON promo_codes FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()`,
+
+  // Triggers for waitlist entries
+  `DROP TRIGGER IF EXISTS update_waitlist_entries_updated_at ON waitlist_entries`,
+  `CREATE TRIGGER update_waitlist_entries_updated_at BEFORE UPDATE ON waitlist_entries FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()`,
+
+  // Triggers for booking modifications
+  `DROP TRIGGER IF EXISTS update_booking_modifications_updated_at ON booking_modifications`,
+  `CREATE TRIGGER update_booking_modifications_updated_at BEFORE UPDATE ON booking_modifications FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()`,
+
+  // Triggers for booking instalments
+  `DROP TRIGGER IF EXISTS update_booking_instalments_updated_at ON booking_instalments`,
+  `CREATE TRIGGER update_booking_instalments_updated_at BEFORE UPDATE ON booking_instalments FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()`,
+
+  // Triggers for conversations
+  `DROP TRIGGER IF EXISTS update_conversations_updated_at ON conversations`,
+  `CREATE TRIGGER update_conversations_updated_at BEFORE UPDATE ON conversations FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()`,
+
+  // Triggers for system settings
+  `DROP TRIGGER IF EXISTS update_system_settings_updated_at ON system_settings`,
+  `CREATE TRIGGER update_system_settings_updated_at BEFORE UPDATE ON system_settings FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()`
 ];
 
 // Initialize database tables
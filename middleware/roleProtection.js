@@ -93,6 +93,28 @@ const stripRoleFields = (req, res, next) => {
   next();
 };
 
+/**
+ * Middleware that only lets admin users through. Use after JWT authentication.
+ */
+const requireAdmin = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  if (req.user.user_type !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Only administrators can do this.',
+      code: 'ADMIN_REQUIRED'
+    });
+  }
+
+  next();
+};
+
 /**
  * Validate that a role value is valid
  */
@@ -104,5 +126,6 @@ const validateRole = (role) => {
 module.exports = {
   preventRoleModification,
   stripRoleFields,
+  requireAdmin,
   validateRole
 };
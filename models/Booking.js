@@ -1,8 +1,9 @@
 const { pool } = require('../config/postgresql');
 
 class Booking {
-  // Create a new booking - with automatic constraint fix
-  static async create(bookingData) {
+  // Create a new booking
+  // Pass a transaction client to insert as part of a larger transaction
+  static async create(bookingData, client = null) {
     const {
       traveler_id,
       service_id,
@@ -14,30 +15,31 @@ class Booking {
       total_amount,
       status = 'pending',
       payment_status = 'pending',
-      special_requests
+      special_requests,
+      slot_id = null,
+      cancellation_policy = null,
+      payment_plan = null,
+      fee_breakdown = null,
+      settlement_currency = null,
+      charged_currency = null,
+      charged_amount = null,
+      exchange_rate = null,
+      order_id = null,
+      promo_code_id = null,
+      discount_amount = 0
     } = bookingData;
 
     // Also support user_id as alias for traveler_id
     const userId = traveler_id || bookingData.user_id;
 
-    // First, ensure the constraint allows the status we're using
-    try {
-      await pool.query('ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_status_check');
-      await pool.query(`
-        ALTER TABLE bookings ADD CONSTRAINT bookings_status_check 
-        CHECK (status IN ('draft', 'pending', 'confirmed', 'cancelled', 'completed'))
-      `);
-    } catch (constraintError) {
-      // Constraint might already be correct, continue
-      console.log('Constraint check:', constraintError.message);
-    }
-
     const query = `
       INSERT INTO bookings (
         traveler_id, service_id, provider_id, booking_date, start_time, end_time,
-        participants, total_amount, status, payment_status, special_requests
+        participants, total_amount, status, payment_status, special_requests, slot_id, cancellation_policy,
+        fee_breakdown, settlement_currency, charged_currency, charged_amount, exchange_rate, order_id,
+        promo_code_id, discount_amount, payment_plan
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22)
       RETURNING *
     `;
 
@@ -52,10 +54,21 @@ class Booking {
       total_amount,
       status,
       payment_status,
-      special_requests
+      special_requests,
+      slot_id,
+      cancellation_policy ? JSON.stringify(cancellation_policy) : null,
+      fee_breakdown ? JSON.stringify(fee_breakdown) : null,
+      settlement_currency,
+      charged_currency,
+      charged_amount,
+      exchange_rate,
+      order_id,
+      promo_code_id,
+      discount_amount,
+      payment_plan ? JSON.stringify(payment_plan) : null
     ];
 
-    const result = await pool.query(query, values);
+    const result = await (client || pool).query(query, values);
     return result.rows[0];
   }
 
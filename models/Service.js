@@ -38,7 +38,9 @@ class Service {
       average_rating = 0.00,
       total_bookings = 0,
       payment_methods = {},
-      contact_info = {}
+      contact_info = {},
+      cancellation_policy = null,
+      payment_plan = null
     } = serviceData;
 
     const normalizedRegion = normalizeLocation(region);
@@ -61,9 +63,9 @@ class Service {
         duration, max_participants, location, country, region, district, area,
         images, amenities, is_active, is_featured, featured_until, featured_priority,
         promotion_type, promotion_location, views_count, bookings_count,
-        average_rating, total_bookings, payment_methods, contact_info
+        average_rating, total_bookings, payment_methods, contact_info, cancellation_policy, payment_plan
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30)
       RETURNING *
     `;
 
@@ -95,7 +97,9 @@ class Service {
       average_rating,
       total_bookings,
       payment_methods ? JSON.stringify(payment_methods) : '{}',
-      contact_info ? JSON.stringify(contact_info) : '{}'
+      contact_info ? JSON.stringify(contact_info) : '{}',
+      cancellation_policy ? JSON.stringify(cancellation_policy) : null,
+      payment_plan ? JSON.stringify(payment_plan) : null
     ];
 
     const result = await pool.query(query, values);
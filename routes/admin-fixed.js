@@ -2,6 +2,18 @@ const express = require('express');
 const router = express.Router();
 const { User, ServiceProvider, Service, Booking, Payment } = require('../models');
 const { pool } = require('../config/postgresql');
+const { cancelBooking } = require('../utils/cancellations');
+const { releasesCapacity, offerReleasedSeats } = require('../utils/waitlist');
+const { syncLedger, getProviderBalances, getProviderStatement, createPayoutBatch, settlePayout } = require('../utils/ledger');
+const { DEFAULT_COMMISSION_PERCENT, validateRule } = require('../utils/commission');
+const { BASE_CURRENCY, CURRENCIES, validateRate, parseRatesImport, saveRates } = require('../utils/currency');
+const { validatePromoCode, createPromoCode, updatePromoCode, getRedemptionReport, formatPromoCode } = require('../utils/promoCodes');
+const { normalizeExpirySettings, getExpirySettings, saveExpirySettings } = require('../utils/preOrderExpiry');
+const { scheduler } = require('../utils/scheduler');
+const { DOMAIN_EVENTS, eventBus } = require('../utils/domainEvents');
+const { moderateReview } = require('../utils/reviews');
+const { authenticateJWT: requireJwt } = require('../middleware/jwtAuth');
+const { requireAdmin } = require('../middleware/roleProtection');
 
 // Middleware to bypass authentication for admin portal (temporary - for development)
 const authenticateJWT = (req, res, next) => {
@@ -12,6 +24,10 @@ const isAdmin = (req, res, next) => {
   next();
 };
 
+// Real authentication: a valid JWT for a user whose user_type is admin. Routes that move or report
+// money, change prices or touch the moderation record use this and never the bypass above.
+const requireAdminUser = [requireJwt, requireAdmin];
+
 // ==========================================
 // PUBLIC ENDPOINTS (No Auth Required)
 // ==========================================
@@ -585,10 +601,23 @@ router.get('/bookings', authenticateJWT, isAdmin, async (req, res) => {
   }
 });
 
-router.post('/bookings/:bookingId/cancel', authenticateJWT, isAdmin, async (req, res) => {
+router.post('/bookings/:bookingId/cancel', requireAdminUser, async (req, res) => {
   try {
-    const result = await pool.query("UPDATE bookings SET status = 'cancelled' WHERE id = $1 RETURNING *", [req.params.bookingId]);
-    if (result.rows.length === 0) return res.status(404).json({ success: false, message: 'Booking not found' });
+    const result = await cancelBooking(pool, {
+      bookingId: parseInt(req.params.bookingId),
+      actor: 'admin',
+      actorId: req.user?.id,
+      reason: req.body?.reason || 'Cancelled by iSafari admin'
+    });
+    if (!result.success) return res.status(result.status).json({ success: false, message: result.message });
+    eventBus.publish(DOMAIN_EVENTS.BOOKING_CANCELLED, {
+      bookingId: result.booking.id,
+      actor: 'admin',
+      actorId: req.user?.id || null,
+      fromStatus: result.fromStatus,
+      reason: req.body?.reason || null
+    });
+    if (releasesCapacity(result.fromStatus, 'cancelled')) await offerReleasedSeats(pool, result.booking);
     res.json({ success: true, message: 'Booking cancelled successfully' });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Error cancelling booking' });
@@ -773,6 +802,7 @@ router.get('/transactions', authenticateJWT, isAdmin, async (req, res) => {
     const transactions = result.rows.map(t => ({
       id: t.id,
       type: t.payment_method,
+      paymentType: t.payment_type,
       amount: t.amount,
       currency: t.currency,
       status: t.payment_status,
@@ -789,28 +819,65 @@ router.get('/transactions', authenticateJWT, isAdmin, async (req, res) => {
   }
 });
 
-router.get('/revenue', authenticateJWT, isAdmin, async (req, res) => {
+// Revenue from the fee breakdown snapshotted on each paid booking. Amounts are only added up
+// within a settlement currency; each total, category and day comes back once per currency.
+router.get('/revenue', requireAdminUser, async (req, res) => {
   try {
     const { period = 'month' } = req.query;
     
     let dateFilter = '';
-    if (period === 'today') dateFilter = "AND created_at >= CURRENT_DATE";
-    else if (period === 'week') dateFilter = "AND created_at >= DATE_TRUNC('week', CURRENT_DATE)";
-    else if (period === 'month') dateFilter = "AND created_at >= DATE_TRUNC('month', CURRENT_DATE)";
-    else if (period === 'year') dateFilter = "AND created_at >= DATE_TRUNC('year', CURRENT_DATE)";
-
-    const totalResult = await pool.query("SELECT COALESCE(SUM(amount), 0) as total FROM payments WHERE payment_status = 'completed'" + dateFilter);
-    const totalRevenue = parseFloat(totalResult.rows[0]?.total || 0);
-
-    const dailyResult = await pool.query("SELECT DATE(created_at) as date, COALESCE(SUM(amount), 0) as revenue FROM payments WHERE payment_status = 'completed'" + dateFilter + " GROUP BY DATE(created_at) ORDER BY date ASC");
+    if (period === 'today') dateFilter = "AND b.created_at >= CURRENT_DATE";
+    else if (period === 'week') dateFilter = "AND b.created_at >= DATE_TRUNC('week', CURRENT_DATE)";
+    else if (period === 'month') dateFilter = "AND b.created_at >= DATE_TRUNC('month', CURRENT_DATE)";
+    else if (period === 'year') dateFilter = "AND b.created_at >= DATE_TRUNC('year', CURRENT_DATE)";
+
+    // Bookings made before fee snapshots count their whole amount as gross with no recorded commission,
+    // and those made before multi-currency pricing settled in the service's currency
+    const amounts = `
+      COALESCE(b.settlement_currency, s.currency, $1) as currency,
+      COALESCE(SUM(COALESCE((b.fee_breakdown->>'grossAmount')::numeric, b.total_amount)), 0) as gross,
+      COALESCE(SUM((b.fee_breakdown->>'commissionAmount')::numeric), 0) as commission,
+      COALESCE(SUM(COALESCE((b.fee_breakdown->>'providerAmount')::numeric, b.total_amount)), 0) as provider_earnings`;
+    const paidBookings = "FROM bookings b LEFT JOIN services s ON b.service_id = s.id WHERE b.payment_status = 'paid' " + dateFilter;
+
+    const totalResult = await pool.query(
+      `SELECT ${amounts} ${paidBookings} GROUP BY 1 ORDER BY currency`,
+      [BASE_CURRENCY]
+    );
+    const categoryResult = await pool.query(
+      `SELECT COALESCE(s.category, 'Other') as category, ${amounts} ${paidBookings}
+       GROUP BY s.category, 2 ORDER BY currency, commission DESC`,
+      [BASE_CURRENCY]
+    );
+    const dailyResult = await pool.query(
+      `SELECT DATE(b.created_at) as date, ${amounts} ${paidBookings}
+       GROUP BY DATE(b.created_at), 2 ORDER BY date ASC, currency`,
+      [BASE_CURRENCY]
+    );
 
     res.json({
       success: true,
       revenue: {
-        total: totalRevenue,
         period,
-        byCategory: [],
-        daily: dailyResult.rows.map(r => ({ date: r.date, revenue: parseFloat(r.revenue) }))
+        byCurrency: totalResult.rows.map(r => ({
+          currency: r.currency,
+          gross: parseFloat(r.gross),
+          commission: parseFloat(r.commission),
+          providerEarnings: parseFloat(r.provider_earnings)
+        })),
+        byCategory: categoryResult.rows.map(r => ({
+          category: r.category,
+          currency: r.currency,
+          gross: parseFloat(r.gross),
+          commission: parseFloat(r.commission),
+          providerEarnings: parseFloat(r.provider_earnings)
+        })),
+        daily: dailyResult.rows.map(r => ({
+          date: r.date,
+          currency: r.currency,
+          revenue: parseFloat(r.commission),
+          gross: parseFloat(r.gross)
+        }))
       }
     });
   } catch (error) {
@@ -819,27 +886,346 @@ router.get('/revenue', authenticateJWT, isAdmin, async (req, res) => {
   }
 });
 
-router.get('/payouts', authenticateJWT, isAdmin, async (req, res) => {
+// ==========================================
+// EXCHANGE RATES
+// ==========================================
+
+const formatExchangeRate = (r) => ({
+  currency: r.currency,
+  name: CURRENCIES[r.currency]?.name || r.currency,
+  rate: parseFloat(r.rate),
+  source: r.source,
+  updatedAt: r.updated_at
+});
+
+router.get('/exchange-rates', requireAdminUser, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM exchange_rates ORDER BY currency');
+    res.json({
+      success: true,
+      baseCurrency: BASE_CURRENCY,
+      rates: result.rows.map(formatExchangeRate),
+      supportedCurrencies: Object.keys(CURRENCIES).filter(code => code !== BASE_CURRENCY)
+    });
+  } catch (error) {
+    console.error('Exchange rates error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching exchange rates' });
+  }
+});
+
+// Set the value of one unit of a currency in the base currency
+router.put('/exchange-rates/:currency', requireAdminUser, async (req, res) => {
+  try {
+    const result = validateRate(req.params.currency, req.body.rate);
+    if (result.error) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    const [saved] = await saveRates(pool, [result], { source: 'manual', userId: req.user.id });
+    res.json({ success: true, message: `${saved.currency} rate updated`, rate: formatExchangeRate(saved) });
+  } catch (error) {
+    console.error('Update exchange rate error:', error);
+    res.status(500).json({ success: false, message: 'Error updating exchange rate' });
+  }
+});
+
+// Import rates from the text of a CSV or JSON file; nothing is saved if any line is invalid
+router.post('/exchange-rates/import', requireAdminUser, async (req, res) => {
+  const { rates, error } = parseRatesImport(req.body.content);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const saved = await saveRates(client, rates, { source: 'import', userId: req.user.id });
+    await client.query('COMMIT');
+
+    res.json({ success: true, message: `Imported ${saved.length} exchange rates`, rates: saved.map(formatExchangeRate) });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Import exchange rates error:', error);
+    res.status(500).json({ success: false, message: 'Error importing exchange rates' });
+  } finally {
+    client.release();
+  }
+});
+
+// Existing bookings keep the rate they were made at
+router.delete('/exchange-rates/:currency', requireAdminUser, async (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
-    const offset = (parseInt(page) - 1) * parseInt(limit);
-    
     const result = await pool.query(
-      'SELECT sp.id as provider_id, sp.business_name, u.first_name, u.last_name, u.email, COUNT(DISTINCT s.id) as total_services FROM service_providers sp LEFT JOIN users u ON sp.user_id = u.id LEFT JOIN services s ON s.provider_id = sp.id GROUP BY sp.id, sp.business_name, u.first_name, u.last_name, u.email ORDER BY total_services DESC LIMIT $1 OFFSET $2',
-      [parseInt(limit), offset]
+      'DELETE FROM exchange_rates WHERE currency = $1 RETURNING currency',
+      [String(req.params.currency).toUpperCase()]
     );
-    
-    const payouts = result.rows.map(p => ({
-      id: p.provider_id,
-      provider: { name: p.business_name || ((p.first_name || '') + ' ' + (p.last_name || '')).trim(), email: p.email },
-      totalEarnings: 0,
-      totalBookings: parseInt(p.total_services || 0),
-      status: 'pending'
-    }));
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Exchange rate not found' });
+    }
+    res.json({ success: true, message: `${result.rows[0].currency} is no longer offered` });
+  } catch (error) {
+    console.error('Delete exchange rate error:', error);
+    res.status(500).json({ success: false, message: 'Error removing exchange rate' });
+  }
+});
 
-    const countResult = await pool.query('SELECT COUNT(DISTINCT sp.id) FROM service_providers sp');
-    const total = parseInt(countResult.rows[0]?.count || 0);
+// ==========================================
+// COMMISSION RULES
+// ==========================================
+
+const formatCommissionRule = (r) => ({
+  id: r.id,
+  name: r.name,
+  category: r.category,
+  region: r.region,
+  providerTier: r.provider_tier,
+  promotionStatus: r.promotion_status,
+  commissionPercent: parseFloat(r.commission_percent),
+  fixedFee: parseFloat(r.fixed_fee),
+  priority: r.priority,
+  effectiveFrom: r.effective_from,
+  effectiveTo: r.effective_to,
+  isActive: r.is_active,
+  createdAt: r.created_at
+});
+
+router.get('/commission-rules', requireAdminUser, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM commission_rules ORDER BY is_active DESC, effective_from DESC, id DESC');
+    res.json({
+      success: true,
+      rules: result.rows.map(formatCommissionRule),
+      defaultCommissionPercent: DEFAULT_COMMISSION_PERCENT
+    });
+  } catch (error) {
+    console.error('Commission rules error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching commission rules' });
+  }
+});
+
+router.post('/commission-rules', requireAdminUser, async (req, res) => {
+  try {
+    const { rule, error } = validateRule(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
 
+    const result = await pool.query(
+      `INSERT INTO commission_rules (name, category, region, provider_tier, promotion_status, commission_percent,
+         fixed_fee, priority, effective_from, effective_to, is_active, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       RETURNING *`,
+      [rule.name, rule.category, rule.region, rule.provider_tier, rule.promotion_status, rule.commission_percent,
+        rule.fixed_fee, rule.priority, rule.effective_from, rule.effective_to, rule.is_active, req.user.id]
+    );
+
+    res.status(201).json({ success: true, message: 'Commission rule created', rule: formatCommissionRule(result.rows[0]) });
+  } catch (error) {
+    console.error('Create commission rule error:', error);
+    res.status(500).json({ success: false, message: 'Error creating commission rule' });
+  }
+});
+
+// Rule changes only affect bookings made afterwards; existing bookings keep their snapshot
+router.put('/commission-rules/:id', requireAdminUser, async (req, res) => {
+  try {
+    const { rule, error } = validateRule(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const result = await pool.query(
+      `UPDATE commission_rules
+       SET name = $1, category = $2, region = $3, provider_tier = $4, promotion_status = $5, commission_percent = $6,
+           fixed_fee = $7, priority = $8, effective_from = $9, effective_to = $10, is_active = $11
+       WHERE id = $12
+       RETURNING *`,
+      [rule.name, rule.category, rule.region, rule.provider_tier, rule.promotion_status, rule.commission_percent,
+        rule.fixed_fee, rule.priority, rule.effective_from, rule.effective_to, rule.is_active, req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Commission rule not found' });
+    }
+
+    res.json({ success: true, message: 'Commission rule updated', rule: formatCommissionRule(result.rows[0]) });
+  } catch (error) {
+    console.error('Update commission rule error:', error);
+    res.status(500).json({ success: false, message: 'Error updating commission rule' });
+  }
+});
+
+// Rules are deactivated rather than deleted so past snapshots still name an existing rule
+router.delete('/commission-rules/:id', requireAdminUser, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'UPDATE commission_rules SET is_active = FALSE WHERE id = $1 RETURNING *',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Commission rule not found' });
+    }
+
+    res.json({ success: true, message: 'Commission rule deactivated' });
+  } catch (error) {
+    console.error('Delete commission rule error:', error);
+    res.status(500).json({ success: false, message: 'Error deactivating commission rule' });
+  }
+});
+
+// ==========================================
+// PROMO CODES
+// ==========================================
+
+// Every code with its redemption figures, for the campaign report
+router.get('/promo-codes', requireAdminUser, async (req, res) => {
+  try {
+    const promoCodes = (await getRedemptionReport(pool)).map(formatPromoCode);
+    const active = promoCodes.filter(p => p.isActive && (!p.validUntil || new Date(p.validUntil) >= new Date()));
+
+    res.json({
+      success: true,
+      promoCodes,
+      summary: {
+        totalCodes: promoCodes.length,
+        activeCodes: active.length,
+        activeCampaigns: new Set(active.map(p => p.campaign || p.code)).size,
+        redemptions: promoCodes.reduce((sum, p) => sum + p.redemptions, 0),
+        paidBookings: promoCodes.reduce((sum, p) => sum + p.paidBookings, 0)
+      }
+    });
+  } catch (error) {
+    console.error('Promo codes error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching promo codes' });
+  }
+});
+
+router.get('/promo-codes/:id/redemptions', requireAdminUser, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT r.*, u.first_name, u.last_name, u.email,
+              COALESCE(b.total_amount, o.total_amount) AS booking_amount,
+              COALESCE(b.payment_status, o.status) AS payment_status
+       FROM promo_redemptions r
+       JOIN users u ON r.user_id = u.id
+       LEFT JOIN bookings b ON r.booking_id = b.id
+       LEFT JOIN orders o ON r.order_id = o.id
+       WHERE r.promo_code_id = $1
+       ORDER BY r.created_at DESC`,
+      [req.params.id]
+    );
+
+    res.json({
+      success: true,
+      redemptions: result.rows.map(r => ({
+        id: r.id,
+        travelerName: `${r.first_name || ''} ${r.last_name || ''}`.trim(),
+        travelerEmail: r.email,
+        bookingId: r.booking_id,
+        orderId: r.order_id,
+        discountAmount: parseFloat(r.discount_amount),
+        currency: r.currency,
+        bookingAmount: r.booking_amount === null ? null : parseFloat(r.booking_amount),
+        paymentStatus: r.payment_status,
+        status: r.status,
+        createdAt: r.created_at
+      }))
+    });
+  } catch (error) {
+    console.error('Promo redemptions error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching redemptions' });
+  }
+});
+
+// Admin codes apply platform-wide unless limited to a provider, service, category or region
+router.post('/promo-codes', requireAdminUser, async (req, res) => {
+  try {
+    const { promo, error } = validatePromoCode(req.body, { providerId: req.body.providerId ? parseInt(req.body.providerId) : null });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const created = await createPromoCode(pool, promo, req.user.id);
+    if (!created) {
+      return res.status(409).json({ success: false, message: `The code ${promo.code} is already taken` });
+    }
+
+    res.status(201).json({ success: true, message: 'Promo code created', promoCode: formatPromoCode(created) });
+  } catch (error) {
+    console.error('Create promo code error:', error);
+    res.status(500).json({ success: false, message: 'Error creating promo code' });
+  }
+});
+
+router.put('/promo-codes/:id', requireAdminUser, async (req, res) => {
+  try {
+    const existing = await pool.query('SELECT code, provider_id FROM promo_codes WHERE id = $1', [req.params.id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Promo code not found' });
+    }
+
+    const providerId = req.body.providerId === undefined ? existing.rows[0].provider_id : (parseInt(req.body.providerId) || null);
+    const { promo, error } = validatePromoCode({ ...req.body, code: existing.rows[0].code }, { providerId });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const updated = await updatePromoCode(pool, req.params.id, promo);
+    res.json({ success: true, message: 'Promo code updated', promoCode: formatPromoCode(updated) });
+  } catch (error) {
+    console.error('Update promo code error:', error);
+    res.status(500).json({ success: false, message: 'Error updating promo code' });
+  }
+});
+
+// Codes are deactivated rather than deleted so their redemptions stay reportable
+router.delete('/promo-codes/:id', requireAdminUser, async (req, res) => {
+  try {
+    const result = await pool.query('UPDATE promo_codes SET is_active = FALSE WHERE id = $1 RETURNING id', [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Promo code not found' });
+    }
+
+    res.json({ success: true, message: 'Promo code deactivated' });
+  } catch (error) {
+    console.error('Delete promo code error:', error);
+    res.status(500).json({ success: false, message: 'Error deactivating promo code' });
+  }
+});
+
+// Provider balances from the ledger
+router.get('/payouts', requireAdminUser, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    await syncLedger(pool);
+    const balances = await getProviderBalances(pool);
+    const pageRows = balances.slice(offset, offset + parseInt(limit));
+
+    const providerIds = pageRows.map(row => row.providerId);
+    const providersResult = await pool.query(
+      'SELECT sp.id, sp.business_name, u.first_name, u.last_name, u.email FROM service_providers sp LEFT JOIN users u ON sp.user_id = u.id WHERE sp.id = ANY($1)',
+      [providerIds]
+    );
+    const providers = Object.fromEntries(providersResult.rows.map(p => [p.id, p]));
+
+    const payouts = pageRows.map(row => {
+      const p = providers[row.providerId] || {};
+      return {
+        id: row.providerId,
+        provider: { name: p.business_name || ((p.first_name || '') + ' ' + (p.last_name || '')).trim(), email: p.email },
+        currency: row.currency,
+        totalEarnings: row.earned,
+        refunded: row.refunded,
+        paidOut: row.paidOut,
+        balance: row.balance,
+        status: row.balance > 0 ? 'pending' : 'settled'
+      };
+    });
+
+    const total = balances.length;
     res.json({ success: true, payouts, total, page: parseInt(page), totalPages: Math.ceil(total / parseInt(limit)) });
   } catch (error) {
     console.error('Payouts error:', error);
@@ -847,17 +1233,26 @@ router.get('/payouts', authenticateJWT, isAdmin, async (req, res) => {
   }
 });
 
-router.get('/payouts/pending', authenticateJWT, isAdmin, async (req, res) => {
+router.get('/payouts/pending', requireAdminUser, async (req, res) => {
   try {
+    await syncLedger(pool);
+    const balances = (await getProviderBalances(pool)).filter(row => row.balance > 0);
+
     const result = await pool.query(
-      'SELECT sp.id as provider_id, sp.business_name, u.first_name, u.last_name, u.email FROM service_providers sp LEFT JOIN users u ON sp.user_id = u.id'
+      'SELECT sp.id as provider_id, sp.business_name, u.first_name, u.last_name, u.email FROM service_providers sp LEFT JOIN users u ON sp.user_id = u.id WHERE sp.id = ANY($1)',
+      [balances.map(row => row.providerId)]
     );
-
-    const pendingPayouts = result.rows.map(p => ({
-      id: p.provider_id,
-      provider: { name: p.business_name || ((p.first_name || '') + ' ' + (p.last_name || '')).trim(), email: p.email },
-      amount: 0
-    }));
+    const providers = Object.fromEntries(result.rows.map(p => [p.provider_id, p]));
+
+    const pendingPayouts = balances.map(row => {
+      const p = providers[row.providerId] || {};
+      return {
+        id: row.providerId,
+        provider: { name: p.business_name || ((p.first_name || '') + ' ' + (p.last_name || '')).trim(), email: p.email },
+        amount: row.balance,
+        currency: row.currency
+      };
+    });
 
     res.json({ success: true, pendingPayouts, total: pendingPayouts.length });
   } catch (error) {
@@ -866,8 +1261,96 @@ router.get('/payouts/pending', authenticateJWT, isAdmin, async (req, res) => {
   }
 });
 
-router.post('/payouts/:id/process', authenticateJWT, isAdmin, async (req, res) => {
-  res.json({ success: true, message: 'Payout processed successfully' });
+router.get('/payouts/batches', requireAdminUser, async (req, res) => {
+  try {
+    const batchesResult = await pool.query(
+      'SELECT pb.*, u.first_name, u.last_name FROM payout_batches pb LEFT JOIN users u ON pb.created_by = u.id ORDER BY pb.created_at DESC LIMIT 20'
+    );
+    const payoutsResult = await pool.query(
+      'SELECT po.*, sp.business_name FROM payouts po LEFT JOIN service_providers sp ON po.provider_id = sp.id WHERE po.batch_id = ANY($1) ORDER BY po.amount DESC',
+      [batchesResult.rows.map(b => b.id)]
+    );
+
+    const batches = batchesResult.rows.map(b => ({
+      id: b.id,
+      status: b.status,
+      payoutCount: b.payout_count,
+      totalAmount: parseFloat(b.total_amount),
+      notes: b.notes,
+      createdBy: ((b.first_name || '') + ' ' + (b.last_name || '')).trim() || null,
+      createdAt: b.created_at,
+      completedAt: b.completed_at,
+      payouts: payoutsResult.rows.filter(po => po.batch_id === b.id).map(po => ({
+        id: po.id,
+        providerId: po.provider_id,
+        providerName: po.business_name,
+        amount: parseFloat(po.amount),
+        currency: po.currency,
+        status: po.status,
+        reference: po.reference,
+        failureReason: po.failure_reason,
+        paidAt: po.paid_at
+      }))
+    }));
+
+    res.json({ success: true, batches });
+  } catch (error) {
+    console.error('Payout batches error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching payout batches' });
+  }
+});
+
+// Pay out every provider balance at or above minimumAmount
+router.post('/payouts/batches', requireAdminUser, async (req, res) => {
+  try {
+    const { minimumAmount = 0, notes } = req.body;
+    const result = await createPayoutBatch(pool, {
+      adminId: req.user.id,
+      minimumAmount: parseFloat(minimumAmount) || 0,
+      notes
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    console.log(`✅ Payout batch ${result.batch.id} created with ${result.payouts.length} payouts`);
+    res.status(201).json({ success: true, message: `Payout batch created for ${result.payouts.length} providers`, batch: result.batch, payouts: result.payouts });
+  } catch (error) {
+    console.error('Create payout batch error:', error);
+    res.status(500).json({ success: false, message: 'Error creating payout batch' });
+  }
+});
+
+// Mark a payout paid (with the transfer reference) or failed (returns the amount to the provider's balance)
+router.post('/payouts/:id/process', requireAdminUser, async (req, res) => {
+  try {
+    const { status = 'paid', reference, reason } = req.body;
+    const result = await settlePayout(pool, { payoutId: req.params.id, adminId: req.user.id, status, reference, reason });
+
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+    if (result.payout.status === 'paid') {
+      eventBus.publish(DOMAIN_EVENTS.PAYOUT_PAID, { payout: result.payout });
+    }
+
+    res.json({ success: true, message: status === 'paid' ? 'Payout processed successfully' : 'Payout marked as failed', payout: result.payout });
+  } catch (error) {
+    console.error('Process payout error:', error);
+    res.status(500).json({ success: false, message: 'Error processing payout' });
+  }
+});
+
+router.get('/payouts/providers/:providerId/statement', requireAdminUser, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const statement = await getProviderStatement(pool, req.params.providerId, { from: from || null, to: to || null });
+    res.json({ success: true, statement });
+  } catch (error) {
+    console.error('Provider statement error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching provider statement' });
+  }
 });
 
 
@@ -1124,7 +1607,7 @@ router.get('/stories', authenticateJWT, isAdmin, async (req, res) => {
   }
 });
 
-router.post('/stories/:storyId/approve', authenticateJWT, isAdmin, async (req, res) => {
+router.post('/stories/:storyId/approve', requireAdminUser, async (req, res) => {
   try {
     const { storyId } = req.params;
     const result = await pool.query(
@@ -1134,6 +1617,7 @@ router.post('/stories/:storyId/approve', authenticateJWT, isAdmin, async (req, r
     if (result.rows.length === 0) {
       return res.status(404).json({ success: false, message: 'Story not found' });
     }
+    eventBus.publish(DOMAIN_EVENTS.STORY_APPROVED, { story: result.rows[0], actorId: req.user?.id || null });
     res.json({ success: true, message: 'Story approved and published successfully' });
   } catch (error) {
     console.error('Error approving story:', error);
@@ -1141,7 +1625,7 @@ router.post('/stories/:storyId/approve', authenticateJWT, isAdmin, async (req, r
   }
 });
 
-router.post('/stories/:storyId/reject', authenticateJWT, isAdmin, async (req, res) => {
+router.post('/stories/:storyId/reject', requireAdminUser, async (req, res) => {
   try {
     const { storyId } = req.params;
     const result = await pool.query(
@@ -1158,7 +1642,7 @@ router.post('/stories/:storyId/reject', authenticateJWT, isAdmin, async (req, re
   }
 });
 
-router.delete('/stories/:storyId', authenticateJWT, isAdmin, async (req, res) => {
+router.delete('/stories/:storyId', requireAdminUser, async (req, res) => {
   try {
     const { storyId } = req.params;
     // Delete related likes and comments first (ignore errors if tables don't exist)
@@ -1181,6 +1665,139 @@ router.delete('/stories/:storyId', authenticateJWT, isAdmin, async (req, res) =>
 });
 
 
+// ==========================================
+// REVIEW MODERATION
+// ==========================================
+
+router.get('/reviews/moderation', requireAdminUser, async (req, res) => {
+  try {
+    const { status = 'flagged', page = 1, limit = 20 } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    let whereClause = 'r.is_flagged = TRUE AND r.is_hidden IS NOT TRUE';
+    if (status === 'hidden') whereClause = 'r.is_hidden = TRUE';
+    else if (status === 'all') whereClause = '1=1';
+
+    const countResult = await pool.query(`SELECT COUNT(*) FROM reviews r WHERE ${whereClause}`);
+    const total = parseInt(countResult.rows[0]?.count || 0);
+
+    const result = await pool.query(`
+      SELECT r.*, s.title as service_title, sp.business_name, u.first_name, u.last_name, u.email
+      FROM reviews r
+      LEFT JOIN services s ON r.service_id = s.id
+      LEFT JOIN service_providers sp ON r.provider_id = sp.id
+      LEFT JOIN users u ON r.traveler_id = u.id
+      WHERE ${whereClause}
+      ORDER BY COALESCE(r.flagged_at, r.created_at) DESC
+      LIMIT $1 OFFSET $2
+    `, [parseInt(limit), offset]);
+
+    const reviews = result.rows.map(r => ({
+      id: r.id,
+      rating: r.rating,
+      comment: r.comment,
+      providerReply: r.provider_reply,
+      isFlagged: r.is_flagged,
+      isHidden: r.is_hidden,
+      flagReason: r.flag_reason,
+      flaggedAt: r.flagged_at,
+      moderationReason: r.moderation_reason,
+      moderatedAt: r.moderated_at,
+      service: { id: r.service_id, title: r.service_title },
+      provider: { id: r.provider_id, name: r.business_name },
+      traveler: { name: `${r.first_name || ''} ${r.last_name || ''}`.trim(), email: r.email },
+      createdAt: r.created_at
+    }));
+
+    const statsResult = await pool.query(`
+      SELECT
+        (SELECT COUNT(*) FROM traveler_stories) as stories,
+        (SELECT COUNT(*) FROM story_comments) as comments,
+        (SELECT COUNT(*) FROM reviews) as reviews,
+        (SELECT COUNT(*) FROM reviews WHERE is_flagged = TRUE AND is_hidden IS NOT TRUE) as flagged,
+        (SELECT COUNT(*) FROM reviews WHERE is_hidden = TRUE) as hidden
+    `);
+    const statsRow = statsResult.rows[0] || {};
+
+    res.json({
+      success: true,
+      reviews,
+      stats: {
+        stories: parseInt(statsRow.stories || 0),
+        comments: parseInt(statsRow.comments || 0),
+        reviews: parseInt(statsRow.reviews || 0),
+        flagged: parseInt(statsRow.flagged || 0),
+        hidden: parseInt(statsRow.hidden || 0)
+      },
+      total,
+      page: parseInt(page),
+      totalPages: Math.ceil(total / parseInt(limit))
+    });
+  } catch (error) {
+    console.error('Error fetching review moderation queue:', error);
+    res.status(500).json({ success: false, message: 'Error fetching review moderation queue' });
+  }
+});
+
+// Hide, restore or delete a review; each changes what counts toward the rating aggregates
+const moderateReviewHandler = (action) => async (req, res) => {
+  try {
+    const reviewId = parseInt(req.params.reviewId);
+    if (isNaN(reviewId)) {
+      return res.status(400).json({ success: false, message: 'Invalid review ID' });
+    }
+
+    const result = await moderateReview(pool, { reviewId, action, reason: req.body?.reason, actorId: req.user.id });
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    const messages = { hide: 'Review hidden', restore: 'Review restored', delete: 'Review deleted' };
+    res.json({ success: true, message: messages[action], review: result.review });
+  } catch (error) {
+    console.error(`Error moderating review (${action}):`, error);
+    res.status(500).json({ success: false, message: 'Error moderating review' });
+  }
+};
+
+router.post('/reviews/:reviewId/hide', requireAdminUser, moderateReviewHandler('hide'));
+router.post('/reviews/:reviewId/restore', requireAdminUser, moderateReviewHandler('restore'));
+router.delete('/reviews/:reviewId', requireAdminUser, moderateReviewHandler('delete'));
+
+
+// ==========================================
+// PRE-ORDER EXPIRY AND BACKGROUND JOBS
+// ==========================================
+
+router.get('/settings/pre-order-expiry', requireAdminUser, async (req, res) => {
+  try {
+    res.json({ success: true, settings: await getExpirySettings(pool) });
+  } catch (error) {
+    console.error('Pre-order expiry settings error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching expiry settings' });
+  }
+});
+
+// New thresholds apply from the next run of the expiry job, including to pre-orders already waiting
+router.put('/settings/pre-order-expiry', requireAdminUser, async (req, res) => {
+  try {
+    const { settings, error } = normalizeExpirySettings(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    await saveExpirySettings(pool, settings);
+    res.json({ success: true, message: 'Expiry settings saved', settings });
+  } catch (error) {
+    console.error('Save pre-order expiry settings error:', error);
+    res.status(500).json({ success: false, message: 'Error saving expiry settings' });
+  }
+});
+
+router.get('/jobs', requireAdminUser, (req, res) => {
+  res.json({ success: true, jobs: scheduler.getStatus() });
+});
+
 // ==========================================
 // SYSTEM HEALTH
 // ==========================================
@@ -6,6 +6,9 @@ const { body, validationResult } = require('express-validator');
 const { getValidationMiddleware } = require('../middleware/validation');
 const { handleDuplicateKeyError } = require('../middleware/duplicateHandler');
 const { User, ServiceProvider } = require('../models');
+const { pool } = require('../config/postgresql');
+const { appUrl, queueEmail, deliverSoon } = require('../utils/mailer');
+const { RESET_TOKEN_MINUTES, requestPasswordReset, resetPassword } = require('../utils/passwordReset');
 const router = express.Router();
 
 // Generate JWT token
@@ -14,13 +17,31 @@ const generateToken = (user) => {
     { 
       id: user.id, 
       email: user.email, 
-      userType: user.user_type 
+      userType: user.user_type,
+      // Resetting the password bumps the user's version, signing out tokens issued before it
+      sessionVersion: user.session_version || 0
     },
     process.env.JWT_SECRET,
     { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
   );
 };
 
+// Email the user a link that confirms their address
+const sendVerificationEmail = async (user) => {
+  const verifyToken = jwt.sign(
+    { id: user.id, email: user.email, type: 'email_verification' },
+    process.env.JWT_SECRET,
+    { expiresIn: '3d' }
+  );
+  await queueEmail(pool, {
+    to: user.email,
+    userId: user.id,
+    template: 'email_verification',
+    data: { name: user.first_name, verifyUrl: appUrl(`/verify-email?token=${encodeURIComponent(verifyToken)}`) }
+  });
+  deliverSoon(pool);
+};
+
 // Register endpoint - PostgreSQL version
 router.post('/register', getValidationMiddleware('register'), async (req, res) => {
   try {
@@ -124,6 +145,12 @@ router.post('/register', getValidationMiddleware('register'), async (req, res) =
       responseUser.locationData = locationData || {};
     }
 
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (emailError) {
+      console.error('❌ Verification email error:', emailError);
+    }
+
     res.status(201).json({
       success: true,
       message: 'Registration successful',
@@ -573,20 +600,25 @@ router.post('/forgot-password', async (req, res) => {
       });
     }
 
-    // Find user by email
-    const user = await User.findByEmail(email.toLowerCase().trim());
-    
+    const result = await requestPasswordReset(pool, { email, ip: req.ip });
+    if (result.success === false) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
     // Always return success for security (don't reveal if email exists)
-    if (user) {
-      // Generate reset token
-      const resetToken = jwt.sign(
-        { id: user.id, email: user.email, type: 'password_reset' },
-        process.env.JWT_SECRET,
-        { expiresIn: '1h' }
-      );
-      
-      console.log(`Password reset requested for: ${email}`);
-      // TODO: Implement email sending
+    if (result.user) {
+      console.log(`Password reset requested for: ${result.user.email}`);
+      await queueEmail(pool, {
+        to: result.user.email,
+        userId: result.user.id,
+        template: 'password_reset',
+        data: {
+          name: result.user.first_name,
+          resetUrl: appUrl(`/reset-password?token=${encodeURIComponent(result.token)}`),
+          expiresInMinutes: RESET_TOKEN_MINUTES
+        }
+      });
+      deliverSoon(pool);
     }
 
     res.json({
@@ -602,4 +634,71 @@ router.post('/forgot-password', async (req, res) => {
   }
 });
 
+// Reset Password - Set a new password with the token from the reset email
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const result = await resetPassword(pool, { token, password });
+    if (result.success === false) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    console.log(`✅ Password reset for user: ${result.userId}`);
+    res.json({
+      success: true,
+      message: 'Your password has been reset. Please sign in with your new password.'
+    });
+  } catch (error) {
+    console.error('❌ RESET PASSWORD Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password'
+    });
+  }
+});
+
+// Confirm an email address with the token from the verification email
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+    let payload = null;
+    try {
+      payload = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (tokenError) {
+      // Expired or tampered tokens are answered below
+    }
+    if (!payload || payload.type !== 'email_verification') {
+      return res.status(400).json({ success: false, message: 'This verification link is invalid or has expired' });
+    }
+
+    const result = await pool.query(
+      'UPDATE users SET is_verified = true, updated_at = NOW() WHERE id = $1 AND email = $2 RETURNING id',
+      [payload.id, payload.email]
+    );
+    if (result.rows.length === 0) {
+      return res.status(400).json({ success: false, message: 'This verification link is invalid or has expired' });
+    }
+
+    res.json({ success: true, message: 'Your email address is confirmed' });
+  } catch (error) {
+    console.error('❌ VERIFY EMAIL Error:', error);
+    res.status(500).json({ success: false, message: 'Failed to verify email' });
+  }
+});
+
+// Send the verification email again
+router.post('/resend-verification', passport.authenticate('jwt', { session: false }), async (req, res) => {
+  try {
+    if (req.user.is_verified) {
+      return res.json({ success: true, message: 'Your email address is already confirmed' });
+    }
+    await sendVerificationEmail(req.user);
+    res.json({ success: true, message: 'Verification email sent' });
+  } catch (error) {
+    console.error('❌ RESEND VERIFICATION Error:', error);
+    res.status(500).json({ success: false, message: 'Failed to send verification email' });
+  }
+});
+
 module.exports = router;
@@ -3,6 +3,32 @@ const { body, validationResult } = require('express-validator');
 const passport = require('passport');
 const { pool } = require('../config/postgresql');
 const { Booking, Service, ServiceProvider } = require('../models');
+const { checkCapacity, toDateKey, validateBookingDate } = require('../utils/availability');
+const { recordStatusChange, transitionBooking } = require('../utils/bookingStateMachine');
+const { normalizePolicy, quoteCancellation, cancelBooking } = require('../utils/cancellations');
+const {
+  normalizePaymentPlan,
+  buildInstalmentSchedule,
+  createInstalments,
+  getInstalmentSummary,
+  formatInstalment
+} = require('../utils/paymentPlans');
+const { getFeeBreakdown } = require('../utils/commission');
+const { normalizeCurrency, getRates, quoteCharge } = require('../utils/currency');
+const { recordPromotionSubsidy } = require('../utils/ledger');
+const { applyPromoCode, toPromoItem, platformDiscount, recordRedemption } = require('../utils/promoCodes');
+const { issueBookingInvoice, getOrIssueDocument, renderInvoicePdf } = require('../utils/invoices');
+const { VOUCHER_STATUSES, buildVoucher, renderVoucherPdf, checkInBooking } = require('../utils/vouchers');
+const { releasesCapacity, offerReleasedSeats, acceptWaitlistOffer } = require('../utils/waitlist');
+const {
+  previewModification,
+  requestModification,
+  decideModification,
+  withdrawModification,
+  formatModification
+} = require('../utils/modifications');
+const { PENDING_SINCE, getExpirySettings, responseDueAt } = require('../utils/preOrderExpiry');
+const { DOMAIN_EVENTS, bookingStatusEvent, eventBus } = require('../utils/domainEvents');
 
 const router = express.Router();
 const authenticateJWT = passport.authenticate('jwt', { session: false });
@@ -137,7 +163,8 @@ router.get('/', authenticateJWT, async (req, res) => {
         u.first_name,
         u.last_name,
         u.email,
-        u.phone
+        u.phone,
+        ${PENDING_SINCE} AS pending_since
       FROM bookings b
       LEFT JOIN services s ON b.service_id = s.id
       LEFT JOIN service_providers sp ON b.provider_id = sp.id
@@ -159,6 +186,7 @@ router.get('/', authenticateJWT, async (req, res) => {
     `;
     const countResult = await pool.query(countQuery, queryParams.slice(0, -2)); // Remove limit and offset
     const total = parseInt(countResult.rows[0].total);
+    const expirySettings = await getExpirySettings(pool);
 
     const enrichedBookings = result.rows.map(b => ({
       id: b.id,
@@ -173,6 +201,10 @@ router.get('/', authenticateJWT, async (req, res) => {
       total_price: b.total_amount, // Alias for frontend compatibility
       status: b.status,
       payment_status: b.payment_status,
+      payment_plan: b.payment_plan,
+      // Pending requests not answered by then are declined automatically
+      response_due_at: b.status === 'pending' ? responseDueAt(b.pending_since, expirySettings) : null,
+      checked_in_at: b.checked_in_at,
       special_requests: b.special_requests,
       created_at: b.created_at,
       updated_at: b.updated_at,
@@ -236,7 +268,8 @@ router.get('/provider/my-bookings', authenticateJWT, async (req, res) => {
         u.first_name as traveler_first_name,
         u.last_name as traveler_last_name,
         u.email as traveler_email,
-        u.phone as traveler_phone
+        u.phone as traveler_phone,
+        ${PENDING_SINCE} AS pending_since
       FROM bookings b
       LEFT JOIN services s ON b.service_id = s.id
       LEFT JOIN users u ON b.traveler_id = u.id
@@ -245,6 +278,7 @@ router.get('/provider/my-bookings', authenticateJWT, async (req, res) => {
     `;
 
     const result = await pool.query(query, [providerId]);
+    const expirySettings = await getExpirySettings(pool);
 
     const bookings = result.rows.map(b => ({
       id: b.id,
@@ -258,8 +292,13 @@ router.get('/provider/my-bookings', authenticateJWT, async (req, res) => {
       participants: b.participants,
       number_of_guests: b.participants, // Alias for frontend
       total_amount: b.total_amount,
+      fee_breakdown: b.fee_breakdown,
       status: b.status,
       payment_status: b.payment_status,
+      payment_plan: b.payment_plan,
+      // Pending requests not answered by then are declined automatically
+      response_due_at: b.status === 'pending' ? responseDueAt(b.pending_since, expirySettings) : null,
+      checked_in_at: b.checked_in_at,
       special_requests: b.special_requests,
       created_at: b.created_at,
       updated_at: b.updated_at,
@@ -300,6 +339,7 @@ router.get('/:id', authenticateJWT, async (req, res) => {
         s.title as service_title,
         s.category,
         s.price,
+        s.currency as service_currency,
         s.location as service_location,
         s.images,
         sp.business_name,
@@ -332,6 +372,12 @@ router.get('/:id', authenticateJWT, async (req, res) => {
       end_time: b.end_time,
       participants: b.participants,
       total_amount: b.total_amount,
+      discount_amount: b.discount_amount,
+      checked_in_at: b.checked_in_at,
+      currency: b.settlement_currency || b.service_currency || 'TZS',
+      charged_amount: b.charged_amount,
+      charged_currency: b.charged_currency,
+      exchange_rate: b.exchange_rate,
       status: b.status,
       payment_status: b.payment_status,
       special_requests: b.special_requests,
@@ -365,47 +411,152 @@ router.get('/:id', authenticateJWT, async (req, res) => {
 
 // Create new booking
 router.post('/', [authenticateJWT, body('serviceId').notEmpty()], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ success: false, errors: errors.array() });
-    }
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const { serviceId, bookingDate, startTime, endTime, specialRequests, currency, promoCode } = req.body;
+  const participants = parseInt(req.body.participants) || 1;
+  const bookingDateKey = bookingDate ? toDateKey(bookingDate) : toDateKey(new Date());
+
+  if (participants < 1) {
+    return res.status(400).json({ success: false, message: 'Participants must be at least 1' });
+  }
+  const dateError = validateBookingDate(bookingDateKey);
+  if (dateError) {
+    return res.status(400).json({ success: false, message: dateError });
+  }
+  if (currency && !normalizeCurrency(currency)) {
+    return res.status(400).json({ success: false, message: `Unsupported currency: ${currency}` });
+  }
 
-    const { serviceId, bookingDate, startTime, endTime, participants = 1, specialRequests } = req.body;
+  console.log('📋 [CREATE BOOKING] Request:', { serviceId, bookingDate: bookingDateKey, participants, userId: req.user.id });
 
-    console.log('📋 [CREATE BOOKING] Request:', { serviceId, bookingDate, participants, userId: req.user.id });
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
 
-    // Find service - use simple query
-    const service = await Service.findById(parseInt(serviceId));
+    // Lock the service row so concurrent requests for the same service check capacity one at a time
+    const serviceResult = await client.query('SELECT * FROM services WHERE id = $1 FOR UPDATE', [parseInt(serviceId)]);
+    const service = serviceResult.rows[0];
     if (!service) {
+      await client.query('ROLLBACK');
       console.log('❌ Service not found:', serviceId);
       return res.status(404).json({ success: false, message: 'Service not found' });
     }
 
     console.log('✅ Service found:', service.title, 'Provider:', service.provider_id);
 
-    const totalAmount = (service.price || 0) * participants;
+    const capacity = await checkCapacity(client, service, bookingDateKey, startTime, { userId: parseInt(req.user.id) });
+    if (!capacity.available) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ success: false, code: 'UNAVAILABLE', message: capacity.message });
+    }
+    if (capacity.remaining !== null && participants > capacity.remaining) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        code: 'CAPACITY_EXCEEDED',
+        message: capacity.remaining === 0
+          ? 'This date is fully booked'
+          : `Only ${capacity.remaining} spot${capacity.remaining === 1 ? '' : 's'} left on this date`,
+        remaining: capacity.remaining
+      });
+    }
+
+    const grossAmount = (service.price || 0) * participants;
+    const settlementCurrency = service.currency || 'TZS';
+
+    let promo = null;
+    let discountAmount = 0;
+    if (promoCode) {
+      const applied = await applyPromoCode(client, {
+        code: promoCode,
+        userId: parseInt(req.user.id),
+        items: [toPromoItem(service, grossAmount)],
+        currency: settlementCurrency
+      });
+      if (applied.error) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ success: false, code: 'PROMO_INVALID', message: applied.error });
+      }
+      promo = applied.promo;
+      discountAmount = applied.discount;
+    }
+    const totalAmount = Math.round((grossAmount - discountAmount) * 100) / 100;
+
+    // Charge in the currency the traveler chose, or their saved preference, at today's rate
+    let chargeCurrency = currency;
+    if (!chargeCurrency) {
+      const userResult = await client.query('SELECT preferred_currency FROM users WHERE id = $1', [parseInt(req.user.id)]);
+      chargeCurrency = userResult.rows[0]?.preferred_currency;
+    }
+    const charge = quoteCharge(totalAmount, service.currency, chargeCurrency, await getRates(client));
+    if (charge.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, message: charge.error });
+    }
+
+    // Deposit and instalments when the service offers a plan and the date is far enough off to use it
+    const paymentPlan = normalizePaymentPlan(service.payment_plan).plan;
+    const instalmentSchedule = buildInstalmentSchedule({ plan: paymentPlan, totalAmount, bookingDate: bookingDateKey });
 
-    // Create booking using the model
     const bookingData = {
       traveler_id: parseInt(req.user.id),
-      service_id: parseInt(serviceId),
+      service_id: service.id,
       provider_id: service.provider_id,
-      booking_date: bookingDate || new Date().toISOString().split('T')[0],
-      start_time: startTime || null,
-      end_time: endTime || null,
-      participants: parseInt(participants) || 1,
+      booking_date: bookingDateKey,
+      start_time: capacity.slot ? capacity.slot.start_time : (startTime || null),
+      end_time: capacity.slot ? capacity.slot.end_time : (endTime || null),
+      participants,
       total_amount: totalAmount,
       special_requests: specialRequests || null,
       status: 'pending', // Goes to provider for review (database constraint doesn't have 'draft')
-      payment_status: 'pending'
+      // Nothing to collect when a promo code covers the whole price
+      payment_status: totalAmount > 0 ? 'pending' : 'paid',
+      slot_id: capacity.slot ? capacity.slot.id : null,
+      // Terms the traveler agreed to, kept even if the provider changes the service later
+      cancellation_policy: normalizePolicy(service.cancellation_policy).policy,
+      payment_plan: instalmentSchedule.length > 0 ? paymentPlan : null,
+      // Commission that applies today, so later rule changes don't alter this booking's split,
+      // and the part of the discount the platform pays for
+      fee_breakdown: { ...await getFeeBreakdown(client, service, totalAmount), platformDiscount: platformDiscount(promo, discountAmount) },
+      settlement_currency: charge.settlementCurrency,
+      charged_currency: charge.chargedCurrency,
+      charged_amount: charge.chargedAmount,
+      exchange_rate: charge.exchangeRate,
+      promo_code_id: promo ? promo.id : null,
+      discount_amount: discountAmount
     };
 
     console.log('📝 Creating booking with data:', bookingData);
 
-    const newBooking = await Booking.create(bookingData);
+    const newBooking = await Booking.create(bookingData, client);
+    await recordStatusChange(client, {
+      bookingId: newBooking.id,
+      toStatus: newBooking.status,
+      actor: 'traveler',
+      actorId: bookingData.traveler_id
+    });
+    if (promo) {
+      await recordRedemption(client, {
+        promo,
+        userId: bookingData.traveler_id,
+        bookingId: newBooking.id,
+        discount: discountAmount,
+        currency: settlementCurrency
+      });
+    }
+    if (newBooking.payment_status === 'paid') {
+      await recordPromotionSubsidy(client, newBooking);
+    }
+    const instalments = await createInstalments(client, newBooking, instalmentSchedule);
+    await acceptWaitlistOffer(client, { userId: bookingData.traveler_id, booking: newBooking });
+    await client.query('COMMIT');
 
     console.log('✅ Booking created:', newBooking.id);
+    eventBus.publish(DOMAIN_EVENTS.BOOKING_CREATED, { bookingId: newBooking.id, actor: 'traveler', actorId: bookingData.traveler_id });
 
     res.status(201).json({
       success: true,
@@ -414,62 +565,100 @@ router.post('/', [authenticateJWT, body('serviceId').notEmpty()], async (req, re
         id: newBooking.id,
         service_title: service.title,
         booking_date: newBooking.booking_date,
+        start_time: newBooking.start_time,
         participants: newBooking.number_of_guests || newBooking.participants,
         total_price: newBooking.total_amount,
-        status: newBooking.status
+        discount_amount: newBooking.discount_amount,
+        currency: newBooking.settlement_currency,
+        charged_amount: newBooking.charged_amount,
+        charged_currency: newBooking.charged_currency,
+        exchange_rate: newBooking.exchange_rate,
+        status: newBooking.status,
+        payment_status: newBooking.payment_status,
+        instalments: instalments.map(formatInstalment)
       }
     });
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('❌ CREATE BOOKING Error:', error);
     res.status(500).json({ success: false, message: 'Error creating booking: ' + error.message });
+  } finally {
+    client.release();
   }
 });
 
-// Update booking status (provider only)
-router.patch('/:id/status', authenticateJWT, async (req, res) => {
+// Change booking status through the booking state machine.
+// Providers approve, decline and complete; travelers can withdraw or cancel their own bookings.
+// Cancelling goes through the same path as POST /:id/cancel so any payment is refunded.
+const updateBookingStatus = async (req, res) => {
+  if (req.body?.status === 'cancelled') {
+    return cancelBookingHandler(req, res);
+  }
+
   try {
-    const { status } = req.body;
-    if (!['draft', 'pending', 'confirmed', 'cancelled', 'completed'].includes(status)) {
-      return res.status(400).json({ success: false, message: 'Invalid status' });
-    }
+    const { status, reason } = req.body;
 
     const bookingId = parseInt(req.params.id);
     if (isNaN(bookingId)) {
       return res.status(400).json({ success: false, message: 'Invalid booking ID' });
     }
 
-    // Get provider
-    const providerResult = await pool.query(
-      'SELECT id FROM service_providers WHERE user_id = $1',
-      [parseInt(req.user.id)]
-    );
-    
-    if (providerResult.rows.length === 0) {
-      return res.status(403).json({ success: false, message: 'Only providers can update booking status' });
-    }
+    const userId = parseInt(req.user.id);
+    const userType = req.user.user_type || req.user.userType;
 
-    const providerId = providerResult.rows[0].id;
+    let actor = 'traveler';
+    let authorize = (booking) => booking.traveler_id === userId;
 
-    // Update booking
-    const updateResult = await pool.query(
-      `UPDATE bookings SET status = $1, updated_at = NOW() 
-       WHERE id = $2 AND provider_id = $3 
-       RETURNING *`,
-      [status, bookingId, providerId]
-    );
+    if (userType === 'service_provider') {
+      const providerResult = await pool.query(
+        'SELECT id FROM service_providers WHERE user_id = $1',
+        [userId]
+      );
+      if (providerResult.rows.length === 0) {
+        return res.status(403).json({ success: false, message: 'Service provider profile not found' });
+      }
+      const providerId = providerResult.rows[0].id;
+      actor = 'provider';
+      authorize = (booking) => booking.provider_id === providerId;
+    }
 
-    if (updateResult.rows.length === 0) {
-      return res.status(404).json({ success: false, message: 'Booking not found' });
+    const result = await transitionBooking(pool, {
+      bookingId,
+      toStatus: status,
+      actor,
+      actorId: userId,
+      reason: reason || null,
+      authorize
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message, allowed: result.allowed });
     }
 
-    console.log('✅ Booking status updated:', bookingId, '→', status);
+    console.log('✅ Booking status updated:', bookingId, result.fromStatus, '→', status, `(${actor})`);
+    eventBus.publish(bookingStatusEvent(status), {
+      bookingId,
+      actor,
+      actorId: userId,
+      fromStatus: result.fromStatus,
+      reason: reason || null
+    });
+
+    if (releasesCapacity(result.fromStatus, status)) {
+      await offerReleasedSeats(pool, result.booking);
+    }
 
-    res.json({ success: true, message: 'Booking status updated', booking: updateResult.rows[0] });
+    res.json({ success: true, message: 'Booking status updated', booking: result.booking });
   } catch (error) {
     console.error('❌ UPDATE BOOKING STATUS Error:', error);
     res.status(500).json({ success: false, message: 'Error updating booking status' });
   }
-});
+};
+
+router.patch('/:id/status', authenticateJWT, updateBookingStatus);
+
+// PUT method for compatibility
+router.put('/:id/status', authenticateJWT, updateBookingStatus);
 
 // Submit pre-order to provider (traveler only) - changes status from draft to pending
 router.patch('/:id/submit', authenticateJWT, async (req, res) => {
@@ -481,42 +670,27 @@ router.patch('/:id/submit', authenticateJWT, async (req, res) => {
 
     const userId = parseInt(req.user.id);
 
-    // Check if booking exists and belongs to this traveler
-    const checkResult = await pool.query(
-      'SELECT id, status, traveler_id FROM bookings WHERE id = $1',
-      [bookingId]
-    );
-
-    if (checkResult.rows.length === 0) {
-      return res.status(404).json({ success: false, message: 'Pre-order not found' });
-    }
-
-    const booking = checkResult.rows[0];
-
-    // Check authorization - only traveler can submit their own pre-order
-    if (booking.traveler_id !== userId) {
-      return res.status(403).json({ success: false, message: 'Not authorized to submit this pre-order' });
-    }
+    const result = await transitionBooking(pool, {
+      bookingId,
+      toStatus: 'pending',
+      actor: 'traveler',
+      actorId: userId,
+      authorize: (booking) => booking.traveler_id === userId
+    });
 
-    // Check if status is draft
-    if (booking.status !== 'draft') {
-      return res.status(400).json({ success: false, message: 'Only draft pre-orders can be submitted' });
+    if (!result.success) {
+      const message = result.status === 409 ? 'Only draft pre-orders can be submitted' : 'Pre-order not found';
+      return res.status(result.status).json({ success: false, message });
     }
 
-    // Update status to pending (submitted to provider)
-    const updateResult = await pool.query(
-      `UPDATE bookings SET status = 'pending', updated_at = NOW() 
-       WHERE id = $1 
-       RETURNING *`,
-      [bookingId]
-    );
-
     console.log('✅ Pre-order submitted to provider:', bookingId, 'draft → pending');
+    eventBus.publish(DOMAIN_EVENTS.BOOKING_SUBMITTED, { bookingId, actor: 'traveler', actorId: userId, fromStatus: 'draft' });
 
+    const { providerResponseHours } = await getExpirySettings(pool);
     res.json({ 
       success: true, 
-      message: 'Pre-order submitted to provider successfully! They will review and respond within 24-48 hours.', 
-      booking: updateResult.rows[0] 
+      message: `Pre-order submitted to provider successfully! They have ${providerResponseHours} hours to respond before it is declined automatically.`, 
+      booking: result.booking 
     });
   } catch (error) {
     console.error('❌ SUBMIT PRE-ORDER Error:', error);
@@ -524,109 +698,328 @@ router.patch('/:id/submit', authenticateJWT, async (req, res) => {
   }
 });
 
-// Update booking status (provider only) - PUT method for compatibility
-router.put('/:id/status', authenticateJWT, async (req, res) => {
+// Get status timeline for a booking (traveler or provider of the booking)
+router.get('/:id/history', authenticateJWT, async (req, res) => {
   try {
-    const { status } = req.body;
-    if (!['draft', 'pending', 'confirmed', 'cancelled', 'completed'].includes(status)) {
-      return res.status(400).json({ success: false, message: 'Invalid status' });
+    const bookingId = parseInt(req.params.id);
+    if (isNaN(bookingId)) {
+      return res.status(400).json({ success: false, message: 'Invalid booking ID' });
+    }
+
+    const userId = parseInt(req.user.id);
+    const bookingResult = await pool.query(
+      `SELECT b.id FROM bookings b
+       LEFT JOIN service_providers sp ON b.provider_id = sp.id
+       WHERE b.id = $1 AND (b.traveler_id = $2 OR sp.user_id = $2)`,
+      [bookingId, userId]
+    );
+    if (bookingResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Booking not found' });
     }
 
+    const result = await pool.query(
+      `SELECT h.id, h.from_status, h.to_status, h.actor_type, h.reason, h.created_at,
+              u.first_name as actor_first_name, u.last_name as actor_last_name
+       FROM booking_status_history h
+       LEFT JOIN users u ON h.actor_id = u.id
+       WHERE h.booking_id = $1
+       ORDER BY h.created_at ASC, h.id ASC`,
+      [bookingId]
+    );
+
+    res.json({ success: true, history: result.rows });
+  } catch (error) {
+    console.error('❌ GET BOOKING HISTORY Error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching booking history' });
+  }
+});
+
+// Deposit and instalment schedule of a booking on a payment plan (traveler or provider of the booking)
+router.get('/:id/instalments', authenticateJWT, async (req, res) => {
+  try {
     const bookingId = parseInt(req.params.id);
     if (isNaN(bookingId)) {
       return res.status(400).json({ success: false, message: 'Invalid booking ID' });
     }
 
-    // Get provider
-    const providerResult = await pool.query(
-      'SELECT id FROM service_providers WHERE user_id = $1',
-      [parseInt(req.user.id)]
+    const userId = parseInt(req.user.id);
+    const bookingResult = await pool.query(
+      `SELECT b.* FROM bookings b
+       LEFT JOIN service_providers sp ON b.provider_id = sp.id
+       WHERE b.id = $1 AND (b.traveler_id = $2 OR sp.user_id = $2)`,
+      [bookingId, userId]
     );
-    
-    if (providerResult.rows.length === 0) {
-      return res.status(403).json({ success: false, message: 'Only providers can update booking status' });
+    if (bookingResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Booking not found' });
     }
 
-    const providerId = providerResult.rows[0].id;
+    const summary = await getInstalmentSummary(pool, bookingResult.rows[0]);
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    console.error('❌ GET INSTALMENTS Error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching payment schedule' });
+  }
+});
 
-    // Update booking
-    const updateResult = await pool.query(
-      `UPDATE bookings SET status = $1, updated_at = NOW() 
-       WHERE id = $2 AND provider_id = $3 
-       RETURNING *`,
-      [status, bookingId, providerId]
-    );
+// Download the invoice for a paid booking as a PDF, for its traveler or provider
+router.get('/:id/invoice', authenticateJWT, async (req, res) => {
+  try {
+    const bookingId = parseInt(req.params.id);
+    if (isNaN(bookingId)) {
+      return res.status(400).json({ success: false, message: 'Invalid booking ID' });
+    }
 
-    if (updateResult.rows.length === 0) {
+    const userId = parseInt(req.user.id);
+    const bookingResult = await pool.query(
+      `SELECT b.id FROM bookings b
+       LEFT JOIN service_providers sp ON b.provider_id = sp.id
+       WHERE b.id = $1 AND (b.traveler_id = $2 OR sp.user_id = $2)`,
+      [bookingId, userId]
+    );
+    if (bookingResult.rows.length === 0) {
       return res.status(404).json({ success: false, message: 'Booking not found' });
     }
 
-    console.log('✅ Booking status updated (PUT):', bookingId, '→', status);
+    const invoice = await getOrIssueDocument(pool, issueBookingInvoice, bookingId);
+    if (!invoice) {
+      return res.status(409).json({ success: false, message: 'An invoice is available once the booking has been paid' });
+    }
 
-    res.json({ success: true, message: 'Booking status updated', booking: updateResult.rows[0] });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${invoice.invoice_number}.pdf"`);
+    res.send(renderInvoicePdf(invoice));
   } catch (error) {
-    console.error('❌ UPDATE BOOKING STATUS Error:', error);
-    res.status(500).json({ success: false, message: 'Error updating booking status' });
+    console.error('❌ GET BOOKING INVOICE Error:', error);
+    res.status(500).json({ success: false, message: 'Error generating invoice' });
   }
 });
 
-// Delete booking permanently (traveler can delete their own bookings)
-router.delete('/:id', authenticateJWT, async (req, res) => {
+// Load a booking with what its voucher shows, for its traveler or provider
+const getVoucherBooking = async (bookingId, userId) => {
+  const result = await pool.query(
+    `SELECT b.*, s.title AS service_title, s.location AS service_location,
+            sp.business_name, sp.location AS provider_location, u.first_name, u.last_name
+     FROM bookings b
+     LEFT JOIN services s ON b.service_id = s.id
+     LEFT JOIN service_providers sp ON b.provider_id = sp.id
+     LEFT JOIN users u ON b.traveler_id = u.id
+     WHERE b.id = $1 AND (b.traveler_id = $2 OR sp.user_id = $2)`,
+    [bookingId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+// Voucher with its QR code, shown in the app once the provider has confirmed the booking
+router.get('/:id/voucher', authenticateJWT, async (req, res) => {
   try {
     const bookingId = parseInt(req.params.id);
     if (isNaN(bookingId)) {
       return res.status(400).json({ success: false, message: 'Invalid booking ID' });
     }
 
+    const booking = await getVoucherBooking(bookingId, parseInt(req.user.id));
+    if (!booking) {
+      return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+    if (!VOUCHER_STATUSES.includes(booking.status)) {
+      return res.status(409).json({ success: false, message: 'A voucher is available once the provider confirms the booking' });
+    }
+
+    res.json({ success: true, voucher: buildVoucher(booking) });
+  } catch (error) {
+    console.error('❌ GET BOOKING VOUCHER Error:', error);
+    res.status(500).json({ success: false, message: 'Error generating voucher' });
+  }
+});
+
+router.get('/:id/voucher/pdf', authenticateJWT, async (req, res) => {
+  try {
+    const bookingId = parseInt(req.params.id);
+    if (isNaN(bookingId)) {
+      return res.status(400).json({ success: false, message: 'Invalid booking ID' });
+    }
+
+    const booking = await getVoucherBooking(bookingId, parseInt(req.user.id));
+    if (!booking) {
+      return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+    if (!VOUCHER_STATUSES.includes(booking.status)) {
+      return res.status(409).json({ success: false, message: 'A voucher is available once the provider confirms the booking' });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="voucher-${bookingId}.pdf"`);
+    res.send(renderVoucherPdf(buildVoucher(booking)));
+  } catch (error) {
+    console.error('❌ GET VOUCHER PDF Error:', error);
+    res.status(500).json({ success: false, message: 'Error generating voucher' });
+  }
+});
+
+// Provider checks a traveler in with the scanned or typed voucher code; each voucher works once
+router.post('/check-in', authenticateJWT, async (req, res) => {
+  try {
     const userId = parseInt(req.user.id);
-    const userType = req.user.user_type || req.user.userType;
+    const providerResult = await pool.query('SELECT id FROM service_providers WHERE user_id = $1', [userId]);
+    if (providerResult.rows.length === 0) {
+      return res.status(403).json({ success: false, message: 'Only service providers can check travelers in' });
+    }
+    if (!req.body.code) {
+      return res.status(400).json({ success: false, message: 'Voucher code is required' });
+    }
 
-    // Check if booking exists
-    const checkResult = await pool.query(
-      'SELECT id, status, traveler_id, provider_id FROM bookings WHERE id = $1',
-      [bookingId]
-    );
+    const result = await checkInBooking(pool, { code: req.body.code, providerId: providerResult.rows[0].id, actorId: userId });
+    const details = result.booking && await getVoucherBooking(result.booking.id, userId);
+    const booking = details && {
+      id: details.id,
+      service_title: details.service_title,
+      traveler_name: [details.first_name, details.last_name].filter(Boolean).join(' '),
+      booking_date: details.booking_date,
+      start_time: details.start_time,
+      participants: details.participants,
+      status: details.status,
+      payment_status: details.payment_status,
+      checked_in_at: details.checked_in_at
+    };
+
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, code: result.code, message: result.message, booking });
+    }
+
+    console.log('✅ Booking checked in:', result.booking.id);
+    eventBus.publish(DOMAIN_EVENTS.BOOKING_COMPLETED, { bookingId: result.booking.id, actor: 'provider', actorId: userId, fromStatus: 'confirmed' });
+    res.json({ success: true, message: `${booking.traveler_name || 'Traveler'} is checked in`, booking });
+  } catch (error) {
+    console.error('❌ CHECK-IN Error:', error);
+    res.status(500).json({ success: false, message: 'Error checking in' });
+  }
+});
 
-    if (checkResult.rows.length === 0) {
+// Resolve whether the current user cancels as the booking's traveler or provider
+const getCancellationActor = async (req) => {
+  const userId = parseInt(req.user.id);
+  const userType = req.user.user_type || req.user.userType;
+
+  if (userType === 'service_provider') {
+    const providerResult = await pool.query('SELECT id FROM service_providers WHERE user_id = $1', [userId]);
+    const providerId = providerResult.rows[0]?.id;
+    return { actor: 'provider', actorId: userId, authorize: (booking) => booking.provider_id === providerId };
+  }
+
+  return { actor: 'traveler', actorId: userId, authorize: (booking) => booking.traveler_id === userId };
+};
+
+// Preview the refund a cancellation would give, shown to the traveler before they confirm
+router.get('/:id/cancellation-quote', authenticateJWT, async (req, res) => {
+  try {
+    const bookingId = parseInt(req.params.id);
+    if (isNaN(bookingId)) {
+      return res.status(400).json({ success: false, message: 'Invalid booking ID' });
+    }
+
+    const { actor, authorize } = await getCancellationActor(req);
+    const bookingResult = await pool.query('SELECT * FROM bookings WHERE id = $1', [bookingId]);
+    const booking = bookingResult.rows[0];
+
+    if (!booking || !authorize(booking)) {
       return res.status(404).json({ success: false, message: 'Booking not found' });
     }
+    if (['cancelled', 'completed'].includes(booking.status)) {
+      return res.status(409).json({ success: false, message: `This booking is already ${booking.status}` });
+    }
 
-    const booking = checkResult.rows[0];
+    const quote = await quoteCancellation(pool, booking, actor);
+    delete quote.paymentId;
 
-    // Check authorization - traveler can delete their own, provider can delete their bookings
-    let authorized = false;
-    
-    if (userType === 'traveler' && booking.traveler_id === userId) {
-      authorized = true;
-    } else if (userType === 'service_provider') {
-      // Get provider ID
-      const providerResult = await pool.query(
-        'SELECT id FROM service_providers WHERE user_id = $1',
-        [userId]
-      );
-      if (providerResult.rows.length > 0 && providerResult.rows[0].id === booking.provider_id) {
-        authorized = true;
-      }
+    res.json({ success: true, quote });
+  } catch (error) {
+    console.error('❌ CANCELLATION QUOTE Error:', error);
+    res.status(500).json({ success: false, message: 'Error calculating refund' });
+  }
+});
+
+// Cancel a booking: the booking is kept as cancelled and a refund is created from its policy
+const cancelBookingHandler = async (req, res) => {
+  try {
+    const bookingId = parseInt(req.params.id);
+    if (isNaN(bookingId)) {
+      return res.status(400).json({ success: false, message: 'Invalid booking ID' });
     }
 
-    if (!authorized) {
-      return res.status(403).json({ success: false, message: 'Not authorized to delete this booking' });
+    const { actor, actorId, authorize } = await getCancellationActor(req);
+    const result = await cancelBooking(pool, {
+      bookingId,
+      actor,
+      actorId,
+      reason: req.body?.reason || null,
+      authorize
+    });
+
+    if (!result.success) {
+      const message = result.status === 409 && !result.code ? 'This booking can no longer be cancelled' : result.message;
+      return res.status(result.status).json({ success: false, code: result.code, message });
     }
 
-    // DELETE permanently from database
-    await pool.query('DELETE FROM bookings WHERE id = $1', [bookingId]);
+    console.log('✅ Booking cancelled:', bookingId, 'by', actor, '- refund:', result.refund ? result.refund.amount : 0);
+    eventBus.publish(DOMAIN_EVENTS.BOOKING_CANCELLED, {
+      bookingId,
+      actor,
+      actorId,
+      fromStatus: result.fromStatus,
+      reason: req.body?.reason || null
+    });
 
-    console.log('✅ Booking PERMANENTLY DELETED:', bookingId, 'by user:', userId);
+    if (releasesCapacity(result.fromStatus, 'cancelled')) {
+      await offerReleasedSeats(pool, result.booking);
+    }
+
+    res.json({
+      success: true,
+      message: result.refund
+        ? `Booking cancelled. A refund of ${result.refund.currency} ${parseFloat(result.refund.amount).toLocaleString()} is being processed.`
+        : 'Booking cancelled',
+      booking: result.booking,
+      refund: result.refund
+    });
+  } catch (error) {
+    console.error('❌ CANCEL BOOKING Error:', error);
+    res.status(500).json({ success: false, message: 'Error cancelling booking' });
+  }
+};
+
+router.post('/:id/cancel', authenticateJWT, cancelBookingHandler);
+
+// DELETE kept for older clients - cancels instead of removing the booking
+router.delete('/:id', authenticateJWT, cancelBookingHandler);
+
+// Provider's change requests waiting for a decision, across all their bookings
+router.get('/provider/modification-requests', authenticateJWT, async (req, res) => {
+  try {
+    const providerResult = await pool.query('SELECT id FROM service_providers WHERE user_id = $1', [parseInt(req.user.id)]);
+    if (providerResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Provider profile not found' });
+    }
+
+    const result = await pool.query(
+      `SELECT m.*, s.title AS service_title, u.first_name, u.last_name
+       FROM booking_modifications m
+       JOIN bookings b ON b.id = m.booking_id
+       JOIN services s ON s.id = b.service_id
+       LEFT JOIN users u ON u.id = b.traveler_id
+       WHERE b.provider_id = $1 AND m.status = 'pending'
+       ORDER BY m.created_at ASC`,
+      [providerResult.rows[0].id]
+    );
 
-    res.json({ success: true, message: 'Pre-order deleted permanently' });
+    res.json({ success: true, requests: result.rows.map(formatModification) });
   } catch (error) {
-    console.error('❌ DELETE BOOKING Error:', error);
-    res.status(500).json({ success: false, message: 'Error deleting booking' });
+    console.error('❌ PROVIDER MODIFICATION REQUESTS Error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching change requests' });
   }
 });
 
-// Provider delete booking
-router.delete('/provider/:id', authenticateJWT, async (req, res) => {
+// Change requests for a booking, newest first, each with the values it replaced
+router.get('/:id/modifications', authenticateJWT, async (req, res) => {
   try {
     const bookingId = parseInt(req.params.id);
     if (isNaN(bookingId)) {
@@ -634,38 +1027,143 @@ router.delete('/provider/:id', authenticateJWT, async (req, res) => {
     }
 
     const userId = parseInt(req.user.id);
+    const bookingResult = await pool.query(
+      `SELECT b.id FROM bookings b
+       LEFT JOIN service_providers sp ON b.provider_id = sp.id
+       WHERE b.id = $1 AND (b.traveler_id = $2 OR sp.user_id = $2)`,
+      [bookingId, userId]
+    );
+    if (bookingResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
 
-    // Get provider ID
-    const providerResult = await pool.query(
-      'SELECT id FROM service_providers WHERE user_id = $1',
-      [userId]
+    const result = await pool.query(
+      'SELECT * FROM booking_modifications WHERE booking_id = $1 ORDER BY created_at DESC, id DESC',
+      [bookingId]
     );
-    
+
+    res.json({ success: true, modifications: result.rows.map(formatModification) });
+  } catch (error) {
+    console.error('❌ GET MODIFICATIONS Error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching change requests' });
+  }
+});
+
+// Price a change before the traveler sends it
+router.post('/:id/modifications/quote', authenticateJWT, async (req, res) => {
+  try {
+    const bookingId = parseInt(req.params.id);
+    if (isNaN(bookingId)) {
+      return res.status(400).json({ success: false, message: 'Invalid booking ID' });
+    }
+
+    const result = await previewModification(pool, { bookingId, userId: parseInt(req.user.id), body: req.body || {} });
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, code: result.code, message: result.message });
+    }
+
+    res.json({ success: true, quote: result.quote });
+  } catch (error) {
+    console.error('❌ MODIFICATION QUOTE Error:', error);
+    res.status(500).json({ success: false, message: 'Error pricing the change' });
+  }
+});
+
+// Traveler asks the provider to move the booking or change the number of participants
+router.post('/:id/modifications', authenticateJWT, async (req, res) => {
+  try {
+    const bookingId = parseInt(req.params.id);
+    if (isNaN(bookingId)) {
+      return res.status(400).json({ success: false, message: 'Invalid booking ID' });
+    }
+
+    const result = await requestModification(pool, { bookingId, userId: parseInt(req.user.id), body: req.body || {} });
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, code: result.code, message: result.message });
+    }
+
+    console.log('✅ Booking change requested:', bookingId, '- request:', result.modification.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Change request sent to the provider',
+      modification: formatModification(result.modification)
+    });
+  } catch (error) {
+    console.error('❌ REQUEST MODIFICATION Error:', error);
+    res.status(500).json({ success: false, message: 'Error requesting the change' });
+  }
+});
+
+// Provider approves or declines a change request on one of their bookings
+const decideModificationHandler = (approve) => async (req, res) => {
+  try {
+    const bookingId = parseInt(req.params.id);
+    const modificationId = parseInt(req.params.modificationId);
+    if (isNaN(bookingId) || isNaN(modificationId)) {
+      return res.status(400).json({ success: false, message: 'Invalid change request ID' });
+    }
+
+    const userId = parseInt(req.user.id);
+    const providerResult = await pool.query('SELECT id FROM service_providers WHERE user_id = $1', [userId]);
     if (providerResult.rows.length === 0) {
-      return res.status(403).json({ success: false, message: 'Only providers can delete bookings' });
+      return res.status(403).json({ success: false, message: 'Only service providers can decide change requests' });
     }
 
-    const providerId = providerResult.rows[0].id;
+    const result = await decideModification(pool, {
+      bookingId,
+      modificationId,
+      providerId: providerResult.rows[0].id,
+      actorId: userId,
+      approve,
+      reason: req.body?.reason || null
+    });
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, code: result.code, message: result.message });
+    }
 
-    // Check if booking belongs to this provider
-    const checkResult = await pool.query(
-      'SELECT id FROM bookings WHERE id = $1 AND provider_id = $2',
-      [bookingId, providerId]
-    );
+    console.log(`✅ Booking change ${approve ? 'approved' : 'declined'}:`, bookingId, '- request:', modificationId);
 
-    if (checkResult.rows.length === 0) {
-      return res.status(404).json({ success: false, message: 'Booking not found' });
+    if (result.releasedFrom) {
+      await offerReleasedSeats(pool, result.releasedFrom);
     }
 
-    // DELETE permanently
-    await pool.query('DELETE FROM bookings WHERE id = $1', [bookingId]);
+    res.json({
+      success: true,
+      message: approve ? 'Change approved' : 'Change declined',
+      modification: formatModification(result.modification),
+      booking: result.booking,
+      refund: result.refund,
+      balanceDue: result.balanceDue,
+      topUp: result.topUp ? formatInstalment(result.topUp) : null
+    });
+  } catch (error) {
+    console.error('❌ DECIDE MODIFICATION Error:', error);
+    res.status(500).json({ success: false, message: 'Error deciding the change request' });
+  }
+};
+
+router.post('/:id/modifications/:modificationId/approve', authenticateJWT, decideModificationHandler(true));
+router.post('/:id/modifications/:modificationId/decline', authenticateJWT, decideModificationHandler(false));
 
-    console.log('✅ Booking PERMANENTLY DELETED by provider:', bookingId);
+// Traveler withdraws a change request the provider hasn't decided yet
+router.delete('/:id/modifications/:modificationId', authenticateJWT, async (req, res) => {
+  try {
+    const bookingId = parseInt(req.params.id);
+    const modificationId = parseInt(req.params.modificationId);
+    if (isNaN(bookingId) || isNaN(modificationId)) {
+      return res.status(400).json({ success: false, message: 'Invalid change request ID' });
+    }
+
+    const result = await withdrawModification(pool, { bookingId, modificationId, userId: parseInt(req.user.id) });
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
 
-    res.json({ success: true, message: 'Pre-order deleted permanently' });
+    res.json({ success: true, message: 'Change request withdrawn', modification: formatModification(result.modification) });
   } catch (error) {
-    console.error('❌ PROVIDER DELETE BOOKING Error:', error);
-    res.status(500).json({ success: false, message: 'Error deleting booking' });
+    console.error('❌ WITHDRAW MODIFICATION Error:', error);
+    res.status(500).json({ success: false, message: 'Error withdrawing the change request' });
   }
 });
 
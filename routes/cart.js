@@ -1,6 +1,11 @@
 const express = require('express');
 const { pool } = require('../config/postgresql');
 const { authenticateJWT } = require('../middleware/jwtAuth');
+const { getGateway } = require('../utils/paymentGateways');
+const { initiatePayment, formatPayment } = require('../utils/payments');
+const { normalizeCurrency } = require('../utils/currency');
+const { checkoutCart, formatOrder } = require('../utils/checkout');
+const { DOMAIN_EVENTS, eventBus } = require('../utils/domainEvents');
 
 const router = express.Router();
 
@@ -32,6 +37,7 @@ router.get('/', authenticateJWT, async (req, res) => {
         s.title,
         s.description,
         s.price,
+        s.currency,
         s.category,
         s.location,
         s.images,
@@ -111,6 +117,75 @@ router.post('/add', authenticateJWT, async (req, res) => {
   }
 });
 
+// Check out the whole cart: one booking per item with its own date and participants, and a
+// single payment for the lot. Nothing is booked unless every item can be.
+router.post('/checkout', authenticateJWT, async (req, res) => {
+  const userId = parseInt(req.user.id);
+  const { items, gateway, phoneNumber, currency, promoCode } = req.body;
+
+  if (!getGateway(gateway)) {
+    return res.status(400).json({ success: false, message: 'Choose a supported payment gateway' });
+  }
+  if (currency && !normalizeCurrency(currency)) {
+    return res.status(400).json({ success: false, message: `Unsupported currency: ${currency}` });
+  }
+
+  const client = await pool.connect();
+  let checkout;
+  try {
+    await client.query('BEGIN');
+    checkout = await checkoutCart(client, { userId, items, currency, gateway, promoCode });
+    if (!checkout.success) {
+      await client.query('ROLLBACK');
+      return res.status(checkout.status).json({
+        success: false,
+        code: checkout.code,
+        message: checkout.message,
+        cartItemId: checkout.cartItemId
+      });
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Error checking out cart:', error);
+    return res.status(500).json({ success: false, message: 'Error checking out cart' });
+  } finally {
+    client.release();
+  }
+
+  console.log(`✅ [Cart Routes] Order ${checkout.order.id} created with ${checkout.bookings.length} bookings`);
+  checkout.bookings.forEach(booking => {
+    eventBus.publish(DOMAIN_EVENTS.BOOKING_CREATED, { bookingId: booking.id, actor: 'traveler', actorId: userId });
+  });
+
+  if (!checkout.payment) {
+    return res.status(201).json({
+      success: true,
+      message: 'Your order is placed. Your promo code covers the full amount.',
+      order: formatOrder(checkout.order, checkout.bookings),
+      payment: null,
+      clientSecret: null
+    });
+  }
+
+  // The bookings stand even if the gateway can't be reached; the order can be paid again later
+  let started;
+  try {
+    started = await initiatePayment(pool, checkout.payment, { phoneNumber });
+  } catch (error) {
+    console.error('❌ Error starting checkout payment:', error);
+    started = { success: false, message: 'Error starting payment' };
+  }
+
+  res.status(201).json({
+    success: true,
+    message: started.success ? started.message : `Your order is placed but the payment could not be started: ${started.message}`,
+    order: formatOrder(checkout.order, checkout.bookings),
+    payment: formatPayment(started.success ? started.payment : { ...checkout.payment, payment_status: 'failed', failure_reason: started.message }),
+    clientSecret: started.success ? started.clientSecret : null
+  });
+});
+
 // Update cart item quantity
 router.put('/:cartItemId', authenticateJWT, async (req, res) => {
   try {
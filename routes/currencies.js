@@ -0,0 +1,28 @@
+const express = require('express');
+const { pool } = require('../config/postgresql');
+const { BASE_CURRENCY, CURRENCIES, getRates } = require('../utils/currency');
+
+const router = express.Router();
+
+// Supported currencies and current exchange rates, used to show prices in the traveler's currency
+router.get('/', async (req, res) => {
+  try {
+    const rates = await getRates(pool);
+    const updated = await pool.query('SELECT MAX(updated_at) AS updated_at FROM exchange_rates');
+
+    res.json({
+      success: true,
+      baseCurrency: BASE_CURRENCY,
+      currencies: Object.entries(CURRENCIES)
+        .filter(([code]) => rates[code])
+        .map(([code, details]) => ({ code, ...details })),
+      rates,
+      updatedAt: updated.rows[0].updated_at
+    });
+  } catch (error) {
+    console.error('❌ GET CURRENCIES Error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching exchange rates' });
+  }
+});
+
+module.exports = router;
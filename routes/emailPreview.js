@@ -0,0 +1,33 @@
+const express = require('express');
+const { TEMPLATE_NAMES, renderSample } = require('../utils/emailTemplates');
+
+// Email templates rendered with sample data, for checking them in a browser while developing.
+// Only mounted outside production.
+const router = express.Router();
+
+// List the templates with links to their previews
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    templates: TEMPLATE_NAMES.map(name => ({
+      name,
+      subject: renderSample(name).subject,
+      html: `${req.baseUrl}/${name}`,
+      text: `${req.baseUrl}/${name}?format=text`
+    }))
+  });
+});
+
+// One template as the HTML or plain-text part of the email
+router.get('/:template', (req, res) => {
+  if (!TEMPLATE_NAMES.includes(req.params.template)) {
+    return res.status(404).json({ success: false, message: 'Email template not found' });
+  }
+
+  const email = renderSample(req.params.template);
+  const asText = req.query.format === 'text';
+  res.setHeader('Content-Type', asText ? 'text/plain; charset=utf-8' : 'text/html; charset=utf-8');
+  res.send(Buffer.from(asText ? `Subject: ${email.subject}\n\n${email.text}` : email.html));
+});
+
+module.exports = router;
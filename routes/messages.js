@@ -0,0 +1,254 @@
+const express = require('express');
+const passport = require('passport');
+const multer = require('multer');
+const { pool } = require('../config/postgresql');
+const {
+  normalizeMessageBody,
+  getConversation,
+  resolveThread,
+  findOrCreateConversation,
+  sendMessage,
+  getMessages,
+  markConversationRead,
+  getAttachment,
+  listConversations,
+  getUnreadCount,
+  formatConversation,
+  formatMessage
+} = require('../utils/messaging');
+const {
+  MAX_ATTACHMENTS_PER_MESSAGE,
+  maxAttachmentBytes,
+  storeAttachments,
+  removeStoredAttachments
+} = require('../utils/attachments');
+const { getStorage } = require('../utils/storage');
+
+const router = express.Router();
+const authenticateJWT = passport.authenticate('jwt', { session: false });
+
+// Files come in as multipart "attachments" and are held in memory until they have been checked
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxAttachmentBytes(), files: MAX_ATTACHMENTS_PER_MESSAGE }
+}).array('attachments', MAX_ATTACHMENTS_PER_MESSAGE);
+
+const UPLOAD_ERRORS = {
+  LIMIT_FILE_SIZE: `Files can be at most ${maxAttachmentBytes() / (1024 * 1024)} MB`,
+  LIMIT_FILE_COUNT: `At most ${MAX_ATTACHMENTS_PER_MESSAGE} files can be sent at once`,
+  LIMIT_UNEXPECTED_FILE: `At most ${MAX_ATTACHMENTS_PER_MESSAGE} files can be sent at once`
+};
+
+const receiveAttachments = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (!error) return next();
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ success: false, message: UPLOAD_ERRORS[error.code] || error.message });
+    }
+    next(error);
+  });
+};
+
+const currentUser = (req) => ({
+  userId: parseInt(req.user.id),
+  userType: req.user.user_type || req.user.userType
+});
+
+// Load a thread the user takes part in, or answer 400/404 and return null
+const loadConversation = async (req, res) => {
+  const conversationId = parseInt(req.params.conversationId);
+  if (isNaN(conversationId)) {
+    res.status(400).json({ success: false, message: 'Invalid conversation ID' });
+    return null;
+  }
+
+  const conversation = await getConversation(pool, conversationId, parseInt(req.user.id));
+  if (!conversation) {
+    res.status(404).json({ success: false, message: 'Conversation not found' });
+    return null;
+  }
+  return conversation;
+};
+
+// The user's threads, most recent first, with unread counts
+router.get('/', authenticateJWT, async (req, res) => {
+  try {
+    const { userId } = currentUser(req);
+    const conversations = (await listConversations(pool, userId)).map(c => formatConversation(c, userId));
+    res.json({
+      success: true,
+      conversations,
+      unreadCount: conversations.reduce((total, c) => total + c.unreadCount, 0)
+    });
+  } catch (error) {
+    console.error('❌ GET CONVERSATIONS Error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching conversations' });
+  }
+});
+
+// Unread messages across all threads, for dashboard badges
+router.get('/unread-count', authenticateJWT, async (req, res) => {
+  try {
+    res.json({ success: true, unreadCount: await getUnreadCount(pool, currentUser(req).userId) });
+  } catch (error) {
+    console.error('❌ GET UNREAD MESSAGES Error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching unread messages' });
+  }
+});
+
+// Open the thread about a booking, service or provider, optionally sending a first message.
+// Reopening an existing thread returns it rather than starting another.
+router.post('/', authenticateJWT, async (req, res) => {
+  try {
+    const user = currentUser(req);
+    const { bookingId, serviceId, providerId, body } = req.body;
+
+    let text = null;
+    if (body !== undefined && body !== null && body !== '') {
+      const normalized = normalizeMessageBody(body);
+      if (normalized.error) {
+        return res.status(400).json({ success: false, message: normalized.error });
+      }
+      text = normalized.body;
+    }
+
+    const resolved = await resolveThread(pool, user, {
+      bookingId: parseInt(bookingId) || null,
+      serviceId: parseInt(serviceId) || null,
+      providerId: parseInt(providerId) || null
+    });
+    if (!resolved.thread) {
+      return res.status(resolved.status).json({ success: false, message: resolved.message });
+    }
+
+    const conversation = await findOrCreateConversation(pool, resolved.thread);
+    const message = text && await sendMessage(pool, { conversationId: conversation.id, senderId: user.userId, body: text });
+
+    const [thread] = await listConversations(pool, user.userId, { conversationId: conversation.id });
+    res.status(201).json({
+      success: true,
+      conversation: formatConversation(thread, user.userId),
+      message: message ? formatMessage(message, user.userId) : null
+    });
+  } catch (error) {
+    console.error('❌ START CONVERSATION Error:', error);
+    res.status(500).json({ success: false, message: 'Error starting conversation' });
+  }
+});
+
+// A page of messages, oldest first; pass ?before=<message id> to load earlier ones
+router.get('/:conversationId/messages', authenticateJWT, async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    const { userId } = currentUser(req);
+    const page = await getMessages(pool, conversation.id, {
+      before: parseInt(req.query.before) || null,
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      messages: page.messages.map(m => formatMessage(m, userId)),
+      hasMore: page.hasMore
+    });
+  } catch (error) {
+    console.error('❌ GET MESSAGES Error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching messages' });
+  }
+});
+
+// Send a message: JSON { body }, or multipart with a body field and up to five image or PDF
+// "attachments". A message with attachments may have no text.
+router.post('/:conversationId/messages', authenticateJWT, receiveAttachments, async (req, res) => {
+  const files = req.files || [];
+  let stored = [];
+  try {
+    let body = '';
+    if (files.length === 0 || (req.body.body && req.body.body.trim())) {
+      const normalized = normalizeMessageBody(req.body.body);
+      if (normalized.error) {
+        return res.status(400).json({ success: false, message: normalized.error });
+      }
+      body = normalized.body;
+    }
+
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    const storage = getStorage();
+    const result = await storeAttachments(storage, conversation.id, files);
+    if (!result.attachments) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+    stored = result.attachments;
+
+    const { userId } = currentUser(req);
+    const client = await pool.connect();
+    let message;
+    try {
+      await client.query('BEGIN');
+      message = await sendMessage(client, { conversationId: conversation.id, senderId: userId, body, attachments: stored });
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    res.status(201).json({ success: true, message: formatMessage(message, userId) });
+  } catch (error) {
+    console.error('❌ SEND MESSAGE Error:', error);
+    await removeStoredAttachments(getStorage(), stored);
+    res.status(500).json({ success: false, message: 'Error sending message' });
+  }
+});
+
+// Download an attachment, or its thumbnail with ?thumbnail=true. Only the thread's participants can.
+router.get('/:conversationId/attachments/:attachmentId', authenticateJWT, async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    const attachmentId = parseInt(req.params.attachmentId);
+    const attachment = !isNaN(attachmentId) && await getAttachment(pool, conversation.id, attachmentId);
+    const thumbnail = req.query.thumbnail === 'true';
+    if (!attachment || (thumbnail && !attachment.thumbnail_key)) {
+      return res.status(404).json({ success: false, message: 'Attachment not found' });
+    }
+
+    const file = await getStorage().read(thumbnail ? attachment.thumbnail_key : attachment.storage_key);
+    const asciiName = attachment.file_name.replace(/[^\x20-\x7e]/g, '_');
+    res.setHeader('Content-Type', thumbnail ? 'image/jpeg' : attachment.content_type);
+    res.setHeader(
+      'Content-Disposition',
+      `${thumbnail ? 'inline' : 'attachment'}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(attachment.file_name)}`
+    );
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+    res.send(file);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ success: false, message: 'Attachment file is no longer available' });
+    }
+    console.error('❌ GET ATTACHMENT Error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching attachment' });
+  }
+});
+
+// Read receipt: marks everything the other participant sent as read
+router.post('/:conversationId/read', authenticateJWT, async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    const messageIds = await markConversationRead(pool, conversation, currentUser(req).userId);
+    res.json({ success: true, messageIds });
+  } catch (error) {
+    console.error('❌ MARK MESSAGES READ Error:', error);
+    res.status(500).json({ success: false, message: 'Error marking messages as read' });
+  }
+});
+
+module.exports = router;
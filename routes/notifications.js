@@ -1,7 +1,11 @@
 const express = require('express');
 const passport = require('passport');
 const { Notification } = require('../models');
+const { pool } = require('../config/postgresql');
 const { serializeDocument, isValidObjectId, toObjectId } = require('../utils/pg-helpers');
+const { createNotification } = require('../utils/notifications');
+const { getNotificationSettings, updateNotificationSettings } = require('../utils/notificationPreferences');
+const { requireAdmin } = require('../middleware/roleProtection');
 
 const router = express.Router();
 const authenticateJWT = passport.authenticate('jwt', { session: false });
@@ -42,6 +46,31 @@ router.get('/', authenticateJWT, async (req, res) => {
   }
 });
 
+// What the user is notified about and how: channels per type, digest and quiet hours
+router.get('/preferences', authenticateJWT, async (req, res) => {
+  try {
+    const settings = await getNotificationSettings(pool, parseInt(req.user.id));
+    res.json({ success: true, settings });
+  } catch (error) {
+    console.error('❌ GET NOTIFICATION PREFERENCES Error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching notification preferences' });
+  }
+});
+
+router.put('/preferences', authenticateJWT, async (req, res) => {
+  try {
+    const { preferences, digest, quietHours, timezone } = req.body;
+    const result = await updateNotificationSettings(pool, parseInt(req.user.id), { preferences, digest, quietHours, timezone });
+    if (result.success === false) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+    res.json({ success: true, message: 'Notification preferences saved', settings: result.settings });
+  } catch (error) {
+    console.error('❌ UPDATE NOTIFICATION PREFERENCES Error:', error);
+    res.status(500).json({ success: false, message: 'Error saving notification preferences' });
+  }
+});
+
 // Mark notification as read
 router.patch('/:id/read', authenticateJWT, async (req, res) => {
   try {
@@ -83,26 +112,31 @@ router.post('/mark-all-read', authenticateJWT, async (req, res) => {
   }
 });
 
-// Create notification (internal use)
-router.post('/', async (req, res) => {
+// Send a notification to a user (admins only). Notifications about bookings, payments, stories
+// and follows are created by the domain event subscribers, not through this endpoint.
+router.post('/', authenticateJWT, requireAdmin, async (req, res) => {
   try {
     const { user_id, type, title, message, data } = req.body;
 
     if (!isValidObjectId(user_id)) {
       return res.status(400).json({ success: false, message: 'Invalid user ID' });
     }
+    if (!type || !title || !message) {
+      return res.status(400).json({ success: false, message: 'Type, title and message are required' });
+    }
 
-    const notification = Notification.create({
-      user_id: parseInt(user_id),
+    const result = await createNotification(pool, {
+      userId: parseInt(user_id),
       type,
       title,
       message,
-      data: data || {}
+      data: data || null
     });
 
-    await notification.save();
-
-    res.status(201).json({ success: true, notification: serializeDocument(notification) });
+    if (!result.rows[0]) {
+      return res.json({ success: true, message: 'Not sent: the user has turned this type off or gets it in their digest', notification: null });
+    }
+    res.status(201).json({ success: true, notification: serializeDocument(result.rows[0]) });
   } catch (error) {
     console.error('❌ CREATE NOTIFICATION Error:', error);
     res.status(500).json({ success: false, message: 'Error creating notification' });
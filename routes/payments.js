@@ -1,36 +1,45 @@
 const express = require('express');
 const passport = require('passport');
-const { Payment, User, ServiceProvider } = require('../models');
-const { serializeDocument, isValidObjectId, toObjectId } = require('../utils/pg-helpers');
+const { pool } = require('../config/postgresql');
+const { getGateway } = require('../utils/paymentGateways');
+const { createPayment, initiatePayment, applyGatewayResult, formatPayment, getPromotionPlan } = require('../utils/payments');
+const { getProviderBalances, getProviderStatement } = require('../utils/ledger');
+const { listDocuments } = require('../utils/invoices');
+const { getAmountDue } = require('../utils/paymentPlans');
+const { BASE_CURRENCY, getRates, chargeAtRate, quoteCharge } = require('../utils/currency');
+const { DOMAIN_EVENTS, eventBus } = require('../utils/domainEvents');
 
 const router = express.Router();
 const authenticateJWT = passport.authenticate('jwt', { session: false });
 
+const PAYMENT_TYPES = ['premium_membership', 'featured_service', 'booking_payment'];
+
 // Get user's payments
 router.get('/', authenticateJWT, async (req, res) => {
   try {
     const userId = req.user.id;
     const { page = 1, limit = 20, payment_type } = req.query;
 
-    const query = { user_id: parseInt(userId) };
-    if (payment_type) query.payment_type = payment_type;
-
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const params = [userId];
+    let where = 'WHERE user_id = $1';
+    if (payment_type) {
+      params.push(payment_type);
+      where += ` AND payment_type = $${params.length}`;
+    }
 
-    const payments = await Payment.find(query)
-      .sort({ created_at: -1 })
-      .skip(skip)
-      .limit(parseInt(limit))
-      .lean();
-
-    const total = await Payment.countDocuments(query);
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+    const payments = await pool.query(
+      `SELECT * FROM payments ${where} ORDER BY created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, parseInt(limit), offset]
+    );
+    const total = await pool.query(`SELECT COUNT(*) FROM payments ${where}`, params);
 
     res.json({
       success: true,
-      payments: payments.map(p => serializeDocument(p)),
-      total,
+      payments: payments.rows.map(formatPayment),
+      total: parseInt(total.rows[0].count),
       page: parseInt(page),
-      totalPages: Math.ceil(total / limit)
+      totalPages: Math.ceil(total.rows[0].count / limit)
     });
   } catch (error) {
     console.error('❌ GET PAYMENTS Error:', error);
@@ -38,33 +47,189 @@ router.get('/', authenticateJWT, async (req, res) => {
   }
 });
 
-// Create payment (simplified - demo mode)
+// Work out what a new payment charges, inside the transaction that will insert it. The booking or
+// order row is locked first, so two requests can't both find nothing in progress and charge twice.
+// Returns the createPayment details, or { status, error }.
+const preparePayment = async (client, userId, body) => {
+  const { gateway, paymentType = 'booking_payment', bookingId, orderId, serviceId, duration, description, payInFull } = body;
+  let amount;
+  let currency = BASE_CURRENCY;
+
+  let booking = null;
+  let order = null;
+  let instalment = null;
+  let plan = null;
+  let provider = null;
+  let service = null;
+  let planDescription = null;
+  if (paymentType === 'booking_payment' && orderId) {
+    // Retry the combined payment of a cart checkout whose earlier attempt failed or timed out
+    const orderResult = await client.query(
+      'SELECT * FROM orders WHERE id = $1 AND user_id = $2 FOR UPDATE',
+      [orderId, userId]
+    );
+    order = orderResult.rows[0];
+
+    if (!order) {
+      return { status: 404, error: 'Order not found' };
+    }
+    if (order.status !== 'pending') {
+      return { status: 409, error: `This order is already ${order.status}` };
+    }
+    const inProgress = await client.query(
+      `SELECT id FROM payments WHERE order_id = $1 AND payment_status = 'pending' LIMIT 1`,
+      [order.id]
+    );
+    if (inProgress.rows.length > 0) {
+      return { status: 409, error: 'A payment for this order is already in progress' };
+    }
+
+    amount = parseFloat(order.total_amount);
+    currency = order.currency;
+  } else if (paymentType === 'booking_payment') {
+    const bookingResult = await client.query(
+      `SELECT b.*, s.currency AS service_currency, s.title AS service_title, o.status AS order_status
+       FROM bookings b
+       JOIN services s ON b.service_id = s.id
+       LEFT JOIN orders o ON b.order_id = o.id
+       WHERE b.id = $1 AND b.traveler_id = $2
+       FOR UPDATE OF b`,
+      [bookingId, userId]
+    );
+    booking = bookingResult.rows[0];
+
+    if (!booking) {
+      return { status: 404, error: 'Booking not found' };
+    }
+    if (['cancelled', 'completed'].includes(booking.status)) {
+      return { status: 409, error: `A ${booking.status} booking cannot be paid` };
+    }
+    if (!['pending', 'partially_paid'].includes(booking.payment_status)) {
+      return { status: 409, error: 'This booking is already paid' };
+    }
+    // Once its order is paid, a checkout booking only owes what an approved change added
+    if (booking.order_id && booking.order_status !== 'paid') {
+      return { status: 409, error: `This booking is paid with its checkout order #${booking.order_id}` };
+    }
+
+    // A booking pays its next instalment (on a plan, or the top-up after an approved change),
+    // unless the traveler settles the whole balance
+    const due = await getAmountDue(client, booking, { payInFull });
+    if (due.error) {
+      return { status: due.status, error: due.error };
+    }
+    ({ amount, instalment } = due);
+    currency = booking.settlement_currency || booking.service_currency || BASE_CURRENCY;
+  } else {
+    // Promotions are bought by providers, for themselves or one of their own services
+    plan = getPromotionPlan(paymentType, duration);
+    if (!plan) {
+      return { status: 400, error: 'Choose a valid plan' };
+    }
+
+    const providerResult = await client.query('SELECT id FROM service_providers WHERE user_id = $1', [userId]);
+    provider = providerResult.rows[0];
+    if (!provider) {
+      return { status: 403, error: 'Only service providers can buy promotions' };
+    }
+
+    if (paymentType === 'featured_service') {
+      const serviceResult = await client.query(
+        'SELECT id, title FROM services WHERE id = $1 AND provider_id = $2',
+        [parseInt(serviceId), provider.id]
+      );
+      service = serviceResult.rows[0];
+      if (!service) {
+        return { status: 404, error: 'Service not found' };
+      }
+    }
+
+    amount = plan.amount;
+    currency = plan.currency;
+    planDescription = service
+      ? `Featured service (${plan.duration}) - ${service.title}`
+      : `Premium membership (${plan.duration})`;
+  }
+
+  amount = parseFloat(amount);
+  if (!amount || amount <= 0) {
+    return { status: 400, error: 'Payment amount must be greater than zero' };
+  }
+
+  // Bookings and orders are charged at the rate recorded when they were made; other payments at today's rate
+  const recorded = order || (booking && booking.charged_currency ? booking : null);
+  const charge = recorded
+    ? chargeAtRate(amount, currency, recorded.charged_currency, parseFloat(recorded.exchange_rate))
+    : quoteCharge(amount, currency, body.currency, await getRates(client));
+  if (charge.error) {
+    return { status: 400, error: charge.error };
+  }
+
+  return {
+    gateway,
+    userId,
+    paymentType,
+    amount,
+    currency,
+    chargedAmount: charge.chargedAmount,
+    chargedCurrency: charge.chargedCurrency,
+    exchangeRate: charge.exchangeRate,
+    bookingId: booking ? booking.id : null,
+    orderId: order ? order.id : null,
+    instalmentId: instalment ? instalment.id : null,
+    serviceId: booking ? booking.service_id : (service ? service.id : null),
+    providerId: booking ? booking.provider_id : (provider ? provider.id : null),
+    validUntil: plan ? plan.validUntil : null,
+    description: description || (booking
+      ? `Booking #${booking.id} - ${booking.service_title}${instalment ? ` (${instalment.kind === 'instalment' ? `instalment ${instalment.sequence}` : instalment.kind})` : ''}`
+      : order ? `Order #${order.id}` : planDescription)
+  };
+};
+
+// Start a payment through a gateway (mpesa, stripe or sandbox).
+// Booking payments are charged the unpaid balance of the booking, or the total of a checkout order
+// when orderId is sent; premium memberships and featured services the price of the chosen plan.
 router.post('/', authenticateJWT, async (req, res) => {
   try {
-    const userId = req.user.id;
-    const { payment_type, amount, service_id, provider_id, description } = req.body;
-
-    const newPayment = Payment.create({
-      user_id: parseInt(userId),
-      payment_type,
-      amount,
-      currency: 'TZS',
-      payment_method: 'demo',
-      payment_status: 'completed',
-      transaction_id: `DEMO-${Date.now()}`,
-      description,
-      service_id: service_id ? parseInt(service_id) : null,
-      provider_id: provider_id ? parseInt(provider_id) : null
-    });
+    const { gateway, paymentType = 'booking_payment', phoneNumber } = req.body;
 
-    await newPayment.save();
+    if (!getGateway(gateway)) {
+      return res.status(400).json({ success: false, message: 'Choose a supported payment gateway' });
+    }
+    if (!PAYMENT_TYPES.includes(paymentType)) {
+      return res.status(400).json({ success: false, message: 'Invalid payment type' });
+    }
 
-    console.log('✅ Payment created (demo mode):', newPayment.id);
+    const client = await pool.connect();
+    let payment;
+    try {
+      await client.query('BEGIN');
+      const details = await preparePayment(client, req.user.id, req.body);
+      if (details.error) {
+        await client.query('ROLLBACK');
+        return res.status(details.status).json({ success: false, message: details.error });
+      }
+      payment = await createPayment(client, { ...details, gateway: getGateway(gateway).name });
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const result = await initiatePayment(pool, payment, { phoneNumber });
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    console.log(`✅ Payment ${result.payment.id} started with ${gateway}`);
 
     res.status(201).json({
       success: true,
-      message: 'Payment processed successfully (demo mode)',
-      payment: serializeDocument(newPayment)
+      message: result.message,
+      payment: formatPayment(result.payment),
+      clientSecret: result.clientSecret
     });
   } catch (error) {
     console.error('❌ CREATE PAYMENT Error:', error);
@@ -72,4 +237,125 @@ router.post('/', authenticateJWT, async (req, res) => {
   }
 });
 
+// Verify, parse and apply a gateway notification. Unknown event types are acknowledged and ignored.
+const handleGatewayNotification = (gatewayName) => async (req, res) => {
+  const gateway = getGateway(gatewayName);
+  if (!gateway) {
+    return res.status(404).json({ success: false, message: 'API endpoint not found' });
+  }
+
+  if (!gateway.verify(req)) {
+    console.error(`❌ ${gatewayName.toUpperCase()} CALLBACK rejected: invalid signature`);
+    return res.status(401).json({ success: false, message: 'Invalid signature' });
+  }
+
+  try {
+    const parsed = gateway.parse(req);
+    if (!parsed) {
+      return res.json(gateway.acknowledge());
+    }
+
+    const result = await applyGatewayResult(pool, gatewayName, parsed);
+    if (!result.success) {
+      console.error(`❌ ${gatewayName.toUpperCase()} CALLBACK Error: ${result.message} (${parsed.reference})`);
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    if (!result.duplicate && !result.unchanged) {
+      console.log(`✅ Payment ${result.payment.id} ${result.payment.payment_status} via ${gatewayName}`);
+      if (result.payment.payment_status === 'completed') {
+        eventBus.publish(DOMAIN_EVENTS.PAYMENT_COMPLETED, { paymentId: result.payment.id, gateway: gatewayName });
+      }
+    }
+
+    res.json(gateway.acknowledge());
+  } catch (error) {
+    console.error(`❌ ${gatewayName.toUpperCase()} CALLBACK Error:`, error);
+    res.status(500).json({ success: false, message: 'Error processing payment notification' });
+  }
+};
+
+router.post('/mpesa/callback', handleGatewayNotification('mpesa'));
+router.post('/stripe/webhook', handleGatewayNotification('stripe'));
+router.post('/sandbox/callback', handleGatewayNotification('sandbox'));
+
+// Look up the service provider profile of the logged-in user
+const getProviderId = async (userId) => {
+  const result = await pool.query('SELECT id FROM service_providers WHERE user_id = $1', [userId]);
+  return result.rows[0]?.id || null;
+};
+
+// Provider balance, lifetime earnings and recent payouts
+router.get('/provider/earnings', authenticateJWT, async (req, res) => {
+  try {
+    const providerId = await getProviderId(req.user.id);
+    if (!providerId) {
+      return res.status(403).json({ success: false, message: 'Only service providers have earnings' });
+    }
+
+    const balances = await getProviderBalances(pool, { providerId });
+    const payouts = await pool.query(
+      `SELECT id, batch_id, amount, currency, status, reference, failure_reason, paid_at, created_at
+       FROM payouts WHERE provider_id = $1 ORDER BY created_at DESC LIMIT 10`,
+      [providerId]
+    );
+
+    res.json({
+      success: true,
+      balances,
+      payouts: payouts.rows.map(p => ({ ...p, amount: parseFloat(p.amount) }))
+    });
+  } catch (error) {
+    console.error('❌ GET PROVIDER EARNINGS Error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching earnings' });
+  }
+});
+
+// Provider payout statement: every balance movement between two dates
+router.get('/provider/statement', authenticateJWT, async (req, res) => {
+  try {
+    const providerId = await getProviderId(req.user.id);
+    if (!providerId) {
+      return res.status(403).json({ success: false, message: 'Only service providers have statements' });
+    }
+
+    const { from, to } = req.query;
+    const statement = await getProviderStatement(pool, providerId, { from: from || null, to: to || null });
+    res.json({ success: true, statement });
+  } catch (error) {
+    console.error('❌ GET PROVIDER STATEMENT Error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching statement' });
+  }
+});
+
+// Invoices and receipts for the user's bookings and promotions, and for bookings of their services
+router.get('/invoices', authenticateJWT, async (req, res) => {
+  try {
+    const invoices = await listDocuments(pool, parseInt(req.user.id));
+    res.json({ success: true, invoices });
+  } catch (error) {
+    console.error('❌ GET INVOICES Error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching invoices' });
+  }
+});
+
+// Get one of the user's payments, used to poll for the gateway result
+router.get('/:id', authenticateJWT, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM payments WHERE id = $1 AND user_id = $2',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Payment not found' });
+    }
+
+    res.json({ success: true, payment: formatPayment(result.rows[0]) });
+  } catch (error) {
+    console.error('❌ GET PAYMENT Error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching payment' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,165 @@
+const express = require('express');
+const passport = require('passport');
+const { pool } = require('../config/postgresql');
+const {
+  validatePromoCode,
+  applyPromoCode,
+  toPromoItem,
+  createPromoCode,
+  updatePromoCode,
+  getRedemptionReport,
+  formatPromoCode
+} = require('../utils/promoCodes');
+
+const router = express.Router();
+const authenticateJWT = passport.authenticate('jwt', { session: false });
+
+// Look up the service provider profile of the logged-in user
+const getProviderId = async (userId) => {
+  const result = await pool.query('SELECT id FROM service_providers WHERE user_id = $1', [userId]);
+  return result.rows[0]?.id || null;
+};
+
+// Preview the discount a code gives on a set of services before booking or checking out.
+// items: [{ serviceId, participants }]
+router.post('/validate', authenticateJWT, async (req, res) => {
+  try {
+    const { code, items = [] } = req.body;
+    if (!code || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ success: false, message: 'A code and at least one service are required' });
+    }
+
+    const serviceIds = items.map(item => parseInt(item.serviceId));
+    const servicesResult = await pool.query('SELECT * FROM services WHERE id = ANY($1::int[])', [serviceIds]);
+    const services = new Map(servicesResult.rows.map(service => [service.id, service]));
+    if (serviceIds.some(id => !services.has(id))) {
+      return res.status(404).json({ success: false, message: 'Service not found' });
+    }
+
+    const currencies = new Set(servicesResult.rows.map(service => service.currency || 'TZS'));
+    if (currencies.size > 1) {
+      return res.status(400).json({ success: false, message: 'Items priced in different currencies must be checked out separately' });
+    }
+    const currency = [...currencies][0];
+
+    const promoItems = items.map(item => {
+      const service = services.get(parseInt(item.serviceId));
+      return toPromoItem(service, (parseFloat(service.price) || 0) * (parseInt(item.participants) || 1));
+    });
+    const applied = await applyPromoCode(pool, { code, userId: parseInt(req.user.id), items: promoItems, currency });
+    if (applied.error) {
+      return res.status(400).json({ success: false, message: applied.error });
+    }
+
+    const subtotal = promoItems.reduce((sum, item) => sum + item.amount, 0);
+    res.json({
+      success: true,
+      message: `${applied.promo.code} applied`,
+      promo: { code: applied.promo.code, description: applied.promo.description },
+      currency,
+      subtotal,
+      discount: applied.discount,
+      total: Math.round((subtotal - applied.discount) * 100) / 100,
+      allocations: applied.allocations
+    });
+  } catch (error) {
+    console.error('❌ VALIDATE PROMO CODE Error:', error);
+    res.status(500).json({ success: false, message: 'Error checking promo code' });
+  }
+});
+
+// The logged-in provider's codes with their redemption figures
+router.get('/mine', authenticateJWT, async (req, res) => {
+  try {
+    const providerId = await getProviderId(req.user.id);
+    if (!providerId) {
+      return res.status(403).json({ success: false, message: 'Service provider profile not found' });
+    }
+
+    const rows = await getRedemptionReport(pool, { providerId });
+    res.json({ success: true, promoCodes: rows.map(formatPromoCode) });
+  } catch (error) {
+    console.error('❌ GET PROVIDER PROMO CODES Error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching promo codes' });
+  }
+});
+
+// Validate a provider's code; a single-service code must be for one of their own services
+const validateProviderCode = async (body, providerId) => {
+  const { promo, error } = validatePromoCode(body, { providerId });
+  if (error) return { error };
+
+  if (promo.service_id) {
+    const owned = await pool.query('SELECT 1 FROM services WHERE id = $1 AND provider_id = $2', [promo.service_id, providerId]);
+    if (owned.rows.length === 0) {
+      return { error: 'You can only create codes for your own services' };
+    }
+  }
+  return { promo };
+};
+
+router.post('/', authenticateJWT, async (req, res) => {
+  try {
+    const providerId = await getProviderId(req.user.id);
+    if (!providerId) {
+      return res.status(403).json({ success: false, message: 'Only service providers can create promo codes' });
+    }
+
+    const { promo, error } = await validateProviderCode(req.body, providerId);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const created = await createPromoCode(pool, promo, req.user.id);
+    if (!created) {
+      return res.status(409).json({ success: false, message: `The code ${promo.code} is already taken` });
+    }
+
+    res.status(201).json({ success: true, message: 'Promo code created', promoCode: formatPromoCode(created) });
+  } catch (error) {
+    console.error('❌ CREATE PROMO CODE Error:', error);
+    res.status(500).json({ success: false, message: 'Error creating promo code' });
+  }
+});
+
+router.put('/:id', authenticateJWT, async (req, res) => {
+  try {
+    const providerId = await getProviderId(req.user.id);
+    const existing = await pool.query('SELECT * FROM promo_codes WHERE id = $1 AND provider_id = $2', [req.params.id, providerId]);
+    if (!providerId || existing.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Promo code not found' });
+    }
+
+    const { promo, error } = await validateProviderCode({ ...req.body, code: existing.rows[0].code }, providerId);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const updated = await updatePromoCode(pool, req.params.id, promo);
+    res.json({ success: true, message: 'Promo code updated', promoCode: formatPromoCode(updated) });
+  } catch (error) {
+    console.error('❌ UPDATE PROMO CODE Error:', error);
+    res.status(500).json({ success: false, message: 'Error updating promo code' });
+  }
+});
+
+// Codes are deactivated rather than deleted so their redemptions stay reportable
+router.delete('/:id', authenticateJWT, async (req, res) => {
+  try {
+    const providerId = await getProviderId(req.user.id);
+    const result = await pool.query(
+      'UPDATE promo_codes SET is_active = FALSE WHERE id = $1 AND provider_id = $2 RETURNING id',
+      [req.params.id, providerId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Promo code not found' });
+    }
+
+    res.json({ success: true, message: 'Promo code deactivated' });
+  } catch (error) {
+    console.error('❌ DELETE PROMO CODE Error:', error);
+    res.status(500).json({ success: false, message: 'Error deactivating promo code' });
+  }
+});
+
+module.exports = router;
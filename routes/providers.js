@@ -1,6 +1,7 @@
 const express = require('express');
 const passport = require('passport');
 const { ServiceProvider, User, Service } = require('../models');
+const { DOMAIN_EVENTS, eventBus } = require('../utils/domainEvents');
 
 const router = express.Router();
 const authenticateJWT = passport.authenticate('jwt', { session: false });
@@ -236,7 +237,7 @@ router.put('/profile', authenticateJWT, async (req, res) => {
       return res.status(403).json({ success: false, message: 'Only service providers can update provider profile' });
     }
 
-    const { business_name, business_type, description, location, country, region, district, area, license_number, service_categories, location_data } = req.body;
+    const { business_name, business_type, description, location, country, region, district, area, license_number, tin_number, service_categories, location_data } = req.body;
 
     const provider = await ServiceProvider.findOne({ user_id: parseInt(req.user.id) });
     if (!provider) {
@@ -253,6 +254,7 @@ router.put('/profile', authenticateJWT, async (req, res) => {
     if (district) updateData.district = district;
     if (area) updateData.area = area;
     if (license_number) updateData.license_number = license_number;
+    if (tin_number) updateData.tin_number = tin_number;
     if (service_categories) updateData.service_categories = service_categories;
     if (location_data) updateData.location_data = JSON.stringify(location_data);
 
@@ -350,6 +352,7 @@ router.post('/:id/follow', authenticateJWT, async (req, res) => {
       'INSERT INTO provider_followers (provider_id, user_id) VALUES ($1, $2)',
       [providerId, userId]
     );
+    eventBus.publish(DOMAIN_EVENTS.PROVIDER_FOLLOWED, { providerId, followerId: userId });
     
     res.json({ success: true, message: 'Now following provider', isFollowing: true });
   } catch (error) {
@@ -0,0 +1,57 @@
+const express = require('express');
+const passport = require('passport');
+const { pool } = require('../config/postgresql');
+const { openEventStream, realtimeHub } = require('../utils/realtime');
+
+const router = express.Router();
+const authenticateStream = passport.authenticate('jwt-stream', { session: false });
+
+// How long browsers wait before reconnecting, and how often an idle stream is kept alive
+// so proxies don't close it
+const RETRY_MS = 3000;
+const HEARTBEAT_MS = 25000;
+
+const writeEvent = (res, event) => {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+};
+
+// Server-sent event stream of the user's notifications, messages and booking status changes.
+// Reconnecting with Last-Event-ID (or ?lastEventId=) replays whatever was missed meanwhile.
+router.get('/stream', authenticateStream, async (req, res) => {
+  const userId = parseInt(req.user.id);
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId) || null;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  let unsubscribe = null;
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  const close = () => {
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+    res.end();
+  };
+  req.on('close', close);
+
+  try {
+    unsubscribe = await openEventStream(pool, realtimeHub, {
+      userId,
+      lastEventId,
+      write: (event) => writeEvent(res, event),
+      close
+    });
+    // The client went away while missed events were being replayed
+    if (res.writableEnded) unsubscribe();
+  } catch (error) {
+    console.error('❌ EVENT STREAM Error:', error);
+    close();
+  }
+});
+
+module.exports = router;
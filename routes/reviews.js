@@ -0,0 +1,259 @@
+const express = require('express');
+const { pool } = require('../config/postgresql');
+const { authenticateJWT } = require('../middleware/jwtAuth');
+const { createReview, updateReview, deleteReview, replyToReview, flagReview } = require('../utils/reviews');
+
+const router = express.Router();
+
+const SORT_OPTIONS = {
+  newest: 'r.created_at DESC',
+  oldest: 'r.created_at ASC',
+  highest: 'r.rating DESC, r.created_at DESC',
+  lowest: 'r.rating ASC, r.created_at DESC'
+};
+
+const formatReview = (r) => ({
+  id: r.id,
+  booking_id: r.booking_id,
+  service_id: r.service_id,
+  provider_id: r.provider_id,
+  traveler_id: r.traveler_id,
+  rating: r.rating,
+  comment: r.comment,
+  created_at: r.created_at,
+  updated_at: r.updated_at,
+  provider_reply: r.provider_reply,
+  provider_replied_at: r.provider_replied_at,
+  service_title: r.service_title,
+  traveler_name: `${r.traveler_first_name || 'Traveler'} ${r.traveler_last_name ? r.traveler_last_name.charAt(0) + '.' : ''}`.trim(),
+  traveler_avatar: r.traveler_avatar
+});
+
+// Shared list query for service, provider and "my reviews" listings.
+// Hidden reviews are only listed for the provider they belong to and never count in the summary.
+const listReviews = async (column, value, query, { includeHidden = false } = {}) => {
+  const { page = 1, limit = 10, sort = 'newest' } = query;
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
+  const offset = (pageNum - 1) * limitNum;
+  const orderBy = SORT_OPTIONS[sort] || SORT_OPTIONS.newest;
+
+  const result = await pool.query(`
+    SELECT
+      r.*,
+      s.title as service_title,
+      u.first_name as traveler_first_name,
+      u.last_name as traveler_last_name,
+      u.avatar_url as traveler_avatar
+    FROM reviews r
+    LEFT JOIN services s ON r.service_id = s.id
+    LEFT JOIN users u ON r.traveler_id = u.id
+    WHERE r.${column} = $1 ${includeHidden ? '' : 'AND r.is_hidden IS NOT TRUE'}
+    ORDER BY ${orderBy}
+    LIMIT $2 OFFSET $3
+  `, [value, limitNum, offset]);
+
+  const summaryResult = await pool.query(`
+    SELECT
+      COUNT(*) as total,
+      COALESCE(ROUND(AVG(rating)::numeric, 2), 0) as average,
+      COUNT(*) FILTER (WHERE rating = 5) as five,
+      COUNT(*) FILTER (WHERE rating = 4) as four,
+      COUNT(*) FILTER (WHERE rating = 3) as three,
+      COUNT(*) FILTER (WHERE rating = 2) as two,
+      COUNT(*) FILTER (WHERE rating = 1) as one
+    FROM reviews
+    WHERE ${column} = $1 AND is_hidden IS NOT TRUE
+  `, [value]);
+
+  const countResult = includeHidden
+    ? await pool.query(`SELECT COUNT(*) FROM reviews WHERE ${column} = $1`, [value])
+    : null;
+
+  const summary = summaryResult.rows[0];
+  const total = countResult ? parseInt(countResult.rows[0].count) : parseInt(summary.total);
+
+  return {
+    success: true,
+    reviews: result.rows.map(r => (includeHidden
+      ? { ...formatReview(r), is_flagged: r.is_flagged, is_hidden: r.is_hidden, flag_reason: r.flag_reason }
+      : formatReview(r))),
+    summary: {
+      average: parseFloat(summary.average),
+      total: parseInt(summary.total),
+      distribution: {
+        5: parseInt(summary.five),
+        4: parseInt(summary.four),
+        3: parseInt(summary.three),
+        2: parseInt(summary.two),
+        1: parseInt(summary.one)
+      }
+    },
+    total,
+    page: pageNum,
+    totalPages: Math.ceil(total / limitNum)
+  };
+};
+
+// List reviews for a service or provider (public)
+router.get('/', async (req, res) => {
+  try {
+    const serviceId = parseInt(req.query.serviceId);
+    const providerId = parseInt(req.query.providerId);
+
+    if (isNaN(serviceId) && isNaN(providerId)) {
+      return res.status(400).json({ success: false, message: 'serviceId or providerId is required' });
+    }
+
+    const response = !isNaN(serviceId)
+      ? await listReviews('service_id', serviceId, req.query)
+      : await listReviews('provider_id', providerId, req.query);
+
+    res.json(response);
+  } catch (error) {
+    console.error('❌ GET REVIEWS Error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching reviews' });
+  }
+});
+
+// Reviews received by the authenticated provider
+router.get('/provider/my-reviews', authenticateJWT, async (req, res) => {
+  try {
+    const providerResult = await pool.query(
+      'SELECT id FROM service_providers WHERE user_id = $1',
+      [parseInt(req.user.id)]
+    );
+
+    if (providerResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Provider profile not found' });
+    }
+
+    res.json(await listReviews('provider_id', providerResult.rows[0].id, req.query, { includeHidden: true }));
+  } catch (error) {
+    console.error('❌ GET MY PROVIDER REVIEWS Error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching reviews' });
+  }
+});
+
+// Create a review for a completed booking (traveler only)
+router.post('/', authenticateJWT, async (req, res) => {
+  try {
+    const bookingId = parseInt(req.body.bookingId);
+    if (isNaN(bookingId)) {
+      return res.status(400).json({ success: false, message: 'Valid booking ID is required' });
+    }
+
+    const result = await createReview(pool, {
+      bookingId,
+      userId: parseInt(req.user.id),
+      rating: req.body.rating,
+      comment: req.body.comment
+    });
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    console.log('✅ Review created:', result.review.id, 'for booking:', bookingId);
+
+    res.status(201).json({ success: true, message: 'Review submitted', review: result.review });
+  } catch (error) {
+    console.error('❌ CREATE REVIEW Error:', error);
+    res.status(500).json({ success: false, message: 'Error creating review' });
+  }
+});
+
+// Edit a review within the edit window (author only)
+router.put('/:id', authenticateJWT, async (req, res) => {
+  try {
+    const reviewId = parseInt(req.params.id);
+    if (isNaN(reviewId)) {
+      return res.status(400).json({ success: false, message: 'Invalid review ID' });
+    }
+
+    const result = await updateReview(pool, {
+      reviewId,
+      userId: parseInt(req.user.id),
+      rating: req.body.rating,
+      comment: req.body.comment
+    });
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.json({ success: true, message: 'Review updated', review: result.review });
+  } catch (error) {
+    console.error('❌ UPDATE REVIEW Error:', error);
+    res.status(500).json({ success: false, message: 'Error updating review' });
+  }
+});
+
+// Delete a review (author only)
+router.delete('/:id', authenticateJWT, async (req, res) => {
+  try {
+    const reviewId = parseInt(req.params.id);
+    if (isNaN(reviewId)) {
+      return res.status(400).json({ success: false, message: 'Invalid review ID' });
+    }
+
+    const result = await deleteReview(pool, { reviewId, userId: parseInt(req.user.id) });
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    console.log('✅ Review deleted:', reviewId);
+
+    res.json({ success: true, message: 'Review deleted' });
+  } catch (error) {
+    console.error('❌ DELETE REVIEW Error:', error);
+    res.status(500).json({ success: false, message: 'Error deleting review' });
+  }
+});
+
+// Public reply to a review (provider, once per review)
+router.post('/:id/reply', authenticateJWT, async (req, res) => {
+  try {
+    const reviewId = parseInt(req.params.id);
+    if (isNaN(reviewId)) {
+      return res.status(400).json({ success: false, message: 'Invalid review ID' });
+    }
+
+    const result = await replyToReview(pool, { reviewId, userId: parseInt(req.user.id), reply: req.body.reply });
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    console.log('✅ Provider replied to review:', reviewId);
+
+    res.json({ success: true, message: 'Reply posted', review: result.review });
+  } catch (error) {
+    console.error('❌ REPLY REVIEW Error:', error);
+    res.status(500).json({ success: false, message: 'Error posting reply' });
+  }
+});
+
+// Flag an abusive review for admin moderation (provider)
+router.post('/:id/flag', authenticateJWT, async (req, res) => {
+  try {
+    const reviewId = parseInt(req.params.id);
+    if (isNaN(reviewId)) {
+      return res.status(400).json({ success: false, message: 'Invalid review ID' });
+    }
+
+    const result = await flagReview(pool, { reviewId, userId: parseInt(req.user.id), reason: req.body.reason });
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+    if (result.alreadyFlagged) {
+      return res.json({ success: true, message: 'Review is already awaiting moderation', review: result.review });
+    }
+
+    console.log('🚩 Review flagged for moderation:', reviewId);
+
+    res.json({ success: true, message: 'Review flagged for moderation', review: result.review });
+  } catch (error) {
+    console.error('❌ FLAG REVIEW Error:', error);
+    res.status(500).json({ success: false, message: 'Error flagging review' });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,9 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const passport = require('passport');
+const { pool } = require('../config/postgresql');
 const { Service, ServiceProvider, User, ServicePromotion } = require('../models');
+const { issuePromotionReceipt, getOrIssueDocument, renderInvoicePdf } = require('../utils/invoices');
 // User is already imported above for auto-creating provider profiles
 const { 
   getPagination, 
@@ -13,6 +15,17 @@ const {
   toObjectId,
   paginationResponse 
 } = require('../utils/pg-helpers');
+const {
+  CAPACITY_HOLDING_STATUSES,
+  toDateKey,
+  parseDateKey,
+  enumerateDates,
+  normalizeTime,
+  validateSlot,
+  buildCalendar
+} = require('../utils/availability');
+const { normalizePolicy } = require('../utils/cancellations');
+const { normalizePaymentPlan } = require('../utils/paymentPlans');
 
 const router = express.Router();
 const authenticateJWT = passport.authenticate('jwt', { session: false });
@@ -328,7 +341,9 @@ router.get('/:id', async (req, res) => {
       provider_phone: providerUser?.phone,
       // Payment methods and contact info
       payment_methods: service.payment_methods || {},
-      contact_info: service.contact_info || {}
+      contact_info: service.contact_info || {},
+      cancellation_policy: normalizePolicy(service.cancellation_policy).policy,
+      payment_plan: normalizePaymentPlan(service.payment_plan).plan
     };
 
     console.log('✅ [GET SERVICE] Service found');
@@ -346,6 +361,196 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Get availability calendar for a service (public)
+// Query: from, to (YYYY-MM-DD, defaults to the next 30 days)
+router.get('/:id/availability', async (req, res) => {
+  try {
+    const serviceId = parseInt(req.params.id);
+    if (isNaN(serviceId)) {
+      return res.status(400).json({ success: false, message: 'Invalid service ID' });
+    }
+
+    const today = new Date();
+    const defaultTo = new Date(today);
+    defaultTo.setDate(defaultTo.getDate() + 30);
+    const from = req.query.from || toDateKey(today);
+    const to = req.query.to || toDateKey(defaultTo);
+
+    if (!parseDateKey(from) || !parseDateKey(to)) {
+      return res.status(400).json({ success: false, message: 'from and to must be dates in YYYY-MM-DD format' });
+    }
+
+    const dates = enumerateDates(from, to);
+    if (dates.length === 0) {
+      return res.status(400).json({ success: false, message: 'to must be on or after from' });
+    }
+
+    const serviceResult = await pool.query('SELECT id, max_participants FROM services WHERE id = $1', [serviceId]);
+    if (serviceResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Service not found' });
+    }
+    const service = serviceResult.rows[0];
+
+    const rangeEnd = dates[dates.length - 1];
+    const [slotsResult, blackoutsResult, bookedResult] = await Promise.all([
+      pool.query(
+        `SELECT id, day_of_week, start_time, end_time, capacity
+         FROM service_availability_slots
+         WHERE service_id = $1 AND is_active = TRUE
+         ORDER BY day_of_week, start_time`,
+        [serviceId]
+      ),
+      pool.query(
+        `SELECT id, blackout_date, reason FROM service_blackout_dates
+         WHERE service_id = $1 AND blackout_date >= $2
+         ORDER BY blackout_date`,
+        [serviceId, from]
+      ),
+      // Seats on offer to the waitlist are held like bookings until the offer runs out
+      pool.query(
+        `SELECT slot_id, booking_date, SUM(participants) AS booked
+         FROM (
+           SELECT slot_id, booking_date, participants FROM bookings
+           WHERE service_id = $1 AND booking_date BETWEEN $2 AND $3 AND status = ANY($4)
+           UNION ALL
+           SELECT slot_id, booking_date, participants FROM waitlist_entries
+           WHERE service_id = $1 AND booking_date BETWEEN $2 AND $3 AND status = 'offered' AND offer_expires_at > NOW()
+         ) held
+         GROUP BY slot_id, booking_date`,
+        [serviceId, from, rangeEnd, CAPACITY_HOLDING_STATUSES]
+      )
+    ]);
+
+    const bookedBySlotAndDate = {};
+    bookedResult.rows.forEach(row => {
+      const dateKey = toDateKey(row.booking_date);
+      const booked = parseInt(row.booked);
+      bookedBySlotAndDate[`day:${dateKey}`] = (bookedBySlotAndDate[`day:${dateKey}`] || 0) + booked;
+      if (row.slot_id) bookedBySlotAndDate[`${row.slot_id}:${dateKey}`] = booked;
+    });
+
+    const calendar = buildCalendar({
+      dates,
+      slots: slotsResult.rows,
+      blackouts: blackoutsResult.rows,
+      bookedBySlotAndDate,
+      maxParticipants: service.max_participants
+    });
+
+    res.json({
+      success: true,
+      from: dates[0],
+      to: rangeEnd,
+      weeklySlots: slotsResult.rows.map(s => ({
+        id: s.id,
+        dayOfWeek: s.day_of_week,
+        startTime: normalizeTime(s.start_time),
+        endTime: normalizeTime(s.end_time),
+        capacity: s.capacity
+      })),
+      // Every upcoming blackout, not just those inside the range, so the provider editor sees them all
+      blackouts: blackoutsResult.rows.map(b => ({ id: b.id, date: toDateKey(b.blackout_date), reason: b.reason })),
+      calendar
+    });
+  } catch (error) {
+    console.error('❌ [GET AVAILABILITY] Error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching availability' });
+  }
+});
+
+// Replace weekly slots and blackout dates for a service (owner only)
+// Body: { slots: [{ id?, dayOfWeek, startTime, endTime, capacity }], blackouts: [{ date, reason }] } (upcoming dates)
+router.put('/:id/availability', authenticateJWT, async (req, res) => {
+  const serviceId = parseInt(req.params.id);
+  if (isNaN(serviceId)) {
+    return res.status(400).json({ success: false, message: 'Invalid service ID' });
+  }
+
+  const { slots = [], blackouts = [] } = req.body;
+  if (!Array.isArray(slots) || !Array.isArray(blackouts)) {
+    return res.status(400).json({ success: false, message: 'slots and blackouts must be arrays' });
+  }
+
+  for (const slot of slots) {
+    const slotError = validateSlot(slot);
+    if (slotError) {
+      return res.status(400).json({ success: false, message: slotError });
+    }
+  }
+  if (blackouts.some(b => !parseDateKey(b.date))) {
+    return res.status(400).json({ success: false, message: 'Blackout dates must be in YYYY-MM-DD format' });
+  }
+
+  const client = await pool.connect();
+  try {
+    const ownerResult = await client.query(
+      `SELECT s.id FROM services s
+       JOIN service_providers sp ON s.provider_id = sp.id
+       WHERE s.id = $1 AND sp.user_id = $2`,
+      [serviceId, parseInt(req.user.id)]
+    );
+    if (ownerResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Service not found or access denied' });
+    }
+
+    await client.query('BEGIN');
+
+    // Slots that are dropped are deactivated rather than deleted so existing bookings keep their slot
+    const keptIds = slots.filter(s => s.id).map(s => parseInt(s.id));
+    await client.query(
+      `UPDATE service_availability_slots SET is_active = FALSE
+       WHERE service_id = $1 AND is_active = TRUE AND NOT (id = ANY($2::int[]))`,
+      [serviceId, keptIds]
+    );
+
+    for (const slot of slots) {
+      const values = [
+        parseInt(slot.dayOfWeek),
+        normalizeTime(slot.startTime),
+        slot.endTime ? normalizeTime(slot.endTime) : null,
+        parseInt(slot.capacity)
+      ];
+      if (slot.id) {
+        await client.query(
+          `UPDATE service_availability_slots
+           SET day_of_week = $1, start_time = $2, end_time = $3, capacity = $4, is_active = TRUE
+           WHERE id = $5 AND service_id = $6`,
+          [...values, parseInt(slot.id), serviceId]
+        );
+      } else {
+        await client.query(
+          `INSERT INTO service_availability_slots (day_of_week, start_time, end_time, capacity, service_id)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [...values, serviceId]
+        );
+      }
+    }
+
+    // Past blackout dates are left alone as history
+    await client.query('DELETE FROM service_blackout_dates WHERE service_id = $1 AND blackout_date >= CURRENT_DATE', [serviceId]);
+    for (const blackout of blackouts) {
+      await client.query(
+        `INSERT INTO service_blackout_dates (service_id, blackout_date, reason)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (service_id, blackout_date) DO UPDATE SET reason = EXCLUDED.reason`,
+        [serviceId, toDateKey(blackout.date), blackout.reason || null]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    console.log('✅ [UPDATE AVAILABILITY] Service', serviceId, '-', slots.length, 'slots,', blackouts.length, 'blackout dates');
+
+    res.json({ success: true, message: 'Availability updated successfully' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ [UPDATE AVAILABILITY] Error:', error);
+    res.status(500).json({ success: false, message: 'Error updating availability' });
+  } finally {
+    client.release();
+  }
+});
+
 // Get services by provider (requires authentication)
 router.get('/provider/my-services', authenticateJWT, async (req, res) => {
   try {
@@ -385,6 +590,9 @@ router.get('/provider/my-services', authenticateJWT, async (req, res) => {
         is_active: s.is_active,
         is_featured: s.is_featured,
         average_rating: s.average_rating,
+        max_participants: s.max_participants,
+        cancellation_policy: normalizePolicy(s.cancellation_policy).policy,
+        payment_plan: normalizePaymentPlan(s.payment_plan).plan,
         created_at: s.created_at
       }))
     });
@@ -419,9 +627,18 @@ router.post('/', [
     const {
       title, description, category, subcategory, price, currency,
       duration, maxParticipants, location, country, region, district, area,
-      images, amenities, paymentMethods, contactInfo
+      images, amenities, paymentMethods, contactInfo, cancellationPolicy, paymentPlan
     } = req.body;
 
+    const { policy, error: policyError } = normalizePolicy(cancellationPolicy);
+    if (policyError) {
+      return res.status(400).json({ success: false, message: policyError });
+    }
+    const { plan, error: planError } = normalizePaymentPlan(paymentPlan);
+    if (planError) {
+      return res.status(400).json({ success: false, message: planError });
+    }
+
     console.log('➕ [CREATE SERVICE] Creating service for user:', userId);
     console.log('📍 [CREATE SERVICE] Location data:', { region, district, area, location });
     console.log('💳 Payment methods:', paymentMethods);
@@ -487,7 +704,9 @@ router.post('/', [
       images: images || [],
       amenities: amenities || [],
       payment_methods: paymentMethods || {},
-      contact_info: contactInfo || {}
+      contact_info: contactInfo || {},
+      cancellation_policy: policy,
+      payment_plan: plan
     });
 
     console.log('✅ [CREATE SERVICE] Service created:', newService.id);
@@ -591,6 +810,22 @@ router.put('/:id', [
       }
     });
 
+    if (req.body.cancellationPolicy !== undefined) {
+      const { policy, error: policyError } = normalizePolicy(req.body.cancellationPolicy);
+      if (policyError) {
+        return res.status(400).json({ success: false, message: policyError });
+      }
+      updateData.cancellation_policy = policy;
+    }
+
+    if (req.body.paymentPlan !== undefined) {
+      const { plan, error: planError } = normalizePaymentPlan(req.body.paymentPlan);
+      if (planError) {
+        return res.status(400).json({ success: false, message: planError });
+      }
+      updateData.payment_plan = plan ? JSON.stringify(plan) : null;
+    }
+
     // Update using PostgreSQL
     const updatedService = await Service.findByIdAndUpdate(serviceId, updateData);
 
@@ -775,6 +1010,13 @@ router.post('/:id/promote', authenticateJWT, async (req, res) => {
 
     console.log('✅ [PROMOTE SERVICE] Promotion request created, awaiting admin approval');
 
+    // The receipt is also issued on first download if this fails
+    try {
+      await getOrIssueDocument(pool, issuePromotionReceipt, result.rows[0].id);
+    } catch (receiptError) {
+      console.error('⚠️ [PROMOTE SERVICE] Could not issue receipt:', receiptError.message);
+    }
+
     res.json({
       success: true,
       message: 'Promotion request submitted successfully. Awaiting admin approval.',
@@ -798,6 +1040,40 @@ router.post('/:id/promote', authenticateJWT, async (req, res) => {
   }
 });
 
+// Download the receipt for a paid promotion as a PDF
+router.get('/:id/promotions/:promoId/receipt', authenticateJWT, async (req, res) => {
+  try {
+    const serviceId = parseInt(req.params.id);
+    const promotionId = parseInt(req.params.promoId);
+    if (isNaN(serviceId) || isNaN(promotionId)) {
+      return res.status(400).json({ success: false, message: 'Invalid service or promotion ID' });
+    }
+
+    const promotionResult = await pool.query(
+      `SELECT p.id FROM service_promotions p
+       JOIN services s ON p.service_id = s.id
+       JOIN service_providers sp ON s.provider_id = sp.id
+       WHERE p.id = $1 AND s.id = $2 AND sp.user_id = $3`,
+      [promotionId, serviceId, parseInt(req.user.id)]
+    );
+    if (promotionResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Promotion not found' });
+    }
+
+    const receipt = await getOrIssueDocument(pool, issuePromotionReceipt, promotionId);
+    if (!receipt) {
+      return res.status(409).json({ success: false, message: 'A receipt is available once the promotion has been paid' });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${receipt.invoice_number}.pdf"`);
+    res.send(renderInvoicePdf(receipt));
+  } catch (error) {
+    console.error('❌ [PROMOTION RECEIPT] Error:', error);
+    res.status(500).json({ success: false, message: 'Error generating receipt' });
+  }
+});
+
 // Get featured/promoted services for homepage slides
 router.get('/featured/slides', async (req, res) => {
   try {
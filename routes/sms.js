@@ -0,0 +1,36 @@
+const express = require('express');
+const crypto = require('crypto');
+const { pool } = require('../config/postgresql');
+const { getProviderByName, handleInboundMessage } = require('../utils/textMessages');
+
+const router = express.Router();
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Replies from users, posted by the SMS provider. The callback URL configured with the provider
+// carries ?token=SMS_WEBHOOK_TOKEN, since neither provider signs these the same way.
+router.post('/inbound/:provider', async (req, res) => {
+  try {
+    const expected = process.env.SMS_WEBHOOK_TOKEN;
+    if (!expected || !safeEqual(req.query.token || '', expected)) {
+      return res.status(401).json({ success: false, message: 'Invalid webhook token' });
+    }
+
+    const provider = getProviderByName(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ success: false, message: 'Unknown SMS provider' });
+    }
+
+    const action = await handleInboundMessage(pool, provider.parseInbound(req.body || {}));
+    res.json({ success: true, action });
+  } catch (error) {
+    console.error('❌ SMS Inbound Error:', error);
+    res.status(500).json({ success: false, message: 'Failed to process message' });
+  }
+});
+
+module.exports = router;
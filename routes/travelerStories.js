@@ -1,6 +1,7 @@
 const express = require('express');
 const passport = require('passport');
 const { pool } = require('../config/postgresql');
+const { DOMAIN_EVENTS, eventBus } = require('../utils/domainEvents');
 
 const router = express.Router();
 const authenticateJWT = passport.authenticate('jwt', { session: false });
@@ -349,6 +350,7 @@ router.post('/:id/like', authenticateJWT, async (req, res) => {
       `UPDATE traveler_stories SET likes_count = COALESCE(likes_count, 0) + 1 WHERE id = $1`,
       [storyId]
     );
+    eventBus.publish(DOMAIN_EVENTS.STORY_LIKED, { storyId, likerId: userId });
 
     res.json({ success: true, message: 'Story liked' });
   } catch (error) {
@@ -4,6 +4,9 @@ const passport = require('passport');
 const { body, validationResult } = require('express-validator');
 const { User, ServiceProvider } = require('../models');
 const { serializeDocument, isValidObjectId, toObjectId } = require('../utils/pg-helpers');
+const { normalizeCurrency } = require('../utils/currency');
+const { pool } = require('../config/postgresql');
+const { setTextMessageConsent, formatTextSettings } = require('../utils/textMessages');
 
 const router = express.Router();
 const authenticateJWT = passport.authenticate('jwt', { session: false });
@@ -73,6 +76,7 @@ router.get('/profile', authenticateJWT, async (req, res) => {
       userType: user.user_type,
       isVerified: user.is_verified,
       avatar: user.avatar_url,
+      preferredCurrency: user.preferred_currency || null,
       // FLATTEN provider data directly into user object for frontend compatibility
       companyName: providerProfile?.business_name || '',
       businessName: providerProfile?.business_name || '',
@@ -97,6 +101,7 @@ router.get('/profile', authenticateJWT, async (req, res) => {
         location_data: locationDataObj,
         service_categories: providerProfile.service_categories || [],
         license_number: providerProfile.license_number,
+        tin_number: providerProfile.tin_number,
         rating: providerProfile.rating,
         total_bookings: providerProfile.total_bookings,
         is_verified: providerProfile.is_verified
@@ -129,7 +134,7 @@ router.put('/profile', [authenticateJWT, body('email').optional().isEmail()], as
 
     const userId = req.user.id;
     const { 
-      first_name, firstName, last_name, lastName, phone, avatar_url, profileImage,
+      first_name, firstName, last_name, lastName, phone, avatar_url, profileImage, preferredCurrency,
       // Provider profile fields
       companyName, businessType, description, serviceLocation, serviceCategories, locationData
     } = req.body;
@@ -150,6 +155,12 @@ router.put('/profile', [authenticateJWT, body('email').optional().isEmail()], as
     if (last_name || lastName) userUpdateData.last_name = last_name || lastName;
     if (phone) userUpdateData.phone = phone;
     if (avatar_url || profileImage) userUpdateData.avatar_url = avatar_url || profileImage;
+    if (preferredCurrency !== undefined) {
+      if (preferredCurrency && !normalizeCurrency(preferredCurrency)) {
+        return res.status(400).json({ success: false, message: `Unsupported currency: ${preferredCurrency}` });
+      }
+      userUpdateData.preferred_currency = normalizeCurrency(preferredCurrency);
+    }
 
     const user = await User.findByIdAndUpdate(userId, userUpdateData);
 
@@ -282,6 +293,49 @@ router.post('/change-password', [
   }
 });
 
+// SMS / WhatsApp text message settings
+router.get('/text-messages', authenticateJWT, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT sms_opt_in, sms_channel, sms_phone, phone FROM users WHERE id = $1',
+      [req.user.id]
+    );
+    if (!result.rows[0]) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    res.json({
+      success: true,
+      settings: { ...formatTextSettings(result.rows[0]), profilePhone: result.rows[0].phone || null }
+    });
+  } catch (error) {
+    console.error('❌ GET TEXT MESSAGE SETTINGS Error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching text message settings' });
+  }
+});
+
+// Opt in or out of text messages. Opting in stores the number in E.164 form.
+router.put('/text-messages', authenticateJWT, async (req, res) => {
+  try {
+    const { optIn, channel, phone } = req.body;
+    if (typeof optIn !== 'boolean') {
+      return res.status(400).json({ success: false, message: 'optIn must be true or false' });
+    }
+
+    const result = await setTextMessageConsent(pool, req.user.id, { optIn, channel, phone });
+    if (result.success === false) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+    res.json({
+      success: true,
+      message: optIn ? 'Text messages turned on' : 'Text messages turned off',
+      settings: result.settings
+    });
+  } catch (error) {
+    console.error('❌ UPDATE TEXT MESSAGE SETTINGS Error:', error);
+    res.status(500).json({ success: false, message: 'Error updating text message settings' });
+  }
+});
+
 // Get all users (admin only - simplified)
 router.get('/', authenticateJWT, async (req, res) => {
   try {
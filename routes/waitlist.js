@@ -0,0 +1,76 @@
+const express = require('express');
+const passport = require('passport');
+const { pool } = require('../config/postgresql');
+const { toDateKey, parseDateKey } = require('../utils/availability');
+const { joinWaitlist, leaveWaitlist, getUserWaitlist, formatWaitlistEntry } = require('../utils/waitlist');
+
+const router = express.Router();
+const authenticateJWT = passport.authenticate('jwt', { session: false });
+
+// The logged-in traveler's waitlist entries, with open offers and places in the queue
+router.get('/mine', authenticateJWT, async (req, res) => {
+  try {
+    const entries = await getUserWaitlist(pool, parseInt(req.user.id));
+    res.json({ success: true, entries });
+  } catch (error) {
+    console.error('❌ GET WAITLIST Error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching waitlist' });
+  }
+});
+
+// Join the waitlist for a fully booked service date (and start time when the service has slots)
+router.post('/', authenticateJWT, async (req, res) => {
+  try {
+    const { serviceId, bookingDate, startTime } = req.body;
+    const participants = parseInt(req.body.participants) || 1;
+
+    if (!serviceId || !parseDateKey(bookingDate)) {
+      return res.status(400).json({ success: false, message: 'A service and a valid date are required' });
+    }
+    if (participants < 1) {
+      return res.status(400).json({ success: false, message: 'Participants must be at least 1' });
+    }
+
+    const result = await joinWaitlist(pool, {
+      userId: parseInt(req.user.id),
+      serviceId: parseInt(serviceId),
+      bookingDate: toDateKey(bookingDate),
+      startTime: startTime || null,
+      participants
+    });
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, code: result.code, message: result.message });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `You are number ${result.position} on the waitlist`,
+      entry: formatWaitlistEntry({ ...result.entry, position: result.position })
+    });
+  } catch (error) {
+    console.error('❌ JOIN WAITLIST Error:', error);
+    res.status(500).json({ success: false, message: 'Error joining waitlist' });
+  }
+});
+
+// Leave the waitlist, or turn down an offer so it goes to the next person
+router.delete('/:id', authenticateJWT, async (req, res) => {
+  try {
+    const entryId = parseInt(req.params.id);
+    if (isNaN(entryId)) {
+      return res.status(400).json({ success: false, message: 'Invalid waitlist entry ID' });
+    }
+
+    const result = await leaveWaitlist(pool, { entryId, userId: parseInt(req.user.id) });
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.json({ success: true, message: 'You have left the waitlist' });
+  } catch (error) {
+    console.error('❌ LEAVE WAITLIST Error:', error);
+    res.status(500).json({ success: false, message: 'Error leaving waitlist' });
+  }
+});
+
+module.exports = router;
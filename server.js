@@ -35,6 +35,14 @@ const notificationRoutes = require('./routes/notifications');
 const travelerStoriesRoutes = require('./routes/travelerStories');
 const providersRoutes = require('./routes/providers');
 const adminRoutes = require('./routes/admin-fixed');
+const reviewRoutes = require('./routes/reviews');
+const currencyRoutes = require('./routes/currencies');
+const promoCodeRoutes = require('./routes/promoCodes');
+const waitlistRoutes = require('./routes/waitlist');
+const messageRoutes = require('./routes/messages');
+const realtimeRoutes = require('./routes/realtime');
+const emailPreviewRoutes = require('./routes/emailPreview');
+const smsRoutes = require('./routes/sms');
 // Load cart, favorites, and plans routes with error handling
 let cartRoutes, favoritesRoutes, plansRoutes;
 try {
@@ -74,6 +82,9 @@ try {
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind Render's proxy: req.ip is the client's address, as rate limits need
+app.set('trust proxy', 1);
+
 // Security middleware
 app.use(helmet());
 
@@ -132,7 +143,15 @@ app.use(cors({
 }));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Payment webhooks are signed over the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/')) {
+      req.rawBody = buf.toString('utf8');
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Session configuration with PostgreSQL store for production
@@ -186,6 +205,11 @@ app.use('/api', (req, res, next) => {
   // Override res.send to ensure JSON
   const originalSend = res.send;
   res.send = function (data) {
+    // File downloads such as invoice PDFs keep the content type their route set
+    if (Buffer.isBuffer(data)) {
+      return originalSend.call(this, data);
+    }
+
     if (typeof data === 'string') {
       try {
         JSON.parse(data);
@@ -210,6 +234,18 @@ app.use('/api/notifications', notificationRoutes);
 app.use('/api/traveler-stories', travelerStoriesRoutes);
 app.use('/api/providers', providersRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/currencies', currencyRoutes);
+app.use('/api/promo-codes', promoCodeRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/messages', messageRoutes);
+app.use('/api/realtime', realtimeRoutes);
+app.use('/api/sms', smsRoutes);
+
+// Email template previews while developing
+if (process.env.NODE_ENV !== 'production') {
+  app.use('/api/dev/emails', emailPreviewRoutes);
+}
 
 // Mount cart, favorites, and plans routes with verification
 console.log('🔧 Mounting cart, favorites, and plans routes...');
@@ -230,6 +266,7 @@ console.log('\n📋 Cart API Endpoints:');
 console.log('   - GET    /api/cart          (Get user cart)');
 console.log('   - GET    /api/cart/test     (Test endpoint)');
 console.log('   - POST   /api/cart/add      (Add to cart)');
+console.log('   - POST   /api/cart/checkout (Book and pay for the whole cart)');
 console.log('   - PUT    /api/cart/:id      (Update quantity)');
 console.log('   - DELETE /api/cart/:id      (Remove item)');
 console.log('   - DELETE /api/cart          (Clear cart)');
@@ -308,6 +345,26 @@ const startServer = async () => {
     // Run startup migrations (adds 'draft' status to bookings constraint)
     await runStartupMigrations();
 
+    // Payment timeouts, waitlist offers, instalments, pre-order expiry, email and text delivery, digests, cleanup
+    const { pool } = require('./config/postgresql');
+    const { scheduler } = require('./utils/scheduler');
+    const { registerBackgroundJobs } = require('./utils/jobs');
+    registerBackgroundJobs(scheduler, pool);
+    scheduler.start();
+
+    // Booking, payment, story and follow events become notifications, emails and text messages
+    const { eventBus } = require('./utils/domainEvents');
+    const { registerNotificationSubscribers } = require('./utils/notificationSubscribers');
+    const { registerEmailSubscribers } = require('./utils/emailSubscribers');
+    const { registerTextMessageSubscribers } = require('./utils/textMessageSubscribers');
+    registerNotificationSubscribers(eventBus, pool);
+    registerEmailSubscribers(eventBus, pool);
+    registerTextMessageSubscribers(eventBus, pool);
+
+    // Push new notifications, messages and booking updates to connected clients
+    const { listenForEvents, realtimeHub } = require('./utils/realtime');
+    listenForEvents(pool, realtimeHub);
+
     // Start Express server
     app.listen(PORT, () => {
       console.log(`🚀 iSafari Global API server running on port ${PORT}`);
@@ -4,6 +4,8 @@ import { CartProvider } from './contexts/CartContext';
 import { FavoritesProvider } from './contexts/FavoritesContext';
 import { TripsProvider } from './contexts/TripsContext';
 import { ThemeProvider } from './contexts/ThemeContext';
+import { CurrencyProvider } from './contexts/CurrencyContext';
+import { RealtimeProvider } from './contexts/RealtimeContext';
 import ErrorBoundary from './components/ErrorBoundary';
 import VersionChecker from './components/VersionChecker';
 import HomePage from './pages/homepage';
@@ -31,6 +33,8 @@ function App() {
       <Router>
         <ThemeProvider>
           <AuthProvider>
+            <RealtimeProvider>
+            <CurrencyProvider>
             <CartProvider>
               <FavoritesProvider>
                 <TripsProvider>
@@ -62,6 +66,8 @@ function App() {
                 </TripsProvider>
               </FavoritesProvider>
             </CartProvider>
+            </CurrencyProvider>
+            </RealtimeProvider>
           </AuthProvider>
         </ThemeProvider>
       </Router>
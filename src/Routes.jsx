@@ -14,6 +14,8 @@ import ServiceBooking from './pages/service-booking';
 import Login from './pages/auth/login';
 import Register from './pages/auth/register';
 import ForgotPassword from './pages/auth/forgot-password';
+import ResetPassword from './pages/auth/reset-password';
+import VerifyEmail from './pages/auth/verify-email';
 import GoogleRoleSelection from './pages/auth/GoogleRoleSelection';
 import OAuthCallback from './pages/auth/OAuthCallback';
 import Profile from './pages/profile';
@@ -38,6 +40,8 @@ const Routes = () => {
         <Route path="/login" element={<Login />} />
         <Route path="/register" element={<Register />} />
         <Route path="/forgot-password" element={<ForgotPassword />} />
+        <Route path="/reset-password" element={<ResetPassword />} />
+        <Route path="/verify-email" element={<VerifyEmail />} />
         <Route path="/google-role-selection" element={<GoogleRoleSelection />} />
         <Route path="/auth/callback" element={<OAuthCallback />} />
         <Route path="/about" element={<About />} />
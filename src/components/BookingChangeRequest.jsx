@@ -0,0 +1,227 @@
+import React, { useState, useEffect } from 'react';
+import Icon from './AppIcon';
+import Button from './ui/Button';
+import Input from './ui/Input';
+import { bookingsAPI, paymentsAPI } from '../utils/api';
+
+const formatChange = (values) => [
+  new Date(`${values.booking_date}T00:00:00`).toLocaleDateString(),
+  values.start_time,
+  `${values.participants} participant(s)`
+].filter(Boolean).join(' · ');
+
+// Traveler asks the provider to move a booking or change the party size, and sees earlier requests
+const BookingChangeRequest = ({ booking, onClose, onChanged }) => {
+  const [modifications, setModifications] = useState([]);
+  const [form, setForm] = useState({
+    bookingDate: (booking.booking_date || '').slice(0, 10),
+    startTime: booking.start_time ? booking.start_time.slice(0, 5) : '',
+    participants: booking.participants,
+    reason: ''
+  });
+  const [quote, setQuote] = useState(null);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [phoneNumber, setPhoneNumber] = useState('');
+
+  const loadModifications = async () => {
+    const response = await bookingsAPI.getModifications(booking.id);
+    if (response.success) {
+      setModifications(response.modifications);
+    }
+  };
+
+  useEffect(() => {
+    loadModifications();
+  }, [booking.id]);
+
+  const pending = modifications.find(m => m.status === 'pending');
+  const lastApproved = modifications.find(m => m.status === 'approved');
+  // Bookings on a payment plan pay a higher price through their instalments instead
+  const owesDifference = ['pending', 'partially_paid'].includes(booking.payment_status) && !booking.payment_plan &&
+    lastApproved && lastApproved.price_difference > 0;
+
+  const updateForm = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+    setQuote(null);
+    setError('');
+  };
+
+  const changes = () => ({
+    bookingDate: form.bookingDate,
+    startTime: form.startTime || null,
+    participants: form.participants,
+    reason: form.reason || null
+  });
+
+  const handleQuote = async () => {
+    setBusy(true);
+    const response = await bookingsAPI.quoteModification(booking.id, changes());
+    setBusy(false);
+    if (response.success) {
+      setQuote(response.quote);
+    } else {
+      setError(response.message || 'This change is not possible');
+    }
+  };
+
+  const handleRequest = async () => {
+    setBusy(true);
+    const response = await bookingsAPI.requestModification(booking.id, changes());
+    setBusy(false);
+    if (response.success) {
+      setQuote(null);
+      await loadModifications();
+      if (onChanged) onChanged();
+    } else {
+      setError(response.message || 'Could not send the change request');
+    }
+  };
+
+  const handleWithdraw = async () => {
+    if (!window.confirm('Withdraw this change request?')) return;
+    setBusy(true);
+    const response = await bookingsAPI.withdrawModification(booking.id, pending.id);
+    setBusy(false);
+    if (!response.success) {
+      alert(response.message || 'Could not withdraw the request');
+    }
+    await loadModifications();
+  };
+
+  const handlePayDifference = async () => {
+    if (!phoneNumber) {
+      setError('Enter the M-Pesa number to pay from');
+      return;
+    }
+    setBusy(true);
+    const response = await paymentsAPI.payBooking(booking.id, 'mpesa', phoneNumber);
+    setBusy(false);
+    if (response.success) {
+      alert(response.message || 'Check your phone to complete the payment');
+      if (onChanged) onChanged();
+    } else {
+      setError(response.message || 'Payment could not be started');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-background rounded-lg max-w-md w-full p-6 max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold text-foreground">Change Booking</h2>
+          <button onClick={onClose} className="text-muted-foreground hover:text-foreground">
+            <Icon name="X" size={20} />
+          </button>
+        </div>
+
+        <p className="text-sm text-muted-foreground mb-4">
+          {booking.service_title} · currently {formatChange({
+            booking_date: (booking.booking_date || '').slice(0, 10),
+            start_time: booking.start_time ? booking.start_time.slice(0, 5) : null,
+            participants: booking.participants
+          })}
+        </p>
+
+        {owesDifference && (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 mb-4 space-y-2">
+            <p className="text-sm text-yellow-800">
+              Your last change added {lastApproved.currency} {lastApproved.price_difference.toLocaleString()} to this booking.
+            </p>
+            <Input
+              type="tel"
+              placeholder="M-Pesa number, e.g. 2557XXXXXXXX"
+              value={phoneNumber}
+              onChange={(e) => setPhoneNumber(e.target.value)}
+            />
+            <Button size="sm" onClick={handlePayDifference} disabled={busy}>
+              <Icon name="CreditCard" size={16} />
+              Pay the difference
+            </Button>
+          </div>
+        )}
+
+        {pending ? (
+          <div className="border border-border rounded-lg p-3 mb-4">
+            <p className="text-sm font-medium text-foreground">Waiting for the provider</p>
+            <p className="text-sm text-muted-foreground">Requested: {formatChange(pending.requested)}</p>
+            <p className="text-sm text-muted-foreground mb-3">
+              New price: {pending.currency} {pending.requested.total_amount.toLocaleString()}
+            </p>
+            <Button size="sm" variant="outline" onClick={handleWithdraw} disabled={busy}>
+              Withdraw request
+            </Button>
+          </div>
+        ) : (
+          <div className="space-y-3 mb-4">
+            <Input
+              type="date"
+              label="New date"
+              value={form.bookingDate}
+              onChange={(e) => updateForm('bookingDate', e.target.value)}
+            />
+            <Input
+              type="time"
+              label="Start time (optional)"
+              value={form.startTime}
+              onChange={(e) => updateForm('startTime', e.target.value)}
+            />
+            <Input
+              type="number"
+              min="1"
+              label="Participants"
+              value={form.participants}
+              onChange={(e) => updateForm('participants', e.target.value)}
+            />
+            <Input
+              label="Reason (optional)"
+              value={form.reason}
+              onChange={(e) => updateForm('reason', e.target.value)}
+            />
+
+            {quote && (
+              <div className="bg-muted/50 rounded-lg p-3 text-sm space-y-1">
+                <p className="flex justify-between"><span>Current price</span><span>{quote.currency} {quote.currentTotal.toLocaleString()}</span></p>
+                <p className="flex justify-between"><span>New price</span><span>{quote.currency} {quote.newTotal.toLocaleString()}</span></p>
+                <p className="flex justify-between font-medium">
+                  <span>{quote.priceDifference < 0 ? 'Refund if approved' : 'To pay if approved'}</span>
+                  <span>{quote.currency} {Math.abs(quote.priceDifference).toLocaleString()}</span>
+                </p>
+              </div>
+            )}
+
+            {quote ? (
+              <Button className="w-full" onClick={handleRequest} disabled={busy}>
+                <Icon name="Send" size={16} />
+                Send request to provider
+              </Button>
+            ) : (
+              <Button className="w-full" variant="outline" onClick={handleQuote} disabled={busy}>
+                <Icon name="Calculator" size={16} />
+                Check price
+              </Button>
+            )}
+          </div>
+        )}
+
+        {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+
+        {modifications.filter(m => m.status !== 'pending').length > 0 && (
+          <div>
+            <h3 className="text-sm font-medium text-foreground mb-2">Earlier requests</h3>
+            <ul className="space-y-2">
+              {modifications.filter(m => m.status !== 'pending').map(m => (
+                <li key={m.id} className="text-xs text-muted-foreground border-l-2 border-border pl-2">
+                  <span className="capitalize font-medium">{m.status}</span>: {formatChange(m.original)} → {formatChange(m.requested)}
+                  {m.decline_reason && ` (${m.decline_reason})`}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BookingChangeRequest;
@@ -0,0 +1,75 @@
+import React, { useState, useEffect } from 'react';
+import Icon from './AppIcon';
+import { bookingsAPI } from '../utils/api';
+
+const STATUS_LABELS = {
+  draft: 'Draft created',
+  pending: 'Sent to provider',
+  confirmed: 'Approved',
+  completed: 'Completed',
+  cancelled: 'Cancelled'
+};
+
+const STATUS_ICONS = {
+  draft: 'FileText',
+  pending: 'Send',
+  confirmed: 'CheckCircle',
+  completed: 'Flag',
+  cancelled: 'XCircle'
+};
+
+const ACTOR_LABELS = {
+  traveler: 'Traveler',
+  provider: 'Provider',
+  admin: 'iSafari admin',
+  system: 'Automatic'
+};
+
+// Status history of a booking from /api/bookings/:id/history
+const BookingTimeline = ({ bookingId }) => {
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      setLoading(true);
+      const response = await bookingsAPI.getHistory(bookingId);
+      if (response.success) {
+        setHistory(response.history);
+      }
+      setLoading(false);
+    };
+    fetchHistory();
+  }, [bookingId]);
+
+  if (loading) {
+    return <Icon name="Loader2" size={16} className="animate-spin text-primary" />;
+  }
+
+  if (history.length === 0) {
+    return <p className="text-xs text-muted-foreground">No status history recorded for this booking.</p>;
+  }
+
+  return (
+    <ol className="relative border-l border-border ml-2 space-y-3">
+      {history.map((entry) => {
+        const actorName = `${entry.actor_first_name || ''} ${entry.actor_last_name || ''}`.trim();
+        return (
+          <li key={entry.id} className="ml-4">
+            <span className="absolute -left-2 flex items-center justify-center w-4 h-4 bg-background rounded-full">
+              <Icon name={STATUS_ICONS[entry.to_status] || 'Circle'} size={14} className="text-primary" />
+            </span>
+            <p className="text-sm font-medium text-foreground">{STATUS_LABELS[entry.to_status] || entry.to_status}</p>
+            <p className="text-xs text-muted-foreground">
+              {ACTOR_LABELS[entry.actor_type]}{actorName && entry.actor_type !== 'system' ? ` · ${actorName}` : ''}
+              {' · '}{new Date(entry.created_at).toLocaleString()}
+            </p>
+            {entry.reason && <p className="text-xs text-foreground mt-1">{entry.reason}</p>}
+          </li>
+        );
+      })}
+    </ol>
+  );
+};
+
+export default BookingTimeline;
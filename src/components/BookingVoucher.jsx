@@ -0,0 +1,102 @@
+import React, { useState, useEffect } from 'react';
+import Icon from './AppIcon';
+import Button from './ui/Button';
+import { bookingsAPI } from '../utils/api';
+
+// QR code from the rows of '1'/'0' modules the API returns, with a four-module quiet zone
+export const QrCode = ({ rows, size = 200 }) => {
+  const count = rows.length + 8;
+  return (
+    <svg viewBox={`0 0 ${count} ${count}`} width={size} height={size} shapeRendering="crispEdges" className="bg-white">
+      <rect width={count} height={count} fill="#ffffff" />
+      {rows.map((row, y) => row.split('').map((dark, x) => (
+        dark === '1' ? <rect key={`${x}-${y}`} x={x + 4} y={y + 4} width={1} height={1} fill="#000000" /> : null
+      )))}
+    </svg>
+  );
+};
+
+// Voucher a traveler shows the provider on arrival, from /api/bookings/:id/voucher
+const BookingVoucher = ({ bookingId, onClose }) => {
+  const [voucher, setVoucher] = useState(null);
+  const [error, setError] = useState('');
+  const [downloading, setDownloading] = useState(false);
+
+  useEffect(() => {
+    const fetchVoucher = async () => {
+      const response = await bookingsAPI.getVoucher(bookingId);
+      if (response.success) {
+        setVoucher(response.voucher);
+      } else {
+        setError(response.message || 'Voucher not available');
+      }
+    };
+    fetchVoucher();
+  }, [bookingId]);
+
+  const handleDownload = async () => {
+    setDownloading(true);
+    const response = await bookingsAPI.downloadVoucher(bookingId);
+    setDownloading(false);
+    if (!response.success) {
+      alert(response.message || 'Failed to download voucher');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-background rounded-lg max-w-sm w-full p-6" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold text-foreground">Booking Voucher</h2>
+          <button onClick={onClose} className="text-muted-foreground hover:text-foreground">
+            <Icon name="X" size={20} />
+          </button>
+        </div>
+
+        {error && <p className="text-sm text-muted-foreground">{error}</p>}
+        {!voucher && !error && (
+          <div className="flex justify-center py-8">
+            <Icon name="Loader2" size={32} className="animate-spin text-primary" />
+          </div>
+        )}
+
+        {voucher && (
+          <>
+            <div className={`flex flex-col items-center mb-4 ${voucher.checkedInAt ? 'opacity-40' : ''}`}>
+              <QrCode rows={voucher.qr} />
+              <p className="mt-2 font-mono font-semibold text-foreground tracking-wide">{voucher.code}</p>
+            </div>
+            {voucher.checkedInAt && (
+              <p className="text-center text-sm font-medium text-red-600 mb-4">
+                Used · checked in {new Date(voucher.checkedInAt).toLocaleString()}
+              </p>
+            )}
+
+            <div className="space-y-2 text-sm mb-6">
+              {[
+                ['Service', voucher.serviceTitle],
+                ['Provider', voucher.providerName],
+                ['Location', voucher.location],
+                ['Date', [voucher.bookingDate, voucher.startTime].filter(Boolean).join(' ')],
+                ['Participants', voucher.participants],
+                ['Payment', voucher.paymentStatus === 'paid' ? 'Paid' : 'Balance due at the provider']
+              ].filter(([, value]) => value).map(([label, value]) => (
+                <div key={label} className="flex justify-between">
+                  <span className="text-muted-foreground">{label}</span>
+                  <span className="text-foreground text-right">{value}</span>
+                </div>
+              ))}
+            </div>
+
+            <Button variant="outline" fullWidth onClick={handleDownload} disabled={downloading}>
+              <Icon name="Download" size={16} />
+              {downloading ? 'Downloading...' : 'Download PDF'}
+            </Button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BookingVoucher;
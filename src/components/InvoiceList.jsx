@@ -0,0 +1,84 @@
+import React, { useState, useEffect } from 'react';
+import Icon from './AppIcon';
+import Button from './ui/Button';
+import { bookingsAPI, paymentsAPI, servicesAPI } from '../utils/api';
+
+// Invoices and receipts from /api/payments/invoices, each downloadable as a PDF
+const InvoiceList = ({ title = 'Invoices & Receipts' }) => {
+  const [invoices, setInvoices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [downloading, setDownloading] = useState(null);
+
+  useEffect(() => {
+    const fetchInvoices = async () => {
+      setLoading(true);
+      const response = await paymentsAPI.getInvoices();
+      if (response.success) {
+        setInvoices(response.invoices || []);
+      }
+      setLoading(false);
+    };
+    fetchInvoices();
+  }, []);
+
+  const handleDownload = async (invoice) => {
+    setDownloading(invoice.id);
+    const response = invoice.booking_id
+      ? await bookingsAPI.downloadInvoice(invoice.booking_id)
+      : await servicesAPI.downloadPromotionReceipt(invoice.promotion_service_id, invoice.promotion_id);
+    setDownloading(null);
+
+    if (!response.success) {
+      alert(response.message || 'Failed to download');
+    }
+  };
+
+  if (loading) return null;
+
+  return (
+    <div className="bg-card rounded-lg border border-border p-6">
+      <h3 className="font-semibold text-foreground mb-4 flex items-center">
+        <Icon name="Receipt" size={20} className="mr-2 text-primary" />
+        {title}
+      </h3>
+
+      {invoices.length === 0 ? (
+        <p className="text-sm text-muted-foreground">Invoices appear here once a payment has been completed.</p>
+      ) : (
+        <div className="space-y-2">
+          {invoices.map((invoice) => (
+            <div key={invoice.id} className="flex items-center justify-between p-3 bg-muted/50 rounded-lg">
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-foreground">
+                  {invoice.invoice_number}
+                  <span className="ml-2 text-xs text-muted-foreground capitalize">
+                    {invoice.document_type}{invoice.direction === 'issued' ? ' issued to traveler' : ''}
+                  </span>
+                </p>
+                <p className="text-xs text-muted-foreground truncate">
+                  {new Date(invoice.issued_at).toLocaleDateString()} · {invoice.description || invoice.reference}
+                </p>
+              </div>
+              <div className="flex items-center gap-3 ml-4">
+                <span className="text-sm font-medium text-foreground whitespace-nowrap">
+                  {invoice.currency} {invoice.total_amount.toLocaleString()}
+                </span>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => handleDownload(invoice)}
+                  disabled={downloading === invoice.id}
+                >
+                  <Icon name={downloading === invoice.id ? 'Loader2' : 'Download'} size={14} className={downloading === invoice.id ? 'animate-spin' : ''} />
+                  PDF
+                </Button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InvoiceList;
@@ -0,0 +1,362 @@
+import React, { useState, useEffect, useRef } from 'react';
+import Icon from './AppIcon';
+import Button from './ui/Button';
+import { messagesAPI } from '../utils/api';
+import { useAuth } from '../contexts/AuthContext';
+import { useRealtime, useRealtimeEvent } from '../contexts/RealtimeContext';
+
+// Only used while the real-time stream is down
+const POLL_INTERVAL = 15000;
+
+// Same limits the API enforces
+const MAX_ATTACHMENTS = 5;
+const MAX_ATTACHMENT_MB = 10;
+const ATTACHMENT_TYPES = 'image/jpeg,image/png,image/gif,image/webp,application/pdf';
+
+const formatSize = (bytes) => (bytes < 1024 * 1024 ? `${Math.ceil(bytes / 1024)} KB` : `${(bytes / (1024 * 1024)).toFixed(1)} MB`);
+
+const formatTime = (timestamp) => {
+  if (!timestamp) return '';
+  const date = new Date(timestamp);
+  return date.toDateString() === new Date().toDateString()
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleDateString();
+};
+
+// An attachment in a message: images show their thumbnail, other files their name; clicking downloads
+const AttachmentPreview = ({ conversationId, attachment }) => {
+  const [thumbnailUrl, setThumbnailUrl] = useState(null);
+
+  useEffect(() => {
+    if (!attachment.hasThumbnail) return undefined;
+    let url = null;
+    let cancelled = false;
+    messagesAPI.getAttachmentThumbnail(conversationId, attachment.id).then(response => {
+      if (!response.success) return;
+      url = response.url;
+      if (cancelled) URL.revokeObjectURL(url);
+      else setThumbnailUrl(url);
+    });
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [conversationId, attachment.id, attachment.hasThumbnail]);
+
+  const download = () => messagesAPI.downloadAttachment(conversationId, attachment);
+
+  if (attachment.isImage && thumbnailUrl) {
+    return (
+      <button onClick={download} title={`Download ${attachment.fileName}`} className="block">
+        <img src={thumbnailUrl} alt={attachment.fileName} className="max-h-48 rounded-md" />
+      </button>
+    );
+  }
+
+  return (
+    <button
+      onClick={download}
+      title={`Download ${attachment.fileName}`}
+      className="flex items-center space-x-2 rounded-md bg-black/10 px-3 py-2 text-left text-sm"
+    >
+      <Icon name={attachment.isImage ? 'Image' : 'FileText'} size={16} />
+      <span className="truncate max-w-[180px]">{attachment.fileName}</span>
+      <span className="text-xs opacity-70 whitespace-nowrap">{formatSize(attachment.sizeBytes)}</span>
+    </button>
+  );
+};
+
+// Message threads with travelers or providers: the thread list on the left, the open thread on the right.
+// Used by both dashboards; `onUnreadChange` keeps their badge in step as threads are read.
+const MessagesInbox = ({ initialConversationId = null, onUnreadChange }) => {
+  const { user } = useAuth();
+  const { connected } = useRealtime();
+  const [conversations, setConversations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [activeId, setActiveId] = useState(initialConversationId);
+  const [messages, setMessages] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [files, setFiles] = useState([]);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState('');
+  const messagesEndRef = useRef(null);
+  const fileInputRef = useRef(null);
+
+  const loadConversations = async () => {
+    const response = await messagesAPI.getConversations();
+    if (response.success) {
+      setConversations(response.conversations);
+      if (onUnreadChange) onUnreadChange(response.unreadCount);
+    }
+    setLoading(false);
+  };
+
+  // Latest page of the open thread; anything the other side sent is marked read
+  const loadThread = async (conversationId) => {
+    const response = await messagesAPI.getMessages(conversationId);
+    if (!response.success) return;
+    setMessages(response.messages);
+    setHasMore(response.hasMore);
+    if (response.messages.some(m => !m.mine && !m.readAt)) {
+      await messagesAPI.markRead(conversationId);
+      loadConversations();
+    }
+  };
+
+  const loadEarlier = async () => {
+    const response = await messagesAPI.getMessages(activeId, messages[0]?.id);
+    if (response.success) {
+      setMessages(prev => [...response.messages, ...prev]);
+      setHasMore(response.hasMore);
+    }
+  };
+
+  useEffect(() => {
+    loadConversations();
+  }, []);
+
+  useEffect(() => {
+    if (connected) return undefined;
+    const timer = setInterval(loadConversations, POLL_INTERVAL * 2);
+    return () => clearInterval(timer);
+  }, [connected]);
+
+  useEffect(() => {
+    if (initialConversationId) setActiveId(initialConversationId);
+  }, [initialConversationId]);
+
+  useEffect(() => {
+    if (!activeId) return;
+    setMessages([]);
+    setFiles([]);
+    setError('');
+    loadThread(activeId);
+  }, [activeId]);
+
+  useEffect(() => {
+    if (!activeId || connected) return undefined;
+    const timer = setInterval(() => loadThread(activeId), POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [activeId, connected]);
+
+  // New messages in any thread, including ones this user sent from another tab
+  useRealtimeEvent('message', async (message) => {
+    if (message.conversationId === activeId) {
+      const mine = Number(message.senderId) === Number(user?.id);
+      setMessages(prev => (prev.some(m => m.id === message.id) ? prev : [...prev, { ...message, mine }]));
+      if (!mine) await messagesAPI.markRead(activeId);
+    }
+    loadConversations();
+  });
+
+  // Read receipts for messages this user sent, and threads read in another tab
+  useRealtimeEvent('messages_read', ({ conversationId, messageIds, readAt }) => {
+    if (conversationId === activeId) {
+      setMessages(prev => prev.map(m => (messageIds.includes(m.id) ? { ...m, readAt } : m)));
+    }
+    loadConversations();
+  });
+
+  useRealtimeEvent('resync', () => {
+    loadConversations();
+    if (activeId) loadThread(activeId);
+  });
+
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages.length]);
+
+  const handleFilesSelected = (e) => {
+    const selected = Array.from(e.target.files || []);
+    e.target.value = '';
+    const tooLarge = selected.find(file => file.size > MAX_ATTACHMENT_MB * 1024 * 1024);
+    if (tooLarge) {
+      setError(`${tooLarge.name} is larger than ${MAX_ATTACHMENT_MB} MB`);
+      return;
+    }
+    if (files.length + selected.length > MAX_ATTACHMENTS) {
+      setError(`You can attach at most ${MAX_ATTACHMENTS} files to a message`);
+      return;
+    }
+    setFiles(prev => [...prev, ...selected]);
+    setError('');
+  };
+
+  const handleSend = async () => {
+    if (!draft.trim() && files.length === 0) return;
+    setSending(true);
+    const response = await messagesAPI.sendMessage(activeId, draft, files);
+    setSending(false);
+    if (response.success) {
+      setMessages(prev => (prev.some(m => m.id === response.message.id) ? prev : [...prev, response.message]));
+      setDraft('');
+      setFiles([]);
+      setError('');
+      loadConversations();
+    } else {
+      setError(response.message || 'Message could not be sent');
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      handleSend();
+    }
+  };
+
+  const active = conversations.find(c => c.id === activeId);
+
+  return (
+    <div className="bg-card border border-border rounded-lg shadow-sm flex h-[600px] overflow-hidden">
+      {/* Threads */}
+      <div className={`${activeId ? 'hidden md:flex' : 'flex'} flex-col w-full md:w-80 border-r border-border`}>
+        <div className="p-4 border-b border-border">
+          <h3 className="font-semibold text-foreground flex items-center">
+            <Icon name="MessageCircle" size={18} className="mr-2 text-primary" />
+            Messages
+          </h3>
+        </div>
+        <div className="flex-1 overflow-y-auto">
+          {loading && (
+            <div className="flex justify-center py-8">
+              <Icon name="Loader2" size={24} className="animate-spin text-primary" />
+            </div>
+          )}
+          {!loading && conversations.length === 0 && (
+            <p className="p-4 text-sm text-muted-foreground">
+              No conversations yet. Messages about your services and bookings will appear here.
+            </p>
+          )}
+          {conversations.map(conversation => (
+            <button
+              key={conversation.id}
+              onClick={() => setActiveId(conversation.id)}
+              className={`w-full text-left p-4 border-b border-border hover:bg-muted transition-colors ${
+                conversation.id === activeId ? 'bg-muted' : ''
+              }`}
+            >
+              <div className="flex items-center justify-between">
+                <span className="font-medium text-foreground truncate">{conversation.withName}</span>
+                <span className="text-xs text-muted-foreground ml-2 whitespace-nowrap">{formatTime(conversation.lastMessageAt)}</span>
+              </div>
+              {(conversation.serviceTitle || conversation.bookingId) && (
+                <p className="text-xs text-primary truncate">
+                  {conversation.serviceTitle}{conversation.bookingId ? ` · Booking #${conversation.bookingId}` : ''}
+                </p>
+              )}
+              <div className="flex items-center justify-between mt-1">
+                <p className={`text-sm truncate ${conversation.unreadCount > 0 ? 'text-foreground font-medium' : 'text-muted-foreground'}`}>
+                  {conversation.lastMessage ? `${conversation.lastMessageMine ? 'You: ' : ''}${conversation.lastMessage}` : 'No messages yet'}
+                </p>
+                {conversation.unreadCount > 0 && (
+                  <span className="ml-2 min-w-[20px] h-5 px-1 bg-red-500 text-white text-xs rounded-full flex items-center justify-center">
+                    {conversation.unreadCount}
+                  </span>
+                )}
+              </div>
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Open thread */}
+      <div className={`${activeId ? 'flex' : 'hidden md:flex'} flex-col flex-1`}>
+        {!activeId ? (
+          <div className="flex-1 flex items-center justify-center text-sm text-muted-foreground">
+            Select a conversation
+          </div>
+        ) : (
+          <>
+            <div className="flex items-center p-4 border-b border-border">
+              <button onClick={() => setActiveId(null)} className="md:hidden mr-3 text-muted-foreground hover:text-foreground">
+                <Icon name="ArrowLeft" size={20} />
+              </button>
+              <div>
+                <h3 className="font-semibold text-foreground">{active?.withName}</h3>
+                {active?.serviceTitle && <p className="text-sm text-muted-foreground">{active.serviceTitle}</p>}
+              </div>
+            </div>
+
+            <div className="flex-1 overflow-y-auto p-4 space-y-3">
+              {hasMore && (
+                <div className="text-center">
+                  <button onClick={loadEarlier} className="text-sm text-primary hover:underline">Load earlier messages</button>
+                </div>
+              )}
+              {messages.map(message => (
+                <div key={message.id} className={`flex ${message.mine ? 'justify-end' : 'justify-start'}`}>
+                  <div className={`max-w-[80%] rounded-lg p-3 ${message.mine ? 'bg-primary text-primary-foreground' : 'bg-muted text-foreground'}`}>
+                    {message.attachments?.length > 0 && (
+                      <div className="space-y-2 mb-1">
+                        {message.attachments.map(attachment => (
+                          <AttachmentPreview key={attachment.id} conversationId={message.conversationId} attachment={attachment} />
+                        ))}
+                      </div>
+                    )}
+                    {message.body && <p className="text-sm whitespace-pre-wrap break-words">{message.body}</p>}
+                    <p className="text-xs opacity-70 mt-1 flex items-center justify-end space-x-1">
+                      <span>{formatTime(message.createdAt)}</span>
+                      {message.mine && <Icon name={message.readAt ? 'CheckCheck' : 'Check'} size={12} />}
+                    </p>
+                  </div>
+                </div>
+              ))}
+              <div ref={messagesEndRef} />
+            </div>
+
+            <div className="p-4 border-t border-border">
+              {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+              {files.length > 0 && (
+                <div className="flex flex-wrap gap-2 mb-2">
+                  {files.map((file, index) => (
+                    <span key={`${file.name}-${index}`} className="flex items-center space-x-1 bg-muted rounded-md px-2 py-1 text-xs text-foreground">
+                      <Icon name={file.type === 'application/pdf' ? 'FileText' : 'Image'} size={12} />
+                      <span className="truncate max-w-[140px]">{file.name}</span>
+                      <button onClick={() => setFiles(prev => prev.filter((_, i) => i !== index))} className="text-muted-foreground hover:text-foreground">
+                        <Icon name="X" size={12} />
+                      </button>
+                    </span>
+                  ))}
+                </div>
+              )}
+              <div className="flex space-x-2">
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  accept={ATTACHMENT_TYPES}
+                  multiple
+                  onChange={handleFilesSelected}
+                  className="hidden"
+                />
+                <Button
+                  variant="outline"
+                  onClick={() => fileInputRef.current?.click()}
+                  disabled={files.length >= MAX_ATTACHMENTS}
+                  title="Attach photos or PDFs"
+                >
+                  <Icon name="Paperclip" size={16} />
+                </Button>
+                <textarea
+                  value={draft}
+                  onChange={(e) => setDraft(e.target.value)}
+                  onKeyDown={handleKeyDown}
+                  placeholder="Type your message..."
+                  maxLength={2000}
+                  className="flex-1 resize-none border border-border rounded-lg px-3 py-2 text-sm bg-background focus:outline-none focus:ring-2 focus:ring-primary"
+                  rows="2"
+                />
+                <Button onClick={handleSend} disabled={(!draft.trim() && files.length === 0) || sending}>
+                  <Icon name="Send" size={16} />
+                </Button>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MessagesInbox;
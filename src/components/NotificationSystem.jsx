@@ -2,13 +2,30 @@ import React, { useState, useEffect } from 'react';
 import Icon from './AppIcon';
 import Button from './ui/Button';
 import { useAuth } from '../contexts/AuthContext';
+import { useRealtimeEvent } from '../contexts/RealtimeContext';
 import { API_URL } from '../utils/api';
 
+// Stored notifications (and live ones from the event stream) in the shape the list renders
+const toDisplayNotification = (notification) => ({
+  ...notification,
+  content: notification.content ?? notification.message,
+  timestamp: new Date(notification.timestamp || notification.created_at || notification.createdAt),
+  read: notification.read ?? notification.is_read ?? false,
+  icon: notification.icon || 'Bell'
+});
+
 const NotificationSystem = ({ isOpen, onClose, userType = 'traveler' }) => {
   const { user } = useAuth();
   const [notifications, setNotifications] = useState([]);
   const [filter, setFilter] = useState('all');
 
+  // New notifications appear at the top as they happen
+  useRealtimeEvent('notification', (notification) => {
+    setNotifications(prev => (
+      prev.some(n => n.id === notification.id) ? prev : [toDisplayNotification(notification), ...prev]
+    ));
+  });
+
   // Fetch real notifications from backend
   useEffect(() => {
     if (user && isOpen) {
@@ -31,7 +48,7 @@ const NotificationSystem = ({ isOpen, onClose, userType = 'traveler' }) => {
 
       const data = await response.json();
       if (data.success && data.notifications) {
-        setNotifications(data.notifications);
+        setNotifications(data.notifications.map(toDisplayNotification));
       } else {
         // Fallback to mock notifications if API fails
         setNotifications(getMockNotifications());
@@ -0,0 +1,138 @@
+import React, { useState, useEffect } from 'react';
+import Icon from './AppIcon';
+import Button from './ui/Button';
+import Input from './ui/Input';
+import { bookingsAPI, paymentsAPI } from '../utils/api';
+
+const KIND_LABELS = { deposit: 'Deposit', instalment: 'Instalment', balance: 'Balance' };
+
+const STATUS_STYLES = {
+  paid: 'bg-green-100 text-green-700',
+  pending: 'bg-yellow-100 text-yellow-700',
+  cancelled: 'bg-gray-100 text-gray-600'
+};
+
+// Deposit and instalments of a booking on a payment plan, from /api/bookings/:id/instalments
+const PaymentSchedule = ({ bookingId, onClose, onPaid }) => {
+  const [schedule, setSchedule] = useState(null);
+  const [error, setError] = useState('');
+  const [phoneNumber, setPhoneNumber] = useState('');
+  const [paying, setPaying] = useState(false);
+
+  const loadSchedule = async () => {
+    const response = await bookingsAPI.getInstalments(bookingId);
+    if (response.success) {
+      setSchedule(response);
+    } else {
+      setError(response.message || 'Payment schedule not available');
+    }
+  };
+
+  useEffect(() => {
+    loadSchedule();
+  }, [bookingId]);
+
+  const handlePay = async (payInFull) => {
+    if (!phoneNumber) {
+      setError('Enter the M-Pesa number to pay from');
+      return;
+    }
+    setPaying(true);
+    setError('');
+    const response = await paymentsAPI.payBooking(bookingId, 'mpesa', phoneNumber, payInFull);
+    setPaying(false);
+    if (response.success) {
+      alert(response.message || 'Check your phone to complete the payment');
+      await loadSchedule();
+      if (onPaid) onPaid();
+    } else {
+      setError(response.message || 'Payment could not be started');
+    }
+  };
+
+  const today = new Date().toLocaleDateString('en-CA');
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-background rounded-lg max-w-md w-full p-6 max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold text-foreground">Payment Schedule</h2>
+          <button onClick={onClose} className="text-muted-foreground hover:text-foreground">
+            <Icon name="X" size={20} />
+          </button>
+        </div>
+
+        {!schedule && !error && (
+          <div className="flex justify-center py-8">
+            <Icon name="Loader2" size={32} className="animate-spin text-primary" />
+          </div>
+        )}
+
+        {schedule && (
+          <>
+            <div className="grid grid-cols-2 gap-2 text-sm mb-4">
+              <div className="bg-muted/50 rounded-lg p-3">
+                <p className="text-muted-foreground">Paid</p>
+                <p className="font-semibold text-foreground">{schedule.currency} {schedule.paidAmount.toLocaleString()}</p>
+              </div>
+              <div className="bg-muted/50 rounded-lg p-3">
+                <p className="text-muted-foreground">Still to pay</p>
+                <p className="font-semibold text-foreground">{schedule.currency} {schedule.balance.toLocaleString()}</p>
+              </div>
+            </div>
+
+            <ul className="space-y-2 mb-4">
+              {schedule.instalments.map(instalment => (
+                <li key={instalment.id} className="flex items-center justify-between text-sm border border-border rounded-lg p-3">
+                  <div>
+                    <p className="font-medium text-foreground">{KIND_LABELS[instalment.kind]}</p>
+                    <p className={`text-xs ${instalment.status === 'pending' && instalment.due_date < today ? 'text-red-600' : 'text-muted-foreground'}`}>
+                      {instalment.status === 'paid'
+                        ? `Paid ${new Date(instalment.paid_at).toLocaleDateString()}`
+                        : `Due ${new Date(`${instalment.due_date}T00:00:00`).toLocaleDateString()}`}
+                    </p>
+                  </div>
+                  <div className="text-right">
+                    <p className="font-medium text-foreground">{instalment.currency} {instalment.amount.toLocaleString()}</p>
+                    <span className={`px-2 py-0.5 rounded-full text-xs capitalize ${STATUS_STYLES[instalment.status]}`}>
+                      {instalment.status}
+                    </span>
+                  </div>
+                </li>
+              ))}
+            </ul>
+
+            {schedule.nextInstalment && (
+              <div className="space-y-2">
+                <Input
+                  type="tel"
+                  placeholder="M-Pesa number, e.g. 2557XXXXXXXX"
+                  value={phoneNumber}
+                  onChange={(e) => setPhoneNumber(e.target.value)}
+                />
+                <div className="flex space-x-2">
+                  <Button className="flex-1" onClick={() => handlePay(false)} disabled={paying}>
+                    <Icon name="CreditCard" size={16} />
+                    Pay {schedule.currency} {schedule.nextInstalment.amount.toLocaleString()}
+                  </Button>
+                  {schedule.balance > schedule.nextInstalment.amount && (
+                    <Button variant="outline" className="flex-1" onClick={() => handlePay(true)} disabled={paying}>
+                      Pay all
+                    </Button>
+                  )}
+                </div>
+                <p className="text-xs text-muted-foreground">
+                  Bookings not paid on time are cancelled, with any refund under the cancellation policy.
+                </p>
+              </div>
+            )}
+          </>
+        )}
+
+        {error && <p className="text-sm text-red-600 mt-3">{error}</p>}
+      </div>
+    </div>
+  );
+};
+
+export default PaymentSchedule;
@@ -1,137 +1,230 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import Icon from './AppIcon';
 import Button from './ui/Button';
+import { cartAPI, promoCodesAPI } from '../utils/api';
+import { useCart } from '../contexts/CartContext';
+import { useCurrency } from '../contexts/CurrencyContext';
 
-export const PaymentModal = ({ isOpen, onClose, cartItems, total, onPaymentSuccess }) => {
-  const [paymentMethod, setPaymentMethod] = useState('card');
-  const [paymentData, setPaymentData] = useState({
-    cardNumber: '',
-    expiryDate: '',
-    cvv: '',
-    cardName: '',
-    mpesaNumber: '',
-    tigopesaNumber: '',
-    airtelNumber: ''
-  });
+const tomorrow = () => {
+  const date = new Date();
+  date.setDate(date.getDate() + 1);
+  return date.toISOString().split('T')[0];
+};
+
+// Checks out the whole cart in one request: the server books every item and starts a single payment
+// When the page passes onJoinWaitlist, a fully booked date offers to join its waitlist instead
+export const PaymentModal = ({ isOpen, onClose, cartItems, onPaymentSuccess, onJoinWaitlist }) => {
+  const { loadCartFromDatabase } = useCart();
+  const { currency, formatPrice } = useCurrency();
+  const [paymentMethod, setPaymentMethod] = useState('mpesa');
+  const [phoneNumber, setPhoneNumber] = useState('');
+  const [itemDetails, setItemDetails] = useState({});
+  const [promoInput, setPromoInput] = useState('');
+  const [promo, setPromo] = useState(null);
+  const [promoError, setPromoError] = useState('');
+  const [error, setError] = useState(null);
+  const [waitlistNotice, setWaitlistNotice] = useState('');
   const [isProcessing, setIsProcessing] = useState(false);
 
   const paymentMethods = [
-    { id: 'card', name: 'Credit/Debit Card', icon: 'CreditCard' },
     { id: 'mpesa', name: 'M-Pesa', icon: 'Phone' },
-    { id: 'tigopesa', name: 'Tigo Pesa', icon: 'Phone' },
-    { id: 'airtel', name: 'Airtel Money', icon: 'Phone' }
+    { id: 'stripe', name: 'Credit/Debit Card', icon: 'CreditCard' }
   ];
 
+  useEffect(() => {
+    if (isOpen) {
+      setError(null);
+      setWaitlistNotice('');
+    }
+  }, [isOpen]);
+
+  // New items start on tomorrow with the quantity in the cart; items already filled in keep their details
+  useEffect(() => {
+    setItemDetails(previous => Object.fromEntries(cartItems.map(item => [
+      item.id,
+      previous[item.id] || { bookingDate: tomorrow(), participants: item.quantity || 1 }
+    ])));
+  }, [cartItems]);
+
+  // The server works the discount out again at checkout; the preview is redone when participants change
+  useEffect(() => {
+    setPromo(null);
+  }, [cartItems]);
+
+  const updateItem = (itemId, field, value) => {
+    setItemDetails({ ...itemDetails, [itemId]: { ...itemDetails[itemId], [field]: value } });
+    if (field === 'participants') setPromo(null);
+  };
+
+  const handleApplyPromo = async () => {
+    if (!promoInput.trim()) return;
+    setPromoError('');
+    const response = await promoCodesAPI.validate(promoInput.trim(), cartItems.map(item => ({
+      serviceId: item.service_id,
+      participants: parseInt(itemDetails[item.id]?.participants) || 1
+    })));
+    if (response.success) {
+      setPromo(response);
+    } else {
+      setPromo(null);
+      setPromoError(response.message || 'This promo code cannot be used');
+    }
+  };
+
+  const fullyBookedItem = error?.code === 'CAPACITY_EXCEEDED' && onJoinWaitlist
+    ? cartItems.find(item => item.id === error.cartItemId)
+    : null;
+
+  const handleJoinWaitlist = async () => {
+    const details = itemDetails[fullyBookedItem.id] || {};
+    const response = await onJoinWaitlist({
+      serviceId: fullyBookedItem.service_id,
+      bookingDate: details.bookingDate,
+      participants: parseInt(details.participants) || 1
+    });
+    if (response.success) {
+      setError(null);
+      setWaitlistNotice(`${fullyBookedItem.title}: ${response.message}. We will notify you if a place opens up.`);
+    } else {
+      setError({ message: response.message || 'Could not join the waitlist' });
+    }
+  };
+
+  const getSubtotal = () => cartItems.reduce(
+    (sum, item) => sum + (item.price || 0) * (parseInt(itemDetails[item.id]?.participants) || 1),
+    0
+  );
+
+  const getTotal = () => Math.max(getSubtotal() - (promo?.discount || 0), 0);
+
   const handlePayment = async () => {
+    if (paymentMethod === 'mpesa' && !phoneNumber && getTotal() > 0) {
+      setError({ message: 'Enter the M-Pesa number to send the payment prompt to' });
+      return;
+    }
+
     setIsProcessing(true);
-    
-    try {
-      // Simulate payment processing
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      // Get user token
-      const userData = JSON.parse(localStorage.getItem('isafari_user') || '{}');
-      const token = userData.token;
-      
-      if (!token) {
-        alert('Please login to complete payment');
-        setIsProcessing(false);
-        return;
+    setError(null);
+
+    const items = cartItems.map(item => ({
+      cartItemId: item.id,
+      bookingDate: itemDetails[item.id]?.bookingDate,
+      participants: parseInt(itemDetails[item.id]?.participants) || 1,
+      expectedPrice: item.price
+    }));
+
+    const response = await cartAPI.checkout(items, paymentMethod, phoneNumber, currency, promo?.promo.code);
+    setIsProcessing(false);
+
+    if (!response.success) {
+      setError(response);
+      // Prices or availability changed under the traveler; show the cart as it is now
+      if (response.code === 'PRICE_CHANGED') {
+        loadCartFromDatabase(true);
       }
-      
-      // Create bookings for each cart item
-      const API_URL = import.meta.env.VITE_API_BASE_URL || 
-        (import.meta.env.MODE === 'development' ? 'http://localhost:5000/api' : 'https://isafarinetworkglobal-2.onrender.com/api');
-      
-      console.log('💳 [PAYMENT] Processing payment for', cartItems.length, 'items');
-      
-      // Create booking for each service in cart
-      for (const item of cartItems) {
-        console.log('📝 Creating booking for service:', item.id);
-        
-        const bookingResponse = await fetch(`${API_URL}/bookings`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${token}`
-          },
-          body: JSON.stringify({
-            serviceId: item.id || item.service_id,
-            bookingDate: new Date().toISOString().split('T')[0],
-            participants: item.journey_details?.travelers || 1,
-            specialRequests: `Payment Method: ${paymentMethod}`
-          })
-        });
-        
-        const bookingData = await bookingResponse.json();
-        console.log('📥 Booking response:', bookingData);
-        
-        if (!bookingData.success) {
-          console.error('❌ Failed to create booking:', bookingData.message);
-          alert('Error creating booking: ' + bookingData.message);
-          setIsProcessing(false);
-          return;
-        }
+      if (response.code === 'PROMO_INVALID') {
+        setPromo(null);
       }
-      
-      // Create booking record for UI
-      const booking = {
-        id: Date.now(),
-        items: cartItems,
-        total: total,
-        paymentMethod: paymentMethod,
-        status: 'confirmed',
-        bookingDate: new Date().toISOString(),
-        bookingReference: `ISG-${Date.now().toString().slice(-6)}`
-      };
-      
-      // Save booking to localStorage as backup
-      const existingBookings = JSON.parse(localStorage.getItem('isafari_bookings') || '[]');
-      localStorage.setItem('isafari_bookings', JSON.stringify([...existingBookings, booking]));
-      
-      console.log('✅ Payment processed successfully');
-      setIsProcessing(false);
-      onPaymentSuccess(booking);
-      onClose();
-    } catch (error) {
-      console.error('❌ Payment error:', error);
-      alert('Payment failed: ' + error.message);
-      setIsProcessing(false);
+      return;
     }
+
+    await loadCartFromDatabase(true);
+    onPaymentSuccess({
+      ...response.order,
+      bookingReference: `ORD-${response.order.id}`,
+      payment: response.payment,
+      paymentMethod: paymentMethods.find(method => method.id === paymentMethod)?.name,
+      message: response.message
+    });
+    onClose();
   };
 
   if (!isOpen) return null;
 
   return (
     <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
-      <div className="bg-background rounded-lg max-w-md w-full max-h-[90vh] overflow-y-auto">
+      <div className="bg-background rounded-lg max-w-lg w-full max-h-[90vh] overflow-y-auto">
         <div className="p-6">
           <div className="flex items-center justify-between mb-6">
-            <h2 className="text-xl font-semibold text-foreground">Complete Payment</h2>
+            <h2 className="text-xl font-semibold text-foreground">Checkout</h2>
             <button onClick={onClose} className="text-muted-foreground hover:text-foreground">
               <Icon name="X" size={24} />
             </button>
           </div>
 
-          {/* Order Summary */}
+          {/* Dates and participants per item */}
           <div className="mb-6">
-            <h3 className="font-medium text-foreground mb-3">Order Summary</h3>
-            <div className="space-y-2">
+            <h3 className="font-medium text-foreground mb-3">Your Bookings</h3>
+            <div className="space-y-3">
               {cartItems.map((item) => (
-                <div key={item.id} className="flex justify-between text-sm">
-                  <span className="text-muted-foreground">
-                    {item.title} x{item.quantity}
-                  </span>
-                  <span className="text-foreground">${(item.price * item.quantity).toFixed(2)}</span>
+                <div
+                  key={item.id}
+                  className={`p-3 border rounded-lg ${error?.cartItemId === item.id ? 'border-red-500' : 'border-border'}`}
+                >
+                  <div className="flex justify-between text-sm mb-2">
+                    <span className="font-medium text-foreground">{item.title}</span>
+                    <span className="text-foreground">
+                      {formatPrice((item.price || 0) * (parseInt(itemDetails[item.id]?.participants) || 1), item.currency)}
+                    </span>
+                  </div>
+                  <div className="grid grid-cols-2 gap-3">
+                    <div>
+                      <label className="block text-xs text-muted-foreground mb-1">Date</label>
+                      <input
+                        type="date"
+                        min={new Date().toISOString().split('T')[0]}
+                        value={itemDetails[item.id]?.bookingDate || ''}
+                        onChange={(e) => updateItem(item.id, 'bookingDate', e.target.value)}
+                        className="w-full px-3 py-2 border border-border rounded-lg bg-background text-foreground text-sm"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-xs text-muted-foreground mb-1">Participants</label>
+                      <input
+                        type="number"
+                        min="1"
+                        value={itemDetails[item.id]?.participants || 1}
+                        onChange={(e) => updateItem(item.id, 'participants', e.target.value)}
+                        className="w-full px-3 py-2 border border-border rounded-lg bg-background text-foreground text-sm"
+                      />
+                    </div>
+                  </div>
                 </div>
               ))}
+              {promo && (
+                <div className="flex justify-between text-sm text-green-600">
+                  <span>Promo {promo.promo.code}</span>
+                  <span>-{formatPrice(promo.discount, cartItems[0]?.currency)}</span>
+                </div>
+              )}
               <div className="border-t border-border pt-2 flex justify-between font-medium">
                 <span>Total</span>
-                <span>${total.toFixed(2)}</span>
+                <span>{formatPrice(getTotal(), cartItems[0]?.currency)}</span>
               </div>
             </div>
           </div>
 
+          {/* Promo code */}
+          <div className="mb-6">
+            <label className="block text-sm font-medium text-foreground mb-1">Promo Code</label>
+            <div className="flex space-x-2">
+              <input
+                type="text"
+                value={promoInput}
+                onChange={(e) => setPromoInput(e.target.value.toUpperCase())}
+                placeholder="Enter code"
+                className="flex-1 px-3 py-2 border border-border rounded-lg bg-background text-foreground"
+              />
+              {promo ? (
+                <Button variant="outline" onClick={() => { setPromo(null); setPromoInput(''); }}>Remove</Button>
+              ) : (
+                <Button variant="outline" onClick={handleApplyPromo} disabled={!promoInput.trim()}>Apply</Button>
+              )}
+            </div>
+            {promo && <p className="text-xs text-green-600 mt-1">{promo.promo.description || promo.message}</p>}
+            {promoError && <p className="text-xs text-red-600 mt-1">{promoError}</p>}
+          </div>
+
           {/* Payment Methods */}
           <div className="mb-6">
             <h3 className="font-medium text-foreground mb-3">Payment Method</h3>
@@ -155,120 +248,54 @@ export const PaymentModal = ({ isOpen, onClose, cartItems, total, onPaymentSucce
             </div>
           </div>
 
-          {/* Payment Form */}
-          <div className="mb-6">
-            {paymentMethod === 'card' && (
-              <div className="space-y-4">
-                <div>
-                  <label className="block text-sm font-medium text-foreground mb-1">Card Number</label>
-                  <input
-                    type="text"
-                    placeholder="1234 5678 9012 3456"
-                    value={paymentData.cardNumber}
-                    onChange={(e) => setPaymentData({...paymentData, cardNumber: e.target.value})}
-                    className="w-full px-3 py-2 border border-border rounded-lg bg-background text-foreground"
-                  />
-                </div>
-                <div className="grid grid-cols-2 gap-4">
-                  <div>
-                    <label className="block text-sm font-medium text-foreground mb-1">Expiry Date</label>
-                    <input
-                      type="text"
-                      placeholder="MM/YY"
-                      value={paymentData.expiryDate}
-                      onChange={(e) => setPaymentData({...paymentData, expiryDate: e.target.value})}
-                      className="w-full px-3 py-2 border border-border rounded-lg bg-background text-foreground"
-                    />
-                  </div>
-                  <div>
-                    <label className="block text-sm font-medium text-foreground mb-1">CVV</label>
-                    <input
-                      type="text"
-                      placeholder="123"
-                      value={paymentData.cvv}
-                      onChange={(e) => setPaymentData({...paymentData, cvv: e.target.value})}
-                      className="w-full px-3 py-2 border border-border rounded-lg bg-background text-foreground"
-                    />
-                  </div>
-                </div>
-                <div>
-                  <label className="block text-sm font-medium text-foreground mb-1">Cardholder Name</label>
-                  <input
-                    type="text"
-                    placeholder="John Doe"
-                    value={paymentData.cardName}
-                    onChange={(e) => setPaymentData({...paymentData, cardName: e.target.value})}
-                    className="w-full px-3 py-2 border border-border rounded-lg bg-background text-foreground"
-                  />
-                </div>
-              </div>
-            )}
-
-            {paymentMethod === 'mpesa' && (
-              <div>
-                <label className="block text-sm font-medium text-foreground mb-1">M-Pesa Number</label>
-                <input
-                  type="tel"
-                  placeholder="+255 123 456 789"
-                  value={paymentData.mpesaNumber}
-                  onChange={(e) => setPaymentData({...paymentData, mpesaNumber: e.target.value})}
-                  className="w-full px-3 py-2 border border-border rounded-lg bg-background text-foreground"
-                />
-                <p className="text-xs text-muted-foreground mt-1">
-                  You will receive an M-Pesa prompt to complete payment
-                </p>
-              </div>
-            )}
+          {paymentMethod === 'mpesa' && (
+            <div className="mb-6">
+              <label className="block text-sm font-medium text-foreground mb-1">M-Pesa Number</label>
+              <input
+                type="tel"
+                placeholder="+255 123 456 789"
+                value={phoneNumber}
+                onChange={(e) => setPhoneNumber(e.target.value)}
+                className="w-full px-3 py-2 border border-border rounded-lg bg-background text-foreground"
+              />
+              <p className="text-xs text-muted-foreground mt-1">
+                You will receive an M-Pesa prompt to complete payment
+              </p>
+            </div>
+          )}
 
-            {paymentMethod === 'tigopesa' && (
-              <div>
-                <label className="block text-sm font-medium text-foreground mb-1">Tigo Pesa Number</label>
-                <input
-                  type="tel"
-                  placeholder="+255 123 456 789"
-                  value={paymentData.tigopesaNumber}
-                  onChange={(e) => setPaymentData({...paymentData, tigopesaNumber: e.target.value})}
-                  className="w-full px-3 py-2 border border-border rounded-lg bg-background text-foreground"
-                />
-                <p className="text-xs text-muted-foreground mt-1">
-                  You will receive a Tigo Pesa prompt to complete payment
-                </p>
-              </div>
-            )}
+          {error && (
+            <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+              {error.message || 'Checkout failed. Please try again.'}
+              {fullyBookedItem && (
+                <button onClick={handleJoinWaitlist} className="block mt-2 font-medium text-primary hover:underline">
+                  Join the waitlist for this date
+                </button>
+              )}
+            </div>
+          )}
 
-            {paymentMethod === 'airtel' && (
-              <div>
-                <label className="block text-sm font-medium text-foreground mb-1">Airtel Money Number</label>
-                <input
-                  type="tel"
-                  placeholder="+255 123 456 789"
-                  value={paymentData.airtelNumber}
-                  onChange={(e) => setPaymentData({...paymentData, airtelNumber: e.target.value})}
-                  className="w-full px-3 py-2 border border-border rounded-lg bg-background text-foreground"
-                />
-                <p className="text-xs text-muted-foreground mt-1">
-                  You will receive an Airtel Money prompt to complete payment
-                </p>
-              </div>
-            )}
-          </div>
+          {waitlistNotice && (
+            <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-700">
+              {waitlistNotice}
+            </div>
+          )}
 
-          {/* Payment Button */}
           <Button
             variant="default"
             fullWidth
             onClick={handlePayment}
-            disabled={isProcessing}
+            disabled={isProcessing || cartItems.length === 0}
           >
             {isProcessing ? (
               <>
                 <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
-                Processing Payment...
+                Placing Order...
               </>
             ) : (
               <>
                 <Icon name="CreditCard" size={16} />
-                Pay ${total.toFixed(2)}
+                Book &amp; Pay {formatPrice(getTotal(), cartItems[0]?.currency)}
               </>
             )}
           </Button>
@@ -281,6 +308,9 @@ export const PaymentModal = ({ isOpen, onClose, cartItems, total, onPaymentSucce
 export const BookingConfirmation = ({ booking, onClose }) => {
   if (!booking) return null;
 
+  const paid = booking.payment?.payment_status === 'completed' || booking.status === 'paid';
+  const failed = booking.payment?.payment_status === 'failed';
+
   return (
     <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
       <div className="bg-background rounded-lg max-w-md w-full p-6">
@@ -288,27 +318,45 @@ export const BookingConfirmation = ({ booking, onClose }) => {
           <div className="w-16 h-16 bg-green-100 rounded-full flex items-center justify-center mx-auto mb-4">
             <Icon name="CheckCircle" size={32} className="text-green-600" />
           </div>
-          <h2 className="text-xl font-semibold text-foreground mb-2">Booking Confirmed!</h2>
-          <p className="text-muted-foreground">Your booking has been successfully processed</p>
+          <h2 className="text-xl font-semibold text-foreground mb-2">Order Placed!</h2>
+          <p className="text-muted-foreground">{booking.message || 'Your bookings have been sent to the providers'}</p>
         </div>
 
         <div className="space-y-4 mb-6">
           <div className="flex justify-between">
-            <span className="text-muted-foreground">Booking Reference</span>
+            <span className="text-muted-foreground">Order Reference</span>
             <span className="font-medium text-foreground">{booking.bookingReference}</span>
           </div>
+          {booking.bookings?.map((item) => (
+            <div key={item.id} className="flex justify-between text-sm">
+              <span className="text-muted-foreground">
+                {item.service_title} · {new Date(item.booking_date).toLocaleDateString()} · {item.participants}x
+              </span>
+              <span className="text-foreground">{booking.currency} {item.total_amount.toLocaleString()}</span>
+            </div>
+          ))}
+          {booking.discount_amount > 0 && (
+            <div className="flex justify-between text-sm">
+              <span className="text-muted-foreground">Promo Discount</span>
+              <span className="text-green-600">-{booking.currency} {booking.discount_amount.toLocaleString()}</span>
+            </div>
+          )}
           <div className="flex justify-between">
             <span className="text-muted-foreground">Total Amount</span>
-            <span className="font-medium text-foreground">${booking.total.toFixed(2)}</span>
+            <span className="font-medium text-foreground">
+              {booking.charged_currency} {booking.charged_amount?.toLocaleString()}
+            </span>
           </div>
           <div className="flex justify-between">
             <span className="text-muted-foreground">Payment Method</span>
-            <span className="font-medium text-foreground capitalize">{booking.paymentMethod}</span>
+            <span className="font-medium text-foreground">{booking.paymentMethod}</span>
           </div>
           <div className="flex justify-between">
-            <span className="text-muted-foreground">Status</span>
-            <span className="px-2 py-1 bg-green-100 text-green-800 rounded-full text-xs font-medium">
-              Confirmed
+            <span className="text-muted-foreground">Payment</span>
+            <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+              paid ? 'bg-green-100 text-green-800' : failed ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'
+            }`}>
+              {paid ? 'Paid' : failed ? 'Not started' : 'Awaiting payment'}
             </span>
           </div>
         </div>
@@ -320,7 +368,7 @@ export const BookingConfirmation = ({ booking, onClose }) => {
           </Button>
           <Button variant="outline" fullWidth onClick={() => window.print()}>
             <Icon name="Download" size={16} />
-            Download Receipt
+            Print Summary
           </Button>
         </div>
       </div>
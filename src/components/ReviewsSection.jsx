@@ -0,0 +1,129 @@
+import React, { useState, useEffect } from 'react';
+import Icon from './AppIcon';
+import Button from './ui/Button';
+import { reviewsAPI } from '../utils/api';
+
+const SORT_LABELS = {
+  newest: 'Newest',
+  highest: 'Highest rated',
+  lowest: 'Lowest rated',
+  oldest: 'Oldest'
+};
+
+const StarRow = ({ rating, size = 14 }) => (
+  <div className="flex">
+    {[1, 2, 3, 4, 5].map((star) => (
+      <Icon
+        key={star}
+        name="Star"
+        size={size}
+        className={star <= Math.round(rating) ? 'text-yellow-500 fill-yellow-500' : 'text-muted-foreground'}
+      />
+    ))}
+  </div>
+);
+
+// Real traveler reviews for a service or a provider, loaded from /api/reviews
+const ReviewsSection = ({ serviceId, providerId, pageSize = 5 }) => {
+  const [reviews, setReviews] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [sort, setSort] = useState('newest');
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+
+  const fetchReviews = async (pageToLoad, append) => {
+    if (!serviceId && !providerId) return;
+    setLoading(true);
+    const params = { page: pageToLoad, limit: pageSize, sort };
+    const response = serviceId
+      ? await reviewsAPI.getForService(serviceId, params)
+      : await reviewsAPI.getForProvider(providerId, params);
+
+    if (response.success) {
+      setReviews(prev => (append ? [...prev, ...response.reviews] : response.reviews));
+      setSummary(response.summary);
+      setTotalPages(response.totalPages || 1);
+      setPage(pageToLoad);
+    }
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    fetchReviews(1, false);
+  }, [serviceId, providerId, sort]);
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-semibold text-foreground flex items-center gap-2">
+          <Icon name="MessageSquare" size={20} />
+          Reviews
+          {summary?.total > 0 && (
+            <span className="text-sm font-normal text-muted-foreground">
+              ({summary.average.toFixed(1)} · {summary.total} {summary.total === 1 ? 'review' : 'reviews'})
+            </span>
+          )}
+        </h3>
+        {summary?.total > 1 && (
+          <select
+            value={sort}
+            onChange={(e) => setSort(e.target.value)}
+            className="text-sm border border-border rounded-md px-2 py-1 bg-background text-foreground"
+          >
+            {Object.entries(SORT_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {!loading && reviews.length === 0 ? (
+        <p className="text-sm text-muted-foreground">No reviews yet.</p>
+      ) : (
+        <div className="space-y-3">
+          {reviews.map((review) => (
+            <div key={review.id} className="p-4 bg-muted/30 rounded-lg">
+              <div className="flex items-start justify-between mb-2">
+                <div>
+                  <p className="font-medium text-foreground">{review.traveler_name}</p>
+                  {providerId && review.service_title && (
+                    <p className="text-xs text-muted-foreground">{review.service_title}</p>
+                  )}
+                </div>
+                <div className="flex items-center gap-2">
+                  <StarRow rating={review.rating} />
+                  <span className="text-xs text-muted-foreground">
+                    {new Date(review.created_at).toLocaleDateString()}
+                  </span>
+                </div>
+              </div>
+              {review.comment && <p className="text-sm text-foreground">{review.comment}</p>}
+              {review.provider_reply && (
+                <div className="mt-3 ml-4 pl-3 border-l-2 border-primary/40">
+                  <p className="text-xs font-medium text-primary mb-1">Response from the provider</p>
+                  <p className="text-sm text-muted-foreground">{review.provider_reply}</p>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {page < totalPages && (
+        <Button
+          variant="outline"
+          size="sm"
+          className="mt-3"
+          disabled={loading}
+          onClick={() => fetchReviews(page + 1, true)}
+        >
+          {loading ? 'Loading...' : 'Show more reviews'}
+        </Button>
+      )}
+    </div>
+  );
+};
+
+export { StarRow };
+export default ReviewsSection;
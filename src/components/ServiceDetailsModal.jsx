@@ -2,12 +2,15 @@ import React from 'react';
 import Icon from './AppIcon';
 import Button from './ui/Button';
 import VerifiedBadge from './ui/VerifiedBadge';
+import ReviewsSection from './ReviewsSection';
 import { bookingsAPI } from '../utils/api';
 import { useCart } from '../contexts/CartContext';
+import { useCurrency } from '../contexts/CurrencyContext';
 
 const ServiceDetailsModal = ({ isOpen, onClose, service }) => {
   if (!isOpen || !service) return null;
   const { addToCart } = useCart();
+  const { formatPrice } = useCurrency();
 
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 backdrop-blur-sm">
@@ -72,7 +75,7 @@ const ServiceDetailsModal = ({ isOpen, onClose, service }) => {
           <div className="flex items-center justify-between p-4 bg-primary/5 border border-primary/20 rounded-lg">
             <div>
               <p className="text-sm text-muted-foreground">Price per person</p>
-              <p className="text-3xl font-bold text-primary">TZS {service.price?.toLocaleString()}</p>
+              <p className="text-3xl font-bold text-primary">{formatPrice(service.price, service.currency)}</p>
             </div>
             <div className="text-right">
               <p className="text-xs text-muted-foreground">Category</p>
@@ -197,13 +200,16 @@ const ServiceDetailsModal = ({ isOpen, onClose, service }) => {
               </div>
             </div>
           )}
+
+          {/* Reviews */}
+          {service.id && <ReviewsSection serviceId={service.id} />}
         </div>
 
         {/* Footer with Action Buttons */}
         <div className="sticky bottom-0 bg-card border-t border-border px-6 py-4 flex items-center justify-between gap-4">
           <div>
             <p className="text-sm text-muted-foreground">Total Price</p>
-            <p className="text-2xl font-bold text-primary">TZS {service.price?.toLocaleString()}</p>
+            <p className="text-2xl font-bold text-primary">{formatPrice(service.price, service.currency)}</p>
           </div>
           <div className="flex gap-2">
             <Button
@@ -3,6 +3,7 @@ import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import { useCart } from '../../contexts/CartContext';
 import { useTheme } from '../../contexts/ThemeContext';
+import { useCurrency } from '../../contexts/CurrencyContext';
 import Icon from '../AppIcon';
 import Button from './Button';
 
@@ -13,6 +14,7 @@ const Header = () => {
   const { user, logout, isAuthenticated } = useAuth();
   const { getCartCount, setIsCartOpen } = useCart();
   const { theme, toggleTheme, isDark } = useTheme();
+  const { currency, currencies, setCurrency } = useCurrency();
 
   // Navigation items for travelers
   const travelerNavItems = [
@@ -150,6 +152,20 @@ const Header = () => {
             >
               <Icon name={isDark ? 'Sun' : 'Moon'} size={20} />
             </button>
+
+            {/* Currency prices are shown in */}
+            {currencies.length > 1 && (
+              <select
+                value={currency}
+                onChange={(e) => setCurrency(e.target.value)}
+                className="px-2 py-1.5 text-sm rounded-lg border border-border bg-background text-foreground"
+                title="Currency"
+              >
+                {currencies.map((c) => (
+                  <option key={c.code} value={c.code}>{c.code}</option>
+                ))}
+              </select>
+            )}
             
             {isAuthenticated && (
               <>
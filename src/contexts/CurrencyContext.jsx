@@ -0,0 +1,92 @@
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { useAuth } from './AuthContext';
+import { currenciesAPI, userAPI } from '../utils/api';
+
+const CurrencyContext = createContext();
+
+const BASE_CURRENCY = 'TZS';
+
+export const useCurrency = () => {
+  const context = useContext(CurrencyContext);
+  if (!context) {
+    throw new Error('useCurrency must be used within a CurrencyProvider');
+  }
+  return context;
+};
+
+// Currency prices are shown in. Rates come from /api/currencies; logged-in users keep
+// their choice on their profile, guests in localStorage. Bookings are charged in it too.
+export const CurrencyProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [currency, setCurrencyState] = useState(() => localStorage.getItem('isafari_currency') || BASE_CURRENCY);
+  const [currencies, setCurrencies] = useState([]);
+  const [rates, setRates] = useState({ [BASE_CURRENCY]: 1 });
+
+  useEffect(() => {
+    const fetchRates = async () => {
+      const response = await currenciesAPI.getRates();
+      if (response.success) {
+        setRates(response.rates);
+        setCurrencies(response.currencies);
+      }
+    };
+    fetchRates();
+  }, []);
+
+  // Pick up the saved preference when a user logs in
+  useEffect(() => {
+    if (!user?.token) return;
+
+    const fetchPreference = async () => {
+      const response = await userAPI.getProfile();
+      const preferred = response.success && response.user?.preferredCurrency;
+      if (preferred) {
+        setCurrencyState(preferred);
+        localStorage.setItem('isafari_currency', preferred);
+      }
+    };
+    fetchPreference();
+  }, [user?.token]);
+
+  const setCurrency = async (code) => {
+    setCurrencyState(code);
+    localStorage.setItem('isafari_currency', code);
+    if (user?.token) {
+      await userAPI.updateProfile({ preferredCurrency: code });
+    }
+  };
+
+  // Convert an amount into the chosen currency; null when there is no rate for either side
+  const convert = useCallback((amount, fromCurrency = BASE_CURRENCY) => {
+    const from = fromCurrency || BASE_CURRENCY;
+    if (from === currency) return parseFloat(amount) || 0;
+    if (!rates[from] || !rates[currency]) return null;
+    return (parseFloat(amount) || 0) * rates[from] / rates[currency];
+  }, [currency, rates]);
+
+  // Price label in the chosen currency, falling back to the original currency without a rate
+  const formatPrice = useCallback((amount, fromCurrency = BASE_CURRENCY) => {
+    const converted = convert(amount, fromCurrency);
+    const code = converted === null ? (fromCurrency || BASE_CURRENCY) : currency;
+    const value = converted === null ? parseFloat(amount) || 0 : converted;
+    const decimals = currencies.find(c => c.code === code)?.decimals ?? 2;
+    return `${code} ${value.toLocaleString(undefined, { maximumFractionDigits: value >= 1000 ? 0 : decimals })}`;
+  }, [convert, currency, currencies]);
+
+  const value = {
+    currency,
+    currencies,
+    rates,
+    setCurrency,
+    convert,
+    formatPrice
+  };
+
+  return (
+    <CurrencyContext.Provider value={value}>
+      {children}
+    </CurrencyContext.Provider>
+  );
+};
+
+export default CurrencyContext;
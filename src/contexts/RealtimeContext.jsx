@@ -0,0 +1,99 @@
+import React, { createContext, useContext, useState, useEffect, useRef, useCallback } from 'react';
+import { useAuth } from './AuthContext';
+import { API_URL } from '../utils/api';
+
+const RealtimeContext = createContext();
+
+// Event types the server streams; 'resync' means too much was missed and views should reload
+const EVENT_TYPES = ['notification', 'message', 'messages_read', 'booking_status', 'resync'];
+const RECONNECT_DELAY = 5000;
+
+export const useRealtime = () => {
+  const context = useContext(RealtimeContext);
+  if (!context) {
+    throw new Error('useRealtime must be used within a RealtimeProvider');
+  }
+  return context;
+};
+
+// Call `handler(data)` for every event of `type` while the component is mounted
+export const useRealtimeEvent = (type, handler) => {
+  const { subscribe } = useRealtime();
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  useEffect(() => subscribe(type, (data) => handlerRef.current(data)), [type, subscribe]);
+};
+
+// One event stream per tab for the signed-in user: new notifications, messages, read receipts
+// and booking status changes. After a network drop it resumes from the last event it saw.
+export const RealtimeProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [connected, setConnected] = useState(false);
+  const listenersRef = useRef(new Map());
+  const lastEventIdRef = useRef(null);
+  const streamUserRef = useRef(null);
+
+  const subscribe = useCallback((type, listener) => {
+    const listeners = listenersRef.current;
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(listener);
+    return () => listeners.get(type).delete(listener);
+  }, []);
+
+  useEffect(() => {
+    const token = user?.token;
+    if (!token || typeof EventSource === 'undefined') return undefined;
+
+    // A different account starts from its own events
+    if (streamUserRef.current !== user.id) {
+      streamUserRef.current = user.id;
+      lastEventIdRef.current = null;
+    }
+
+    let source = null;
+    let retryTimer = null;
+
+    const connect = () => {
+      const params = new URLSearchParams({ access_token: token });
+      if (lastEventIdRef.current) params.set('lastEventId', lastEventIdRef.current);
+      source = new EventSource(`${API_URL}/realtime/stream?${params}`);
+
+      source.onopen = () => setConnected(true);
+      source.onerror = () => {
+        setConnected(false);
+        // The browser retries dropped connections itself, sending Last-Event-ID. If it gave up
+        // (e.g. the server answered with an error) start again from the last event seen.
+        if (source.readyState === EventSource.CLOSED) {
+          retryTimer = setTimeout(connect, RECONNECT_DELAY);
+        }
+      };
+
+      EVENT_TYPES.forEach(type => {
+        source.addEventListener(type, (event) => {
+          if (event.lastEventId) lastEventIdRef.current = event.lastEventId;
+          let data = {};
+          try {
+            data = JSON.parse(event.data);
+          } catch (error) {
+            console.warn('⚠️ [Realtime] Unreadable event:', type);
+          }
+          listenersRef.current.get(type)?.forEach(listener => listener(data));
+        });
+      });
+    };
+
+    connect();
+    return () => {
+      clearTimeout(retryTimer);
+      if (source) source.close();
+      setConnected(false);
+    };
+  }, [user?.token, user?.id]);
+
+  return (
+    <RealtimeContext.Provider value={{ connected, subscribe }}>
+      {children}
+    </RealtimeContext.Provider>
+  );
+};
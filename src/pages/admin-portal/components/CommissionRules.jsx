@@ -0,0 +1,305 @@
+import React, { useState, useEffect } from 'react';
+import { DollarSign, Plus, Edit2, XCircle } from 'lucide-react';
+import { adminAPI } from '../../../utils/api';
+
+const CATEGORIES = [
+  'Accommodation',
+  'Transportation',
+  'Tours & Activities',
+  'Food & Dining',
+  'Shopping',
+  'Health & Wellness',
+  'Entertainment'
+];
+
+const PROVIDER_TIERS = ['standard', 'verified', 'premium'];
+
+const EMPTY_RULE = {
+  name: '',
+  category: '',
+  region: '',
+  providerTier: '',
+  promotionStatus: '',
+  commissionPercent: '',
+  fixedFee: '',
+  priority: 0,
+  effectiveFrom: new Date().toISOString().split('T')[0],
+  effectiveTo: ''
+};
+
+const toDateInput = (value) => (value ? String(value).split('T')[0] : '');
+
+// Commission rules applied to new bookings. Existing bookings keep the fees they were booked with.
+const CommissionRules = () => {
+  const [rules, setRules] = useState([]);
+  const [defaultPercent, setDefaultPercent] = useState(null);
+  const [form, setForm] = useState(EMPTY_RULE);
+  const [editingId, setEditingId] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const fetchRules = async () => {
+    const response = await adminAPI.getCommissionRules();
+    if (response.success) {
+      setRules(response.rules || []);
+      setDefaultPercent(response.defaultCommissionPercent);
+    }
+  };
+
+  useEffect(() => {
+    fetchRules();
+  }, []);
+
+  const openForm = (rule = null) => {
+    setEditingId(rule ? rule.id : null);
+    setForm(rule ? {
+      name: rule.name,
+      category: rule.category || '',
+      region: rule.region || '',
+      providerTier: rule.providerTier || '',
+      promotionStatus: rule.promotionStatus || '',
+      commissionPercent: rule.commissionPercent,
+      fixedFee: rule.fixedFee,
+      priority: rule.priority,
+      effectiveFrom: toDateInput(rule.effectiveFrom),
+      effectiveTo: toDateInput(rule.effectiveTo)
+    } : EMPTY_RULE);
+    setError('');
+    setShowForm(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    const response = editingId
+      ? await adminAPI.updateCommissionRule(editingId, form)
+      : await adminAPI.createCommissionRule(form);
+    setSaving(false);
+
+    if (response.success) {
+      setShowForm(false);
+      fetchRules();
+    } else {
+      setError(response.message || 'Failed to save rule');
+    }
+  };
+
+  const handleDeactivate = async (rule) => {
+    if (!window.confirm(`Deactivate "${rule.name}"? New bookings will stop using it.`)) return;
+    const response = await adminAPI.deactivateCommissionRule(rule.id);
+    if (response.success) {
+      fetchRules();
+    } else {
+      alert(response.message || 'Failed to deactivate rule');
+    }
+  };
+
+  const describeCriteria = (rule) => {
+    const criteria = [
+      rule.category,
+      rule.region,
+      rule.providerTier && `${rule.providerTier} providers`,
+      rule.promotionStatus && `${rule.promotionStatus} services`
+    ].filter(Boolean);
+    return criteria.length > 0 ? criteria.join(' · ') : 'All bookings';
+  };
+
+  const inputClass = 'mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg';
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 md:col-span-2">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-3">
+          <DollarSign className="h-6 w-6 text-primary" />
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Commission Rules</h3>
+            {defaultPercent !== null && (
+              <p className="text-sm text-gray-500">Bookings no rule matches are charged {defaultPercent}%</p>
+            )}
+          </div>
+        </div>
+        <button
+          onClick={() => openForm()}
+          className="flex items-center space-x-1 px-3 py-2 text-sm bg-primary text-white rounded-lg hover:bg-primary/90"
+        >
+          <Plus className="h-4 w-4" />
+          <span>Add Rule</span>
+        </button>
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="mb-6 p-4 bg-gray-50 rounded-lg space-y-3">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <div className="md:col-span-3">
+              <label className="text-sm text-gray-600">Name</label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                className={inputClass}
+                placeholder="e.g. Premium accommodation in Arusha"
+              />
+            </div>
+            <div>
+              <label className="text-sm text-gray-600">Category</label>
+              <select value={form.category} onChange={(e) => setForm({ ...form, category: e.target.value })} className={inputClass}>
+                <option value="">Any category</option>
+                {CATEGORIES.map(category => <option key={category} value={category}>{category}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="text-sm text-gray-600">Region</label>
+              <input
+                type="text"
+                value={form.region}
+                onChange={(e) => setForm({ ...form, region: e.target.value })}
+                className={inputClass}
+                placeholder="Any region"
+              />
+            </div>
+            <div>
+              <label className="text-sm text-gray-600">Provider Tier</label>
+              <select value={form.providerTier} onChange={(e) => setForm({ ...form, providerTier: e.target.value })} className={inputClass}>
+                <option value="">Any tier</option>
+                {PROVIDER_TIERS.map(tier => <option key={tier} value={tier} className="capitalize">{tier}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="text-sm text-gray-600">Promotion</label>
+              <select value={form.promotionStatus} onChange={(e) => setForm({ ...form, promotionStatus: e.target.value })} className={inputClass}>
+                <option value="">Any service</option>
+                <option value="promoted">Promoted services</option>
+                <option value="standard">Non-promoted services</option>
+              </select>
+            </div>
+            <div>
+              <label className="text-sm text-gray-600">Commission (%)</label>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                step="0.01"
+                value={form.commissionPercent}
+                onChange={(e) => setForm({ ...form, commissionPercent: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="text-sm text-gray-600">Fixed Fee</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={form.fixedFee}
+                onChange={(e) => setForm({ ...form, fixedFee: e.target.value })}
+                className={inputClass}
+                placeholder="0"
+              />
+            </div>
+            <div>
+              <label className="text-sm text-gray-600">Priority</label>
+              <input
+                type="number"
+                value={form.priority}
+                onChange={(e) => setForm({ ...form, priority: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="text-sm text-gray-600">Effective From</label>
+              <input
+                type="date"
+                value={form.effectiveFrom}
+                onChange={(e) => setForm({ ...form, effectiveFrom: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="text-sm text-gray-600">Effective To</label>
+              <input
+                type="date"
+                value={form.effectiveTo}
+                onChange={(e) => setForm({ ...form, effectiveTo: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+          </div>
+          <p className="text-xs text-gray-500">
+            When several rules match a booking, the one with the most criteria wins, then the higher priority.
+          </p>
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          <div className="flex justify-end space-x-2">
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="px-4 py-2 text-sm border border-gray-300 rounded-lg hover:bg-gray-100"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 text-sm bg-primary text-white rounded-lg hover:bg-primary/90 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : editingId ? 'Update Rule' : 'Create Rule'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {rules.length === 0 ? (
+        <p className="text-sm text-gray-500">No commission rules yet. All bookings use the default rate.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b border-gray-200">
+                <th className="py-2 pr-4">Rule</th>
+                <th className="py-2 pr-4">Applies To</th>
+                <th className="py-2 pr-4">Fee</th>
+                <th className="py-2 pr-4">Effective</th>
+                <th className="py-2 pr-4">Status</th>
+                <th className="py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rules.map((rule) => (
+                <tr key={rule.id} className="border-b border-gray-100">
+                  <td className="py-2 pr-4 font-medium text-gray-900">{rule.name}</td>
+                  <td className="py-2 pr-4 text-gray-600 capitalize">{describeCriteria(rule)}</td>
+                  <td className="py-2 pr-4 text-gray-900">
+                    {rule.commissionPercent}%{rule.fixedFee > 0 ? ` + ${rule.fixedFee.toLocaleString()}` : ''}
+                  </td>
+                  <td className="py-2 pr-4 text-gray-600">
+                    {new Date(rule.effectiveFrom).toLocaleDateString()}
+                    {rule.effectiveTo ? ` – ${new Date(rule.effectiveTo).toLocaleDateString()}` : ' onwards'}
+                  </td>
+                  <td className="py-2 pr-4">
+                    <span className={`px-2 py-1 text-xs rounded-full ${
+                      rule.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'
+                    }`}>
+                      {rule.isActive ? 'Active' : 'Inactive'}
+                    </span>
+                  </td>
+                  <td className="py-2 text-right whitespace-nowrap">
+                    <button onClick={() => openForm(rule)} className="p-1 text-gray-500 hover:text-gray-900" title="Edit">
+                      <Edit2 className="h-4 w-4" />
+                    </button>
+                    {rule.isActive && (
+                      <button onClick={() => handleDeactivate(rule)} className="p-1 text-gray-500 hover:text-red-600" title="Deactivate">
+                        <XCircle className="h-4 w-4" />
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CommissionRules;
@@ -1,7 +1,60 @@
-import React from 'react';
-import { FileText, Image, Star, MessageSquare } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { FileText, Star, MessageSquare, Flag, EyeOff, Eye, Trash2 } from 'lucide-react';
+import { adminAPI } from '../../../utils/api';
+
+const STATUS_TABS = [
+  { id: 'flagged', label: 'Flagged' },
+  { id: 'hidden', label: 'Hidden' },
+  { id: 'all', label: 'All Reviews' }
+];
 
 const ContentManagement = () => {
+  const [status, setStatus] = useState('flagged');
+  const [reviews, setReviews] = useState([]);
+  const [stats, setStats] = useState({ stories: 0, reviews: 0, comments: 0, flagged: 0, hidden: 0 });
+  const [loading, setLoading] = useState(true);
+  const [actionId, setActionId] = useState(null);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [status]);
+
+  const fetchQueue = async () => {
+    setLoading(true);
+    const response = await adminAPI.getReviewModerationQueue(status);
+    if (response.success) {
+      setReviews(response.reviews || []);
+      setStats(response.stats || stats);
+    }
+    setLoading(false);
+  };
+
+  const runAction = async (review, action) => {
+    const labels = { hide: 'hide', restore: 'restore', delete: 'permanently delete' };
+    const reason = window.prompt(`Reason to ${labels[action]} this review (kept in the moderation log):`);
+    if (!reason?.trim()) return;
+
+    setActionId(review.id);
+    let response;
+    if (action === 'hide') response = await adminAPI.hideReview(review.id, reason.trim());
+    else if (action === 'restore') response = await adminAPI.restoreReview(review.id, reason.trim());
+    else response = await adminAPI.deleteReview(review.id, reason.trim());
+    setActionId(null);
+
+    if (response.success) {
+      fetchQueue();
+    } else {
+      alert(response.message || 'Moderation action failed');
+    }
+  };
+
+  const statCards = [
+    { label: 'Traveler Stories', value: stats.stories, icon: FileText, color: 'text-blue-500' },
+    { label: 'Reviews', value: stats.reviews, icon: Star, color: 'text-yellow-500' },
+    { label: 'Comments', value: stats.comments, icon: MessageSquare, color: 'text-green-500' },
+    { label: 'Awaiting Moderation', value: stats.flagged, icon: Flag, color: 'text-red-500' }
+  ];
+
   return (
     <div className="space-y-6">
       <div>
@@ -9,42 +62,115 @@ const ContentManagement = () => {
         <p className="text-gray-600 mt-1">Manage stories, reviews, and content</p>
       </div>
 
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
-          <div className="flex items-center justify-between">
-            <div>
-              <p className="text-sm font-medium text-gray-600">Traveler Stories</p>
-              <p className="text-2xl font-bold text-gray-900 mt-2">156</p>
-            </div>
-            <FileText className="h-8 w-8 text-blue-500" />
-          </div>
-        </div>
-        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
-          <div className="flex items-center justify-between">
-            <div>
-              <p className="text-sm font-medium text-gray-600">Reviews</p>
-              <p className="text-2xl font-bold text-gray-900 mt-2">892</p>
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+        {statCards.map(({ label, value, icon: CardIcon, color }) => (
+          <div key={label} className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-sm font-medium text-gray-600">{label}</p>
+                <p className="text-2xl font-bold text-gray-900 mt-2">{value.toLocaleString()}</p>
+              </div>
+              <CardIcon className={`h-8 w-8 ${color}`} />
             </div>
-            <Star className="h-8 w-8 text-yellow-500" />
           </div>
-        </div>
-        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
-          <div className="flex items-center justify-between">
-            <div>
-              <p className="text-sm font-medium text-gray-600">Comments</p>
-              <p className="text-2xl font-bold text-gray-900 mt-2">1,234</p>
-            </div>
-            <MessageSquare className="h-8 w-8 text-green-500" />
-          </div>
-        </div>
+        ))}
       </div>
 
       <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
-        <h3 className="text-lg font-semibold text-gray-900 mb-4">Recent Content</h3>
-        <p className="text-gray-600">Content management features coming soon...</p>
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Review Moderation</h3>
+          <div className="flex space-x-2">
+            {STATUS_TABS.map((tab) => (
+              <button
+                key={tab.id}
+                onClick={() => setStatus(tab.id)}
+                className={`px-3 py-1.5 text-sm rounded-md ${
+                  status === tab.id ? 'bg-gray-900 text-white' : 'text-gray-600 hover:bg-gray-100'
+                }`}
+              >
+                {tab.label}
+                {tab.id === 'flagged' && stats.flagged > 0 && ` (${stats.flagged})`}
+                {tab.id === 'hidden' && stats.hidden > 0 && ` (${stats.hidden})`}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {loading ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-primary"></div>
+          </div>
+        ) : reviews.length === 0 ? (
+          <p className="text-gray-600 text-center py-8">No reviews in this queue</p>
+        ) : (
+          <div className="divide-y divide-gray-200">
+            {reviews.map((review) => (
+              <div key={review.id} className="py-4 flex items-start justify-between gap-4">
+                <div className="flex-1">
+                  <div className="flex items-center gap-2 mb-1">
+                    <span className="font-medium text-gray-900">{review.traveler.name || 'Traveler'}</span>
+                    <span className="text-sm text-gray-500">on {review.service.title || 'Deleted service'}</span>
+                    <span className="text-sm text-gray-500">· {review.provider.name}</span>
+                  </div>
+                  <div className="flex items-center gap-1 mb-2">
+                    {[1, 2, 3, 4, 5].map((star) => (
+                      <Star
+                        key={star}
+                        className={`h-4 w-4 ${star <= review.rating ? 'text-yellow-500 fill-yellow-500' : 'text-gray-300'}`}
+                      />
+                    ))}
+                    <span className="text-xs text-gray-500 ml-2">{new Date(review.createdAt).toLocaleDateString()}</span>
+                  </div>
+                  {review.comment && <p className="text-sm text-gray-700">{review.comment}</p>}
+                  {review.providerReply && (
+                    <p className="text-sm text-gray-500 mt-2 pl-3 border-l-2 border-gray-200">
+                      Provider reply: {review.providerReply}
+                    </p>
+                  )}
+                  {review.isFlagged && review.flagReason && (
+                    <p className="text-xs text-red-600 mt-2">Flagged by provider: {review.flagReason}</p>
+                  )}
+                  {review.isHidden && review.moderationReason && (
+                    <p className="text-xs text-gray-500 mt-2">Hidden: {review.moderationReason}</p>
+                  )}
+                </div>
+                <div className="flex items-center space-x-2">
+                  {(review.isHidden || review.isFlagged) && (
+                    <button
+                      onClick={() => runAction(review, 'restore')}
+                      disabled={actionId === review.id}
+                      className="p-2 text-green-600 hover:bg-green-50 rounded-lg"
+                      title={review.isHidden ? 'Restore' : 'Dismiss flag'}
+                    >
+                      <Eye className="h-4 w-4" />
+                    </button>
+                  )}
+                  {!review.isHidden && (
+                    <button
+                      onClick={() => runAction(review, 'hide')}
+                      disabled={actionId === review.id}
+                      className="p-2 text-yellow-600 hover:bg-yellow-50 rounded-lg"
+                      title="Hide"
+                    >
+                      <EyeOff className="h-4 w-4" />
+                    </button>
+                  )}
+                  <button
+                    onClick={() => runAction(review, 'delete')}
+                    disabled={actionId === review.id}
+                    className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                    title="Delete"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
       </div>
     </div>
   );
 };
 
-export default ContentManagement;
\ No newline at end of file
+export default ContentManagement;
@@ -0,0 +1,167 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { RefreshCw, Upload, Trash2, Save } from 'lucide-react';
+import { adminAPI } from '../../../utils/api';
+
+// Exchange rates against the base currency. New bookings are charged at the rate of the day;
+// existing bookings keep the rate they were made at.
+const ExchangeRates = () => {
+  const [rates, setRates] = useState([]);
+  const [baseCurrency, setBaseCurrency] = useState('TZS');
+  const [supported, setSupported] = useState([]);
+  const [edits, setEdits] = useState({});
+  const [newRate, setNewRate] = useState({ currency: '', rate: '' });
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const fileInput = useRef(null);
+
+  const fetchRates = async () => {
+    const response = await adminAPI.getExchangeRates();
+    if (response.success) {
+      setRates(response.rates || []);
+      setBaseCurrency(response.baseCurrency);
+      setSupported(response.supportedCurrencies || []);
+      setEdits({});
+    }
+  };
+
+  useEffect(() => {
+    fetchRates();
+  }, []);
+
+  const showResult = (response, fallback) => {
+    if (response.success) {
+      setMessage(response.message);
+      setError('');
+      fetchRates();
+    } else {
+      setError(response.message || fallback);
+      setMessage('');
+    }
+  };
+
+  const handleSave = async (currency, rate) => {
+    const response = await adminAPI.updateExchangeRate(currency, rate);
+    showResult(response, 'Failed to update rate');
+    if (response.success) setNewRate({ currency: '', rate: '' });
+  };
+
+  const handleDelete = async (currency) => {
+    if (!window.confirm(`Stop offering ${currency}? Existing bookings keep their rate.`)) return;
+    showResult(await adminAPI.deleteExchangeRate(currency), 'Failed to remove rate');
+  };
+
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = async () => {
+      showResult(await adminAPI.importExchangeRates(reader.result), 'Failed to import rates');
+    };
+    reader.readAsText(file);
+    e.target.value = '';
+  };
+
+  const unpriced = supported.filter(code => !rates.some(r => r.currency === code));
+  const inputClass = 'px-3 py-2 border border-gray-300 rounded-lg';
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 md:col-span-2">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-3">
+          <RefreshCw className="h-6 w-6 text-primary" />
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Exchange Rates</h3>
+            <p className="text-sm text-gray-500">Value of one unit of each currency in {baseCurrency}</p>
+          </div>
+        </div>
+        <button
+          onClick={() => fileInput.current?.click()}
+          className="flex items-center space-x-1 px-3 py-2 text-sm border border-gray-300 rounded-lg hover:bg-gray-100"
+          title="CSV lines like USD,2600 or JSON like {&quot;USD&quot;: 2600}"
+        >
+          <Upload className="h-4 w-4" />
+          <span>Import File</span>
+        </button>
+        <input ref={fileInput} type="file" accept=".csv,.json,.txt" onChange={handleImport} className="hidden" />
+      </div>
+
+      {message && <p className="mb-3 text-sm text-green-700">{message}</p>}
+      {error && <p className="mb-3 text-sm text-red-600">{error}</p>}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b border-gray-200">
+              <th className="py-2 pr-4">Currency</th>
+              <th className="py-2 pr-4">Rate ({baseCurrency})</th>
+              <th className="py-2 pr-4">Source</th>
+              <th className="py-2 pr-4">Updated</th>
+              <th className="py-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {rates.map((rate) => (
+              <tr key={rate.currency} className="border-b border-gray-100">
+                <td className="py-2 pr-4 font-medium text-gray-900">{rate.currency} <span className="text-gray-500 font-normal">{rate.name}</span></td>
+                <td className="py-2 pr-4">
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    value={edits[rate.currency] ?? rate.rate}
+                    onChange={(e) => setEdits({ ...edits, [rate.currency]: e.target.value })}
+                    className={`${inputClass} w-36`}
+                  />
+                </td>
+                <td className="py-2 pr-4 text-gray-600 capitalize">{rate.source}</td>
+                <td className="py-2 pr-4 text-gray-600">{new Date(rate.updatedAt).toLocaleString()}</td>
+                <td className="py-2 text-right whitespace-nowrap">
+                  {edits[rate.currency] !== undefined && (
+                    <button onClick={() => handleSave(rate.currency, edits[rate.currency])} className="p-1 text-gray-500 hover:text-gray-900" title="Save">
+                      <Save className="h-4 w-4" />
+                    </button>
+                  )}
+                  <button onClick={() => handleDelete(rate.currency)} className="p-1 text-gray-500 hover:text-red-600" title="Remove">
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {unpriced.length > 0 && (
+        <div className="mt-4 flex items-center space-x-2">
+          <select
+            value={newRate.currency}
+            onChange={(e) => setNewRate({ ...newRate, currency: e.target.value })}
+            className={inputClass}
+          >
+            <option value="">Add currency...</option>
+            {unpriced.map(code => <option key={code} value={code}>{code}</option>)}
+          </select>
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={newRate.rate}
+            onChange={(e) => setNewRate({ ...newRate, rate: e.target.value })}
+            className={`${inputClass} w-36`}
+            placeholder={`Rate in ${baseCurrency}`}
+          />
+          <button
+            onClick={() => handleSave(newRate.currency, newRate.rate)}
+            disabled={!newRate.currency || !newRate.rate}
+            className="px-4 py-2 text-sm bg-primary text-white rounded-lg hover:bg-primary/90 disabled:opacity-50"
+          >
+            Add
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExchangeRates;
@@ -1,58 +1,65 @@
 import React, { useState, useEffect } from 'react';
-import { DollarSign, TrendingUp, Download, Search, Filter } from 'lucide-react';
-import { paymentsAPI } from '../../../utils/api';
+import { DollarSign, Download, Search, Filter, Wallet, Send, FileText, CheckCircle, XCircle } from 'lucide-react';
+import { adminAPI } from '../../../utils/api';
 import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
 
 const PaymentManagement = () => {
   const [payments, setPayments] = useState([]);
   const [loading, setLoading] = useState(true);
   const [stats, setStats] = useState({
-    totalRevenue: 125000000,
-    monthlyRevenue: 45000000,
-    pendingPayments: 12,
-    completedPayments: 248
+    totalRevenue: 0,
+    pendingAmount: 0,
+    totalPayments: 0
   });
+  const [balances, setBalances] = useState([]);
+  const [batches, setBatches] = useState([]);
+  const [statement, setStatement] = useState(null);
+  const [runningBatch, setRunningBatch] = useState(false);
+  const [actionId, setActionId] = useState(null);
 
-  const revenueData = [
-    { month: 'Jan', revenue: 25000000 },
-    { month: 'Feb', revenue: 28000000 },
-    { month: 'Mar', revenue: 32000000 },
-    { month: 'Apr', revenue: 35000000 },
-    { month: 'May', revenue: 38000000 },
-    { month: 'Jun', revenue: 45000000 },
-  ];
+  const [revenue, setRevenue] = useState({ byCurrency: [], daily: [] });
+  const [revenuePeriod, setRevenuePeriod] = useState('month');
+
+  // One line per settlement currency; amounts in different currencies are never added together
+  const revenueCurrencies = revenue.byCurrency.map(r => r.currency);
+  const revenueData = Object.values(revenue.daily.reduce((days, day) => {
+    const date = new Date(day.date).toLocaleDateString();
+    days[date] = { ...(days[date] || { date }), [day.currency]: day.revenue };
+    return days;
+  }, {}));
+  const lineColors = ['#2C5F41', '#c8702a', '#2563eb', '#7c3aed', '#dc2626'];
 
   useEffect(() => {
     fetchPayments();
+    fetchPayouts();
   }, []);
 
+  useEffect(() => {
+    fetchRevenue();
+  }, [revenuePeriod]);
+
+  const fetchRevenue = async () => {
+    const response = await adminAPI.getRevenue(revenuePeriod);
+    if (response.success) setRevenue(response.revenue);
+  };
+
   const fetchPayments = async () => {
     try {
       setLoading(true);
-      const response = await paymentsAPI.getAll();
-      const mockPayments = [
-        {
-          id: '1',
-          transactionId: 'TXN001234',
-          user: { firstName: 'John', lastName: 'Doe' },
-          amount: 1500000,
-          paymentType: 'booking_payment',
-          paymentStatus: 'completed',
-          paymentMethod: 'M-Pesa',
-          createdAt: '2024-06-01'
-        },
-        {
-          id: '2',
-          transactionId: 'TXN001235',
-          user: { firstName: 'Safari', lastName: 'Adventures' },
-          amount: 500000,
-          paymentType: 'premium_membership',
-          paymentStatus: 'pending',
-          paymentMethod: 'Bank Transfer',
-          createdAt: '2024-06-05'
-        },
-      ];
-      setPayments([...(response.payments || []), ...mockPayments]);
+      const [transactionsResponse, statsResponse] = await Promise.all([
+        adminAPI.getTransactions(),
+        adminAPI.getPaymentStats()
+      ]);
+      if (transactionsResponse.success) {
+        setPayments(transactionsResponse.transactions || []);
+      }
+      if (statsResponse.success) {
+        setStats({
+          totalRevenue: statsResponse.stats.completed,
+          pendingAmount: statsResponse.stats.pending,
+          totalPayments: statsResponse.stats.total
+        });
+      }
     } catch (error) {
       console.error('Error fetching payments:', error);
     } finally {
@@ -60,6 +67,57 @@ const PaymentManagement = () => {
     }
   };
 
+  const fetchPayouts = async () => {
+    const [balancesResponse, batchesResponse] = await Promise.all([
+      adminAPI.getPayouts(),
+      adminAPI.getPayoutBatches()
+    ]);
+    if (balancesResponse.success) setBalances(balancesResponse.payouts || []);
+    if (batchesResponse.success) setBatches(batchesResponse.batches || []);
+  };
+
+  const handleRunBatch = async () => {
+    const minimum = window.prompt('Only pay out balances of at least (TZS):', '0');
+    if (minimum === null) return;
+
+    setRunningBatch(true);
+    const response = await adminAPI.createPayoutBatch(parseFloat(minimum) || 0);
+    setRunningBatch(false);
+
+    if (response.success) {
+      fetchPayouts();
+    } else {
+      alert(response.message || 'Failed to create payout batch');
+    }
+  };
+
+  const handleSettlePayout = async (payout, status) => {
+    const reference = status === 'paid'
+      ? window.prompt('Transfer reference (bank or mobile money transaction ID):')
+      : null;
+    const reason = status === 'failed'
+      ? window.prompt('Why did this payout fail? The amount goes back to the provider balance.')
+      : null;
+    if ((status === 'paid' && !reference?.trim()) || (status === 'failed' && !reason?.trim())) return;
+
+    setActionId(payout.id);
+    const response = await adminAPI.processPayout(payout.id, status, reference?.trim(), reason?.trim());
+    setActionId(null);
+
+    if (response.success) {
+      fetchPayouts();
+    } else {
+      alert(response.message || 'Failed to update payout');
+    }
+  };
+
+  const handleViewStatement = async (balance) => {
+    const response = await adminAPI.getProviderStatement(balance.id);
+    if (response.success) {
+      setStatement({ provider: balance.provider, ...response.statement });
+    }
+  };
+
   if (loading) {
     return <div className="flex items-center justify-center h-64">
       <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary"></div>
@@ -71,7 +129,7 @@ const PaymentManagement = () => {
       <div className="flex justify-between items-center">
         <div>
           <h1 className="text-3xl font-bold text-gray-900">Payment Management</h1>
-          <p className="text-gray-600 mt-1">Track all payments and revenue</p>
+          <p className="text-gray-600 mt-1">Track payments, revenue and provider payouts</p>
         </div>
         <button className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-primary/90 flex items-center space-x-2">
           <Download className="h-5 w-5" />
@@ -95,19 +153,19 @@ const PaymentManagement = () => {
         <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
           <div className="flex items-center justify-between">
             <div>
-              <p className="text-sm font-medium text-gray-600">Monthly Revenue</p>
+              <p className="text-sm font-medium text-gray-600">Owed to Providers</p>
               <p className="text-2xl font-bold text-gray-900 mt-2">
-                TZS {(stats.monthlyRevenue / 1000000).toFixed(1)}M
+                TZS {(balances.reduce((sum, b) => sum + Math.max(b.balance, 0), 0) / 1000000).toFixed(1)}M
               </p>
             </div>
-            <TrendingUp className="h-8 w-8 text-blue-500" />
+            <Wallet className="h-8 w-8 text-blue-500" />
           </div>
         </div>
         <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
           <div className="flex items-center justify-between">
             <div>
-              <p className="text-sm font-medium text-gray-600">Completed</p>
-              <p className="text-2xl font-bold text-green-600 mt-2">{stats.completedPayments}</p>
+              <p className="text-sm font-medium text-gray-600">Payments</p>
+              <p className="text-2xl font-bold text-green-600 mt-2">{stats.totalPayments}</p>
             </div>
           </div>
         </div>
@@ -115,25 +173,230 @@ const PaymentManagement = () => {
           <div className="flex items-center justify-between">
             <div>
               <p className="text-sm font-medium text-gray-600">Pending</p>
-              <p className="text-2xl font-bold text-yellow-600 mt-2">{stats.pendingPayments}</p>
+              <p className="text-2xl font-bold text-yellow-600 mt-2">
+                TZS {stats.pendingAmount.toLocaleString()}
+              </p>
             </div>
           </div>
         </div>
       </div>
 
-      {/* Revenue Chart */}
+      {/* Revenue by settlement currency */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Platform Revenue</h3>
+          <select
+            value={revenuePeriod}
+            onChange={(e) => setRevenuePeriod(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="today">Today</option>
+            <option value="week">This week</option>
+            <option value="month">This month</option>
+            <option value="year">This year</option>
+          </select>
+        </div>
+        {revenue.byCurrency.length === 0 ? (
+          <p className="text-sm text-gray-500">No paid bookings in this period.</p>
+        ) : (
+          <>
+            <table className="min-w-full text-sm mb-6">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 uppercase">
+                  <th className="py-2">Currency</th>
+                  <th className="py-2 text-right">Gross</th>
+                  <th className="py-2 text-right">Commission</th>
+                  <th className="py-2 text-right">Provider Earnings</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {revenue.byCurrency.map((row) => (
+                  <tr key={row.currency}>
+                    <td className="py-2 font-medium text-gray-900">{row.currency}</td>
+                    <td className="py-2 text-right text-gray-900">{row.currency} {row.gross.toLocaleString()}</td>
+                    <td className="py-2 text-right font-semibold text-green-600">{row.currency} {row.commission.toLocaleString()}</td>
+                    <td className="py-2 text-right text-gray-500">{row.currency} {row.providerEarnings.toLocaleString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <ResponsiveContainer width="100%" height={300}>
+              <LineChart data={revenueData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="date" />
+                <YAxis />
+                <Tooltip formatter={(value, currency) => `${currency} ${value.toLocaleString()}`} />
+                <Legend />
+                {revenueCurrencies.map((currency, index) => (
+                  <Line
+                    key={currency}
+                    type="monotone"
+                    dataKey={currency}
+                    stroke={lineColors[index % lineColors.length]}
+                    strokeWidth={2}
+                    name={currency}
+                    connectNulls
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </>
+        )}
+      </div>
+
+      {/* Provider Balances */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+        <div className="p-6 border-b border-gray-200 flex justify-between items-center">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Provider Balances</h3>
+            <p className="text-sm text-gray-500">Earnings after commission and refunds, less payouts</p>
+          </div>
+          <button
+            onClick={handleRunBatch}
+            disabled={runningBatch}
+            className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-primary/90 flex items-center space-x-2 disabled:opacity-50"
+          >
+            <Send className="h-4 w-4" />
+            <span>{runningBatch ? 'Creating Batch...' : 'Run Payout Batch'}</span>
+          </button>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Provider</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Earned</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Refunded</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Paid Out</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Balance</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase"></th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {balances.length === 0 && (
+                <tr>
+                  <td colSpan={6} className="px-6 py-8 text-center text-sm text-gray-500">No provider earnings recorded yet</td>
+                </tr>
+              )}
+              {balances.map((balance) => (
+                <tr key={`${balance.id}-${balance.currency}`} className="hover:bg-gray-50">
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    <p className="font-medium text-gray-900">{balance.provider.name || `Provider #${balance.id}`}</p>
+                    <p className="text-gray-500">{balance.provider.email}</p>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{balance.currency} {balance.totalEarnings.toLocaleString()}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{balance.currency} {balance.refunded.toLocaleString()}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{balance.currency} {balance.paidOut.toLocaleString()}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-semibold text-gray-900">{balance.currency} {balance.balance.toLocaleString()}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-right">
+                    <button onClick={() => handleViewStatement(balance)} className="text-primary hover:underline flex items-center space-x-1">
+                      <FileText className="h-4 w-4" />
+                      <span>Statement</span>
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Provider Statement */}
+      {statement && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+          <div className="flex justify-between items-center mb-4">
+            <h3 className="text-lg font-semibold text-gray-900">Statement: {statement.provider.name}</h3>
+            <button onClick={() => setStatement(null)} className="text-sm text-gray-500 hover:text-gray-700">Close</button>
+          </div>
+          {statement.entries.length === 0 ? (
+            <p className="text-sm text-gray-500">No ledger entries for this provider.</p>
+          ) : (
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 uppercase">
+                  <th className="py-2">Date</th>
+                  <th className="py-2">Type</th>
+                  <th className="py-2">Description</th>
+                  <th className="py-2 text-right">Amount</th>
+                  <th className="py-2 text-right">Balance</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {statement.entries.map((entry) => (
+                  <tr key={entry.id}>
+                    <td className="py-2 text-gray-500">{new Date(entry.createdAt).toLocaleDateString()}</td>
+                    <td className="py-2 capitalize text-gray-900">{entry.type.replace('_', ' ')}</td>
+                    <td className="py-2 text-gray-500">{entry.description}</td>
+                    <td className={`py-2 text-right ${entry.amount < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                      {entry.currency} {entry.amount.toLocaleString()}
+                    </td>
+                    <td className="py-2 text-right font-medium text-gray-900">{entry.currency} {entry.balance.toLocaleString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
+      {/* Payout Batches */}
       <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
-        <h3 className="text-lg font-semibold text-gray-900 mb-4">Revenue Trend</h3>
-        <ResponsiveContainer width="100%" height={300}>
-          <LineChart data={revenueData}>
-            <CartesianGrid strokeDasharray="3 3" />
-            <XAxis dataKey="month" />
-            <YAxis />
-            <Tooltip formatter={(value) => `TZS ${(value / 1000000).toFixed(1)}M`} />
-            <Legend />
-            <Line type="monotone" dataKey="revenue" stroke="#2C5F41" strokeWidth={2} name="Revenue" />
-          </LineChart>
-        </ResponsiveContainer>
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Payout Batches</h3>
+        {batches.length === 0 ? (
+          <p className="text-sm text-gray-500">No payout batches have been run yet.</p>
+        ) : (
+          <div className="space-y-4">
+            {batches.map((batch) => (
+              <div key={batch.id} className="border border-gray-200 rounded-lg">
+                <div className="px-4 py-3 bg-gray-50 flex justify-between items-center text-sm">
+                  <span className="font-medium text-gray-900">
+                    Batch #{batch.id} · {batch.payoutCount} payouts · TZS {batch.totalAmount.toLocaleString()}
+                  </span>
+                  <span className="text-gray-500">
+                    {new Date(batch.createdAt).toLocaleString()} ·{' '}
+                    <span className={batch.status === 'completed' ? 'text-green-600' : 'text-yellow-600'}>{batch.status}</span>
+                  </span>
+                </div>
+                <div className="divide-y divide-gray-100">
+                  {batch.payouts.map((payout) => (
+                    <div key={payout.id} className="px-4 py-2 flex justify-between items-center text-sm">
+                      <span className="text-gray-900">{payout.providerName || `Provider #${payout.providerId}`}</span>
+                      <div className="flex items-center space-x-4">
+                        <span className="font-medium">{payout.currency} {payout.amount.toLocaleString()}</span>
+                        {payout.status === 'pending' ? (
+                          <>
+                            <button
+                              onClick={() => handleSettlePayout(payout, 'paid')}
+                              disabled={actionId === payout.id}
+                              className="text-green-600 hover:text-green-700 flex items-center space-x-1 disabled:opacity-50"
+                            >
+                              <CheckCircle className="h-4 w-4" />
+                              <span>Mark Paid</span>
+                            </button>
+                            <button
+                              onClick={() => handleSettlePayout(payout, 'failed')}
+                              disabled={actionId === payout.id}
+                              className="text-red-600 hover:text-red-700 flex items-center space-x-1 disabled:opacity-50"
+                            >
+                              <XCircle className="h-4 w-4" />
+                              <span>Failed</span>
+                            </button>
+                          </>
+                        ) : (
+                          <span className={`px-2 py-1 text-xs font-semibold rounded-full ${
+                            payout.status === 'paid' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+                          }`} title={payout.reference || payout.failureReason || ''}>
+                            {payout.status}
+                          </span>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
       </div>
 
       {/* Payments Table */}
@@ -158,31 +421,31 @@ const PaymentManagement = () => {
               {payments.map((payment) => (
                 <tr key={payment.id} className="hover:bg-gray-50">
                   <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
-                    {payment.transactionId}
+                    {payment.reference || `#${payment.id}`}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                    {payment.user.firstName} {payment.user.lastName}
+                    {payment.user.name || payment.user.email}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    {payment.paymentType.replace('_', ' ')}
+                    {payment.paymentType?.replace('_', ' ')}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
-                    TZS {payment.amount.toLocaleString()}
+                    {payment.currency} {parseFloat(payment.amount).toLocaleString()}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    {payment.paymentMethod}
+                    {payment.type}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap">
                     <span className={`px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full ${
-                      payment.paymentStatus === 'completed' ? 'bg-green-100 text-green-800' :
-                      payment.paymentStatus === 'pending' ? 'bg-yellow-100 text-yellow-800' :
+                      payment.status === 'completed' ? 'bg-green-100 text-green-800' :
+                      payment.status === 'pending' ? 'bg-yellow-100 text-yellow-800' :
                       'bg-red-100 text-red-800'
                     }`}>
-                      {payment.paymentStatus}
+                      {payment.status}
                     </span>
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    {payment.createdAt}
+                    {new Date(payment.createdAt).toLocaleDateString()}
                   </td>
                 </tr>
               ))}
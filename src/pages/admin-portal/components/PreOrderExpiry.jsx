@@ -0,0 +1,119 @@
+import React, { useState, useEffect } from 'react';
+import { Timer, Save } from 'lucide-react';
+import { adminAPI } from '../../../utils/api';
+
+// How long drafts and unanswered pre-orders are kept, and when the background jobs last ran
+const PreOrderExpiry = () => {
+  const [settings, setSettings] = useState({ draftExpiryDays: '', providerResponseHours: '' });
+  const [jobs, setJobs] = useState([]);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const fetchJobs = async () => {
+    const response = await adminAPI.getBackgroundJobs();
+    if (response.success) setJobs(response.jobs || []);
+  };
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      const response = await adminAPI.getPreOrderExpirySettings();
+      if (response.success) setSettings(response.settings);
+    };
+    fetchSettings();
+    fetchJobs();
+  }, []);
+
+  const handleSave = async () => {
+    const response = await adminAPI.updatePreOrderExpirySettings(settings);
+    if (response.success) {
+      setSettings(response.settings);
+      setMessage(response.message);
+      setError('');
+    } else {
+      setError(response.message || 'Failed to save settings');
+      setMessage('');
+    }
+  };
+
+  const inputClass = 'mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg';
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 md:col-span-2">
+      <div className="flex items-center space-x-3 mb-4">
+        <Timer className="h-6 w-6 text-primary" />
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Pre-Order Expiry</h3>
+          <p className="text-sm text-gray-500">Declined pre-orders are refunded in full and their places offered to the waitlist</p>
+        </div>
+      </div>
+
+      {message && <p className="mb-3 text-sm text-green-700">{message}</p>}
+      {error && <p className="mb-3 text-sm text-red-600">{error}</p>}
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+        <div>
+          <label className="text-sm text-gray-600">Remove unsubmitted drafts after (days)</label>
+          <input
+            type="number"
+            min="1"
+            max="365"
+            value={settings.draftExpiryDays}
+            onChange={(e) => setSettings({ ...settings, draftExpiryDays: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="text-sm text-gray-600">Decline unanswered requests after (hours)</label>
+          <input
+            type="number"
+            min="1"
+            max="720"
+            value={settings.providerResponseHours}
+            onChange={(e) => setSettings({ ...settings, providerResponseHours: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+        <button
+          onClick={handleSave}
+          className="flex items-center justify-center space-x-1 px-4 py-2 text-sm bg-primary text-white rounded-lg hover:bg-primary/90"
+        >
+          <Save className="h-4 w-4" />
+          <span>Save</span>
+        </button>
+      </div>
+
+      {jobs.length > 0 && (
+        <div className="mt-6 overflow-x-auto">
+          <div className="flex items-center justify-between mb-2">
+            <h4 className="text-sm font-medium text-gray-900">Background Jobs</h4>
+            <button onClick={fetchJobs} className="text-sm text-primary hover:underline">Refresh</button>
+          </div>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b border-gray-200">
+                <th className="py-2 pr-4">Job</th>
+                <th className="py-2 pr-4">Every</th>
+                <th className="py-2 pr-4">Last Run</th>
+                <th className="py-2">Result</th>
+              </tr>
+            </thead>
+            <tbody>
+              {jobs.map(job => (
+                <tr key={job.name} className="border-b border-gray-100">
+                  <td className="py-2 pr-4 font-medium text-gray-900">{job.description}</td>
+                  <td className="py-2 pr-4 text-gray-600">{job.intervalMinutes} min</td>
+                  <td className="py-2 pr-4 text-gray-600">{job.lastRunAt ? new Date(job.lastRunAt).toLocaleString() : 'Not yet'}</td>
+                  <td className={`py-2 ${job.lastError ? 'text-red-600' : 'text-gray-600'}`}>
+                    {job.running ? 'Running...' : job.lastError || job.lastSummary || 'Nothing to do'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PreOrderExpiry;
@@ -1,59 +1,433 @@
-import React from 'react';
-import { TrendingUp, Award, Target, Mail } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { TrendingUp, Tag, Target, CheckCircle, Plus, Edit2, XCircle, ChevronDown, ChevronUp } from 'lucide-react';
+import { adminAPI } from '../../../utils/api';
+
+const CATEGORIES = [
+  'Accommodation',
+  'Transportation',
+  'Tours & Activities',
+  'Food & Dining',
+  'Shopping',
+  'Health & Wellness',
+  'Entertainment'
+];
+
+const EMPTY_CODE = {
+  code: '',
+  campaign: '',
+  description: '',
+  discountType: 'percentage',
+  discountValue: '',
+  currency: 'TZS',
+  category: '',
+  region: '',
+  serviceId: '',
+  minSpend: '',
+  maxUses: '',
+  maxUsesPerUser: 1,
+  validFrom: new Date().toISOString().split('T')[0],
+  validUntil: ''
+};
+
+const toDateInput = (value) => (value ? String(value).split('T')[0] : '');
+
+const formatDiscount = (promo) => (
+  promo.discountType === 'percentage'
+    ? `${promo.discountValue}% off`
+    : `${promo.currency} ${promo.discountValue.toLocaleString()} off`
+);
 
 const PromotionsMarketing = () => {
+  const [promoCodes, setPromoCodes] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [form, setForm] = useState(EMPTY_CODE);
+  const [editingId, setEditingId] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+  const [redemptions, setRedemptions] = useState([]);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const fetchPromoCodes = async () => {
+    const response = await adminAPI.getPromoCodes();
+    if (response.success) {
+      setPromoCodes(response.promoCodes || []);
+      setSummary(response.summary);
+    }
+  };
+
+  useEffect(() => {
+    fetchPromoCodes();
+  }, []);
+
+  const openForm = (promo = null) => {
+    setEditingId(promo ? promo.id : null);
+    setForm(promo ? {
+      code: promo.code,
+      campaign: promo.campaign || '',
+      description: promo.description || '',
+      discountType: promo.discountType,
+      discountValue: promo.discountValue,
+      currency: promo.currency,
+      category: promo.category || '',
+      region: promo.region || '',
+      serviceId: promo.serviceId || '',
+      minSpend: promo.minSpend || '',
+      maxUses: promo.maxUses || '',
+      maxUsesPerUser: promo.maxUsesPerUser || '',
+      validFrom: toDateInput(promo.validFrom),
+      validUntil: toDateInput(promo.validUntil)
+    } : EMPTY_CODE);
+    setError('');
+    setShowForm(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    const payload = { ...form, maxUsesPerUser: form.maxUsesPerUser === '' ? null : form.maxUsesPerUser };
+    const response = editingId
+      ? await adminAPI.updatePromoCode(editingId, payload)
+      : await adminAPI.createPromoCode(payload);
+    setSaving(false);
+
+    if (response.success) {
+      setShowForm(false);
+      fetchPromoCodes();
+    } else {
+      setError(response.message || 'Failed to save promo code');
+    }
+  };
+
+  const handleDeactivate = async (promo) => {
+    if (!window.confirm(`Deactivate ${promo.code}? Travelers will no longer be able to use it.`)) return;
+    const response = await adminAPI.deactivatePromoCode(promo.id);
+    if (response.success) {
+      fetchPromoCodes();
+    } else {
+      alert(response.message || 'Failed to deactivate promo code');
+    }
+  };
+
+  const toggleRedemptions = async (promo) => {
+    if (expandedId === promo.id) {
+      setExpandedId(null);
+      return;
+    }
+    setExpandedId(promo.id);
+    setRedemptions([]);
+    const response = await adminAPI.getPromoRedemptions(promo.id);
+    if (response.success) setRedemptions(response.redemptions || []);
+  };
+
+  const describeScope = (promo) => {
+    const scope = [
+      promo.providerId && 'One provider',
+      promo.serviceId && `Service #${promo.serviceId}`,
+      promo.category,
+      promo.region
+    ].filter(Boolean);
+    return scope.length > 0 ? scope.join(' · ') : 'All services';
+  };
+
+  const stats = [
+    { label: 'Active Campaigns', value: summary?.activeCampaigns ?? 0, icon: TrendingUp, color: 'text-blue-500' },
+    { label: 'Active Codes', value: summary?.activeCodes ?? 0, icon: Tag, color: 'text-amber-500' },
+    { label: 'Redemptions', value: summary?.redemptions ?? 0, icon: Target, color: 'text-purple-500' },
+    { label: 'Paid Bookings', value: summary?.paidBookings ?? 0, icon: CheckCircle, color: 'text-green-500' }
+  ];
+
+  const inputClass = 'mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg';
+
   return (
     <div className="space-y-6">
       <div>
         <h1 className="text-3xl font-bold text-gray-900">Promotions & Marketing</h1>
-        <p className="text-gray-600 mt-1">Manage promotional campaigns and marketing</p>
+        <p className="text-gray-600 mt-1">Manage promo codes and see how each campaign performs</p>
       </div>
 
       <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
-        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
-          <div className="flex items-center justify-between">
-            <div>
-              <p className="text-sm font-medium text-gray-600">Active Campaigns</p>
-              <p className="text-2xl font-bold text-gray-900 mt-2">8</p>
+        {stats.map(({ label, value, icon: StatIcon, color }) => (
+          <div key={label} className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-sm font-medium text-gray-600">{label}</p>
+                <p className="text-2xl font-bold text-gray-900 mt-2">{value.toLocaleString()}</p>
+              </div>
+              <StatIcon className={`h-8 w-8 ${color}`} />
             </div>
-            <TrendingUp className="h-8 w-8 text-blue-500" />
           </div>
-        </div>
-        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
-          <div className="flex items-center justify-between">
-            <div>
-              <p className="text-sm font-medium text-gray-600">Featured Services</p>
-              <p className="text-2xl font-bold text-gray-900 mt-2">24</p>
-            </div>
-            <Award className="h-8 w-8 text-amber-500" />
+        ))}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Promo Codes</h3>
+            <p className="text-sm text-gray-500">The platform pays for discounts on platform-wide codes; providers are still paid on the full price</p>
           </div>
+          <button
+            onClick={() => openForm()}
+            className="flex items-center space-x-1 px-3 py-2 text-sm bg-primary text-white rounded-lg hover:bg-primary/90"
+          >
+            <Plus className="h-4 w-4" />
+            <span>New Code</span>
+          </button>
         </div>
-        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
-          <div className="flex items-center justify-between">
-            <div>
-              <p className="text-sm font-medium text-gray-600">Email Campaigns</p>
-              <p className="text-2xl font-bold text-gray-900 mt-2">12</p>
+
+        {showForm && (
+          <form onSubmit={handleSubmit} className="mb-6 p-4 bg-gray-50 rounded-lg space-y-3">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+              <div>
+                <label className="text-sm text-gray-600">Code</label>
+                <input
+                  type="text"
+                  value={form.code}
+                  disabled={!!editingId}
+                  onChange={(e) => setForm({ ...form, code: e.target.value.toUpperCase() })}
+                  className={`${inputClass} disabled:bg-gray-100`}
+                  placeholder="e.g. KARIBU10"
+                />
+              </div>
+              <div>
+                <label className="text-sm text-gray-600">Campaign</label>
+                <input
+                  type="text"
+                  value={form.campaign}
+                  onChange={(e) => setForm({ ...form, campaign: e.target.value })}
+                  className={inputClass}
+                  placeholder="e.g. Low season 2026"
+                />
+              </div>
+              <div>
+                <label className="text-sm text-gray-600">Description</label>
+                <input
+                  type="text"
+                  value={form.description}
+                  onChange={(e) => setForm({ ...form, description: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="text-sm text-gray-600">Discount Type</label>
+                <select value={form.discountType} onChange={(e) => setForm({ ...form, discountType: e.target.value })} className={inputClass}>
+                  <option value="percentage">Percentage</option>
+                  <option value="fixed">Fixed amount</option>
+                </select>
+              </div>
+              <div>
+                <label className="text-sm text-gray-600">{form.discountType === 'percentage' ? 'Discount (%)' : 'Discount Amount'}</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={form.discountValue}
+                  onChange={(e) => setForm({ ...form, discountValue: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="text-sm text-gray-600">Currency</label>
+                <input
+                  type="text"
+                  maxLength={3}
+                  value={form.currency}
+                  onChange={(e) => setForm({ ...form, currency: e.target.value.toUpperCase() })}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="text-sm text-gray-600">Category</label>
+                <select value={form.category} onChange={(e) => setForm({ ...form, category: e.target.value })} className={inputClass}>
+                  <option value="">Any category</option>
+                  {CATEGORIES.map(category => <option key={category} value={category}>{category}</option>)}
+                </select>
+              </div>
+              <div>
+                <label className="text-sm text-gray-600">Region</label>
+                <input
+                  type="text"
+                  value={form.region}
+                  onChange={(e) => setForm({ ...form, region: e.target.value })}
+                  className={inputClass}
+                  placeholder="Any region"
+                />
+              </div>
+              <div>
+                <label className="text-sm text-gray-600">Service ID</label>
+                <input
+                  type="number"
+                  value={form.serviceId}
+                  onChange={(e) => setForm({ ...form, serviceId: e.target.value })}
+                  className={inputClass}
+                  placeholder="Any service"
+                />
+              </div>
+              <div>
+                <label className="text-sm text-gray-600">Minimum Spend</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={form.minSpend}
+                  onChange={(e) => setForm({ ...form, minSpend: e.target.value })}
+                  className={inputClass}
+                  placeholder="0"
+                />
+              </div>
+              <div>
+                <label className="text-sm text-gray-600">Total Uses</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={form.maxUses}
+                  onChange={(e) => setForm({ ...form, maxUses: e.target.value })}
+                  className={inputClass}
+                  placeholder="Unlimited"
+                />
+              </div>
+              <div>
+                <label className="text-sm text-gray-600">Uses per Traveler</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={form.maxUsesPerUser}
+                  onChange={(e) => setForm({ ...form, maxUsesPerUser: e.target.value })}
+                  className={inputClass}
+                  placeholder="Unlimited"
+                />
+              </div>
+              <div>
+                <label className="text-sm text-gray-600">Valid From</label>
+                <input
+                  type="date"
+                  value={form.validFrom}
+                  onChange={(e) => setForm({ ...form, validFrom: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="text-sm text-gray-600">Valid Until</label>
+                <input
+                  type="date"
+                  value={form.validUntil}
+                  onChange={(e) => setForm({ ...form, validUntil: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
             </div>
-            <Mail className="h-8 w-8 text-green-500" />
-          </div>
-        </div>
-        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
-          <div className="flex items-center justify-between">
-            <div>
-              <p className="text-sm font-medium text-gray-600">Conversion Rate</p>
-              <p className="text-2xl font-bold text-gray-900 mt-2">18.5%</p>
+            <p className="text-xs text-gray-500">
+              Fixed discounts and minimum spends only apply to services priced in the code's currency.
+            </p>
+            {error && <p className="text-sm text-red-600">{error}</p>}
+            <div className="flex justify-end space-x-2">
+              <button
+                type="button"
+                onClick={() => setShowForm(false)}
+                className="px-4 py-2 text-sm border border-gray-300 rounded-lg hover:bg-gray-100"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-4 py-2 text-sm bg-primary text-white rounded-lg hover:bg-primary/90 disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : editingId ? 'Update Code' : 'Create Code'}
+              </button>
             </div>
-            <Target className="h-8 w-8 text-purple-500" />
-          </div>
-        </div>
-      </div>
+          </form>
+        )}
 
-      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
-        <h3 className="text-lg font-semibold text-gray-900 mb-4">Campaign Management</h3>
-        <p className="text-gray-600">Promotional campaign features coming soon...</p>
+        {promoCodes.length === 0 ? (
+          <p className="text-sm text-gray-500">No promo codes yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b border-gray-200">
+                  <th className="py-2 pr-4">Code</th>
+                  <th className="py-2 pr-4">Discount</th>
+                  <th className="py-2 pr-4">Applies To</th>
+                  <th className="py-2 pr-4">Uses</th>
+                  <th className="py-2 pr-4">Discount Given</th>
+                  <th className="py-2 pr-4">Booking Value</th>
+                  <th className="py-2 pr-4">Status</th>
+                  <th className="py-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {promoCodes.map((promo) => (
+                  <React.Fragment key={promo.id}>
+                    <tr className="border-b border-gray-100">
+                      <td className="py-2 pr-4">
+                        <p className="font-medium text-gray-900">{promo.code}</p>
+                        {promo.campaign && <p className="text-xs text-gray-500">{promo.campaign}</p>}
+                      </td>
+                      <td className="py-2 pr-4 text-gray-900">{formatDiscount(promo)}</td>
+                      <td className="py-2 pr-4 text-gray-600">{describeScope(promo)}</td>
+                      <td className="py-2 pr-4 text-gray-900">
+                        {promo.redemptions}{promo.maxUses ? ` / ${promo.maxUses}` : ''}
+                        <span className="text-xs text-gray-500"> · {promo.travelers} travelers</span>
+                      </td>
+                      <td className="py-2 pr-4 text-gray-900">{promo.currency} {promo.discountGiven.toLocaleString()}</td>
+                      <td className="py-2 pr-4 text-gray-900">
+                        {promo.currency} {promo.bookingValue.toLocaleString()}
+                        <span className="text-xs text-gray-500"> · {promo.paidBookings} paid</span>
+                      </td>
+                      <td className="py-2 pr-4">
+                        <span className={`px-2 py-1 text-xs rounded-full ${
+                          promo.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'
+                        }`}>
+                          {promo.isActive ? 'Active' : 'Inactive'}
+                        </span>
+                      </td>
+                      <td className="py-2 text-right whitespace-nowrap">
+                        <button onClick={() => toggleRedemptions(promo)} className="p-1 text-gray-500 hover:text-gray-900" title="Redemptions">
+                          {expandedId === promo.id ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+                        </button>
+                        <button onClick={() => openForm(promo)} className="p-1 text-gray-500 hover:text-gray-900" title="Edit">
+                          <Edit2 className="h-4 w-4" />
+                        </button>
+                        {promo.isActive && (
+                          <button onClick={() => handleDeactivate(promo)} className="p-1 text-gray-500 hover:text-red-600" title="Deactivate">
+                            <XCircle className="h-4 w-4" />
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                    {expandedId === promo.id && (
+                      <tr className="bg-gray-50">
+                        <td colSpan={8} className="p-3">
+                          {redemptions.length === 0 ? (
+                            <p className="text-sm text-gray-500">No redemptions yet.</p>
+                          ) : (
+                            <ul className="space-y-1">
+                              {redemptions.map((r) => (
+                                <li key={r.id} className="flex justify-between text-sm">
+                                  <span className="text-gray-700">
+                                    {r.travelerName || r.travelerEmail} · {r.orderId ? `Order #${r.orderId}` : `Booking #${r.bookingId}`}
+                                    {' · '}{new Date(r.createdAt).toLocaleDateString()}
+                                  </span>
+                                  <span className={r.status === 'voided' ? 'text-gray-400 line-through' : 'text-gray-900'}>
+                                    {r.currency} {r.discountAmount.toLocaleString()} off
+                                    {r.bookingAmount !== null && ` · ${r.currency} ${r.bookingAmount.toLocaleString()} booked (${r.paymentStatus})`}
+                                  </span>
+                                </li>
+                              ))}
+                            </ul>
+                          )}
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
       </div>
     </div>
   );
 };
 
-export default PromotionsMarketing;
\ No newline at end of file
+export default PromotionsMarketing;
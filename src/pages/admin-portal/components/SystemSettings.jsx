@@ -1,5 +1,8 @@
 import React from 'react';
-import { Settings, Shield, Bell, Globe, DollarSign } from 'lucide-react';
+import { Settings, Shield, Bell, Globe } from 'lucide-react';
+import CommissionRules from './CommissionRules';
+import ExchangeRates from './ExchangeRates';
+import PreOrderExpiry from './PreOrderExpiry';
 
 const SystemSettings = () => {
   return (
@@ -44,19 +47,6 @@ const SystemSettings = () => {
           </div>
         </div>
 
-        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
-          <div className="flex items-center space-x-3 mb-4">
-            <DollarSign className="h-6 w-6 text-primary" />
-            <h3 className="text-lg font-semibold text-gray-900">Payment Settings</h3>
-          </div>
-          <div className="space-y-3">
-            <div>
-              <label className="text-sm text-gray-600">Commission Rate (%)</label>
-              <input type="number" defaultValue="15" className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg" />
-            </div>
-          </div>
-        </div>
-
         <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
           <div className="flex items-center space-x-3 mb-4">
             <Globe className="h-6 w-6 text-primary" />
@@ -69,6 +59,12 @@ const SystemSettings = () => {
             </div>
           </div>
         </div>
+
+        <CommissionRules />
+
+        <ExchangeRates />
+
+        <PreOrderExpiry />
       </div>
     </div>
   );
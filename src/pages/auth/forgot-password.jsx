@@ -3,7 +3,7 @@ import { Link } from 'react-router-dom';
 import Header from '../../components/ui/Header';
 import Button from '../../components/ui/Button';
 import Icon from '../../components/AppIcon';
-import api from '../../utils/api';
+import { authAPI } from '../../utils/api';
 
 const ForgotPassword = () => {
   const [email, setEmail] = useState('');
@@ -18,7 +18,11 @@ const ForgotPassword = () => {
 
     try {
       // Call API to send reset password email
-      await api.post('/auth/forgot-password', { email });
+      const response = await authAPI.forgotPassword(email);
+      if (response.status === 429) {
+        setError(response.message);
+        return;
+      }
       setIsSubmitted(true);
     } catch (err) {
       // Even if email doesn't exist, show success for security
@@ -0,0 +1,198 @@
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import Header from '../../components/ui/Header';
+import Button from '../../components/ui/Button';
+import Icon from '../../components/AppIcon';
+import { authAPI } from '../../utils/api';
+import { useAuth } from '../../contexts/AuthContext';
+
+const MIN_PASSWORD_LENGTH = 6;
+
+// Landing page of the link in the password reset email
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isReset, setIsReset] = useState(false);
+  const [error, setError] = useState(token ? '' : 'This password reset link is incomplete. Please request a new one.');
+  const { user, logout } = useAuth();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      setError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const response = await authAPI.resetPassword(token, password);
+      if (!response.success) {
+        setError(response.message || 'Failed to reset password');
+        return;
+      }
+      // Every session was signed out by the reset, including this one
+      if (user) logout();
+      setIsReset(true);
+    } catch (err) {
+      setError(err.message || 'Failed to reset password');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-background">
+      <Header />
+      <main className="pt-20 pb-12">
+        <div className="max-w-md mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="bg-card rounded-lg shadow-lg p-8">
+            {!isReset ? (
+              <>
+                {/* Header */}
+                <div className="text-center mb-8">
+                  <div className="w-16 h-16 bg-primary/10 rounded-full flex items-center justify-center mx-auto mb-4">
+                    <Icon name="KeyRound" size={32} className="text-primary" />
+                  </div>
+                  <h1 className="text-3xl font-display font-medium text-foreground mb-2">
+                    Set a New Password
+                  </h1>
+                  <p className="text-muted-foreground">
+                    Choose a new password for your account. You will be signed out everywhere else.
+                  </p>
+                </div>
+
+                {/* Error Display */}
+                {error && (
+                  <div className="mb-6 p-4 bg-destructive/10 border border-destructive/20 rounded-lg">
+                    <div className="flex items-center space-x-3">
+                      <Icon name="AlertCircle" size={20} className="text-destructive" />
+                      <p className="text-sm text-destructive">{error}</p>
+                    </div>
+                  </div>
+                )}
+
+                {token && (
+                  <form onSubmit={handleSubmit} className="space-y-6">
+                    <div>
+                      <label className="block text-sm font-medium text-foreground mb-2">
+                        New Password
+                      </label>
+                      <div className="relative">
+                        <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                          <Icon name="Lock" size={20} className="text-muted-foreground" />
+                        </div>
+                        <input
+                          type={showPassword ? 'text' : 'password'}
+                          value={password}
+                          onChange={(e) => setPassword(e.target.value)}
+                          placeholder="At least 6 characters"
+                          autoComplete="new-password"
+                          className="w-full pl-10 pr-12 py-3 border border-border rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent bg-background text-foreground"
+                          required
+                        />
+                        <button
+                          type="button"
+                          onClick={() => setShowPassword(!showPassword)}
+                          className="absolute inset-y-0 right-0 pr-3 flex items-center text-muted-foreground"
+                        >
+                          <Icon name={showPassword ? 'EyeOff' : 'Eye'} size={20} />
+                        </button>
+                      </div>
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-foreground mb-2">
+                        Confirm New Password
+                      </label>
+                      <div className="relative">
+                        <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                          <Icon name="Lock" size={20} className="text-muted-foreground" />
+                        </div>
+                        <input
+                          type={showPassword ? 'text' : 'password'}
+                          value={confirmPassword}
+                          onChange={(e) => setConfirmPassword(e.target.value)}
+                          placeholder="Repeat your new password"
+                          autoComplete="new-password"
+                          className="w-full pl-10 pr-4 py-3 border border-border rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent bg-background text-foreground"
+                          required
+                        />
+                      </div>
+                    </div>
+
+                    <Button
+                      type="submit"
+                      fullWidth
+                      disabled={isLoading || !password || !confirmPassword}
+                    >
+                      {isLoading ? (
+                        <>
+                          <Icon name="Loader2" size={20} className="animate-spin" />
+                          Saving...
+                        </>
+                      ) : (
+                        <>
+                          <Icon name="Check" size={20} />
+                          Reset Password
+                        </>
+                      )}
+                    </Button>
+                  </form>
+                )}
+
+                {/* Request another link or go back */}
+                <div className="mt-6 flex items-center justify-between text-sm">
+                  <Link to="/login" className="inline-flex items-center text-primary hover:underline">
+                    <Icon name="ArrowLeft" size={16} className="mr-1" />
+                    Back to Sign In
+                  </Link>
+                  <Link to="/forgot-password" className="text-primary hover:underline">
+                    Request a new link
+                  </Link>
+                </div>
+              </>
+            ) : (
+              /* Success State */
+              <div className="text-center">
+                <div className="w-16 h-16 bg-green-100 rounded-full flex items-center justify-center mx-auto mb-4">
+                  <Icon name="CheckCircle" size={32} className="text-green-600" />
+                </div>
+                <h2 className="text-2xl font-display font-medium text-foreground mb-2">
+                  Password Reset
+                </h2>
+                <p className="text-muted-foreground mb-6">
+                  Your password has been changed and you have been signed out of all devices.
+                </p>
+                <Link to="/login">
+                  <Button fullWidth>
+                    <Icon name="LogIn" size={18} />
+                    Sign In
+                  </Button>
+                </Link>
+              </div>
+            )}
+
+            {/* Footer */}
+            <div className="mt-6 pt-6 border-t border-border">
+              <p className="text-xs text-muted-foreground text-center">
+                Powered by <span className="font-semibold">JEDA NETWORKS</span>
+              </p>
+            </div>
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,118 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import Header from '../../components/ui/Header';
+import Button from '../../components/ui/Button';
+import Icon from '../../components/AppIcon';
+import { authAPI } from '../../utils/api';
+import { useAuth } from '../../contexts/AuthContext';
+
+// Landing page of the link in the verification email
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'verifying' : 'failed');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete.');
+  const [resendMessage, setResendMessage] = useState('');
+  const { user } = useAuth();
+
+  useEffect(() => {
+    if (!token) return;
+    let cancelled = false;
+
+    authAPI.verifyEmail(token)
+      .then((response) => {
+        if (cancelled) return;
+        setStatus(response.success ? 'verified' : 'failed');
+        setMessage(response.message);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setStatus('failed');
+        setMessage(err.message || 'Failed to verify email');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  const handleResend = async () => {
+    try {
+      const response = await authAPI.resendVerification();
+      setResendMessage(response.message);
+    } catch (err) {
+      setResendMessage(err.message || 'Failed to send verification email');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-background">
+      <Header />
+      <main className="pt-20 pb-12">
+        <div className="max-w-md mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="bg-card rounded-lg shadow-lg p-8 text-center">
+            {status === 'verifying' && (
+              <>
+                <Icon name="Loader2" size={32} className="animate-spin text-primary mx-auto mb-4" />
+                <p className="text-muted-foreground">Confirming your email address...</p>
+              </>
+            )}
+
+            {status === 'verified' && (
+              <>
+                <div className="w-16 h-16 bg-green-100 rounded-full flex items-center justify-center mx-auto mb-4">
+                  <Icon name="CheckCircle" size={32} className="text-green-600" />
+                </div>
+                <h1 className="text-2xl font-display font-medium text-foreground mb-2">
+                  Email Confirmed
+                </h1>
+                <p className="text-muted-foreground mb-6">{message}</p>
+                <Link to="/login">
+                  <Button fullWidth>
+                    <Icon name="LogIn" size={18} />
+                    Continue to Sign In
+                  </Button>
+                </Link>
+              </>
+            )}
+
+            {status === 'failed' && (
+              <>
+                <div className="w-16 h-16 bg-destructive/10 rounded-full flex items-center justify-center mx-auto mb-4">
+                  <Icon name="AlertCircle" size={32} className="text-destructive" />
+                </div>
+                <h1 className="text-2xl font-display font-medium text-foreground mb-2">
+                  Link Not Valid
+                </h1>
+                <p className="text-muted-foreground mb-6">{message}</p>
+                {user ? (
+                  <div className="space-y-3">
+                    <Button fullWidth onClick={handleResend}>
+                      <Icon name="Send" size={18} />
+                      Send a New Link
+                    </Button>
+                    {resendMessage && <p className="text-sm text-muted-foreground">{resendMessage}</p>}
+                  </div>
+                ) : (
+                  <>
+                    <p className="text-sm text-muted-foreground mb-6">
+                      Sign in to get a new verification link.
+                    </p>
+                    <Link to="/login">
+                      <Button variant="outline" fullWidth>
+                        <Icon name="ArrowLeft" size={18} />
+                        Back to Sign In
+                      </Button>
+                    </Link>
+                  </>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import { useCart } from '../../contexts/CartContext';
+import { useCurrency } from '../../contexts/CurrencyContext';
 import Header from '../../components/ui/Header';
 import Button from '../../components/ui/Button';
 import Icon from '../../components/AppIcon';
@@ -10,12 +11,19 @@ import { API_URL } from '../../utils/api';
 
 const CartPage = () => {
   const { user, isAuthenticated } = useAuth();
-  const { cartItems, removeFromCart, updateQuantity, getCartTotal, getCartCount, clearCart } = useCart();
+  const { cartItems, removeFromCart, updateQuantity, getCartCount, clearCart } = useCart();
+  const { currency, convert, formatPrice } = useCurrency();
   const navigate = useNavigate();
   const [showPayment, setShowPayment] = useState(false);
   const [booking, setBooking] = useState(null);
   const [preOrderingItem, setPreOrderingItem] = useState(null);
 
+  // Cart total in the traveler's currency; items without a rate are added as they are
+  const getCartDisplayTotal = () => cartItems.reduce((total, item) => {
+    const amount = (item.price || 0) * (item.quantity || 1);
+    return total + (convert(amount, item.currency) ?? amount);
+  }, 0);
+
   // Redirect to login if not authenticated
   useEffect(() => {
     if (!isAuthenticated) {
@@ -212,7 +220,7 @@ const CartPage = () => {
                             </div>
                             {/* Price on mobile */}
                             <p className="font-semibold text-primary mt-2 lg:hidden">
-                              TZS {(item.price * item.quantity).toLocaleString()}
+                              {formatPrice(item.price * item.quantity, item.currency)}
                             </p>
                           </div>
                           
@@ -239,10 +247,10 @@ const CartPage = () => {
                             {/* Price - hidden on mobile */}
                             <div className="text-right min-w-[100px] hidden lg:block">
                               <p className="font-semibold text-foreground">
-                                TZS {(item.price * item.quantity).toLocaleString()}
+                                {formatPrice(item.price * item.quantity, item.currency)}
                               </p>
                               <p className="text-xs text-muted-foreground">
-                                TZS {item.price?.toLocaleString()} each
+                                {formatPrice(item.price, item.currency)} each
                               </p>
                             </div>
                             
@@ -294,11 +302,11 @@ const CartPage = () => {
                     <div className="space-y-3 mb-6">
                       <div className="flex justify-between text-sm">
                         <span className="text-muted-foreground">Subtotal ({getCartCount()} items)</span>
-                        <span className="text-foreground">TZS {getCartTotal().toLocaleString()}</span>
+                        <span className="text-foreground">{formatPrice(getCartDisplayTotal(), currency)}</span>
                       </div>
                       <div className="flex justify-between text-sm">
                         <span className="text-muted-foreground">Service Fee</span>
-                        <span className="text-foreground">TZS 0</span>
+                        <span className="text-foreground">{formatPrice(0, currency)}</span>
                       </div>
                       <div className="flex justify-between text-sm">
                         <span className="text-muted-foreground">Taxes</span>
@@ -308,7 +316,7 @@ const CartPage = () => {
                         <div className="flex justify-between">
                           <span className="font-semibold text-foreground">Total</span>
                           <span className="font-bold text-lg text-primary">
-                            TZS {getCartTotal().toLocaleString()}
+                            {formatPrice(getCartDisplayTotal(), currency)}
                           </span>
                         </div>
                       </div>
@@ -349,7 +357,6 @@ const CartPage = () => {
         isOpen={showPayment}
         onClose={() => setShowPayment(false)}
         cartItems={cartItems}
-        total={getCartTotal()}
         onPaymentSuccess={(bookingData) => {
           setBooking(bookingData);
           setShowPayment(false);
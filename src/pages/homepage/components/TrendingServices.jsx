@@ -5,6 +5,7 @@ import VerifiedBadge from '../../../components/ui/VerifiedBadge';
 import { useNavigate } from 'react-router-dom';
 import { useCart } from '../../../contexts/CartContext';
 import { useFavorites } from '../../../contexts/FavoritesContext';
+import { useCurrency } from '../../../contexts/CurrencyContext';
 import { PaymentModal, BookingConfirmation } from '../../../components/PaymentSystem';
 import { API_URL } from '../../../utils/api';
 
@@ -12,6 +13,7 @@ const TrendingServices = () => {
   const navigate = useNavigate();
   const { addToCart, cartItems, getCartTotal } = useCart();
   const { favorites, addToFavorites, removeFromFavorites, isFavorite } = useFavorites();
+  const { formatPrice } = useCurrency();
   const [selectedCategory, setSelectedCategory] = useState('all');
   const [services, setServices] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -219,7 +221,7 @@ const TrendingServices = () => {
                       </p>
                     </div>
                     <div className="text-right">
-                      <div className="text-lg font-bold text-primary">Tshs {parseFloat(service.price || 0).toLocaleString()}</div>
+                      <div className="text-lg font-bold text-primary">{formatPrice(service.price, service.currency)}</div>
                       <div className="text-xs text-muted-foreground">per day</div>
                     </div>
                   </div>
@@ -460,7 +462,7 @@ const TrendingServices = () => {
               <div className="flex items-center justify-between mb-6 p-4 bg-muted/30 rounded-lg">
                 <div>
                   <p className="text-sm text-muted-foreground">Price</p>
-                  <p className="text-2xl font-bold text-primary">TZS {parseFloat(selectedService.price || 0).toLocaleString()}</p>
+                  <p className="text-2xl font-bold text-primary">{formatPrice(selectedService.price, selectedService.currency)}</p>
                   <p className="text-xs text-muted-foreground">per day</p>
                 </div>
                 {selectedService.average_rating > 0 && (
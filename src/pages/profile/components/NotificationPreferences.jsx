@@ -0,0 +1,174 @@
+import React, { useState, useEffect } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import { notificationsAPI } from '../../../utils/api';
+
+const CHANNEL_LABELS = { in_app: 'In-app', email: 'Email', sms: 'SMS / WhatsApp' };
+const CHANNELS = Object.keys(CHANNEL_LABELS);
+
+// What the user is notified about, by which channel, and when
+const NotificationPreferences = () => {
+  const [settings, setSettings] = useState(null);
+  const [changes, setChanges] = useState({});
+  const [quietHoursOn, setQuietHoursOn] = useState(false);
+  const [quietHours, setQuietHours] = useState({ start: '22:00', end: '07:00' });
+  const [digest, setDigest] = useState('off');
+  const [saving, setSaving] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    fetchPreferences();
+  }, []);
+
+  const applySettings = (next) => {
+    setSettings(next);
+    setChanges({});
+    setDigest(next.digest);
+    setQuietHoursOn(Boolean(next.quietHours));
+    if (next.quietHours) setQuietHours(next.quietHours);
+  };
+
+  const fetchPreferences = async () => {
+    const data = await notificationsAPI.getPreferences();
+    if (data.success) applySettings(data.settings);
+  };
+
+  const isOn = (item, channel) => changes[item.type]?.[channel] ?? item.enabled[channel];
+
+  const toggle = (item, channel) => {
+    setChanges({ ...changes, [item.type]: { ...changes[item.type], [channel]: !isOn(item, channel) } });
+  };
+
+  const savePreferences = async () => {
+    setSaving(true);
+    setStatus(null);
+    const data = await notificationsAPI.updatePreferences({
+      preferences: changes,
+      digest,
+      quietHours: quietHoursOn ? quietHours : null,
+      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+    });
+    setSaving(false);
+
+    if (!data.success) {
+      setStatus({ type: 'error', message: data.message || 'Could not save notification preferences' });
+      return;
+    }
+    applySettings(data.settings);
+    setStatus({ type: 'success', message: data.message });
+  };
+
+  if (!settings) return null;
+
+  return (
+    <div className="mb-8 bg-card rounded-lg shadow-lg p-6">
+      <h2 className="text-lg font-semibold text-foreground">Notification Preferences</h2>
+      <p className="text-sm text-muted-foreground mb-4">
+        Choose what you hear about and how. Text messages also need text message alerts turned on.
+      </p>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-border text-left text-muted-foreground">
+              <th className="py-2 pr-4 font-medium">Notification</th>
+              {CHANNELS.map(channel => (
+                <th key={channel} className="py-2 px-2 font-medium text-center">{CHANNEL_LABELS[channel]}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {settings.types.map(item => (
+              <tr key={item.type} className="border-b border-border last:border-0">
+                <td className="py-2 pr-4 text-foreground">
+                  {item.label}
+                  {item.lowPriority && digest !== 'off' && (
+                    <span className="ml-2 text-xs text-muted-foreground">in your {digest} digest</span>
+                  )}
+                </td>
+                {CHANNELS.map(channel => (
+                  <td key={channel} className="py-2 px-2 text-center">
+                    {item.channels.includes(channel) ? (
+                      <input
+                        type="checkbox"
+                        className="rounded"
+                        checked={isOn(item, channel)}
+                        onChange={() => toggle(item, channel)}
+                      />
+                    ) : (
+                      <span className="text-muted-foreground">–</span>
+                    )}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mt-6">
+        <div>
+          <label className="block text-sm font-medium text-foreground mb-1">Digest</label>
+          <select
+            value={digest}
+            onChange={(e) => setDigest(e.target.value)}
+            className="w-full px-3 py-2 border border-border rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+          >
+            <option value="off">Off – notify me as things happen</option>
+            <option value="daily">Daily summary</option>
+            <option value="weekly">Weekly summary</option>
+          </select>
+          <p className="text-xs text-muted-foreground mt-1">
+            Batches new followers and likes into one notification and email.
+          </p>
+        </div>
+
+        <div>
+          <label className="flex items-center gap-2 text-sm font-medium text-foreground mb-1">
+            <input
+              type="checkbox"
+              className="rounded"
+              checked={quietHoursOn}
+              onChange={(e) => setQuietHoursOn(e.target.checked)}
+            />
+            Quiet hours
+          </label>
+          <div className="flex items-center gap-2">
+            <input
+              type="time"
+              value={quietHours.start}
+              disabled={!quietHoursOn}
+              onChange={(e) => setQuietHours({ ...quietHours, start: e.target.value })}
+              className="w-full px-3 py-2 border border-border rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+            />
+            <span className="text-muted-foreground">to</span>
+            <input
+              type="time"
+              value={quietHours.end}
+              disabled={!quietHoursOn}
+              onChange={(e) => setQuietHours({ ...quietHours, end: e.target.value })}
+              className="w-full px-3 py-2 border border-border rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+            />
+          </div>
+          <p className="text-xs text-muted-foreground mt-1">
+            Emails and texts wait until quiet hours end. Times are in {settings.timezone.replace(/_/g, ' ')}.
+          </p>
+        </div>
+      </div>
+
+      <div className="mt-4 flex items-center justify-between gap-4">
+        {status ? (
+          <p className={`text-sm ${status.type === 'error' ? 'text-error' : 'text-success'}`}>{status.message}</p>
+        ) : (
+          <span />
+        )}
+        <Button variant="outline" size="sm" disabled={saving} onClick={savePreferences}>
+          <Icon name="Save" size={16} />
+          Save Preferences
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default NotificationPreferences;
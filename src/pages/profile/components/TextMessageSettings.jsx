@@ -0,0 +1,109 @@
+import React, { useState, useEffect } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import { userAPI } from '../../../utils/api';
+
+// SMS / WhatsApp alerts for new booking requests and payments
+const TextMessageSettings = () => {
+  const [settings, setSettings] = useState({ optIn: false, channel: 'sms', phone: '' });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    fetchSettings();
+  }, []);
+
+  const fetchSettings = async () => {
+    const data = await userAPI.getTextMessageSettings();
+    if (data.success) {
+      setSettings({
+        optIn: data.settings.optIn,
+        channel: data.settings.channel,
+        phone: data.settings.phone || data.settings.profilePhone || ''
+      });
+    }
+    setLoading(false);
+  };
+
+  const saveSettings = async (changes) => {
+    const next = { ...settings, ...changes };
+    setSaving(true);
+    setStatus(null);
+    const data = await userAPI.updateTextMessageSettings(next);
+    setSaving(false);
+
+    if (!data.success) {
+      setStatus({ type: 'error', message: data.message || 'Could not update text message settings' });
+      return;
+    }
+    setSettings({ ...next, phone: data.settings.phone || next.phone });
+    setStatus({ type: 'success', message: data.message });
+  };
+
+  if (loading) return null;
+
+  return (
+    <div className="mb-8 bg-card rounded-lg shadow-lg p-6">
+      <div className="flex items-start justify-between gap-4 mb-4">
+        <div>
+          <h2 className="text-lg font-semibold text-foreground">Text Message Alerts</h2>
+          <p className="text-sm text-muted-foreground">
+            Get new booking requests and payment confirmations by SMS or WhatsApp.
+            Reply STOP to any message to turn them off.
+          </p>
+        </div>
+        <label className="flex items-center gap-2 text-sm font-medium text-foreground whitespace-nowrap">
+          <input
+            type="checkbox"
+            className="rounded"
+            checked={settings.optIn}
+            disabled={saving}
+            onChange={(e) => saveSettings({ optIn: e.target.checked })}
+          />
+          {settings.optIn ? 'On' : 'Off'}
+        </label>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-foreground mb-1">Send by</label>
+          <select
+            value={settings.channel}
+            onChange={(e) => setSettings({ ...settings, channel: e.target.value })}
+            className="w-full px-3 py-2 border border-border rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+          >
+            <option value="sms">SMS</option>
+            <option value="whatsapp">WhatsApp</option>
+          </select>
+        </div>
+        <div className="md:col-span-2">
+          <label className="block text-sm font-medium text-foreground mb-1">Mobile number</label>
+          <input
+            type="tel"
+            value={settings.phone}
+            placeholder="+255 712 345 678"
+            onChange={(e) => setSettings({ ...settings, phone: e.target.value })}
+            className="w-full px-3 py-2 border border-border rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+          />
+        </div>
+      </div>
+
+      <div className="mt-4 flex items-center justify-between gap-4">
+        {status ? (
+          <p className={`text-sm ${status.type === 'error' ? 'text-error' : 'text-success'}`}>{status.message}</p>
+        ) : (
+          <span />
+        )}
+        {settings.optIn && (
+          <Button variant="outline" size="sm" disabled={saving} onClick={() => saveSettings({})}>
+            <Icon name="Save" size={16} />
+            Save
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TextMessageSettings;
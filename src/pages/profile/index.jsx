@@ -6,6 +6,8 @@ import Button from '../../components/ui/Button';
 import Icon from '../../components/AppIcon';
 import Image from '../../components/AppImage';
 import MyStories from './components/MyStories';
+import TextMessageSettings from './components/TextMessageSettings';
+import NotificationPreferences from './components/NotificationPreferences';
 import { API_URL } from '../../utils/api';
 
 const Profile = () => {
@@ -285,6 +287,9 @@ const Profile = () => {
             </div>
           </div>
 
+          <NotificationPreferences />
+          <TextMessageSettings />
+
           {/* My Stories Section for Travelers */}
           {userType === 'traveler' && (
             <MyStories profileData={profileData} autoOpenCreate={autoOpenCreateStory} />
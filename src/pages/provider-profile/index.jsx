@@ -8,8 +8,9 @@ import VerifiedBadge from '../../components/ui/VerifiedBadge';
 import CartSidebar from '../../components/CartSidebar';
 import { PaymentModal, BookingConfirmation } from '../../components/PaymentSystem';
 import ServiceDetailsModal from '../../components/ServiceDetailsModal';
+import ReviewsSection from '../../components/ReviewsSection';
 import { useCart } from '../../contexts/CartContext';
-import { API_URL, bookingsAPI } from '../../utils/api';
+import { API_URL, bookingsAPI, messagesAPI } from '../../utils/api';
 
 const ProviderProfile = () => {
   const { providerId } = useParams();
@@ -286,11 +287,13 @@ const ProviderProfile = () => {
                     <span className="text-muted-foreground">Services</span>
                   </div>
                   
-                  {provider?.average_rating > 0 && (
+                  {parseFloat(provider?.rating || provider?.average_rating) > 0 && (
                     <div className="flex items-center gap-2 text-sm">
                       <Icon name="Star" size={16} className="text-yellow-500 fill-yellow-500" />
-                      <span className="font-medium">{parseFloat(provider.average_rating).toFixed(1)}</span>
-                      <span className="text-muted-foreground">Rating</span>
+                      <span className="font-medium">{parseFloat(provider.rating || provider.average_rating).toFixed(1)}</span>
+                      <span className="text-muted-foreground">
+                        Rating{provider?.total_reviews > 0 ? ` (${provider.total_reviews} reviews)` : ''}
+                      </span>
                     </div>
                   )}
                 </div>
@@ -438,6 +441,28 @@ const ProviderProfile = () => {
                   Add to Favorite
                 </Button>
                 
+                {/* Message the provider in the traveler's inbox */}
+                <Button
+                  variant="outline"
+                  onClick={async () => {
+                    const savedUser = localStorage.getItem('isafari_user');
+                    if (!savedUser) {
+                      navigate('/login?redirect=/provider/' + providerId);
+                      return;
+                    }
+
+                    const response = await messagesAPI.startConversation({ providerId: parseInt(providerId) });
+                    if (response.success) {
+                      navigate(`/traveler-dashboard?tab=messages&conversation=${response.conversation.id}`);
+                    } else {
+                      alert(response.message || 'Could not start a conversation');
+                    }
+                  }}
+                >
+                  <Icon name="MessageSquare" size={18} className="mr-2" />
+                  Message
+                </Button>
+                
                 {provider?.whatsapp && (
                   <a 
                     href={`https://wa.me/${provider.whatsapp.replace(/[^0-9]/g, '')}`}
@@ -623,6 +648,11 @@ const ProviderProfile = () => {
               </div>
             )}
           </div>
+
+          {/* Reviews Section */}
+          <div className="mb-8 bg-card rounded-lg border border-border p-6">
+            <ReviewsSection providerId={providerId} />
+          </div>
         </div>
       </main>
       
@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import { bookingsAPI, waitlistAPI } from '../../../utils/api';
+
+// The traveler's open waitlist entries. An offered place is booked from here before the offer runs out.
+const WaitlistPanel = ({ entries, onChange, onBooked }) => {
+  const [busyId, setBusyId] = useState(null);
+  const openEntries = entries.filter(entry => entry.status === 'waiting' || entry.status === 'offered');
+
+  if (openEntries.length === 0) return null;
+
+  const handleBook = async (entry) => {
+    setBusyId(entry.id);
+    const response = await bookingsAPI.create({
+      serviceId: entry.service_id,
+      bookingDate: entry.booking_date,
+      startTime: entry.start_time,
+      participants: entry.participants
+    });
+    setBusyId(null);
+    if (response.success) {
+      onChange();
+      if (onBooked) onBooked(response.booking);
+    } else {
+      alert(response.message || 'Could not book this place');
+      onChange();
+    }
+  };
+
+  const handleLeave = async (entry) => {
+    const question = entry.status === 'offered'
+      ? 'Turn down this place? It will go to the next person on the waitlist.'
+      : 'Leave the waitlist for this date?';
+    if (!window.confirm(question)) return;
+
+    setBusyId(entry.id);
+    const response = await waitlistAPI.leave(entry.id);
+    setBusyId(null);
+    if (!response.success) {
+      alert(response.message || 'Could not leave the waitlist');
+    }
+    onChange();
+  };
+
+  return (
+    <div className="bg-card rounded-lg p-6 mb-8 border">
+      <h2 className="text-lg font-semibold text-foreground mb-4 flex items-center">
+        <Icon name="ListOrdered" size={20} className="mr-2 text-primary" />
+        Your Waitlist
+      </h2>
+      <div className="space-y-3">
+        {openEntries.map(entry => (
+          <div
+            key={entry.id}
+            className={`flex flex-col sm:flex-row sm:items-center justify-between gap-3 p-3 rounded-lg border ${
+              entry.status === 'offered' ? 'border-green-300 bg-green-50' : 'border-border'
+            }`}
+          >
+            <div>
+              <p className="font-medium text-foreground">{entry.service_title}</p>
+              <p className="text-sm text-muted-foreground">
+                {new Date(`${entry.booking_date}T00:00:00`).toLocaleDateString()}
+                {entry.start_time && ` · ${entry.start_time.slice(0, 5)}`}
+                {' · '}{entry.participants} participant(s)
+              </p>
+              {entry.status === 'offered' ? (
+                <p className="text-sm font-medium text-green-700">
+                  A place opened up! Book before {new Date(entry.offer_expires_at).toLocaleString()}
+                </p>
+              ) : (
+                <p className="text-sm text-muted-foreground">Number {entry.position} in line</p>
+              )}
+            </div>
+            <div className="flex space-x-2">
+              {entry.status === 'offered' && (
+                <Button size="sm" onClick={() => handleBook(entry)} disabled={busyId === entry.id}>
+                  <Icon name="CalendarCheck" size={16} />
+                  Book Now
+                </Button>
+              )}
+              <Button size="sm" variant="outline" onClick={() => handleLeave(entry)} disabled={busyId === entry.id}>
+                {entry.status === 'offered' ? 'Decline' : 'Leave'}
+              </Button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default WaitlistPanel;
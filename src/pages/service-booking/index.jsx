@@ -8,6 +8,8 @@ import Icon from '../../components/AppIcon';
 import Image from '../../components/AppImage';
 import CartSidebar from '../../components/CartSidebar';
 import { PaymentModal, BookingConfirmation } from '../../components/PaymentSystem';
+import WaitlistPanel from './components/WaitlistPanel';
+import { waitlistAPI } from '../../utils/api';
 import { locationData, serviceCategories, mockServices } from '../../data/locations';
 
 const ServiceBooking = () => {
@@ -17,6 +19,7 @@ const ServiceBooking = () => {
   const [searchParams] = useSearchParams();
   const [showPayment, setShowPayment] = useState(false);
   const [booking, setBooking] = useState(null);
+  const [waitlist, setWaitlist] = useState([]);
   
   const [filters, setFilters] = useState({
     category: searchParams.get('category') || 'all',
@@ -36,6 +39,33 @@ const ServiceBooking = () => {
     }
   }, [isAuthenticated, navigate]);
 
+  const loadWaitlist = async () => {
+    const response = await waitlistAPI.getMine();
+    if (response.success) {
+      setWaitlist(response.entries);
+    }
+  };
+
+  useEffect(() => {
+    if (isAuthenticated) {
+      loadWaitlist();
+    }
+  }, [isAuthenticated]);
+
+  // Fully booked at checkout: queue for the date instead
+  const handleJoinWaitlist = async (entry) => {
+    const response = await waitlistAPI.join(entry);
+    if (response.success) {
+      loadWaitlist();
+    }
+    return response;
+  };
+
+  const handleWaitlistBooked = (newBooking) => {
+    alert(`${newBooking.service_title} is booked for you. Complete the payment from your dashboard.`);
+    navigate('/dashboard');
+  };
+
   const handleAddToCart = (service) => {
     const bookingItem = {
       id: service.id,
@@ -160,6 +190,8 @@ const ServiceBooking = () => {
             <p className="text-muted-foreground">Find and book individual travel services</p>
           </div>
 
+          <WaitlistPanel entries={waitlist} onChange={loadWaitlist} onBooked={handleWaitlistBooked} />
+
           {/* Filters */}
           <div className="bg-card rounded-lg p-6 mb-8 border">
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-6 gap-4">
@@ -331,6 +363,7 @@ const ServiceBooking = () => {
           setBooking(bookingData);
           setShowPayment(false);
         }}
+        onJoinWaitlist={handleJoinWaitlist}
       />
       
       <BookingConfirmation
@@ -0,0 +1,227 @@
+import React, { useState, useEffect } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import { servicesAPI } from '../../../utils/api';
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const toLocalDateKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// Weekly departures, blackout dates and a two-week capacity preview for one service
+const AvailabilityManager = ({ service, onClose }) => {
+  const [slots, setSlots] = useState([]);
+  const [blackouts, setBlackouts] = useState([]);
+  const [calendar, setCalendar] = useState([]);
+  const [newBlackout, setNewBlackout] = useState({ date: '', reason: '' });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const fetchAvailability = async () => {
+    setLoading(true);
+    const today = new Date();
+    const previewEnd = new Date(today);
+    previewEnd.setDate(previewEnd.getDate() + 13);
+
+    const response = await servicesAPI.getAvailability(service.id, toLocalDateKey(today), toLocalDateKey(previewEnd));
+    if (response.success) {
+      setSlots(response.weeklySlots);
+      setBlackouts(response.blackouts.map(b => ({ date: b.date, reason: b.reason || '' })));
+      setCalendar(response.calendar);
+    }
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    fetchAvailability();
+  }, [service.id]);
+
+  const updateSlot = (index, field, value) => {
+    setSlots(prev => prev.map((slot, i) => (i === index ? { ...slot, [field]: value } : slot)));
+  };
+
+  const addSlot = () => {
+    setSlots(prev => [
+      ...prev,
+      { dayOfWeek: 1, startTime: '08:00', endTime: '', capacity: service.max_participants || 10 }
+    ]);
+  };
+
+  const addBlackout = () => {
+    if (!newBlackout.date || blackouts.some(b => b.date === newBlackout.date)) return;
+    setBlackouts(prev => [...prev, newBlackout].sort((a, b) => a.date.localeCompare(b.date)));
+    setNewBlackout({ date: '', reason: '' });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    const response = await servicesAPI.updateAvailability(service.id, slots, blackouts);
+    setSaving(false);
+
+    if (response.success) {
+      alert('✅ Availability saved');
+      fetchAvailability();
+    } else {
+      alert('❌ ' + (response.message || 'Failed to save availability'));
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4" onClick={onClose}>
+      <div
+        className="bg-card border border-border rounded-lg w-full max-w-3xl max-h-[90vh] overflow-y-auto p-6"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-6">
+          <div>
+            <h3 className="text-xl font-semibold text-foreground">Availability</h3>
+            <p className="text-sm text-muted-foreground">{service.title}</p>
+          </div>
+          <button onClick={onClose} className="text-muted-foreground hover:text-foreground">
+            <Icon name="X" size={24} />
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <Icon name="Loader2" size={32} className="animate-spin text-primary" />
+          </div>
+        ) : (
+          <div className="space-y-8">
+            {/* Weekly slots */}
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <h4 className="font-medium text-foreground">Weekly departures</h4>
+                <Button variant="outline" size="sm" onClick={addSlot}>
+                  <Icon name="Plus" size={14} />
+                  Add Slot
+                </Button>
+              </div>
+              <p className="text-xs text-muted-foreground mb-3">
+                {slots.length === 0
+                  ? `No weekly slots yet - bookings are accepted any day${service.max_participants ? ` up to ${service.max_participants} participants per day` : ''}.`
+                  : 'Travelers can only book these days and times, up to the capacity of each slot.'}
+              </p>
+              <div className="space-y-2">
+                {slots.map((slot, index) => (
+                  <div key={slot.id || `new-${index}`} className="grid grid-cols-12 gap-2 items-center">
+                    <select
+                      value={slot.dayOfWeek}
+                      onChange={(e) => updateSlot(index, 'dayOfWeek', parseInt(e.target.value))}
+                      className="col-span-4 px-3 py-2 text-sm border border-border rounded-md bg-background"
+                    >
+                      {DAYS.map((day, dayIndex) => (
+                        <option key={day} value={dayIndex}>{day}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="time"
+                      value={slot.startTime}
+                      onChange={(e) => updateSlot(index, 'startTime', e.target.value)}
+                      className="col-span-3 px-3 py-2 text-sm border border-border rounded-md bg-background"
+                    />
+                    <input
+                      type="time"
+                      value={slot.endTime || ''}
+                      onChange={(e) => updateSlot(index, 'endTime', e.target.value)}
+                      className="col-span-2 px-3 py-2 text-sm border border-border rounded-md bg-background"
+                    />
+                    <input
+                      type="number"
+                      min="1"
+                      value={slot.capacity}
+                      onChange={(e) => updateSlot(index, 'capacity', e.target.value)}
+                      title="Seats"
+                      className="col-span-2 px-3 py-2 text-sm border border-border rounded-md bg-background"
+                    />
+                    <button
+                      onClick={() => setSlots(prev => prev.filter((_, i) => i !== index))}
+                      className="col-span-1 text-red-600 hover:text-red-700 flex justify-center"
+                    >
+                      <Icon name="Trash2" size={16} />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            {/* Blackout dates */}
+            <div>
+              <h4 className="font-medium text-foreground mb-2">Blackout dates</h4>
+              <div className="flex gap-2 mb-3">
+                <input
+                  type="date"
+                  min={toLocalDateKey(new Date())}
+                  value={newBlackout.date}
+                  onChange={(e) => setNewBlackout(prev => ({ ...prev, date: e.target.value }))}
+                  className="px-3 py-2 text-sm border border-border rounded-md bg-background"
+                />
+                <input
+                  type="text"
+                  value={newBlackout.reason}
+                  onChange={(e) => setNewBlackout(prev => ({ ...prev, reason: e.target.value }))}
+                  placeholder="Reason (optional)"
+                  className="flex-1 px-3 py-2 text-sm border border-border rounded-md bg-background"
+                />
+                <Button variant="outline" size="sm" onClick={addBlackout} disabled={!newBlackout.date}>
+                  <Icon name="CalendarX" size={14} />
+                  Block
+                </Button>
+              </div>
+              {blackouts.length === 0 ? (
+                <p className="text-xs text-muted-foreground">No blocked dates</p>
+              ) : (
+                <div className="flex flex-wrap gap-2">
+                  {blackouts.map((blackout) => (
+                    <span key={blackout.date} className="inline-flex items-center gap-2 px-3 py-1 bg-muted rounded-full text-sm">
+                      {new Date(blackout.date + 'T00:00:00').toLocaleDateString()}
+                      {blackout.reason && <span className="text-muted-foreground">· {blackout.reason}</span>}
+                      <button onClick={() => setBlackouts(prev => prev.filter(b => b.date !== blackout.date))}>
+                        <Icon name="X" size={12} />
+                      </button>
+                    </span>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {/* Next two weeks */}
+            <div>
+              <h4 className="font-medium text-foreground mb-2">Next 14 days</h4>
+              <div className="grid grid-cols-7 gap-2">
+                {calendar.map((day) => {
+                  const remaining = day.slots.some(s => s.remaining === null)
+                    ? null
+                    : day.slots.reduce((sum, s) => sum + s.remaining, 0);
+                  return (
+                    <div
+                      key={day.date}
+                      className={`p-2 rounded-md text-center text-xs ${
+                        day.blackout ? 'bg-muted text-muted-foreground' : day.available ? 'bg-success/10 text-success' : 'bg-error/10 text-error'
+                      }`}
+                    >
+                      <div className="font-medium">{new Date(day.date + 'T00:00:00').toLocaleDateString(undefined, { weekday: 'short', day: 'numeric' })}</div>
+                      <div>
+                        {day.blackout ? 'Blocked' : day.slots.length === 0 ? 'Closed' : remaining === null ? 'Open' : `${remaining} left`}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+              <p className="text-xs text-muted-foreground mt-2">Reflects saved settings - save to refresh.</p>
+            </div>
+
+            <div className="flex justify-end gap-2 pt-4 border-t border-border">
+              <Button variant="outline" onClick={onClose}>Close</Button>
+              <Button onClick={handleSave} disabled={saving}>
+                {saving ? 'Saving...' : 'Save Availability'}
+              </Button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AvailabilityManager;
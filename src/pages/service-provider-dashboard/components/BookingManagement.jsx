@@ -1,10 +1,14 @@
 import React, { useState } from 'react';
 import Icon from '../../../components/AppIcon';
 import Button from '../../../components/ui/Button';
+import BookingTimeline from '../../../components/BookingTimeline';
+import VoucherCheckIn from './VoucherCheckIn';
+import ModificationRequests from './ModificationRequests';
 
-const BookingManagement = ({ bookings = [], onUpdateBookingStatus, onDeleteBooking, loading = false }) => {
+const BookingManagement = ({ bookings = [], onUpdateBookingStatus, onDeleteBooking, onCheckedIn, onModificationDecided, onMessageTraveler, loading = false }) => {
   const [filterStatus, setFilterStatus] = useState('pending'); // Default to pending to show action required
   const [processingId, setProcessingId] = useState(null);
+  const [historyId, setHistoryId] = useState(null);
 
   const filteredBookings = filterStatus === 'all' 
     ? bookings 
@@ -23,16 +27,20 @@ const BookingManagement = ({ bookings = [], onUpdateBookingStatus, onDeleteBooki
     if (!confirm(`Are you sure you want to ${actionText} this pre-order request?\n\nThe traveler will be notified of your decision.`)) {
       return;
     }
+    let reason = null;
+    if (action === 'cancelled') {
+      reason = window.prompt('Let the traveler know why (optional):') || null;
+    }
     setProcessingId(bookingId);
     try {
-      await onUpdateBookingStatus(bookingId, action);
+      await onUpdateBookingStatus(bookingId, action, reason);
     } finally {
       setProcessingId(null);
     }
   };
 
   const handleDeleteBooking = async (bookingId) => {
-    if (!confirm('⚠️ DELETE PERMANENTLY?\n\nThis will permanently remove this pre-order from the system. This action cannot be undone.')) {
+    if (!confirm('Cancel this booking?\n\nThe booking will be cancelled and the traveler refunded in full for anything they have paid.')) {
       return;
     }
     setProcessingId(bookingId);
@@ -91,6 +99,10 @@ const BookingManagement = ({ bookings = [], onUpdateBookingStatus, onDeleteBooki
         </Button>
       </div>
 
+      <VoucherCheckIn onCheckedIn={onCheckedIn} />
+
+      <ModificationRequests onDecided={onModificationDecided} />
+
       <div className="flex flex-wrap gap-2">
         <button
           onClick={() => setFilterStatus('all')}
@@ -154,7 +166,7 @@ const BookingManagement = ({ bookings = [], onUpdateBookingStatus, onDeleteBooki
               <p className="text-sm text-yellow-700 dark:text-yellow-300">
                 You have {statusCounts.pending} pre-order request(s) waiting for your decision. 
                 Click <strong>"✅ Approve"</strong> to accept or <strong>"❌ Reject"</strong> to decline. 
-                The traveler will be notified immediately.
+                The traveler will be notified immediately. Requests not answered in time are declined automatically.
               </p>
             </div>
           </div>
@@ -227,6 +239,11 @@ const BookingManagement = ({ bookings = [], onUpdateBookingStatus, onDeleteBooki
                          booking.status === 'completed' ? '🎉 Completed' :
                          '❌ Rejected'}
                       </span>
+                      {booking.checked_in_at && (
+                        <span className="text-xs text-muted-foreground">
+                          Checked in {new Date(booking.checked_in_at).toLocaleString()}
+                        </span>
+                      )}
                     </div>
                   </div>
                   <p className="text-sm text-muted-foreground mb-3">{booking.service_title || 'Service'}</p>
@@ -251,6 +268,12 @@ const BookingManagement = ({ bookings = [], onUpdateBookingStatus, onDeleteBooki
                         {booking.created_at ? new Date(booking.created_at).toLocaleDateString() : 'Unknown'}
                       </p>
                     </div>
+                    {booking.response_due_at && (
+                      <div>
+                        <span className="text-muted-foreground">Respond By:</span>
+                        <p className="font-medium text-red-600">{new Date(booking.response_due_at).toLocaleString()}</p>
+                      </div>
+                    )}
                   </div>
                   {booking.special_requests && (
                     <div className="mt-3 p-3 bg-muted rounded-lg">
@@ -309,6 +332,24 @@ const BookingManagement = ({ bookings = [], onUpdateBookingStatus, onDeleteBooki
                     Mark as Completed
                   </Button>
                 )}
+                {onMessageTraveler && (
+                  <Button 
+                    variant="ghost" 
+                    size="sm"
+                    onClick={() => onMessageTraveler(booking)}
+                  >
+                    <Icon name="MessageCircle" size={14} />
+                    Message
+                  </Button>
+                )}
+                <Button 
+                  variant="ghost" 
+                  size="sm"
+                  onClick={() => setHistoryId(historyId === booking.id ? null : booking.id)}
+                >
+                  <Icon name="History" size={14} />
+                  History
+                </Button>
                 <Button 
                   variant="ghost" 
                   size="sm"
@@ -319,11 +360,17 @@ const BookingManagement = ({ bookings = [], onUpdateBookingStatus, onDeleteBooki
                   {processingId === booking.id ? (
                     <Icon name="Loader2" size={14} className="animate-spin" />
                   ) : (
-                    <Icon name="Trash2" size={14} />
+                    <Icon name="XCircle" size={14} />
                   )}
-                  Delete Permanently
+                  Cancel & Refund
                 </Button>
               </div>
+
+              {historyId === booking.id && (
+                <div className="mt-4 pt-4 border-t border-border">
+                  <BookingTimeline bookingId={booking.id} />
+                </div>
+              )}
             </div>
           )})
         )}
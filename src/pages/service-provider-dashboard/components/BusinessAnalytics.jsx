@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import Icon from '../../../components/AppIcon';
 import Button from '../../../components/ui/Button';
+import EarningsBalance from './EarningsBalance';
+import InvoiceList from '../../../components/InvoiceList';
 
 const BusinessAnalytics = () => {
   const [timeRange, setTimeRange] = useState('30days');
@@ -112,6 +114,12 @@ const BusinessAnalytics = () => {
         </div>
       </div>
 
+      {/* Balance from the payouts ledger */}
+      <EarningsBalance />
+
+      {/* Booking invoices and promotion receipts */}
+      <InvoiceList />
+
       {/* Loading State */}
       {loading && (
         <div className="flex items-center justify-center py-12">
@@ -0,0 +1,170 @@
+import React, { useState, useEffect } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import { paymentsAPI } from '../../../utils/api';
+
+const ENTRY_LABELS = {
+  payment: 'Booking payment',
+  refund: 'Refund',
+  payout: 'Payout',
+  payout_reversal: 'Payout returned'
+};
+
+// Provider balance from the payouts ledger, with recent payouts and a downloadable statement
+const EarningsBalance = () => {
+  const [balances, setBalances] = useState([]);
+  const [payouts, setPayouts] = useState([]);
+  const [statement, setStatement] = useState(null);
+  const [showStatement, setShowStatement] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchEarnings = async () => {
+      setLoading(true);
+      const response = await paymentsAPI.getProviderEarnings();
+      if (response.success) {
+        setBalances(response.balances || []);
+        setPayouts(response.payouts || []);
+      }
+      setLoading(false);
+    };
+    fetchEarnings();
+  }, []);
+
+  const toggleStatement = async () => {
+    if (!showStatement && !statement) {
+      const response = await paymentsAPI.getProviderStatement();
+      if (response.success) {
+        setStatement(response.statement);
+      }
+    }
+    setShowStatement(!showStatement);
+  };
+
+  const handleDownloadStatement = () => {
+    const rows = [
+      ['iSafari Payout Statement'],
+      ['Generated:', new Date().toLocaleDateString()],
+      [''],
+      ['Date', 'Type', 'Description', 'Amount', 'Currency', 'Balance'],
+      ...statement.entries.map(e => [
+        new Date(e.createdAt).toLocaleDateString(),
+        ENTRY_LABELS[e.type] || e.type,
+        `"${(e.description || '').replace(/"/g, '""')}"`,
+        e.amount,
+        e.currency,
+        e.balance
+      ])
+    ];
+    const blob = new Blob([rows.map(row => row.join(',')).join('\n')], { type: 'text/csv' });
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `payout-statement-${Date.now()}.csv`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    window.URL.revokeObjectURL(url);
+  };
+
+  if (loading) return null;
+
+  const primary = balances[0] || { currency: 'TZS', balance: 0, earned: 0, refunded: 0, paidOut: 0 };
+
+  return (
+    <div className="bg-card border border-border rounded-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h4 className="font-medium text-foreground flex items-center">
+          <Icon name="Wallet" size={18} className="mr-2 text-primary" />
+          Earnings & Payouts
+        </h4>
+        <Button variant="outline" size="sm" onClick={toggleStatement}>
+          <Icon name="FileText" size={14} />
+          {showStatement ? 'Hide Statement' : 'View Statement'}
+        </Button>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <div>
+          <p className="text-2xl font-bold text-foreground">{primary.currency} {primary.balance.toLocaleString()}</p>
+          <p className="text-sm text-muted-foreground">Available balance</p>
+        </div>
+        <div>
+          <p className="text-lg font-semibold text-foreground">{primary.currency} {primary.earned.toLocaleString()}</p>
+          <p className="text-sm text-muted-foreground">Earned after commission</p>
+        </div>
+        <div>
+          <p className="text-lg font-semibold text-foreground">{primary.currency} {primary.refunded.toLocaleString()}</p>
+          <p className="text-sm text-muted-foreground">Refunded</p>
+        </div>
+        <div>
+          <p className="text-lg font-semibold text-foreground">{primary.currency} {primary.paidOut.toLocaleString()}</p>
+          <p className="text-sm text-muted-foreground">Paid out</p>
+        </div>
+      </div>
+
+      {balances.length > 1 && (
+        <p className="text-xs text-muted-foreground mt-2">
+          Also held: {balances.slice(1).map(b => `${b.currency} ${b.balance.toLocaleString()}`).join(', ')}
+        </p>
+      )}
+
+      {payouts.length > 0 && (
+        <div className="mt-6">
+          <h5 className="text-sm font-medium text-foreground mb-2">Recent Payouts</h5>
+          <div className="space-y-2">
+            {payouts.map((payout) => (
+              <div key={payout.id} className="flex items-center justify-between text-sm p-2 bg-muted/50 rounded-lg">
+                <span className="text-muted-foreground">{new Date(payout.created_at).toLocaleDateString()}</span>
+                <span className="font-medium text-foreground">{payout.currency} {payout.amount.toLocaleString()}</span>
+                <span className={`capitalize ${
+                  payout.status === 'paid' ? 'text-green-600' : payout.status === 'failed' ? 'text-red-600' : 'text-yellow-600'
+                }`}>
+                  {payout.status}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {showStatement && statement && (
+        <div className="mt-6">
+          <div className="flex items-center justify-between mb-2">
+            <h5 className="text-sm font-medium text-foreground">Statement</h5>
+            {statement.entries.length > 0 && (
+              <Button variant="ghost" size="sm" onClick={handleDownloadStatement}>
+                <Icon name="Download" size={14} />
+                Download CSV
+              </Button>
+            )}
+          </div>
+          {statement.entries.length === 0 ? (
+            <p className="text-sm text-muted-foreground">No earnings recorded yet.</p>
+          ) : (
+            <div className="space-y-1 max-h-80 overflow-y-auto">
+              {statement.entries.map((entry) => (
+                <div key={entry.id} className="flex items-center justify-between text-sm py-1 border-b border-border">
+                  <div>
+                    <p className="text-foreground">{ENTRY_LABELS[entry.type] || entry.type}</p>
+                    <p className="text-xs text-muted-foreground">
+                      {new Date(entry.createdAt).toLocaleDateString()}{entry.description ? ` · ${entry.description}` : ''}
+                    </p>
+                  </div>
+                  <div className="text-right">
+                    <p className={entry.amount < 0 ? 'text-red-600' : 'text-green-600'}>
+                      {entry.amount > 0 ? '+' : ''}{entry.amount.toLocaleString()}
+                    </p>
+                    <p className="text-xs text-muted-foreground">{entry.currency} {entry.balance.toLocaleString()}</p>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EarningsBalance;
@@ -0,0 +1,89 @@
+import React, { useState, useEffect } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import { bookingsAPI } from '../../../utils/api';
+
+const formatValues = (values) => [
+  new Date(`${values.booking_date}T00:00:00`).toLocaleDateString(),
+  values.start_time,
+  `${values.participants} participant(s)`
+].filter(Boolean).join(' · ');
+
+// Travelers' requests to move a booking or change the party size, waiting for the provider's decision
+const ModificationRequests = ({ onDecided }) => {
+  const [requests, setRequests] = useState([]);
+  const [processingId, setProcessingId] = useState(null);
+
+  const loadRequests = async () => {
+    const response = await bookingsAPI.getModificationRequests();
+    if (response.success) {
+      setRequests(response.requests);
+    }
+  };
+
+  useEffect(() => {
+    loadRequests();
+  }, []);
+
+  if (requests.length === 0) return null;
+
+  const handleDecision = async (request, approve) => {
+    let reason = null;
+    if (approve) {
+      if (!window.confirm('Approve this change? The booking will be updated and the traveler notified.')) return;
+    } else {
+      reason = window.prompt('Let the traveler know why (optional):');
+      if (reason === null) return;
+    }
+
+    setProcessingId(request.id);
+    const response = approve
+      ? await bookingsAPI.approveModification(request.booking_id, request.id)
+      : await bookingsAPI.declineModification(request.booking_id, request.id, reason || null);
+    setProcessingId(null);
+
+    if (!response.success) {
+      alert(response.message || 'Could not update the change request');
+    }
+    await loadRequests();
+    if (response.success && onDecided) onDecided();
+  };
+
+  return (
+    <div className="bg-card border border-border rounded-lg p-4">
+      <h4 className="font-medium text-foreground mb-3 flex items-center">
+        <Icon name="CalendarClock" size={18} className="mr-2 text-primary" />
+        Change Requests ({requests.length})
+      </h4>
+      <div className="space-y-3">
+        {requests.map(request => (
+          <div key={request.id} className="flex flex-col md:flex-row md:items-center justify-between gap-3 p-3 rounded-lg border border-border">
+            <div className="text-sm">
+              <p className="font-medium text-foreground">
+                {request.traveler_name || 'Traveler'} · {request.service_title}
+              </p>
+              <p className="text-muted-foreground">From: {formatValues(request.original)}</p>
+              <p className="text-muted-foreground">To: {formatValues(request.requested)}</p>
+              <p className="text-muted-foreground">
+                Price {request.currency} {request.original.total_amount.toLocaleString()} → {request.requested.total_amount.toLocaleString()}
+              </p>
+              {request.reason && <p className="text-muted-foreground italic">"{request.reason}"</p>}
+            </div>
+            <div className="flex space-x-2">
+              <Button size="sm" onClick={() => handleDecision(request, true)} disabled={processingId === request.id}>
+                <Icon name="Check" size={16} />
+                Approve
+              </Button>
+              <Button size="sm" variant="outline" onClick={() => handleDecision(request, false)} disabled={processingId === request.id}>
+                <Icon name="X" size={16} />
+                Decline
+              </Button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ModificationRequests;
@@ -0,0 +1,234 @@
+import React, { useState, useEffect } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import { promoCodesAPI } from '../../../utils/api';
+
+const EMPTY_CODE = {
+  code: '',
+  campaign: '',
+  discountType: 'percentage',
+  discountValue: '',
+  serviceId: '',
+  minSpend: '',
+  maxUses: '',
+  maxUsesPerUser: 1,
+  validFrom: new Date().toISOString().split('T')[0],
+  validUntil: ''
+};
+
+// Promo codes a provider offers on their own services, with how often each has been used
+const PromoCodes = ({ services = [] }) => {
+  const [promoCodes, setPromoCodes] = useState([]);
+  const [form, setForm] = useState(EMPTY_CODE);
+  const [showForm, setShowForm] = useState(false);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const fetchPromoCodes = async () => {
+    const response = await promoCodesAPI.getMine();
+    if (response.success) {
+      setPromoCodes(response.promoCodes || []);
+    }
+  };
+
+  useEffect(() => {
+    fetchPromoCodes();
+  }, []);
+
+  // Fixed discounts are in the currency of the service they're limited to
+  const selectedService = services.find(service => String(service.id) === String(form.serviceId));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    const response = await promoCodesAPI.create({
+      ...form,
+      currency: selectedService?.currency || services[0]?.currency || 'TZS',
+      maxUsesPerUser: form.maxUsesPerUser === '' ? null : form.maxUsesPerUser
+    });
+    setSaving(false);
+
+    if (response.success) {
+      setShowForm(false);
+      setForm(EMPTY_CODE);
+      fetchPromoCodes();
+    } else {
+      setError(response.message || 'Failed to create promo code');
+    }
+  };
+
+  const handleDeactivate = async (promo) => {
+    if (!window.confirm(`Deactivate ${promo.code}? Travelers will no longer be able to use it.`)) return;
+    const response = await promoCodesAPI.deactivate(promo.id);
+    if (response.success) {
+      fetchPromoCodes();
+    } else {
+      alert(response.message || 'Failed to deactivate promo code');
+    }
+  };
+
+  const serviceTitle = (serviceId) => services.find(service => service.id === serviceId)?.title || `Service #${serviceId}`;
+  const inputClass = 'w-full px-3 py-2 border border-border rounded-lg bg-background text-foreground text-sm';
+
+  return (
+    <div className="bg-card border border-border rounded-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h4 className="font-medium text-foreground flex items-center">
+            <Icon name="Tag" size={18} className="mr-2 text-primary" />
+            Promo Codes
+          </h4>
+          <p className="text-sm text-muted-foreground">Discount codes travelers can use on your services</p>
+        </div>
+        <Button variant="outline" size="sm" onClick={() => { setShowForm(!showForm); setError(''); }}>
+          <Icon name={showForm ? 'X' : 'Plus'} size={14} />
+          {showForm ? 'Cancel' : 'New Code'}
+        </Button>
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="mb-6 p-4 bg-muted/50 rounded-lg space-y-3">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <div>
+              <label className="block text-xs text-muted-foreground mb-1">Code</label>
+              <input
+                type="text"
+                value={form.code}
+                onChange={(e) => setForm({ ...form, code: e.target.value.toUpperCase() })}
+                className={inputClass}
+                placeholder="e.g. SAFARI15"
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-muted-foreground mb-1">Campaign</label>
+              <input
+                type="text"
+                value={form.campaign}
+                onChange={(e) => setForm({ ...form, campaign: e.target.value })}
+                className={inputClass}
+                placeholder="Optional"
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-muted-foreground mb-1">Service</label>
+              <select value={form.serviceId} onChange={(e) => setForm({ ...form, serviceId: e.target.value })} className={inputClass}>
+                <option value="">All my services</option>
+                {services.map(service => <option key={service.id} value={service.id}>{service.title}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs text-muted-foreground mb-1">Discount</label>
+              <div className="flex space-x-2">
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={form.discountValue}
+                  onChange={(e) => setForm({ ...form, discountValue: e.target.value })}
+                  className={inputClass}
+                />
+                <select value={form.discountType} onChange={(e) => setForm({ ...form, discountType: e.target.value })} className={inputClass}>
+                  <option value="percentage">%</option>
+                  <option value="fixed">{selectedService?.currency || services[0]?.currency || 'TZS'}</option>
+                </select>
+              </div>
+            </div>
+            <div>
+              <label className="block text-xs text-muted-foreground mb-1">Minimum Spend</label>
+              <input
+                type="number"
+                min="0"
+                value={form.minSpend}
+                onChange={(e) => setForm({ ...form, minSpend: e.target.value })}
+                className={inputClass}
+                placeholder="None"
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-muted-foreground mb-1">Total Uses</label>
+              <input
+                type="number"
+                min="1"
+                value={form.maxUses}
+                onChange={(e) => setForm({ ...form, maxUses: e.target.value })}
+                className={inputClass}
+                placeholder="Unlimited"
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-muted-foreground mb-1">Uses per Traveler</label>
+              <input
+                type="number"
+                min="1"
+                value={form.maxUsesPerUser}
+                onChange={(e) => setForm({ ...form, maxUsesPerUser: e.target.value })}
+                className={inputClass}
+                placeholder="Unlimited"
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-muted-foreground mb-1">Valid From</label>
+              <input
+                type="date"
+                value={form.validFrom}
+                onChange={(e) => setForm({ ...form, validFrom: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-muted-foreground mb-1">Valid Until</label>
+              <input
+                type="date"
+                value={form.validUntil}
+                onChange={(e) => setForm({ ...form, validUntil: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+          </div>
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          <div className="flex justify-end">
+            <Button type="submit" size="sm" disabled={saving}>
+              {saving ? 'Saving...' : 'Create Code'}
+            </Button>
+          </div>
+        </form>
+      )}
+
+      {promoCodes.length === 0 ? (
+        <p className="text-sm text-muted-foreground">You have no promo codes yet.</p>
+      ) : (
+        <div className="space-y-2">
+          {promoCodes.map((promo) => (
+            <div key={promo.id} className="flex items-center justify-between p-3 bg-muted/50 rounded-lg text-sm">
+              <div>
+                <p className="font-medium text-foreground">
+                  {promo.code}
+                  <span className="ml-2 text-muted-foreground font-normal">
+                    {promo.discountType === 'percentage' ? `${promo.discountValue}% off` : `${promo.currency} ${promo.discountValue.toLocaleString()} off`}
+                    {' · '}{promo.serviceId ? serviceTitle(promo.serviceId) : 'All services'}
+                  </span>
+                </p>
+                <p className="text-xs text-muted-foreground">
+                  Used {promo.redemptions}{promo.maxUses ? ` of ${promo.maxUses}` : ''} times
+                  {' · '}{promo.currency} {promo.discountGiven.toLocaleString()} discounted
+                  {' · '}{promo.currency} {promo.bookingValue.toLocaleString()} booked
+                  {promo.validUntil && ` · ends ${new Date(promo.validUntil).toLocaleDateString()}`}
+                </p>
+              </div>
+              {promo.isActive ? (
+                <Button variant="ghost" size="sm" onClick={() => handleDeactivate(promo)}>
+                  <Icon name="XCircle" size={14} />
+                  Deactivate
+                </Button>
+              ) : (
+                <span className="text-xs text-muted-foreground">Inactive</span>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PromoCodes;
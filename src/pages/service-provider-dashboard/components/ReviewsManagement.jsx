@@ -0,0 +1,152 @@
+import React, { useState, useEffect } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import { StarRow } from '../../../components/ReviewsSection';
+import { reviewsAPI } from '../../../utils/api';
+
+const ReviewsManagement = () => {
+  const [reviews, setReviews] = useState([]);
+  const [summary, setSummary] = useState({ average: 0, total: 0 });
+  const [loading, setLoading] = useState(true);
+  const [replyDrafts, setReplyDrafts] = useState({});
+  const [submittingId, setSubmittingId] = useState(null);
+
+  useEffect(() => {
+    fetchReviews();
+  }, []);
+
+  const fetchReviews = async () => {
+    setLoading(true);
+    const response = await reviewsAPI.getMyProviderReviews({ limit: 50 });
+    if (response.success) {
+      setReviews(response.reviews);
+      setSummary(response.summary);
+    }
+    setLoading(false);
+  };
+
+  const handleReply = async (reviewId) => {
+    const reply = replyDrafts[reviewId]?.trim();
+    if (!reply) return;
+
+    setSubmittingId(reviewId);
+    const response = await reviewsAPI.reply(reviewId, reply);
+    setSubmittingId(null);
+
+    if (response.success) {
+      setReplyDrafts(prev => ({ ...prev, [reviewId]: '' }));
+      fetchReviews();
+    } else {
+      alert('❌ ' + (response.message || 'Could not post reply'));
+    }
+  };
+
+  const handleFlag = async (reviewId) => {
+    const reason = window.prompt('Why should this review be moderated? (e.g. abusive language, not a real customer)');
+    if (!reason?.trim()) return;
+
+    const response = await reviewsAPI.flag(reviewId, reason.trim());
+    if (response.success) {
+      alert('🚩 Review sent to iSafari moderators');
+      fetchReviews();
+    } else {
+      alert('❌ ' + (response.message || 'Could not flag review'));
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="text-center py-12">
+        <Icon name="Loader2" size={48} className="mx-auto mb-4 animate-spin text-primary" />
+        <p className="text-muted-foreground">Loading reviews...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-card border border-border rounded-lg p-6 flex items-center justify-between">
+        <div>
+          <h2 className="text-xl font-semibold text-foreground mb-1">Customer Reviews</h2>
+          <p className="text-muted-foreground">Reply publicly to travelers or flag abusive reviews</p>
+        </div>
+        <div className="text-right">
+          <div className="text-3xl font-bold text-foreground">{summary.average.toFixed(1)}</div>
+          <StarRow rating={summary.average} size={16} />
+          <p className="text-xs text-muted-foreground mt-1">{summary.total} published reviews</p>
+        </div>
+      </div>
+
+      {reviews.length === 0 ? (
+        <div className="text-center py-12 bg-card border border-border rounded-lg">
+          <Icon name="Star" size={48} className="mx-auto mb-4 text-muted-foreground" />
+          <h3 className="text-lg font-semibold text-foreground mb-2">No Reviews Yet</h3>
+          <p className="text-muted-foreground">Reviews appear here once travelers complete a booking and rate it.</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {reviews.map((review) => (
+            <div key={review.id} className="bg-card border border-border rounded-lg p-5">
+              <div className="flex items-start justify-between mb-2">
+                <div>
+                  <p className="font-medium text-foreground">{review.traveler_name}</p>
+                  <p className="text-xs text-muted-foreground">{review.service_title}</p>
+                </div>
+                <div className="flex items-center gap-2">
+                  {review.is_hidden && (
+                    <span className="px-2 py-0.5 text-xs rounded-full bg-muted text-muted-foreground">Hidden by moderators</span>
+                  )}
+                  {review.is_flagged && !review.is_hidden && (
+                    <span className="px-2 py-0.5 text-xs rounded-full bg-yellow-100 text-yellow-800">Under review</span>
+                  )}
+                  <StarRow rating={review.rating} />
+                  <span className="text-xs text-muted-foreground">
+                    {new Date(review.created_at).toLocaleDateString()}
+                  </span>
+                </div>
+              </div>
+
+              {review.comment && <p className="text-sm text-foreground mb-3">{review.comment}</p>}
+
+              {review.provider_reply ? (
+                <div className="ml-4 pl-3 border-l-2 border-primary/40">
+                  <p className="text-xs font-medium text-primary mb-1">Your response</p>
+                  <p className="text-sm text-muted-foreground">{review.provider_reply}</p>
+                </div>
+              ) : (
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={replyDrafts[review.id] || ''}
+                    onChange={(e) => setReplyDrafts(prev => ({ ...prev, [review.id]: e.target.value }))}
+                    placeholder="Write a public reply (you can reply once)"
+                    className="flex-1 px-3 py-2 text-sm border border-border rounded-md bg-background text-foreground"
+                  />
+                  <Button
+                    size="sm"
+                    disabled={submittingId === review.id || !replyDrafts[review.id]?.trim()}
+                    onClick={() => handleReply(review.id)}
+                  >
+                    <Icon name="Reply" size={14} />
+                    Reply
+                  </Button>
+                </div>
+              )}
+
+              {!review.is_flagged && !review.is_hidden && (
+                <div className="mt-3 text-right">
+                  <Button variant="ghost" size="xs" onClick={() => handleFlag(review.id)}>
+                    <Icon name="Flag" size={12} />
+                    Report review
+                  </Button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReviewsManagement;
@@ -3,8 +3,16 @@ import { useAuth } from '../../../contexts/AuthContext';
 import Icon from '../../../components/AppIcon';
 import Button from '../../../components/ui/Button';
 import LocationSelector from '../../../components/LocationSelector';
+import AvailabilityManager from './AvailabilityManager';
 import { API_URL } from '../../../utils/api';
 
+const CANCELLATION_POLICIES = {
+  flexible: 'Full refund up to 1 day before',
+  moderate: 'Full refund 5+ days before, 50% 1-4 days before',
+  strict: 'Full refund 14+ days before, 50% 7-13 days before',
+  custom: 'Set your own refund tiers'
+};
+
 const ServiceManagement = () => {
   const { user } = useAuth();
   const fileInputRef = useRef(null);
@@ -46,13 +54,18 @@ const ServiceManagement = () => {
     contactInfo: {
       email: { enabled: false, address: '' },
       whatsapp: { enabled: false, number: '' }
-    }
+    },
+    // Cancellation terms shown to travelers and used to calculate refunds
+    cancellationPolicy: { type: 'moderate', tiers: [] },
+    // Deposit and instalments travelers pay in; null when the full price is paid at once
+    paymentPlan: null
   });
   
   const [imageUrl, setImageUrl] = useState('');
   const [showUrlInput, setShowUrlInput] = useState(false);
   const [myServices, setMyServices] = useState([]);
   const [viewingImages, setViewingImages] = useState(null);
+  const [availabilityService, setAvailabilityService] = useState(null);
   const [currentImageIndex, setCurrentImageIndex] = useState(0);
   const [providerProfile, setProviderProfile] = useState(null);
 
@@ -197,6 +210,30 @@ const ServiceManagement = () => {
     setShowUrlInput(false);
   };
 
+  const updatePolicyTier = (index, field, value) => {
+    setServiceForm(prev => ({
+      ...prev,
+      cancellationPolicy: {
+        ...prev.cancellationPolicy,
+        tiers: prev.cancellationPolicy.tiers.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier))
+      }
+    }));
+  };
+
+  const updatePaymentPlan = (changes) => {
+    setServiceForm(prev => ({ ...prev, paymentPlan: { ...prev.paymentPlan, ...changes } }));
+  };
+
+  const updatePlanInstalment = (index, field, value) => {
+    setServiceForm(prev => ({
+      ...prev,
+      paymentPlan: {
+        ...prev.paymentPlan,
+        instalments: prev.paymentPlan.instalments.map((instalment, i) => (i === index ? { ...instalment, [field]: value } : instalment))
+      }
+    }));
+  };
+
   const resetForm = () => {
     setServiceForm({
       name: '',
@@ -217,7 +254,9 @@ const ServiceManagement = () => {
       contactInfo: {
         email: { enabled: false, address: '' },
         whatsapp: { enabled: false, number: '' }
-      }
+      },
+      cancellationPolicy: { type: 'moderate', tiers: [] },
+      paymentPlan: null
     });
     setLocation({ region: '', district: '', ward: '', street: '' });
     setEditingServiceId(null);
@@ -326,7 +365,9 @@ const ServiceManagement = () => {
         images: imageUrls,
         amenities: serviceForm.includes ? serviceForm.includes.split(',').map(item => item.trim()) : [],
         paymentMethods: serviceForm.paymentMethods,
-        contactInfo: serviceForm.contactInfo
+        contactInfo: serviceForm.contactInfo,
+        cancellationPolicy: serviceForm.cancellationPolicy,
+        paymentPlan: serviceForm.paymentPlan
       };
 
       console.log('Sending service data:', serviceData);
@@ -454,7 +495,11 @@ const ServiceManagement = () => {
       requirements: '',
       images: service.images && service.images.length > 0 
         ? service.images.map(img => ({preview: img, isUrl: true})) 
-        : []
+        : [],
+      cancellationPolicy: service.cancellation_policy?.type === 'custom'
+        ? service.cancellation_policy
+        : { type: service.cancellation_policy?.type || 'moderate', tiers: [] },
+      paymentPlan: service.payment_plan || null
     });
     
     // Parse location to get street, ward, district, and region
@@ -786,6 +831,194 @@ const ServiceManagement = () => {
             </div>
           </div>
 
+          {/* Cancellation Policy Section */}
+          <div className="mb-6 p-4 bg-muted/30 rounded-lg border border-border">
+            <h4 className="font-medium text-foreground mb-4 flex items-center">
+              <Icon name="CalendarX" size={18} className="mr-2 text-primary" />
+              Cancellation Policy
+            </h4>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mb-3">
+              {Object.entries(CANCELLATION_POLICIES).map(([type, description]) => (
+                <button
+                  key={type}
+                  type="button"
+                  onClick={() => setServiceForm({
+                    ...serviceForm,
+                    cancellationPolicy: {
+                      type,
+                      tiers: type === 'custom' && serviceForm.cancellationPolicy.tiers.length === 0
+                        ? [{ daysBefore: 7, refundPercent: 100 }]
+                        : serviceForm.cancellationPolicy.tiers
+                    }
+                  })}
+                  className={`p-3 rounded-lg border text-left transition-all ${
+                    serviceForm.cancellationPolicy.type === type ? 'border-primary bg-primary/5' : 'border-border'
+                  }`}
+                >
+                  <p className="text-sm font-medium text-foreground capitalize">{type}</p>
+                  <p className="text-xs text-muted-foreground">{description}</p>
+                </button>
+              ))}
+            </div>
+
+            {serviceForm.cancellationPolicy.type === 'custom' && (
+              <div className="space-y-2">
+                {serviceForm.cancellationPolicy.tiers.map((tier, index) => (
+                  <div key={index} className="flex items-center gap-2 text-sm">
+                    <input
+                      type="number"
+                      min="0"
+                      value={tier.refundPercent}
+                      onChange={(e) => updatePolicyTier(index, 'refundPercent', e.target.value)}
+                      className="w-20 px-2 py-1 border border-border rounded-lg bg-background text-foreground"
+                    />
+                    <span className="text-muted-foreground">% refund when cancelled at least</span>
+                    <input
+                      type="number"
+                      min="0"
+                      value={tier.daysBefore}
+                      onChange={(e) => updatePolicyTier(index, 'daysBefore', e.target.value)}
+                      className="w-20 px-2 py-1 border border-border rounded-lg bg-background text-foreground"
+                    />
+                    <span className="text-muted-foreground">days before</span>
+                    <button
+                      type="button"
+                      onClick={() => setServiceForm({
+                        ...serviceForm,
+                        cancellationPolicy: {
+                          ...serviceForm.cancellationPolicy,
+                          tiers: serviceForm.cancellationPolicy.tiers.filter((_, i) => i !== index)
+                        }
+                      })}
+                      className="text-red-600 hover:text-red-700"
+                    >
+                      <Icon name="X" size={14} />
+                    </button>
+                  </div>
+                ))}
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="sm"
+                  onClick={() => setServiceForm({
+                    ...serviceForm,
+                    cancellationPolicy: {
+                      ...serviceForm.cancellationPolicy,
+                      tiers: [...serviceForm.cancellationPolicy.tiers, { daysBefore: 1, refundPercent: 50 }]
+                    }
+                  })}
+                >
+                  <Icon name="Plus" size={14} />
+                  Add Tier
+                </Button>
+                <p className="text-xs text-muted-foreground">Cancellations closer to the date than every tier get no refund.</p>
+              </div>
+            )}
+          </div>
+
+          {/* Payment Plan Section */}
+          <div className="mb-6 p-4 bg-muted/30 rounded-lg border border-border">
+            <h4 className="font-medium text-foreground mb-4 flex items-center">
+              <Icon name="Wallet" size={18} className="mr-2 text-primary" />
+              Deposit & Instalments
+            </h4>
+            <label className="flex items-center space-x-2 text-sm mb-3">
+              <input
+                type="checkbox"
+                checked={!!serviceForm.paymentPlan}
+                onChange={(e) => setServiceForm({
+                  ...serviceForm,
+                  paymentPlan: e.target.checked
+                    ? { depositPercent: 30, instalments: [], balanceDaysBefore: 30, graceDays: 3 }
+                    : null
+                })}
+              />
+              <span className="text-foreground">Let travelers book with a deposit and pay the rest later</span>
+            </label>
+
+            {serviceForm.paymentPlan && (
+              <div className="space-y-2 text-sm">
+                <div className="flex items-center gap-2">
+                  <input
+                    type="number"
+                    min="1"
+                    max="99"
+                    value={serviceForm.paymentPlan.depositPercent}
+                    onChange={(e) => updatePaymentPlan({ depositPercent: e.target.value })}
+                    className="w-20 px-2 py-1 border border-border rounded-lg bg-background text-foreground"
+                  />
+                  <span className="text-muted-foreground">% deposit when booking</span>
+                </div>
+                {serviceForm.paymentPlan.instalments.map((instalment, index) => (
+                  <div key={index} className="flex items-center gap-2">
+                    <input
+                      type="number"
+                      min="1"
+                      value={instalment.percent}
+                      onChange={(e) => updatePlanInstalment(index, 'percent', e.target.value)}
+                      className="w-20 px-2 py-1 border border-border rounded-lg bg-background text-foreground"
+                    />
+                    <span className="text-muted-foreground">% due</span>
+                    <input
+                      type="number"
+                      min="1"
+                      value={instalment.daysBefore}
+                      onChange={(e) => updatePlanInstalment(index, 'daysBefore', e.target.value)}
+                      className="w-20 px-2 py-1 border border-border rounded-lg bg-background text-foreground"
+                    />
+                    <span className="text-muted-foreground">days before</span>
+                    <button
+                      type="button"
+                      onClick={() => updatePaymentPlan({
+                        instalments: serviceForm.paymentPlan.instalments.filter((_, i) => i !== index)
+                      })}
+                      className="text-red-600 hover:text-red-700"
+                    >
+                      <Icon name="X" size={14} />
+                    </button>
+                  </div>
+                ))}
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="sm"
+                  onClick={() => updatePaymentPlan({
+                    instalments: [...serviceForm.paymentPlan.instalments, { percent: 30, daysBefore: 60 }]
+                  })}
+                >
+                  <Icon name="Plus" size={14} />
+                  Add Instalment
+                </Button>
+                <div className="flex items-center gap-2">
+                  <span className="text-muted-foreground">Balance due</span>
+                  <input
+                    type="number"
+                    min="0"
+                    value={serviceForm.paymentPlan.balanceDaysBefore}
+                    onChange={(e) => updatePaymentPlan({ balanceDaysBefore: e.target.value })}
+                    className="w-20 px-2 py-1 border border-border rounded-lg bg-background text-foreground"
+                  />
+                  <span className="text-muted-foreground">days before the date</span>
+                </div>
+                <div className="flex items-center gap-2">
+                  <span className="text-muted-foreground">Cancel unpaid bookings</span>
+                  <input
+                    type="number"
+                    min="0"
+                    value={serviceForm.paymentPlan.graceDays}
+                    onChange={(e) => updatePaymentPlan({ graceDays: e.target.value })}
+                    className="w-20 px-2 py-1 border border-border rounded-lg bg-background text-foreground"
+                  />
+                  <span className="text-muted-foreground">days after a payment is missed</span>
+                </div>
+                <p className="text-xs text-muted-foreground">
+                  Bookings made close to the date pay whatever is already due with the deposit.
+                  Refunds on cancelled bookings follow your cancellation policy.
+                </p>
+              </div>
+            )}
+          </div>
+
           {/* Payment Methods Section */}
           <div className="mb-6 p-4 bg-muted/30 rounded-lg border border-border">
             <h4 className="font-medium text-foreground mb-4 flex items-center">
@@ -1145,6 +1378,10 @@ const ServiceManagement = () => {
         </div>
       )}
 
+      {availabilityService && (
+        <AvailabilityManager service={availabilityService} onClose={() => setAvailabilityService(null)} />
+      )}
+
       <div className="flex items-center justify-between">
         <h3 className="font-display text-xl font-medium">My Services ({myServices.length})</h3>
         <Button variant="default" onClick={(e) => {
@@ -1285,6 +1522,18 @@ const ServiceManagement = () => {
                   <Icon name="Edit" size={14} />
                   Edit
                 </Button>
+                <Button 
+                  variant="outline" 
+                  size="sm"
+                  onClick={(e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    setAvailabilityService(service);
+                  }}
+                  title="Availability"
+                >
+                  <Icon name="CalendarDays" size={14} />
+                </Button>
                 <Button 
                   variant="outline" 
                   size="sm"
@@ -0,0 +1,132 @@
+import React, { useState, useEffect, useRef } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import { bookingsAPI } from '../../../utils/api';
+
+// Camera scanning uses the browser's BarcodeDetector where it exists; the code can always be typed
+const canScan = typeof window !== 'undefined' && 'BarcodeDetector' in window && !!navigator.mediaDevices?.getUserMedia;
+
+// Check travelers in with the voucher code on their booking. Each voucher works once.
+const VoucherCheckIn = ({ onCheckedIn }) => {
+  const [code, setCode] = useState('');
+  const [result, setResult] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [scanning, setScanning] = useState(false);
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+
+  const stopScanning = () => {
+    streamRef.current?.getTracks().forEach(track => track.stop());
+    streamRef.current = null;
+    setScanning(false);
+  };
+
+  useEffect(() => stopScanning, []);
+
+  const checkIn = async (value) => {
+    if (!value.trim()) return;
+    setChecking(true);
+    const response = await bookingsAPI.checkIn(value.trim());
+    setChecking(false);
+    setResult(response);
+    if (response.success) {
+      setCode('');
+      if (onCheckedIn) onCheckedIn(response.booking);
+    }
+  };
+
+  useEffect(() => {
+    if (!scanning) return undefined;
+
+    let cancelled = false;
+    const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+
+    const start = async () => {
+      try {
+        streamRef.current = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        videoRef.current.srcObject = streamRef.current;
+        await videoRef.current.play();
+      } catch (error) {
+        setResult({ success: false, message: 'Could not open the camera. Type the code instead.' });
+        stopScanning();
+        return;
+      }
+
+      const scan = async () => {
+        if (cancelled) return;
+        const codes = await detector.detect(videoRef.current).catch(() => []);
+        if (codes.length > 0) {
+          stopScanning();
+          setCode(codes[0].rawValue);
+          checkIn(codes[0].rawValue);
+          return;
+        }
+        setTimeout(scan, 300);
+      };
+      scan();
+    };
+    start();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [scanning]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    checkIn(code);
+  };
+
+  return (
+    <div className="bg-card border border-border rounded-lg p-4">
+      <h4 className="font-medium text-foreground flex items-center mb-3">
+        <Icon name="QrCode" size={18} className="mr-2 text-primary" />
+        Check In a Traveler
+      </h4>
+
+      <form onSubmit={handleSubmit} className="flex flex-col sm:flex-row gap-2">
+        <input
+          type="text"
+          value={code}
+          onChange={(e) => setCode(e.target.value.toUpperCase())}
+          placeholder="ISF-1234-XXXXXXXXXX"
+          className="flex-1 px-3 py-2 border border-border rounded-lg bg-background text-foreground font-mono"
+        />
+        <Button type="submit" disabled={checking || !code.trim()}>
+          <Icon name="CheckCircle" size={16} />
+          {checking ? 'Checking...' : 'Check In'}
+        </Button>
+        {canScan && (
+          <Button type="button" variant="outline" onClick={() => (scanning ? stopScanning() : setScanning(true))}>
+            <Icon name={scanning ? 'X' : 'Camera'} size={16} />
+            {scanning ? 'Stop' : 'Scan'}
+          </Button>
+        )}
+      </form>
+
+      {scanning && (
+        <video ref={videoRef} className="mt-3 w-full max-w-sm rounded-lg border border-border" muted playsInline />
+      )}
+
+      {result && (
+        <div className={`mt-3 p-3 rounded-lg text-sm ${
+          result.success
+            ? 'bg-green-50 border border-green-200 text-green-800'
+            : 'bg-red-50 border border-red-200 text-red-700'
+        }`}>
+          <p className="font-medium">{result.message}</p>
+          {result.booking && (
+            <p className="mt-1">
+              {result.booking.service_title} · {result.booking.traveler_name}
+              {' · '}{new Date(result.booking.booking_date).toLocaleDateString()}
+              {' · '}{result.booking.participants} participant(s)
+              {result.booking.payment_status !== 'paid' && ' · Balance due'}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VoucherCheckIn;
@@ -4,24 +4,27 @@ import Icon from '../../components/AppIcon';
 import Button from '../../components/ui/Button';
 import { useAuth } from '../../contexts/AuthContext';
 import { useTheme } from '../../contexts/ThemeContext';
-import ChatSystem from '../../components/ChatSystem';
+import { useRealtime, useRealtimeEvent } from '../../contexts/RealtimeContext';
+import MessagesInbox from '../../components/MessagesInbox';
 import NotificationSystem from '../../components/NotificationSystem';
 import ServiceManagement from './components/ServiceManagement';
 import BookingManagement from './components/BookingManagement';
 import BusinessAnalytics from './components/BusinessAnalytics';
 import BusinessProfile from './components/BusinessProfile';
 import ServicePromotion from './components/ServicePromotion';
+import PromoCodes from './components/PromoCodes';
 import AccountVerification from './components/AccountVerification';
 import TravelerStoriesView from './components/TravelerStoriesView';
-import { API_URL } from '../../utils/api';
+import ReviewsManagement from './components/ReviewsManagement';
+import { API_URL, messagesAPI } from '../../utils/api';
 
 const ServiceProviderDashboard = () => {
   const { theme, toggleTheme, isDark } = useTheme();
   const [activeTab, setActiveTab] = useState('overview');
-  const [showCustomerChat, setShowCustomerChat] = useState(false);
   const [showNotifications, setShowNotifications] = useState(false);
   const [showMobileMenu, setShowMobileMenu] = useState(false);
-  const [selectedCustomer, setSelectedCustomer] = useState(null);
+  const [messageConversationId, setMessageConversationId] = useState(null);
+  const [unreadMessages, setUnreadMessages] = useState(0);
   const [myServices, setMyServices] = useState([]);
   const [myBookings, setMyBookings] = useState([]);
   const [myFollowers, setMyFollowers] = useState([]);
@@ -30,6 +33,7 @@ const ServiceProviderDashboard = () => {
   const [loadingServices, setLoadingServices] = useState(true);
   const [loadingBookings, setLoadingBookings] = useState(false);
   const { user, logout, isLoading} = useAuth();
+  const { connected } = useRealtime();
   const navigate = useNavigate();
 
   console.log('Service Provider Dashboard - activeTab:', activeTab);
@@ -142,6 +146,41 @@ const ServiceProviderDashboard = () => {
     }
   };
 
+  // Unread message badge: refreshed as messages arrive and are read, polled only while the
+  // real-time stream is down
+  const fetchUnreadMessages = async () => {
+    const response = await messagesAPI.getUnreadCount();
+    if (response.success) setUnreadMessages(response.unreadCount);
+  };
+
+  useEffect(() => {
+    fetchUnreadMessages();
+    if (connected) return undefined;
+    const timer = setInterval(fetchUnreadMessages, 60000);
+    return () => clearInterval(timer);
+  }, [connected]);
+
+  useRealtimeEvent('message', fetchUnreadMessages);
+  useRealtimeEvent('messages_read', fetchUnreadMessages);
+
+  // Bookings confirmed, cancelled or completed elsewhere show up without a reload
+  useRealtimeEvent('booking_status', () => fetchMyBookings());
+  useRealtimeEvent('resync', () => {
+    fetchUnreadMessages();
+    fetchMyBookings();
+  });
+
+  // Open the thread with the traveler of a booking in the Messages tab
+  const messageTraveler = async (booking) => {
+    const response = await messagesAPI.startConversation({ bookingId: booking.id });
+    if (response.success) {
+      setMessageConversationId(response.conversation.id);
+      setActiveTab('messages');
+    } else {
+      alert(response.message || 'Could not open the conversation');
+    }
+  };
+
   // Redirect to main home if activeTab is 'home'
   useEffect(() => {
     if (activeTab === 'home') {
@@ -238,7 +277,7 @@ const ServiceProviderDashboard = () => {
     }
   };
 
-  const updateBookingStatus = async (bookingId, newStatus) => {
+  const updateBookingStatus = async (bookingId, newStatus, reason = null) => {
     try {
       const userData = JSON.parse(localStorage.getItem('isafari_user') || '{}');
       const token = userData.token;
@@ -254,7 +293,7 @@ const ServiceProviderDashboard = () => {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${token}`
         },
-        body: JSON.stringify({ status: newStatus })
+        body: JSON.stringify({ status: newStatus, reason })
       });
 
       const data = await response.json();
@@ -294,7 +333,7 @@ const ServiceProviderDashboard = () => {
       const data = await response.json();
       
       if (data.success) {
-        alert('Pre-order deleted successfully!');
+        alert(data.message || 'Booking cancelled');
         fetchMyBookings(); // Refresh bookings list
         return true;
       } else {
@@ -302,8 +341,8 @@ const ServiceProviderDashboard = () => {
         return false;
       }
     } catch (error) {
-      console.error('Error deleting booking:', error);
-      alert('Error deleting booking. Please try again.');
+      console.error('Error cancelling booking:', error);
+      alert('Error cancelling booking. Please try again.');
       return false;
     }
   };
@@ -353,6 +392,8 @@ const ServiceProviderDashboard = () => {
     { id: 'overview', name: 'Overview', icon: 'LayoutDashboard' },
     { id: 'services', name: 'My Services', icon: 'Package' },
     { id: 'bookings', name: 'Bookings', icon: 'Calendar' },
+    { id: 'messages', name: 'Messages', icon: 'MessageCircle', badge: unreadMessages },
+    { id: 'reviews', name: 'Reviews', icon: 'Star' },
     { id: 'followers', name: 'Followers', icon: 'Users' },
     { id: 'profile', name: 'My Profile', icon: 'User' },
     { id: 'stories', name: 'Traveler Stories', icon: 'BookOpen' },
@@ -528,7 +569,10 @@ const ServiceProviderDashboard = () => {
         return <ServiceManagement />;
 
       case 'bookings':
-        return <BookingManagement bookings={myBookings} onUpdateBookingStatus={updateBookingStatus} onDeleteBooking={deleteBooking} loading={loadingBookings} />;
+        return <BookingManagement bookings={myBookings} onUpdateBookingStatus={updateBookingStatus} onDeleteBooking={deleteBooking} onCheckedIn={fetchMyBookings} onModificationDecided={fetchMyBookings} onMessageTraveler={messageTraveler} loading={loadingBookings} />;
+
+      case 'messages':
+        return <MessagesInbox initialConversationId={messageConversationId} onUnreadChange={setUnreadMessages} />;
 
       case 'followers':
         return (
@@ -583,6 +627,9 @@ const ServiceProviderDashboard = () => {
           </div>
         );
 
+      case 'reviews':
+        return <ReviewsManagement />;
+
       case 'stories':
         return <TravelerStoriesView />;
 
@@ -590,7 +637,12 @@ const ServiceProviderDashboard = () => {
         return <BusinessAnalytics />;
 
       case 'promotion':
-        return <ServicePromotion />;
+        return (
+          <div className="space-y-8">
+            <ServicePromotion />
+            <PromoCodes services={myServices} />
+          </div>
+        );
 
       case 'verification':
         return <AccountVerification />;
@@ -666,6 +718,9 @@ const ServiceProviderDashboard = () => {
                 >
                   <Icon name={tab.icon} size={16} />
                   <span className="whitespace-nowrap">{tab.name}</span>
+                  {tab.badge > 0 && (
+                    <span className="min-w-[18px] h-[18px] px-1 bg-red-500 text-white text-xs rounded-full flex items-center justify-center">{tab.badge}</span>
+                  )}
                 </button>
               ))}
             </nav>
@@ -717,6 +772,9 @@ const ServiceProviderDashboard = () => {
                   >
                     <Icon name={tab.icon} size={18} />
                     <span>{tab.name}</span>
+                    {tab.badge > 0 && (
+                      <span className="min-w-[18px] h-[18px] px-1 bg-red-500 text-white text-xs rounded-full flex items-center justify-center">{tab.badge}</span>
+                    )}
                   </button>
                 ))}
                 
@@ -825,16 +883,17 @@ const ServiceProviderDashboard = () => {
           onClick={(e) => {
             e.preventDefault();
             e.stopPropagation();
-            setSelectedCustomer({ id: 1, name: 'John Doe' });
-            setShowCustomerChat(true);
+            setActiveTab('messages');
           }}
           className="w-14 h-14 rounded-full bg-green-600 hover:bg-green-700 shadow-lg relative"
           title="Customer Messages"
         >
           <Icon name="MessageCircle" size={24} />
-          <span className="absolute -top-1 -right-1 w-5 h-5 bg-red-500 text-white text-xs rounded-full flex items-center justify-center">
-            5
-          </span>
+          {unreadMessages > 0 && (
+            <span className="absolute -top-1 -right-1 w-5 h-5 bg-red-500 text-white text-xs rounded-full flex items-center justify-center">
+              {unreadMessages}
+            </span>
+          )}
         </Button>
         
         {/* Notifications Button */}
@@ -854,15 +913,7 @@ const ServiceProviderDashboard = () => {
         </Button>
       </div>
 
-      {/* Chat and Notification Modals */}
-      <ChatSystem
-        isOpen={showCustomerChat}
-        onClose={() => setShowCustomerChat(false)}
-        chatType="customer"
-        recipientId={selectedCustomer?.id}
-        recipientName={selectedCustomer?.name}
-      />
-      
+      {/* Notification Modal */}
       <NotificationSystem
         isOpen={showNotifications}
         onClose={() => setShowNotifications(false)}
@@ -1,8 +1,12 @@
-import React from 'react';
+import React, { useState } from 'react';
 import Icon from '../../../components/AppIcon';
 import Button from '../../../components/ui/Button';
+import BookingVoucher from '../../../components/BookingVoucher';
 
 const ActiveBookingCard = ({ booking }) => {
+  const [showVoucher, setShowVoucher] = useState(false);
+  const hasVoucher = booking?.id && ['confirmed', 'completed'].includes(booking?.status);
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'confirmed': return 'text-success bg-success/10';
@@ -70,6 +74,21 @@ const ActiveBookingCard = ({ booking }) => {
         </div>
       )}
       <div className="flex space-x-2">
+        {hasVoucher && (
+          <Button
+            variant="default"
+            size="sm"
+            className="flex-1"
+            onClick={(e) => {
+              e.preventDefault();
+              e.stopPropagation();
+              setShowVoucher(true);
+            }}
+          >
+            <Icon name="QrCode" size={16} />
+            Voucher
+          </Button>
+        )}
         <Button 
           variant="outline" 
           size="sm" 
@@ -139,6 +158,7 @@ const ActiveBookingCard = ({ booking }) => {
           <Icon name="MessageSquare" size={16} />
         </Button>
       </div>
+      {showVoucher && <BookingVoucher bookingId={booking.id} onClose={() => setShowVoucher(false)} />}
     </div>
   );
 };
@@ -2,12 +2,14 @@ import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import Icon from '../../../components/AppIcon';
 import Button from '../../../components/ui/Button';
-import { API_URL } from '../../../utils/api';
+import BookingTimeline from '../../../components/BookingTimeline';
+import { bookingsAPI } from '../../../utils/api';
 
 const PreOrdersSection = ({ bookings, loading, onRefresh }) => {
   const navigate = useNavigate();
   const [expandedBooking, setExpandedBooking] = useState(null);
-  const [deletingBooking, setDeletingBooking] = useState(null);
+  const [cancellingBooking, setCancellingBooking] = useState(null);
+  const [historyBooking, setHistoryBooking] = useState(null);
 
   // Debug: Log bookings data
   React.useEffect(() => {
@@ -59,48 +61,50 @@ const PreOrdersSection = ({ bookings, loading, onRefresh }) => {
     setExpandedBooking(expandedBooking === bookingId ? null : bookingId);
   };
 
-  // Delete/Cancel pre-order PERMANENTLY
-  const handleDeletePreOrder = async (bookingId) => {
-    if (!confirm('⚠️ DELETE PERMANENTLY?\n\nThis will permanently remove this pre-order. This action cannot be undone.\n\nAre you sure?')) {
-      return;
+  const handleDownloadInvoice = async (bookingId) => {
+    const response = await bookingsAPI.downloadInvoice(bookingId);
+    if (!response.success) {
+      alert('❌ ' + (response.message || 'Could not download invoice'));
     }
+  };
 
+  // Cancel pre-order - shows the refund from the cancellation policy before confirming
+  const handleCancelPreOrder = async (bookingId) => {
+    setCancellingBooking(bookingId);
     try {
-      setDeletingBooking(bookingId);
-      const userData = JSON.parse(localStorage.getItem('isafari_user') || '{}');
-      const token = userData.token;
+      const quoteResponse = await bookingsAPI.getCancellationQuote(bookingId);
+      if (!quoteResponse.success) {
+        alert('❌ ' + (quoteResponse.message || 'Could not calculate your refund'));
+        return;
+      }
+
+      const { quote } = quoteResponse;
+      const refundLine = quote.paidAmount > 0
+        ? `Refund: TZS ${quote.refundAmount.toLocaleString()} of TZS ${quote.paidAmount.toLocaleString()} paid (${quote.refundPercent}% under the ${quote.policy.type} policy).`
+        : 'Nothing has been paid for this pre-order, so no refund is due.';
 
-      if (!token) {
-        alert('Please login to delete pre-orders');
+      if (!confirm(`Cancel this pre-order?\n\n${refundLine}\n\nThe booking will stay in your history as cancelled.`)) {
         return;
       }
 
-      const response = await fetch(`${API_URL}/bookings/${bookingId}`, {
-        method: 'DELETE',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      });
+      const reason = window.prompt('Reason for cancelling (optional):') || null;
+      const response = await bookingsAPI.cancel(bookingId, reason);
 
-      const data = await response.json();
-      
-      if (data.success) {
-        alert('✅ Pre-order deleted permanently!');
-        // Refresh the bookings list
+      if (response.success) {
+        alert('✅ ' + response.message);
         if (onRefresh) {
           onRefresh();
         } else {
           window.location.reload();
         }
       } else {
-        alert('❌ Failed to delete: ' + (data.message || 'Unknown error'));
+        alert('❌ Failed to cancel: ' + (response.message || 'Unknown error'));
       }
     } catch (error) {
-      console.error('Error deleting pre-order:', error);
-      alert('❌ Error deleting pre-order. Please try again.');
+      console.error('Error cancelling pre-order:', error);
+      alert('❌ Error cancelling pre-order. Please try again.');
     } finally {
-      setDeletingBooking(null);
+      setCancellingBooking(null);
     }
   };
 
@@ -290,21 +294,52 @@ const PreOrdersSection = ({ bookings, loading, onRefresh }) => {
                 </Button>
               )}
               
-              {/* Delete Pre-Order Button - Available for all statuses */}
-              <div className="mt-3 pt-3 border-t border-muted/50">
+              {/* Status timeline */}
+              <div className="mt-3">
                 <button
-                  onClick={() => handleDeletePreOrder(booking.id)}
-                  disabled={deletingBooking === booking.id}
-                  className="flex items-center gap-2 text-sm text-red-600 hover:text-red-700 hover:bg-red-50 px-3 py-2 rounded-lg transition-colors disabled:opacity-50"
+                  onClick={() => setHistoryBooking(historyBooking === booking.id ? null : booking.id)}
+                  className="text-sm text-primary hover:text-primary/80 font-medium flex items-center transition-colors"
                 >
-                  {deletingBooking === booking.id ? (
-                    <Icon name="Loader2" size={14} className="animate-spin" />
-                  ) : (
-                    <Icon name="Trash2" size={14} />
-                  )}
-                  <span>Delete Pre-Order</span>
+                  <Icon name="History" size={14} className="mr-1" />
+                  {historyBooking === booking.id ? 'Hide Status History' : 'View Status History'}
                 </button>
+                {historyBooking === booking.id && (
+                  <div className="mt-3">
+                    <BookingTimeline bookingId={booking.id} />
+                  </div>
+                )}
               </div>
+
+              {/* Invoice for paid bookings */}
+              {['paid', 'refunded'].includes(booking.payment_status) && (
+                <div className="mt-3">
+                  <button
+                    onClick={() => handleDownloadInvoice(booking.id)}
+                    className="text-sm text-primary hover:text-primary/80 font-medium flex items-center transition-colors"
+                  >
+                    <Icon name="Download" size={14} className="mr-1" />
+                    Download Invoice
+                  </button>
+                </div>
+              )}
+
+              {/* Cancel Pre-Order Button - while the booking is still active */}
+              {!['cancelled', 'completed'].includes(status) && (
+                <div className="mt-3 pt-3 border-t border-muted/50">
+                  <button
+                    onClick={() => handleCancelPreOrder(booking.id)}
+                    disabled={cancellingBooking === booking.id}
+                    className="flex items-center gap-2 text-sm text-red-600 hover:text-red-700 hover:bg-red-50 px-3 py-2 rounded-lg transition-colors disabled:opacity-50"
+                  >
+                    {cancellingBooking === booking.id ? (
+                      <Icon name="Loader2" size={14} className="animate-spin" />
+                    ) : (
+                      <Icon name="XCircle" size={14} />
+                    )}
+                    <span>Cancel Pre-Order</span>
+                  </button>
+                </div>
+              )}
             </div>
           </div>
         </div>
@@ -368,7 +403,7 @@ const PreOrdersSection = ({ bookings, loading, onRefresh }) => {
       iconBg: 'bg-yellow-100 dark:bg-yellow-900/30',
       iconColor: 'text-yellow-700 dark:text-yellow-300',
       ringColor: 'ring-yellow-200',
-      message: (booking) => `${booking.business_name || 'The service provider'} is currently reviewing your pre-order request. You'll receive a notification as soon as they respond. This usually takes 24-48 hours.`
+      message: (booking) => `${booking.business_name || 'The service provider'} is currently reviewing your pre-order request. You'll receive a notification as soon as they respond.${booking.response_due_at ? ` If there is no answer by ${new Date(booking.response_due_at).toLocaleString()}, the request is declined automatically and anything you paid is refunded.` : ' This usually takes 24-48 hours.'}`
     },
     confirmed: {
       badge: '✅ Approved',
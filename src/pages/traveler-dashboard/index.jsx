@@ -4,6 +4,8 @@ import { useAuth } from '../../contexts/AuthContext';
 import { useCart } from '../../contexts/CartContext';
 import { useFavorites } from '../../contexts/FavoritesContext';
 import { useTheme } from '../../contexts/ThemeContext';
+import { useCurrency } from '../../contexts/CurrencyContext';
+import { useRealtime, useRealtimeEvent } from '../../contexts/RealtimeContext';
 import Button from '../../components/ui/Button';
 import Icon from '../../components/AppIcon';
 import Header from '../../components/ui/Header';
@@ -11,7 +13,12 @@ import TripDetailsModal from '../../components/TripDetailsModal';
 import PastTripGallery from './components/PastTripGallery';
 import UpcomingTripCard from './components/UpcomingTripCard';
 import PreOrdersSection from './components/PreOrdersSection';
-import { API_URL } from '../../utils/api';
+import ActiveBookingCard from './components/ActiveBookingCard';
+import InvoiceList from '../../components/InvoiceList';
+import BookingChangeRequest from '../../components/BookingChangeRequest';
+import PaymentSchedule from '../../components/PaymentSchedule';
+import MessagesInbox from '../../components/MessagesInbox';
+import { API_URL, messagesAPI } from '../../utils/api';
 const TravelerDashboard = () => {
   const location = useLocation();
   const { theme, toggleTheme, isDark } = useTheme();
@@ -22,6 +29,10 @@ const TravelerDashboard = () => {
   const [cartItems, setCartItems] = useState([]);
   const [myBookings, setMyBookings] = useState([]);
   const [loadingBookings, setLoadingBookings] = useState(false);
+  const [changingBooking, setChangingBooking] = useState(null);
+  const [scheduleBookingId, setScheduleBookingId] = useState(null);
+  const [messageConversationId, setMessageConversationId] = useState(null);
+  const [unreadMessages, setUnreadMessages] = useState(0);
   const [currentTime, setCurrentTime] = useState(new Date());
   const [favoriteProviders, setFavoriteProviders] = useState([]);
   const [tripPlans, setTripPlans] = useState([]);
@@ -48,7 +59,9 @@ const TravelerDashboard = () => {
   const fileInputRef = useRef(null);
   
   const { user, logout, isLoading, updateProfile } = useAuth();
-  const { cartItems: contextCartItems, removeFromCart, getCartTotal, clearCart, addToCart, loadCartFromDatabase } = useCart();
+  const { connected } = useRealtime();
+  const { cartItems: contextCartItems, removeFromCart, clearCart, addToCart, loadCartFromDatabase } = useCart();
+  const { currency, convert, formatPrice } = useCurrency();
   const { favorites: contextFavorites } = useFavorites();
   const navigate = useNavigate();
 
@@ -136,10 +149,14 @@ const TravelerDashboard = () => {
     const searchParams = new URLSearchParams(location.search);
     const tabParam = searchParams.get('tab');
     const openPaymentParam = searchParams.get('openPayment');
+    const conversationParam = parseInt(searchParams.get('conversation'));
     
     if (tabParam) {
       setActiveTab(tabParam);
     }
+    if (conversationParam) {
+      setMessageConversationId(conversationParam);
+    }
     
     // If openPayment=true, show payment info after a short delay
     if (openPaymentParam === 'true' && tabParam === 'cart') {
@@ -310,6 +327,12 @@ const TravelerDashboard = () => {
     setCartItems(contextCartItems);
   }, [contextCartItems]);
 
+  // Cart total in the traveler's currency; items without a rate are counted as priced
+  const getCartDisplayTotal = () => cartItems.reduce((total, item) => {
+    const amount = (item.price || 0) * (item.quantity || 1);
+    return total + (convert(amount, item.currency) ?? amount);
+  }, 0);
+
   // Load cart from database when dashboard loads
   useEffect(() => {
     if (user?.id && loadCartFromDatabase) {
@@ -484,6 +507,41 @@ const TravelerDashboard = () => {
     avatar_url: null
   };
 
+  // Unread message badge: refreshed as messages arrive and are read, polled only while the
+  // real-time stream is down
+  const fetchUnreadMessages = async () => {
+    const response = await messagesAPI.getUnreadCount();
+    if (response.success) setUnreadMessages(response.unreadCount);
+  };
+
+  useEffect(() => {
+    fetchUnreadMessages();
+    if (connected) return undefined;
+    const timer = setInterval(fetchUnreadMessages, 60000);
+    return () => clearInterval(timer);
+  }, [connected]);
+
+  useRealtimeEvent('message', fetchUnreadMessages);
+  useRealtimeEvent('messages_read', fetchUnreadMessages);
+
+  // Pre-orders the provider confirms or declines move on without a reload
+  useRealtimeEvent('booking_status', () => fetchMyBookings());
+  useRealtimeEvent('resync', () => {
+    fetchUnreadMessages();
+    fetchMyBookings();
+  });
+
+  // Open the thread with the provider of a booking in the Messages tab
+  const messageProvider = async (booking) => {
+    const response = await messagesAPI.startConversation({ bookingId: booking.id });
+    if (response.success) {
+      setMessageConversationId(response.conversation.id);
+      setActiveTab('messages');
+    } else {
+      alert(response.message || 'Could not open the conversation');
+    }
+  };
+
   const fetchMyBookings = async () => {
     try {
       setLoadingBookings(true);
@@ -605,6 +663,7 @@ const TravelerDashboard = () => {
     { id: 'trips', name: 'Your Trip', icon: 'MapPin' },
     { id: 'favorites', name: 'Favorites', icon: 'Heart' },
     { id: 'cart', name: 'Cart & Payment', icon: 'ShoppingCart' },
+    { id: 'messages', name: 'Messages', icon: 'MessageCircle', badge: unreadMessages },
     { id: 'preferences', name: 'My Profile', icon: 'User' },
     { id: 'support', name: 'Support', icon: 'HelpCircle' }
   ];
@@ -699,6 +758,28 @@ const TravelerDashboard = () => {
                 ))}
               </div>
             </div>
+            {/* Confirmed bookings, with the voucher to show on arrival */}
+            {myBookings.some(b => b.status === 'confirmed') && (
+              <div>
+                <h3 className="font-display text-xl font-medium mb-6">Ready to Go</h3>
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+                  {myBookings.filter(b => b.status === 'confirmed').map(booking => (
+                    <ActiveBookingCard
+                      key={booking.id}
+                      booking={{
+                        id: booking.id,
+                        title: booking.service_title || 'Service',
+                        subtitle: booking.business_name || 'Provider',
+                        status: booking.status,
+                        datetime: `${new Date(booking.booking_date).toLocaleDateString()}${booking.start_time ? ` ${booking.start_time.slice(0, 5)}` : ''}`,
+                        location: booking.service_location || booking.provider_location,
+                        bookingId: `#${booking.id}`
+                      }}
+                    />
+                  ))}
+                </div>
+              </div>
+            )}
             {/* All Service Bookings */}
             <div>
               <h3 className="font-display text-xl font-medium mb-6">My Service Bookings</h3>
@@ -741,8 +822,42 @@ const TravelerDashboard = () => {
                         </p>
                         <p className="font-semibold text-primary">
                           TZS {(booking.total_price || booking.totalAmount || 0).toLocaleString()}
+                          {booking.payment_status === 'partially_paid' && (
+                            <span className="ml-2 text-xs font-normal text-yellow-700">Deposit paid</span>
+                          )}
                         </p>
                       </div>
+                      {booking.payment_plan && (
+                        <Button
+                          variant={booking.payment_status === 'paid' ? 'outline' : 'default'}
+                          size="sm"
+                          className="w-full mt-3"
+                          onClick={() => setScheduleBookingId(booking.id)}
+                        >
+                          <Icon name="Wallet" size={16} />
+                          {booking.payment_status === 'paid' ? 'Payment Schedule' : 'Pay Instalment'}
+                        </Button>
+                      )}
+                      {['pending', 'confirmed'].includes(booking.status) && (
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          className="w-full mt-3"
+                          onClick={() => setChangingBooking(booking)}
+                        >
+                          <Icon name="CalendarClock" size={16} />
+                          Request Change
+                        </Button>
+                      )}
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        className="w-full mt-2"
+                        onClick={() => messageProvider(booking)}
+                      >
+                        <Icon name="MessageCircle" size={16} />
+                        Message Provider
+                      </Button>
                     </div>
                   ))
                 ) : (
@@ -761,6 +876,20 @@ const TravelerDashboard = () => {
                 )}
               </div>
             </div>
+            {scheduleBookingId && (
+              <PaymentSchedule
+                bookingId={scheduleBookingId}
+                onClose={() => setScheduleBookingId(null)}
+                onPaid={fetchMyBookings}
+              />
+            )}
+            {changingBooking && (
+              <BookingChangeRequest
+                booking={changingBooking}
+                onClose={() => setChangingBooking(null)}
+                onChanged={fetchMyBookings}
+              />
+            )}
           </div>
         );
 
@@ -1233,6 +1362,9 @@ const TravelerDashboard = () => {
 
             {/* Pre-Orders Section */}
             <PreOrdersSection bookings={myBookings} loading={loadingBookings} onRefresh={fetchMyBookings} />
+
+            {/* Invoices for paid bookings */}
+            <InvoiceList title="My Invoices" />
             
             {/* Cart Items */}
             <div className="bg-card rounded-lg border border-border p-6">
@@ -1319,8 +1451,8 @@ const TravelerDashboard = () => {
                               )}
                             </div>
                             <div className="text-right ml-4">
-                              <p className="text-lg font-bold text-primary">TZS {(item.price * item.quantity).toLocaleString()}</p>
-                              <p className="text-xs text-muted-foreground">TZS {item.price?.toLocaleString()} × {item.quantity}</p>
+                              <p className="text-lg font-bold text-primary">{formatPrice(item.price * item.quantity, item.currency)}</p>
+                              <p className="text-xs text-muted-foreground">{formatPrice(item.price, item.currency)} × {item.quantity}</p>
                             </div>
                           </div>
                           {item.description && (
@@ -1412,7 +1544,7 @@ const TravelerDashboard = () => {
                       <div className="flex justify-between items-center">
                         <span className="text-lg font-semibold">Total Amount:</span>
                         <span className="text-2xl font-bold text-primary">
-                          TZS {getCartTotal().toLocaleString()}
+                          {formatPrice(getCartDisplayTotal(), currency)}
                         </span>
                       </div>
                       <p className="text-xs text-muted-foreground mt-2">
@@ -1636,6 +1768,9 @@ const TravelerDashboard = () => {
           </>
         );
 
+      case 'messages':
+        return <MessagesInbox initialConversationId={messageConversationId} onUnreadChange={setUnreadMessages} />;
+
       case 'support':
         return (
           <div className="space-y-8">
@@ -1848,6 +1983,9 @@ const TravelerDashboard = () => {
                 >
                   <Icon name={tab.icon} size={16} />
                   <span className="whitespace-nowrap">{tab.name}</span>
+                  {tab.badge > 0 && (
+                    <span className="min-w-[18px] h-[18px] px-1 bg-red-500 text-white text-xs rounded-full flex items-center justify-center">{tab.badge}</span>
+                  )}
                 </button>
               ))}
             </nav>
@@ -1899,6 +2037,9 @@ const TravelerDashboard = () => {
                   >
                     <Icon name={tab.icon} size={18} />
                     <span>{tab.name}</span>
+                    {tab.badge > 0 && (
+                      <span className="min-w-[18px] h-[18px] px-1 bg-red-500 text-white text-xs rounded-full flex items-center justify-center">{tab.badge}</span>
+                    )}
                   </button>
                 ))}
                 
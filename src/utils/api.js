@@ -136,6 +136,38 @@ const apiRequest = async (endpoint, options = {}) => {
   }
 };
 
+// Download a file such as an invoice PDF; errors come back as JSON like apiRequest
+const downloadFile = async (endpoint, fallbackName) => {
+  const token = getAuthToken();
+
+  try {
+    const response = await fetch(`${API_URL}${endpoint}`, {
+      headers: { ...(token && { Authorization: `Bearer ${token}` }) },
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      return { success: false, message: data.message || 'Download failed', status: response.status };
+    }
+
+    const disposition = response.headers.get('content-disposition') || '';
+    const filename = disposition.match(/filename="([^"]+)"/)?.[1] || fallbackName;
+    const url = window.URL.createObjectURL(await response.blob());
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    window.URL.revokeObjectURL(url);
+
+    return { success: true, filename };
+  } catch (error) {
+    console.error('Download Error:', error);
+    return { success: false, message: 'Download failed. Please check your connection and try again.' };
+  }
+};
+
 // Auth API functions
 export const authAPI = {
   register: async (userData) => {
@@ -171,6 +203,31 @@ export const authAPI = {
   verifyToken: async () => {
     return apiRequest('/auth/verify');
   },
+
+  forgotPassword: async (email) => {
+    return apiRequest('/auth/forgot-password', {
+      method: 'POST',
+      body: JSON.stringify({ email }),
+    });
+  },
+
+  resetPassword: async (token, password) => {
+    return apiRequest('/auth/reset-password', {
+      method: 'POST',
+      body: JSON.stringify({ token, password }),
+    });
+  },
+
+  verifyEmail: async (token) => {
+    return apiRequest('/auth/verify-email', {
+      method: 'POST',
+      body: JSON.stringify({ token }),
+    });
+  },
+
+  resendVerification: async () => {
+    return apiRequest('/auth/resend-verification', { method: 'POST' });
+  },
 };
 
 // User API functions
@@ -196,6 +253,17 @@ export const userAPI = {
   getDashboardStats: async () => {
     return apiRequest('/users/dashboard-stats');
   },
+
+  getTextMessageSettings: async () => {
+    return apiRequest('/users/text-messages');
+  },
+
+  updateTextMessageSettings: async (settings) => {
+    return apiRequest('/users/text-messages', {
+      method: 'PUT',
+      body: JSON.stringify(settings),
+    });
+  },
 };
 
 // Services API functions
@@ -232,6 +300,22 @@ export const servicesAPI = {
       method: 'DELETE',
     });
   },
+
+  getAvailability: async (id, from, to) => {
+    const queryParams = new URLSearchParams({ ...(from && { from }), ...(to && { to }) }).toString();
+    return apiRequest(`/services/${id}/availability${queryParams ? `?${queryParams}` : ''}`);
+  },
+
+  updateAvailability: async (id, slots, blackouts) => {
+    return apiRequest(`/services/${id}/availability`, {
+      method: 'PUT',
+      body: JSON.stringify({ slots, blackouts }),
+    });
+  },
+
+  downloadPromotionReceipt: async (id, promotionId) => {
+    return downloadFile(`/services/${id}/promotions/${promotionId}/receipt`, `receipt-${promotionId}.pdf`);
+  },
 };
 
 // Bookings API functions
@@ -252,10 +336,95 @@ export const bookingsAPI = {
     });
   },
 
-  updateStatus: async (id, status) => {
+  updateStatus: async (id, status, reason) => {
     return apiRequest(`/bookings/${id}/status`, {
       method: 'PUT',
-      body: JSON.stringify({ status }),
+      body: JSON.stringify({ status, reason }),
+    });
+  },
+
+  getHistory: async (id) => {
+    return apiRequest(`/bookings/${id}/history`);
+  },
+
+  // Deposit and instalment schedule of a booking on a payment plan
+  getInstalments: async (id) => {
+    return apiRequest(`/bookings/${id}/instalments`);
+  },
+
+  getCancellationQuote: async (id) => {
+    return apiRequest(`/bookings/${id}/cancellation-quote`);
+  },
+
+  downloadInvoice: async (id) => {
+    return downloadFile(`/bookings/${id}/invoice`, `invoice-${id}.pdf`);
+  },
+
+  // Voucher with its QR code for a confirmed booking
+  getVoucher: async (id) => {
+    return apiRequest(`/bookings/${id}/voucher`);
+  },
+
+  downloadVoucher: async (id) => {
+    return downloadFile(`/bookings/${id}/voucher/pdf`, `voucher-${id}.pdf`);
+  },
+
+  // Provider checks a traveler in with a scanned or typed voucher code
+  checkIn: async (code) => {
+    return apiRequest('/bookings/check-in', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  },
+
+  // Change requests for a booking, each with the values it replaced
+  getModifications: async (id) => {
+    return apiRequest(`/bookings/${id}/modifications`);
+  },
+
+  // Price a new date, time or party size before sending the request
+  quoteModification: async (id, changes) => {
+    return apiRequest(`/bookings/${id}/modifications/quote`, {
+      method: 'POST',
+      body: JSON.stringify(changes),
+    });
+  },
+
+  requestModification: async (id, changes) => {
+    return apiRequest(`/bookings/${id}/modifications`, {
+      method: 'POST',
+      body: JSON.stringify(changes),
+    });
+  },
+
+  withdrawModification: async (id, modificationId) => {
+    return apiRequest(`/bookings/${id}/modifications/${modificationId}`, {
+      method: 'DELETE',
+    });
+  },
+
+  // Provider's change requests waiting for a decision
+  getModificationRequests: async () => {
+    return apiRequest('/bookings/provider/modification-requests');
+  },
+
+  approveModification: async (id, modificationId) => {
+    return apiRequest(`/bookings/${id}/modifications/${modificationId}/approve`, {
+      method: 'POST',
+    });
+  },
+
+  declineModification: async (id, modificationId, reason) => {
+    return apiRequest(`/bookings/${id}/modifications/${modificationId}/decline`, {
+      method: 'POST',
+      body: JSON.stringify({ reason }),
+    });
+  },
+
+  cancel: async (id, reason) => {
+    return apiRequest(`/bookings/${id}/cancel`, {
+      method: 'POST',
+      body: JSON.stringify({ reason }),
     });
   },
 
@@ -267,11 +436,60 @@ export const bookingsAPI = {
   },
 
   addReview: async (id, rating, comment) => {
-    return apiRequest(`/bookings/${id}/review`, {
+    return reviewsAPI.create(id, rating, comment);
+  },
+};
+
+// Reviews API functions
+export const reviewsAPI = {
+  getForService: async (serviceId, params = {}) => {
+    const queryParams = new URLSearchParams({ serviceId, ...params }).toString();
+    return apiRequest(`/reviews?${queryParams}`);
+  },
+
+  getForProvider: async (providerId, params = {}) => {
+    const queryParams = new URLSearchParams({ providerId, ...params }).toString();
+    return apiRequest(`/reviews?${queryParams}`);
+  },
+
+  getMyProviderReviews: async (params = {}) => {
+    const queryParams = new URLSearchParams(params).toString();
+    return apiRequest(`/reviews/provider/my-reviews${queryParams ? `?${queryParams}` : ''}`);
+  },
+
+  create: async (bookingId, rating, comment) => {
+    return apiRequest('/reviews', {
       method: 'POST',
+      body: JSON.stringify({ bookingId, rating, comment }),
+    });
+  },
+
+  update: async (id, rating, comment) => {
+    return apiRequest(`/reviews/${id}`, {
+      method: 'PUT',
       body: JSON.stringify({ rating, comment }),
     });
   },
+
+  delete: async (id) => {
+    return apiRequest(`/reviews/${id}`, {
+      method: 'DELETE',
+    });
+  },
+
+  reply: async (id, reply) => {
+    return apiRequest(`/reviews/${id}/reply`, {
+      method: 'POST',
+      body: JSON.stringify({ reply }),
+    });
+  },
+
+  flag: async (id, reason) => {
+    return apiRequest(`/reviews/${id}/flag`, {
+      method: 'POST',
+      body: JSON.stringify({ reason }),
+    });
+  },
 };
 
 // Cart API functions
@@ -320,6 +538,15 @@ export const cartAPI = {
     console.log('📥 [API] DELETE /cart response:', result);
     return result;
   },
+
+  // Book every cart item and start one payment for the lot
+  // items: [{ cartItemId, bookingDate, participants, expectedPrice }]
+  checkout: async (items, gateway, phoneNumber, currency, promoCode) => {
+    return apiRequest('/cart/checkout', {
+      method: 'POST',
+      body: JSON.stringify({ items, gateway, phoneNumber, currency, promoCode }),
+    });
+  },
 };
 
 // Plans API functions
@@ -389,6 +616,10 @@ export const paymentsAPI = {
     return apiRequest('/payments');
   },
 
+  getInvoices: async () => {
+    return apiRequest('/payments/invoices');
+  },
+
   purchasePremiumMembership: async (duration, paymentMethod) => {
     return apiRequest('/payments/premium-membership', {
       method: 'POST',
@@ -406,6 +637,192 @@ export const paymentsAPI = {
   getPricing: async () => {
     return apiRequest('/payments/pricing');
   },
+
+  // Start paying a booking with mpesa, stripe or sandbox: its next instalment when it is on a
+  // payment plan, otherwise (or with payInFull) the whole unpaid balance
+  payBooking: async (bookingId, gateway, phoneNumber, payInFull = false) => {
+    return apiRequest('/payments', {
+      method: 'POST',
+      body: JSON.stringify({ paymentType: 'booking_payment', bookingId, gateway, phoneNumber, payInFull }),
+    });
+  },
+
+  // Pay a checkout order again after its payment failed or timed out
+  payOrder: async (orderId, gateway, phoneNumber) => {
+    return apiRequest('/payments', {
+      method: 'POST',
+      body: JSON.stringify({ paymentType: 'booking_payment', orderId, gateway, phoneNumber }),
+    });
+  },
+
+  getById: async (id) => {
+    return apiRequest(`/payments/${id}`);
+  },
+
+  getProviderEarnings: async () => {
+    return apiRequest('/payments/provider/earnings');
+  },
+
+  getProviderStatement: async (from, to) => {
+    const queryParams = new URLSearchParams({ ...(from && { from }), ...(to && { to }) }).toString();
+    return apiRequest(`/payments/provider/statement${queryParams ? `?${queryParams}` : ''}`);
+  },
+};
+
+// Currencies API functions
+export const currenciesAPI = {
+  getRates: async () => {
+    return apiRequest('/currencies');
+  },
+};
+
+// Promo codes API functions
+export const promoCodesAPI = {
+  // Preview a code's discount without using it; items: [{ serviceId, participants }]
+  validate: async (code, items) => {
+    return apiRequest('/promo-codes/validate', {
+      method: 'POST',
+      body: JSON.stringify({ code, items }),
+    });
+  },
+
+  // The logged-in provider's codes with their redemption figures
+  getMine: async () => {
+    return apiRequest('/promo-codes/mine');
+  },
+
+  create: async (promoCode) => {
+    return apiRequest('/promo-codes', {
+      method: 'POST',
+      body: JSON.stringify(promoCode),
+    });
+  },
+
+  update: async (promoCodeId, promoCode) => {
+    return apiRequest(`/promo-codes/${promoCodeId}`, {
+      method: 'PUT',
+      body: JSON.stringify(promoCode),
+    });
+  },
+
+  deactivate: async (promoCodeId) => {
+    return apiRequest(`/promo-codes/${promoCodeId}`, {
+      method: 'DELETE',
+    });
+  },
+};
+
+// Waitlist API functions
+export const waitlistAPI = {
+  getMine: async () => {
+    return apiRequest('/waitlist/mine');
+  },
+
+  // Queue for a fully booked date; entry: { serviceId, bookingDate, startTime?, participants }
+  join: async (entry) => {
+    return apiRequest('/waitlist', {
+      method: 'POST',
+      body: JSON.stringify(entry),
+    });
+  },
+
+  leave: async (entryId) => {
+    return apiRequest(`/waitlist/${entryId}`, {
+      method: 'DELETE',
+    });
+  },
+};
+
+// Send multipart form data such as file uploads; the browser sets the content type and boundary
+const uploadRequest = async (endpoint, formData) => {
+  const token = getAuthToken();
+
+  try {
+    const response = await fetch(`${API_URL}${endpoint}`, {
+      method: 'POST',
+      headers: { ...(token && { Authorization: `Bearer ${token}` }) },
+      body: formData,
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      return { success: false, message: data.message || 'Upload failed', status: response.status };
+    }
+    return data;
+  } catch (error) {
+    console.error('Upload Error:', error);
+    return { success: false, message: 'Upload failed. Please check your connection and try again.' };
+  }
+};
+
+// Load a file that needs the auth token, such as an attachment thumbnail, into a URL an <img> can use.
+// Call URL.revokeObjectURL on it when it is no longer shown.
+const fetchFileUrl = async (endpoint) => {
+  const token = getAuthToken();
+
+  try {
+    const response = await fetch(`${API_URL}${endpoint}`, {
+      headers: { ...(token && { Authorization: `Bearer ${token}` }) },
+    });
+    if (!response.ok) {
+      return { success: false, status: response.status };
+    }
+    return { success: true, url: window.URL.createObjectURL(await response.blob()) };
+  } catch (error) {
+    console.error('File Error:', error);
+    return { success: false };
+  }
+};
+
+// Traveler-provider messages
+export const messagesAPI = {
+  getConversations: async () => {
+    return apiRequest('/messages');
+  },
+
+  getUnreadCount: async () => {
+    return apiRequest('/messages/unread-count');
+  },
+
+  // Open (or reopen) the thread about a booking, service or provider: { bookingId | serviceId | providerId, body? }
+  startConversation: async (subject) => {
+    return apiRequest('/messages', {
+      method: 'POST',
+      body: JSON.stringify(subject),
+    });
+  },
+
+  getMessages: async (conversationId, before = null) => {
+    return apiRequest(`/messages/${conversationId}/messages${before ? `?before=${before}` : ''}`);
+  },
+
+  // Text and up to five image or PDF files; with files the text may be empty
+  sendMessage: async (conversationId, body, files = []) => {
+    if (files.length > 0) {
+      const formData = new FormData();
+      formData.append('body', body || '');
+      files.forEach(file => formData.append('attachments', file));
+      return uploadRequest(`/messages/${conversationId}/messages`, formData);
+    }
+    return apiRequest(`/messages/${conversationId}/messages`, {
+      method: 'POST',
+      body: JSON.stringify({ body }),
+    });
+  },
+
+  getAttachmentThumbnail: async (conversationId, attachmentId) => {
+    return fetchFileUrl(`/messages/${conversationId}/attachments/${attachmentId}?thumbnail=true`);
+  },
+
+  downloadAttachment: async (conversationId, attachment) => {
+    return downloadFile(`/messages/${conversationId}/attachments/${attachment.id}`, attachment.fileName);
+  },
+
+  markRead: async (conversationId) => {
+    return apiRequest(`/messages/${conversationId}/read`, {
+      method: 'POST',
+    });
+  },
 };
 
 // Notifications API functions
@@ -426,6 +843,17 @@ export const notificationsAPI = {
       method: 'PUT',
     });
   },
+
+  getPreferences: async () => {
+    return apiRequest('/notifications/preferences');
+  },
+
+  updatePreferences: async (changes) => {
+    return apiRequest('/notifications/preferences', {
+      method: 'PUT',
+      body: JSON.stringify(changes),
+    });
+  },
 };
 
 // Admin API functions
@@ -489,6 +917,168 @@ export const adminAPI = {
     return apiRequest(`/admin/reports/revenue?start=${startDate}&end=${endDate}`);
   },
 
+  // Review moderation
+  getReviewModerationQueue: async (status = 'flagged', page = 1) => {
+    return apiRequest(`/admin/reviews/moderation?status=${status}&page=${page}`);
+  },
+
+  hideReview: async (reviewId, reason) => {
+    return apiRequest(`/admin/reviews/${reviewId}/hide`, {
+      method: 'POST',
+      body: JSON.stringify({ reason }),
+    });
+  },
+
+  restoreReview: async (reviewId, reason) => {
+    return apiRequest(`/admin/reviews/${reviewId}/restore`, {
+      method: 'POST',
+      body: JSON.stringify({ reason }),
+    });
+  },
+
+  deleteReview: async (reviewId, reason) => {
+    return apiRequest(`/admin/reviews/${reviewId}`, {
+      method: 'DELETE',
+      body: JSON.stringify({ reason }),
+    });
+  },
+
+  // Payments and provider payouts
+  getPaymentStats: async () => {
+    return apiRequest('/admin/payments/stats');
+  },
+
+  getTransactions: async (page = 1) => {
+    return apiRequest(`/admin/transactions?page=${page}`);
+  },
+
+  // Gross, commission and provider earnings per settlement currency
+  getRevenue: async (period = 'month') => {
+    return apiRequest(`/admin/revenue?period=${period}`);
+  },
+
+  getPayouts: async (page = 1) => {
+    return apiRequest(`/admin/payouts?page=${page}`);
+  },
+
+  getPayoutBatches: async () => {
+    return apiRequest('/admin/payouts/batches');
+  },
+
+  createPayoutBatch: async (minimumAmount, notes) => {
+    return apiRequest('/admin/payouts/batches', {
+      method: 'POST',
+      body: JSON.stringify({ minimumAmount, notes }),
+    });
+  },
+
+  processPayout: async (payoutId, status, reference, reason) => {
+    return apiRequest(`/admin/payouts/${payoutId}/process`, {
+      method: 'POST',
+      body: JSON.stringify({ status, reference, reason }),
+    });
+  },
+
+  getProviderStatement: async (providerId, from, to) => {
+    const queryParams = new URLSearchParams({ ...(from && { from }), ...(to && { to }) }).toString();
+    return apiRequest(`/admin/payouts/providers/${providerId}/statement${queryParams ? `?${queryParams}` : ''}`);
+  },
+
+  // Commission rules
+  getCommissionRules: async () => {
+    return apiRequest('/admin/commission-rules');
+  },
+
+  createCommissionRule: async (rule) => {
+    return apiRequest('/admin/commission-rules', {
+      method: 'POST',
+      body: JSON.stringify(rule),
+    });
+  },
+
+  updateCommissionRule: async (ruleId, rule) => {
+    return apiRequest(`/admin/commission-rules/${ruleId}`, {
+      method: 'PUT',
+      body: JSON.stringify(rule),
+    });
+  },
+
+  deactivateCommissionRule: async (ruleId) => {
+    return apiRequest(`/admin/commission-rules/${ruleId}`, {
+      method: 'DELETE',
+    });
+  },
+
+  // Exchange rates
+  getExchangeRates: async () => {
+    return apiRequest('/admin/exchange-rates');
+  },
+
+  updateExchangeRate: async (currency, rate) => {
+    return apiRequest(`/admin/exchange-rates/${currency}`, {
+      method: 'PUT',
+      body: JSON.stringify({ rate }),
+    });
+  },
+
+  importExchangeRates: async (content) => {
+    return apiRequest('/admin/exchange-rates/import', {
+      method: 'POST',
+      body: JSON.stringify({ content }),
+    });
+  },
+
+  deleteExchangeRate: async (currency) => {
+    return apiRequest(`/admin/exchange-rates/${currency}`, {
+      method: 'DELETE',
+    });
+  },
+
+  // Pre-order expiry and background jobs
+  getPreOrderExpirySettings: async () => {
+    return apiRequest('/admin/settings/pre-order-expiry');
+  },
+
+  updatePreOrderExpirySettings: async (settings) => {
+    return apiRequest('/admin/settings/pre-order-expiry', {
+      method: 'PUT',
+      body: JSON.stringify(settings),
+    });
+  },
+
+  getBackgroundJobs: async () => {
+    return apiRequest('/admin/jobs');
+  },
+
+  // Promo codes
+  getPromoCodes: async () => {
+    return apiRequest('/admin/promo-codes');
+  },
+
+  getPromoRedemptions: async (promoCodeId) => {
+    return apiRequest(`/admin/promo-codes/${promoCodeId}/redemptions`);
+  },
+
+  createPromoCode: async (promoCode) => {
+    return apiRequest('/admin/promo-codes', {
+      method: 'POST',
+      body: JSON.stringify(promoCode),
+    });
+  },
+
+  updatePromoCode: async (promoCodeId, promoCode) => {
+    return apiRequest(`/admin/promo-codes/${promoCodeId}`, {
+      method: 'PUT',
+      body: JSON.stringify(promoCode),
+    });
+  },
+
+  deactivatePromoCode: async (promoCodeId) => {
+    return apiRequest(`/admin/promo-codes/${promoCodeId}`, {
+      method: 'DELETE',
+    });
+  },
+
   // Support tickets
   getSupportTickets: async (filters = {}) => {
     const queryParams = new URLSearchParams(filters).toString();
@@ -511,10 +1101,15 @@ export default {
   userAPI,
   servicesAPI,
   bookingsAPI,
+  reviewsAPI,
   cartAPI,
   plansAPI,
   favoritesAPI,
   paymentsAPI,
   notificationsAPI,
+  currenciesAPI,
+  promoCodesAPI,
+  waitlistAPI,
+  messagesAPI,
   adminAPI,
 };
@@ -0,0 +1,123 @@
+/**
+ * Tests that admin routes which move or report money, change prices, touch the moderation record or show background jobs need a real admin
+ * Feature: admin-auth
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const passport = require('passport');
+
+const USERS = {
+  1: { id: 1, email: 'admin@example.com', user_type: 'admin', session_version: 0 },
+  10: { id: 10, email: 'amani@example.com', user_type: 'traveler', session_version: 0 }
+};
+
+// Only the JWT strategy's user lookup reaches the database before the admin check
+jest.mock('../config/postgresql', () => ({
+  pool: {
+    query: jest.fn(async (sql, params) => {
+      if (sql.includes('FROM users WHERE id = $1')) return { rows: USERS[params[0]] ? [{ ...USERS[params[0]] }] : [] };
+      throw new Error(`Unexpected query: ${sql}`);
+    }),
+    connect: jest.fn(async () => { throw new Error('No database in this test'); })
+  }
+}));
+
+require('../config/passport');
+const adminRoutes = require('../routes/admin-fixed');
+
+// [method, path] of every route that needs a real admin
+const PROTECTED_ROUTES = [
+  ['post', '/api/admin/bookings/1/cancel'],
+  ['get', '/api/admin/payouts'],
+  ['get', '/api/admin/payouts/pending'],
+  ['get', '/api/admin/payouts/batches'],
+  ['post', '/api/admin/payouts/batches'],
+  ['post', '/api/admin/payouts/1/process'],
+  ['get', '/api/admin/payouts/providers/1/statement'],
+  ['get', '/api/admin/commission-rules'],
+  ['post', '/api/admin/commission-rules'],
+  ['put', '/api/admin/commission-rules/1'],
+  ['delete', '/api/admin/commission-rules/1'],
+  ['get', '/api/admin/revenue'],
+  ['get', '/api/admin/exchange-rates'],
+  ['put', '/api/admin/exchange-rates/USD'],
+  ['post', '/api/admin/exchange-rates/import'],
+  ['delete', '/api/admin/exchange-rates/USD'],
+  ['get', '/api/admin/promo-codes'],
+  ['get', '/api/admin/promo-codes/1/redemptions'],
+  ['post', '/api/admin/promo-codes'],
+  ['put', '/api/admin/promo-codes/1'],
+  ['delete', '/api/admin/promo-codes/1'],
+  ['post', '/api/admin/stories/1/approve'],
+  ['post', '/api/admin/stories/1/reject'],
+  ['delete', '/api/admin/stories/1'],
+  ['get', '/api/admin/reviews/moderation'],
+  ['post', '/api/admin/reviews/1/hide'],
+  ['post', '/api/admin/reviews/1/restore'],
+  ['delete', '/api/admin/reviews/1'],
+  ['get', '/api/admin/settings/pre-order-expiry'],
+  ['put', '/api/admin/settings/pre-order-expiry'],
+  ['get', '/api/admin/jobs']
+];
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use(passport.initialize());
+  app.use('/api/admin', adminRoutes);
+  server = await new Promise(resolve => { const s = app.listen(0, () => resolve(s)); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+const send = (method, path, token) => fetch(`${baseUrl}${path}`, {
+  method: method.toUpperCase(),
+  headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+  body: method === 'get' ? undefined : JSON.stringify({ reason: 'Test' })
+});
+
+const tokenFor = (userId, secret = process.env.JWT_SECRET) => jwt.sign({ id: userId, sessionVersion: 0 }, secret);
+
+describe('Admin authentication', () => {
+  let consoleWarn;
+  let consoleLog;
+  beforeEach(() => {
+    consoleWarn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    consoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  afterEach(() => {
+    consoleWarn.mockRestore();
+    consoleLog.mockRestore();
+  });
+
+  test.each(PROTECTED_ROUTES)('%s %s refuses requests without a valid token', async (method, path) => {
+    expect((await send(method, path)).status).toBe(401);
+    expect((await send(method, path, 'not-a-token')).status).toBe(401);
+    expect((await send(method, path, tokenFor(1, 'some-other-secret'))).status).toBe(401);
+  });
+
+  test.each(PROTECTED_ROUTES)('%s %s refuses signed-in users who are not admins', async (method, path) => {
+    const response = await send(method, path, tokenFor(10));
+    expect(response.status).toBe(403);
+    expect(await response.json()).toMatchObject({ success: false, code: 'ADMIN_REQUIRED' });
+  });
+
+  test('an admin gets through to the moderation handler', async () => {
+    const response = await fetch(`${baseUrl}/api/admin/reviews/1/hide`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${tokenFor(1)}` },
+      body: JSON.stringify({ reason: ' ' })
+    });
+    expect(response.status).toBe(400);
+    expect(await response.json()).toMatchObject({ message: 'A moderation reason is required' });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Property-Based Tests for message attachments
+ * Feature: message-attachments
+ */
+
+const fc = require('fast-check');
+const os = require('os');
+const path = require('path');
+const fs = require('fs/promises');
+const sharp = require('sharp');
+const {
+  MAX_ATTACHMENTS_PER_MESSAGE,
+  maxAttachmentBytes,
+  safeFileName,
+  validateAttachment,
+  setVirusScanner,
+  storeAttachments
+} = require('../utils/attachments');
+const { createLocalStorage } = require('../utils/storage');
+
+const MIN_ITERATIONS = 100;
+
+const PDF = Buffer.from('%PDF-1.4\n%itinerary\n');
+
+const upload = (buffer, originalname) => ({ buffer, size: buffer.length, originalname });
+
+// Storage that keeps files in a map
+const memoryStorage = () => {
+  const files = new Map();
+  return {
+    files,
+    save: async (key, buffer) => { files.set(key, buffer); },
+    read: async (key) => files.get(key),
+    remove: async (key) => { files.delete(key); }
+  };
+};
+
+describe('Message attachments', () => {
+  let photo;
+  beforeAll(async () => {
+    photo = await sharp({ create: { width: 800, height: 600, channels: 3, background: '#c8a165' } }).png().toBuffer();
+  });
+
+  afterEach(() => {
+    setVirusScanner(async () => ({ clean: true }));
+  });
+
+  test('files are accepted by their content, whatever they are called', () => {
+    fc.assert(
+      fc.property(fc.string(), fc.uint8Array({ minLength: 1, maxLength: 64 }), (name, bytes) => {
+        expect(validateAttachment(upload(PDF, name)).fileType.contentType).toBe('application/pdf');
+
+        // Random bytes only pass when they happen to start like an accepted type
+        const result = validateAttachment(upload(Buffer.from(bytes), `${name}.pdf`));
+        if (result.error) {
+          expect(result.fileType).toBeUndefined();
+        } else {
+          expect(['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf']).toContain(result.fileType.contentType);
+        }
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+
+    expect(validateAttachment(upload(Buffer.from('MZ\x90\x00'), 'passport.jpg')).error).toBeDefined();
+    expect(validateAttachment(upload(Buffer.alloc(0), 'empty.pdf')).error).toBeDefined();
+    expect(validateAttachment({ buffer: PDF, size: maxAttachmentBytes() + 1, originalname: 'big.pdf' }).error).toMatch(/larger/);
+  });
+
+  test('file names never carry paths, quotes or control characters', () => {
+    fc.assert(
+      fc.property(fc.string({ maxLength: 300 }), (name) => {
+        const safe = safeFileName(name);
+        expect(safe.length).toBeGreaterThan(0);
+        expect(safe.length).toBeLessThanOrEqual(200);
+        expect(safe).not.toMatch(/[\x00-\x1f\x7f"\\/]/);
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+    expect(safeFileName('../../etc/passwd')).toBe('passwd');
+  });
+
+  test('images are stored with a thumbnail, PDFs without', async () => {
+    const storage = memoryStorage();
+    const { attachments } = await storeAttachments(storage, 7, [upload(photo, 'lodge.png'), upload(PDF, 'itinerary.pdf')]);
+
+    expect(attachments).toHaveLength(2);
+    expect(attachments[0]).toMatchObject({ fileName: 'lodge.png', contentType: 'image/png', sizeBytes: photo.length });
+    expect(attachments[0].storageKey).toMatch(/^attachments\/7\/.+\.png$/);
+    expect(attachments[1]).toMatchObject({ contentType: 'application/pdf', thumbnailKey: null });
+    expect(storage.files.size).toBe(3);
+
+    const thumbnail = await sharp(storage.files.get(attachments[0].thumbnailKey)).metadata();
+    expect(thumbnail).toMatchObject({ format: 'jpeg', width: 320, height: 240 });
+  });
+
+  test('nothing is stored when any file is rejected', async () => {
+    const storage = memoryStorage();
+
+    const invalid = await storeAttachments(storage, 7, [upload(PDF, 'ok.pdf'), upload(Buffer.from('plain text'), 'notes.txt')]);
+    expect(invalid).toMatchObject({ success: false, status: 400 });
+
+    setVirusScanner(async ({ fileName }) => ({ clean: fileName !== 'infected.pdf', reason: 'EICAR test signature' }));
+    const infected = await storeAttachments(storage, 7, [upload(PDF, 'ok.pdf'), upload(PDF, 'infected.pdf')]);
+    expect(infected).toMatchObject({ success: false, status: 422 });
+
+    const tooMany = Array.from({ length: MAX_ATTACHMENTS_PER_MESSAGE + 1 }, (_, i) => upload(PDF, `${i}.pdf`));
+    expect(await storeAttachments(storage, 7, tooMany)).toMatchObject({ success: false, status: 400 });
+
+    expect(storage.files.size).toBe(0);
+  });
+
+  test('local storage keeps files inside its directory', async () => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'isafari-storage-'));
+    try {
+      const storage = createLocalStorage(root);
+      await storage.save('attachments/1/a.pdf', PDF);
+      expect(await storage.read('attachments/1/a.pdf')).toEqual(PDF);
+
+      await expect(storage.save('../outside.pdf', PDF)).rejects.toThrow('Invalid storage key');
+      await expect(storage.read('attachments/../../outside.pdf')).rejects.toThrow('Invalid storage key');
+
+      await storage.remove('attachments/1/a.pdf');
+      await expect(storage.read('attachments/1/a.pdf')).rejects.toMatchObject({ code: 'ENOENT' });
+    } finally {
+      await fs.rm(root, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Property-Based Tests for service availability and capacity
+ * Feature: availability-calendar
+ *
+ * Covers the pure helpers in utils/availability.js that decide which slot a
+ * booking falls into and how much capacity is left on each day.
+ */
+
+const fc = require('fast-check');
+const {
+  enumerateDates,
+  toDateKey,
+  parseDateKey,
+  validateBookingDate,
+  validateSlot,
+  resolveSlot,
+  buildCalendar
+} = require('../utils/availability');
+
+const MIN_ITERATIONS = 100;
+
+// 2026-10-19 is a Monday
+const MONDAY = '2026-10-19';
+const TUESDAY = '2026-10-20';
+
+const slot = (id, dayOfWeek, startTime, capacity = 10) => ({
+  id, day_of_week: dayOfWeek, start_time: startTime, end_time: null, capacity, is_active: true
+});
+
+describe('Service availability helpers', () => {
+
+  describe('enumerateDates', () => {
+    test('lists every day inclusive of both ends, capped at the maximum range', () => {
+      fc.assert(
+        fc.property(fc.integer({ min: 0, max: 200 }), (offset) => {
+          const end = parseDateKey(MONDAY);
+          end.setDate(end.getDate() + offset);
+          const to = `${end.getFullYear()}-${String(end.getMonth() + 1).padStart(2, '0')}-${String(end.getDate()).padStart(2, '0')}`;
+
+          const dates = enumerateDates(MONDAY, to);
+          expect(dates[0]).toBe(MONDAY);
+          expect(dates.length).toBe(Math.min(offset + 1, 92));
+          expect(new Set(dates).size).toBe(dates.length);
+        }),
+        { numRuns: MIN_ITERATIONS }
+      );
+    });
+
+    test('returns nothing for reversed or invalid ranges', () => {
+      expect(enumerateDates(TUESDAY, MONDAY)).toEqual([]);
+      expect(enumerateDates('2026-02-30', '2026-03-02')).toEqual([]);
+    });
+  });
+
+  describe('validateBookingDate', () => {
+    test('accepts today and later, and refuses earlier dates the same way checkout does', () => {
+      fc.assert(
+        fc.property(fc.integer({ min: -400, max: 400 }), (offset) => {
+          const date = parseDateKey(MONDAY);
+          date.setDate(date.getDate() + offset);
+          const error = validateBookingDate(toDateKey(date), MONDAY);
+          if (offset < 0) expect(error).toBe('The date for this booking is in the past');
+          else expect(error).toBeNull();
+        }),
+        { numRuns: MIN_ITERATIONS }
+      );
+    });
+
+    test('rejects dates that do not exist', () => {
+      expect(validateBookingDate('2026-02-30', MONDAY)).toBe('Invalid date for this booking');
+      expect(validateBookingDate('soon', MONDAY, 'Serengeti Day Trip')).toBe('Invalid date for Serengeti Day Trip');
+    });
+  });
+
+  describe('validateSlot', () => {
+    const clock = fc.tuple(fc.integer({ min: 0, max: 23 }), fc.integer({ min: 0, max: 59 }))
+      .map(([h, m]) => `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`);
+
+    test('accepts real times on a 24-hour clock and an end after the start', () => {
+      fc.assert(
+        fc.property(clock, clock, fc.integer({ min: 0, max: 6 }), fc.integer({ min: 1, max: 50 }), (start, end, day, capacity) => {
+          const error = validateSlot({ dayOfWeek: day, startTime: start, endTime: end, capacity });
+          expect(error === null).toBe(end > start);
+          expect(validateSlot({ dayOfWeek: day, startTime: `${start}:00`, capacity })).toBeNull();
+        }),
+        { numRuns: MIN_ITERATIONS }
+      );
+    });
+
+    test('rejects hours past 23, minutes past 59 and malformed times', () => {
+      fc.assert(
+        fc.property(fc.integer({ min: 0, max: 99 }), fc.integer({ min: 0, max: 99 }), (hours, minutes) => {
+          fc.pre(hours > 23 || minutes > 59);
+          const time = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+          expect(validateSlot({ dayOfWeek: 1, startTime: time, capacity: 10 })).not.toBeNull();
+          expect(validateSlot({ dayOfWeek: 1, startTime: '00:00', endTime: time, capacity: 10 })).not.toBeNull();
+        }),
+        { numRuns: MIN_ITERATIONS }
+      );
+      for (const startTime of ['99:99', '24:75', '24:00', '9:00', '09:00pm', '', undefined]) {
+        expect(validateSlot({ dayOfWeek: 1, startTime, capacity: 10 })).not.toBeNull();
+      }
+      expect(validateSlot({ dayOfWeek: 1, startTime: '10:00', endTime: '09:30', capacity: 10 })).toBe('A slot must end after it starts');
+      expect(validateSlot({ dayOfWeek: 7, startTime: '10:00', capacity: 10 })).not.toBeNull();
+      expect(validateSlot({ dayOfWeek: 1, startTime: '10:00', capacity: 0 })).not.toBeNull();
+    });
+  });
+
+  describe('resolveSlot', () => {
+    const slots = [slot(1, 1, '08:00'), slot(2, 1, '14:00'), slot(3, 2, '09:00')];
+
+    test('matches the slot with the requested start time', () => {
+      expect(resolveSlot(slots, MONDAY, '14:00:00').slot.id).toBe(2);
+    });
+
+    test('uses the only slot of the day when no time is given', () => {
+      expect(resolveSlot(slots, TUESDAY).slot.id).toBe(3);
+    });
+
+    test('asks for a time when the day has several slots', () => {
+      expect(resolveSlot(slots, MONDAY).error).toMatch(/start time/);
+    });
+
+    test('rejects days without slots', () => {
+      expect(resolveSlot(slots, '2026-10-21', '08:00').error).toMatch(/does not run/);
+    });
+  });
+
+  describe('buildCalendar', () => {
+    test('remaining capacity never goes below zero and is capacity minus booked otherwise', () => {
+      fc.assert(
+        fc.property(fc.integer({ min: 1, max: 50 }), fc.integer({ min: 0, max: 100 }), (capacity, booked) => {
+          const [day] = buildCalendar({
+            dates: [MONDAY],
+            slots: [slot(7, 1, '08:00', capacity)],
+            blackouts: [],
+            bookedBySlotAndDate: { [`7:${MONDAY}`]: booked },
+            maxParticipants: null
+          });
+
+          expect(day.slots[0].remaining).toBe(Math.max(capacity - booked, 0));
+          expect(day.available).toBe(booked < capacity);
+        }),
+        { numRuns: MIN_ITERATIONS }
+      );
+    });
+
+    test('blackout dates are unavailable even with free capacity', () => {
+      const [day] = buildCalendar({
+        dates: [MONDAY],
+        slots: [slot(7, 1, '08:00')],
+        blackouts: [{ blackout_date: MONDAY, reason: 'Park closed' }],
+        bookedBySlotAndDate: {},
+        maxParticipants: null
+      });
+
+      expect(day).toMatchObject({ available: false, blackout: true, reason: 'Park closed', slots: [] });
+    });
+
+    test('services without slots fall back to max_participants per day', () => {
+      const calendar = buildCalendar({
+        dates: [MONDAY, TUESDAY],
+        slots: [],
+        blackouts: [],
+        bookedBySlotAndDate: { [`day:${MONDAY}`]: 6 },
+        maxParticipants: 6
+      });
+
+      expect(calendar[0]).toMatchObject({ available: false });
+      expect(calendar[0].slots[0].remaining).toBe(0);
+      expect(calendar[1].slots[0].remaining).toBe(6);
+    });
+  });
+});
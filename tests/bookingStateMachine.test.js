@@ -0,0 +1,87 @@
+/**
+ * Property-Based Tests for the booking state machine
+ * Feature: booking-state-machine
+ */
+
+const fc = require('fast-check');
+const {
+  BOOKING_STATUSES,
+  ACTORS,
+  canTransition,
+  allowedTransitions,
+  transitionBooking
+} = require('../utils/bookingStateMachine');
+
+const MIN_ITERATIONS = 100;
+
+const statusGen = fc.constantFrom(...BOOKING_STATUSES);
+const actorGen = fc.constantFrom(...ACTORS);
+
+// Minimal stand-in for a pg client already inside a transaction
+const fakeClient = (booking) => {
+  const queries = [];
+  return {
+    queries,
+    query: async (sql, params) => {
+      queries.push(sql);
+      if (sql.startsWith('SELECT')) return { rows: booking ? [booking] : [] };
+      if (sql.startsWith('UPDATE')) return { rows: [{ ...booking, status: params[0] }] };
+      return { rows: [] };
+    }
+  };
+};
+
+describe('Booking state machine', () => {
+
+  test('allowedTransitions agrees with canTransition for every status and actor', () => {
+    fc.assert(
+      fc.property(statusGen, statusGen, actorGen, (from, to, actor) => {
+        expect(allowedTransitions(from, actor).includes(to)).toBe(canTransition(from, to, actor));
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('cancelled and completed are final', () => {
+    fc.assert(
+      fc.property(fc.constantFrom('cancelled', 'completed'), statusGen, actorGen, (from, to, actor) => {
+        expect(canTransition(from, to, actor)).toBe(false);
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('only providers and admins confirm, and nobody moves a booking back to draft', () => {
+    expect(canTransition('pending', 'confirmed', 'provider')).toBe(true);
+    expect(canTransition('pending', 'confirmed', 'traveler')).toBe(false);
+    BOOKING_STATUSES.forEach(from => ACTORS.forEach(actor => {
+      expect(canTransition(from, 'draft', actor)).toBe(false);
+    }));
+  });
+
+  test('transitionBooking updates the booking and records history', async () => {
+    const client = fakeClient({ id: 5, status: 'pending', provider_id: 2 });
+    const result = await transitionBooking(null, {
+      bookingId: 5, toStatus: 'confirmed', actor: 'provider', actorId: 9, client,
+      authorize: (booking) => booking.provider_id === 2
+    });
+
+    expect(result).toMatchObject({ success: true, fromStatus: 'pending', booking: { status: 'confirmed' } });
+    expect(client.queries.some(sql => sql.includes('INSERT INTO booking_status_history'))).toBe(true);
+  });
+
+  test('transitionBooking rejects disallowed changes and foreign bookings without writing', async () => {
+    const client = fakeClient({ id: 5, status: 'completed', provider_id: 2 });
+
+    const invalid = await transitionBooking(null, { bookingId: 5, toStatus: 'pending', actor: 'provider', client });
+    expect(invalid).toMatchObject({ success: false, status: 409, allowed: [] });
+
+    const foreign = await transitionBooking(null, {
+      bookingId: 5, toStatus: 'cancelled', actor: 'provider', client,
+      authorize: (booking) => booking.provider_id === 3
+    });
+    expect(foreign).toMatchObject({ success: false, status: 404 });
+
+    expect(client.queries.every(sql => sql.startsWith('SELECT'))).toBe(true);
+  });
+});
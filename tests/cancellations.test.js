@@ -0,0 +1,120 @@
+/**
+ * Property-Based Tests for cancellation policies and refunds
+ * Feature: cancellation-policies
+ */
+
+const fc = require('fast-check');
+const {
+  POLICY_PRESETS,
+  normalizePolicy,
+  computeRefund,
+  cancelBooking
+} = require('../utils/cancellations');
+
+const MIN_ITERATIONS = 100;
+
+const NOW = new Date(2026, 9, 19, 15, 30);
+
+const daysFromNow = (days) => {
+  const date = new Date(2026, 9, 19);
+  date.setDate(date.getDate() + days);
+  return date;
+};
+
+describe('Cancellation policies', () => {
+
+  describe('normalizePolicy', () => {
+    test('falls back to the moderate preset when no policy is set', () => {
+      expect(normalizePolicy(null).policy).toEqual({ type: 'moderate', tiers: POLICY_PRESETS.moderate });
+    });
+
+    test('sorts custom tiers by notice period, longest first', () => {
+      const { policy } = normalizePolicy({
+        type: 'custom',
+        tiers: [{ daysBefore: '2', refundPercent: '25' }, { daysBefore: 10, refundPercent: 100 }]
+      });
+      expect(policy.tiers).toEqual([{ daysBefore: 10, refundPercent: 100 }, { daysBefore: 2, refundPercent: 25 }]);
+    });
+
+    test('rejects unknown types and out-of-range tiers', () => {
+      expect(normalizePolicy({ type: 'lenient' }).error).toBeDefined();
+      expect(normalizePolicy({ type: 'custom', tiers: [] }).error).toBeDefined();
+      expect(normalizePolicy({ type: 'custom', tiers: [{ daysBefore: 3, refundPercent: 120 }] }).error).toBeDefined();
+    });
+  });
+
+  describe('computeRefund', () => {
+    test('refund is never more than was paid and never shrinks with more notice', () => {
+      fc.assert(
+        fc.property(
+          fc.constantFrom('flexible', 'moderate', 'strict'),
+          fc.integer({ min: -5, max: 30 }),
+          fc.integer({ min: 0, max: 1000000 }),
+          (type, days, paid) => {
+            const sooner = computeRefund({ policy: { type }, bookingDate: daysFromNow(days), paidAmount: paid, now: NOW });
+            const later = computeRefund({ policy: { type }, bookingDate: daysFromNow(days + 1), paidAmount: paid, now: NOW });
+
+            expect(sooner.daysBeforeStart).toBe(days);
+            expect(sooner.refundAmount).toBeGreaterThanOrEqual(0);
+            expect(sooner.refundAmount).toBeLessThanOrEqual(paid);
+            expect(later.refundAmount).toBeGreaterThanOrEqual(sooner.refundAmount);
+          }
+        ),
+        { numRuns: MIN_ITERATIONS }
+      );
+    });
+
+    test('applies the matching moderate tier for travelers', () => {
+      const quote = (days) => computeRefund({ policy: { type: 'moderate' }, bookingDate: daysFromNow(days), paidAmount: 200, now: NOW });
+      expect(quote(5)).toMatchObject({ refundPercent: 100, refundAmount: 200 });
+      expect(quote(3)).toMatchObject({ refundPercent: 50, refundAmount: 100 });
+      expect(quote(0)).toMatchObject({ refundPercent: 0, refundAmount: 0 });
+    });
+
+    test('provider and admin cancellations refund in full', () => {
+      fc.assert(
+        fc.property(fc.constantFrom('provider', 'admin'), fc.integer({ min: -5, max: 30 }), (actor, days) => {
+          const result = computeRefund({ policy: { type: 'strict' }, bookingDate: daysFromNow(days), paidAmount: 150, actor, now: NOW });
+          expect(result.refundAmount).toBe(150);
+        }),
+        { numRuns: MIN_ITERATIONS }
+      );
+    });
+  });
+
+  describe('cancelBooking', () => {
+    // One booking, and whether a payment on it is still pending at the gateway
+    const createPool = (paymentPending) => {
+      const booking = { id: 7, status: 'confirmed', traveler_id: 10, booking_date: daysFromNow(10) };
+      const statements = [];
+      const client = {
+        query: async (sql) => {
+          statements.push(sql.trim().split(/\s+/).slice(0, 2).join(' '));
+          if (sql.includes('FROM bookings WHERE id = $1 FOR UPDATE')) return { rows: [{ ...booking }] };
+          if (sql.startsWith('UPDATE bookings SET status')) return { rows: [{ ...booking, status: 'cancelled' }] };
+          if (sql.includes('FROM payments WHERE booking_id = $1')) return { rows: paymentPending ? [{ id: 3 }] : [] };
+          return { rows: [] };
+        },
+        release: () => {}
+      };
+      return { statements, connect: async () => client };
+    };
+
+    test('waits for a payment still pending at the gateway instead of cancelling without its refund', async () => {
+      const pool = createPool(true);
+      const result = await cancelBooking(pool, { bookingId: 7, actor: 'traveler', actorId: 10 });
+
+      expect(result).toMatchObject({ success: false, status: 409, code: 'PAYMENT_IN_PROGRESS' });
+      expect(pool.statements).toContain('ROLLBACK');
+      expect(pool.statements).not.toContain('COMMIT');
+    });
+
+    test('cancels once nothing is pending', async () => {
+      const pool = createPool(false);
+      const result = await cancelBooking(pool, { bookingId: 7, actor: 'traveler', actorId: 10 });
+
+      expect(result).toMatchObject({ success: true, refund: null });
+      expect(pool.statements).toContain('COMMIT');
+    });
+  });
+});
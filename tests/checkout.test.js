@@ -0,0 +1,106 @@
+/**
+ * Property-Based Tests for cart checkout
+ * Feature: cart-checkout
+ */
+
+const fc = require('fast-check');
+
+// The Booking model opens a database pool when loaded; these tests never reach it
+jest.mock('../models', () => ({ Booking: { create: jest.fn() } }));
+
+const { validateCheckoutItems, checkoutCart } = require('../utils/checkout');
+
+const MIN_ITERATIONS = 100;
+
+const TODAY = '2026-07-01';
+
+const cartGen = fc.uniqueArray(fc.integer({ min: 1, max: 10000 }), { minLength: 1, maxLength: 6 })
+  .map(ids => ids.map(id => ({ id, service_id: id * 10, quantity: (id % 4) + 1, title: `Service ${id}` })));
+
+describe('Cart checkout', () => {
+
+  test('every cart item becomes exactly one booking request', () => {
+    fc.assert(
+      fc.property(cartGen, fc.integer({ min: 1, max: 20 }), (cart, participants) => {
+        const requested = cart.map(item => ({ cartItemId: String(item.id), bookingDate: '2026-08-15', participants }));
+        const { items, error } = validateCheckoutItems(cart, [...requested].reverse(), TODAY);
+
+        expect(error).toBeUndefined();
+        expect(items.map(item => item.cartItem.id)).toEqual(cart.map(item => item.id));
+        items.forEach(item => expect(item.participants).toBe(participants));
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('an item without a date rejects the whole checkout', () => {
+    fc.assert(
+      fc.property(cartGen, fc.nat(), (cart, pick) => {
+        const missing = cart[pick % cart.length];
+        const requested = cart
+          .filter(item => item !== missing)
+          .map(item => ({ cartItemId: item.id, bookingDate: '2026-08-15' }));
+
+        const result = validateCheckoutItems(cart, requested, TODAY);
+        expect(result.items).toBeUndefined();
+        expect(result.cartItemId).toBe(missing.id);
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('participants default to the cart quantity and bad input is refused', () => {
+    const cart = [{ id: 1, service_id: 10, quantity: 3, title: 'Serengeti Balloon Safari' }];
+
+    expect(validateCheckoutItems(cart, [{ cartItemId: 1, bookingDate: '2026-08-15' }], TODAY).items[0].participants).toBe(3);
+    expect(validateCheckoutItems(cart, [{ cartItemId: 1, bookingDate: '2026-06-30' }], TODAY).error).toMatch(/past/);
+    expect(validateCheckoutItems(cart, [{ cartItemId: 1, bookingDate: 'soon' }], TODAY).error).toMatch(/Invalid date/);
+    expect(validateCheckoutItems(cart, [{ cartItemId: 1, bookingDate: '2026-08-15', participants: 0 }], TODAY).error).toMatch(/at least 1/);
+    expect(validateCheckoutItems(cart, [{ cartItemId: 1, bookingDate: '2026-08-15' }, { cartItemId: 2, bookingDate: '2026-08-15' }], TODAY).error)
+      .toMatch(/no longer in your cart/);
+    expect(validateCheckoutItems([], [], TODAY).error).toMatch(/empty/);
+  });
+
+  test('a changed price stops the checkout before anything is written', async () => {
+    const writes = [];
+    const client = {
+      query: async (sql) => {
+        if (sql.includes('FROM cart_items')) {
+          return { rows: [{ id: 1, service_id: 10, quantity: 2, title: 'Zanzibar Spice Tour' }] };
+        }
+        if (sql.includes('FROM services')) {
+          return { rows: [{ id: 10, title: 'Zanzibar Spice Tour', price: '60000.00', currency: 'TZS', provider_id: 3 }] };
+        }
+        writes.push(sql);
+        return { rows: [] };
+      }
+    };
+
+    const result = await checkoutCart(client, {
+      userId: 7,
+      gateway: 'sandbox',
+      items: [{ cartItemId: 1, bookingDate: '2099-01-10', expectedPrice: 50000 }]
+    });
+
+    expect(result).toMatchObject({ success: false, status: 409, code: 'PRICE_CHANGED', cartItemId: 1 });
+    expect(writes).toEqual([]);
+  });
+
+  test('services priced in different currencies are checked out separately', async () => {
+    const client = {
+      query: async (sql) => {
+        if (sql.includes('FROM cart_items')) {
+          return { rows: [{ id: 1, service_id: 10, quantity: 1 }, { id: 2, service_id: 11, quantity: 1 }] };
+        }
+        return { rows: [{ id: 10, price: 100, currency: 'TZS' }, { id: 11, price: 50, currency: 'USD' }] };
+      }
+    };
+
+    const result = await checkoutCart(client, {
+      userId: 7,
+      gateway: 'sandbox',
+      items: [{ cartItemId: 1, bookingDate: '2099-01-10' }, { cartItemId: 2, bookingDate: '2099-01-10' }]
+    });
+    expect(result).toMatchObject({ success: false, code: 'MIXED_CURRENCIES' });
+  });
+});
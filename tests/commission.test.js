@@ -0,0 +1,101 @@
+/**
+ * Property-Based Tests for commission rules
+ * Feature: commission-rules
+ */
+
+const fc = require('fast-check');
+const {
+  DEFAULT_COMMISSION_PERCENT,
+  validateRule,
+  selectRule,
+  computeFeeBreakdown,
+  effectiveCommissionPercent
+} = require('../utils/commission');
+
+const MIN_ITERATIONS = 100;
+
+const amountGen = fc.integer({ min: 0, max: 100000000 }).map(cents => cents / 100);
+
+const rule = (overrides) => ({
+  id: 1,
+  name: 'Rule',
+  category: null,
+  region: null,
+  provider_tier: null,
+  promotion_status: null,
+  commission_percent: 10,
+  fixed_fee: 0,
+  priority: 0,
+  effective_from: '2026-01-01',
+  effective_to: null,
+  is_active: true,
+  ...overrides
+});
+
+const context = { category: 'Accommodation', region: 'Arusha', providerTier: 'verified', promotionStatus: 'standard' };
+
+describe('Commission rules', () => {
+
+  test('commission and provider amount always add up to the gross and never go negative', () => {
+    fc.assert(
+      fc.property(amountGen, fc.integer({ min: 0, max: 100 }), fc.integer({ min: 0, max: 1000000 }), (gross, percent, fixedFee) => {
+        const breakdown = computeFeeBreakdown({ rule: rule({ commission_percent: percent, fixed_fee: fixedFee }), grossAmount: gross });
+        expect(Math.round((breakdown.commissionAmount + breakdown.providerAmount) * 100)).toBe(Math.round(gross * 100));
+        expect(breakdown.commissionAmount).toBeGreaterThanOrEqual(0);
+        expect(breakdown.commissionAmount).toBeLessThanOrEqual(breakdown.grossAmount);
+        expect(breakdown.providerAmount).toBeGreaterThanOrEqual(0);
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('the most specific matching rule wins regardless of order', () => {
+    const rules = [
+      rule({ id: 1, commission_percent: 15 }),
+      rule({ id: 2, category: 'Accommodation', commission_percent: 12, priority: 5 }),
+      rule({ id: 3, category: 'Accommodation', region: 'arusha', commission_percent: 10 }),
+      rule({ id: 4, category: 'Transportation', region: 'Arusha', provider_tier: 'verified', commission_percent: 5 })
+    ];
+
+    fc.assert(
+      fc.property(fc.shuffledSubarray(rules, { minLength: rules.length, maxLength: rules.length }), (shuffled) => {
+        expect(selectRule(shuffled, context, '2026-06-01').id).toBe(3);
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('rules outside their effective dates or inactive are ignored', () => {
+    const rules = [
+      rule({ id: 1, category: 'Accommodation', effective_from: '2026-07-01' }),
+      rule({ id: 2, category: 'Accommodation', effective_to: '2026-05-31' }),
+      rule({ id: 3, category: 'Accommodation', is_active: false }),
+      rule({ id: 4, priority: 1 })
+    ];
+
+    expect(selectRule(rules, context, '2026-06-01').id).toBe(4);
+    expect(selectRule(rules, context, '2026-07-01').id).toBe(1);
+    expect(selectRule(rules, context, '2026-05-31').id).toBe(2);
+    expect(selectRule([], context, '2026-06-01')).toBeNull();
+  });
+
+  test('bookings without a rule or snapshot use the default rate', () => {
+    const breakdown = computeFeeBreakdown({ rule: null, grossAmount: 1000 });
+    expect(breakdown.ruleId).toBeNull();
+    expect(breakdown.commissionPercent).toBe(DEFAULT_COMMISSION_PERCENT);
+    expect(effectiveCommissionPercent(null)).toBe(DEFAULT_COMMISSION_PERCENT);
+    expect(effectiveCommissionPercent({ grossAmount: 200, commissionAmount: 30 })).toBe(15);
+  });
+
+  test('validateRule rejects invalid rules', () => {
+    const valid = { name: 'Arusha stays', commissionPercent: '12.5', effectiveFrom: '2026-01-01' };
+
+    expect(validateRule(valid).rule).toMatchObject({ name: 'Arusha stays', commission_percent: 12.5, fixed_fee: 0, category: null });
+    expect(validateRule({ ...valid, name: ' ' }).error).toBeDefined();
+    expect(validateRule({ ...valid, commissionPercent: 101 }).error).toBeDefined();
+    expect(validateRule({ ...valid, fixedFee: -1 }).error).toBeDefined();
+    expect(validateRule({ ...valid, providerTier: 'gold' }).error).toBeDefined();
+    expect(validateRule({ ...valid, effectiveFrom: '' }).error).toBeDefined();
+    expect(validateRule({ ...valid, effectiveTo: '2025-12-31' }).error).toBeDefined();
+  });
+});
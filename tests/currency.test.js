@@ -0,0 +1,92 @@
+/**
+ * Property-Based Tests for multi-currency pricing
+ * Feature: currencies
+ */
+
+const fc = require('fast-check');
+const {
+  crossRate,
+  convertAmount,
+  validateRate,
+  parseRatesImport,
+  quoteCharge,
+  chargeAtRate
+} = require('../utils/currency');
+
+const MIN_ITERATIONS = 100;
+
+const rateGen = fc.integer({ min: 1, max: 1000000 }).map(n => n / 100);
+const amountGen = fc.integer({ min: 0, max: 100000000 }).map(cents => cents / 100);
+
+describe('Currencies', () => {
+
+  test('converting there and back at stored rates gives the cross rate product of one', () => {
+    fc.assert(
+      fc.property(rateGen, rateGen, (usd, eur) => {
+        const rates = { TZS: 1, USD: usd, EUR: eur };
+        expect(crossRate('USD', 'EUR', rates) * crossRate('EUR', 'USD', rates)).toBeCloseTo(1, 10);
+        expect(crossRate('USD', 'TZS', rates)).toBe(usd);
+        expect(crossRate('TZS', 'TZS', rates)).toBe(1);
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('a missing rate means no conversion rather than a wrong price', () => {
+    expect(crossRate('USD', 'GBP', { TZS: 1, USD: 2600 })).toBeNull();
+    expect(convertAmount(100, 'GBP', 'TZS', { TZS: 1 })).toBeNull();
+    expect(quoteCharge(100, 'TZS', 'GBP', { TZS: 1 }).error).toBeDefined();
+  });
+
+  test('charges are rounded to the minor units of the charged currency', () => {
+    fc.assert(
+      fc.property(amountGen, rateGen, (amount, rate) => {
+        const ugx = quoteCharge(amount, 'TZS', 'UGX', { TZS: 1, UGX: rate });
+        expect(Number.isInteger(ugx.chargedAmount)).toBe(true);
+
+        const usd = quoteCharge(amount, 'TZS', 'USD', { TZS: 1, USD: rate });
+        expect(Math.abs(usd.chargedAmount * 100 - Math.round(usd.chargedAmount * 100))).toBeLessThan(1e-6);
+        expect(usd).toMatchObject({ settlementCurrency: 'TZS', chargedCurrency: 'USD' });
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('charging in the settlement currency is one to one', () => {
+    fc.assert(
+      fc.property(amountGen, (amount) => {
+        expect(quoteCharge(amount, 'TZS', null, { TZS: 1 })).toEqual({
+          settlementCurrency: 'TZS',
+          chargedCurrency: 'TZS',
+          chargedAmount: amount,
+          exchangeRate: 1
+        });
+        expect(chargeAtRate(amount, 'USD', 'USD', 1).chargedAmount).toBe(amount);
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('rate files are read from JSON or CSV and rejected whole on a bad entry', () => {
+    expect(parseRatesImport('{"USD": 2600, "eur": "2850.5"}').rates).toEqual([
+      { currency: 'USD', rate: 2600 },
+      { currency: 'EUR', rate: 2850.5 }
+    ]);
+    expect(parseRatesImport('{"rates": {"KES": 20}}').rates).toEqual([{ currency: 'KES', rate: 20 }]);
+    expect(parseRatesImport('currency,rate\nUSD,2600\nTZS,1\nGBP;3300').rates).toEqual([
+      { currency: 'USD', rate: 2600 },
+      { currency: 'GBP', rate: 3300 }
+    ]);
+
+    expect(parseRatesImport('').error).toBeDefined();
+    expect(parseRatesImport('{not json').error).toBeDefined();
+    expect(parseRatesImport('USD,2600\nXYZ,10').error).toMatch(/XYZ/);
+    expect(parseRatesImport('{"USD": -1}').error).toMatch(/positive/);
+  });
+
+  test('the base currency rate cannot be changed', () => {
+    expect(validateRate('TZS', 2).error).toBeDefined();
+    expect(validateRate('usd', '2600')).toEqual({ currency: 'USD', rate: 2600 });
+    expect(validateRate('USD', 0).error).toBeDefined();
+  });
+});
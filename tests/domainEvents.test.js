@@ -0,0 +1,222 @@
+/**
+ * Property-Based Tests for the domain event bus and its notification subscribers
+ * Feature: domain-events
+ */
+
+const fc = require('fast-check');
+const { DOMAIN_EVENTS, bookingStatusEvent, createEventBus } = require('../utils/domainEvents');
+const { registerNotificationSubscribers } = require('../utils/notificationSubscribers');
+const { registerEmailSubscribers } = require('../utils/emailSubscribers');
+const { buildBookingDocument, renderInvoicePdf } = require('../utils/invoices');
+
+const MIN_ITERATIONS = 100;
+
+const TRAVELER_USER = 10;
+const PROVIDER_USER = 20;
+
+const silentLogger = { error: () => {} };
+
+// One booking, its payment and invoice, and the notifications and emails written about them
+const createDb = (booking, { invoice = null } = {}) => {
+  const notifications = [];
+  const emails = [];
+  const query = async (sql, params = []) => {
+    if (sql.includes('FROM bookings b') && sql.includes('WHERE b.id = $1 OR b.order_id = $2')) {
+      return { rows: params[0] === booking.id ? [{ id: booking.id, service_title: 'Serengeti Day Trip', provider_user_id: PROVIDER_USER }] : [] };
+    }
+    if (sql.includes('FROM bookings b')) {
+      return {
+        rows: params[0] === booking.id
+          ? [{
+            ...booking,
+            traveler_id: TRAVELER_USER,
+            provider_user_id: PROVIDER_USER,
+            service_title: 'Serengeti Day Trip',
+            business_name: 'Kili Tours',
+            traveler_name: 'Amani Juma',
+            traveler_email: 'amani@example.com',
+            provider_email: 'bookings@kilitours.example'
+          }]
+          : []
+      };
+    }
+    if (sql.includes('FROM payments')) {
+      return { rows: params[0] === 1 ? [{ id: 1, user_id: TRAVELER_USER, booking_id: booking.id, order_id: null, amount: '150000.00', currency: 'TZS' }] : [] };
+    }
+    if (sql.includes('FROM service_providers sp')) {
+      return { rows: [{ provider_user_id: PROVIDER_USER, follower_name: 'Amani Juma' }] };
+    }
+    // Nobody has changed their notification preferences
+    if (sql.includes('LEFT JOIN notification_preferences')) {
+      return { rows: [] };
+    }
+    if (sql.includes('INSERT INTO notifications')) {
+      notifications.push({ userId: params[0], type: params[1], title: params[2] });
+      return { rows: [{ id: notifications.length }] };
+    }
+    if (sql.includes('INSERT INTO realtime_events')) {
+      return { rows: [] };
+    }
+    if (sql.includes('FROM invoices')) {
+      return { rows: invoice && params[0] === booking.id ? [invoice] : [] };
+    }
+    if (sql.includes('INSERT INTO email_outbox')) {
+      emails.push({ to: params[1], template: params[2], subject: params[3], text: params[5], attachments: JSON.parse(params[7] || '[]') });
+      return { rows: [{ id: emails.length }] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+  return { notifications, emails, query };
+};
+
+describe('Domain events', () => {
+
+  test('every subscriber runs even when others fail, and publishing never rejects', async () => {
+    await fc.assert(
+      fc.asyncProperty(fc.array(fc.boolean(), { maxLength: 8 }), async (failures) => {
+        const errors = [];
+        const bus = createEventBus({ logger: { error: (message) => errors.push(message) } });
+        const calls = [];
+        failures.forEach((fails, i) => bus.subscribe(DOMAIN_EVENTS.BOOKING_CREATED, async (payload) => {
+          calls.push(i);
+          if (fails) throw new Error('subscriber down');
+          expect(payload).toEqual({ bookingId: 1 });
+        }));
+
+        await expect(bus.publish(DOMAIN_EVENTS.BOOKING_CREATED, { bookingId: 1 })).resolves.toBeUndefined();
+        expect(calls.sort((a, b) => a - b)).toEqual(failures.map((_, i) => i));
+        expect(errors).toHaveLength(failures.filter(Boolean).length);
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('unsubscribed handlers stop receiving events and unknown events are refused', async () => {
+    const bus = createEventBus({ logger: silentLogger });
+    const received = [];
+    const unsubscribe = bus.subscribe(DOMAIN_EVENTS.STORY_APPROVED, (payload, meta) => received.push(meta.name));
+
+    await bus.publish(DOMAIN_EVENTS.STORY_APPROVED, {});
+    unsubscribe();
+    await bus.publish(DOMAIN_EVENTS.STORY_APPROVED, {});
+
+    expect(received).toEqual(['story.approved']);
+    expect(bus.subscriberCount(DOMAIN_EVENTS.STORY_APPROVED)).toBe(0);
+    expect(() => bus.publish('booking.teleported', {})).toThrow('Unknown domain event');
+    expect(() => bus.subscribe('booking.teleported', () => {})).toThrow('Unknown domain event');
+    expect(bookingStatusEvent('confirmed')).toBe(DOMAIN_EVENTS.BOOKING_CONFIRMED);
+    expect(bookingStatusEvent('draft')).toBeNull();
+  });
+
+  test('a cancellation is told to the party that did not cancel', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.constantFrom('traveler', 'provider', 'admin', 'system'),
+        fc.constantFrom('draft', 'pending', 'confirmed'),
+        async (actor, fromStatus) => {
+          const db = createDb({ id: 5, status: 'cancelled', booking_date: '2099-03-01' });
+          const bus = createEventBus({ logger: silentLogger });
+          registerNotificationSubscribers(bus, db);
+
+          await bus.publish(DOMAIN_EVENTS.BOOKING_CANCELLED, { bookingId: 5, actor, fromStatus });
+
+          const told = db.notifications.map(n => n.userId).sort();
+          const expected = [];
+          if (actor !== 'traveler') expected.push(TRAVELER_USER);
+          if (actor !== 'provider' && fromStatus !== 'draft') expected.push(PROVIDER_USER);
+          expect(told).toEqual(expected.sort());
+          expect(db.notifications.every(n => n.type === 'booking_cancelled')).toBe(true);
+        }
+      ),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('booking, payment and follow events reach the right people', async () => {
+    const db = createDb({ id: 5, status: 'pending', booking_date: '2099-03-01' });
+    const bus = createEventBus({ logger: silentLogger });
+    registerNotificationSubscribers(bus, db);
+
+    await bus.publish(DOMAIN_EVENTS.BOOKING_CREATED, { bookingId: 5 });
+    await bus.publish(DOMAIN_EVENTS.BOOKING_CONFIRMED, { bookingId: 5 });
+    await bus.publish(DOMAIN_EVENTS.PAYMENT_COMPLETED, { paymentId: 1 });
+    await bus.publish(DOMAIN_EVENTS.STORY_APPROVED, { story: { id: 3, user_id: TRAVELER_USER, title: 'Zanzibar' } });
+    await bus.publish(DOMAIN_EVENTS.PROVIDER_FOLLOWED, { providerId: 2, followerId: TRAVELER_USER });
+
+    expect(db.notifications.map(n => [n.userId, n.type])).toEqual([
+      [PROVIDER_USER, 'booking_request'],
+      [TRAVELER_USER, 'booking_confirmed'],
+      [TRAVELER_USER, 'payment_completed'],
+      [PROVIDER_USER, 'payment_completed'],
+      [TRAVELER_USER, 'story_approved'],
+      [PROVIDER_USER, 'new_follower']
+    ]);
+  });
+
+  test('drafts are not announced to the provider', async () => {
+    const db = createDb({ id: 5, status: 'draft', booking_date: '2099-03-01' });
+    const bus = createEventBus({ logger: silentLogger });
+    registerNotificationSubscribers(bus, db);
+
+    await bus.publish(DOMAIN_EVENTS.BOOKING_CREATED, { bookingId: 5 });
+    expect(db.notifications).toEqual([]);
+  });
+
+  test('booking requests, confirmations and cancellations are emailed to the same people', async () => {
+    const db = createDb({ id: 5, status: 'pending', booking_date: '2099-03-01' });
+    const bus = createEventBus({ logger: silentLogger });
+    registerEmailSubscribers(bus, db);
+
+    await bus.publish(DOMAIN_EVENTS.BOOKING_CREATED, { bookingId: 5 });
+    await bus.publish(DOMAIN_EVENTS.BOOKING_CONFIRMED, { bookingId: 5 });
+    await bus.publish(DOMAIN_EVENTS.BOOKING_CANCELLED, { bookingId: 5, actor: 'provider', fromStatus: 'pending' });
+
+    expect(db.emails.map(e => [e.to, e.template])).toEqual([
+      ['bookings@kilitours.example', 'booking_request'],
+      ['amani@example.com', 'booking_confirmed'],
+      ['amani@example.com', 'booking_cancelled']
+    ]);
+    expect(db.emails[2].subject).toMatch(/declined/);
+  });
+
+  test('the booking invoice is attached to the confirmation, or sent on its own when payment comes later', async () => {
+    const invoice = {
+      id: 9,
+      booking_id: 5,
+      invoice_number: 'INV-2099-000009',
+      document: buildBookingDocument({ id: 5, total_amount: '150000.00', participants: 2, service_title: 'Serengeti Day Trip' }, null)
+    };
+    const expectedPdf = renderInvoicePdf(invoice).toString('base64');
+
+    const paidFirst = createDb({ id: 5, status: 'pending', booking_date: '2099-03-01' }, { invoice });
+    const paidFirstBus = createEventBus({ logger: silentLogger });
+    registerEmailSubscribers(paidFirstBus, paidFirst);
+    // Still waiting for the provider, so the invoice waits for the confirmation
+    await paidFirstBus.publish(DOMAIN_EVENTS.PAYMENT_COMPLETED, { paymentId: 1 });
+    expect(paidFirst.emails).toEqual([]);
+    await paidFirstBus.publish(DOMAIN_EVENTS.BOOKING_CONFIRMED, { bookingId: 5 });
+    expect(paidFirst.emails.map(e => e.template)).toEqual(['booking_confirmed']);
+    expect(paidFirst.emails[0].text).toContain('INV-2099-000009');
+    expect(paidFirst.emails[0].attachments).toEqual([
+      { filename: 'INV-2099-000009.pdf', contentType: 'application/pdf', content: expectedPdf }
+    ]);
+
+    const confirmedFirst = createDb({ id: 5, status: 'confirmed', booking_date: '2099-03-01' }, { invoice });
+    const confirmedFirstBus = createEventBus({ logger: silentLogger });
+    registerEmailSubscribers(confirmedFirstBus, confirmedFirst);
+    await confirmedFirstBus.publish(DOMAIN_EVENTS.PAYMENT_COMPLETED, { paymentId: 1 });
+    expect(confirmedFirst.emails.map(e => [e.to, e.template])).toEqual([['amani@example.com', 'booking_invoice']]);
+    expect(confirmedFirst.emails[0].attachments.map(a => a.filename)).toEqual(['INV-2099-000009.pdf']);
+  });
+
+  test('confirmations of unpaid bookings go out without an attachment', async () => {
+    const db = createDb({ id: 5, status: 'confirmed', booking_date: '2099-03-01' });
+    const bus = createEventBus({ logger: silentLogger });
+    registerEmailSubscribers(bus, db);
+
+    await bus.publish(DOMAIN_EVENTS.BOOKING_CONFIRMED, { bookingId: 5 });
+    expect(db.emails.map(e => e.template)).toEqual(['booking_confirmed']);
+    expect(db.emails[0].attachments).toEqual([]);
+    expect(db.emails[0].text).not.toContain('invoice');
+  });
+});
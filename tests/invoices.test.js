@@ -0,0 +1,112 @@
+/**
+ * Property-Based Tests for invoices and receipts
+ * Feature: invoices
+ */
+
+const fc = require('fast-check');
+const { createPdf } = require('../utils/pdf');
+const {
+  formatDocumentNumber,
+  computeTotals,
+  buildBookingDocument,
+  renderInvoicePdf,
+  issueBookingInvoice
+} = require('../utils/invoices');
+
+const MIN_ITERATIONS = 100;
+
+const amountGen = fc.integer({ min: 0, max: 100000000 }).map(cents => cents / 100);
+
+// Every xref entry must point at the start of its object
+const checkXref = (pdf) => {
+  const text = pdf.toString('latin1');
+  const xrefStart = parseInt(text.match(/startxref\n(\d+)/)[1]);
+  const rows = text.slice(xrefStart).split('\n');
+  const count = parseInt(rows[1].split(' ')[1]);
+  for (let id = 1; id < count; id++) {
+    const offset = parseInt(rows[2 + id].slice(0, 10));
+    expect(text.slice(offset, offset + `${id} 0 obj`.length)).toBe(`${id} 0 obj`);
+  }
+};
+
+const paidBooking = {
+  id: 42,
+  traveler_id: 7,
+  provider_id: 3,
+  participants: 3,
+  total_amount: '150000.00',
+  payment_status: 'paid',
+  booking_date: new Date('2026-08-01T00:00:00Z'),
+  service_title: 'Ngorongoro Crater Day Trip',
+  currency: 'TZS',
+  business_name: 'Kilima Tours',
+  tin_number: '123-456-789',
+  license_number: 'TALA-0042',
+  first_name: 'Amina',
+  last_name: 'Juma',
+  email: 'amina@example.com'
+};
+
+describe('Invoices', () => {
+
+  test('tax-inclusive totals always add back up to the line items', () => {
+    fc.assert(
+      fc.property(fc.array(amountGen, { minLength: 1, maxLength: 5 }), fc.integer({ min: 0, max: 30 }), (amounts, taxPercent) => {
+        const totals = computeTotals(amounts.map(amount => ({ amount })), taxPercent);
+        const expected = Math.round(amounts.reduce((sum, amount) => sum + amount, 0) * 100);
+        expect(Math.round(totals.total * 100)).toBe(expected);
+        expect(Math.round((totals.subtotal + totals.taxAmount) * 100)).toBe(expected);
+        expect(totals.taxAmount).toBeGreaterThanOrEqual(0);
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('document numbers are prefixed by type and year and zero padded', () => {
+    expect(formatDocumentNumber('invoice', 2026, 42)).toBe('INV-2026-000042');
+    expect(formatDocumentNumber('receipt', 2027, 1)).toBe('RCT-2027-000001');
+  });
+
+  test('generated PDFs have a valid cross-reference table whatever the text', () => {
+    fc.assert(
+      fc.property(fc.array(fc.array(fc.fullUnicodeString(), { maxLength: 5 }), { minLength: 1, maxLength: 3 }), (pages) => {
+        const pdf = createPdf(pages.map(lines => lines.map((text, i) => ({ type: 'text', x: 50, y: 700 - i * 14, text }))));
+        expect(pdf.slice(0, 8).toString('latin1')).toBe('%PDF-1.4');
+        checkXref(pdf);
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('a booking invoice shows the provider TIN, line items and tax', () => {
+    const document = buildBookingDocument(paidBooking, { payment_method: 'mpesa', transaction_id: 'QK1234', paid_at: '2026-07-01' });
+
+    expect(document.seller).toMatchObject({ name: 'Kilima Tours', tin: '123-456-789', license: 'TALA-0042' });
+    expect(document.lineItems).toEqual([{ description: 'Ngorongoro Crater Day Trip', quantity: 3, unitPrice: 50000, amount: 150000 }]);
+    expect(document.total).toBe(150000);
+
+    const pdf = renderInvoicePdf({ invoice_number: 'INV-2026-000001', issued_at: '2026-07-01', document });
+    const text = pdf.toString('latin1');
+    expect(text).toContain('(TIN: 123-456-789)');
+    expect(text).toContain('(INV-2026-000001)');
+    checkXref(pdf);
+  });
+
+  test('unpaid bookings get no invoice and issued invoices are never renumbered', async () => {
+    const queries = [];
+    const client = (booking, existing) => ({
+      query: async (sql) => {
+        queries.push(sql);
+        if (sql.includes('FROM bookings b')) return { rows: [booking] };
+        if (sql.includes('FROM invoices')) return { rows: existing ? [existing] : [] };
+        return { rows: [] };
+      }
+    });
+
+    expect(await issueBookingInvoice(client({ ...paidBooking, payment_status: 'pending' }), 42)).toBeNull();
+
+    const existing = { id: 1, invoice_number: 'INV-2026-000001' };
+    expect(await issueBookingInvoice(client(paidBooking, existing), 42)).toBe(existing);
+    expect(queries.some(sql => sql.includes('invoice_counters'))).toBe(false);
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * Property-Based Tests for the payouts ledger
+ * Feature: payouts-ledger
+ */
+
+const fc = require('fast-check');
+const {
+  splitCommission,
+  promotionSubsidy,
+  isBalanced,
+  buildPaymentLines,
+  buildRefundLines,
+  buildPayoutLines,
+  postJournal,
+  splitOrderPayment,
+  recordPayment,
+  recordPromotionSubsidy
+} = require('../utils/ledger');
+const { platformDiscount } = require('../utils/promoCodes');
+
+const MIN_ITERATIONS = 100;
+
+// Amounts in whole cents, as they are stored
+const amountGen = fc.integer({ min: 1, max: 100000000 }).map(cents => cents / 100);
+const percentGen = fc.integer({ min: 0, max: 100 });
+
+const accountBalance = (account) => (lines) => lines
+  .filter(line => line.account === account)
+  .reduce((sum, line) => sum + (line.credit || 0) - (line.debit || 0), 0);
+const providerBalance = accountBalance('provider_payable');
+const promotionsBalance = accountBalance('promotions_expense');
+
+const cents = (value) => Math.round(value * 100);
+
+describe('Payouts ledger', () => {
+
+  test('commission and provider share always add up to the amount', () => {
+    fc.assert(
+      fc.property(amountGen, percentGen, (amount, percent) => {
+        const { commission, providerShare } = splitCommission(amount, percent);
+        expect(Math.round((commission + providerShare) * 100)).toBe(Math.round(amount * 100));
+        expect(commission).toBeGreaterThanOrEqual(0);
+        expect(providerShare).toBeGreaterThanOrEqual(0);
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('payment, refund and payout journals always balance', () => {
+    fc.assert(
+      fc.property(amountGen, percentGen, fc.option(fc.integer({ min: 1, max: 1000 }), { nil: null }), (amount, percent, providerId) => {
+        expect(isBalanced(buildPaymentLines({ amount, providerId, commissionPercent: percent }))).toBe(true);
+        expect(isBalanced(buildRefundLines({ amount, providerId: providerId || 1, commissionPercent: percent }))).toBe(true);
+        expect(isBalanced(buildPayoutLines({ amount, providerId: providerId || 1 }))).toBe(true);
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('a full refund takes back exactly what the payment credited the provider', () => {
+    fc.assert(
+      fc.property(amountGen, percentGen, (amount, percent) => {
+        const paid = buildPaymentLines({ amount, providerId: 4, commissionPercent: percent });
+        const refunded = buildRefundLines({ amount, providerId: 4, commissionPercent: percent });
+        expect(Math.round((providerBalance(paid) + providerBalance(refunded)) * 100)).toBe(0);
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('payments without a booking provider go entirely to platform revenue', () => {
+    expect(buildPaymentLines({ amount: 50000, providerId: null })).toEqual([
+      { account: 'cash', debit: 50000 },
+      { account: 'platform_revenue', credit: 50000 }
+    ]);
+  });
+
+  test('postJournal refuses unbalanced lines and skips references already posted', async () => {
+    const queries = [];
+    const db = {
+      query: async (sql) => {
+        queries.push(sql);
+        return { rows: [] };
+      }
+    };
+
+    await expect(postJournal(db, {
+      reference: 'payment:1',
+      entryType: 'payment',
+      lines: [{ account: 'cash', debit: 10 }, { account: 'platform_revenue', credit: 9 }]
+    })).rejects.toThrow(/does not balance/);
+    expect(queries).toHaveLength(0);
+
+    const journalId = await postJournal(db, {
+      reference: 'payment:1',
+      entryType: 'payment',
+      lines: buildPaymentLines({ amount: 10, providerId: null })
+    });
+    expect(journalId).toBeNull();
+    expect(queries.some(sql => sql.includes('INSERT INTO ledger_entries'))).toBe(false);
+  });
+
+  test('a platform promo code is a platform expense: the provider earns what the full price would have paid', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 100, max: 100000000 }),
+        fc.integer({ min: 1, max: 99 }),
+        fc.integer({ min: 1, max: 99 }),
+        percentGen,
+        (priceCents, discountPercent, firstPartPercent, percent) => {
+          const price = priceCents / 100;
+          const discount = Math.round(priceCents * discountPercent / 100) / 100;
+          const total = Math.round((price - discount) * 100) / 100;
+          const feeBreakdown = { grossAmount: total, platformDiscount: platformDiscount({ provider_id: null }, discount) };
+
+          // Paid as a deposit and a balance
+          const deposit = Math.round(total * firstPartPercent) / 100;
+          const payments = [deposit, Math.round((total - deposit) * 100) / 100].map(amount => buildPaymentLines({
+            amount,
+            providerId: 4,
+            commissionPercent: percent,
+            subsidy: promotionSubsidy(amount, feeBreakdown)
+          }));
+
+          payments.forEach(lines => expect(isBalanced(lines)).toBe(true));
+          const earned = payments.reduce((sum, lines) => sum + providerBalance(lines), 0);
+          expect(Math.abs(cents(earned) - cents(splitCommission(price, percent).providerShare))).toBeLessThanOrEqual(2);
+          const subsidised = payments.reduce((sum, lines) => sum - promotionsBalance(lines), 0);
+          expect(Math.abs(cents(subsidised) - cents(discount))).toBeLessThanOrEqual(1);
+        }
+      ),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test("a provider's own code comes out of their earnings and costs the platform nothing", () => {
+    const feeBreakdown = { grossAmount: 90000, platformDiscount: platformDiscount({ provider_id: 4 }, 10000) };
+    const lines = buildPaymentLines({ amount: 90000, providerId: 4, commissionPercent: 10, subsidy: promotionSubsidy(90000, feeBreakdown) });
+    expect(lines).toEqual([
+      { account: 'cash', debit: 90000 },
+      { account: 'provider_payable', providerId: 4, credit: 81000 },
+      { account: 'platform_revenue', credit: 9000 }
+    ]);
+  });
+
+  test('a full refund of a discounted booking gives the subsidy back to the platform', () => {
+    fc.assert(
+      fc.property(amountGen, amountGen, percentGen, (total, discount, percent) => {
+        const feeBreakdown = { grossAmount: total, platformDiscount: discount };
+        const subsidy = promotionSubsidy(total, feeBreakdown);
+        const paid = buildPaymentLines({ amount: total, providerId: 4, commissionPercent: percent, subsidy });
+        const refunded = buildRefundLines({ amount: total, providerId: 4, commissionPercent: percent, subsidy });
+        expect(isBalanced(refunded)).toBe(true);
+        expect(cents(providerBalance(paid) + providerBalance(refunded))).toBe(0);
+        expect(cents(promotionsBalance(paid) + promotionsBalance(refunded))).toBe(0);
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('a booking a platform code made free posts the whole subsidy once, and nothing without a discount', async () => {
+    const journals = new Set();
+    const entries = [];
+    const db = {
+      query: async (sql, params) => {
+        if (sql.includes('INSERT INTO ledger_journals')) {
+          if (journals.has(params[0])) return { rows: [] };
+          journals.add(params[0]);
+          return { rows: [{ id: journals.size }] };
+        }
+        if (sql.includes('INSERT INTO ledger_entries')) {
+          entries.push({ account: params[1], providerId: params[2], debit: params[3], credit: params[4] });
+          return { rows: [] };
+        }
+        throw new Error(`Unexpected query: ${sql}`);
+      }
+    };
+    const booking = {
+      id: 12,
+      provider_id: 4,
+      settlement_currency: 'TZS',
+      fee_breakdown: { grossAmount: 0, commissionAmount: 0, platformDiscount: 50000 }
+    };
+
+    expect(await recordPromotionSubsidy(db, booking)).toBe(1);
+    expect(await recordPromotionSubsidy(db, booking)).toBeNull();
+    expect(await recordPromotionSubsidy(db, { ...booking, id: 13, fee_breakdown: { grossAmount: 0, platformDiscount: 0 } })).toBeNull();
+
+    expect(journals).toEqual(new Set(['promotion:booking:12']));
+    expect(entries.find(e => e.account === 'promotions_expense').debit).toBe(50000);
+    expect(providerBalance(entries)).toBe(50000 - splitCommission(50000).commission);
+  });
+
+  test('an order payment is split across its bookings in proportion and the shares add up to it', () => {
+    fc.assert(
+      fc.property(amountGen, fc.array(amountGen, { minLength: 1, maxLength: 6 }), (amount, totals) => {
+        const shares = splitOrderPayment(amount, totals.map((total, id) => ({ id, total_amount: total })));
+        expect(cents(shares.reduce((sum, share) => sum + share.amount, 0))).toBe(cents(amount));
+        const sum = totals.reduce((a, b) => a + b, 0);
+        shares.slice(0, -1).forEach((share, i) => {
+          expect(Math.abs(share.amount - amount * totals[i] / sum)).toBeLessThanOrEqual(0.005);
+        });
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('an order payment posts the amount paid, not what its bookings cost now', async () => {
+    const entries = [];
+    const db = {
+      query: async (sql, params) => {
+        if (sql.includes('FROM bookings')) {
+          return {
+            rows: [
+              { id: 1, provider_id: 4, total_amount: '100000.00', fee_breakdown: null },
+              { id: 2, provider_id: 5, total_amount: '150000.00', fee_breakdown: null }
+            ]
+          };
+        }
+        if (sql.includes('INSERT INTO ledger_journals')) return { rows: [{ id: 1 }] };
+        if (sql.includes('INSERT INTO ledger_entries')) {
+          entries.push({ account: params[1], providerId: params[2], debit: params[3], credit: params[4] });
+          return { rows: [] };
+        }
+        throw new Error(`Unexpected query: ${sql}`);
+      }
+    };
+
+    await recordPayment(db, { id: 9, order_id: 3, amount: '200000.00', currency: 'TZS', created_at: new Date() });
+
+    expect(accountBalance('cash')(entries)).toBe(-200000);
+    expect(isBalanced(entries)).toBe(true);
+    expect(entries.find(e => e.account === 'provider_payable' && e.providerId === 4).credit).toBe(splitCommission(80000).providerShare);
+    expect(entries.find(e => e.account === 'provider_payable' && e.providerId === 5).credit).toBe(splitCommission(120000).providerShare);
+  });
+});
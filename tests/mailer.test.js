@@ -0,0 +1,189 @@
+/**
+ * Property-Based Tests for email templates and the outbox
+ * Feature: email
+ */
+
+const fc = require('fast-check');
+const os = require('os');
+const path = require('path');
+const fs = require('fs/promises');
+const { TEMPLATE_NAMES, renderEmail, sampleData, renderSample } = require('../utils/emailTemplates');
+const { MAX_ATTEMPTS, createFileTransport, queueEmail, retryDelayMinutes, deliverOutbox } = require('../utils/mailer');
+
+const MIN_ITERATIONS = 100;
+
+// The outbox behind the pool interface. Time is left out: every message the mailer schedules
+// for later counts as due on the next run, as if the delay had passed.
+const createOutbox = () => {
+  const rows = [];
+  const query = async (sql, params = []) => {
+    if (sql.includes('INSERT INTO email_outbox')) {
+      const [userId, to, template, subject, html, text, , attachments] = params;
+      const row = {
+        id: rows.length + 1,
+        user_id: userId,
+        to_address: to,
+        template,
+        subject,
+        html,
+        text,
+        attachments: attachments ? JSON.parse(attachments) : null,
+        status: 'pending',
+        attempts: 0
+      };
+      rows.push(row);
+      return { rows: [{ ...row }] };
+    }
+    if (sql.includes("SET status = 'sending'")) {
+      const claimed = rows.filter(r => ['pending', 'sending'].includes(r.status)).slice(0, params[0]);
+      claimed.forEach(r => { r.status = 'sending'; r.attempts++; });
+      return { rows: claimed.map(r => ({ ...r })) };
+    }
+    if (sql.includes("SET status = 'sent'")) {
+      rows.find(r => r.id === params[0]).status = 'sent';
+      return { rows: [] };
+    }
+    if (sql.includes('SET status = $2')) {
+      Object.assign(rows.find(r => r.id === params[0]), { status: params[1], last_error: params[2] });
+      return { rows: [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+  return { rows, query };
+};
+
+describe('Email', () => {
+
+  test('every template renders a subject, HTML and text from its sample data', () => {
+    for (const name of TEMPLATE_NAMES) {
+      const email = renderSample(name);
+      expect(email.subject.length).toBeGreaterThan(0);
+      expect(email.html).toMatch(/^<!DOCTYPE html>/);
+      expect(email.text.length).toBeGreaterThan(0);
+    }
+    expect(() => renderEmail('newsletter', {})).toThrow('Unknown email template');
+  });
+
+  test('data is escaped in HTML and left as written in text', () => {
+    fc.assert(
+      fc.property(fc.constantFrom(...TEMPLATE_NAMES), fc.string({ minLength: 1 }), (template, value) => {
+        const name = `<b onclick="x">${value}</b>`;
+        const email = renderEmail(template, { ...sampleData(template), name, serviceTitle: name, travelerName: name });
+        expect(email.html).not.toContain('<b onclick');
+        expect(email.text).toContain(name);
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('a message is sent once when the transport recovers, and given up after the last attempt', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    await fc.assert(
+      fc.asyncProperty(fc.integer({ min: 0, max: MAX_ATTEMPTS + 2 }), async (failures) => {
+        const db = createOutbox();
+        await queueEmail(db, { to: 'amani@example.com', template: 'password_reset', data: sampleData('password_reset') });
+
+        const deliveries = [];
+        let calls = 0;
+        const transport = {
+          send: async (message) => {
+            calls++;
+            if (calls <= failures) throw new Error('SMTP unavailable');
+            deliveries.push(message.to);
+          }
+        };
+
+        for (let run = 0; run < MAX_ATTEMPTS + 3; run++) {
+          await deliverOutbox(db, transport);
+        }
+
+        const [message] = db.rows;
+        if (failures < MAX_ATTEMPTS) {
+          expect(message.status).toBe('sent');
+          expect(deliveries).toEqual(['amani@example.com']);
+          expect(message.attempts).toBe(failures + 1);
+        } else {
+          expect(message.status).toBe('failed');
+          expect(deliveries).toEqual([]);
+          expect(message.attempts).toBe(MAX_ATTEMPTS);
+        }
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+    consoleError.mockRestore();
+  });
+
+  test('retries back off and level out', () => {
+    fc.assert(
+      fc.property(fc.integer({ min: 1, max: 50 }), (attempts) => {
+        expect(retryDelayMinutes(attempts + 1)).toBeGreaterThanOrEqual(retryDelayMinutes(attempts));
+        expect(retryDelayMinutes(attempts)).toBeLessThanOrEqual(240);
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('nothing is queued without an address', async () => {
+    const db = createOutbox();
+    expect(await queueEmail(db, { to: null, template: 'password_reset', data: {} })).toBeNull();
+    expect(db.rows).toEqual([]);
+  });
+
+  test('attachments are kept with the queued message and handed to the transport', async () => {
+    await fc.assert(
+      fc.asyncProperty(fc.uint8Array({ maxLength: 2000 }), async (bytes) => {
+        const db = createOutbox();
+        const content = Buffer.from(bytes);
+        await queueEmail(db, {
+          to: 'amani@example.com',
+          template: 'booking_confirmed',
+          data: sampleData('booking_confirmed'),
+          attachments: [{ filename: 'INV-2026-000042.pdf', content, contentType: 'application/pdf' }]
+        });
+
+        const deliveries = [];
+        await deliverOutbox(db, { send: async (message) => { deliveries.push(message); } });
+
+        expect(deliveries).toHaveLength(1);
+        const [attachment] = deliveries[0].attachments;
+        expect(attachment).toMatchObject({ filename: 'INV-2026-000042.pdf', contentType: 'application/pdf', encoding: 'base64' });
+        expect(Buffer.from(attachment.content, 'base64').equals(content)).toBe(true);
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('messages without attachments store none', async () => {
+    const db = createOutbox();
+    await queueEmail(db, { to: 'amani@example.com', template: 'password_reset', data: sampleData('password_reset') });
+    const deliveries = [];
+    await deliverOutbox(db, { send: async (message) => { deliveries.push(message); } });
+    expect(db.rows[0].attachments).toBeNull();
+    expect(deliveries[0].attachments).toEqual([]);
+  });
+
+  test('the file transport writes each message as an .eml file', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'isafari-mail-'));
+    try {
+      const email = renderSample('booking_confirmed');
+      const { filePath } = await createFileTransport(directory).send({
+        from: 'iSafari Global <no-reply@isafari.local>',
+        to: 'amani@example.com',
+        template: 'booking_confirmed',
+        outboxId: 7,
+        attachments: [{ filename: 'INV-2026-000042.pdf', content: Buffer.from('%PDF-1.4').toString('base64'), encoding: 'base64', contentType: 'application/pdf' }],
+        ...email
+      });
+
+      expect(path.dirname(filePath)).toBe(directory);
+      expect(filePath).toMatch(/booking_confirmed-7\.eml$/);
+      const written = await fs.readFile(filePath, 'utf8');
+      expect(written).toContain('To: amani@example.com');
+      expect(written).toContain(`Subject: ${email.subject}`);
+      expect(written).toContain('text/html');
+      expect(written).toContain('filename=INV-2026-000042.pdf');
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  });
+});
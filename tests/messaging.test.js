@@ -0,0 +1,111 @@
+/**
+ * Property-Based Tests for traveler-provider messaging
+ * Feature: messaging
+ */
+
+const fc = require('fast-check');
+const { MAX_MESSAGE_LENGTH, normalizeMessageBody, resolveThread, getMessages, formatConversation } = require('../utils/messaging');
+
+const MIN_ITERATIONS = 100;
+
+const TRAVELER = { userId: 10, userType: 'traveler' };
+const PROVIDER = { userId: 20, userType: 'service_provider' };
+
+// One provider (user 20, provider 2) with a service and a booking from traveler 10
+const lookupDb = {
+  query: async (sql, params) => {
+    if (sql.includes('FROM bookings b')) {
+      return { rows: params[0] === 7 ? [{ id: 7, traveler_id: 10, provider_id: 2, service_id: 5, provider_user_id: 20 }] : [] };
+    }
+    if (sql.includes('FROM services s')) {
+      return { rows: params[0] === 5 ? [{ id: 2, user_id: 20 }] : [] };
+    }
+    if (sql.includes('FROM service_providers')) {
+      return { rows: params[0] === 2 ? [{ id: 2, user_id: 20 }] : [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  }
+};
+
+// Messages of one thread behind the query getMessages makes
+const threadDb = (count) => ({
+  query: async (sql, [, before, limit]) => {
+    const ids = Array.from({ length: count }, (_, i) => i + 1)
+      .filter(id => before === null || id < before)
+      .reverse()
+      .slice(0, limit);
+    return { rows: ids.map(id => ({ id, conversation_id: 1, body: `Message ${id}` })) };
+  }
+});
+
+describe('Messaging', () => {
+
+  test('messages are trimmed and must have text within the length limit', () => {
+    fc.assert(
+      fc.property(fc.string({ maxLength: MAX_MESSAGE_LENGTH + 50 }), (text) => {
+        const result = normalizeMessageBody(`  ${text}\n`);
+        const trimmed = text.trim();
+        if (!trimmed || trimmed.length > MAX_MESSAGE_LENGTH) {
+          expect(result.error).toBeDefined();
+        } else {
+          expect(result).toEqual({ body: trimmed });
+        }
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+    expect(normalizeMessageBody(undefined).error).toBeDefined();
+    expect(normalizeMessageBody({ text: 'hi' }).error).toBeDefined();
+  });
+
+  test('paging back through a thread returns every message once, oldest first', async () => {
+    await fc.assert(
+      fc.asyncProperty(fc.integer({ min: 0, max: 250 }), fc.integer({ min: 1, max: 100 }), async (count, limit) => {
+        const db = threadDb(count);
+        const seen = [];
+        let before = null;
+        let hasMore = true;
+
+        while (hasMore) {
+          const page = await getMessages(db, 1, { before, limit });
+          expect(page.messages.length).toBeLessThanOrEqual(limit);
+          seen.unshift(...page.messages.map(m => m.id));
+          hasMore = page.hasMore;
+          before = page.messages[0]?.id;
+        }
+
+        expect(seen).toEqual(Array.from({ length: count }, (_, i) => i + 1));
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('threads are between the traveler and provider of what they are about', async () => {
+    expect(await resolveThread(lookupDb, TRAVELER, { bookingId: 7 })).toEqual({
+      thread: { travelerId: 10, providerId: 2, serviceId: 5, bookingId: 7 }
+    });
+    expect(await resolveThread(lookupDb, PROVIDER, { bookingId: 7 })).toEqual({
+      thread: { travelerId: 10, providerId: 2, serviceId: 5, bookingId: 7 }
+    });
+    expect(await resolveThread(lookupDb, TRAVELER, { serviceId: 5 })).toEqual({
+      thread: { travelerId: 10, providerId: 2, serviceId: 5, bookingId: null }
+    });
+    expect(await resolveThread(lookupDb, TRAVELER, { providerId: 2 })).toEqual({
+      thread: { travelerId: 10, providerId: 2, serviceId: null, bookingId: null }
+    });
+
+    // Someone else's booking, providers writing out of the blue, and unknown subjects
+    expect(await resolveThread(lookupDb, { userId: 11, userType: 'traveler' }, { bookingId: 7 })).toMatchObject({ status: 404 });
+    expect(await resolveThread(lookupDb, PROVIDER, { providerId: 2 })).toMatchObject({ status: 403 });
+    expect(await resolveThread(lookupDb, TRAVELER, { serviceId: 99 })).toMatchObject({ status: 404 });
+    expect(await resolveThread(lookupDb, TRAVELER, {})).toMatchObject({ status: 400 });
+  });
+
+  test('each side sees the other party as who they are talking to', () => {
+    const row = {
+      id: 1, traveler_id: 10, provider_id: 2, provider_user_id: 20, business_name: 'Serengeti Trails',
+      traveler_first_name: 'Asha', traveler_last_name: 'M', last_message: 'Hello', last_sender_id: 10, unread_count: 2
+    };
+    expect(formatConversation(row, 10)).toMatchObject({ role: 'traveler', withName: 'Serengeti Trails', lastMessageMine: true });
+    expect(formatConversation(row, 20)).toMatchObject({ role: 'provider', withName: 'Asha M', lastMessageMine: false, unreadCount: 2 });
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * Property-Based Tests for booking modification requests
+ * Feature: booking-modifications
+ */
+
+const fc = require('fast-check');
+const { priceModification, rescaleFeeBreakdown, validateModificationRequest, decideModification } = require('../utils/modifications');
+const { getAmountDue, settleInstalments } = require('../utils/paymentPlans');
+
+const MIN_ITERATIONS = 100;
+
+const booking = {
+  status: 'confirmed',
+  booking_date: '2099-03-01',
+  start_time: '09:00:00',
+  participants: 2,
+  total_amount: '200000.00'
+};
+
+// A paid booking without a payment plan, a change request on it, and its payments and instalments
+const createStore = ({ participants, newParticipants, unitPrice }) => {
+  const store = {
+    booking: {
+      ...booking,
+      id: 7,
+      traveler_id: 10,
+      provider_id: 3,
+      service_id: 5,
+      participants,
+      total_amount: String(unitPrice * participants),
+      discount_amount: '0',
+      payment_status: 'paid',
+      settlement_currency: 'TZS',
+      service_title: 'Serengeti Day Trip'
+    },
+    modification: { id: 4, booking_id: 7, status: 'pending', new_booking_date: '2099-03-01', new_start_time: '09:00:00', new_participants: newParticipants },
+    payments: [{ id: 1, booking_id: 7, amount: unitPrice * participants, payment_status: 'completed', instalment_id: null }],
+    instalments: []
+  };
+  const paid = () => store.payments
+    .filter(payment => payment.payment_status === 'completed')
+    .reduce((sum, payment) => sum + payment.amount, 0);
+
+  const query = async (sql, params = []) => {
+    if (['BEGIN', 'COMMIT', 'ROLLBACK'].includes(sql)) return { rows: [] };
+    if (sql.includes('FROM booking_modifications WHERE id = $1')) return { rows: [{ ...store.modification }] };
+    if (sql.includes('FROM orders WHERE id = $1')) return { rows: store.order ? [{ ...store.order }] : [] };
+    if (sql.includes('FOR UPDATE OF b')) return { rows: [{ ...store.booking }] };
+    if (sql.includes('SELECT * FROM services WHERE id = $1')) return { rows: [{ id: 5, max_participants: null }] };
+    if (sql.includes('service_blackout_dates') || sql.includes('service_availability_slots')) return { rows: [] };
+    if (sql.includes('AS refunded')) return { rows: [{ payment_id: 1, paid: String(paid()), refunded: '0' }] };
+    if (sql.includes('FROM payments') && sql.includes("payment_status = 'pending'")) {
+      return { rows: store.payments.filter(payment => payment.payment_status === 'pending') };
+    }
+    if (sql.includes('SELECT * FROM booking_instalments') && sql.includes("status = 'pending'")) {
+      return { rows: store.instalments.filter(instalment => instalment.status === 'pending').slice(0, 1) };
+    }
+    if (sql.includes('SELECT * FROM booking_instalments')) return { rows: store.instalments.map(instalment => ({ ...instalment })) };
+    if (sql.includes('INSERT INTO booking_instalments')) {
+      const [bookingId, sequence, kind, amount, currency, dueDate] = params;
+      const instalment = { id: store.instalments.length + 1, booking_id: bookingId, sequence, kind, amount: String(amount), currency, due_date: dueDate, status: 'pending' };
+      store.instalments.push(instalment);
+      return { rows: [{ ...instalment }] };
+    }
+    if (sql.includes("SET status = 'paid', payment_id = $2")) {
+      store.instalments
+        .filter(instalment => instalment.status === 'pending' && (params[2] === null || instalment.id === params[2]))
+        .forEach(instalment => Object.assign(instalment, { status: 'paid', payment_id: params[1] }));
+      return { rows: [] };
+    }
+    if (sql.includes('AS remaining')) {
+      const remaining = store.instalments.filter(instalment => instalment.status === 'pending').reduce((sum, instalment) => sum + parseFloat(instalment.amount), 0);
+      return { rows: [{ remaining: String(remaining) }] };
+    }
+    if (sql.includes('UPDATE bookings')) {
+      Object.assign(store.booking, { participants: params[5], total_amount: String(params[6]), payment_status: params[9] });
+      return { rows: [{ ...store.booking }] };
+    }
+    if (sql.includes('UPDATE booking_modifications')) {
+      Object.assign(store.modification, { status: 'approved' });
+      return { rows: [{ ...store.modification }] };
+    }
+    if (sql.includes('UPDATE waitlist_entries') || sql.includes('LEFT JOIN notification_preferences')) return { rows: [] };
+    if (sql.includes('INSERT INTO notifications')) return { rows: [{ id: 1 }] };
+    if (sql.includes('INSERT INTO realtime_events')) return { rows: [] };
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+  const client = { query, release: () => {} };
+  return { store, query, connect: async () => client };
+};
+
+describe('Booking modifications', () => {
+
+  test('the new price scales with participants at the booked per-person rate', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 1, max: 20 }),
+        fc.integer({ min: 1, max: 20 }),
+        fc.integer({ min: 1000, max: 500000 }),
+        (participants, newParticipants, unitPrice) => {
+          const price = priceModification({ totalAmount: unitPrice * participants, participants, newParticipants });
+
+          expect(price.newTotal).toBeCloseTo(unitPrice * newParticipants, 2);
+          expect(price.difference).toBeCloseTo(price.newTotal - unitPrice * participants, 2);
+          expect(Math.sign(price.difference)).toBe(Math.sign(newParticipants - participants));
+        }
+      ),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('a discount stays a fixed amount and never takes the price below zero', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 1, max: 10 }),
+        fc.integer({ min: 1, max: 10 }),
+        fc.integer({ min: 1000, max: 100000 }),
+        fc.integer({ min: 0, max: 300000 }),
+        (participants, newParticipants, unitPrice, discount) => {
+          const gross = unitPrice * participants;
+          const totalAmount = Math.max(gross - discount, 0);
+          const price = priceModification({ totalAmount, discountAmount: gross - totalAmount, participants, newParticipants });
+
+          expect(price.unitPrice).toBeCloseTo(unitPrice, 2);
+          expect(price.newTotal).toBeGreaterThanOrEqual(0);
+          expect(price.newTotal).toBeCloseTo(Math.max(unitPrice * newParticipants - (gross - totalAmount), 0), 2);
+        }
+      ),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('the fee breakdown is recomputed with the commission rule the booking was made under', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 0, max: 30 }),
+        fc.integer({ min: 0, max: 5000 }),
+        fc.integer({ min: 0, max: 1000000 }),
+        (commissionPercent, fixedFee, grossAmount) => {
+          const original = { ruleId: 3, ruleName: 'Safari tours', commissionPercent, fixedFee, grossAmount: 1, commissionAmount: 1, providerAmount: 0, currency: 'TZS' };
+          const rescaled = rescaleFeeBreakdown(original, grossAmount);
+
+          expect(rescaled).toMatchObject({ ruleId: 3, ruleName: 'Safari tours', commissionPercent, fixedFee, grossAmount, currency: 'TZS' });
+          expect(rescaled.commissionAmount + rescaled.providerAmount).toBeCloseTo(grossAmount, 2);
+          expect(rescaled.commissionAmount).toBeLessThanOrEqual(grossAmount);
+        }
+      ),
+      { numRuns: MIN_ITERATIONS }
+    );
+    expect(rescaleFeeBreakdown(null, 1000)).toBeNull();
+  });
+
+  test('a request must change something on a booking that can still change', () => {
+    const today = '2099-02-01';
+
+    expect(validateModificationRequest(booking, { participants: 4 }, today)).toEqual({
+      changes: { bookingDate: '2099-03-01', startTime: '09:00', participants: 4 }
+    });
+    // A new date drops the old start time unless one is given
+    expect(validateModificationRequest(booking, { bookingDate: '2099-03-05' }, today)).toEqual({
+      changes: { bookingDate: '2099-03-05', startTime: null, participants: 2 }
+    });
+
+    expect(validateModificationRequest(booking, {}, today).error).toBeDefined();
+    expect(validateModificationRequest(booking, { bookingDate: '2099-01-15' }, today).error).toBeDefined();
+    expect(validateModificationRequest(booking, { participants: 0 }, today).error).toBeDefined();
+    expect(validateModificationRequest({ ...booking, status: 'cancelled' }, { participants: 3 }, today).error).toBeDefined();
+    expect(validateModificationRequest(booking, { participants: 3 }, '2099-03-02').error).toBeDefined();
+  });
+
+  test('an approved increase on a paid booking is topped up once, for exactly the difference', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.integer({ min: 1, max: 10 }),
+        fc.integer({ min: 1, max: 10 }),
+        fc.integer({ min: 1000, max: 500000 }),
+        async (participants, extra, unitPrice) => {
+          const db = createStore({ participants, newParticipants: participants + extra, unitPrice });
+          const decide = () => decideModification(db, { bookingId: 7, modificationId: 4, providerId: 3, actorId: 20, approve: true });
+
+          const approved = await decide();
+          expect(approved).toMatchObject({ success: true, balanceDue: unitPrice * extra });
+          expect(approved.booking.payment_status).toBe('partially_paid');
+          expect(approved.topUp).toMatchObject({ kind: 'balance', amount: String(unitPrice * extra), status: 'pending' });
+
+          // Deciding again changes nothing
+          expect(await decide()).toMatchObject({ success: false, status: 409 });
+          expect(db.store.instalments).toHaveLength(1);
+
+          // The next payment charges the top-up, and no second one starts while it is in progress
+          const due = await getAmountDue(db, db.store.booking);
+          expect(due).toEqual({ amount: unitPrice * extra, instalment: expect.objectContaining({ id: approved.topUp.id }) });
+          const payment = { id: 2, booking_id: 7, amount: due.amount, payment_status: 'pending', instalment_id: due.instalment.id };
+          db.store.payments.push(payment);
+          expect(await getAmountDue(db, db.store.booking)).toMatchObject({ status: 409 });
+          expect(await getAmountDue(db, db.store.booking, { payInFull: true })).toMatchObject({ status: 409 });
+
+          payment.payment_status = 'completed';
+          expect(await settleInstalments(db, payment)).toBe(0);
+          expect(db.store.instalments[0]).toMatchObject({ status: 'paid', payment_id: 2 });
+          expect(await getAmountDue(db, db.store.booking)).toEqual({ status: 409, error: 'This booking is already paid' });
+        }
+      ),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('a booking nothing has been paid on just costs more, with no top-up', async () => {
+    const db = createStore({ participants: 2, newParticipants: 3, unitPrice: 100000 });
+    db.store.payments = [];
+    db.store.booking.payment_status = 'pending';
+
+    const approved = await decideModification(db, { bookingId: 7, modificationId: 4, providerId: 3, actorId: 20, approve: true });
+    expect(approved).toMatchObject({ success: true, balanceDue: 300000, topUp: null });
+    expect(db.store.instalments).toEqual([]);
+    expect(await getAmountDue(db, db.store.booking)).toEqual({ amount: 300000, instalment: null });
+  });
+
+  test('a booking in an unpaid checkout order cannot change price until the order is paid', async () => {
+    const db = createStore({ participants: 2, newParticipants: 3, unitPrice: 100000 });
+    db.store.payments = [];
+    Object.assign(db.store.booking, { order_id: 9, payment_status: 'pending' });
+    db.store.order = { id: 9, status: 'pending' };
+
+    const refused = await decideModification(db, { bookingId: 7, modificationId: 4, providerId: 3, actorId: 20, approve: true });
+    expect(refused).toMatchObject({ success: false, status: 409, code: 'ORDER_UNPAID' });
+    expect(db.store.booking.total_amount).toBe('200000');
+    expect(db.store.modification.status).toBe('pending');
+
+    db.store.order.status = 'paid';
+    db.store.payments = [{ id: 1, order_id: 9, amount: 200000, payment_status: 'completed', instalment_id: null }];
+    db.store.booking.payment_status = 'paid';
+    const approved = await decideModification(db, { bookingId: 7, modificationId: 4, providerId: 3, actorId: 20, approve: true });
+    expect(approved).toMatchObject({ success: true, balanceDue: 100000 });
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Property-Based Tests for notification preferences, quiet hours and digests
+ * Feature: notification-preferences
+ */
+
+const fc = require('fast-check');
+const {
+  NOTIFICATION_TYPES,
+  toPreferences,
+  quietHoursEnd,
+  planDelivery,
+  updateNotificationSettings
+} = require('../utils/notificationPreferences');
+const { createNotification } = require('../utils/notifications');
+const { queueEmail } = require('../utils/mailer');
+const { sendDueDigests } = require('../utils/notificationDigests');
+
+const MIN_ITERATIONS = 100;
+
+const USER = 10;
+const TYPES = Object.keys(NOTIFICATION_TYPES);
+const CHANNELS = ['in_app', 'email', 'sms'];
+
+const clock = fc.tuple(fc.integer({ min: 0, max: 23 }), fc.integer({ min: 0, max: 59 }))
+  .map(([h, m]) => `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`);
+
+const utcMinutes = (date) => date.getUTCHours() * 60 + date.getUTCMinutes();
+const toMinutes = (time) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5));
+
+// One user with their preferences, and what was written for them
+const createDb = (user) => {
+  const state = { user, overrides: [], notifications: [], digestItems: [], emails: [] };
+  const query = async (sql, params = []) => {
+    if (sql.includes('LEFT JOIN notification_preferences')) {
+      return { rows: [{ ...state.user, overrides: state.overrides }] };
+    }
+    if (sql.includes('INSERT INTO notification_preferences')) {
+      params[1].forEach((type, i) => {
+        state.overrides = state.overrides.filter(o => !(o.type === type && o.channel === params[2][i]));
+        state.overrides.push({ type, channel: params[2][i], enabled: params[3][i] });
+      });
+      return { rows: [] };
+    }
+    if (sql.includes('SET notification_digest = $2')) {
+      Object.assign(state.user, {
+        notification_digest: params[1], quiet_hours_start: params[2], quiet_hours_end: params[3], notification_timezone: params[4]
+      });
+      return { rows: [] };
+    }
+    if (sql.includes('INSERT INTO notifications')) {
+      state.notifications.push({ type: params[1], title: params[2], message: params[3] });
+      return { rows: [{ id: state.notifications.length }] };
+    }
+    if (sql.includes('INSERT INTO realtime_events')) {
+      return { rows: [] };
+    }
+    if (sql.includes('INSERT INTO notification_digest_items')) {
+      state.digestItems.push({ id: state.digestItems.length + 1, type: params[1], title: params[2], message: params[3], created_at: '2026-10-18' });
+      return { rows: [] };
+    }
+    if (sql.includes('EXISTS (SELECT 1 FROM notification_digest_items')) {
+      return { rows: state.digestItems.length > 0 ? [{ id: USER, email: 'amani@example.com', first_name: 'Amani', ...state.user }] : [] };
+    }
+    if (sql.includes('DELETE FROM notification_digest_items')) {
+      const taken = state.digestItems;
+      state.digestItems = [];
+      return { rows: taken };
+    }
+    if (sql.includes('INSERT INTO email_outbox')) {
+      state.emails.push({ template: params[2], subject: params[3], sendAfter: params[6] });
+      return { rows: [{ id: state.emails.length }] };
+    }
+    if (sql.includes('SET last_digest_at = NOW()')) {
+      return { rows: [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+  return { state, query };
+};
+
+const traveler = (overrides = {}) => ({
+  user_type: 'traveler', notification_digest: 'off', quiet_hours_start: null, quiet_hours_end: null,
+  notification_timezone: 'UTC', ...overrides
+});
+
+describe('Notification preferences', () => {
+
+  test('a channel that is turned off never gets the notification; others are unaffected', () => {
+    fc.assert(
+      fc.property(
+        fc.constantFrom(...TYPES),
+        fc.constantFrom(...CHANNELS),
+        fc.array(fc.record({ type: fc.constantFrom(...TYPES), channel: fc.constantFrom(...CHANNELS), enabled: fc.boolean() })),
+        (type, channel, overrides) => {
+          const preferences = toPreferences({ ...traveler(), overrides });
+          const plan = planDelivery(preferences, { type, channel });
+          const setting = overrides.filter(o => o.type === type && o.channel === channel).pop();
+
+          if (setting && !setting.enabled) {
+            expect(plan.send).toBe(false);
+          } else {
+            expect(plan).toEqual({ send: true, digest: false, sendAfter: null });
+          }
+        }
+      ),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('with a digest, low-priority notifications are held in-app and sent nowhere else', () => {
+    fc.assert(
+      fc.property(fc.constantFrom('daily', 'weekly'), fc.constantFrom(...CHANNELS), (digest, channel) => {
+        const preferences = toPreferences(traveler({ notification_digest: digest }));
+        for (const type of TYPES) {
+          const plan = planDelivery(preferences, { type, channel });
+          if (!NOTIFICATION_TYPES[type].lowPriority) {
+            expect(plan.digest).toBe(false);
+          } else if (channel === 'in_app') {
+            expect(plan).toMatchObject({ send: true, digest: true });
+          } else {
+            expect(plan.send).toBe(false);
+          }
+        }
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('during quiet hours emails and texts wait until they end; outside them nothing waits', () => {
+    fc.assert(
+      fc.property(
+        clock,
+        clock,
+        fc.date({ min: new Date('2026-01-01T00:00:00Z'), max: new Date('2027-12-31T23:59:59Z') }),
+        (start, end, now) => {
+          fc.pre(start !== end);
+          const preferences = toPreferences(traveler({ quiet_hours_start: `${start}:00`, quiet_hours_end: `${end}:00` }));
+          const current = utcMinutes(now);
+          const inside = toMinutes(start) < toMinutes(end)
+            ? current >= toMinutes(start) && current < toMinutes(end)
+            : current >= toMinutes(start) || current < toMinutes(end);
+
+          const resume = quietHoursEnd(preferences, now);
+          if (!inside) {
+            expect(resume).toBeNull();
+            return;
+          }
+          expect(resume.getTime()).toBeGreaterThan(now.getTime() - 60000);
+          expect(resume.getTime() - now.getTime()).toBeLessThanOrEqual(24 * 60 * 60000);
+          expect(utcMinutes(resume)).toBe(toMinutes(end));
+          expect(planDelivery(preferences, { type: 'booking_request', channel: 'email', now }).sendAfter).toEqual(resume);
+          expect(planDelivery(preferences, { type: 'booking_request', channel: 'in_app', now }).sendAfter).toBeNull();
+        }
+      ),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('quiet hours are read in the user\'s time zone', () => {
+    const preferences = toPreferences(traveler({
+      quiet_hours_start: '22:00:00', quiet_hours_end: '07:00:00', notification_timezone: 'Africa/Dar_es_Salaam'
+    }));
+    // 20:30 UTC is 23:30 in Dar es Salaam; quiet hours end at 07:00 there, 04:00 UTC
+    expect(quietHoursEnd(preferences, new Date('2026-10-19T20:30:00Z'))).toEqual(new Date('2026-10-20T04:00:00Z'));
+    expect(quietHoursEnd(preferences, new Date('2026-10-19T12:00:00Z'))).toBeNull();
+  });
+
+  test('settings are validated before anything is saved', async () => {
+    const db = createDb(traveler());
+    const invalid = [
+      { preferences: { newsletter: { email: false } } },
+      { preferences: { new_follower: { sms: false } } },
+      { preferences: { booking_confirmed: { email: 'no' } } },
+      { digest: 'hourly' },
+      { quietHours: { start: '22:00', end: '22:00' } },
+      { quietHours: { start: '25:00', end: '07:00' } },
+      { timezone: 'Mars/Olympus_Mons' }
+    ];
+    for (const changes of invalid) {
+      expect(await updateNotificationSettings(db, USER, changes)).toMatchObject({ success: false, status: 400 });
+    }
+    expect(db.state.overrides).toEqual([]);
+
+    const { settings } = await updateNotificationSettings(db, USER, {
+      preferences: { booking_confirmed: { email: false } },
+      digest: 'weekly',
+      quietHours: { start: '22:00', end: '07:00' }
+    });
+    const confirmed = settings.types.find(t => t.type === 'booking_confirmed');
+    expect(confirmed.enabled).toEqual({ in_app: true, email: false });
+    expect(settings).toMatchObject({ digest: 'weekly', quietHours: { start: '22:00', end: '07:00' }, timezone: 'UTC' });
+    expect(settings.types.map(t => t.type)).not.toContain('payout_paid');
+  });
+
+  test('every sender honours the preferences: in-app, email and the digest', async () => {
+    const db = createDb(traveler({ notification_digest: 'daily' }));
+    db.state.overrides.push({ type: 'booking_confirmed', channel: 'email', enabled: false });
+
+    await createNotification(db, { userId: USER, type: 'booking_confirmed', title: 'Booking confirmed', message: 'See you soon' });
+    await createNotification(db, { userId: USER, type: 'story_liked', title: 'Someone liked your story', message: 'Neema liked "Zanzibar".' });
+    await createNotification(db, { userId: USER, type: 'story_liked', title: 'Someone liked your story', message: 'Baraka liked "Zanzibar".' });
+    expect(await queueEmail(db, { to: 'amani@example.com', userId: USER, type: 'booking_confirmed', template: 'booking_confirmed', data: {} }))
+      .toBeNull();
+    // Account emails have no type and always go out
+    expect(await queueEmail(db, { to: 'amani@example.com', userId: USER, template: 'password_reset', data: {} })).not.toBeNull();
+
+    expect(db.state.notifications.map(n => n.type)).toEqual(['booking_confirmed']);
+    expect(db.state.digestItems).toHaveLength(2);
+
+    expect(await sendDueDigests(db)).toEqual([USER]);
+    expect(db.state.digestItems).toEqual([]);
+    expect(db.state.notifications[1]).toMatchObject({ type: 'notification_digest', message: 'Likes on your stories: 2' });
+    expect(db.state.emails.map(e => e.template)).toEqual(['password_reset', 'notification_digest']);
+    expect(await sendDueDigests(db)).toEqual([]);
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * Property-Based Tests for password reset tokens and rate limits
+ * Feature: password-reset
+ */
+
+const fc = require('fast-check');
+const bcrypt = require('bcryptjs');
+const {
+  MAX_REQUESTS_PER_EMAIL,
+  MAX_REQUESTS_PER_IP,
+  hashToken,
+  requestPasswordReset,
+  resetPassword
+} = require('../utils/passwordReset');
+
+const MIN_ITERATIONS = 100;
+
+// Users, reset tokens, requests and cookie sessions behind the pool interface. Every request counts
+// as recent. Each client takes advisory locks for real and only adds its requests on commit, and
+// every query yields, so parallel calls interleave the way they would against Postgres.
+const createPool = (users = [{ id: 1, email: 'amani@example.com', first_name: 'Amani', password: 'old', session_version: 0 }]) => {
+  const state = { users, tokens: [], requests: [], sessions: [], notifications: [], sessionTable: true };
+  const locks = new Map();
+
+  const createClient = () => {
+    let held = [];
+    let pendingRequests = [];
+    const endTransaction = (commit) => {
+      if (commit) state.requests.push(...pendingRequests);
+      pendingRequests = [];
+      held.forEach(key => {
+        const lock = locks.get(key);
+        locks.delete(key);
+        lock.release();
+      });
+      held = [];
+    };
+
+    const query = async (sql, params = []) => {
+      await new Promise(resolve => setImmediate(resolve));
+      if (sql === 'BEGIN') {
+        return { rows: [] };
+      }
+      if (sql === 'COMMIT' || sql === 'ROLLBACK') {
+        endTransaction(sql === 'COMMIT');
+        return { rows: [] };
+      }
+      if (sql.includes('pg_advisory_xact_lock')) {
+        while (locks.has(params[0])) await locks.get(params[0]).released;
+        let release;
+        locks.set(params[0], { released: new Promise(resolve => { release = resolve; }), release: () => release() });
+        held.push(params[0]);
+        return { rows: [] };
+      }
+      if (sql.includes('FROM password_reset_requests')) {
+        return {
+          rows: [{
+            by_email: String(state.requests.filter(r => r.email === params[0]).length),
+            by_ip: String(state.requests.filter(r => r.ip === params[1]).length)
+          }]
+        };
+      }
+      if (sql.includes('INSERT INTO password_reset_requests')) {
+        pendingRequests.push({ email: params[0], ip: params[1] });
+        return { rows: [] };
+      }
+      if (sql.includes('FROM users WHERE email = $1')) {
+        return { rows: state.users.filter(u => u.email === params[0]).map(({ id, email, first_name }) => ({ id, email, first_name })) };
+      }
+      if (sql.includes('UPDATE password_reset_tokens SET used_at = NOW()')) {
+        state.tokens.filter(t => t.user_id === params[0]).forEach(t => { t.used = true; });
+        return { rows: [] };
+      }
+      if (sql.includes('INSERT INTO password_reset_tokens')) {
+        state.tokens.push({ id: state.tokens.length + 1, user_id: params[0], token_hash: params[1], used: false, expired: false });
+        return { rows: [] };
+      }
+      if (sql.includes('SELECT id, user_id FROM password_reset_tokens')) {
+        return { rows: state.tokens.filter(t => t.token_hash === params[0] && !t.used && !t.expired) };
+      }
+      if (sql.includes('UPDATE users SET password = $2')) {
+        const user = state.users.find(u => u.id === params[0]);
+        user.password = params[1];
+        user.session_version += 1;
+        return { rows: [] };
+      }
+      if (sql.includes('to_regclass')) {
+        return { rows: [{ name: state.sessionTable ? params[0] : null }] };
+      }
+      if (sql.includes('DELETE FROM "session"')) {
+        state.sessions = state.sessions.filter(session => String(session.sess.passport.user) !== params[0]);
+        return { rows: [] };
+      }
+      if (sql.includes('pg_notify')) {
+        state.notifications.push({ userId: params[0], disconnect: true });
+        return { rows: [] };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    };
+    return { query, release: () => {} };
+  };
+
+  return { state, connect: async () => createClient() };
+};
+
+describe('Password reset', () => {
+
+  test('an email is limited to a few requests whether or not it has an account', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.constantFrom('amani@example.com', 'nobody@example.com'),
+        fc.integer({ min: 1, max: MAX_REQUESTS_PER_EMAIL + 5 }),
+        async (email, attempts) => {
+          const pool = createPool();
+          const results = [];
+          for (let i = 0; i < attempts; i++) {
+            // A different IP each time, so only the per-email limit applies
+            results.push(await requestPasswordReset(pool, { email: ` ${email.toUpperCase()} `, ip: `10.0.0.${i}` }));
+          }
+
+          const limited = results.filter(r => r.success === false);
+          expect(limited).toHaveLength(Math.max(0, attempts - MAX_REQUESTS_PER_EMAIL));
+          expect(limited.every(r => r.status === 429)).toBe(true);
+          expect(pool.state.requests).toHaveLength(Math.min(attempts, MAX_REQUESTS_PER_EMAIL));
+          const issued = results.filter(r => r.token).length;
+          expect(issued).toBe(email === 'amani@example.com' ? Math.min(attempts, MAX_REQUESTS_PER_EMAIL) : 0);
+        }
+      ),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('an IP is limited across different emails', async () => {
+    await fc.assert(
+      fc.asyncProperty(fc.integer({ min: 1, max: MAX_REQUESTS_PER_IP + 5 }), async (attempts) => {
+        const pool = createPool();
+        let limited = 0;
+        for (let i = 0; i < attempts; i++) {
+          const result = await requestPasswordReset(pool, { email: `guest${i}@example.com`, ip: '196.41.32.8' });
+          if (result.success === false) limited++;
+        }
+        expect(limited).toBe(Math.max(0, attempts - MAX_REQUESTS_PER_IP));
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('only a hash of the token is stored, and a new request voids the previous link', async () => {
+    await fc.assert(
+      fc.asyncProperty(fc.integer({ min: 1, max: MAX_REQUESTS_PER_EMAIL }), async (requests) => {
+        const pool = createPool();
+        const tokens = [];
+        for (let i = 0; i < requests; i++) {
+          tokens.push((await requestPasswordReset(pool, { email: 'amani@example.com', ip: '10.0.0.1' })).token);
+        }
+
+        expect(new Set(tokens).size).toBe(requests);
+        for (const token of tokens) {
+          expect(token).toMatch(/^[0-9a-f]{64}$/);
+          expect(pool.state.tokens.some(t => t.token_hash === token)).toBe(false);
+        }
+        const usable = pool.state.tokens.filter(t => !t.used);
+        expect(usable.map(t => t.token_hash)).toEqual([hashToken(tokens[tokens.length - 1])]);
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('parallel requests can\'t get past the email or IP limit', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.integer({ min: 1, max: MAX_REQUESTS_PER_EMAIL + 5 }),
+        fc.integer({ min: 1, max: MAX_REQUESTS_PER_IP + 5 }),
+        async (sameEmail, sameIp) => {
+          const pool = createPool();
+          const results = await Promise.all([
+            ...Array.from({ length: sameEmail }, (_, i) => requestPasswordReset(pool, { email: 'amani@example.com', ip: `10.0.0.${i}` })),
+            ...Array.from({ length: sameIp }, (_, i) => requestPasswordReset(pool, { email: `guest${i}@example.com`, ip: '196.41.32.8' }))
+          ]);
+
+          const accepted = results.filter(r => r.success !== false);
+          expect(accepted).toHaveLength(Math.min(sameEmail, MAX_REQUESTS_PER_EMAIL) + Math.min(sameIp, MAX_REQUESTS_PER_IP));
+          expect(pool.state.requests.filter(r => r.email === 'amani@example.com')).toHaveLength(Math.min(sameEmail, MAX_REQUESTS_PER_EMAIL));
+          expect(pool.state.requests.filter(r => r.ip === '196.41.32.8')).toHaveLength(Math.min(sameIp, MAX_REQUESTS_PER_IP));
+        }
+      ),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('a reset link works once, sets the password and signs out existing sessions', async () => {
+    const pool = createPool();
+    const { token } = await requestPasswordReset(pool, { email: 'amani@example.com', ip: '10.0.0.1' });
+
+    expect(await resetPassword(pool, { token, password: '123' })).toMatchObject({ success: false, status: 400 });
+    expect(await resetPassword(pool, { token, password: 'kilimanjaro' })).toEqual({ userId: 1 });
+
+    const [user] = pool.state.users;
+    expect(await bcrypt.compare('kilimanjaro', user.password)).toBe(true);
+    expect(user.session_version).toBe(1);
+
+    expect(await resetPassword(pool, { token, password: 'serengeti' })).toMatchObject({ success: false, status: 400 });
+    expect(await bcrypt.compare('kilimanjaro', user.password)).toBe(true);
+  });
+
+  test('a reset deletes the user\'s cookie sessions and closes their real-time streams', async () => {
+    const pool = createPool();
+    pool.state.sessions = [
+      { sid: 'a', sess: { passport: { user: 1 } } },
+      { sid: 'b', sess: { passport: { user: 2 } } },
+      { sid: 'c', sess: { passport: { user: 1 } } }
+    ];
+    const { token } = await requestPasswordReset(pool, { email: 'amani@example.com', ip: '10.0.0.1' });
+
+    expect(await resetPassword(pool, { token, password: 'kilimanjaro' })).toEqual({ userId: 1 });
+    expect(pool.state.sessions.map(session => session.sid)).toEqual(['b']);
+    expect(pool.state.notifications).toEqual([{ userId: 1, disconnect: true }]);
+
+    // Without a Postgres session store there are no session rows, but streams still close
+    const memorySessions = createPool();
+    memorySessions.state.sessionTable = false;
+    const second = await requestPasswordReset(memorySessions, { email: 'amani@example.com', ip: '10.0.0.1' });
+    expect(await resetPassword(memorySessions, { token: second.token, password: 'kilimanjaro' })).toEqual({ userId: 1 });
+    expect(memorySessions.state.notifications).toEqual([{ userId: 1, disconnect: true }]);
+  });
+
+  test('expired and made-up tokens are refused', async () => {
+    const pool = createPool();
+    const { token } = await requestPasswordReset(pool, { email: 'amani@example.com', ip: '10.0.0.1' });
+    pool.state.tokens[0].expired = true;
+
+    expect(await resetPassword(pool, { token, password: 'kilimanjaro' })).toMatchObject({ success: false, status: 400 });
+    expect(await resetPassword(pool, { token: 'not-a-token', password: 'kilimanjaro' })).toMatchObject({ success: false, status: 400 });
+    expect(pool.state.users[0]).toMatchObject({ password: 'old', session_version: 0 });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Property-Based Tests for deposit and instalment payment plans
+ * Feature: payment-plans
+ */
+
+const fc = require('fast-check');
+const { normalizePaymentPlan, buildInstalmentSchedule, paymentStatusFor } = require('../utils/paymentPlans');
+
+const MIN_ITERATIONS = 100;
+
+// Valid plans: a deposit and instalments that leave a balance, each instalment before the balance
+const planGen = fc.record({
+  depositPercent: fc.integer({ min: 5, max: 50 }),
+  balanceDaysBefore: fc.integer({ min: 0, max: 60 }),
+  graceDays: fc.integer({ min: 0, max: 7 }),
+  instalments: fc.uniqueArray(
+    fc.record({ percent: fc.integer({ min: 1, max: 10 }), extraDays: fc.integer({ min: 1, max: 120 }) }),
+    { maxLength: 4, selector: i => i.extraDays }
+  )
+}).map(({ instalments, ...plan }) => ({
+  ...plan,
+  instalments: instalments.map(i => ({ percent: i.percent, daysBefore: plan.balanceDaysBefore + i.extraDays }))
+}));
+
+const dateKey = (offset) => {
+  const date = new Date(2099, 0, 1);
+  date.setDate(date.getDate() + offset);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+describe('Payment plans', () => {
+
+  test('instalments always add up to the booking total and fall due in order before the date', () => {
+    fc.assert(
+      fc.property(
+        planGen,
+        fc.integer({ min: 1, max: 5000000 }),
+        fc.integer({ min: 0, max: 365 }),
+        (rawPlan, cents, daysAhead) => {
+          const { plan } = normalizePaymentPlan(rawPlan);
+          const totalAmount = cents / 100;
+          const today = dateKey(0);
+          const schedule = buildInstalmentSchedule({ plan, totalAmount, bookingDate: dateKey(daysAhead), today });
+
+          if (schedule.length === 0) return;
+
+          const sum = schedule.reduce((total, instalment) => total + instalment.amount, 0);
+          expect(Math.round(sum * 100)).toBe(cents);
+          expect(schedule[0]).toMatchObject({ sequence: 1, kind: 'deposit', dueDate: today });
+          schedule.slice(1).forEach((instalment, index) => {
+            expect(instalment.dueDate > schedule[index].dueDate).toBe(true);
+            expect(instalment.dueDate <= dateKey(daysAhead)).toBe(true);
+          });
+          expect(schedule[schedule.length - 1].kind).toBe('balance');
+        }
+      ),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('anything already due is taken with the deposit', () => {
+    const { plan } = normalizePaymentPlan({
+      depositPercent: 20,
+      instalments: [{ percent: 30, daysBefore: 60 }],
+      balanceDaysBefore: 14
+    });
+
+    // Far off: deposit, instalment and balance
+    expect(buildInstalmentSchedule({ plan, totalAmount: 1000, bookingDate: dateKey(90), today: dateKey(0) })).toEqual([
+      { sequence: 1, kind: 'deposit', amount: 200, dueDate: dateKey(0) },
+      { sequence: 2, kind: 'instalment', amount: 300, dueDate: dateKey(30) },
+      { sequence: 3, kind: 'balance', amount: 500, dueDate: dateKey(76) }
+    ]);
+    // Inside the instalment window: the instalment joins the deposit
+    expect(buildInstalmentSchedule({ plan, totalAmount: 1000, bookingDate: dateKey(30), today: dateKey(0) })).toEqual([
+      { sequence: 1, kind: 'deposit', amount: 500, dueDate: dateKey(0) },
+      { sequence: 2, kind: 'balance', amount: 500, dueDate: dateKey(16) }
+    ]);
+    // Inside the balance window: the booking is simply paid in full
+    expect(buildInstalmentSchedule({ plan, totalAmount: 1000, bookingDate: dateKey(10), today: dateKey(0) })).toEqual([]);
+  });
+
+  test('plans must take a deposit and leave a balance', () => {
+    expect(normalizePaymentPlan(null)).toEqual({ plan: null });
+    expect(normalizePaymentPlan({ depositPercent: '' })).toEqual({ plan: null });
+    expect(normalizePaymentPlan({ depositPercent: 100 }).error).toBeDefined();
+    expect(normalizePaymentPlan({ depositPercent: 0 }).error).toBeDefined();
+    expect(normalizePaymentPlan({ depositPercent: 50, instalments: [{ percent: 50, daysBefore: 30 }] }).error).toBeDefined();
+    expect(normalizePaymentPlan({ depositPercent: 30, balanceDaysBefore: 30, instalments: [{ percent: 20, daysBefore: 30 }] }).error).toBeDefined();
+    expect(normalizePaymentPlan({ depositPercent: 30, graceDays: -1 }).error).toBeDefined();
+    expect(normalizePaymentPlan({ depositPercent: 30, instalments: [{ percent: 10, daysBefore: 30 }, { percent: 10, daysBefore: 30 }] }).error).toBeDefined();
+
+    expect(normalizePaymentPlan({
+      depositPercent: '25',
+      balanceDaysBefore: '30',
+      instalments: [{ percent: '25', daysBefore: '45' }, { percent: '25', daysBefore: '90' }]
+    })).toEqual({
+      plan: {
+        depositPercent: 25,
+        balanceDaysBefore: 30,
+        graceDays: 0,
+        instalments: [{ percent: 25, daysBefore: 90 }, { percent: 25, daysBefore: 45 }]
+      }
+    });
+  });
+
+  test('a booking is partially paid until what was paid covers its total', () => {
+    fc.assert(
+      fc.property(fc.integer({ min: 1, max: 100000 }), fc.integer({ min: 0, max: 200000 }), (total, paid) => {
+        const expected = paid >= total ? 'paid' : paid > 0 ? 'partially_paid' : 'pending';
+        expect(paymentStatusFor(paid, String(total))).toBe(expected);
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+});
@@ -0,0 +1,298 @@
+/**
+ * Property-Based Tests for payment gateways and callback handling
+ * Feature: payment-gateways
+ */
+
+const fc = require('fast-check');
+const {
+  GATEWAYS,
+  signPayload,
+  verifyStripeSignature,
+  getGateway
+} = require('../utils/paymentGateways');
+const { PROMOTION_PLANS, getPromotionPlan, canApplyResult, applyGatewayResult } = require('../utils/payments');
+
+// Invoice PDFs are covered in invoices.test.js
+jest.mock('../utils/invoices', () => ({ issueBookingInvoice: jest.fn(async () => null) }));
+
+const MIN_ITERATIONS = 100;
+
+const SECRET = 'whsec_test';
+
+const stripeHeader = (body, timestamp, secret = SECRET) =>
+  `t=${timestamp},v1=${signPayload(secret, `${timestamp}.${body}`)}`;
+
+// Minimal pool whose client remembers applied events and the payment row
+const fakePool = (payment) => {
+  const events = new Set();
+  const queries = [];
+  const client = {
+    query: async (sql, params) => {
+      queries.push(sql);
+      if (sql.startsWith('INSERT INTO payment_gateway_events')) {
+        const key = `${params[0]}:${params[1]}`;
+        if (events.has(key)) return { rows: [] };
+        events.add(key);
+        return { rows: [{ id: events.size }] };
+      }
+      if (sql.startsWith('SELECT')) return { rows: payment ? [{ ...payment }] : [] };
+      if (sql.trim().startsWith('UPDATE payments')) {
+        Object.assign(payment, { payment_status: params[0], transaction_id: params[1] || payment.transaction_id });
+        return { rows: [{ ...payment }] };
+      }
+      return { rows: [] };
+    },
+    release: () => {}
+  };
+  return { queries, connect: async () => client };
+};
+
+// Client for a completed callback on a booking payment: remembers updates and refunds made
+const bookingPaymentClient = (payment, booking) => {
+  const queries = [];
+  const refunds = [];
+  const client = {
+    query: async (sql, params) => {
+      queries.push(sql);
+      if (sql.startsWith('INSERT INTO payment_gateway_events')) return { rows: [{ id: 1 }] };
+      if (sql.startsWith('SELECT * FROM payments')) return { rows: [{ ...payment }] };
+      if (sql.trim().startsWith('UPDATE payments')) return { rows: [{ ...payment, payment_status: params[0] }] };
+      if (sql.includes('FROM bookings')) return { rows: [{ ...booking }] };
+      if (sql.includes('INSERT INTO refunds')) {
+        refunds.push({ booking_id: params[0], payment_id: params[1], amount: params[2], reason: params[4] });
+        return { rows: [{ id: refunds.length, booking_id: params[0], payment_id: params[1], amount: params[2], currency: params[3] }] };
+      }
+      if (sql.includes('INSERT INTO ledger_journals')) return { rows: [{ id: 1 }] };
+      return { rows: [] };
+    },
+    release: () => {}
+  };
+  return { queries, refunds, pool: { connect: async () => client } };
+};
+
+const completedResult = (eventId) => ({
+  eventId, reference: `pi_${eventId}`, status: 'completed', transactionId: `ch_${eventId}`, failureReason: null
+});
+
+describe('Payment gateways', () => {
+
+  describe('verifyStripeSignature', () => {
+    test('accepts bodies signed with the webhook secret within the tolerance', () => {
+      fc.assert(
+        fc.property(fc.string(), fc.integer({ min: -299, max: 299 }), (body, skew) => {
+          const now = 1800000000000;
+          const header = stripeHeader(body || '{}', now / 1000 + skew);
+          expect(verifyStripeSignature(body || '{}', header, SECRET, now)).toBe(true);
+        }),
+        { numRuns: MIN_ITERATIONS }
+      );
+    });
+
+    test('rejects tampered bodies, other secrets and stale timestamps', () => {
+      const now = 1800000000000;
+      const body = '{"id":"evt_1"}';
+      const header = stripeHeader(body, now / 1000);
+
+      expect(verifyStripeSignature('{"id":"evt_2"}', header, SECRET, now)).toBe(false);
+      expect(verifyStripeSignature(body, stripeHeader(body, now / 1000, 'whsec_other'), SECRET, now)).toBe(false);
+      expect(verifyStripeSignature(body, stripeHeader(body, now / 1000 - 301), SECRET, now)).toBe(false);
+      expect(verifyStripeSignature(body, undefined, SECRET, now)).toBe(false);
+    });
+  });
+
+  test('M-Pesa callbacks map result codes to completed or failed', () => {
+    const callback = (resultCode) => ({
+      query: {},
+      body: {
+        Body: {
+          stkCallback: {
+            CheckoutRequestID: 'ws_CO_1',
+            ResultCode: resultCode,
+            ResultDesc: resultCode === 0 ? 'Success' : 'Request cancelled by user',
+            CallbackMetadata: { Item: [{ Name: 'MpesaReceiptNumber', Value: 'QK1234' }] }
+          }
+        }
+      }
+    });
+
+    expect(GATEWAYS.mpesa.parse(callback(0))).toMatchObject({ reference: 'ws_CO_1', status: 'completed', transactionId: 'QK1234' });
+    expect(GATEWAYS.mpesa.parse(callback(1032))).toMatchObject({ status: 'failed', failureReason: 'Request cancelled by user' });
+  });
+
+  describe('sandbox gateway', () => {
+    const SANDBOX_SECRET = 'sandbox_test';
+    const rawBody = JSON.stringify({ reference: 'SANDBOX-1', status: 'completed' });
+    const req = (signature) => ({ rawBody, headers: { 'x-sandbox-signature': signature } });
+    const previous = { secret: process.env.PAYMENT_SANDBOX_SECRET, nodeEnv: process.env.NODE_ENV };
+
+    const setEnv = (name, value) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    };
+    afterEach(() => {
+      setEnv('PAYMENT_SANDBOX_SECRET', previous.secret);
+      setEnv('NODE_ENV', previous.nodeEnv);
+    });
+
+    test('callbacks must carry a signature over the raw body', () => {
+      setEnv('PAYMENT_SANDBOX_SECRET', SANDBOX_SECRET);
+
+      expect(getGateway('sandbox')).toBe(GATEWAYS.sandbox);
+      expect(GATEWAYS.sandbox.verify(req(signPayload(SANDBOX_SECRET, rawBody)))).toBe(true);
+      expect(GATEWAYS.sandbox.verify(req('forged'))).toBe(false);
+      expect(GATEWAYS.sandbox.verify(req(signPayload('isafari-sandbox', rawBody)))).toBe(false);
+    });
+
+    test('is disabled unless its secret is set, and always in production', () => {
+      for (const secret of [undefined, '']) {
+        setEnv('PAYMENT_SANDBOX_SECRET', secret);
+        expect(getGateway('sandbox')).toBeNull();
+        expect(GATEWAYS.sandbox.verify(req(signPayload('isafari-sandbox', rawBody)))).toBe(false);
+      }
+
+      setEnv('PAYMENT_SANDBOX_SECRET', SANDBOX_SECRET);
+      setEnv('NODE_ENV', 'production');
+      expect(getGateway('sandbox')).toBeNull();
+      expect(GATEWAYS.sandbox.verify(req(signPayload(SANDBOX_SECRET, rawBody)))).toBe(false);
+    });
+  });
+
+  test('a payment that completes after its booking was cancelled is refunded in full', async () => {
+    const payment = { id: 6, booking_id: 9, amount: '80000.00', currency: 'TZS', payment_status: 'pending' };
+    const { queries, refunds, pool } = bookingPaymentClient(payment, {
+      id: 9, provider_id: 4, total_amount: '80000.00', fee_breakdown: null, status: 'cancelled', payment_status: 'pending'
+    });
+
+    const result = await applyGatewayResult(pool, 'stripe', completedResult('evt_3'));
+
+    expect(result).toMatchObject({ success: true, payment: { payment_status: 'completed' } });
+    expect(refunds).toEqual([{ booking_id: 9, payment_id: 6, amount: 80000, reason: expect.stringMatching(/cancelled/) }]);
+    expect(queries.some(sql => sql.includes("SET payment_status = 'paid'"))).toBe(false);
+    expect(queries.some(sql => sql.includes('booking_instalments'))).toBe(false);
+  });
+
+  test('a late success on a booking another payment already paid is refunded in full', async () => {
+    const payment = { id: 7, booking_id: 9, amount: '80000.00', currency: 'TZS', payment_status: 'failed' };
+    const { queries, refunds, pool } = bookingPaymentClient(payment, {
+      id: 9, provider_id: 4, total_amount: '80000.00', fee_breakdown: null, status: 'confirmed', payment_status: 'paid'
+    });
+
+    const result = await applyGatewayResult(pool, 'stripe', completedResult('evt_4'));
+
+    expect(result).toMatchObject({ success: true, payment: { payment_status: 'completed' } });
+    expect(refunds).toEqual([{ booking_id: 9, payment_id: 7, amount: 80000, reason: expect.stringMatching(/Duplicate/) }]);
+    expect(queries.some(sql => sql.includes("SET payment_status = 'paid'"))).toBe(false);
+  });
+
+  test('a late success on an order another payment already paid refunds every booking share', async () => {
+    const payment = { id: 8, order_id: 3, amount: '250000.00', currency: 'TZS', payment_status: 'failed', created_at: new Date(2026, 9, 19, 9) };
+    const bookings = [
+      { id: 1, provider_id: 4, total_amount: '100000.00', fee_breakdown: null, status: 'confirmed', payment_status: 'paid' },
+      { id: 2, provider_id: 5, total_amount: '150000.00', fee_breakdown: null, status: 'confirmed', payment_status: 'paid' }
+    ];
+    const queries = [];
+    const refunds = [];
+    const client = {
+      query: async (sql, params) => {
+        queries.push(sql);
+        if (sql.startsWith('INSERT INTO payment_gateway_events')) return { rows: [{ id: 1 }] };
+        if (sql.startsWith('SELECT * FROM payments')) return { rows: [{ ...payment }] };
+        if (sql.trim().startsWith('UPDATE payments')) return { rows: [{ ...payment, payment_status: params[0] }] };
+        if (sql.includes('FROM orders')) return { rows: [{ status: 'paid' }] };
+        if (sql.includes('FROM bookings') && sql.includes('cancelled_at')) return { rows: bookings.map(b => ({ ...b })) };
+        if (sql.includes('INSERT INTO refunds')) {
+          refunds.push({ booking_id: params[0], amount: params[2] });
+          return { rows: [{ id: refunds.length, booking_id: params[0], payment_id: params[1], amount: params[2], currency: params[3] }] };
+        }
+        if (sql.includes('INSERT INTO ledger_journals')) return { rows: [{ id: 1 }] };
+        return { rows: [] };
+      },
+      release: () => {}
+    };
+
+    const result = await applyGatewayResult({ connect: async () => client }, 'stripe', completedResult('evt_5'));
+
+    expect(result.success).toBe(true);
+    expect(refunds).toEqual([{ booking_id: 1, amount: 100000 }, { booking_id: 2, amount: 150000 }]);
+    expect(queries.some(sql => sql.includes("SET payment_status = 'paid'") || sql.includes("SET status = 'paid'"))).toBe(false);
+  });
+
+  test('results only change pending payments, except a late success after a timeout', () => {
+    const statusGen = fc.constantFrom('pending', 'completed', 'failed', 'refunded');
+    fc.assert(
+      fc.property(statusGen, fc.constantFrom('completed', 'failed'), (current, incoming) => {
+        const expected = current === 'pending' || (current === 'failed' && incoming === 'completed');
+        expect(canApplyResult(current, incoming)).toBe(expected);
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('applying the same gateway event twice only updates the payment once', async () => {
+    const pool = fakePool({ id: 3, booking_id: 8, payment_status: 'pending', transaction_id: null });
+    const result = { eventId: 'evt_1', reference: 'pi_1', status: 'completed', transactionId: 'ch_1', failureReason: null };
+
+    const first = await applyGatewayResult(pool, 'stripe', result);
+    const second = await applyGatewayResult(pool, 'stripe', result);
+
+    expect(first).toMatchObject({ success: true, payment: { payment_status: 'completed', transaction_id: 'ch_1' } });
+    expect(second).toEqual({ success: true, duplicate: true });
+    expect(pool.queries.filter(sql => sql.includes("SET payment_status = 'paid'")).length).toBe(1);
+  });
+
+  test('promotion plans are priced on the server and only known plans are sold', () => {
+    const now = new Date(2026, 9, 19);
+    expect(getPromotionPlan('premium_membership', 'quarterly', now)).toEqual({
+      duration: 'quarterly',
+      amount: PROMOTION_PLANS.premium_membership.quarterly.amount,
+      currency: 'TZS',
+      validUntil: new Date(2027, 0, 19)
+    });
+    expect(getPromotionPlan('featured_service', 'weekly', now).validUntil).toEqual(new Date(2026, 9, 26));
+    expect(getPromotionPlan('featured_service', 'yearly')).toBeNull();
+    expect(getPromotionPlan('booking_payment', 'monthly')).toBeNull();
+    expect(getPromotionPlan('premium_membership', undefined)).toBeNull();
+    expect(getPromotionPlan('premium_membership', 'constructor')).toBeNull();
+  });
+
+  test('an order payment skips bookings cancelled while it was in flight and refunds their share', async () => {
+    const payment = { id: 5, order_id: 3, amount: '250000.00', currency: 'TZS', payment_status: 'pending', created_at: new Date(2026, 9, 19, 9) };
+    const bookings = [
+      { id: 1, provider_id: 4, total_amount: '100000.00', fee_breakdown: null, status: 'pending', payment_status: 'pending' },
+      { id: 2, provider_id: 5, total_amount: '150000.00', fee_breakdown: null, status: 'cancelled', payment_status: 'pending' }
+    ];
+    const refunds = [];
+    const client = {
+      query: async (sql, params) => {
+        if (sql.startsWith('INSERT INTO payment_gateway_events')) return { rows: [{ id: 1 }] };
+        if (sql.startsWith('SELECT * FROM payments')) return { rows: [{ ...payment }] };
+        if (sql.trim().startsWith('UPDATE payments')) return { rows: [{ ...payment, payment_status: params[0] }] };
+        if (sql.includes('FROM bookings') && sql.includes('cancelled_at')) return { rows: bookings.map(b => ({ ...b })) };
+        if (sql.includes("SET payment_status = 'paid'") && sql.includes('order_id')) {
+          const paid = bookings.filter(b => b.payment_status === 'pending' && b.status !== 'cancelled');
+          paid.forEach(b => { b.payment_status = 'paid'; });
+          return { rows: paid.map(b => ({ id: b.id })) };
+        }
+        if (sql.includes('INSERT INTO refunds')) {
+          refunds.push({ booking_id: params[0], payment_id: params[1], amount: params[2] });
+          return { rows: [{ id: refunds.length, booking_id: params[0], payment_id: params[1], amount: params[2], currency: params[3] }] };
+        }
+        if (sql.includes("SET payment_status = 'refunded'")) {
+          bookings.find(b => b.id === params[0]).payment_status = 'refunded';
+          return { rows: [] };
+        }
+        if (sql.includes('INSERT INTO ledger_journals')) return { rows: [{ id: 1 }] };
+        return { rows: [] };
+      },
+      release: () => {}
+    };
+
+    const result = await applyGatewayResult({ connect: async () => client }, 'stripe', {
+      eventId: 'evt_2', reference: 'pi_2', status: 'completed', transactionId: 'ch_2', failureReason: null
+    });
+
+    expect(result.success).toBe(true);
+    expect(bookings.map(b => b.payment_status)).toEqual(['paid', 'refunded']);
+    expect(refunds).toEqual([{ booking_id: 2, payment_id: 5, amount: 150000 }]);
+  });
+});
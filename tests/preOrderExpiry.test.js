@@ -0,0 +1,155 @@
+/**
+ * Property-Based Tests for pre-order expiry and the background job scheduler
+ * Feature: pre-order-expiry
+ */
+
+const fc = require('fast-check');
+const { DEFAULT_EXPIRY_SETTINGS, normalizeExpirySettings, responseDueAt, expireStaleDrafts } = require('../utils/preOrderExpiry');
+const { createScheduler } = require('../utils/scheduler');
+
+const MIN_ITERATIONS = 100;
+
+// Drafts behind the pool interface the expiry job and the booking state machine use
+const createPool = (drafts) => {
+  const state = { bookings: drafts.map(draft => ({ ...draft })), history: [], notifications: [], settingsQueries: 0 };
+  const query = async (sql, params = []) => {
+    if (/^(BEGIN|COMMIT|ROLLBACK)/.test(sql)) return { rows: [] };
+    if (sql.startsWith('SELECT setting_value FROM system_settings')) {
+      state.settingsQueries++;
+      return { rows: [] };
+    }
+    if (sql.includes("b.status = 'draft'")) {
+      return { rows: state.bookings.filter(b => b.status === 'draft' && b.idleDays > params[0]) };
+    }
+    if (sql.startsWith('SELECT * FROM bookings')) {
+      return { rows: state.bookings.filter(b => b.id === params[0]) };
+    }
+    if (sql.startsWith('UPDATE bookings SET status')) {
+      const booking = state.bookings.find(b => b.id === params[1]);
+      booking.status = params[0];
+      return { rows: [{ ...booking }] };
+    }
+    if (sql.includes('INSERT INTO booking_status_history')) {
+      state.history.push({ bookingId: params[0], toStatus: params[2], actor: params[3] });
+      return { rows: [] };
+    }
+    // Nobody has changed their notification preferences
+    if (sql.includes('LEFT JOIN notification_preferences')) {
+      return { rows: [] };
+    }
+    if (sql.includes('INSERT INTO notifications')) {
+      state.notifications.push({ userId: params[0], type: params[1] });
+      return { rows: [{ id: state.notifications.length }] };
+    }
+    if (sql.includes('INSERT INTO realtime_events')) {
+      return { rows: [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+  return { state, query, connect: async () => ({ query, release: () => {} }) };
+};
+
+describe('Pre-order expiry', () => {
+
+  test('thresholds must be whole numbers within their limits', () => {
+    fc.assert(
+      fc.property(fc.integer({ min: 1, max: 365 }), fc.integer({ min: 1, max: 720 }), (days, hours) => {
+        expect(normalizeExpirySettings({ draftExpiryDays: String(days), providerResponseHours: hours })).toEqual({
+          settings: { draftExpiryDays: days, providerResponseHours: hours }
+        });
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+
+    expect(normalizeExpirySettings({})).toEqual({ settings: DEFAULT_EXPIRY_SETTINGS });
+    expect(normalizeExpirySettings(null)).toEqual({ settings: DEFAULT_EXPIRY_SETTINGS });
+    expect(normalizeExpirySettings({ draftExpiryDays: 0 }).error).toBeDefined();
+    expect(normalizeExpirySettings({ draftExpiryDays: 1.5 }).error).toBeDefined();
+    expect(normalizeExpirySettings({ providerResponseHours: 721 }).error).toBeDefined();
+    expect(normalizeExpirySettings({ providerResponseHours: 'soon' }).error).toBeDefined();
+  });
+
+  test('the provider has the response time from when the request reached them', () => {
+    const pendingSince = new Date('2099-01-01T10:00:00Z');
+    expect(responseDueAt(pendingSince, { providerResponseHours: 48 }).toISOString()).toBe('2099-01-03T10:00:00.000Z');
+  });
+
+  test('only drafts idle past the expiry are cancelled, and their travelers told', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.array(fc.record({ idleDays: fc.integer({ min: 0, max: 30 }), submitted: fc.boolean() }), { maxLength: 10 }),
+        fc.integer({ min: 1, max: 30 }),
+        async (drafts, draftExpiryDays) => {
+          const pool = createPool(drafts.map((draft, i) => ({
+            id: i + 1,
+            traveler_id: 100 + i,
+            status: draft.submitted ? 'pending' : 'draft',
+            idleDays: draft.idleDays
+          })));
+
+          const expired = await expireStaleDrafts(pool, { settings: { draftExpiryDays } });
+          const expected = drafts
+            .map((draft, i) => ({ ...draft, id: i + 1 }))
+            .filter(draft => !draft.submitted && draft.idleDays > draftExpiryDays)
+            .map(draft => draft.id);
+
+          expect(expired.map(booking => booking.id)).toEqual(expected);
+          expect(pool.state.history).toEqual(expected.map(bookingId => ({ bookingId, toStatus: 'cancelled', actor: 'system' })));
+          expect(pool.state.notifications.map(n => n.userId)).toEqual(expected.map(id => 99 + id));
+          expect(pool.state.bookings.filter(b => b.status === 'pending')).toHaveLength(drafts.filter(d => d.submitted).length);
+          expect(pool.state.settingsQueries).toBe(0);
+        }
+      ),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+});
+
+describe('Background job scheduler', () => {
+  const quietLogger = { log: () => {}, error: () => {} };
+
+  test('a job never runs twice at once and keeps the outcome of its last run', async () => {
+    const scheduler = createScheduler({ logger: quietLogger });
+    let finish;
+    let runs = 0;
+    scheduler.register('slow', {
+      description: 'Slow job',
+      intervalMs: 60000,
+      run: () => {
+        runs++;
+        return new Promise((resolve) => { finish = resolve; });
+      }
+    });
+
+    const first = scheduler.runJob('slow');
+    expect(await scheduler.runJob('slow')).toBe(false);
+    expect(scheduler.getStatus()[0].running).toBe(true);
+
+    finish('Did 3 things');
+    expect(await first).toBe(true);
+    expect(runs).toBe(1);
+    expect(scheduler.getStatus()[0]).toMatchObject({ name: 'slow', intervalMinutes: 1, running: false, lastSummary: 'Did 3 things', lastError: null });
+  });
+
+  test('a failing job is recorded and runs again next time', async () => {
+    const scheduler = createScheduler({ logger: quietLogger });
+    let fail = true;
+    scheduler.register('flaky', {
+      description: 'Flaky job',
+      intervalMs: 60000,
+      run: async () => {
+        if (fail) throw new Error('database unavailable');
+        return false;
+      }
+    });
+
+    await scheduler.runJob('flaky');
+    expect(scheduler.getStatus()[0].lastError).toBe('database unavailable');
+
+    fail = false;
+    await scheduler.runJob('flaky');
+    expect(scheduler.getStatus()[0]).toMatchObject({ lastError: null, lastSummary: null });
+
+    expect(() => scheduler.register('flaky', { intervalMs: 1000, run: async () => {} })).toThrow();
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Property-Based Tests for promo codes
+ * Feature: promo-codes
+ */
+
+const fc = require('fast-check');
+const { validatePromoCode, coversItem, usageError, computeDiscount } = require('../utils/promoCodes');
+
+const MIN_ITERATIONS = 100;
+
+const NOW = new Date('2026-07-01T12:00:00Z');
+
+const basePromo = {
+  code: 'KARIBU',
+  discount_type: 'percentage',
+  discount_value: 10,
+  currency: 'TZS',
+  provider_id: null,
+  service_id: null,
+  category: null,
+  region: null,
+  min_spend: 0,
+  max_uses: null,
+  max_uses_per_user: 1,
+  valid_from: '2026-06-01',
+  valid_until: '2026-12-31',
+  is_active: true
+};
+
+const itemsGen = fc.array(
+  fc.record({
+    amount: fc.integer({ min: 1, max: 5000000 }).map(cents => cents / 100),
+    serviceId: fc.integer({ min: 1, max: 20 }),
+    providerId: fc.integer({ min: 1, max: 5 }),
+    category: fc.constantFrom('Accommodation', 'Transportation', 'Tours & Activities'),
+    region: fc.constantFrom('Arusha', 'Zanzibar', 'Dar es Salaam')
+  }),
+  { minLength: 1, maxLength: 6 }
+);
+
+const promoGen = fc.record({
+  discount_type: fc.constantFrom('percentage', 'fixed'),
+  discount_value: fc.integer({ min: 1, max: 100 }),
+  provider_id: fc.option(fc.integer({ min: 1, max: 5 }), { nil: null }),
+  category: fc.option(fc.constantFrom('Accommodation', 'Transportation'), { nil: null })
+}).map(fields => ({ ...basePromo, ...fields, discount_value: fields.discount_type === 'fixed' ? fields.discount_value * 1000 : fields.discount_value }));
+
+describe('Promo codes', () => {
+
+  test('the discount is shared across covered items, adds up and never exceeds what they cost', () => {
+    fc.assert(
+      fc.property(promoGen, itemsGen, (promo, items) => {
+        const result = computeDiscount(promo, items, 'TZS');
+        const covered = items.filter(item => coversItem(promo, item));
+
+        if (covered.length === 0) {
+          expect(result.error).toMatch(/does not apply/);
+          return;
+        }
+
+        const allocated = result.allocations.reduce((sum, amount) => sum + amount, 0);
+        expect(Math.abs(allocated - result.discount)).toBeLessThan(0.005);
+        expect(result.discount).toBeLessThanOrEqual(covered.reduce((sum, item) => sum + item.amount, 0) + 0.005);
+        items.forEach((item, i) => {
+          expect(result.allocations[i]).toBeGreaterThanOrEqual(0);
+          expect(result.allocations[i]).toBeLessThanOrEqual(item.amount + 0.005);
+          if (!coversItem(promo, item)) expect(result.allocations[i]).toBe(0);
+        });
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('a code stops working once its global or per-traveler uses run out', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 1, max: 50 }),
+        fc.integer({ min: 1, max: 5 }),
+        fc.nat({ max: 60 }),
+        fc.nat({ max: 6 }),
+        (maxUses, maxUsesPerUser, totalUses, userUses) => {
+          const promo = { ...basePromo, max_uses: maxUses, max_uses_per_user: maxUsesPerUser };
+          const error = usageError(promo, { now: NOW, totalUses, userUses });
+          expect(error === null).toBe(totalUses < maxUses && userUses < maxUsesPerUser);
+        }
+      ),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('codes only work inside their validity window and while active', () => {
+    expect(usageError(basePromo, { now: NOW })).toBeNull();
+    expect(usageError({ ...basePromo, valid_from: '2026-08-01' }, { now: NOW })).toMatch(/not active yet/);
+    expect(usageError({ ...basePromo, valid_until: '2026-06-30' }, { now: NOW })).toMatch(/expired/);
+    expect(usageError({ ...basePromo, is_active: false }, { now: NOW })).toMatch(/not valid/);
+    expect(usageError(undefined, { now: NOW })).toMatch(/not valid/);
+    expect(usageError({ ...basePromo, max_uses_per_user: null }, { now: NOW, userUses: 12 })).toBeNull();
+  });
+
+  test('minimum spend and currency are checked on the covered items only', () => {
+    const promo = { ...basePromo, discount_type: 'fixed', discount_value: 20000, min_spend: 100000, category: 'Accommodation' };
+    const items = [
+      { amount: 80000, category: 'Accommodation' },
+      { amount: 500000, category: 'Transportation' }
+    ];
+
+    expect(computeDiscount(promo, items, 'TZS').error).toMatch(/Spend at least/);
+    expect(computeDiscount(promo, [{ amount: 120000, category: 'accommodation' }], 'TZS')).toEqual({ discount: 20000, allocations: [20000] });
+    expect(computeDiscount(promo, [{ amount: 120000, category: 'Accommodation' }], 'USD').error).toMatch(/only applies to prices in TZS/);
+    expect(computeDiscount({ ...basePromo, discount_value: 15 }, [{ amount: 200 }], 'USD')).toEqual({ discount: 30, allocations: [30] });
+  });
+
+  test('validation normalizes the code and refuses impossible discounts', () => {
+    const body = { code: ' karibu-10 ', discountType: 'percentage', discountValue: '10', validFrom: '2026-07-01' };
+
+    const { promo } = validatePromoCode(body, { providerId: 4 });
+    expect(promo).toMatchObject({ code: 'KARIBU-10', discount_value: 10, provider_id: 4, max_uses_per_user: 1, min_spend: 0 });
+
+    expect(validatePromoCode({ ...body, discountValue: 120 }).error).toMatch(/more than 100%/);
+    expect(validatePromoCode({ ...body, discountType: 'bogof' }).error).toMatch(/Discount type/);
+    expect(validatePromoCode({ ...body, code: 'a b' }).error).toMatch(/Code must be/);
+    expect(validatePromoCode({ ...body, validUntil: '2026-06-01' }).error).toMatch(/after the start date/);
+    expect(validatePromoCode({ ...body, maxUses: 0 }).error).toMatch(/at least 1/);
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Property-Based Tests for the real-time event stream
+ * Feature: realtime
+ */
+
+const EventEmitter = require('events');
+const fc = require('fast-check');
+const { REPLAY_LIMIT, publishEvent, disconnectUser, createRealtimeHub, openEventStream, listenForEvents } = require('../utils/realtime');
+
+const MIN_ITERATIONS = 100;
+
+const USER_ID = 10;
+
+const event = (id) => ({ id, type: 'notification', data: { id } });
+
+// The user's stored events; `duringReplay` runs while the replay query is in flight,
+// standing in for live events published at that moment
+const eventsDb = (ids, duringReplay = () => {}) => ({
+  query: async (sql, params) => {
+    if (sql.includes('MAX(id)')) {
+      return { rows: [{ id: String(Math.max(...ids)) }] };
+    }
+    if (sql.includes('FROM realtime_events')) {
+      const [, afterId, limit] = params;
+      duringReplay();
+      const rows = ids.filter(id => id > afterId).slice(0, limit)
+        .map(id => ({ id: String(id), type: 'notification', data: { id }, created_at: new Date() }));
+      return { rows };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  }
+});
+
+describe('Real-time events', () => {
+
+  test('a reconnecting client gets every event it missed and every live one, once and in order', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.uniqueArray(fc.integer({ min: 1, max: 200 }), { maxLength: 40 }),
+        fc.integer({ min: 0, max: 200 }),
+        fc.uniqueArray(fc.integer({ min: 201, max: 300 }), { maxLength: 10 }),
+        fc.nat({ max: 10 }),
+        async (missedIds, lastEventId, liveIds, arrivingDuringReplay) => {
+          const live = [...liveIds].sort((a, b) => a - b);
+          const early = live.slice(0, arrivingDuringReplay);
+          const hub = createRealtimeHub();
+          const received = [];
+
+          // Events published while the missed ones are replayed are pushed live and also
+          // already stored, so the replay can return them too
+          const stored = [...missedIds, ...early].sort((a, b) => a - b);
+          const db = eventsDb(stored, () => early.forEach(id => hub.dispatch(USER_ID, event(id))));
+
+          await openEventStream(db, hub, {
+            userId: USER_ID,
+            lastEventId: lastEventId || null,
+            write: (e) => received.push(e.id),
+            close: () => {}
+          });
+          live.filter(id => !lastEventId || !early.includes(id)).forEach(id => hub.dispatch(USER_ID, event(id)));
+
+          const missed = lastEventId ? missedIds.filter(id => id > lastEventId).sort((a, b) => a - b) : [];
+          expect(received).toEqual([...missed, ...live]);
+        }
+      ),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('a client that missed too much is told to resync instead of being flooded', async () => {
+    const ids = Array.from({ length: REPLAY_LIMIT + 20 }, (_, i) => i + 2);
+    const hub = createRealtimeHub();
+    const received = [];
+
+    await openEventStream(eventsDb(ids), hub, {
+      userId: USER_ID,
+      lastEventId: 1,
+      write: (e) => received.push(e),
+      close: () => {}
+    });
+
+    const latest = ids[ids.length - 1];
+    expect(received).toEqual([{ id: latest, type: 'resync', data: {} }]);
+    hub.dispatch(USER_ID, event(latest));
+    hub.dispatch(USER_ID, event(latest + 1));
+    expect(received.map(e => e.id)).toEqual([latest, latest + 1]);
+  });
+
+  test('streams only receive their own user\'s events until they stop', () => {
+    const hub = createRealtimeHub();
+    const mine = [];
+    const theirs = [];
+    const stopMine = hub.subscribe(1, { send: (e) => mine.push(e.id), close: () => {} });
+    hub.subscribe(2, { send: (e) => theirs.push(e.id), close: () => {} });
+
+    hub.dispatch(1, event(1));
+    hub.dispatch(2, event(2));
+    stopMine();
+    hub.dispatch(1, event(3));
+
+    expect(mine).toEqual([1]);
+    expect(theirs).toEqual([2]);
+    expect(hub.hasSubscribers(1)).toBe(false);
+    expect(hub.connectionCount()).toBe(1);
+  });
+
+  test('each recipient gets an event once, and nobody means no query', async () => {
+    const queries = [];
+    const db = { query: async (sql, params) => { queries.push(params); return { rows: [] }; } };
+
+    await publishEvent(db, { userIds: [5, '5', null, 7], type: 'message', data: { id: 1 } });
+    await publishEvent(db, { userIds: [null], type: 'message' });
+
+    expect(queries).toEqual([[[5, 7], 'message', JSON.stringify({ id: 1 })]]);
+  });
+
+  test('disconnecting a user closes their streams on every listening instance and no one else\'s', async () => {
+    const listener = Object.assign(new EventEmitter(), { query: async () => ({ rows: [] }), release: () => {} });
+    const pool = { connect: async () => listener };
+    const hub = createRealtimeHub();
+    const closed = [];
+    // Like the stream route, a closed stream unsubscribes itself
+    [[1, 'phone'], [1, 'laptop'], [2, 'theirs']].forEach(([userId, name]) => {
+      const unsubscribe = hub.subscribe(userId, { send: () => {}, close: () => { closed.push(name); unsubscribe(); } });
+    });
+    const listening = listenForEvents(pool, hub, { logger: { log: () => {}, error: () => {} } });
+    await new Promise(resolve => setImmediate(resolve));
+
+    const notified = [];
+    await disconnectUser({ query: async (sql, params) => { notified.push(params); return { rows: [] }; } }, 1);
+    expect(notified).toEqual([[1]]);
+    listener.emit('notification', { payload: JSON.stringify({ userId: 1, disconnect: true }) });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(closed.sort()).toEqual(['laptop', 'phone']);
+    expect(hub.hasSubscribers(1)).toBe(false);
+    expect(hub.connectionCount()).toBe(1);
+    listening.stop();
+  });
+});
@@ -0,0 +1,309 @@
+/**
+ * Property-Based Tests for traveler reviews and rating aggregates
+ * Feature: reviews
+ */
+
+const fc = require('fast-check');
+const {
+  REVIEW_EDIT_WINDOW_DAYS,
+  createReview,
+  updateReview,
+  deleteReview,
+  replyToReview,
+  flagReview,
+  moderateReview
+} = require('../utils/reviews');
+
+const MIN_ITERATIONS = 100;
+
+const TRAVELER = 10;
+const SERVICE = 3;
+const PROVIDER = 7;
+const PROVIDER_USER = 20;
+const OTHER_PROVIDER_USER = 21;
+const ADMIN = 1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const average = (ratings) => (ratings.length === 0
+  ? 0
+  : Math.round((ratings.reduce((sum, r) => sum + r, 0) / ratings.length) * 100) / 100);
+
+// Bookings, reviews and the aggregates on the service and provider behind the pool interface
+const createPool = (bookings) => {
+  const state = {
+    bookings,
+    reviews: [],
+    service: { average_rating: 0, total_reviews: 0 },
+    provider: { rating: 0, total_reviews: 0 },
+    moderationLog: [],
+    queries: []
+  };
+  const visibleRatings = (column, id) =>
+    state.reviews.filter(r => r[column] === id && !r.is_hidden).map(r => r.rating);
+
+  const query = async (sql, params = []) => {
+    state.queries.push(sql);
+    if (['BEGIN', 'COMMIT', 'ROLLBACK'].includes(sql)) {
+      return { rows: [] };
+    }
+    if (sql.includes('FROM bookings WHERE id = $1 FOR UPDATE')) {
+      return { rows: state.bookings.filter(b => b.id === params[0]) };
+    }
+    if (sql.includes('SELECT id FROM reviews WHERE booking_id = $1')) {
+      return { rows: state.reviews.filter(r => r.booking_id === params[0]) };
+    }
+    if (sql.includes('INSERT INTO reviews')) {
+      const [bookingId, travelerId, serviceId, providerId, rating, comment] = params;
+      const review = {
+        id: state.reviews.length + 1, booking_id: bookingId, traveler_id: travelerId, service_id: serviceId,
+        provider_id: providerId, rating, comment, is_hidden: false, created_at: new Date()
+      };
+      state.reviews.push(review);
+      return { rows: [{ ...review }] };
+    }
+    if (sql.includes('SELECT * FROM reviews WHERE id = $1 FOR UPDATE')) {
+      return { rows: state.reviews.filter(r => r.id === params[0]).map(r => ({ ...r })) };
+    }
+    if (sql.includes('UPDATE reviews SET rating = $1, comment = $2')) {
+      const review = state.reviews.find(r => r.id === params[2]);
+      Object.assign(review, { rating: params[0], comment: params[1] });
+      return { rows: [{ ...review }] };
+    }
+    if (sql.includes('SELECT id FROM service_providers WHERE user_id = $1')) {
+      const providers = { [PROVIDER_USER]: PROVIDER, [OTHER_PROVIDER_USER]: PROVIDER + 1 };
+      return { rows: providers[params[0]] ? [{ id: providers[params[0]] }] : [] };
+    }
+    if (sql.includes('SET provider_reply = $1')) {
+      const review = state.reviews.find(r => r.id === params[1]);
+      review.provider_reply = params[0];
+      return { rows: [{ ...review }] };
+    }
+    if (sql.includes('SET is_flagged = TRUE')) {
+      const review = state.reviews.find(r => r.id === params[1]);
+      Object.assign(review, { is_flagged: true, flag_reason: params[0] });
+      return { rows: [{ ...review }] };
+    }
+    if (sql.includes('SET is_hidden = $1')) {
+      const review = state.reviews.find(r => r.id === params[2]);
+      Object.assign(review, { is_hidden: params[0], is_flagged: false, moderation_reason: params[1] });
+      return { rows: [{ ...review }] };
+    }
+    if (sql.includes('INSERT INTO review_moderation_log')) {
+      const [reviewId, action, reason, actorId] = params;
+      state.moderationLog.push({ reviewId, action, reason, actorId });
+      return { rows: [] };
+    }
+    if (sql.includes('DELETE FROM reviews WHERE id = $1')) {
+      state.reviews = state.reviews.filter(r => r.id !== params[0]);
+      return { rows: [] };
+    }
+    if (sql.includes('UPDATE services SET')) {
+      const ratings = visibleRatings('service_id', params[0]);
+      state.service = { average_rating: average(ratings), total_reviews: ratings.length };
+      return { rows: [] };
+    }
+    if (sql.includes('UPDATE service_providers SET')) {
+      const ratings = visibleRatings('provider_id', params[0]);
+      state.provider = { rating: average(ratings), total_reviews: ratings.length };
+      return { rows: [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+  return { state, query, connect: async () => ({ query, release: () => {} }) };
+};
+
+const completedBookings = (count) => Array.from({ length: count }, (_, i) => ({
+  id: i + 1, traveler_id: TRAVELER, service_id: SERVICE, provider_id: PROVIDER, status: 'completed'
+}));
+
+const expectAggregatesMatch = (state) => {
+  const ratings = state.reviews.filter(r => !r.is_hidden).map(r => r.rating);
+  expect(state.service).toEqual({ average_rating: average(ratings), total_reviews: ratings.length });
+  expect(state.provider).toEqual({ rating: average(ratings), total_reviews: ratings.length });
+};
+
+describe('Reviews', () => {
+
+  test('only the traveler\'s own completed bookings can be reviewed', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.constantFrom('pending', 'confirmed', 'cancelled', 'completed'),
+        fc.boolean(),
+        fc.integer({ min: 1, max: 5 }),
+        async (status, ownBooking, rating) => {
+          const pool = createPool([{
+            id: 1, traveler_id: ownBooking ? TRAVELER : TRAVELER + 1, service_id: SERVICE, provider_id: PROVIDER, status
+          }]);
+          const result = await createReview(pool, { bookingId: 1, userId: TRAVELER, rating, comment: ' Great guide ' });
+
+          if (!ownBooking) {
+            expect(result).toMatchObject({ success: false, status: 403 });
+          } else if (status !== 'completed') {
+            expect(result).toMatchObject({ success: false, status: 400 });
+          } else {
+            expect(result).toMatchObject({ success: true, review: { rating, comment: 'Great guide' } });
+          }
+          expect(pool.state.reviews).toHaveLength(result.success ? 1 : 0);
+          expectAggregatesMatch(pool.state);
+        }
+      ),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('a booking can be reviewed once', async () => {
+    await fc.assert(
+      fc.asyncProperty(fc.array(fc.integer({ min: 1, max: 5 }), { minLength: 2, maxLength: 5 }), async (ratings) => {
+        const pool = createPool(completedBookings(1));
+        const results = [];
+        for (const rating of ratings) {
+          results.push(await createReview(pool, { bookingId: 1, userId: TRAVELER, rating }));
+        }
+
+        expect(results[0].success).toBe(true);
+        expect(results.slice(1).every(r => r.success === false && r.status === 409)).toBe(true);
+        expect(pool.state.reviews.map(r => r.rating)).toEqual([ratings[0]]);
+        expectAggregatesMatch(pool.state);
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('ratings must be whole numbers from 1 to 5', async () => {
+    const pool = createPool(completedBookings(1));
+    for (const rating of [0, 6, 3.5, 'five', null, undefined]) {
+      expect(await createReview(pool, { bookingId: 1, userId: TRAVELER, rating })).toMatchObject({ success: false, status: 400 });
+    }
+    expect(pool.state.reviews).toEqual([]);
+  });
+
+  test('a review can be edited by its author within the edit window only', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.integer({ min: 0, max: REVIEW_EDIT_WINDOW_DAYS * 2 * 24 }),
+        fc.integer({ min: 1, max: 5 }),
+        async (ageHours, newRating) => {
+          const pool = createPool(completedBookings(1));
+          const { review } = await createReview(pool, { bookingId: 1, userId: TRAVELER, rating: 3 });
+          const now = new Date(new Date(review.created_at).getTime() + ageHours * 60 * 60 * 1000);
+
+          expect(await updateReview(pool, { reviewId: review.id, userId: TRAVELER + 1, rating: newRating, now }))
+            .toMatchObject({ success: false, status: 403 });
+
+          const result = await updateReview(pool, { reviewId: review.id, userId: TRAVELER, rating: newRating, now });
+          if (ageHours * 60 * 60 * 1000 <= REVIEW_EDIT_WINDOW_DAYS * DAY_MS) {
+            expect(result).toMatchObject({ success: true, review: { rating: newRating } });
+          } else {
+            expect(result).toMatchObject({ success: false, status: 403 });
+            expect(pool.state.reviews[0].rating).toBe(3);
+          }
+          expectAggregatesMatch(pool.state);
+        }
+      ),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('aggregates are recomputed whenever a review is created, edited or deleted', async () => {
+    const operation = fc.oneof(
+      fc.record({ kind: fc.constant('create'), booking: fc.integer({ min: 1, max: 6 }), rating: fc.integer({ min: 1, max: 5 }) }),
+      fc.record({ kind: fc.constant('edit'), review: fc.integer({ min: 1, max: 6 }), rating: fc.integer({ min: 1, max: 5 }) }),
+      fc.record({ kind: fc.constant('delete'), review: fc.integer({ min: 1, max: 6 }) })
+    );
+    await fc.assert(
+      fc.asyncProperty(fc.array(operation, { maxLength: 15 }), async (operations) => {
+        const pool = createPool(completedBookings(6));
+        for (const op of operations) {
+          if (op.kind === 'create') {
+            await createReview(pool, { bookingId: op.booking, userId: TRAVELER, rating: op.rating });
+          } else if (op.kind === 'edit') {
+            await updateReview(pool, { reviewId: op.review, userId: TRAVELER, rating: op.rating });
+          } else {
+            await deleteReview(pool, { reviewId: op.review, userId: TRAVELER });
+          }
+          expectAggregatesMatch(pool.state);
+        }
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('nothing is rolled back when the connection itself cannot be made', async () => {
+    const pool = createPool(completedBookings(1));
+    pool.connect = async () => { throw new Error('Connection refused'); };
+
+    await expect(createReview(pool, { bookingId: 1, userId: TRAVELER, rating: 4 })).rejects.toThrow('Connection refused');
+    await expect(deleteReview(pool, { reviewId: 1, userId: TRAVELER })).rejects.toThrow('Connection refused');
+    expect(pool.state.queries).toEqual([]);
+  });
+
+  test('a provider can reply once, and only to reviews of their own services', async () => {
+    await fc.assert(
+      fc.asyncProperty(fc.array(fc.constantFrom(PROVIDER_USER, OTHER_PROVIDER_USER, TRAVELER), { minLength: 1, maxLength: 5 }), async (repliers) => {
+        const pool = createPool(completedBookings(1));
+        const { review } = await createReview(pool, { bookingId: 1, userId: TRAVELER, rating: 2 });
+
+        const results = [];
+        for (const [i, userId] of repliers.entries()) {
+          results.push(await replyToReview(pool, { reviewId: review.id, userId, reply: ` Reply ${i} ` }));
+        }
+
+        const firstOwnReply = repliers.indexOf(PROVIDER_USER);
+        results.forEach((result, i) => {
+          if (repliers[i] === TRAVELER) expect(result).toMatchObject({ success: false, status: 403 });
+          else if (repliers[i] === OTHER_PROVIDER_USER) expect(result).toMatchObject({ success: false, status: 404 });
+          else if (i === firstOwnReply) expect(result).toMatchObject({ success: true, review: { provider_reply: `Reply ${i}` } });
+          else expect(result).toMatchObject({ success: false, status: 409 });
+        });
+        expect(pool.state.reviews[0].provider_reply).toBe(firstOwnReply === -1 ? undefined : `Reply ${firstOwnReply}`);
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+    expect(await replyToReview(createPool([]), { reviewId: 1, userId: PROVIDER_USER, reply: '  ' }))
+      .toMatchObject({ success: false, status: 400 });
+  });
+
+  test('hidden reviews drop out of the service and provider ratings and come back on restore', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.array(fc.integer({ min: 1, max: 5 }), { minLength: 1, maxLength: 6 }),
+        fc.array(fc.record({ review: fc.nat(), action: fc.constantFrom('hide', 'restore', 'delete') }), { maxLength: 8 }),
+        async (ratings, actions) => {
+          const pool = createPool(completedBookings(ratings.length));
+          for (const [i, rating] of ratings.entries()) {
+            await createReview(pool, { bookingId: i + 1, userId: TRAVELER, rating });
+          }
+          await flagReview(pool, { reviewId: 1, userId: PROVIDER_USER, reason: 'Abusive language' });
+
+          for (const { review, action } of actions) {
+            const reviewId = (review % ratings.length) + 1;
+            const exists = pool.state.reviews.some(r => r.id === reviewId);
+            const result = await moderateReview(pool, { reviewId, action, reason: 'Breaks the guidelines', actorId: ADMIN });
+            expect(result.success).toBe(exists);
+            if (exists && action !== 'delete') {
+              expect(pool.state.reviews.find(r => r.id === reviewId).is_hidden).toBe(action === 'hide');
+            }
+            expectAggregatesMatch(pool.state);
+          }
+          expect(pool.state.moderationLog.every(entry => entry.actorId === (entry.action === 'flag' ? PROVIDER_USER : ADMIN))).toBe(true);
+        }
+      ),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('moderation and flags without a reason are refused and change nothing', async () => {
+    const pool = createPool(completedBookings(1));
+    await createReview(pool, { bookingId: 1, userId: TRAVELER, rating: 1 });
+
+    for (const reason of [undefined, '', '   ', 42]) {
+      for (const action of ['hide', 'restore', 'delete']) {
+        expect(await moderateReview(pool, { reviewId: 1, action, reason, actorId: ADMIN })).toMatchObject({ success: false, status: 400 });
+      }
+      expect(await flagReview(pool, { reviewId: 1, userId: PROVIDER_USER, reason })).toMatchObject({ success: false, status: 400 });
+    }
+    expect(pool.state.reviews[0]).toMatchObject({ is_hidden: false });
+    expect(pool.state.reviews[0].is_flagged).toBeUndefined();
+    expect(pool.state.moderationLog).toEqual([]);
+  });
+});
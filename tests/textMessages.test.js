@@ -0,0 +1,258 @@
+/**
+ * Property-Based Tests for phone number normalisation, text message consent and delivery
+ * Feature: text-messages
+ */
+
+const fc = require('fast-check');
+const { COUNTRIES, normalizePhoneNumber, phoneCountry } = require('../utils/phoneNumbers');
+const {
+  MAX_ATTEMPTS,
+  createFakeProvider,
+  setTextMessageConsent,
+  queueTextMessage,
+  deliverTextMessages,
+  replyKeyword,
+  handleInboundMessage
+} = require('../utils/textMessages');
+const { DOMAIN_EVENTS, createEventBus } = require('../utils/domainEvents');
+const { registerTextMessageSubscribers } = require('../utils/textMessageSubscribers');
+
+const MIN_ITERATIONS = 100;
+
+const USER = 10;
+const PROVIDER_USER = 20;
+
+// A mobile number from one of the supported countries, as its country key and national digits
+const mobileNumber = fc.constantFrom(...Object.keys(COUNTRIES)).chain(key => {
+  const country = COUNTRIES[key];
+  return fc.tuple(
+    fc.constant(key),
+    fc.constantFrom(...country.mobilePrefixes),
+    fc.stringOf(fc.constantFrom(...'0123456789'), { minLength: country.length - 1, maxLength: country.length - 1 })
+  ).map(([k, prefix, rest]) => ({ key: k, national: `${prefix}${rest}` }));
+});
+
+// Users and their outbox behind the pool interface. As with the email outbox tests, every message
+// scheduled for later counts as due on the next run.
+const createDb = (users) => {
+  const outbox = [];
+  const query = async (sql, params = []) => {
+    if (sql.includes('SELECT phone FROM users')) {
+      const user = users[params[0]];
+      return { rows: user ? [{ phone: user.phone }] : [] };
+    }
+    if (sql.includes('SELECT sms_opt_in, sms_channel, sms_phone FROM users')) {
+      const user = users[params[0]];
+      return { rows: user ? [{ ...user }] : [] };
+    }
+    if (sql.includes('UPDATE users SET sms_opt_in = false')) {
+      Object.assign(users[params[0]], { sms_opt_in: false });
+      return { rows: [{ ...users[params[0]] }] };
+    }
+    if (sql.includes('UPDATE users SET sms_opt_in = true')) {
+      Object.assign(users[params[0]], { sms_opt_in: true, sms_channel: params[1], sms_phone: params[2] });
+      return { rows: [{ ...users[params[0]] }] };
+    }
+    if (sql.includes('WHERE sms_phone = $1')) {
+      Object.values(users).filter(u => u.sms_phone === params[0]).forEach(u => { u.sms_opt_in = params[1]; });
+      return { rows: [] };
+    }
+    // Nobody has changed their notification preferences
+    if (sql.includes('LEFT JOIN notification_preferences')) {
+      return { rows: [] };
+    }
+    if (sql.includes('INSERT INTO sms_outbox')) {
+      const [userId, to, channel, type, body] = params;
+      const row = { id: outbox.length + 1, user_id: userId, to_number: to, channel, type, body, status: 'pending', attempts: 0 };
+      outbox.push(row);
+      return { rows: [{ ...row }] };
+    }
+    if (sql.includes("SET status = 'cancelled'")) {
+      outbox
+        .filter(r => ['pending', 'sending'].includes(r.status) && !users[r.user_id].sms_opt_in)
+        .forEach(r => { r.status = 'cancelled'; });
+      return { rows: [] };
+    }
+    if (sql.includes("SET status = 'sending'")) {
+      const claimed = outbox.filter(r => ['pending', 'sending'].includes(r.status)).slice(0, params[0]);
+      claimed.forEach(r => { r.status = 'sending'; r.attempts++; });
+      return { rows: claimed.map(r => ({ ...r })) };
+    }
+    if (sql.includes("SET status = 'sent'")) {
+      Object.assign(outbox.find(r => r.id === params[0]), { status: 'sent', channel: params[1] });
+      return { rows: [] };
+    }
+    if (sql.includes('SET status = $2')) {
+      Object.assign(outbox.find(r => r.id === params[0]), { status: params[1], last_error: params[2] });
+      return { rows: [] };
+    }
+    if (sql.includes('FROM bookings b') && sql.includes('WHERE b.id = $1 OR b.order_id = $2')) {
+      return { rows: [{ id: 5, service_title: 'Serengeti Day Trip', provider_user_id: PROVIDER_USER }] };
+    }
+    if (sql.includes('FROM bookings b')) {
+      return {
+        rows: [{
+          id: 5, status: 'pending', booking_date: '2099-03-01', traveler_id: USER, provider_user_id: PROVIDER_USER,
+          service_title: 'Serengeti Day Trip', traveler_name: 'Amani Juma'
+        }]
+      };
+    }
+    if (sql.includes('FROM payments')) {
+      return { rows: [{ id: 1, user_id: USER, booking_id: 5, order_id: null, amount: '150000.00', currency: 'TZS' }] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+  return { users, outbox, query };
+};
+
+const optedInUser = (overrides = {}) => ({
+  phone: '0712345678', sms_opt_in: true, sms_channel: 'sms', sms_phone: '+255712345678', ...overrides
+});
+
+describe('Text messages', () => {
+
+  test('the ways people write a mobile number all normalise to the same E.164 number', () => {
+    fc.assert(
+      fc.property(mobileNumber, ({ key, national }) => {
+        const { code } = COUNTRIES[key];
+        const e164 = `+${code}${national}`;
+        const spaced = national.replace(/(\d{3})(?=\d)/g, '$1 ');
+
+        expect(normalizePhoneNumber(e164)).toBe(e164);
+        expect(normalizePhoneNumber(`+${code} ${spaced}`)).toBe(e164);
+        expect(normalizePhoneNumber(`00${code}${national}`)).toBe(e164);
+        expect(normalizePhoneNumber(`${code}-${national}`)).toBe(e164);
+        expect(normalizePhoneNumber(`+${code} 0${national}`)).toBe(e164);
+        expect(normalizePhoneNumber(`0${national}`, { defaultCountry: key })).toBe(e164);
+        expect(phoneCountry(e164)).toBe(key);
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('numbers that are not supported mobile numbers are refused', () => {
+    fc.assert(
+      fc.property(fc.string(), (input) => {
+        const number = normalizePhoneNumber(input);
+        if (number !== null) {
+          expect(number).toMatch(/^\+\d{11,12}$/);
+          expect(phoneCountry(number)).not.toBeNull();
+        }
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+    expect(normalizePhoneNumber('+44 7911 123456')).toBeNull();
+    expect(normalizePhoneNumber('022 211 1234')).toBeNull();
+    expect(normalizePhoneNumber('0712 345 67')).toBeNull();
+    expect(normalizePhoneNumber('call me')).toBeNull();
+    expect(normalizePhoneNumber(null)).toBeNull();
+  });
+
+  test('nothing is texted to users who have not opted in, and opting in needs a valid number', async () => {
+    const db = createDb({ [USER]: { phone: '12345', sms_opt_in: false, sms_channel: 'sms', sms_phone: null } });
+
+    expect(await queueTextMessage(db, { userId: USER, type: 'booking_request', body: 'Hello' })).toBeNull();
+    expect(await setTextMessageConsent(db, USER, { optIn: true })).toMatchObject({ success: false, status: 400 });
+    expect(await setTextMessageConsent(db, USER, { optIn: true, channel: 'telegram', phone: '0712345678' }))
+      .toMatchObject({ success: false, status: 400 });
+
+    const { settings } = await setTextMessageConsent(db, USER, { optIn: true, channel: 'whatsapp', phone: '0712 345 678' });
+    expect(settings).toEqual({ optIn: true, channel: 'whatsapp', phone: '+255712345678' });
+
+    const queued = await queueTextMessage(db, { userId: USER, type: 'booking_request', body: 'x'.repeat(500) });
+    expect(queued).toMatchObject({ to_number: '+255712345678', channel: 'whatsapp' });
+    expect(queued.body.length).toBeLessThanOrEqual(160);
+  });
+
+  test('replying STOP opts the number out and cancels what is still queued; START opts back in', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.constantFrom('STOP', 'stop', ' Acha ', 'SITISHA please', 'unsubscribe'),
+        fc.constantFrom('START', 'anza', 'Yes'),
+        async (stop, start) => {
+          const db = createDb({ [USER]: optedInUser() });
+          await queueTextMessage(db, { userId: USER, type: 'payment_completed', body: 'Paid' });
+
+          expect(await handleInboundMessage(db, { from: '255712345678', text: stop })).toBe('stop');
+          const provider = createFakeProvider();
+          await deliverTextMessages(db, provider);
+          expect(provider.sent).toEqual([]);
+          expect(db.outbox[0].status).toBe('cancelled');
+
+          expect(await handleInboundMessage(db, { from: '+255 712 345 678', text: start })).toBe('start');
+          expect(db.users[USER].sms_opt_in).toBe(true);
+        }
+      ),
+      { numRuns: MIN_ITERATIONS }
+    );
+    expect(replyKeyword('Thanks!')).toBeNull();
+  });
+
+  test('a text is sent once when the provider recovers, and given up after the last attempt', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    await fc.assert(
+      fc.asyncProperty(fc.integer({ min: 0, max: MAX_ATTEMPTS + 2 }), async (failures) => {
+        const db = createDb({ [USER]: optedInUser() });
+        await queueTextMessage(db, { userId: USER, type: 'booking_request', body: 'New request' });
+
+        const delivered = [];
+        let calls = 0;
+        const provider = {
+          channels: ['sms'],
+          send: async (message) => {
+            calls++;
+            if (calls <= failures) throw new Error('Gateway unavailable');
+            delivered.push(message.to);
+            return { messageId: 'ATXid_1' };
+          }
+        };
+
+        for (let run = 0; run < MAX_ATTEMPTS + 3; run++) {
+          await deliverTextMessages(db, provider);
+        }
+
+        const [message] = db.outbox;
+        if (failures < MAX_ATTEMPTS) {
+          expect(message.status).toBe('sent');
+          expect(delivered).toEqual(['+255712345678']);
+        } else {
+          expect(message.status).toBe('failed');
+          expect(delivered).toEqual([]);
+          expect(message.attempts).toBe(MAX_ATTEMPTS);
+        }
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+    consoleError.mockRestore();
+  });
+
+  test('WhatsApp messages go by SMS when the provider cannot send WhatsApp', async () => {
+    const db = createDb({ [USER]: optedInUser({ sms_channel: 'whatsapp' }) });
+    await queueTextMessage(db, { userId: USER, type: 'payment_completed', body: 'Paid' });
+
+    const sent = [];
+    await deliverTextMessages(db, { channels: ['sms'], send: async (message) => { sent.push(message); return {}; } });
+
+    expect(sent.map(m => m.channel)).toEqual(['sms']);
+    expect(db.outbox[0]).toMatchObject({ status: 'sent', channel: 'sms' });
+  });
+
+  test('booking requests are texted to the provider and payments to payer and provider', async () => {
+    const db = createDb({
+      [USER]: optedInUser(),
+      [PROVIDER_USER]: optedInUser({ sms_phone: '+254712345678' })
+    });
+    const bus = createEventBus({ logger: { error: () => {} } });
+    registerTextMessageSubscribers(bus, db);
+
+    await bus.publish(DOMAIN_EVENTS.BOOKING_CREATED, { bookingId: 5 });
+    await bus.publish(DOMAIN_EVENTS.PAYMENT_COMPLETED, { paymentId: 1 });
+
+    expect(db.outbox.map(m => [m.user_id, m.type])).toEqual([
+      [PROVIDER_USER, 'booking_request'],
+      [USER, 'payment_completed'],
+      [PROVIDER_USER, 'payment_completed']
+    ]);
+    expect(db.outbox[0].body).toContain('Amani Juma');
+  });
+});
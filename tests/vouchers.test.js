@@ -0,0 +1,176 @@
+/**
+ * Property-Based Tests for booking vouchers and check-in
+ * Feature: booking-vouchers
+ */
+
+const fc = require('fast-check');
+const { encodeQr, reedSolomonRemainder } = require('../utils/qrCode');
+const { signVoucher, verifyVoucherCode, buildVoucher, renderVoucherPdf, checkInBooking } = require('../utils/vouchers');
+
+const MIN_ITERATIONS = 100;
+
+const SECRET = 'test-voucher-secret';
+
+// Multiply in GF(2^8), independent of the encoder, to check Reed-Solomon syndromes
+const gfMultiply = (x, y) => {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+};
+
+// An in-memory bookings table behind the pool interface checkInBooking uses
+const createPool = (booking) => {
+  const state = { booking: { ...booking }, history: [], committed: 0 };
+  const client = {
+    query: async (sql, params = []) => {
+      if (/^(BEGIN|ROLLBACK)/.test(sql)) return { rows: [] };
+      if (sql === 'COMMIT') {
+        state.committed++;
+        return { rows: [] };
+      }
+      if (sql.startsWith('SELECT * FROM bookings')) {
+        return { rows: params[0] === state.booking.id ? [{ ...state.booking }] : [] };
+      }
+      if (sql.startsWith('UPDATE bookings SET status')) {
+        state.booking.status = params[0];
+        return { rows: [{ ...state.booking }] };
+      }
+      if (sql.startsWith('UPDATE bookings SET checked_in_at')) {
+        state.booking.checked_in_at = new Date('2026-08-01T09:00:00Z');
+        state.booking.checked_in_by = params[1];
+        return { rows: [{ ...state.booking }] };
+      }
+      if (sql.includes('booking_status_history')) {
+        state.history.push(params);
+        return { rows: [] };
+      }
+      if (sql.includes('INSERT INTO realtime_events')) {
+        return { rows: [] };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    },
+    release: () => {}
+  };
+  return { state, connect: async () => client };
+};
+
+describe('Booking vouchers', () => {
+  const previousSecret = process.env.VOUCHER_SECRET;
+  beforeAll(() => {
+    process.env.VOUCHER_SECRET = SECRET;
+  });
+  afterAll(() => {
+    if (previousSecret === undefined) delete process.env.VOUCHER_SECRET;
+    else process.env.VOUCHER_SECRET = previousSecret;
+  });
+
+  test('a signed code verifies back to its booking, however it is typed', () => {
+    fc.assert(
+      fc.property(fc.integer({ min: 1, max: 10000000 }), (bookingId) => {
+        const code = signVoucher(bookingId, SECRET);
+        expect(verifyVoucherCode(code, SECRET)).toEqual({ bookingId });
+        expect(verifyVoucherCode(` ${code.toLowerCase()} `, SECRET)).toEqual({ bookingId });
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('changing the booking id or the signature invalidates the code', () => {
+    fc.assert(
+      fc.property(fc.integer({ min: 1, max: 1000000 }), fc.integer({ min: 1, max: 1000 }), (bookingId, offset) => {
+        const code = signVoucher(bookingId, SECRET);
+        const signature = code.split('-')[2];
+
+        expect(verifyVoucherCode(`ISF-${bookingId + offset}-${signature}`, SECRET).error).toBeDefined();
+        expect(verifyVoucherCode(code, 'another-secret').error).toBeDefined();
+        expect(verifyVoucherCode(code.slice(0, -1), SECRET).error).toBeDefined();
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+    expect(verifyVoucherCode('hello', SECRET).error).toMatch(/not an iSafari voucher/);
+  });
+
+  test('QR codes have finder patterns and valid Reed-Solomon error correction', () => {
+    fc.assert(
+      fc.property(fc.string({ minLength: 1, maxLength: 200 }), (text) => {
+        const { version, size, modules } = encodeQr(text);
+        expect(size).toBe(version * 4 + 17);
+        expect(modules).toHaveLength(size);
+
+        // Top-left finder: dark ring, light ring, dark 3x3 centre
+        [[0, 0], [6, 6], [2, 2], [4, 4], [3, 3]].forEach(([x, y]) => expect(modules[y][x]).toBe(true));
+        [[1, 1], [5, 5], [1, 3], [7, 7]].forEach(([x, y]) => expect(modules[y][x]).toBe(false));
+        expect(modules[size - 8][8]).toBe(true);
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+
+    fc.assert(
+      fc.property(fc.array(fc.integer({ min: 0, max: 255 }), { minLength: 1, maxLength: 60 }), fc.integer({ min: 7, max: 30 }), (data, degree) => {
+        const codeword = [...data, ...reedSolomonRemainder(data, degree)];
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+          expect(codeword.reduce((sum, byte) => gfMultiply(sum, root) ^ byte, 0)).toBe(0);
+          root = gfMultiply(root, 2);
+        }
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+
+    expect(() => encodeQr('x'.repeat(300))).toThrow(/too long/);
+  });
+
+  test('the voucher PDF draws the QR code and the booking details', () => {
+    const voucher = buildVoucher({
+      id: 42,
+      status: 'confirmed',
+      service_title: 'Ngorongoro Crater Day Trip',
+      business_name: 'Kilima Tours',
+      first_name: 'Amina',
+      last_name: 'Juma',
+      booking_date: '2026-08-01',
+      participants: 3,
+      payment_status: 'paid'
+    }, SECRET);
+
+    expect(voucher.code).toBe(signVoucher(42, SECRET));
+    expect(voucher.qr.every(row => row.length === voucher.qr.length)).toBe(true);
+
+    const pdf = renderVoucherPdf(voucher).toString('latin1');
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf).toContain(`(${voucher.code}) Tj`);
+    expect(pdf).toContain('(Ngorongoro Crater Day Trip) Tj');
+    expect(pdf).toMatch(/ re f/);
+  });
+
+  test('checking in completes the booking once and refuses the voucher after that', async () => {
+    const pool = createPool({ id: 42, provider_id: 3, status: 'confirmed', booking_date: '2026-08-01', checked_in_at: null });
+    const code = signVoucher(42, SECRET);
+
+    const first = await checkInBooking(pool, { code, providerId: 3, actorId: 11, today: '2026-08-01' });
+    expect(first.success).toBe(true);
+    expect(pool.state.booking).toMatchObject({ status: 'completed', checked_in_by: 11 });
+    expect(pool.state.history).toHaveLength(1);
+
+    const second = await checkInBooking(pool, { code, providerId: 3, actorId: 11, today: '2026-08-01' });
+    expect(second).toMatchObject({ success: false, status: 409, code: 'ALREADY_CHECKED_IN' });
+    expect(pool.state.committed).toBe(1);
+  });
+
+  test('vouchers for another provider, a later date or an unconfirmed booking are refused', async () => {
+    const code = signVoucher(42, SECRET);
+    const booking = { id: 42, provider_id: 3, status: 'confirmed', booking_date: '2026-08-01', checked_in_at: null };
+
+    expect(await checkInBooking(createPool(booking), { code, providerId: 4, actorId: 11, today: '2026-08-01' }))
+      .toMatchObject({ success: false, status: 404 });
+    expect(await checkInBooking(createPool(booking), { code, providerId: 3, actorId: 11, today: '2026-07-31' }))
+      .toMatchObject({ success: false, code: 'TOO_EARLY' });
+    expect(await checkInBooking(createPool({ ...booking, status: 'pending' }), { code, providerId: 3, actorId: 11, today: '2026-08-01' }))
+      .toMatchObject({ success: false, code: 'NOT_CONFIRMED' });
+    expect(await checkInBooking(createPool(booking), { code: 'ISF-42-0000000000', providerId: 3, actorId: 11 }))
+      .toMatchObject({ success: false, status: 400, code: 'INVALID_VOUCHER' });
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Property-Based Tests for the waitlist
+ * Feature: waitlist
+ */
+
+const fc = require('fast-check');
+const { selectOffers, releasesCapacity, offerFreedCapacity, joinWaitlist } = require('../utils/waitlist');
+
+const MIN_ITERATIONS = 100;
+
+const entriesGen = fc.array(fc.integer({ min: 1, max: 8 }), { maxLength: 15 })
+  .map(sizes => sizes.map((participants, i) => ({ id: i + 1, participants })));
+
+// An in-memory service date behind the pool interface the waitlist uses
+const createPool = ({ capacity, booked, waiting }) => {
+  const state = { entries: waiting.map(entry => ({ ...entry, status: 'waiting' })), notifications: [], committed: 0 };
+  const client = {
+    query: async (sql, params = []) => {
+      if (/^(BEGIN|ROLLBACK)/.test(sql)) return { rows: [] };
+      if (sql === 'COMMIT') {
+        state.committed++;
+        return { rows: [] };
+      }
+      if (sql.startsWith('SELECT * FROM services')) {
+        return { rows: [{ id: 5, title: 'Kilimanjaro Day Hike', max_participants: capacity }] };
+      }
+      if (sql.includes('service_blackout_dates') || sql.includes('service_availability_slots')) {
+        return { rows: [] };
+      }
+      if (sql.includes('AS held')) {
+        const held = state.entries.filter(e => e.status === 'offered').reduce((sum, e) => sum + e.participants, 0);
+        return { rows: [{ booked, held }] };
+      }
+      if (sql.startsWith('SELECT * FROM waitlist_entries')) {
+        return { rows: state.entries.filter(e => e.status === 'waiting') };
+      }
+      if (sql.startsWith('UPDATE waitlist_entries')) {
+        const entry = state.entries.find(e => e.id === params[0]);
+        Object.assign(entry, { status: 'offered', offer_expires_at: new Date() });
+        return { rows: [{ ...entry }] };
+      }
+      if (sql.startsWith('SELECT id FROM waitlist_entries')) {
+        return { rows: [] };
+      }
+      if (sql.startsWith('INSERT INTO waitlist_entries')) {
+        const entry = { id: state.entries.length + 1, service_id: params[0], user_id: params[1], participants: params[5], status: 'waiting' };
+        state.entries.push(entry);
+        return { rows: [entry] };
+      }
+      if (sql.includes('AS position')) {
+        return { rows: [{ position: state.entries.filter(e => e.status === 'waiting').length }] };
+      }
+      // Nobody has changed their notification preferences
+      if (sql.includes('LEFT JOIN notification_preferences')) {
+        return { rows: [] };
+      }
+      if (sql.includes('INSERT INTO notifications')) {
+        state.notifications.push({ userId: params[0], title: params[2] });
+        return { rows: [{ id: state.notifications.length }] };
+      }
+      if (sql.includes('INSERT INTO realtime_events')) {
+        return { rows: [] };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    },
+    release: () => {}
+  };
+  return { state, connect: async () => client };
+};
+
+describe('Waitlist', () => {
+
+  test('offers go out in queue order and never exceed the free seats', () => {
+    fc.assert(
+      fc.property(entriesGen, fc.integer({ min: 0, max: 20 }), (entries, remaining) => {
+        const offered = selectOffers(entries, remaining);
+        const ids = offered.map(entry => entry.id);
+
+        expect(ids).toEqual([...ids].sort((a, b) => a - b));
+        expect(offered.reduce((sum, entry) => sum + entry.participants, 0)).toBeLessThanOrEqual(remaining);
+
+        // Anyone passed over didn't fit in what was left when their turn came
+        let left = remaining;
+        entries.forEach((entry) => {
+          if (ids.includes(entry.id)) {
+            left -= entry.participants;
+          } else {
+            expect(entry.participants).toBeGreaterThan(left);
+          }
+        });
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('a service without a capacity limit offers everyone waiting', () => {
+    fc.assert(
+      fc.property(entriesGen, (entries) => {
+        expect(selectOffers(entries, null)).toEqual(entries);
+      }),
+      { numRuns: MIN_ITERATIONS }
+    );
+  });
+
+  test('only cancelling a booking that held seats gives them back', () => {
+    expect(releasesCapacity('pending', 'cancelled')).toBe(true);
+    expect(releasesCapacity('confirmed', 'cancelled')).toBe(true);
+    expect(releasesCapacity('draft', 'cancelled')).toBe(false);
+    expect(releasesCapacity('confirmed', 'completed')).toBe(false);
+    expect(releasesCapacity('pending', 'confirmed')).toBe(false);
+  });
+
+  test('freed seats are offered to the next travelers that fit, each notified once', async () => {
+    const pool = createPool({
+      capacity: 10,
+      booked: 7,
+      waiting: [
+        { id: 1, user_id: 21, participants: 2, booking_date: '2099-03-01' },
+        { id: 2, user_id: 22, participants: 4, booking_date: '2099-03-01' },
+        { id: 3, user_id: 23, participants: 1, booking_date: '2099-03-01' }
+      ]
+    });
+
+    const offered = await offerFreedCapacity(pool, { serviceId: 5, bookingDate: '2099-03-01' });
+    expect(offered.map(entry => entry.id)).toEqual([1, 3]);
+    expect(pool.state.notifications.map(n => n.userId)).toEqual([21, 23]);
+
+    // The seats are now held by the offers, so a second pass offers nothing more
+    const again = await offerFreedCapacity(pool, { serviceId: 5, bookingDate: '2099-03-01' });
+    expect(again).toEqual([]);
+    expect(pool.state.notifications).toHaveLength(2);
+  });
+
+  test('travelers can only join the waitlist for dates that are full', async () => {
+    const open = await joinWaitlist(createPool({ capacity: 10, booked: 6, waiting: [] }), {
+      userId: 21, serviceId: 5, bookingDate: '2099-03-01', participants: 4, today: '2099-02-01'
+    });
+    expect(open).toMatchObject({ success: false, code: 'SPOTS_AVAILABLE' });
+
+    const pool = createPool({ capacity: 10, booked: 8, waiting: [] });
+    const joined = await joinWaitlist(pool, {
+      userId: 21, serviceId: 5, bookingDate: '2099-03-01', participants: 3, today: '2099-02-01'
+    });
+    expect(joined).toMatchObject({ success: true, position: 1 });
+    expect(pool.state.notifications).toEqual([{ userId: 21, title: 'You are on the waitlist' }]);
+
+    const past = await joinWaitlist(pool, {
+      userId: 21, serviceId: 5, bookingDate: '2099-01-01', participants: 3, today: '2099-02-01'
+    });
+    expect(past).toMatchObject({ success: false, status: 400 });
+  });
+});
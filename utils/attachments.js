@@ -0,0 +1,153 @@
+// Files attached to messages: passport scans, proofs of payment, photos and itineraries.
+// Only images and PDFs are accepted, recognised by their content rather than the name or type the
+// browser reports. Each file is virus scanned, images get a thumbnail, and everything is kept in
+// private storage that is only served to the participants of the thread.
+
+const crypto = require('crypto');
+const path = require('path');
+const sharp = require('sharp');
+
+const MAX_ATTACHMENTS_PER_MESSAGE = 5;
+const DEFAULT_MAX_ATTACHMENT_MB = 10;
+const THUMBNAIL_SIZE = 320;
+
+const startsWith = (buffer, signature, offset = 0) =>
+  buffer.length >= offset + signature.length &&
+  buffer.subarray(offset, offset + signature.length).equals(Buffer.from(signature, 'latin1'));
+
+// Accepted file types and how to recognise them from their first bytes
+const FILE_TYPES = [
+  { contentType: 'image/jpeg', extension: 'jpg', image: true, matches: (b) => startsWith(b, '\xff\xd8\xff') },
+  { contentType: 'image/png', extension: 'png', image: true, matches: (b) => startsWith(b, '\x89PNG\r\n\x1a\n') },
+  { contentType: 'image/gif', extension: 'gif', image: true, matches: (b) => startsWith(b, 'GIF87a') || startsWith(b, 'GIF89a') },
+  { contentType: 'image/webp', extension: 'webp', image: true, matches: (b) => startsWith(b, 'RIFF') && startsWith(b, 'WEBP', 8) },
+  { contentType: 'application/pdf', extension: 'pdf', image: false, matches: (b) => startsWith(b, '%PDF-') }
+];
+
+const maxAttachmentBytes = () =>
+  Math.round((parseFloat(process.env.MAX_ATTACHMENT_MB) || DEFAULT_MAX_ATTACHMENT_MB) * 1024 * 1024);
+
+/**
+ * The name to show and download a file as: no directories, control characters or quotes
+ */
+const safeFileName = (name) => {
+  const cleaned = path.basename(String(name || '')).replace(/[\x00-\x1f\x7f"\\/]/g, '').trim();
+  return cleaned.slice(-200) || 'attachment';
+};
+
+/**
+ * Check an uploaded file's size and type. Returns { fileType } or { error }.
+ */
+const validateAttachment = ({ buffer, size, originalname }) => {
+  const name = safeFileName(originalname);
+  if (!size) {
+    return { error: `${name} is empty` };
+  }
+  if (size > maxAttachmentBytes()) {
+    return { error: `${name} is larger than ${maxAttachmentBytes() / (1024 * 1024)} MB` };
+  }
+  const fileType = FILE_TYPES.find(type => type.matches(buffer));
+  if (!fileType) {
+    return { error: `${name} is not a JPEG, PNG, GIF or WebP image or a PDF` };
+  }
+  return { fileType };
+};
+
+// Virus scan hook. Files pass by default; a deployment with a scanner such as ClamAV registers it with
+// setVirusScanner(async ({ buffer, fileName, contentType }) => ({ clean, reason })).
+let virusScanner = async () => ({ clean: true });
+
+const setVirusScanner = (scanner) => {
+  virusScanner = scanner;
+};
+
+const createThumbnail = (buffer) => sharp(buffer)
+  .rotate()
+  .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+  .jpeg({ quality: 75 })
+  .toBuffer();
+
+/**
+ * Validate, scan and store uploaded files (as multer gives them) for a thread. Nothing is stored
+ * unless every file is accepted. Returns { attachments } ready for sendMessage, or { success: false, status, message }.
+ */
+const storeAttachments = async (storage, conversationId, files) => {
+  if (files.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+    return { success: false, status: 400, message: `At most ${MAX_ATTACHMENTS_PER_MESSAGE} files can be sent at once` };
+  }
+
+  const prepared = [];
+  for (const file of files) {
+    const { fileType, error } = validateAttachment(file);
+    if (error) {
+      return { success: false, status: 400, message: error };
+    }
+
+    const fileName = safeFileName(file.originalname);
+    const scan = await virusScanner({ buffer: file.buffer, fileName, contentType: fileType.contentType });
+    if (!scan.clean) {
+      return { success: false, status: 422, message: `${fileName} was rejected by the virus scan` };
+    }
+
+    let thumbnail = null;
+    if (fileType.image) {
+      try {
+        thumbnail = await createThumbnail(file.buffer);
+      } catch (thumbnailError) {
+        return { success: false, status: 400, message: `${fileName} could not be read as an image` };
+      }
+    }
+    prepared.push({ file, fileType, fileName, thumbnail });
+  }
+
+  const attachments = [];
+  try {
+    for (const { file, fileType, fileName, thumbnail } of prepared) {
+      const key = `attachments/${conversationId}/${crypto.randomUUID()}`;
+      const attachment = {
+        fileName,
+        contentType: fileType.contentType,
+        sizeBytes: file.size,
+        storageKey: `${key}.${fileType.extension}`,
+        thumbnailKey: thumbnail ? `${key}-thumb.jpg` : null
+      };
+      attachments.push(attachment);
+      await storage.save(attachment.storageKey, file.buffer);
+      if (thumbnail) await storage.save(attachment.thumbnailKey, thumbnail);
+    }
+  } catch (error) {
+    await removeStoredAttachments(storage, attachments);
+    throw error;
+  }
+  return { attachments };
+};
+
+/**
+ * Delete stored files, e.g. when the message they were for could not be saved
+ */
+const removeStoredAttachments = async (storage, attachments) => {
+  const keys = attachments.flatMap(a => [a.storageKey, a.thumbnailKey]).filter(Boolean);
+  await Promise.all(keys.map(key => storage.remove(key).catch(error => {
+    console.error('❌ Could not remove attachment file:', key, error.message);
+  })));
+};
+
+const formatAttachment = (a) => ({
+  id: a.id,
+  fileName: a.file_name,
+  contentType: a.content_type,
+  sizeBytes: a.size_bytes,
+  isImage: a.content_type.startsWith('image/'),
+  hasThumbnail: Boolean(a.has_thumbnail ?? a.thumbnail_key)
+});
+
+module.exports = {
+  MAX_ATTACHMENTS_PER_MESSAGE,
+  maxAttachmentBytes,
+  safeFileName,
+  validateAttachment,
+  setVirusScanner,
+  storeAttachments,
+  removeStoredAttachments,
+  formatAttachment
+};
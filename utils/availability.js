@@ -0,0 +1,240 @@
+// Service availability helpers: weekly slots, blackout dates and remaining capacity.
+// DB helpers take a pg client/pool so booking creation can run them inside its transaction.
+
+// Booking statuses that hold a seat on a slot
+const CAPACITY_HOLDING_STATUSES = ['pending', 'confirmed'];
+
+const MAX_RANGE_DAYS = 92;
+
+/**
+ * Format a Date (or date string) as YYYY-MM-DD without timezone shifting
+ */
+const toDateKey = (value) => {
+  if (value instanceof Date) {
+    const y = value.getFullYear();
+    const m = String(value.getMonth() + 1).padStart(2, '0');
+    const d = String(value.getDate()).padStart(2, '0');
+    return `${y}-${m}-${d}`;
+  }
+  return String(value).slice(0, 10);
+};
+
+/**
+ * Parse YYYY-MM-DD into a local Date, or null when invalid
+ */
+const parseDateKey = (value) => {
+  if (!value || !/^\d{4}-\d{2}-\d{2}$/.test(String(value).slice(0, 10))) return null;
+  const [y, m, d] = String(value).slice(0, 10).split('-').map(Number);
+  const date = new Date(y, m - 1, d);
+  return date.getMonth() === m - 1 ? date : null;
+};
+
+/**
+ * Check the date a booking is made for: a real date, today or later. `label` names the booking
+ * in the message. Returns an error message, or null when it is valid.
+ */
+const validateBookingDate = (dateKey, today = toDateKey(new Date()), label = 'this booking') => {
+  if (!parseDateKey(dateKey)) {
+    return `Invalid date for ${label}`;
+  }
+  if (dateKey < today) {
+    return `The date for ${label} is in the past`;
+  }
+  return null;
+};
+
+/**
+ * List every date key from `from` to `to` inclusive
+ */
+const enumerateDates = (from, to) => {
+  const start = parseDateKey(from);
+  const end = parseDateKey(to);
+  if (!start || !end || end < start) return [];
+
+  const dates = [];
+  const cursor = new Date(start);
+  while (cursor <= end && dates.length < MAX_RANGE_DAYS) {
+    dates.push(toDateKey(cursor));
+    cursor.setDate(cursor.getDate() + 1);
+  }
+  return dates;
+};
+
+const normalizeTime = (time) => (time ? String(time).slice(0, 5) : null);
+
+// HH:MM on a 24-hour clock, optionally with seconds as Postgres returns TIME values
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+/**
+ * Check a weekly slot from a request body: a day of the week, a real start time, an end time
+ * after it when one is given, and a capacity. Returns an error message, or null when it is valid.
+ */
+const validateSlot = (slot) => {
+  const day = parseInt(slot?.dayOfWeek);
+  const capacity = parseInt(slot?.capacity);
+  if (isNaN(day) || day < 0 || day > 6 || isNaN(capacity) || capacity < 1) {
+    return 'Each slot needs a dayOfWeek (0-6) and a capacity of at least 1';
+  }
+  if (!TIME_PATTERN.test(slot.startTime || '')) {
+    return 'Each slot needs a startTime between 00:00 and 23:59 (HH:MM)';
+  }
+  if (slot.endTime) {
+    if (!TIME_PATTERN.test(slot.endTime)) {
+      return 'A slot endTime must be between 00:00 and 23:59 (HH:MM)';
+    }
+    if (normalizeTime(slot.endTime) <= normalizeTime(slot.startTime)) {
+      return 'A slot must end after it starts';
+    }
+  }
+  return null;
+};
+
+/**
+ * Pick the slot a booking belongs to on a given date.
+ * Returns { slot } on success or { error } describing why the request doesn't fit.
+ */
+const resolveSlot = (slots, dateKey, startTime) => {
+  const date = parseDateKey(dateKey);
+  if (!date) return { error: 'Invalid booking date' };
+
+  const daySlots = slots.filter(s => s.is_active !== false && Number(s.day_of_week) === date.getDay());
+  if (daySlots.length === 0) return { error: 'This service does not run on the selected day' };
+
+  if (startTime) {
+    const slot = daySlots.find(s => normalizeTime(s.start_time) === normalizeTime(startTime));
+    return slot ? { slot } : { error: 'No departure at the selected time on this day' };
+  }
+
+  if (daySlots.length > 1) return { error: 'Please choose a start time for this date' };
+  return { slot: daySlots[0] };
+};
+
+/**
+ * Load the active weekly slots for a service
+ */
+const getServiceSlots = async (db, serviceId) => {
+  const result = await db.query(
+    `SELECT id, service_id, day_of_week, start_time, end_time, capacity, is_active
+     FROM service_availability_slots
+     WHERE service_id = $1 AND is_active = TRUE
+     ORDER BY day_of_week, start_time`,
+    [serviceId]
+  );
+  return result.rows;
+};
+
+const isBlackoutDate = async (db, serviceId, dateKey) => {
+  const result = await db.query(
+    'SELECT 1 FROM service_blackout_dates WHERE service_id = $1 AND blackout_date = $2',
+    [serviceId, dateKey]
+  );
+  return result.rows.length > 0;
+};
+
+/**
+ * Work out the capacity a new booking would draw from.
+ * Services without weekly slots fall back to max_participants for the whole day
+ * (unlimited when that is not set either). Seats offered to someone on the waitlist stay
+ * held until the offer runs out, except for `userId`, the traveler they were offered to.
+ * Returns { available, slot, capacity, booked, remaining, message }.
+ */
+const checkCapacity = async (db, service, dateKey, startTime, { userId = null } = {}) => {
+  if (await isBlackoutDate(db, service.id, dateKey)) {
+    return { available: false, message: 'The provider is not taking bookings on this date' };
+  }
+
+  const slots = await getServiceSlots(db, service.id);
+  let slot = null;
+  let capacity = service.max_participants ? parseInt(service.max_participants) : null;
+
+  if (slots.length > 0) {
+    const resolved = resolveSlot(slots, dateKey, startTime);
+    if (resolved.error) return { available: false, message: resolved.error };
+    slot = resolved.slot;
+    capacity = slot.capacity;
+  }
+
+  if (capacity === null) {
+    return { available: true, slot, capacity: null, booked: 0, remaining: null };
+  }
+
+  const bookedResult = await db.query(
+    `SELECT
+       (SELECT COALESCE(SUM(participants), 0) FROM bookings
+        WHERE service_id = $1 AND booking_date = $2 AND status = ANY($3)
+          ${slot ? 'AND slot_id = $5' : ''}) AS booked,
+       (SELECT COALESCE(SUM(participants), 0) FROM waitlist_entries
+        WHERE service_id = $1 AND booking_date = $2 AND status = 'offered' AND offer_expires_at > NOW()
+          AND user_id IS DISTINCT FROM $4
+          ${slot ? 'AND slot_id = $5' : ''}) AS held`,
+    slot
+      ? [service.id, dateKey, CAPACITY_HOLDING_STATUSES, userId, slot.id]
+      : [service.id, dateKey, CAPACITY_HOLDING_STATUSES, userId]
+  );
+  const booked = parseInt(bookedResult.rows[0].booked) + parseInt(bookedResult.rows[0].held);
+
+  return { available: true, slot, capacity, booked, remaining: Math.max(capacity - booked, 0) };
+};
+
+/**
+ * Build the per-day calendar for GET /api/services/:id/availability
+ */
+const buildCalendar = ({ dates, slots, blackouts, bookedBySlotAndDate, maxParticipants }) => {
+  const blackoutMap = new Map(blackouts.map(b => [toDateKey(b.blackout_date), b.reason || null]));
+  const dayCapacity = maxParticipants ? parseInt(maxParticipants) : null;
+
+  return dates.map(dateKey => {
+    if (blackoutMap.has(dateKey)) {
+      return { date: dateKey, available: false, blackout: true, reason: blackoutMap.get(dateKey), slots: [] };
+    }
+
+    if (slots.length === 0) {
+      const booked = bookedBySlotAndDate[`day:${dateKey}`] || 0;
+      const remaining = dayCapacity === null ? null : Math.max(dayCapacity - booked, 0);
+      return {
+        date: dateKey,
+        available: remaining === null || remaining > 0,
+        blackout: false,
+        slots: [{ id: null, startTime: null, endTime: null, capacity: dayCapacity, booked, remaining }]
+      };
+    }
+
+    const weekday = parseDateKey(dateKey).getDay();
+    const daySlots = slots
+      .filter(s => Number(s.day_of_week) === weekday)
+      .map(s => {
+        const booked = bookedBySlotAndDate[`${s.id}:${dateKey}`] || 0;
+        return {
+          id: s.id,
+          startTime: normalizeTime(s.start_time),
+          endTime: normalizeTime(s.end_time),
+          capacity: s.capacity,
+          booked,
+          remaining: Math.max(s.capacity - booked, 0)
+        };
+      });
+
+    return {
+      date: dateKey,
+      available: daySlots.some(s => s.remaining > 0),
+      blackout: false,
+      slots: daySlots
+    };
+  });
+};
+
+module.exports = {
+  CAPACITY_HOLDING_STATUSES,
+  MAX_RANGE_DAYS,
+  toDateKey,
+  parseDateKey,
+  validateBookingDate,
+  enumerateDates,
+  normalizeTime,
+  validateSlot,
+  resolveSlot,
+  getServiceSlots,
+  isBlackoutDate,
+  checkCapacity,
+  buildCalendar
+};
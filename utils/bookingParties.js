@@ -0,0 +1,62 @@
+// Who is involved in a booking or payment, for the subscribers that tell them about changes to it.
+
+/**
+ * The booking with its traveler's and provider's user ids, names and contact details
+ */
+const getBookingParties = async (db, bookingId) => {
+  const result = await db.query(
+    `SELECT b.id, b.traveler_id, b.booking_date, b.status, b.participants,
+            s.title AS service_title, sp.user_id AS provider_user_id, sp.business_name,
+            TRIM(CONCAT(u.first_name, ' ', u.last_name)) AS traveler_name, u.first_name AS traveler_first_name,
+            u.email AS traveler_email, pu.email AS provider_email
+     FROM bookings b
+     JOIN services s ON s.id = b.service_id
+     JOIN service_providers sp ON sp.id = b.provider_id
+     LEFT JOIN users u ON u.id = b.traveler_id
+     LEFT JOIN users pu ON pu.id = sp.user_id
+     WHERE b.id = $1`,
+    [bookingId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Who hears about a cancellation: the party that did not cancel, both for admin and system
+ * cancellations, and never the provider for a draft they never saw.
+ * `declined` marks a provider turning down a request.
+ */
+const cancellationRecipients = ({ actor, fromStatus }) => ({
+  traveler: actor !== 'traveler',
+  provider: actor !== 'provider' && fromStatus !== 'draft',
+  declined: actor === 'provider' && fromStatus === 'pending'
+});
+
+/**
+ * A payment with the bookings it pays for (one booking, or every booking of a cart order)
+ * and the provider user of each
+ */
+const getPaymentParties = async (db, paymentId) => {
+  const paymentResult = await db.query(
+    'SELECT id, user_id, booking_id, order_id, amount, currency FROM payments WHERE id = $1',
+    [paymentId]
+  );
+  const payment = paymentResult.rows[0];
+  if (!payment) return null;
+  if (!payment.booking_id && !payment.order_id) return { payment, bookings: [] };
+
+  const bookings = await db.query(
+    `SELECT b.id, s.title AS service_title, sp.user_id AS provider_user_id
+     FROM bookings b
+     JOIN services s ON s.id = b.service_id
+     JOIN service_providers sp ON sp.id = b.provider_id
+     WHERE b.id = $1 OR b.order_id = $2`,
+    [payment.booking_id, payment.order_id]
+  );
+  return { payment, bookings: bookings.rows };
+};
+
+module.exports = {
+  getBookingParties,
+  cancellationRecipients,
+  getPaymentParties
+};
@@ -0,0 +1,115 @@
+// Booking state machine: which status changes each actor may make, plus the
+// helper that applies a change and records it in booking_status_history.
+
+const { publishBookingEvent } = require('./realtime');
+
+const BOOKING_STATUSES = ['draft', 'pending', 'confirmed', 'cancelled', 'completed'];
+
+const ACTORS = ['traveler', 'provider', 'admin', 'system'];
+
+// from status -> to status -> actors allowed to make that change
+const TRANSITIONS = {
+  draft: {
+    pending: ['traveler'],
+    cancelled: ['traveler', 'admin', 'system']
+  },
+  pending: {
+    confirmed: ['provider', 'admin'],
+    cancelled: ['traveler', 'provider', 'admin', 'system']
+  },
+  confirmed: {
+    completed: ['provider', 'admin', 'system'],
+    cancelled: ['traveler', 'provider', 'admin', 'system']
+  },
+  cancelled: {},
+  completed: {}
+};
+
+const canTransition = (fromStatus, toStatus, actor) =>
+  Boolean(TRANSITIONS[fromStatus]?.[toStatus]?.includes(actor));
+
+/**
+ * Statuses the given actor can move a booking to from its current status
+ */
+const allowedTransitions = (fromStatus, actor) =>
+  Object.entries(TRANSITIONS[fromStatus] || {})
+    .filter(([, actors]) => actors.includes(actor))
+    .map(([toStatus]) => toStatus);
+
+/**
+ * Record a status change and tell the booking's traveler and provider about it.
+ * Used directly for the initial status of a new booking.
+ */
+const recordStatusChange = async (db, { bookingId, fromStatus = null, toStatus, actor, actorId = null, reason = null }) => {
+  await db.query(
+    `INSERT INTO booking_status_history (booking_id, from_status, to_status, actor_type, actor_id, reason)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [bookingId, fromStatus, toStatus, actor, actorId, reason]
+  );
+  await publishBookingEvent(db, bookingId, {
+    type: 'booking_status',
+    data: { bookingId, fromStatus, toStatus, actor, reason }
+  });
+};
+
+/**
+ * Move a booking to a new status if the state machine allows it.
+ * `authorize(booking)` may return false to reject callers who don't own the booking.
+ * Runs in its own transaction unless a client already inside one is passed.
+ * Returns { success: true, booking, fromStatus } or { success: false, status, message, allowed? }.
+ */
+const transitionBooking = async (pool, { bookingId, toStatus, actor, actorId = null, reason = null, authorize, client = null }) => {
+  if (!BOOKING_STATUSES.includes(toStatus)) {
+    return { success: false, status: 400, message: 'Invalid status' };
+  }
+  if (!ACTORS.includes(actor)) {
+    return { success: false, status: 400, message: 'Invalid actor' };
+  }
+
+  const db = client || await pool.connect();
+  try {
+    if (!client) await db.query('BEGIN');
+
+    const result = await db.query('SELECT * FROM bookings WHERE id = $1 FOR UPDATE', [bookingId]);
+    const booking = result.rows[0];
+
+    if (!booking || (authorize && !authorize(booking))) {
+      if (!client) await db.query('ROLLBACK');
+      return { success: false, status: 404, message: 'Booking not found' };
+    }
+
+    if (!canTransition(booking.status, toStatus, actor)) {
+      if (!client) await db.query('ROLLBACK');
+      return {
+        success: false,
+        status: 409,
+        message: `A ${actor} cannot change a ${booking.status} booking to ${toStatus}`,
+        allowed: allowedTransitions(booking.status, actor)
+      };
+    }
+
+    const updated = await db.query(
+      'UPDATE bookings SET status = $1, updated_at = NOW() WHERE id = $2 RETURNING *',
+      [toStatus, bookingId]
+    );
+    await recordStatusChange(db, { bookingId, fromStatus: booking.status, toStatus, actor, actorId, reason });
+
+    if (!client) await db.query('COMMIT');
+    return { success: true, booking: updated.rows[0], fromStatus: booking.status };
+  } catch (error) {
+    if (!client) await db.query('ROLLBACK');
+    throw error;
+  } finally {
+    if (!client) db.release();
+  }
+};
+
+module.exports = {
+  BOOKING_STATUSES,
+  ACTORS,
+  TRANSITIONS,
+  canTransition,
+  allowedTransitions,
+  recordStatusChange,
+  transitionBooking
+};
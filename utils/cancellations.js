@@ -0,0 +1,235 @@
+// Cancellation policies and refunds.
+// A policy is { type, tiers: [{ daysBefore, refundPercent }] }: cancelling at least
+// `daysBefore` days before the booking date refunds `refundPercent` of what was paid.
+
+const { toDateKey, parseDateKey } = require('./availability');
+const { transitionBooking } = require('./bookingStateMachine');
+const { recordRefund } = require('./ledger');
+
+const POLICY_PRESETS = {
+  flexible: [
+    { daysBefore: 1, refundPercent: 100 }
+  ],
+  moderate: [
+    { daysBefore: 5, refundPercent: 100 },
+    { daysBefore: 1, refundPercent: 50 }
+  ],
+  strict: [
+    { daysBefore: 14, refundPercent: 100 },
+    { daysBefore: 7, refundPercent: 50 }
+  ]
+};
+
+const DEFAULT_POLICY_TYPE = 'moderate';
+
+/**
+ * Validate a policy from a request body or the database.
+ * Returns { policy } with tiers sorted by daysBefore descending, or { error }.
+ */
+const normalizePolicy = (policy) => {
+  if (!policy || !policy.type) {
+    return { policy: { type: DEFAULT_POLICY_TYPE, tiers: POLICY_PRESETS[DEFAULT_POLICY_TYPE] } };
+  }
+
+  if (POLICY_PRESETS[policy.type]) {
+    return { policy: { type: policy.type, tiers: POLICY_PRESETS[policy.type] } };
+  }
+
+  if (policy.type !== 'custom') {
+    return { error: 'Cancellation policy must be flexible, moderate, strict or custom' };
+  }
+
+  const tiers = (policy.tiers || []).map(tier => ({
+    daysBefore: parseInt(tier.daysBefore),
+    refundPercent: parseFloat(tier.refundPercent)
+  }));
+
+  if (tiers.length === 0) {
+    return { error: 'A custom cancellation policy needs at least one tier' };
+  }
+  if (tiers.some(t => isNaN(t.daysBefore) || t.daysBefore < 0 || isNaN(t.refundPercent) || t.refundPercent < 0 || t.refundPercent > 100)) {
+    return { error: 'Each tier needs daysBefore of 0 or more and refundPercent between 0 and 100' };
+  }
+
+  tiers.sort((a, b) => b.daysBefore - a.daysBefore);
+  return { policy: { type: 'custom', tiers } };
+};
+
+/**
+ * Whole days from `now` until the start of the booking date (negative once it has started)
+ */
+const daysUntil = (bookingDate, now = new Date()) => {
+  const start = parseDateKey(toDateKey(bookingDate));
+  const today = parseDateKey(toDateKey(now));
+  return Math.round((start - today) / (24 * 60 * 60 * 1000));
+};
+
+/**
+ * Work out the refund for cancelling a booking under a policy.
+ * Provider and admin cancellations always refund in full.
+ */
+const computeRefund = ({ policy, bookingDate, paidAmount, actor = 'traveler', now = new Date() }) => {
+  const { policy: normalized } = normalizePolicy(policy);
+  const daysBeforeStart = daysUntil(bookingDate, now);
+  const paid = Math.max(parseFloat(paidAmount) || 0, 0);
+
+  let refundPercent = 0;
+  if (actor !== 'traveler') {
+    refundPercent = 100;
+  } else {
+    const tier = normalized.tiers.find(t => daysBeforeStart >= t.daysBefore);
+    refundPercent = tier ? tier.refundPercent : 0;
+  }
+
+  return {
+    policy: normalized,
+    daysBeforeStart,
+    refundPercent,
+    paidAmount: paid,
+    refundAmount: Math.round(paid * refundPercent) / 100
+  };
+};
+
+/**
+ * Amount paid on a booking that has not been refunded yet, and the payment to refund against.
+ * A booking paid through a cart checkout counts as paid in full by each of its order's completed
+ * payments, at the total it had at checkout before any approved change. A duplicate order payment
+ * is refunded against the booking, so it counts as paid here too.
+ */
+const getRefundablePayment = async (db, bookingId) => {
+  const result = await db.query(
+    `SELECT
+       (SELECT id FROM payments
+        WHERE (booking_id = b.id OR order_id = b.order_id) AND payment_status = 'completed'
+        ORDER BY created_at DESC LIMIT 1) AS payment_id,
+       (SELECT COALESCE(SUM(amount), 0) FROM payments WHERE booking_id = b.id AND payment_status = 'completed')
+         + (SELECT COUNT(*) FROM payments WHERE order_id = b.order_id AND payment_status = 'completed')
+           * COALESCE(
+               (SELECT original_total_amount FROM booking_modifications
+                WHERE booking_id = b.id AND status = 'approved' ORDER BY id LIMIT 1),
+               b.total_amount
+             ) AS paid,
+       (SELECT COALESCE(SUM(amount), 0) FROM refunds WHERE booking_id = b.id AND status <> 'failed') AS refunded
+     FROM bookings b
+     WHERE b.id = $1`,
+    [bookingId]
+  );
+  const row = result.rows[0];
+  if (!row) return { paymentId: null, paidAmount: 0 };
+  return {
+    paymentId: row.payment_id,
+    paidAmount: Math.max(parseFloat(row.paid) - parseFloat(row.refunded), 0)
+  };
+};
+
+/**
+ * Quote the refund a cancellation would produce right now.
+ * Uses the policy snapshotted on the booking, falling back to the service's current policy.
+ */
+const quoteCancellation = async (db, booking, actor = 'traveler') => {
+  let policy = booking.cancellation_policy;
+  if (!policy) {
+    const serviceResult = await db.query('SELECT cancellation_policy FROM services WHERE id = $1', [booking.service_id]);
+    policy = serviceResult.rows[0]?.cancellation_policy;
+  }
+
+  const { paymentId, paidAmount } = await getRefundablePayment(db, booking.id);
+  return {
+    ...computeRefund({ policy, bookingDate: booking.booking_date, paidAmount, actor }),
+    paymentId
+  };
+};
+
+/**
+ * Soft-cancel a booking through the state machine and create its refund entry in one transaction.
+ * A booking with a payment still pending at the gateway is refused until that payment settles.
+ * `refundAs` prices the refund as another actor, e.g. the traveler when the system cancels for non-payment.
+ * Returns the transitionBooking result with `refund` (or null when nothing was paid) added.
+ */
+const cancelBooking = async (pool, { bookingId, actor, actorId = null, reason = null, authorize, refundAs = actor }) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await transitionBooking(pool, {
+      bookingId, toStatus: 'cancelled', actor, actorId, reason, authorize, client
+    });
+    if (!result.success) {
+      await client.query('ROLLBACK');
+      return result;
+    }
+
+    // Money still on its way from the gateway can't be quoted for a refund yet. The booking row is
+    // locked now, so no new payment can start until this transaction ends.
+    const inFlight = await client.query(
+      `SELECT id FROM payments WHERE booking_id = $1 AND payment_status = 'pending' LIMIT 1`,
+      [bookingId]
+    );
+    if (inFlight.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return {
+        success: false,
+        status: 409,
+        code: 'PAYMENT_IN_PROGRESS',
+        message: 'A payment for this booking is in progress. Try again once it has gone through or failed.'
+      };
+    }
+
+    await client.query('UPDATE bookings SET cancelled_at = NOW() WHERE id = $1', [bookingId]);
+    // A booking cancelled before its checkout order is paid comes off what the order charges;
+    // an order left with nothing to pay is cancelled
+    if (result.booking.order_id) {
+      await client.query(
+        `UPDATE orders
+         SET total_amount = GREATEST(total_amount - $2, 0),
+             charged_amount = GREATEST(charged_amount - $3, 0),
+             status = CASE WHEN total_amount - $2 <= 0 THEN 'cancelled' ELSE status END,
+             updated_at = NOW()
+         WHERE id = $1 AND status = 'pending'`,
+        [result.booking.order_id, result.booking.total_amount, result.booking.charged_amount || 0]
+      );
+    }
+    // The traveler gets the use of a promo code back when the booking it was redeemed on is cancelled
+    await client.query(
+      `UPDATE promo_redemptions SET status = 'voided' WHERE booking_id = $1 AND status = 'applied'`,
+      [bookingId]
+    );
+    await client.query(
+      `UPDATE booking_instalments SET status = 'cancelled' WHERE booking_id = $1 AND status = 'pending'`,
+      [bookingId]
+    );
+
+    const quote = await quoteCancellation(client, result.booking, refundAs);
+
+    let refund = null;
+    if (quote.refundAmount > 0) {
+      const refundResult = await client.query(
+        `INSERT INTO refunds (booking_id, payment_id, amount, currency, refund_percent, reason, requested_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [bookingId, quote.paymentId, quote.refundAmount, result.booking.settlement_currency || 'TZS', quote.refundPercent, reason, actorId]
+      );
+      refund = refundResult.rows[0];
+      await recordRefund(client, refund, result.booking);
+    }
+
+    await client.query('COMMIT');
+    return { ...result, quote, refund };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  POLICY_PRESETS,
+  DEFAULT_POLICY_TYPE,
+  normalizePolicy,
+  daysUntil,
+  computeRefund,
+  getRefundablePayment,
+  quoteCancellation,
+  cancelBooking
+};
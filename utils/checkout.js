@@ -0,0 +1,277 @@
+// Cart checkout: turn every item in a traveler's cart into a booking, grouped in one order
+// and paid with one combined payment. Everything happens in the caller's transaction, so a
+// checkout that fails part way leaves no bookings behind.
+
+const { Booking } = require('../models');
+const { checkCapacity, toDateKey, validateBookingDate } = require('./availability');
+const { recordStatusChange } = require('./bookingStateMachine');
+const { normalizePolicy } = require('./cancellations');
+const { getFeeBreakdown } = require('./commission');
+const { BASE_CURRENCY, getRates, quoteCharge, chargeAtRate } = require('./currency');
+const { recordPromotionSubsidy } = require('./ledger');
+const { createPayment } = require('./payments');
+const { applyPromoCode, toPromoItem, platformDiscount, recordRedemption } = require('./promoCodes');
+const { acceptWaitlistOffer } = require('./waitlist');
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Match the requested dates and participant counts to the cart. Every cart item needs a date.
+ * Returns { items: [{ cartItem, bookingDate, participants, startTime, specialRequests, expectedPrice }] } or { error, cartItemId? }.
+ */
+const validateCheckoutItems = (cartItems, requested = [], today = toDateKey(new Date())) => {
+  if (cartItems.length === 0) {
+    return { error: 'Your cart is empty' };
+  }
+  if (!Array.isArray(requested)) {
+    return { error: 'Items must be a list' };
+  }
+
+  const byCartItem = new Map(requested.map(item => [parseInt(item.cartItemId), item]));
+  const unknown = requested.find(item => !cartItems.some(cartItem => cartItem.id === parseInt(item.cartItemId)));
+  if (unknown) {
+    return { error: 'An item is no longer in your cart', cartItemId: unknown.cartItemId };
+  }
+
+  const items = [];
+  for (const cartItem of cartItems) {
+    const details = byCartItem.get(cartItem.id);
+    const label = cartItem.title || `item ${cartItem.id}`;
+    if (!details || !details.bookingDate) {
+      return { error: `Choose a date for ${label}`, cartItemId: cartItem.id };
+    }
+
+    const bookingDate = toDateKey(details.bookingDate);
+    const dateError = validateBookingDate(bookingDate, today, label);
+    if (dateError) {
+      return { error: dateError, cartItemId: cartItem.id };
+    }
+
+    const participants = details.participants === undefined ? (cartItem.quantity || 1) : parseInt(details.participants);
+    if (!Number.isInteger(participants) || participants < 1) {
+      return { error: `Participants for ${label} must be at least 1`, cartItemId: cartItem.id };
+    }
+
+    items.push({
+      cartItem,
+      bookingDate,
+      participants,
+      startTime: details.startTime || null,
+      specialRequests: details.specialRequests || null,
+      expectedPrice: details.expectedPrice === undefined || details.expectedPrice === null ? null : parseFloat(details.expectedPrice)
+    });
+  }
+  return { items };
+};
+
+/**
+ * Check out the user's whole cart inside an open transaction: re-check prices and availability,
+ * apply any promo code, create the order, its bookings and one pending payment for `gateway`,
+ * then empty the cart. The payment still has to be started with the gateway once the transaction
+ * commits; there is no payment when a promo code covers the whole order.
+ * Returns { success: true, order, bookings, payment } or { success: false, status, code?, message, cartItemId? }.
+ */
+const checkoutCart = async (client, { userId, items: requested, currency = null, gateway, promoCode = null }) => {
+  const cartResult = await client.query(
+    `SELECT ci.*, s.title FROM cart_items ci
+     JOIN services s ON ci.service_id = s.id
+     WHERE ci.user_id = $1
+     ORDER BY ci.added_at
+     FOR UPDATE OF ci`,
+    [userId]
+  );
+
+  const { items, error, cartItemId } = validateCheckoutItems(cartResult.rows, requested);
+  if (error) {
+    return { success: false, status: 400, message: error, cartItemId };
+  }
+
+  // Lock services in id order so two checkouts sharing services cannot deadlock
+  const serviceIds = [...new Set(items.map(item => item.cartItem.service_id))].sort((a, b) => a - b);
+  const servicesResult = await client.query(
+    'SELECT * FROM services WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE',
+    [serviceIds]
+  );
+  const services = new Map(servicesResult.rows.map(service => [service.id, service]));
+
+  const settlementCurrencies = new Set(servicesResult.rows.map(service => service.currency || BASE_CURRENCY));
+  if (settlementCurrencies.size > 1) {
+    return {
+      success: false,
+      status: 400,
+      code: 'MIXED_CURRENCIES',
+      message: 'Items priced in different currencies must be checked out separately'
+    };
+  }
+  const settlementCurrency = [...settlementCurrencies][0];
+
+  for (const item of items) {
+    const service = services.get(item.cartItem.service_id);
+    item.service = service;
+    item.unitPrice = parseFloat(service.price) || 0;
+    item.amount = roundMoney(item.unitPrice * item.participants);
+
+    if (item.expectedPrice !== null && Math.abs(item.expectedPrice - item.unitPrice) >= 0.005) {
+      return {
+        success: false,
+        status: 409,
+        code: 'PRICE_CHANGED',
+        message: `The price of ${service.title} has changed to ${settlementCurrency} ${item.unitPrice.toLocaleString('en-US')}`,
+        cartItemId: item.cartItem.id
+      };
+    }
+  }
+
+  let promo = null;
+  let discount = 0;
+  if (promoCode) {
+    const applied = await applyPromoCode(client, {
+      code: promoCode,
+      userId,
+      items: items.map(item => toPromoItem(item.service, item.amount)),
+      currency: settlementCurrency
+    });
+    if (applied.error) {
+      return { success: false, status: 400, code: 'PROMO_INVALID', message: applied.error };
+    }
+    promo = applied.promo;
+    discount = applied.discount;
+    items.forEach((item, i) => {
+      item.discount = applied.allocations[i];
+      item.amount = roundMoney(item.amount - item.discount);
+    });
+  }
+
+  const total = roundMoney(items.reduce((sum, item) => sum + item.amount, 0));
+  const paymentStatus = total > 0 ? 'pending' : 'paid';
+
+  let chargeCurrency = currency;
+  if (!chargeCurrency) {
+    const userResult = await client.query('SELECT preferred_currency FROM users WHERE id = $1', [userId]);
+    chargeCurrency = userResult.rows[0]?.preferred_currency;
+  }
+  const charge = quoteCharge(total, settlementCurrency, chargeCurrency, await getRates(client));
+  if (charge.error) {
+    return { success: false, status: 400, message: charge.error };
+  }
+
+  const orderResult = await client.query(
+    `INSERT INTO orders (user_id, status, total_amount, currency, charged_amount, charged_currency, exchange_rate, promo_code_id, discount_amount)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [userId, paymentStatus, total, settlementCurrency, charge.chargedAmount, charge.chargedCurrency, charge.exchangeRate,
+      promo ? promo.id : null, discount]
+  );
+  const order = orderResult.rows[0];
+
+  const bookings = [];
+  for (const item of items) {
+    const { service } = item;
+
+    // Bookings already made in this checkout count against capacity here
+    const capacity = await checkCapacity(client, service, item.bookingDate, item.startTime, { userId });
+    if (!capacity.available) {
+      return { success: false, status: 409, code: 'UNAVAILABLE', message: `${service.title}: ${capacity.message}`, cartItemId: item.cartItem.id };
+    }
+    if (capacity.remaining !== null && item.participants > capacity.remaining) {
+      return {
+        success: false,
+        status: 409,
+        code: 'CAPACITY_EXCEEDED',
+        message: capacity.remaining === 0
+          ? `${service.title} is fully booked on ${item.bookingDate}`
+          : `${service.title} has only ${capacity.remaining} spot${capacity.remaining === 1 ? '' : 's'} left on ${item.bookingDate}`,
+        cartItemId: item.cartItem.id
+      };
+    }
+
+    // Each booking records its own share of the charge at the order's rate
+    const share = chargeAtRate(item.amount, settlementCurrency, charge.chargedCurrency, charge.exchangeRate);
+    const booking = await Booking.create({
+      traveler_id: userId,
+      service_id: service.id,
+      provider_id: service.provider_id,
+      booking_date: item.bookingDate,
+      start_time: capacity.slot ? capacity.slot.start_time : item.startTime,
+      end_time: capacity.slot ? capacity.slot.end_time : null,
+      participants: item.participants,
+      total_amount: item.amount,
+      special_requests: item.specialRequests,
+      status: 'pending',
+      payment_status: paymentStatus,
+      slot_id: capacity.slot ? capacity.slot.id : null,
+      cancellation_policy: normalizePolicy(service.cancellation_policy).policy,
+      fee_breakdown: { ...await getFeeBreakdown(client, service, item.amount), platformDiscount: platformDiscount(promo, item.discount) },
+      settlement_currency: settlementCurrency,
+      charged_currency: share.chargedCurrency,
+      charged_amount: share.chargedAmount,
+      exchange_rate: share.exchangeRate,
+      order_id: order.id,
+      promo_code_id: item.discount ? promo.id : null,
+      discount_amount: item.discount || 0
+    }, client);
+    await recordStatusChange(client, { bookingId: booking.id, toStatus: booking.status, actor: 'traveler', actorId: userId });
+    if (paymentStatus === 'paid') {
+      await recordPromotionSubsidy(client, booking);
+    }
+    await acceptWaitlistOffer(client, { userId, booking });
+
+    bookings.push({ ...booking, service_title: service.title, unit_price: item.unitPrice });
+  }
+
+  if (promo) {
+    await recordRedemption(client, { promo, userId, orderId: order.id, discount, currency: settlementCurrency });
+  }
+
+  const payment = total > 0 ? await createPayment(client, {
+    gateway,
+    userId,
+    paymentType: 'booking_payment',
+    amount: total,
+    currency: settlementCurrency,
+    chargedAmount: charge.chargedAmount,
+    chargedCurrency: charge.chargedCurrency,
+    exchangeRate: charge.exchangeRate,
+    orderId: order.id,
+    description: `Order #${order.id} - ${bookings.length} booking${bookings.length === 1 ? '' : 's'}`
+  }) : null;
+
+  await client.query('DELETE FROM cart_items WHERE user_id = $1', [userId]);
+
+  return { success: true, order, bookings, payment };
+};
+
+/**
+ * Order summary returned to the traveler after checkout
+ */
+const formatOrder = (order, bookings) => ({
+  id: order.id,
+  status: order.status,
+  total_amount: parseFloat(order.total_amount),
+  discount_amount: parseFloat(order.discount_amount || 0),
+  currency: order.currency,
+  charged_amount: parseFloat(order.charged_amount),
+  charged_currency: order.charged_currency,
+  exchange_rate: parseFloat(order.exchange_rate),
+  created_at: order.created_at,
+  bookings: bookings.map(booking => ({
+    id: booking.id,
+    service_id: booking.service_id,
+    service_title: booking.service_title,
+    booking_date: booking.booking_date,
+    start_time: booking.start_time,
+    participants: booking.participants,
+    unit_price: booking.unit_price,
+    total_amount: parseFloat(booking.total_amount),
+    discount_amount: parseFloat(booking.discount_amount || 0),
+    charged_amount: parseFloat(booking.charged_amount),
+    status: booking.status,
+    payment_status: booking.payment_status
+  }))
+});
+
+module.exports = {
+  validateCheckoutItems,
+  checkoutCart,
+  formatOrder
+};
@@ -0,0 +1,195 @@
+// Platform commission rules. A rule applies a percentage plus a fixed fee (in the
+// service's currency) to bookings matching its category, region, provider tier and
+// promotion status; empty criteria match anything. When several rules match, the one
+// with the most criteria wins, then the higher priority, then the most recent.
+// Each booking keeps the resulting fee breakdown so later rule changes don't affect it.
+
+// Used when no rule matches
+const DEFAULT_COMMISSION_PERCENT = parseFloat(process.env.PLATFORM_COMMISSION_PERCENT) || 15;
+
+const PROVIDER_TIERS = ['standard', 'verified', 'premium'];
+
+const PROMOTION_STATUSES = ['promoted', 'standard'];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const toDateKey = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+const dateKeyOf = (value) => (value instanceof Date ? toDateKey(value) : value ? String(value).slice(0, 10) : null);
+
+/**
+ * Validate a rule from a request body. Returns { rule } in column form, or { error }.
+ */
+const validateRule = (body) => {
+  const commissionPercent = parseFloat(body.commissionPercent);
+  const fixedFee = body.fixedFee === undefined || body.fixedFee === '' ? 0 : parseFloat(body.fixedFee);
+
+  if (!body.name || !String(body.name).trim()) {
+    return { error: 'Rule name is required' };
+  }
+  if (isNaN(commissionPercent) || commissionPercent < 0 || commissionPercent > 100) {
+    return { error: 'Commission must be between 0 and 100 percent' };
+  }
+  if (isNaN(fixedFee) || fixedFee < 0) {
+    return { error: 'Fixed fee cannot be negative' };
+  }
+  if (body.providerTier && !PROVIDER_TIERS.includes(body.providerTier)) {
+    return { error: `Provider tier must be one of ${PROVIDER_TIERS.join(', ')}` };
+  }
+  if (body.promotionStatus && !PROMOTION_STATUSES.includes(body.promotionStatus)) {
+    return { error: `Promotion status must be one of ${PROMOTION_STATUSES.join(', ')}` };
+  }
+  if (!body.effectiveFrom || isNaN(new Date(body.effectiveFrom).getTime())) {
+    return { error: 'Effective from date is required' };
+  }
+  if (body.effectiveTo && (isNaN(new Date(body.effectiveTo).getTime()) || body.effectiveTo < body.effectiveFrom)) {
+    return { error: 'Effective to date must be on or after the effective from date' };
+  }
+
+  return {
+    rule: {
+      name: String(body.name).trim(),
+      category: body.category || null,
+      region: body.region || null,
+      provider_tier: body.providerTier || null,
+      promotion_status: body.promotionStatus || null,
+      commission_percent: commissionPercent,
+      fixed_fee: fixedFee,
+      priority: parseInt(body.priority) || 0,
+      effective_from: dateKeyOf(body.effectiveFrom),
+      effective_to: body.effectiveTo ? dateKeyOf(body.effectiveTo) : null,
+      is_active: body.isActive !== false
+    }
+  };
+};
+
+const CRITERIA = [
+  ['category', 'category'],
+  ['region', 'region'],
+  ['provider_tier', 'providerTier'],
+  ['promotion_status', 'promotionStatus']
+];
+
+const specificity = (rule) => CRITERIA.filter(([column]) => rule[column]).length;
+
+/**
+ * Whether a rule applies to a booking with the given context on the given date
+ */
+const ruleMatches = (rule, context, dateKey) => {
+  if (rule.is_active === false) return false;
+  if (dateKeyOf(rule.effective_from) > dateKey) return false;
+  if (rule.effective_to && dateKeyOf(rule.effective_to) < dateKey) return false;
+
+  return CRITERIA.every(([column, key]) =>
+    !rule[column] || String(rule[column]).toLowerCase() === String(context[key] || '').toLowerCase()
+  );
+};
+
+/**
+ * Pick the rule for a booking, or null when none match
+ */
+const selectRule = (rules, context, dateKey) => {
+  const matching = rules.filter(rule => ruleMatches(rule, context, dateKey));
+  matching.sort((a, b) =>
+    specificity(b) - specificity(a) ||
+    (b.priority || 0) - (a.priority || 0) ||
+    dateKeyOf(b.effective_from).localeCompare(dateKeyOf(a.effective_from)) ||
+    (b.id || 0) - (a.id || 0)
+  );
+  return matching[0] || null;
+};
+
+/**
+ * Fee breakdown for a gross booking amount. The fee never exceeds the amount.
+ */
+const computeFeeBreakdown = ({ rule, grossAmount, currency = 'TZS' }) => {
+  const gross = roundMoney(Math.max(parseFloat(grossAmount) || 0, 0));
+  const commissionPercent = rule ? parseFloat(rule.commission_percent) : DEFAULT_COMMISSION_PERCENT;
+  const fixedFee = rule ? parseFloat(rule.fixed_fee) || 0 : 0;
+
+  const commissionAmount = Math.min(roundMoney(gross * commissionPercent / 100 + fixedFee), gross);
+
+  return {
+    ruleId: rule ? rule.id : null,
+    ruleName: rule ? rule.name : 'Default commission',
+    commissionPercent,
+    fixedFee,
+    grossAmount: gross,
+    commissionAmount,
+    providerAmount: roundMoney(gross - commissionAmount),
+    currency
+  };
+};
+
+/**
+ * Share of any payment or refund on a booking that belongs to the platform, in percent.
+ * Bookings made before fee snapshots use the default rate.
+ */
+const effectiveCommissionPercent = (feeBreakdown) => {
+  if (!feeBreakdown || !(feeBreakdown.grossAmount > 0)) return DEFAULT_COMMISSION_PERCENT;
+  return feeBreakdown.commissionAmount / feeBreakdown.grossAmount * 100;
+};
+
+/**
+ * Tier and promotion status of a service and its provider.
+ * Premium providers hold an active premium membership; verified ones have been verified by an admin.
+ */
+const getCommissionContext = async (db, service) => {
+  const result = await db.query(
+    `SELECT sp.is_verified,
+            EXISTS (
+              SELECT 1 FROM payments p
+              WHERE p.provider_id = sp.id AND p.payment_type = 'premium_membership'
+                AND p.payment_status = 'completed' AND (p.valid_until IS NULL OR p.valid_until > NOW())
+            ) AS is_premium
+     FROM service_providers sp WHERE sp.id = $1`,
+    [service.provider_id]
+  );
+  const provider = result.rows[0] || {};
+
+  const featured = service.is_featured && (!service.featured_until || new Date(service.featured_until) > new Date());
+
+  return {
+    category: service.category,
+    region: service.region,
+    providerTier: provider.is_premium ? 'premium' : provider.is_verified ? 'verified' : 'standard',
+    promotionStatus: featured || service.promotion_type ? 'promoted' : 'standard'
+  };
+};
+
+/**
+ * Work out the fee breakdown to snapshot onto a new booking
+ */
+const getFeeBreakdown = async (db, service, grossAmount, now = new Date()) => {
+  const dateKey = toDateKey(now);
+  const rules = await db.query(
+    `SELECT * FROM commission_rules
+     WHERE is_active = TRUE AND effective_from <= $1 AND (effective_to IS NULL OR effective_to >= $1)`,
+    [dateKey]
+  );
+  const context = await getCommissionContext(db, service);
+  const rule = selectRule(rules.rows, context, dateKey);
+
+  return {
+    ...computeFeeBreakdown({ rule, grossAmount, currency: service.currency || 'TZS' }),
+    providerTier: context.providerTier,
+    promotionStatus: context.promotionStatus,
+    calculatedAt: now.toISOString()
+  };
+};
+
+module.exports = {
+  DEFAULT_COMMISSION_PERCENT,
+  PROVIDER_TIERS,
+  PROMOTION_STATUSES,
+  validateRule,
+  ruleMatches,
+  selectRule,
+  computeFeeBreakdown,
+  effectiveCommissionPercent,
+  getCommissionContext,
+  getFeeBreakdown
+};
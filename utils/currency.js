@@ -0,0 +1,187 @@
+// Currencies and exchange rates. Rates are stored against the base currency (TZS): each
+// row says what one unit of a currency is worth in TZS. Admins set them by hand or import
+// a file. Providers are settled in the currency their service is priced in; travelers can
+// be charged in another currency at the rate recorded on the booking.
+
+const BASE_CURRENCY = 'TZS';
+
+// Decimal places per ISO 4217
+const CURRENCIES = {
+  TZS: { name: 'Tanzanian Shilling', decimals: 2 },
+  USD: { name: 'US Dollar', decimals: 2 },
+  EUR: { name: 'Euro', decimals: 2 },
+  GBP: { name: 'British Pound', decimals: 2 },
+  KES: { name: 'Kenyan Shilling', decimals: 2 },
+  UGX: { name: 'Ugandan Shilling', decimals: 0 },
+  RWF: { name: 'Rwandan Franc', decimals: 0 },
+  ZAR: { name: 'South African Rand', decimals: 2 },
+  AED: { name: 'UAE Dirham', decimals: 2 },
+  CNY: { name: 'Chinese Yuan', decimals: 2 },
+  INR: { name: 'Indian Rupee', decimals: 2 }
+};
+
+/**
+ * Upper-cased currency code if it is supported, otherwise null
+ */
+const normalizeCurrency = (code) => {
+  const upper = String(code || '').trim().toUpperCase();
+  return CURRENCIES[upper] ? upper : null;
+};
+
+const minorUnits = (currency) => (CURRENCIES[currency] ? CURRENCIES[currency].decimals : 2);
+
+const roundToCurrency = (amount, currency) => {
+  const factor = Math.pow(10, minorUnits(currency));
+  return Math.round(amount * factor) / factor;
+};
+
+/**
+ * Units of `to` per one unit of `from`, or null when either rate is missing
+ */
+const crossRate = (from, to, rates) => {
+  if (from === to) return 1;
+  const fromRate = from === BASE_CURRENCY ? 1 : rates[from];
+  const toRate = to === BASE_CURRENCY ? 1 : rates[to];
+  if (!fromRate || !toRate) return null;
+  return fromRate / toRate;
+};
+
+/**
+ * Convert an amount between currencies, rounded to the target currency. Null when a rate is missing.
+ */
+const convertAmount = (amount, from, to, rates) => {
+  const rate = crossRate(from, to, rates);
+  return rate === null ? null : roundToCurrency(parseFloat(amount) * rate, to);
+};
+
+/**
+ * Validate one rate. Returns { currency, rate } or { error }.
+ */
+const validateRate = (currency, rate) => {
+  const code = normalizeCurrency(currency);
+  const value = parseFloat(rate);
+
+  if (!code) {
+    return { error: `Unsupported currency: ${currency}` };
+  }
+  if (code === BASE_CURRENCY) {
+    return { error: `${BASE_CURRENCY} is the base currency and always has a rate of 1` };
+  }
+  if (isNaN(value) || value <= 0) {
+    return { error: `Rate for ${code} must be a positive number` };
+  }
+  return { currency: code, rate: value };
+};
+
+/**
+ * Parse an imported rates file: JSON like {"USD": 2600} or {"rates": {...}}, or CSV lines "USD,2600".
+ * Returns { rates: [{ currency, rate }] } or { error } for the first bad entry.
+ */
+const parseRatesImport = (content) => {
+  const text = String(content || '').trim();
+  if (!text) {
+    return { error: 'The rates file is empty' };
+  }
+
+  let entries;
+  if (text.startsWith('{')) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      return { error: 'The rates file is not valid JSON' };
+    }
+    entries = Object.entries(parsed.rates || parsed);
+  } else {
+    entries = text.split(/\r?\n/)
+      .map(line => line.split(/[,;\t]/).map(cell => cell.trim()))
+      .filter(([currency, rate]) => currency && rate !== undefined && !isNaN(parseFloat(rate)));
+  }
+
+  const rates = [];
+  for (const [currency, rate] of entries) {
+    if (normalizeCurrency(currency) === BASE_CURRENCY) continue;
+    const result = validateRate(currency, rate);
+    if (result.error) return { error: result.error };
+    rates.push(result);
+  }
+
+  if (rates.length === 0) {
+    return { error: 'No exchange rates found in the file' };
+  }
+  return { rates };
+};
+
+/**
+ * Stored rates as { USD: 2600, ... }, with the base currency at 1
+ */
+const getRates = async (db) => {
+  const result = await db.query('SELECT currency, rate FROM exchange_rates');
+  const rates = { [BASE_CURRENCY]: 1 };
+  result.rows.forEach(row => {
+    rates[row.currency] = parseFloat(row.rate);
+  });
+  return rates;
+};
+
+/**
+ * Save rates, replacing any existing rate for the same currency
+ */
+const saveRates = async (db, rates, { source = 'manual', userId = null } = {}) => {
+  const saved = [];
+  for (const { currency, rate } of rates) {
+    const result = await db.query(
+      `INSERT INTO exchange_rates (currency, rate, source, updated_by, updated_at)
+       VALUES ($1, $2, $3, $4, NOW())
+       ON CONFLICT (currency) DO UPDATE
+         SET rate = EXCLUDED.rate, source = EXCLUDED.source, updated_by = EXCLUDED.updated_by, updated_at = NOW()
+       RETURNING *`,
+      [currency, rate, source, userId]
+    );
+    saved.push(result.rows[0]);
+  }
+  return saved;
+};
+
+/**
+ * Charge for a settlement amount at a known rate, such as the one recorded on a booking
+ */
+const chargeAtRate = (amount, settlementCurrency, chargedCurrency, exchangeRate) => ({
+  settlementCurrency,
+  chargedCurrency,
+  chargedAmount: roundToCurrency(parseFloat(amount) * exchangeRate, chargedCurrency),
+  exchangeRate: Math.round(exchangeRate * 1e8) / 1e8
+});
+
+/**
+ * Work out what to charge a traveler for an amount owed in the settlement currency.
+ * Returns { settlementCurrency, chargedCurrency, chargedAmount, exchangeRate } where the
+ * rate is charged units per settlement unit, or { error } when no rate is stored.
+ */
+const quoteCharge = (amount, settlementCurrency, chargeCurrency, rates) => {
+  const settlement = normalizeCurrency(settlementCurrency) || BASE_CURRENCY;
+  const charged = normalizeCurrency(chargeCurrency) || settlement;
+
+  const exchangeRate = crossRate(settlement, charged, rates);
+  if (exchangeRate === null) {
+    return { error: `Payments in ${charged} are not available right now` };
+  }
+
+  return chargeAtRate(amount, settlement, charged, exchangeRate);
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  CURRENCIES,
+  normalizeCurrency,
+  minorUnits,
+  roundToCurrency,
+  crossRate,
+  convertAmount,
+  validateRate,
+  parseRatesImport,
+  getRates,
+  saveRates,
+  chargeAtRate,
+  quoteCharge
+};
@@ -0,0 +1,82 @@
+// In-process domain event bus. Route handlers publish what has happened once it is committed
+// (a booking was created, a payment completed, a story approved) and subscribers react to it —
+// writing in-app notifications now, and other channels such as email or SMS next to them.
+// A failing subscriber is logged; it never fails the request or stops the other subscribers.
+
+const DOMAIN_EVENTS = {
+  BOOKING_CREATED: 'booking.created',
+  BOOKING_SUBMITTED: 'booking.submitted',
+  BOOKING_CONFIRMED: 'booking.confirmed',
+  BOOKING_CANCELLED: 'booking.cancelled',
+  BOOKING_COMPLETED: 'booking.completed',
+  PAYMENT_COMPLETED: 'payment.completed',
+  PAYOUT_PAID: 'payout.paid',
+  STORY_APPROVED: 'story.approved',
+  STORY_LIKED: 'story.liked',
+  PROVIDER_FOLLOWED: 'provider.followed'
+};
+
+const EVENT_NAMES = new Set(Object.values(DOMAIN_EVENTS));
+
+// The event a booking status change is published as
+const BOOKING_STATUS_EVENTS = {
+  pending: DOMAIN_EVENTS.BOOKING_SUBMITTED,
+  confirmed: DOMAIN_EVENTS.BOOKING_CONFIRMED,
+  cancelled: DOMAIN_EVENTS.BOOKING_CANCELLED,
+  completed: DOMAIN_EVENTS.BOOKING_COMPLETED
+};
+
+const bookingStatusEvent = (toStatus) => BOOKING_STATUS_EVENTS[toStatus] || null;
+
+const assertKnownEvent = (name) => {
+  if (!EVENT_NAMES.has(name)) {
+    throw new Error(`Unknown domain event: ${name}`);
+  }
+};
+
+const createEventBus = ({ logger = console } = {}) => {
+  const subscribers = new Map();
+
+  return {
+    /**
+     * Call `handler(payload, { name, occurredAt })` for every `name` event. Returns an unsubscribe function.
+     */
+    subscribe(name, handler) {
+      assertKnownEvent(name);
+      if (!subscribers.has(name)) subscribers.set(name, new Set());
+      subscribers.get(name).add(handler);
+      return () => subscribers.get(name).delete(handler);
+    },
+
+    /**
+     * Hand an event to its subscribers. Callers don't need to wait; the returned promise resolves
+     * once every subscriber has finished and never rejects. Unknown event names throw straight away.
+     */
+    publish(name, payload = {}) {
+      assertKnownEvent(name);
+      const meta = { name, occurredAt: new Date() };
+      const handlers = [...(subscribers.get(name) || [])];
+      return Promise.all(handlers.map(async (handler) => {
+        try {
+          await handler(payload, meta);
+        } catch (error) {
+          logger.error(`❌ Domain event ${name} subscriber failed:`, error);
+        }
+      })).then(() => undefined);
+    },
+
+    subscriberCount(name) {
+      return subscribers.get(name)?.size || 0;
+    }
+  };
+};
+
+// The application's bus
+const eventBus = createEventBus();
+
+module.exports = {
+  DOMAIN_EVENTS,
+  bookingStatusEvent,
+  createEventBus,
+  eventBus
+};
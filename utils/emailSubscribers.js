@@ -0,0 +1,186 @@
+// Domain event subscribers that email booking requests, confirmations and cancellations, and
+// payout statements, as each user's notification preferences allow. Emails go through the outbox;
+// the email-outbox job delivers them. A booking's invoice goes with its confirmation, or with its
+// own email when the booking is paid after it was confirmed.
+
+const { DOMAIN_EVENTS } = require('./domainEvents');
+const { appUrl, queueEmail } = require('./mailer');
+const { getBookingParties, cancellationRecipients, getPaymentParties } = require('./bookingParties');
+const { renderInvoicePdf } = require('./invoices');
+const { getProviderStatement } = require('./ledger');
+const { toDateKey } = require('./availability');
+
+const TRAVELER_BOOKINGS = '/traveler-dashboard';
+const PROVIDER_BOOKINGS = '/service-provider-dashboard';
+
+const bookingDetails = (booking) => ({
+  bookingId: booking.id,
+  serviceTitle: booking.service_title,
+  bookingDate: booking.booking_date,
+  participants: booking.participants
+});
+
+const emailBookingRequest = (db) => async ({ bookingId }) => {
+  const booking = await getBookingParties(db, bookingId);
+  if (!booking || booking.status !== 'pending') return;
+
+  await queueEmail(db, {
+    to: booking.provider_email,
+    userId: booking.provider_user_id,
+    template: 'booking_request',
+    type: 'booking_request',
+    data: {
+      ...bookingDetails(booking),
+      name: booking.business_name,
+      travelerName: booking.traveler_name,
+      bookingsUrl: appUrl(PROVIDER_BOOKINGS)
+    }
+  });
+};
+
+// The booking's issued invoice as a PDF attachment, or null before it is paid
+const findInvoiceAttachment = async (db, bookingId) => {
+  const result = await db.query('SELECT * FROM invoices WHERE booking_id = $1', [bookingId]);
+  const invoice = result.rows[0];
+  if (!invoice) return null;
+  return {
+    invoiceNumber: invoice.invoice_number,
+    attachment: { filename: `${invoice.invoice_number}.pdf`, content: renderInvoicePdf(invoice), contentType: 'application/pdf' }
+  };
+};
+
+const emailBookingConfirmed = (db) => async ({ bookingId }) => {
+  const booking = await getBookingParties(db, bookingId);
+  if (!booking) return;
+  const invoice = await findInvoiceAttachment(db, booking.id);
+
+  await queueEmail(db, {
+    to: booking.traveler_email,
+    userId: booking.traveler_id,
+    template: 'booking_confirmed',
+    type: 'booking_confirmed',
+    attachments: invoice ? [invoice.attachment] : [],
+    data: {
+      ...bookingDetails(booking),
+      name: booking.traveler_first_name,
+      providerName: booking.business_name,
+      invoiceNumber: invoice?.invoiceNumber || null,
+      bookingsUrl: appUrl(TRAVELER_BOOKINGS)
+    }
+  });
+};
+
+// Bookings that are still waiting for the provider get their invoice with the confirmation
+const emailPaymentInvoices = (db) => async ({ paymentId }) => {
+  const parties = await getPaymentParties(db, paymentId);
+  if (!parties) return;
+
+  for (const { id } of parties.bookings) {
+    const booking = await getBookingParties(db, id);
+    if (!booking || !['confirmed', 'completed'].includes(booking.status)) continue;
+    const invoice = await findInvoiceAttachment(db, booking.id);
+    if (!invoice) continue;
+
+    await queueEmail(db, {
+      to: booking.traveler_email,
+      userId: booking.traveler_id,
+      template: 'booking_invoice',
+      type: 'booking_confirmed',
+      attachments: [invoice.attachment],
+      data: {
+        ...bookingDetails(booking),
+        name: booking.traveler_first_name,
+        invoiceNumber: invoice.invoiceNumber,
+        bookingsUrl: appUrl(TRAVELER_BOOKINGS)
+      }
+    });
+  }
+};
+
+const emailBookingCancelled = (db) => async ({ bookingId, actor, fromStatus, reason = null }) => {
+  const booking = await getBookingParties(db, bookingId);
+  if (!booking) return;
+  const recipients = cancellationRecipients({ actor, fromStatus });
+
+  if (recipients.traveler) {
+    await queueEmail(db, {
+      to: booking.traveler_email,
+      userId: booking.traveler_id,
+      template: 'booking_cancelled',
+      type: 'booking_cancelled',
+      data: {
+        ...bookingDetails(booking),
+        name: booking.traveler_first_name,
+        reason,
+        declined: recipients.declined,
+        bookingsUrl: appUrl(TRAVELER_BOOKINGS)
+      }
+    });
+  }
+
+  if (recipients.provider) {
+    await queueEmail(db, {
+      to: booking.provider_email,
+      userId: booking.provider_user_id,
+      template: 'booking_cancelled',
+      type: 'booking_cancelled',
+      data: { ...bookingDetails(booking), name: booking.business_name, reason, bookingsUrl: appUrl(PROVIDER_BOOKINGS) }
+    });
+  }
+};
+
+// The statement covers the balance movements since the provider's previous paid payout
+const emailPayoutStatement = (db) => async ({ payout }) => {
+  const result = await db.query(
+    `SELECT sp.business_name, u.id AS user_id, u.email,
+            (SELECT MAX(p.created_at) FROM payouts p
+             WHERE p.provider_id = sp.id AND p.id <> $2 AND p.status = 'paid' AND p.created_at < $3) AS previous_payout_at
+     FROM service_providers sp
+     JOIN users u ON u.id = sp.user_id
+     WHERE sp.id = $1`,
+    [payout.provider_id, payout.id, payout.created_at]
+  );
+  const provider = result.rows[0];
+  if (!provider) return;
+
+  const periodStart = provider.previous_payout_at ? toDateKey(new Date(provider.previous_payout_at)) : null;
+  const periodEnd = toDateKey(new Date(payout.created_at));
+  const statement = await getProviderStatement(db, payout.provider_id, { from: periodStart, to: periodEnd });
+
+  await queueEmail(db, {
+    to: provider.email,
+    userId: provider.user_id,
+    template: 'payout_statement',
+    type: 'payout_paid',
+    data: {
+      name: provider.business_name,
+      amount: payout.amount,
+      currency: payout.currency,
+      reference: payout.reference,
+      paidAt: payout.paid_at,
+      periodStart,
+      periodEnd,
+      entries: statement.entries.filter(entry => entry.payoutId !== payout.id),
+      statementUrl: appUrl(PROVIDER_BOOKINGS)
+    }
+  });
+};
+
+/**
+ * Subscribe the email senders to the bus. Returns a function that removes them.
+ */
+const registerEmailSubscribers = (bus, db) => {
+  const unsubscribers = [
+    bus.subscribe(DOMAIN_EVENTS.BOOKING_CREATED, emailBookingRequest(db)),
+    bus.subscribe(DOMAIN_EVENTS.BOOKING_SUBMITTED, emailBookingRequest(db)),
+    bus.subscribe(DOMAIN_EVENTS.BOOKING_CONFIRMED, emailBookingConfirmed(db)),
+    bus.subscribe(DOMAIN_EVENTS.BOOKING_CANCELLED, emailBookingCancelled(db)),
+    bus.subscribe(DOMAIN_EVENTS.PAYMENT_COMPLETED, emailPaymentInvoices(db)),
+    bus.subscribe(DOMAIN_EVENTS.PAYOUT_PAID, emailPayoutStatement(db))
+  ];
+  return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+};
+
+module.exports = {
+  registerEmailSubscribers
+};
@@ -0,0 +1,222 @@
+// The emails the platform sends. Each template turns its data into a subject plus HTML and
+// plain-text bodies, and carries sample data so it can be previewed without a real booking.
+
+const platformName = () => process.env.PLATFORM_NAME || 'iSafari Global';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatAmount = (amount, currency) => `${currency} ${parseFloat(amount).toLocaleString()}`;
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+// Shared HTML frame: heading, paragraphs, an optional button and optional table rows
+const layout = ({ heading, paragraphs = [], action = null, rows = [], footnote = null }) => {
+  const body = paragraphs.map(p => `<p style="margin:0 0 16px;line-height:1.5">${escapeHtml(p)}</p>`).join('');
+  const button = action
+    ? `<p style="margin:24px 0"><a href="${escapeHtml(action.url)}" style="background:#c8702a;color:#ffffff;padding:12px 20px;border-radius:6px;text-decoration:none;display:inline-block">${escapeHtml(action.label)}</a></p>`
+    : '';
+  const table = rows.length > 0
+    ? `<table style="width:100%;border-collapse:collapse;margin:0 0 16px">${rows.map(([label, value]) =>
+      `<tr><td style="padding:6px 0;color:#6b7280">${escapeHtml(label)}</td><td style="padding:6px 0;text-align:right">${escapeHtml(value)}</td></tr>`).join('')}</table>`
+    : '';
+  const note = footnote ? `<p style="margin:16px 0 0;font-size:12px;color:#6b7280">${escapeHtml(footnote)}</p>` : '';
+
+  return `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f5f1eb;font-family:Arial,Helvetica,sans-serif;color:#1f2937">
+<div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:32px">
+<p style="margin:0 0 24px;font-weight:bold;color:#c8702a">${escapeHtml(platformName())}</p>
+<h1 style="margin:0 0 16px;font-size:20px">${escapeHtml(heading)}</h1>
+${body}${table}${button}${note}
+</div>
+</body>
+</html>`;
+};
+
+// The same content as plain text
+const plainText = ({ heading, paragraphs = [], action = null, rows = [], footnote = null }) => [
+  heading,
+  '',
+  ...paragraphs.flatMap(p => [p, '']),
+  ...(rows.length > 0 ? [...rows.map(([label, value]) => `${label}: ${value}`), ''] : []),
+  ...(action ? [`${action.label}: ${action.url}`, ''] : []),
+  ...(footnote ? [footnote, ''] : []),
+  `— ${platformName()}`
+].join('\n');
+
+const greeting = (name) => (name ? `Hi ${name},` : 'Hello,');
+
+const TEMPLATES = {
+  password_reset: {
+    sample: { name: 'Amani', resetUrl: 'http://localhost:4028/reset-password?token=sample-token', expiresInMinutes: 60 },
+    build: (d) => ({
+      subject: 'Reset your password',
+      heading: 'Reset your password',
+      paragraphs: [
+        greeting(d.name),
+        `We received a request to reset the password of your ${platformName()} account. The link works once and expires in ${d.expiresInMinutes} minutes.`
+      ],
+      action: { label: 'Choose a new password', url: d.resetUrl },
+      footnote: 'If you did not ask for this, you can ignore this email — your password stays the same.'
+    })
+  },
+
+  email_verification: {
+    sample: { name: 'Amani', verifyUrl: 'http://localhost:4028/verify-email?token=sample-token' },
+    build: (d) => ({
+      subject: `Confirm your email for ${platformName()}`,
+      heading: 'Confirm your email address',
+      paragraphs: [
+        greeting(d.name),
+        'Please confirm this is your email address so we can send you booking updates and account notices.'
+      ],
+      action: { label: 'Confirm email', url: d.verifyUrl },
+      footnote: 'If you did not create an account, you can ignore this email.'
+    })
+  },
+
+  booking_request: {
+    sample: { name: 'Kili Tours', bookingId: 42, serviceTitle: 'Serengeti Day Trip', travelerName: 'Amani Juma', bookingDate: '2026-11-02', participants: 2, bookingsUrl: 'http://localhost:4028/service-provider-dashboard' },
+    build: (d) => ({
+      subject: `New booking request: ${d.serviceTitle}`,
+      heading: 'You have a new booking request',
+      paragraphs: [greeting(d.name), `${d.travelerName || 'A traveler'} would like to book ${d.serviceTitle}. Please accept or decline it soon.`],
+      rows: [['Booking', `#${d.bookingId}`], ['Date', formatDate(d.bookingDate)], ['Participants', String(d.participants || 1)]],
+      action: { label: 'Review the request', url: d.bookingsUrl }
+    })
+  },
+
+  booking_confirmed: {
+    sample: { name: 'Amani', bookingId: 42, serviceTitle: 'Serengeti Day Trip', providerName: 'Kili Tours', bookingDate: '2026-11-02', participants: 2, invoiceNumber: 'INV-2026-000042', bookingsUrl: 'http://localhost:4028/traveler-dashboard' },
+    build: (d) => ({
+      subject: `Booking confirmed: ${d.serviceTitle}`,
+      heading: 'Your booking is confirmed',
+      paragraphs: [
+        greeting(d.name),
+        `${d.providerName || 'Your provider'} confirmed your booking for ${d.serviceTitle}. Your voucher is ready in your dashboard.`,
+        ...(d.invoiceNumber ? [`Your invoice ${d.invoiceNumber} is attached.`] : [])
+      ],
+      rows: [['Booking', `#${d.bookingId}`], ['Date', formatDate(d.bookingDate)], ['Participants', String(d.participants || 1)]],
+      action: { label: 'View your booking', url: d.bookingsUrl }
+    })
+  },
+
+  booking_invoice: {
+    sample: { name: 'Amani', bookingId: 42, serviceTitle: 'Serengeti Day Trip', bookingDate: '2026-11-02', invoiceNumber: 'INV-2026-000042', bookingsUrl: 'http://localhost:4028/traveler-dashboard' },
+    build: (d) => ({
+      subject: `Invoice ${d.invoiceNumber}: ${d.serviceTitle}`,
+      heading: 'Thanks for your payment',
+      paragraphs: [greeting(d.name), `Your invoice ${d.invoiceNumber} for ${d.serviceTitle} is attached.`],
+      rows: [['Booking', `#${d.bookingId}`], ['Date', formatDate(d.bookingDate)]],
+      action: { label: 'View your booking', url: d.bookingsUrl }
+    })
+  },
+
+  booking_cancelled: {
+    sample: { name: 'Amani', bookingId: 42, serviceTitle: 'Serengeti Day Trip', bookingDate: '2026-11-02', reason: 'Park closed for maintenance', declined: false, bookingsUrl: 'http://localhost:4028/traveler-dashboard' },
+    build: (d) => ({
+      subject: d.declined ? `Booking request declined: ${d.serviceTitle}` : `Booking cancelled: ${d.serviceTitle}`,
+      heading: d.declined ? 'Your booking request was declined' : 'A booking was cancelled',
+      paragraphs: [
+        greeting(d.name),
+        d.declined
+          ? `Unfortunately your request for ${d.serviceTitle} could not be accepted.`
+          : `Booking #${d.bookingId} for ${d.serviceTitle} on ${formatDate(d.bookingDate)} has been cancelled.`,
+        ...(d.reason ? [`Reason: ${d.reason}`] : [])
+      ],
+      action: { label: 'View bookings', url: d.bookingsUrl },
+      footnote: 'Any refund due is shown on the booking and sent back to the original payment method.'
+    })
+  },
+
+  payout_statement: {
+    sample: {
+      name: 'Kili Tours',
+      amount: 850000,
+      currency: 'TZS',
+      reference: 'TRX-20261019-001',
+      paidAt: '2026-10-19',
+      periodStart: '2026-10-01',
+      periodEnd: '2026-10-18',
+      entries: [
+        { createdAt: '2026-10-03', description: 'Booking #40 earnings', amount: 510000, currency: 'TZS' },
+        { createdAt: '2026-10-11', description: 'Booking #41 earnings', amount: 340000, currency: 'TZS' }
+      ],
+      statementUrl: 'http://localhost:4028/service-provider-dashboard'
+    },
+    build: (d) => ({
+      subject: `Payout of ${formatAmount(d.amount, d.currency)} sent`,
+      heading: 'Your payout is on its way',
+      paragraphs: [
+        greeting(d.name),
+        `We paid ${formatAmount(d.amount, d.currency)} to your account${d.reference ? ` with reference ${d.reference}` : ''}.`,
+        d.periodStart ? `Statement for ${formatDate(d.periodStart)} to ${formatDate(d.periodEnd)}:` : `Statement up to ${formatDate(d.periodEnd)}:`
+      ],
+      rows: [
+        ...(d.entries || []).map(e => [`${formatDate(e.createdAt)} ${e.description || e.type || ''}`.trim(), formatAmount(e.amount, e.currency)]),
+        ['Paid out', formatAmount(d.amount, d.currency)]
+      ],
+      action: { label: 'Open your full statement', url: d.statementUrl }
+    })
+  },
+
+  notification_digest: {
+    sample: {
+      name: 'Amani',
+      frequency: 'daily',
+      items: [
+        { title: 'New follower', message: 'Neema Mushi is now following you.', createdAt: '2026-10-18' },
+        { title: 'Someone liked your story', message: 'Baraka Kimaro liked "Sunrise over Ngorongoro".', createdAt: '2026-10-18' }
+      ],
+      profileUrl: 'http://localhost:4028/profile'
+    },
+    build: (d) => {
+      const count = (d.items || []).length;
+      return {
+        subject: `Your ${d.frequency} iSafari summary: ${count} update${count === 1 ? '' : 's'}`,
+        heading: d.frequency === 'weekly' ? 'Your week on iSafari' : 'Your day on iSafari',
+        paragraphs: [greeting(d.name), 'Here is what happened since your last summary.'],
+        rows: (d.items || []).map(item => [item.message, formatDate(item.createdAt)]),
+        action: { label: 'Change what you get in your summary', url: d.profileUrl },
+        footnote: 'You get these instead of a notification for every follower and like.'
+      };
+    }
+  }
+};
+
+const TEMPLATE_NAMES = Object.keys(TEMPLATES);
+
+/**
+ * Render a template with its data. Returns { subject, html, text }; unknown templates throw.
+ */
+const renderEmail = (template, data = {}) => {
+  const definition = TEMPLATES[template];
+  if (!definition) {
+    throw new Error(`Unknown email template: ${template}`);
+  }
+  const content = definition.build(data);
+  return { subject: content.subject, html: layout(content), text: plainText(content) };
+};
+
+/**
+ * The example data a template is previewed with
+ */
+const sampleData = (template) => ({ ...TEMPLATES[template]?.sample });
+
+/**
+ * Render a template with its sample data, for previews
+ */
+const renderSample = (template) => renderEmail(template, sampleData(template));
+
+module.exports = {
+  TEMPLATE_NAMES,
+  escapeHtml,
+  renderEmail,
+  sampleData,
+  renderSample
+};
@@ -0,0 +1,401 @@
+// Invoices for paid bookings and receipts for paid service promotions. Each document is
+// numbered from a per-year counter (INV-2026-000001, RCT-2026-000001) taken in the same
+// transaction that stores it, so numbers have no gaps. The document content is stored when
+// it is issued and every download renders that snapshot, so later edits to the service or
+// provider profile never change an issued invoice.
+
+const { PAGE_WIDTH, createPdf } = require('./pdf');
+
+// Prices on the platform include tax; invoices show the tax portion separately
+const INVOICE_TAX_PERCENT = isNaN(parseFloat(process.env.INVOICE_TAX_PERCENT)) ? 18 : parseFloat(process.env.INVOICE_TAX_PERCENT);
+
+const PLATFORM_DETAILS = {
+  name: process.env.PLATFORM_NAME || 'iSafari Global',
+  tin: process.env.PLATFORM_TIN || null,
+  address: process.env.PLATFORM_ADDRESS || null,
+  email: process.env.PLATFORM_EMAIL || null
+};
+
+const DOCUMENT_PREFIXES = { invoice: 'INV', receipt: 'RCT' };
+
+const PROMOTION_LABELS = {
+  featured: 'Featured listing',
+  trending: 'Trending placement',
+  search_boost: 'Search boost'
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Document number for the given type, year and sequence, e.g. INV-2026-000042
+ */
+const formatDocumentNumber = (documentType, year, sequence) =>
+  `${DOCUMENT_PREFIXES[documentType]}-${year}-${String(sequence).padStart(6, '0')}`;
+
+/**
+ * Totals for tax-inclusive line items. The tax is taken out of the total rather than added on top.
+ */
+const computeTotals = (lineItems, taxPercent = INVOICE_TAX_PERCENT) => {
+  const total = roundMoney(lineItems.reduce((sum, item) => sum + item.amount, 0));
+  const subtotal = roundMoney(total / (1 + taxPercent / 100));
+  return { subtotal, taxPercent, taxAmount: roundMoney(total - subtotal), total };
+};
+
+const describePayment = (payment) => payment && {
+  method: payment.payment_method || payment.gateway || null,
+  reference: payment.transaction_id || payment.gateway_reference || payment.payment_reference || null,
+  paidAt: payment.paid_at || payment.created_at || null
+};
+
+/**
+ * Invoice content for a paid booking, issued by the provider to the traveler
+ */
+const buildBookingDocument = (booking, payment) => {
+  const participants = parseInt(booking.participants) || 1;
+  const amount = roundMoney(parseFloat(booking.total_amount) || 0);
+  const currency = booking.settlement_currency || booking.currency || 'TZS';
+  const chargedElsewhere = booking.charged_currency && booking.charged_currency !== currency;
+  const lineItems = [{
+    description: booking.service_title || `Booking #${booking.id}`,
+    quantity: participants,
+    unitPrice: roundMoney(amount / participants),
+    amount
+  }];
+
+  return {
+    title: 'Tax Invoice',
+    reference: `Booking #${booking.id}`,
+    currency,
+    seller: {
+      name: booking.business_name || 'Service provider',
+      tin: booking.tin_number || null,
+      license: booking.license_number || null,
+      address: [booking.provider_location, booking.provider_country].filter(Boolean).join(', ') || null,
+      email: booking.provider_email || null,
+      phone: booking.provider_phone || null
+    },
+    buyer: {
+      name: [booking.first_name, booking.last_name].filter(Boolean).join(' ') || 'Traveler',
+      email: booking.email || null,
+      phone: booking.phone || null
+    },
+    details: [
+      ['Service date', booking.booking_date ? new Date(booking.booking_date).toISOString().split('T')[0] : null],
+      ['Location', booking.service_location],
+      ['Participants', String(participants)],
+      ['Charged', chargedElsewhere
+        ? `${booking.charged_currency} ${parseFloat(booking.charged_amount).toLocaleString('en-US')} at ${parseFloat(booking.exchange_rate)} ${booking.charged_currency}/${currency}`
+        : null]
+    ].filter(([, value]) => value),
+    lineItems,
+    ...computeTotals(lineItems),
+    payment: describePayment(payment)
+  };
+};
+
+/**
+ * Receipt content for a paid promotion, issued by the platform to the provider
+ */
+const buildPromotionDocument = (promotion) => {
+  const amount = roundMoney(parseFloat(promotion.cost) || 0);
+  const lineItems = [{
+    description: `${PROMOTION_LABELS[promotion.promotion_type] || 'Promotion'} - ${promotion.service_title} (${promotion.duration_days} days)`,
+    quantity: 1,
+    unitPrice: amount,
+    amount
+  }];
+
+  return {
+    title: 'Receipt',
+    reference: `Promotion #${promotion.id}`,
+    currency: 'TZS',
+    seller: { ...PLATFORM_DETAILS },
+    buyer: {
+      name: promotion.business_name || 'Service provider',
+      tin: promotion.tin_number || null,
+      license: promotion.license_number || null,
+      email: promotion.provider_email || null,
+      phone: promotion.provider_phone || null
+    },
+    details: [
+      ['Placement', promotion.promotion_location],
+      ['Card', promotion.card_last_four ? `${promotion.card_brand || 'Card'} ending ${promotion.card_last_four}` : null]
+    ].filter(([, value]) => value),
+    lineItems,
+    ...computeTotals(lineItems),
+    payment: describePayment(promotion)
+  };
+};
+
+const formatAmount = (value, currency) =>
+  `${currency} ${Number(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (value) => (value ? new Date(value).toISOString().split('T')[0] : '');
+
+const partyLines = (party) => [
+  party.name,
+  party.tin && `TIN: ${party.tin}`,
+  party.license && `License: ${party.license}`,
+  party.address,
+  party.email,
+  party.phone
+].filter(Boolean);
+
+/**
+ * Render an issued invoice or receipt row as a PDF Buffer
+ */
+const renderInvoicePdf = (invoice) => {
+  const doc = invoice.document;
+  const margin = 50;
+  const right = PAGE_WIDTH - margin;
+  const pages = [[]];
+  let page = pages[0];
+  let y = 790;
+
+  const text = (x, value, options = {}) => page.push({ type: 'text', x, y, text: value, size: 10, ...options });
+  const rule = () => page.push({ type: 'line', x1: margin, y1: y, x2: right, y2: y });
+  const ensureSpace = (height) => {
+    if (y - height < 60) {
+      page = [];
+      pages.push(page);
+      y = 790;
+    }
+  };
+
+  text(margin, doc.title, { size: 20, font: 'bold' });
+  text(right, invoice.invoice_number, { size: 12, font: 'bold', align: 'right' });
+  y -= 18;
+  text(right, `Issued ${formatDate(invoice.issued_at)}`, { align: 'right', colour: [0.4, 0.4, 0.4] });
+  text(margin, doc.reference, { colour: [0.4, 0.4, 0.4] });
+  y -= 30;
+
+  const fromLines = partyLines(doc.seller);
+  const toLines = partyLines(doc.buyer);
+  text(margin, 'From', { font: 'bold' });
+  text(320, 'Billed to', { font: 'bold' });
+  for (let i = 0; i < Math.max(fromLines.length, toLines.length); i++) {
+    y -= 14;
+    if (fromLines[i]) text(margin, fromLines[i]);
+    if (toLines[i]) text(320, toLines[i]);
+  }
+  y -= 24;
+
+  doc.details.forEach(([label, value]) => {
+    text(margin, `${label}:`, { font: 'bold' });
+    text(140, value);
+    y -= 14;
+  });
+  y -= 16;
+
+  text(margin, 'Description', { font: 'bold' });
+  text(310, 'Qty', { font: 'bold', align: 'right' });
+  text(430, 'Unit price', { font: 'bold', align: 'right' });
+  text(right, 'Amount', { font: 'bold', align: 'right' });
+  y -= 6;
+  rule();
+  doc.lineItems.forEach((item) => {
+    ensureSpace(20);
+    y -= 16;
+    text(margin, item.description.length > 42 ? `${item.description.slice(0, 39)}...` : item.description);
+    text(310, String(item.quantity), { align: 'right' });
+    text(430, formatAmount(item.unitPrice, doc.currency), { align: 'right' });
+    text(right, formatAmount(item.amount, doc.currency), { align: 'right' });
+  });
+  y -= 8;
+  rule();
+
+  ensureSpace(80);
+  [
+    ['Subtotal', doc.subtotal],
+    [`Tax (${doc.taxPercent}% included)`, doc.taxAmount],
+    ['Total', doc.total]
+  ].forEach(([label, value], index, rows) => {
+    y -= 16;
+    const font = index === rows.length - 1 ? 'bold' : 'regular';
+    text(430, label, { align: 'right', font });
+    text(right, formatAmount(value, doc.currency), { align: 'right', font });
+  });
+  y -= 30;
+
+  if (doc.payment) {
+    ensureSpace(40);
+    text(margin, 'PAID', { size: 14, font: 'bold', colour: [0.1, 0.5, 0.2] });
+    y -= 16;
+    text(margin, [
+      doc.payment.paidAt && `Paid on ${formatDate(doc.payment.paidAt)}`,
+      doc.payment.method && `via ${doc.payment.method}`,
+      doc.payment.reference && `(ref ${doc.payment.reference})`
+    ].filter(Boolean).join(' '));
+  }
+
+  pages.forEach((operations, index) => {
+    operations.push({
+      type: 'text',
+      x: margin,
+      y: 40,
+      size: 8,
+      colour: [0.5, 0.5, 0.5],
+      text: `${invoice.invoice_number} - Page ${index + 1} of ${pages.length} - Issued through ${PLATFORM_DETAILS.name}`
+    });
+  });
+
+  return createPdf(pages, { title: `${doc.title} ${invoice.invoice_number}` });
+};
+
+/**
+ * Take the next number for a document type. Must run inside the transaction that stores the document.
+ */
+const nextDocumentNumber = async (client, documentType, issuedAt = new Date()) => {
+  const year = issuedAt.getFullYear();
+  const result = await client.query(
+    `INSERT INTO invoice_counters (prefix, year, last_number)
+     VALUES ($1, $2, 1)
+     ON CONFLICT (prefix, year) DO UPDATE SET last_number = invoice_counters.last_number + 1
+     RETURNING last_number`,
+    [DOCUMENT_PREFIXES[documentType], year]
+  );
+  return formatDocumentNumber(documentType, year, result.rows[0].last_number);
+};
+
+const storeDocument = async (client, { documentType, bookingId = null, promotionId = null, providerId, userId, document }) => {
+  const invoiceNumber = await nextDocumentNumber(client, documentType);
+  const result = await client.query(
+    `INSERT INTO invoices (invoice_number, document_type, booking_id, promotion_id, provider_id, user_id,
+       currency, subtotal, tax_amount, total_amount, document)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     RETURNING *`,
+    [invoiceNumber, documentType, bookingId, promotionId, providerId, userId,
+      document.currency, document.subtotal, document.taxAmount, document.total, JSON.stringify(document)]
+  );
+  console.log(`✅ Issued ${documentType} ${invoiceNumber}`);
+  return result.rows[0];
+};
+
+/**
+ * Issue the invoice for a paid booking, or return the one already issued.
+ * Returns null when the booking doesn't exist or hasn't been paid. Must run inside a transaction.
+ */
+const issueBookingInvoice = async (client, bookingId) => {
+  const bookingResult = await client.query(
+    `SELECT b.*, s.title AS service_title, s.currency, s.location AS service_location,
+            sp.business_name, sp.tin_number, sp.license_number, sp.location AS provider_location,
+            sp.country AS provider_country, pu.email AS provider_email, pu.phone AS provider_phone,
+            u.first_name, u.last_name, u.email, u.phone
+     FROM bookings b
+     LEFT JOIN services s ON b.service_id = s.id
+     LEFT JOIN service_providers sp ON b.provider_id = sp.id
+     LEFT JOIN users pu ON sp.user_id = pu.id
+     LEFT JOIN users u ON b.traveler_id = u.id
+     WHERE b.id = $1
+     FOR UPDATE OF b`,
+    [bookingId]
+  );
+  const booking = bookingResult.rows[0];
+  if (!booking) return null;
+
+  const existing = await client.query('SELECT * FROM invoices WHERE booking_id = $1', [bookingId]);
+  if (existing.rows.length > 0) return existing.rows[0];
+
+  if (!['paid', 'refunded'].includes(booking.payment_status)) return null;
+
+  const paymentResult = await client.query(
+    `SELECT * FROM payments
+     WHERE (booking_id = $1 OR order_id = $2) AND payment_status IN ('completed', 'refunded')
+     ORDER BY paid_at DESC NULLS LAST, created_at DESC
+     LIMIT 1`,
+    [bookingId, booking.order_id]
+  );
+
+  return storeDocument(client, {
+    documentType: 'invoice',
+    bookingId,
+    providerId: booking.provider_id,
+    userId: booking.traveler_id,
+    document: buildBookingDocument(booking, paymentResult.rows[0])
+  });
+};
+
+/**
+ * Issue the receipt for a paid promotion, or return the one already issued.
+ * Returns null when the promotion doesn't exist or hasn't been paid. Must run inside a transaction.
+ */
+const issuePromotionReceipt = async (client, promotionId) => {
+  const promotionResult = await client.query(
+    `SELECT p.*, s.title AS service_title, s.provider_id, sp.user_id AS provider_user_id,
+            sp.business_name, sp.tin_number, sp.license_number, pu.email AS provider_email, pu.phone AS provider_phone
+     FROM service_promotions p
+     JOIN services s ON p.service_id = s.id
+     JOIN service_providers sp ON s.provider_id = sp.id
+     LEFT JOIN users pu ON sp.user_id = pu.id
+     WHERE p.id = $1
+     FOR UPDATE OF p`,
+    [promotionId]
+  );
+  const promotion = promotionResult.rows[0];
+  if (!promotion) return null;
+
+  const existing = await client.query('SELECT * FROM invoices WHERE promotion_id = $1', [promotionId]);
+  if (existing.rows.length > 0) return existing.rows[0];
+
+  if (promotion.payment_status !== 'completed') return null;
+
+  return storeDocument(client, {
+    documentType: 'receipt',
+    promotionId,
+    providerId: promotion.provider_id,
+    userId: promotion.provider_user_id,
+    document: buildPromotionDocument(promotion)
+  });
+};
+
+/**
+ * Run one of the issue functions in its own transaction
+ */
+const getOrIssueDocument = async (pool, issue, id) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const invoice = await issue(client, id);
+    await client.query('COMMIT');
+    return invoice;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Invoices and receipts addressed to a user, plus those issued for their provider's bookings
+ */
+const listDocuments = async (db, userId) => {
+  const result = await db.query(
+    `SELECT i.id, i.invoice_number, i.document_type, i.booking_id, i.promotion_id, i.currency,
+            i.total_amount, i.issued_at, i.document->>'reference' AS reference,
+            i.document->'lineItems'->0->>'description' AS description,
+            p.service_id AS promotion_service_id,
+            CASE WHEN i.user_id = $1 THEN 'received' ELSE 'issued' END AS direction
+     FROM invoices i
+     LEFT JOIN service_providers sp ON i.provider_id = sp.id
+     LEFT JOIN service_promotions p ON i.promotion_id = p.id
+     WHERE i.user_id = $1 OR (i.document_type = 'invoice' AND sp.user_id = $1)
+     ORDER BY i.issued_at DESC, i.id DESC
+     LIMIT 200`,
+    [userId]
+  );
+  return result.rows.map(row => ({ ...row, total_amount: parseFloat(row.total_amount) }));
+};
+
+module.exports = {
+  INVOICE_TAX_PERCENT,
+  formatDocumentNumber,
+  computeTotals,
+  buildBookingDocument,
+  buildPromotionDocument,
+  renderInvoicePdf,
+  issueBookingInvoice,
+  issuePromotionReceipt,
+  getOrIssueDocument,
+  listDocuments
+};
@@ -0,0 +1,126 @@
+// The API's background jobs. Each returns a one-line summary when it did something.
+
+const { expireStalePayments } = require('./payments');
+const { expireWaitlistOffers } = require('./waitlist');
+const { sendInstalmentReminders, cancelOverdueBookings } = require('./paymentPlans');
+const { getExpirySettings, expireStaleDrafts, declineUnansweredRequests } = require('./preOrderExpiry');
+const { pruneEvents } = require('./realtime');
+const { deliverOutbox, pruneOutbox } = require('./mailer');
+const { deliverTextMessages } = require('./textMessages');
+const { sendDueDigests } = require('./notificationDigests');
+const { pruneResetRecords } = require('./passwordReset');
+
+const MINUTE = 60 * 1000;
+
+const registerBackgroundJobs = (scheduler, pool) => {
+  // Fail gateway payments that were never confirmed
+  scheduler.register('payment-timeouts', {
+    description: 'Payment timeout check',
+    intervalMs: MINUTE,
+    run: async () => {
+      const expired = await expireStalePayments(pool);
+      return expired.length > 0 && `Timed out ${expired.length} pending payment(s)`;
+    }
+  });
+
+  // Pass waitlist offers that weren't taken up in time on to the next person
+  scheduler.register('waitlist-offers', {
+    description: 'Waitlist expiry check',
+    intervalMs: MINUTE,
+    run: async () => {
+      const expired = await expireWaitlistOffers(pool);
+      return expired.length > 0 && `Expired ${expired.length} waitlist offer(s)`;
+    }
+  });
+
+  // Remind travelers of instalments falling due and cancel bookings whose payment never came
+  scheduler.register('instalments', {
+    description: 'Instalment check',
+    intervalMs: 60 * MINUTE,
+    run: async () => {
+      const reminded = await sendInstalmentReminders(pool);
+      const cancelled = await cancelOverdueBookings(pool);
+      return (reminded.length > 0 || cancelled.length > 0) &&
+        `Sent ${reminded.length} instalment reminder(s), cancelled ${cancelled.length} overdue booking(s)`;
+    }
+  });
+
+  // Expire drafts never submitted and decline requests providers never answered
+  scheduler.register('pre-order-expiry', {
+    description: 'Pre-order expiry check',
+    intervalMs: 15 * MINUTE,
+    run: async () => {
+      const settings = await getExpirySettings(pool);
+      const drafts = await expireStaleDrafts(pool, { settings });
+      const declined = await declineUnansweredRequests(pool, { settings });
+      return (drafts.length > 0 || declined.length > 0) &&
+        `Expired ${drafts.length} draft(s), declined ${declined.length} unanswered pre-order(s)`;
+    }
+  });
+
+  // Send queued emails and retry the ones that failed
+  scheduler.register('email-outbox', {
+    description: 'Email delivery',
+    intervalMs: MINUTE,
+    run: async () => {
+      const { sent, retrying, failed } = await deliverOutbox(pool);
+      return (sent.length > 0 || retrying.length > 0 || failed.length > 0) &&
+        `Sent ${sent.length} email(s), ${retrying.length} to retry, ${failed.length} failed for good`;
+    }
+  });
+
+  // Delete sent emails past their retention
+  scheduler.register('email-cleanup', {
+    description: 'Sent email cleanup',
+    intervalMs: 60 * MINUTE,
+    run: async () => {
+      const removed = await pruneOutbox(pool);
+      return removed > 0 && `Removed ${removed} old sent email(s)`;
+    }
+  });
+
+  // Send queued SMS and WhatsApp messages and retry the ones that failed
+  scheduler.register('text-messages', {
+    description: 'Text message delivery',
+    intervalMs: MINUTE,
+    run: async () => {
+      const { sent, retrying, failed } = await deliverTextMessages(pool);
+      return (sent.length > 0 || retrying.length > 0 || failed.length > 0) &&
+        `Sent ${sent.length} text message(s), ${retrying.length} to retry, ${failed.length} failed for good`;
+    }
+  });
+
+  // Send the daily and weekly digests of low-priority notifications that are due
+  scheduler.register('notification-digests', {
+    description: 'Notification digests',
+    intervalMs: 60 * MINUTE,
+    run: async () => {
+      const sent = await sendDueDigests(pool);
+      return sent.length > 0 && `Sent ${sent.length} notification digest(s)`;
+    }
+  });
+
+  // Forget old password reset requests and tokens
+  scheduler.register('password-reset-cleanup', {
+    description: 'Password reset cleanup',
+    intervalMs: 60 * MINUTE,
+    run: async () => {
+      const removed = await pruneResetRecords(pool);
+      return removed > 0 && `Removed ${removed} old password reset record(s)`;
+    }
+  });
+
+  // Drop real-time events too old to be replayed to a reconnecting client
+  scheduler.register('realtime-events', {
+    description: 'Real-time event cleanup',
+    intervalMs: 60 * MINUTE,
+    run: async () => {
+      const pruned = await pruneEvents(pool);
+      return pruned > 0 && `Removed ${pruned} old real-time event(s)`;
+    }
+  });
+};
+
+module.exports = {
+  registerBackgroundJobs
+};
@@ -0,0 +1,485 @@
+// Double-entry ledger for money moving through the platform.
+// Every journal's lines balance (total debits = total credits). Accounts:
+//   cash             - money held by the platform at the payment gateways
+//   platform_revenue - commission earned by iSafari
+//   provider_payable - what the platform owes each provider (per provider_id)
+//   refunds_payable  - refunds owed back to travelers
+//   promotions_expense - discounts from platform-wide promo codes, which the platform pays for
+// A provider's balance is credits minus debits on their provider_payable lines.
+// A platform code's discount is recorded in the booking's fee breakdown as platformDiscount.
+// Each payment on the booking carries its share of that discount as a subsidy, so the provider
+// and the commission are worked out on the price before the discount. Codes a provider made
+// come out of their own earnings and carry no subsidy.
+
+const { DEFAULT_COMMISSION_PERCENT, effectiveCommissionPercent } = require('./commission');
+
+const ACCOUNTS = ['cash', 'platform_revenue', 'provider_payable', 'refunds_payable', 'promotions_expense'];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Split an amount into the platform commission and the provider's share
+ */
+const splitCommission = (amount, commissionPercent = DEFAULT_COMMISSION_PERCENT) => {
+  const commission = roundMoney(amount * commissionPercent / 100);
+  return { commission, providerShare: roundMoney(amount - commission) };
+};
+
+/**
+ * The platform-funded part of the discount that goes with `amount` of a booking's price: all
+ * of it for a booking with nothing left to pay, otherwise in proportion to the amount
+ */
+const promotionSubsidy = (amount, feeBreakdown) => {
+  const discount = parseFloat(feeBreakdown?.platformDiscount) || 0;
+  if (discount <= 0) return 0;
+  const grossAmount = parseFloat(feeBreakdown.grossAmount) || 0;
+  return grossAmount > 0 ? roundMoney(discount * amount / grossAmount) : discount;
+};
+
+const isBalanced = (lines) => {
+  const debits = lines.reduce((sum, line) => sum + (line.debit || 0), 0);
+  const credits = lines.reduce((sum, line) => sum + (line.credit || 0), 0);
+  return Math.abs(debits - credits) < 0.005;
+};
+
+/**
+ * Lines for a completed traveler payment. Without a provider the whole amount is platform revenue.
+ * A subsidy from a platform promo code is split with the amount as if the traveler had paid it.
+ */
+const buildPaymentLines = ({ amount, providerId, commissionPercent, subsidy = 0 }) => {
+  if (!providerId) {
+    return [
+      { account: 'cash', debit: amount },
+      { account: 'platform_revenue', credit: amount }
+    ];
+  }
+
+  const { commission, providerShare } = splitCommission(roundMoney(amount + subsidy), commissionPercent);
+  return [
+    { account: 'cash', debit: amount },
+    { account: 'promotions_expense', debit: subsidy },
+    { account: 'provider_payable', providerId, credit: providerShare },
+    { account: 'platform_revenue', credit: commission }
+  ].filter(line => line.debit || line.credit);
+};
+
+/**
+ * Lines for a refund: the provider and the platform give back their shares in proportion,
+ * including those of the promo subsidy that went with the refunded amount
+ */
+const buildRefundLines = ({ amount, providerId, commissionPercent, subsidy = 0 }) => {
+  const { commission, providerShare } = splitCommission(roundMoney(amount + subsidy), commissionPercent);
+  return [
+    { account: 'provider_payable', providerId, debit: providerShare },
+    { account: 'platform_revenue', debit: commission },
+    { account: 'refunds_payable', credit: amount },
+    { account: 'promotions_expense', credit: subsidy }
+  ].filter(line => line.debit || line.credit);
+};
+
+const buildPayoutLines = ({ amount, providerId }) => [
+  { account: 'provider_payable', providerId, debit: amount },
+  { account: 'cash', credit: amount }
+];
+
+/**
+ * Write a journal and its lines. `reference` is unique, so posting the same event twice is a no-op.
+ * Returns the journal id, or null when it was already posted.
+ */
+const postJournal = async (db, { reference, entryType, currency = 'TZS', bookingId = null, paymentId = null, refundId = null, payoutId = null, description = null, lines }) => {
+  if (!isBalanced(lines)) {
+    throw new Error(`Ledger journal ${reference} does not balance`);
+  }
+
+  const journal = await db.query(
+    `INSERT INTO ledger_journals (reference, entry_type, currency, booking_id, payment_id, refund_id, payout_id, description)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (reference) DO NOTHING
+     RETURNING id`,
+    [reference, entryType, currency, bookingId, paymentId, refundId, payoutId, description]
+  );
+  if (journal.rows.length === 0) return null;
+
+  const journalId = journal.rows[0].id;
+  for (const line of lines) {
+    await db.query(
+      `INSERT INTO ledger_entries (journal_id, account, provider_id, debit, credit, currency)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [journalId, line.account, line.providerId || null, line.debit || 0, line.credit || 0, currency]
+    );
+  }
+  return journalId;
+};
+
+/**
+ * Split an order payment across its bookings in proportion to their totals, giving the rounding
+ * remainder to the last booking. Returns [{ booking, amount }].
+ */
+const splitOrderPayment = (amount, bookings) => {
+  const total = bookings.reduce((sum, booking) => sum + parseFloat(booking.total_amount), 0);
+  let allocated = 0;
+  return bookings.map((booking, index) => {
+    const share = index === bookings.length - 1
+      ? roundMoney(amount - allocated)
+      : roundMoney(total > 0 ? amount * parseFloat(booking.total_amount) / total : 0);
+    allocated = roundMoney(allocated + share);
+    return { booking, amount: share };
+  });
+};
+
+/**
+ * The bookings a cart checkout payment was for, each with its share of the payment. A booking
+ * cancelled before the payment started was already taken off the order's total and has no share;
+ * one cancelled while the payment was in flight keeps its share, which is refunded.
+ */
+const getOrderPaymentShares = async (db, payment) => {
+  const bookings = await db.query(
+    `SELECT id, provider_id, total_amount, fee_breakdown, status, settlement_currency FROM bookings
+     WHERE order_id = $1 AND (cancelled_at IS NULL OR cancelled_at >= $2)
+     ORDER BY id`,
+    [payment.order_id, payment.created_at]
+  );
+  return splitOrderPayment(parseFloat(payment.amount), bookings.rows);
+};
+
+/**
+ * Post a completed payment. Booking payments are split using the booking's fee breakdown;
+ * a cart checkout payment is split booking by booking across its order.
+ */
+const recordPayment = async (db, payment) => {
+  if (payment.order_id) {
+    const shares = await getOrderPaymentShares(db, payment);
+    return postJournal(db, {
+      reference: `payment:${payment.id}`,
+      entryType: 'payment',
+      currency: payment.currency || 'TZS',
+      paymentId: payment.id,
+      description: payment.description,
+      lines: shares.flatMap(({ booking, amount }) => buildPaymentLines({
+        amount,
+        providerId: booking.provider_id,
+        commissionPercent: effectiveCommissionPercent(booking.fee_breakdown),
+        subsidy: promotionSubsidy(amount, booking.fee_breakdown)
+      }))
+    });
+  }
+
+  let booking = null;
+  if (payment.booking_id) {
+    const result = await db.query('SELECT provider_id, fee_breakdown FROM bookings WHERE id = $1', [payment.booking_id]);
+    booking = result.rows[0] || null;
+  }
+
+  return postJournal(db, {
+    reference: `payment:${payment.id}`,
+    entryType: 'payment',
+    currency: payment.currency || 'TZS',
+    bookingId: payment.booking_id,
+    paymentId: payment.id,
+    description: payment.description,
+    lines: buildPaymentLines({
+      amount: parseFloat(payment.amount),
+      providerId: booking ? booking.provider_id : null,
+      commissionPercent: booking ? effectiveCommissionPercent(booking.fee_breakdown) : undefined,
+      subsidy: booking ? promotionSubsidy(parseFloat(payment.amount), booking.fee_breakdown) : 0
+    })
+  });
+};
+
+/**
+ * Post the subsidy for a booking a platform promo code made free. There is no payment to carry
+ * it, so it is posted on its own when the booking is made. Returns the journal id, or null.
+ */
+const recordPromotionSubsidy = (db, booking) => {
+  const subsidy = promotionSubsidy(0, booking.fee_breakdown);
+  if (!subsidy || !booking.provider_id) return null;
+
+  return postJournal(db, {
+    reference: `promotion:booking:${booking.id}`,
+    entryType: 'payment',
+    currency: booking.settlement_currency || 'TZS',
+    bookingId: booking.id,
+    description: 'Platform promo code',
+    lines: buildPaymentLines({
+      amount: 0,
+      providerId: booking.provider_id,
+      commissionPercent: effectiveCommissionPercent(booking.fee_breakdown),
+      subsidy
+    })
+  });
+};
+
+/**
+ * Post a refund owed to a traveler. `booking` supplies the provider whose balance is reduced
+ * and the fee breakdown that decides how much of the refund comes out of the commission.
+ */
+const recordRefund = (db, refund, booking) => postJournal(db, {
+  reference: `refund:${refund.id}`,
+  entryType: 'refund',
+  currency: refund.currency || 'TZS',
+  bookingId: refund.booking_id,
+  paymentId: refund.payment_id,
+  refundId: refund.id,
+  description: refund.reason,
+  lines: buildRefundLines({
+    amount: parseFloat(refund.amount),
+    providerId: booking.provider_id,
+    commissionPercent: effectiveCommissionPercent(booking.fee_breakdown),
+    subsidy: promotionSubsidy(parseFloat(refund.amount), booking.fee_breakdown)
+  })
+});
+
+/**
+ * Post any completed payments and refunds that are not in the ledger yet
+ */
+const syncLedger = async (db) => {
+  const payments = await db.query(
+    `SELECT p.* FROM payments p
+     WHERE p.payment_status = 'completed'
+       AND NOT EXISTS (SELECT 1 FROM ledger_journals j WHERE j.reference = 'payment:' || p.id)`
+  );
+  for (const payment of payments.rows) {
+    await recordPayment(db, payment);
+  }
+
+  const refunds = await db.query(
+    `SELECT r.*, b.provider_id, b.fee_breakdown FROM refunds r
+     JOIN bookings b ON r.booking_id = b.id
+     WHERE r.status <> 'failed'
+       AND NOT EXISTS (SELECT 1 FROM ledger_journals j WHERE j.reference = 'refund:' || r.id)`
+  );
+  for (const refund of refunds.rows) {
+    await recordRefund(db, refund, { provider_id: refund.provider_id, fee_breakdown: refund.fee_breakdown });
+  }
+
+  return { payments: payments.rows.length, refunds: refunds.rows.length };
+};
+
+/**
+ * Balance, lifetime earnings and payouts per provider and currency
+ */
+const getProviderBalances = async (db, { providerId = null } = {}) => {
+  const params = [];
+  let filter = '';
+  if (providerId) {
+    params.push(providerId);
+    filter = 'AND e.provider_id = $1';
+  }
+
+  const result = await db.query(
+    `SELECT e.provider_id, e.currency,
+            COALESCE(SUM(e.credit - e.debit), 0) AS balance,
+            COALESCE(SUM(CASE WHEN j.entry_type = 'payment' THEN e.credit ELSE 0 END), 0) AS earned,
+            COALESCE(SUM(CASE WHEN j.entry_type = 'refund' THEN e.debit ELSE 0 END), 0) AS refunded,
+            COALESCE(SUM(CASE WHEN j.entry_type = 'payout' THEN e.debit
+                              WHEN j.entry_type = 'payout_reversal' THEN -e.credit ELSE 0 END), 0) AS paid_out
+     FROM ledger_entries e
+     JOIN ledger_journals j ON e.journal_id = j.id
+     WHERE e.account = 'provider_payable' ${filter}
+     GROUP BY e.provider_id, e.currency
+     ORDER BY balance DESC`,
+    params
+  );
+
+  return result.rows.map(row => ({
+    providerId: row.provider_id,
+    currency: row.currency,
+    balance: roundMoney(parseFloat(row.balance)),
+    earned: roundMoney(parseFloat(row.earned)),
+    refunded: roundMoney(parseFloat(row.refunded)),
+    paidOut: roundMoney(parseFloat(row.paid_out))
+  }));
+};
+
+/**
+ * A provider's ledger lines between two dates, oldest first, with a running balance per currency
+ */
+const getProviderStatement = async (db, providerId, { from = null, to = null } = {}) => {
+  const opening = await db.query(
+    `SELECT currency, COALESCE(SUM(credit - debit), 0) AS balance
+     FROM ledger_entries
+     WHERE account = 'provider_payable' AND provider_id = $1 AND ($2::date IS NULL OR created_at < $2::date)
+     GROUP BY currency`,
+    [providerId, from]
+  );
+
+  const lines = await db.query(
+    `SELECT e.id, e.debit, e.credit, e.currency, e.created_at,
+            j.entry_type, j.reference, j.description, j.booking_id, j.payout_id
+     FROM ledger_entries e
+     JOIN ledger_journals j ON e.journal_id = j.id
+     WHERE e.account = 'provider_payable' AND e.provider_id = $1
+       AND ($2::date IS NULL OR e.created_at >= $2::date)
+       AND ($3::date IS NULL OR e.created_at < $3::date + 1)
+     ORDER BY e.created_at ASC, e.id ASC`,
+    [providerId, from, to]
+  );
+
+  const running = {};
+  opening.rows.forEach(row => { running[row.currency] = parseFloat(row.balance); });
+  const openingBalances = { ...running };
+
+  const entries = lines.rows.map(line => {
+    const amount = parseFloat(line.credit) - parseFloat(line.debit);
+    running[line.currency] = roundMoney((running[line.currency] || 0) + amount);
+    return {
+      id: line.id,
+      type: line.entry_type,
+      reference: line.reference,
+      description: line.description,
+      bookingId: line.booking_id,
+      payoutId: line.payout_id,
+      amount: roundMoney(amount),
+      currency: line.currency,
+      balance: running[line.currency],
+      createdAt: line.created_at
+    };
+  });
+
+  return { openingBalances, closingBalances: running, entries };
+};
+
+/**
+ * Pay out every provider balance at or above `minimumAmount` in one batch.
+ * Each payout debits the provider's balance straight away; failed payouts are reversed by settlePayout.
+ */
+const createPayoutBatch = async (pool, { adminId = null, minimumAmount = 0, notes = null }) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // One batch at a time, so balances cannot be paid out twice
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('payout_batch'))");
+
+    await syncLedger(client);
+
+    const balances = (await getProviderBalances(client))
+      .filter(row => row.balance > 0 && row.balance >= minimumAmount);
+
+    if (balances.length === 0) {
+      await client.query('ROLLBACK');
+      return { success: false, status: 409, message: 'No provider balances are due for payout' };
+    }
+
+    const batchResult = await client.query(
+      `INSERT INTO payout_batches (created_by, notes, payout_count, total_amount)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [adminId, notes, balances.length, roundMoney(balances.reduce((sum, row) => sum + row.balance, 0))]
+    );
+    const batch = batchResult.rows[0];
+
+    const payouts = [];
+    for (const row of balances) {
+      const payoutResult = await client.query(
+        `INSERT INTO payouts (batch_id, provider_id, amount, currency)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [batch.id, row.providerId, row.balance, row.currency]
+      );
+      const payout = payoutResult.rows[0];
+
+      await postJournal(client, {
+        reference: `payout:${payout.id}`,
+        entryType: 'payout',
+        currency: row.currency,
+        payoutId: payout.id,
+        description: `Payout batch #${batch.id}`,
+        lines: buildPayoutLines({ amount: row.balance, providerId: row.providerId })
+      });
+      payouts.push(payout);
+    }
+
+    await client.query('COMMIT');
+    return { success: true, batch, payouts };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Mark a pending payout as paid, or as failed which returns the amount to the provider's balance,
+ * recording the admin who did it. The batch is completed once none of its payouts are pending.
+ */
+const settlePayout = async (pool, { payoutId, adminId = null, status, reference = null, reason = null }) => {
+  if (!['paid', 'failed'].includes(status)) {
+    return { success: false, status: 400, message: 'Payout status must be paid or failed' };
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query('SELECT * FROM payouts WHERE id = $1 FOR UPDATE', [payoutId]);
+    const payout = existing.rows[0];
+    if (!payout) {
+      await client.query('ROLLBACK');
+      return { success: false, status: 404, message: 'Payout not found' };
+    }
+    if (payout.status !== 'pending') {
+      await client.query('ROLLBACK');
+      return { success: false, status: 409, message: `Payout is already ${payout.status}` };
+    }
+
+    const updated = await client.query(
+      `UPDATE payouts
+       SET status = $1, reference = $2, failure_reason = $3, paid_at = CASE WHEN $4 THEN NOW() ELSE NULL END,
+           processed_by = $6
+       WHERE id = $5
+       RETURNING *`,
+      [status, reference, status === 'failed' ? reason : null, status === 'paid', payoutId, adminId]
+    );
+
+    if (status === 'failed') {
+      await postJournal(client, {
+        reference: `payout_reversal:${payoutId}`,
+        entryType: 'payout_reversal',
+        currency: payout.currency,
+        payoutId: payout.id,
+        description: reason || 'Payout failed',
+        lines: [
+          { account: 'cash', debit: parseFloat(payout.amount) },
+          { account: 'provider_payable', providerId: payout.provider_id, credit: parseFloat(payout.amount) }
+        ]
+      });
+    }
+
+    await client.query(
+      `UPDATE payout_batches SET status = 'completed', completed_at = NOW()
+       WHERE id = $1 AND status = 'processing'
+         AND NOT EXISTS (SELECT 1 FROM payouts WHERE batch_id = $1 AND status = 'pending')`,
+      [payout.batch_id]
+    );
+
+    await client.query('COMMIT');
+    return { success: true, payout: updated.rows[0] };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  ACCOUNTS,
+  splitCommission,
+  promotionSubsidy,
+  isBalanced,
+  buildPaymentLines,
+  buildRefundLines,
+  buildPayoutLines,
+  postJournal,
+  splitOrderPayment,
+  getOrderPaymentShares,
+  recordPayment,
+  recordPromotionSubsidy,
+  recordRefund,
+  syncLedger,
+  getProviderBalances,
+  getProviderStatement,
+  createPayoutBatch,
+  settlePayout
+};
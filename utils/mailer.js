@@ -0,0 +1,211 @@
+// Outgoing email. Messages are rendered and written to the email_outbox table — inside the
+// transaction of the change they are about when there is one — and a background job delivers
+// them through the configured transport, retrying failures with a growing delay.
+// Transports: "smtp" for real delivery, "file" which writes each message as an .eml file
+// (a local stand-in for an SMTP server), and "console" which only logs.
+
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { renderEmail } = require('./emailTemplates');
+const { getDeliveryPlan } = require('./notificationPreferences');
+
+const MAX_ATTEMPTS = 5;
+const MAX_RETRY_DELAY_MINUTES = 240;
+const CLAIM_MINUTES = 10;
+const BATCH_SIZE = 20;
+const DEFAULT_RETENTION_DAYS = 30;
+
+const createSmtpTransport = (options) => {
+  const transporter = nodemailer.createTransport(options);
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+const createFileTransport = (directory) => {
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  return {
+    name: 'file',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      await fs.mkdir(directory, { recursive: true });
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const filePath = path.join(directory, `${stamp}-${message.template || 'email'}-${message.outboxId || 'direct'}.eml`);
+      await fs.writeFile(filePath, info.message);
+      return { messageId: info.messageId, filePath };
+    }
+  };
+};
+
+const createConsoleTransport = (logger = console) => ({
+  name: 'console',
+  async send(message) {
+    const attached = (message.attachments || []).map(attachment => attachment.filename);
+    logger.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text}${attached.length > 0 ? `\nAttached: ${attached.join(', ')}` : ''}`);
+    return { messageId: null };
+  }
+});
+
+const TRANSPORTS = {
+  smtp: () => {
+    const port = parseInt(process.env.EMAIL_PORT) || 587;
+    return createSmtpTransport({
+      host: process.env.EMAIL_HOST,
+      port,
+      secure: process.env.EMAIL_SECURE === 'true' || port === 465,
+      auth: process.env.EMAIL_USER ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASSWORD } : undefined
+    });
+  },
+  file: () => createFileTransport(process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'storage', 'mail')),
+  console: () => createConsoleTransport()
+};
+
+let transport = null;
+
+/**
+ * The transport chosen by MAIL_TRANSPORT (default: smtp in production, file elsewhere)
+ */
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'file');
+    if (!TRANSPORTS[name]) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = TRANSPORTS[name]();
+  }
+  return transport;
+};
+
+const mailFrom = () => process.env.MAIL_FROM ||
+  `"${process.env.PLATFORM_NAME || 'iSafari Global'}" <${process.env.PLATFORM_EMAIL || process.env.EMAIL_USER || 'no-reply@isafari.local'}>`;
+
+/**
+ * A link into the web app for use in emails
+ */
+const appUrl = (pathname) =>
+  `${(process.env.FRONTEND_URL || 'https://isafari-tz.netlify.app').replace(/\/$/, '')}${pathname}`;
+
+/**
+ * Render a template and add it to the outbox. Returns the outbox row, or null when there is no address.
+ * Notification emails give their notification `type`: they follow the user's preferences, so they
+ * may not be queued (null) or wait for quiet hours to end. Account emails such as password resets
+ * have no type and always go straight out.
+ * Attachments are { filename, content: Buffer, contentType } and are stored with the message.
+ */
+const queueEmail = async (db, { to, template, data = {}, userId = null, type = null, attachments = [] }) => {
+  if (!to) return null;
+  let sendAfter = null;
+  if (type && userId) {
+    const plan = await getDeliveryPlan(db, { userId, type, channel: 'email' });
+    if (!plan.send) return null;
+    sendAfter = plan.sendAfter;
+  }
+
+  const { subject, html, text } = renderEmail(template, data);
+  const stored = attachments.length > 0
+    ? JSON.stringify(attachments.map(({ filename, content, contentType }) => ({ filename, contentType, content: content.toString('base64') })))
+    : null;
+  const result = await db.query(
+    `INSERT INTO email_outbox (user_id, to_address, template, subject, html, text, next_attempt_at, attachments)
+     VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, NOW()), $8)
+     RETURNING *`,
+    [userId, to, template, subject, html, text, sendAfter, stored]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Minutes to wait before retrying a message that has failed `attempts` times
+ */
+const retryDelayMinutes = (attempts) => Math.min(2 ** attempts, MAX_RETRY_DELAY_MINUTES);
+
+/**
+ * Send the messages that are due. Each is claimed first so two workers never send the same one;
+ * a claim that is never settled (the process died mid-send) expires and the message is retried.
+ * Returns the ids that were sent, will be retried, and have failed for good.
+ */
+const deliverOutbox = async (db, mailTransport = getTransport(), { limit = BATCH_SIZE } = {}) => {
+  const claimed = await db.query(
+    `UPDATE email_outbox
+     SET status = 'sending', attempts = attempts + 1,
+         next_attempt_at = NOW() + make_interval(mins => $2), updated_at = NOW()
+     WHERE id IN (
+       SELECT id FROM email_outbox
+       WHERE status IN ('pending', 'sending') AND next_attempt_at <= NOW()
+       ORDER BY next_attempt_at, id
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [limit, CLAIM_MINUTES]
+  );
+
+  const outcome = { sent: [], retrying: [], failed: [] };
+  for (const message of claimed.rows) {
+    try {
+      await mailTransport.send({
+        from: mailFrom(),
+        to: message.to_address,
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+        attachments: (message.attachments || []).map(attachment => ({ ...attachment, encoding: 'base64' })),
+        template: message.template,
+        outboxId: message.id
+      });
+      await db.query(
+        `UPDATE email_outbox SET status = 'sent', sent_at = NOW(), last_error = NULL, updated_at = NOW() WHERE id = $1`,
+        [message.id]
+      );
+      outcome.sent.push(message.id);
+    } catch (error) {
+      const giveUp = message.attempts >= MAX_ATTEMPTS;
+      await db.query(
+        `UPDATE email_outbox
+         SET status = $2, last_error = $3, next_attempt_at = NOW() + make_interval(mins => $4), updated_at = NOW()
+         WHERE id = $1`,
+        [message.id, giveUp ? 'failed' : 'pending', error.message, retryDelayMinutes(message.attempts)]
+      );
+      (giveUp ? outcome.failed : outcome.retrying).push(message.id);
+      console.error(`❌ Email ${message.id} (${message.template}) not sent:`, error.message);
+    }
+  }
+  return outcome;
+};
+
+/**
+ * Deliver straight away instead of waiting for the next job run, e.g. for password resets.
+ * Failures are left to the job to retry.
+ */
+const deliverSoon = (db) => {
+  deliverOutbox(db).catch(error => console.error('❌ Email delivery error:', error));
+};
+
+/**
+ * Delete sent messages older than EMAIL_OUTBOX_RETENTION_DAYS (default 30); they may hold
+ * links that should not stay around. Returns how many were removed.
+ */
+const pruneOutbox = async (db) => {
+  const days = parseInt(process.env.EMAIL_OUTBOX_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS;
+  const result = await db.query(
+    `DELETE FROM email_outbox WHERE status = 'sent' AND sent_at < NOW() - make_interval(days => $1)`,
+    [days]
+  );
+  return result.rowCount;
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+  getTransport,
+  appUrl,
+  queueEmail,
+  retryDelayMinutes,
+  deliverOutbox,
+  deliverSoon,
+  pruneOutbox
+};
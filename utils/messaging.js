@@ -0,0 +1,339 @@
+// Traveler-provider message threads. A thread is between one traveler and one provider and can be
+// about a service or a booking; travelers can write to any provider, providers only about a booking.
+
+const { publishEvent } = require('./realtime');
+const { formatAttachment } = require('./attachments');
+
+const MAX_MESSAGE_LENGTH = 2000;
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Returns { body } trimmed, or { error }
+ */
+const normalizeMessageBody = (body) => {
+  const text = typeof body === 'string' ? body.trim() : '';
+  if (!text) {
+    return { error: 'Message cannot be empty' };
+  }
+  if (text.length > MAX_MESSAGE_LENGTH) {
+    return { error: `Messages can be at most ${MAX_MESSAGE_LENGTH} characters` };
+  }
+  return { body: text };
+};
+
+/**
+ * Which side of a thread a user is on, or null when they are not part of it.
+ * `conversation` needs provider_user_id joined in from service_providers.
+ */
+const roleIn = (conversation, userId) => {
+  if (conversation.traveler_id === userId) return 'traveler';
+  if (conversation.provider_user_id === userId) return 'provider';
+  return null;
+};
+
+/**
+ * A thread with the user's role in it, or null when it doesn't exist or isn't theirs
+ */
+const getConversation = async (db, conversationId, userId) => {
+  const result = await db.query(
+    `SELECT c.*, sp.user_id AS provider_user_id
+     FROM conversations c
+     JOIN service_providers sp ON sp.id = c.provider_id
+     WHERE c.id = $1`,
+    [conversationId]
+  );
+  const conversation = result.rows[0];
+  const role = conversation && roleIn(conversation, userId);
+  return role ? { ...conversation, role } : null;
+};
+
+/**
+ * Work out who a new thread is between from the booking, service or provider it is about.
+ * Returns { thread } or { success: false, status, message }.
+ */
+const resolveThread = async (db, { userId, userType }, { bookingId = null, serviceId = null, providerId = null }) => {
+  if (bookingId) {
+    const result = await db.query(
+      `SELECT b.id, b.traveler_id, b.provider_id, b.service_id, sp.user_id AS provider_user_id
+       FROM bookings b
+       JOIN service_providers sp ON sp.id = b.provider_id
+       WHERE b.id = $1`,
+      [bookingId]
+    );
+    const booking = result.rows[0];
+    if (!booking || !roleIn(booking, userId)) {
+      return { success: false, status: 404, message: 'Booking not found' };
+    }
+    return {
+      thread: { travelerId: booking.traveler_id, providerId: booking.provider_id, serviceId: booking.service_id, bookingId: booking.id }
+    };
+  }
+
+  if (userType !== 'traveler') {
+    return { success: false, status: 403, message: 'Providers can message travelers about their bookings' };
+  }
+
+  let provider;
+  if (serviceId) {
+    const result = await db.query(
+      `SELECT sp.id, sp.user_id FROM services s JOIN service_providers sp ON sp.id = s.provider_id WHERE s.id = $1`,
+      [serviceId]
+    );
+    provider = result.rows[0];
+    if (!provider) {
+      return { success: false, status: 404, message: 'Service not found' };
+    }
+  } else if (providerId) {
+    const result = await db.query('SELECT id, user_id FROM service_providers WHERE id = $1', [providerId]);
+    provider = result.rows[0];
+    if (!provider) {
+      return { success: false, status: 404, message: 'Provider not found' };
+    }
+  } else {
+    return { success: false, status: 400, message: 'A booking, service or provider is required' };
+  }
+
+  if (provider.user_id === userId) {
+    return { success: false, status: 400, message: 'You cannot message yourself' };
+  }
+  return { thread: { travelerId: userId, providerId: provider.id, serviceId: serviceId || null, bookingId: null } };
+};
+
+/**
+ * The thread for these participants and subject, created on first use
+ */
+const findOrCreateConversation = async (db, { travelerId, providerId, serviceId = null, bookingId = null }) => {
+  const params = [travelerId, providerId, serviceId, bookingId];
+  const find = () => db.query(
+    `SELECT * FROM conversations
+     WHERE traveler_id = $1 AND provider_id = $2 AND service_id IS NOT DISTINCT FROM $3 AND booking_id IS NOT DISTINCT FROM $4`,
+    params
+  );
+
+  const existing = await find();
+  if (existing.rows[0]) return existing.rows[0];
+
+  // Someone else may open the same thread at the same moment; the unique index keeps one
+  const created = await db.query(
+    `INSERT INTO conversations (traveler_id, provider_id, service_id, booking_id)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT DO NOTHING
+     RETURNING *`,
+    params
+  );
+  return created.rows[0] || (await find()).rows[0];
+};
+
+/**
+ * Add a message to a thread, with any files already stored by storeAttachments.
+ * Both participants' connected clients get it as a `message` event.
+ */
+const sendMessage = async (db, { conversationId, senderId, body, attachments = [] }) => {
+  const result = await db.query(
+    `INSERT INTO messages (conversation_id, sender_id, body)
+     VALUES ($1, $2, $3)
+     RETURNING *`,
+    [conversationId, senderId, body]
+  );
+  const message = result.rows[0];
+  message.attachments = [];
+  if (attachments.length > 0) {
+    const saved = await db.query(
+      `INSERT INTO message_attachments
+         (message_id, conversation_id, uploaded_by, file_name, content_type, size_bytes, storage_key, thumbnail_key)
+       SELECT $1::integer, $2::integer, $3::integer, file.*
+       FROM unnest($4::varchar[], $5::varchar[], $6::integer[], $7::varchar[], $8::varchar[]) AS file
+       RETURNING *`,
+      [
+        message.id, conversationId, senderId,
+        attachments.map(a => a.fileName),
+        attachments.map(a => a.contentType),
+        attachments.map(a => a.sizeBytes),
+        attachments.map(a => a.storageKey),
+        attachments.map(a => a.thumbnailKey)
+      ]
+    );
+    message.attachments = saved.rows;
+  }
+  const participants = await db.query(
+    `UPDATE conversations c SET last_message_at = $2
+     FROM service_providers sp
+     WHERE c.id = $1 AND sp.id = c.provider_id
+     RETURNING c.traveler_id, sp.user_id AS provider_user_id`,
+    [conversationId, message.created_at]
+  );
+  const { traveler_id, provider_user_id } = participants.rows[0];
+  await publishEvent(db, {
+    userIds: [traveler_id, provider_user_id],
+    type: 'message',
+    data: {
+      id: message.id,
+      conversationId,
+      senderId,
+      body: message.body,
+      attachments: message.attachments.map(formatAttachment),
+      readAt: null,
+      createdAt: message.created_at
+    }
+  });
+  return message;
+};
+
+/**
+ * A page of a thread, oldest first, each message with its attachments. `before` is a message id
+ * to page back from. Returns { messages, hasMore }.
+ */
+const getMessages = async (db, conversationId, { before = null, limit = DEFAULT_PAGE_SIZE } = {}) => {
+  const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const result = await db.query(
+    `SELECT m.*,
+            COALESCE((
+              SELECT json_agg(json_build_object(
+                'id', a.id, 'file_name', a.file_name, 'content_type', a.content_type,
+                'size_bytes', a.size_bytes, 'has_thumbnail', a.thumbnail_key IS NOT NULL
+              ) ORDER BY a.id)
+              FROM message_attachments a WHERE a.message_id = m.id
+            ), '[]') AS attachments
+     FROM messages m
+     WHERE m.conversation_id = $1 AND ($2::integer IS NULL OR m.id < $2)
+     ORDER BY m.id DESC
+     LIMIT $3`,
+    [conversationId, before, pageSize + 1]
+  );
+
+  return {
+    messages: result.rows.slice(0, pageSize).reverse(),
+    hasMore: result.rows.length > pageSize
+  };
+};
+
+/**
+ * Mark everything the other participant sent in a thread as read, and send both participants
+ * a `messages_read` event for the read receipts. Returns the ids marked.
+ */
+const markConversationRead = async (db, conversation, userId) => {
+  const result = await db.query(
+    `UPDATE messages SET read_at = NOW()
+     WHERE conversation_id = $1 AND read_at IS NULL AND sender_id IS DISTINCT FROM $2
+     RETURNING id, read_at`,
+    [conversation.id, userId]
+  );
+  const messageIds = result.rows.map(row => row.id);
+  if (messageIds.length > 0) {
+    await publishEvent(db, {
+      userIds: [conversation.traveler_id, conversation.provider_user_id],
+      type: 'messages_read',
+      data: { conversationId: conversation.id, messageIds, readBy: userId, readAt: result.rows[0].read_at }
+    });
+  }
+  return messageIds;
+};
+
+/**
+ * An attachment in a thread, with where its files are stored, or undefined
+ */
+const getAttachment = async (db, conversationId, attachmentId) => {
+  const result = await db.query(
+    'SELECT * FROM message_attachments WHERE id = $1 AND conversation_id = $2',
+    [attachmentId, conversationId]
+  );
+  return result.rows[0];
+};
+
+// Threads a user takes part in, on either side
+const PARTICIPANT_FILTER = '(c.traveler_id = $1 OR sp.user_id = $1)';
+
+/**
+ * The user's threads, most recent first, with the other party, last message and unread count.
+ * Pass `conversationId` to get just that one.
+ */
+const listConversations = async (db, userId, { conversationId = null } = {}) => {
+  const result = await db.query(
+    `SELECT c.*, sp.user_id AS provider_user_id, sp.business_name,
+            u.first_name AS traveler_first_name, u.last_name AS traveler_last_name, u.avatar_url AS traveler_avatar,
+            s.title AS service_title,
+            last.body AS last_message, last.sender_id AS last_sender_id, last.attachment_count AS last_attachment_count,
+            (SELECT COUNT(*) FROM messages m
+             WHERE m.conversation_id = c.id AND m.read_at IS NULL AND m.sender_id IS DISTINCT FROM $1)::integer AS unread_count
+     FROM conversations c
+     JOIN service_providers sp ON sp.id = c.provider_id
+     JOIN users u ON u.id = c.traveler_id
+     LEFT JOIN services s ON s.id = c.service_id
+     LEFT JOIN LATERAL (
+       SELECT body, sender_id,
+              (SELECT COUNT(*) FROM message_attachments a WHERE a.message_id = m.id)::integer AS attachment_count
+       FROM messages m WHERE m.conversation_id = c.id ORDER BY m.id DESC LIMIT 1
+     ) last ON TRUE
+     WHERE ${PARTICIPANT_FILTER} AND ($2::integer IS NULL OR c.id = $2)
+     ORDER BY COALESCE(c.last_message_at, c.created_at) DESC`,
+    [userId, conversationId]
+  );
+  return result.rows;
+};
+
+const getUnreadCount = async (db, userId) => {
+  const result = await db.query(
+    `SELECT COUNT(*)::integer AS unread
+     FROM messages m
+     JOIN conversations c ON c.id = m.conversation_id
+     JOIN service_providers sp ON sp.id = c.provider_id
+     WHERE ${PARTICIPANT_FILTER} AND m.read_at IS NULL AND m.sender_id IS DISTINCT FROM $1`,
+    [userId]
+  );
+  return result.rows[0].unread;
+};
+
+// What the thread list shows for the last message; messages can be just attachments
+const messagePreview = (body, attachmentCount) => {
+  if (body) return body;
+  if (attachmentCount > 1) return `${attachmentCount} attachments`;
+  return attachmentCount === 1 ? 'Attachment' : null;
+};
+
+const formatConversation = (c, userId) => {
+  const role = roleIn(c, userId);
+  const travelerName = `${c.traveler_first_name || ''} ${c.traveler_last_name || ''}`.trim() || 'Traveler';
+  return {
+    id: c.id,
+    role,
+    withName: role === 'traveler' ? (c.business_name || 'Service provider') : travelerName,
+    withAvatar: role === 'traveler' ? null : c.traveler_avatar || null,
+    providerId: c.provider_id,
+    serviceId: c.service_id,
+    serviceTitle: c.service_title || null,
+    bookingId: c.booking_id,
+    lastMessage: messagePreview(c.last_message, c.last_attachment_count),
+    lastMessageMine: c.last_sender_id === userId,
+    lastMessageAt: c.last_message_at,
+    unreadCount: c.unread_count || 0
+  };
+};
+
+const formatMessage = (m, userId) => ({
+  id: m.id,
+  conversationId: m.conversation_id,
+  senderId: m.sender_id,
+  mine: m.sender_id === userId,
+  body: m.body,
+  attachments: (m.attachments || []).map(formatAttachment),
+  readAt: m.read_at,
+  createdAt: m.created_at
+});
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  normalizeMessageBody,
+  roleIn,
+  getConversation,
+  resolveThread,
+  findOrCreateConversation,
+  sendMessage,
+  getMessages,
+  markConversationRead,
+  getAttachment,
+  listConversations,
+  getUnreadCount,
+  formatConversation,
+  formatMessage
+};
@@ -0,0 +1,509 @@
+// Booking modification requests: a traveler asks to move a booking to another date or time or
+// change the party size, the provider approves or declines, and an approved change is priced at
+// the per-person rate the traveler booked at. A higher price leaves the difference due on the
+// booking as a balance instalment, which the next payment on the booking takes; a lower one
+// refunds the overpayment. Each request keeps the values it replaced.
+
+const { CAPACITY_HOLDING_STATUSES, checkCapacity, toDateKey, parseDateKey, normalizeTime } = require('./availability');
+const { getRefundablePayment } = require('./cancellations');
+const { computeFeeBreakdown } = require('./commission');
+const { chargeAtRate } = require('./currency');
+const { recordRefund } = require('./ledger');
+const { createNotification } = require('./notifications');
+const { paymentStatusFor, createInstalments, rescheduleInstalments } = require('./paymentPlans');
+const { acceptWaitlistOffer } = require('./waitlist');
+
+// Bookings that can still be changed
+const MODIFIABLE_STATUSES = ['pending', 'confirmed'];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Price a change in party size. The discount the booking got stays as a fixed amount.
+ * Returns { unitPrice, newTotal, difference }; a negative difference is owed back to the traveler.
+ */
+const priceModification = ({ totalAmount, discountAmount = 0, participants, newParticipants }) => {
+  const total = parseFloat(totalAmount) || 0;
+  const discount = parseFloat(discountAmount) || 0;
+  const unitPrice = (total + discount) / (parseInt(participants) || 1);
+  const newTotal = Math.max(roundMoney(unitPrice * newParticipants - discount), 0);
+  return { unitPrice: roundMoney(unitPrice), newTotal, difference: roundMoney(newTotal - total) };
+};
+
+/**
+ * The booking's fee breakdown for a new total, under the commission rule it was booked with
+ */
+const rescaleFeeBreakdown = (feeBreakdown, grossAmount) => {
+  if (!feeBreakdown) return null;
+  const rule = feeBreakdown.commissionPercent !== undefined
+    ? { id: feeBreakdown.ruleId, name: feeBreakdown.ruleName, commission_percent: feeBreakdown.commissionPercent, fixed_fee: feeBreakdown.fixedFee }
+    : null;
+  return {
+    ...feeBreakdown,
+    ...computeFeeBreakdown({ rule, grossAmount, currency: feeBreakdown.currency })
+  };
+};
+
+/**
+ * Validate a change request against the booking. Anything left out keeps its current value;
+ * the start time is only carried over when the date stays the same.
+ * Returns { changes: { bookingDate, startTime, participants } } or { error }.
+ */
+const validateModificationRequest = (booking, body, today = toDateKey(new Date())) => {
+  if (!MODIFIABLE_STATUSES.includes(booking.status)) {
+    return { error: `A ${booking.status} booking can't be changed` };
+  }
+  const currentDate = toDateKey(booking.booking_date);
+  if (currentDate < today) {
+    return { error: 'This booking has already taken place' };
+  }
+
+  const bookingDate = body.bookingDate ? toDateKey(body.bookingDate) : currentDate;
+  if (!parseDateKey(bookingDate)) {
+    return { error: 'Invalid booking date' };
+  }
+  if (bookingDate < today) {
+    return { error: 'The new date has already passed' };
+  }
+
+  const participants = body.participants !== undefined && body.participants !== '' ? parseInt(body.participants) : parseInt(booking.participants);
+  if (!(participants >= 1)) {
+    return { error: 'Participants must be at least 1' };
+  }
+
+  const startTime = body.startTime
+    ? normalizeTime(body.startTime)
+    : bookingDate === currentDate ? normalizeTime(booking.start_time) : null;
+
+  if (bookingDate === currentDate && startTime === normalizeTime(booking.start_time) && participants === parseInt(booking.participants)) {
+    return { error: 'Choose a new date, time or number of participants' };
+  }
+
+  return { changes: { bookingDate, startTime, participants } };
+};
+
+/**
+ * Check the change fits the service's capacity and price it.
+ * The booking's own seats count as free when it stays on the same date and slot.
+ * Returns { slot, newTotal, difference, releasesSeats } or { error, code }.
+ */
+const quoteModification = async (db, booking, service, changes) => {
+  const capacity = await checkCapacity(db, service, changes.bookingDate, changes.startTime, { userId: booking.traveler_id });
+  if (!capacity.available) {
+    return { error: capacity.message, code: 'UNAVAILABLE' };
+  }
+
+  const slotId = capacity.slot ? capacity.slot.id : null;
+  const sameSlot = changes.bookingDate === toDateKey(booking.booking_date) && slotId === (booking.slot_id || null);
+  const heldNow = CAPACITY_HOLDING_STATUSES.includes(booking.status) ? parseInt(booking.participants) : 0;
+  const needed = sameSlot ? changes.participants - heldNow : changes.participants;
+  if (capacity.remaining !== null && needed > capacity.remaining) {
+    return {
+      error: capacity.remaining === 0
+        ? 'The new date is fully booked'
+        : `Only ${capacity.remaining} more spot${capacity.remaining === 1 ? '' : 's'} available on the new date`,
+      code: 'CAPACITY_EXCEEDED'
+    };
+  }
+
+  const price = priceModification({
+    totalAmount: booking.total_amount,
+    discountAmount: booking.discount_amount,
+    participants: booking.participants,
+    newParticipants: changes.participants
+  });
+
+  return {
+    slot: capacity.slot,
+    startTime: capacity.slot ? normalizeTime(capacity.slot.start_time) : changes.startTime,
+    newTotal: price.newTotal,
+    difference: price.difference,
+    releasesSeats: !sameSlot || changes.participants < heldNow
+  };
+};
+
+const notifyProvider = async (db, booking, title, message, data) => {
+  const provider = await db.query('SELECT user_id FROM service_providers WHERE id = $1', [booking.provider_id]);
+  if (provider.rows[0]?.user_id) {
+    await createNotification(db, { userId: provider.rows[0].user_id, type: 'booking_modification', title, message, data });
+  }
+};
+
+const describeChange = (modification) => {
+  const parts = [];
+  if (toDateKey(modification.new_booking_date) !== toDateKey(modification.original_booking_date)) {
+    parts.push(`date ${toDateKey(modification.original_booking_date)} → ${toDateKey(modification.new_booking_date)}`);
+  }
+  if (normalizeTime(modification.new_start_time) !== normalizeTime(modification.original_start_time)) {
+    parts.push(`time ${normalizeTime(modification.original_start_time) || 'any'} → ${normalizeTime(modification.new_start_time) || 'any'}`);
+  }
+  if (modification.new_participants !== modification.original_participants) {
+    parts.push(`participants ${modification.original_participants} → ${modification.new_participants}`);
+  }
+  return parts.join(', ');
+};
+
+/**
+ * Refusal for a booking whose checkout order is still unpaid, or null. The order charges the
+ * totals from checkout, so its bookings can't change price until it is paid.
+ */
+const unpaidOrderError = async (db, booking) => {
+  if (!booking.order_id) return null;
+  const result = await db.query('SELECT status FROM orders WHERE id = $1', [booking.order_id]);
+  if (result.rows[0]?.status !== 'pending') return null;
+  return {
+    success: false,
+    status: 409,
+    code: 'ORDER_UNPAID',
+    message: `Pay checkout order #${booking.order_id} before changing this booking`
+  };
+};
+
+/**
+ * Lock a booking the traveler owns, with its service title, inside a transaction
+ */
+const lockTravelerBooking = async (client, bookingId, userId) => {
+  const result = await client.query(
+    `SELECT b.*, s.title AS service_title FROM bookings b
+     JOIN services s ON s.id = b.service_id
+     WHERE b.id = $1 AND b.traveler_id = $2
+     FOR UPDATE OF b`,
+    [bookingId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Price a change without requesting it, for the traveler to review first.
+ * Returns { success: true, quote } or { success: false, status, code?, message }.
+ */
+const previewModification = async (db, { bookingId, userId, body, today }) => {
+  const bookingResult = await db.query('SELECT * FROM bookings WHERE id = $1 AND traveler_id = $2', [bookingId, userId]);
+  const booking = bookingResult.rows[0];
+  if (!booking) {
+    return { success: false, status: 404, message: 'Booking not found' };
+  }
+
+  const { changes, error } = validateModificationRequest(booking, body, today);
+  if (error) {
+    return { success: false, status: 400, message: error };
+  }
+
+  const unpaid = await unpaidOrderError(db, booking);
+  if (unpaid) return unpaid;
+
+  const serviceResult = await db.query('SELECT * FROM services WHERE id = $1', [booking.service_id]);
+  const quote = await quoteModification(db, booking, serviceResult.rows[0], changes);
+  if (quote.error) {
+    return { success: false, status: 409, code: quote.code, message: quote.error };
+  }
+
+  return {
+    success: true,
+    quote: {
+      bookingDate: changes.bookingDate,
+      startTime: quote.startTime,
+      participants: changes.participants,
+      currentTotal: parseFloat(booking.total_amount),
+      newTotal: quote.newTotal,
+      priceDifference: quote.difference,
+      currency: booking.settlement_currency || 'TZS'
+    }
+  };
+};
+
+/**
+ * Ask the provider to change a booking. One request can be open per booking at a time.
+ * Returns { success: true, modification } or { success: false, status, code?, message }.
+ */
+const requestModification = async (pool, { bookingId, userId, body, today = toDateKey(new Date()) }) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const booking = await lockTravelerBooking(client, bookingId, userId);
+    if (!booking) {
+      await client.query('ROLLBACK');
+      return { success: false, status: 404, message: 'Booking not found' };
+    }
+
+    const { changes, error } = validateModificationRequest(booking, body, today);
+    if (error) {
+      await client.query('ROLLBACK');
+      return { success: false, status: 400, message: error };
+    }
+
+    const unpaid = await unpaidOrderError(client, booking);
+    if (unpaid) {
+      await client.query('ROLLBACK');
+      return unpaid;
+    }
+
+    const pending = await client.query(
+      `SELECT id FROM booking_modifications WHERE booking_id = $1 AND status = 'pending'`,
+      [bookingId]
+    );
+    if (pending.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return { success: false, status: 409, code: 'REQUEST_PENDING', message: 'This booking already has a change request waiting for the provider' };
+    }
+
+    const serviceResult = await client.query('SELECT * FROM services WHERE id = $1', [booking.service_id]);
+    const quote = await quoteModification(client, booking, serviceResult.rows[0], changes);
+    if (quote.error) {
+      await client.query('ROLLBACK');
+      return { success: false, status: 409, code: quote.code, message: quote.error };
+    }
+
+    const inserted = await client.query(
+      `INSERT INTO booking_modifications (
+         booking_id, requested_by, original_booking_date, original_start_time, original_slot_id,
+         original_participants, original_total_amount, new_booking_date, new_start_time,
+         new_participants, new_total_amount, price_difference, currency, reason
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+       RETURNING *`,
+      [bookingId, userId, toDateKey(booking.booking_date), booking.start_time, booking.slot_id, booking.participants,
+        booking.total_amount, changes.bookingDate, quote.startTime, changes.participants, quote.newTotal,
+        quote.difference, booking.settlement_currency || 'TZS', body.reason || null]
+    );
+    const modification = inserted.rows[0];
+
+    await notifyProvider(client, booking, 'Booking change requested',
+      `The traveler on booking #${bookingId} (${booking.service_title}) asked to change the ${describeChange(modification)}.`,
+      { bookingId, modificationId: modification.id });
+
+    await client.query('COMMIT');
+    return { success: true, modification };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Approve or decline a pending change request on one of the provider's bookings.
+ * An approval checks capacity again, updates the booking and settles the price difference:
+ * a refund for what was overpaid, or a top-up instalment for the difference left to pay.
+ * Returns { success: true, modification, booking?, refund?, balanceDue?, topUp?, releasedFrom? }
+ * or { success: false, status, code?, message }.
+ */
+const decideModification = async (pool, { bookingId, modificationId, providerId, actorId, approve, reason = null }) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const modificationResult = await client.query(
+      'SELECT * FROM booking_modifications WHERE id = $1 AND booking_id = $2 FOR UPDATE',
+      [modificationId, bookingId]
+    );
+    const bookingResult = await client.query(
+      `SELECT b.*, s.title AS service_title FROM bookings b
+       JOIN services s ON s.id = b.service_id
+       WHERE b.id = $1
+       FOR UPDATE OF b`,
+      [bookingId]
+    );
+    const modification = modificationResult.rows[0];
+    const booking = bookingResult.rows[0];
+    if (!modification || !booking || booking.provider_id !== providerId) {
+      await client.query('ROLLBACK');
+      return { success: false, status: 404, message: 'Change request not found' };
+    }
+    if (modification.status !== 'pending') {
+      await client.query('ROLLBACK');
+      return { success: false, status: 409, message: `This change request was already ${modification.status}` };
+    }
+
+    const notifyTraveler = (title, message) => createNotification(client, {
+      userId: booking.traveler_id,
+      type: 'booking_modification',
+      title,
+      message,
+      data: { bookingId, modificationId }
+    });
+
+    if (!approve) {
+      const declined = await client.query(
+        `UPDATE booking_modifications
+         SET status = 'declined', decided_by = $2, decided_at = NOW(), decline_reason = $3
+         WHERE id = $1
+         RETURNING *`,
+        [modificationId, actorId, reason]
+      );
+      await notifyTraveler('Booking change declined',
+        `The provider declined your change to ${booking.service_title}${reason ? `: ${reason}` : ''}. Your booking stays as it was.`);
+      await client.query('COMMIT');
+      return { success: true, modification: declined.rows[0] };
+    }
+
+    if (!MODIFIABLE_STATUSES.includes(booking.status)) {
+      await client.query('ROLLBACK');
+      return { success: false, status: 409, message: `A ${booking.status} booking can't be changed` };
+    }
+
+    const unpaid = await unpaidOrderError(client, booking);
+    if (unpaid) {
+      await client.query('ROLLBACK');
+      return unpaid;
+    }
+
+    // Same lock booking creation takes, so the capacity checked here holds until commit
+    const serviceResult = await client.query('SELECT * FROM services WHERE id = $1 FOR UPDATE', [booking.service_id]);
+    const changes = {
+      bookingDate: toDateKey(modification.new_booking_date),
+      startTime: normalizeTime(modification.new_start_time),
+      participants: modification.new_participants
+    };
+    const quote = await quoteModification(client, booking, serviceResult.rows[0], changes);
+    if (quote.error) {
+      await client.query('ROLLBACK');
+      return { success: false, status: 409, code: quote.code, message: quote.error };
+    }
+
+    const { paymentId, paidAmount } = await getRefundablePayment(client, bookingId);
+    const refundAmount = roundMoney(Math.max(paidAmount - quote.newTotal, 0));
+    const balanceDue = roundMoney(Math.max(quote.newTotal - paidAmount, 0));
+    const charge = booking.charged_currency
+      ? chargeAtRate(quote.newTotal, booking.settlement_currency, booking.charged_currency, parseFloat(booking.exchange_rate))
+      : null;
+    // On a payment plan the difference is spread over the instalments still to pay
+    const onPlan = await rescheduleInstalments(client, { ...booking, total_amount: quote.newTotal }, paidAmount) !== null;
+
+    const updatedResult = await client.query(
+      `UPDATE bookings
+       SET booking_date = $2, start_time = $3, end_time = $4, slot_id = $5, participants = $6,
+           total_amount = $7, fee_breakdown = $8, charged_amount = COALESCE($9, charged_amount),
+           payment_status = $10, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [bookingId, changes.bookingDate, quote.slot ? quote.slot.start_time : changes.startTime,
+        quote.slot ? quote.slot.end_time : (changes.bookingDate === toDateKey(booking.booking_date) ? booking.end_time : null),
+        quote.slot ? quote.slot.id : null, changes.participants, quote.newTotal,
+        rescaleFeeBreakdown(booking.fee_breakdown, quote.newTotal), charge ? charge.chargedAmount : null,
+        paymentStatusFor(paidAmount, quote.newTotal)]
+    );
+    const updated = updatedResult.rows[0];
+
+    // A plan booking already carries the difference on its instalments. Otherwise what has been
+    // paid is topped up with a balance due by the new date; an unpaid booking just costs more.
+    let topUp = null;
+    if (!onPlan && balanceDue > 0 && paidAmount > 0) {
+      [topUp] = await createInstalments(client, updated, [{ sequence: 1, kind: 'balance', amount: balanceDue, dueDate: changes.bookingDate }]);
+    }
+
+    let refund = null;
+    if (refundAmount > 0) {
+      const refundResult = await client.query(
+        `INSERT INTO refunds (booking_id, payment_id, amount, currency, refund_percent, reason, requested_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [bookingId, paymentId, refundAmount, booking.settlement_currency || 'TZS',
+          roundMoney(refundAmount / paidAmount * 100), `Booking changed: ${describeChange(modification)}`, actorId]
+      );
+      refund = refundResult.rows[0];
+      await recordRefund(client, refund, updated);
+    }
+
+    const approved = await client.query(
+      `UPDATE booking_modifications
+       SET status = 'approved', decided_by = $2, decided_at = NOW(), new_total_amount = $3,
+           price_difference = $4, refund_id = $5
+       WHERE id = $1
+       RETURNING *`,
+      [modificationId, actorId, quote.newTotal, quote.difference, refund ? refund.id : null]
+    );
+
+    // Moving onto a date the traveler was waitlisted for takes up their offer
+    await acceptWaitlistOffer(client, { userId: booking.traveler_id, booking: updated });
+
+    const currency = booking.settlement_currency || 'TZS';
+    await notifyTraveler('Booking change approved',
+      `Your change to ${booking.service_title} was approved (${describeChange(modification)}).` +
+      (refund ? ` A refund of ${currency} ${refundAmount.toLocaleString()} is being processed.` : '') +
+      (balanceDue > 0 && paidAmount > 0 && !onPlan ? ` Please pay the difference of ${currency} ${balanceDue.toLocaleString()}.` : '') +
+      (onPlan && quote.difference !== 0 ? ' Your remaining instalments have been updated.' : ''));
+
+    await client.query('COMMIT');
+    return {
+      success: true,
+      modification: approved.rows[0],
+      booking: updated,
+      refund,
+      balanceDue,
+      topUp,
+      // Seats the booking no longer uses, for the waitlist of the date it left
+      releasedFrom: quote.releasesSeats ? booking : null
+    };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Withdraw the traveler's own pending change request
+ */
+const withdrawModification = async (db, { bookingId, modificationId, userId }) => {
+  const result = await db.query(
+    `UPDATE booking_modifications m
+     SET status = 'withdrawn'
+     FROM bookings b
+     WHERE m.id = $1 AND m.booking_id = $2 AND b.id = m.booking_id AND b.traveler_id = $3 AND m.status = 'pending'
+     RETURNING m.*`,
+    [modificationId, bookingId, userId]
+  );
+  if (result.rows.length === 0) {
+    return { success: false, status: 404, message: 'No pending change request to withdraw' };
+  }
+  return { success: true, modification: result.rows[0] };
+};
+
+/**
+ * Change request as returned by the API
+ */
+const formatModification = (m) => ({
+  id: m.id,
+  booking_id: m.booking_id,
+  status: m.status,
+  original: {
+    booking_date: toDateKey(m.original_booking_date),
+    start_time: normalizeTime(m.original_start_time),
+    participants: m.original_participants,
+    total_amount: parseFloat(m.original_total_amount)
+  },
+  requested: {
+    booking_date: toDateKey(m.new_booking_date),
+    start_time: normalizeTime(m.new_start_time),
+    participants: m.new_participants,
+    total_amount: parseFloat(m.new_total_amount)
+  },
+  price_difference: parseFloat(m.price_difference),
+  currency: m.currency,
+  reason: m.reason,
+  decline_reason: m.decline_reason,
+  refund_id: m.refund_id,
+  decided_at: m.decided_at,
+  created_at: m.created_at,
+  ...(m.service_title !== undefined && {
+    service_title: m.service_title,
+    traveler_name: [m.first_name, m.last_name].filter(Boolean).join(' ')
+  })
+});
+
+module.exports = {
+  MODIFIABLE_STATUSES,
+  priceModification,
+  rescaleFeeBreakdown,
+  validateModificationRequest,
+  quoteModification,
+  previewModification,
+  requestModification,
+  decideModification,
+  withdrawModification,
+  formatModification
+};
@@ -0,0 +1,73 @@
+// Daily and weekly digests: the low-priority notifications createNotification held back, sent to
+// each user as one in-app notification and one email once their digest period has passed and
+// outside their quiet hours. Whatever is still held for a user who has since turned their digest
+// off goes out on the next run.
+
+const { NOTIFICATION_TYPES, toPreferences, quietHoursEnd } = require('./notificationPreferences');
+const { createNotification } = require('./notifications');
+const { appUrl, queueEmail } = require('./mailer');
+
+const summarize = (items) => {
+  const counts = new Map();
+  for (const item of items) {
+    counts.set(item.type, (counts.get(item.type) || 0) + 1);
+  }
+  return [...counts]
+    .map(([type, count]) => `${NOTIFICATION_TYPES[type]?.label || type}: ${count}`)
+    .join(' · ');
+};
+
+/**
+ * Send the digests that are due. Returns the ids of the users who were sent one.
+ */
+const sendDueDigests = async (db, { now = new Date() } = {}) => {
+  const due = await db.query(
+    `SELECT u.id, u.email, u.first_name, u.notification_digest,
+            u.quiet_hours_start, u.quiet_hours_end, u.notification_timezone
+     FROM users u
+     WHERE EXISTS (SELECT 1 FROM notification_digest_items i WHERE i.user_id = u.id)
+       AND (COALESCE(u.notification_digest, 'off') = 'off'
+            OR u.last_digest_at IS NULL
+            OR u.last_digest_at <= NOW() - make_interval(days => CASE u.notification_digest WHEN 'weekly' THEN 7 ELSE 1 END))`
+  );
+
+  const sent = [];
+  for (const user of due.rows) {
+    if (quietHoursEnd(toPreferences(user), now)) continue;
+
+    // Taking the items removes them, so a digest is never sent twice
+    const taken = await db.query(
+      'DELETE FROM notification_digest_items WHERE user_id = $1 RETURNING *',
+      [user.id]
+    );
+    const items = taken.rows.sort((a, b) => a.id - b.id);
+    if (items.length === 0) continue;
+
+    const frequency = user.notification_digest === 'weekly' ? 'weekly' : 'daily';
+    await createNotification(db, {
+      userId: user.id,
+      type: 'notification_digest',
+      title: `Your ${frequency} summary`,
+      message: summarize(items),
+      data: { itemCount: items.length }
+    });
+    await queueEmail(db, {
+      to: user.email,
+      userId: user.id,
+      template: 'notification_digest',
+      data: {
+        name: user.first_name,
+        frequency,
+        items: items.map(item => ({ title: item.title, message: item.message, createdAt: item.created_at })),
+        profileUrl: appUrl('/profile')
+      }
+    });
+    await db.query('UPDATE users SET last_digest_at = NOW() WHERE id = $1', [user.id]);
+    sent.push(user.id);
+  }
+  return sent;
+};
+
+module.exports = {
+  sendDueDigests
+};
@@ -0,0 +1,236 @@
+// What each user wants to hear about, and how. Every notification type can be turned on or off per
+// channel (in-app, email, SMS); a type's channels are the ones something actually sends it by.
+// Low-priority types can be batched into a daily or weekly digest instead of arriving one by one,
+// and during quiet hours emails and texts wait until the quiet hours end. Nothing is stored until
+// a user changes a default, so users without preferences get everything straight away.
+
+const CHANNELS = ['in_app', 'email', 'sms'];
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+const DEFAULT_TIMEZONE = 'Africa/Dar_es_Salaam';
+
+// `audience` is who can receive the type: providers, travelers, or all users
+const NOTIFICATION_TYPES = {
+  booking_request: { label: 'New booking requests', audience: 'provider', channels: ['in_app', 'email', 'sms'] },
+  booking_confirmed: { label: 'Booking confirmations', audience: 'traveler', channels: ['in_app', 'email'] },
+  booking_cancelled: { label: 'Cancellations and declined requests', audience: 'all', channels: ['in_app', 'email'] },
+  booking_expired: { label: 'Expired drafts and unanswered requests', audience: 'all', channels: ['in_app'] },
+  booking_modification: { label: 'Booking change requests', audience: 'all', channels: ['in_app'] },
+  booking_completed: { label: 'Completed trips', audience: 'traveler', channels: ['in_app'] },
+  payment_completed: { label: 'Payments received', audience: 'all', channels: ['in_app', 'sms'] },
+  payment_reminder: { label: 'Instalment reminders', audience: 'traveler', channels: ['in_app'] },
+  payout_paid: { label: 'Payouts and statements', audience: 'provider', channels: ['in_app', 'email'] },
+  waitlist: { label: 'Waitlist openings', audience: 'traveler', channels: ['in_app'] },
+  story_approved: { label: 'Story approvals', audience: 'all', channels: ['in_app'] },
+  new_follower: { label: 'New followers', audience: 'provider', channels: ['in_app'], lowPriority: true },
+  story_liked: { label: 'Likes on your stories', audience: 'all', channels: ['in_app'], lowPriority: true }
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)(:[0-5]\d)?$/;
+
+const toMinutes = (time) => {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const localMinutes = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+    .formatToParts(date);
+  const part = (type) => Number(parts.find(p => p.type === type).value);
+  return part('hour') * 60 + part('minute');
+};
+
+/**
+ * A user's preferences as planDelivery reads them, from their users row with the
+ * preference overrides aggregated into it (null: the defaults)
+ */
+const toPreferences = (row) => {
+  const channels = {};
+  for (const override of row?.overrides || []) {
+    channels[override.type] = { ...channels[override.type], [override.channel]: override.enabled };
+  }
+  const quietHours = row?.quiet_hours_start && row?.quiet_hours_end
+    ? { start: row.quiet_hours_start.slice(0, 5), end: row.quiet_hours_end.slice(0, 5) }
+    : null;
+
+  return {
+    audience: row?.user_type === 'service_provider' ? 'provider' : 'traveler',
+    channels,
+    digest: row?.notification_digest || 'off',
+    quietHours,
+    timezone: row?.notification_timezone || DEFAULT_TIMEZONE
+  };
+};
+
+const loadPreferences = async (db, userId) => {
+  const result = await db.query(
+    `SELECT u.user_type, u.notification_digest, u.quiet_hours_start, u.quiet_hours_end, u.notification_timezone,
+            COALESCE(json_agg(json_build_object('type', p.notification_type, 'channel', p.channel, 'enabled', p.enabled))
+                     FILTER (WHERE p.user_id IS NOT NULL), '[]') AS overrides
+     FROM users u
+     LEFT JOIN notification_preferences p ON p.user_id = u.id
+     WHERE u.id = $1
+     GROUP BY u.id`,
+    [userId]
+  );
+  return toPreferences(result.rows[0]);
+};
+
+const isEnabled = (preferences, type, channel) => preferences.channels[type]?.[channel] !== false;
+
+/**
+ * When the user's quiet hours end, if `now` falls inside them; null otherwise
+ */
+const quietHoursEnd = (preferences, now = new Date()) => {
+  if (!preferences.quietHours) return null;
+  const start = toMinutes(preferences.quietHours.start);
+  const end = toMinutes(preferences.quietHours.end);
+  const current = localMinutes(now, preferences.timezone);
+  const inside = start < end ? current >= start && current < end : current >= start || current < end;
+  if (!inside) return null;
+
+  const minuteStart = Math.floor(now.getTime() / 60000) * 60000;
+  return new Date(minuteStart + ((end - current + 1440) % 1440) * 60000);
+};
+
+/**
+ * How a notification of `type` goes out on `channel`: not at all, into the digest (in-app
+ * notifications of low-priority types, when the user has one), or now — or after quiet hours
+ * for emails and texts. Types outside the catalogue, such as admin announcements, always go out.
+ */
+const planDelivery = (preferences, { type, channel, now = new Date() }) => {
+  const definition = NOTIFICATION_TYPES[type];
+  if (!definition) return { send: true, digest: false, sendAfter: null };
+  if (!isEnabled(preferences, type, channel)) return { send: false };
+
+  if (definition.lowPriority && preferences.digest !== 'off') {
+    // The digest itself is the user's summary of these, so they aren't sent separately elsewhere
+    return channel === 'in_app' ? { send: true, digest: true, sendAfter: null } : { send: false };
+  }
+
+  const sendAfter = channel === 'in_app' ? null : quietHoursEnd(preferences, now);
+  return { send: true, digest: false, sendAfter };
+};
+
+/**
+ * planDelivery for a user, loading their preferences first
+ */
+const getDeliveryPlan = async (db, { userId, type, channel, now = new Date() }) => {
+  if (!NOTIFICATION_TYPES[type]) return planDelivery(null, { type, channel, now });
+  return planDelivery(await loadPreferences(db, userId), { type, channel, now });
+};
+
+/**
+ * The settings the preferences screen shows: each type the user can receive with its channels
+ * and whether each is on, plus digest, quiet hours and time zone
+ */
+const formatNotificationSettings = (preferences) => ({
+  types: Object.entries(NOTIFICATION_TYPES)
+    .filter(([, definition]) => definition.audience === 'all' || definition.audience === preferences.audience)
+    .map(([type, definition]) => ({
+      type,
+      label: definition.label,
+      lowPriority: Boolean(definition.lowPriority),
+      channels: definition.channels,
+      enabled: Object.fromEntries(definition.channels.map(channel => [channel, isEnabled(preferences, type, channel)]))
+    })),
+  digest: preferences.digest,
+  quietHours: preferences.quietHours,
+  timezone: preferences.timezone
+});
+
+const getNotificationSettings = async (db, userId) =>
+  formatNotificationSettings(await loadPreferences(db, userId));
+
+const validateSettings = ({ preferences = {}, digest, quietHours, timezone }) => {
+  if (typeof preferences !== 'object' || preferences === null || Array.isArray(preferences)) {
+    return 'Preferences must map notification types to channels';
+  }
+  for (const [type, channels] of Object.entries(preferences)) {
+    const definition = NOTIFICATION_TYPES[type];
+    if (!definition) return `Unknown notification type: ${type}`;
+    for (const [channel, enabled] of Object.entries(channels || {})) {
+      if (!definition.channels.includes(channel)) return `${definition.label} can't be sent by ${channel}`;
+      if (typeof enabled !== 'boolean') return 'Each channel must be turned on (true) or off (false)';
+    }
+  }
+  if (digest !== undefined && !DIGEST_FREQUENCIES.includes(digest)) {
+    return 'Digest must be off, daily or weekly';
+  }
+  if (quietHours) {
+    if (!TIME_PATTERN.test(quietHours.start || '') || !TIME_PATTERN.test(quietHours.end || '')) {
+      return 'Quiet hours need a start and end time, e.g. 22:00 and 07:00';
+    }
+    if (toMinutes(quietHours.start) === toMinutes(quietHours.end)) {
+      return 'Quiet hours must start and end at different times';
+    }
+  }
+  if (timezone !== undefined && (typeof timezone !== 'string' || !isValidTimezone(timezone))) {
+    return 'Unknown time zone';
+  }
+  return null;
+};
+
+/**
+ * Change a user's preferences. `preferences` maps types to the channels being changed, e.g.
+ * { new_follower: { in_app: false } }; other types and channels keep their setting. Digest,
+ * quiet hours (null to turn them off) and time zone are left alone when not given.
+ * Returns { settings } or { success: false, status, message }.
+ */
+const updateNotificationSettings = async (db, userId, changes) => {
+  const problem = validateSettings(changes);
+  if (problem) {
+    return { success: false, status: 400, message: problem };
+  }
+
+  const current = await loadPreferences(db, userId);
+  const digest = changes.digest ?? current.digest;
+  const quietHours = changes.quietHours === undefined ? current.quietHours : changes.quietHours;
+  const timezone = changes.timezone ?? current.timezone;
+
+  const overrides = Object.entries(changes.preferences || {}).flatMap(([type, channels]) =>
+    Object.entries(channels || {}).map(([channel, enabled]) => ({ type, channel, enabled }))
+  );
+  if (overrides.length > 0) {
+    await db.query(
+      `INSERT INTO notification_preferences (user_id, notification_type, channel, enabled)
+       SELECT $1, t.type, t.channel, t.enabled
+       FROM unnest($2::text[], $3::text[], $4::boolean[]) AS t(type, channel, enabled)
+       ON CONFLICT (user_id, notification_type, channel)
+       DO UPDATE SET enabled = EXCLUDED.enabled, updated_at = NOW()`,
+      [userId, overrides.map(o => o.type), overrides.map(o => o.channel), overrides.map(o => o.enabled)]
+    );
+  }
+
+  // A new digest starts counting from now rather than going out on the next run
+  await db.query(
+    `UPDATE users
+     SET notification_digest = $2, quiet_hours_start = $3, quiet_hours_end = $4, notification_timezone = $5,
+         last_digest_at = CASE WHEN $2 = 'off' THEN last_digest_at ELSE COALESCE(last_digest_at, NOW()) END
+     WHERE id = $1`,
+    [userId, digest, quietHours?.start || null, quietHours?.end || null, timezone]
+  );
+
+  return { settings: await getNotificationSettings(db, userId) };
+};
+
+module.exports = {
+  CHANNELS,
+  DIGEST_FREQUENCIES,
+  NOTIFICATION_TYPES,
+  toPreferences,
+  loadPreferences,
+  quietHoursEnd,
+  planDelivery,
+  getDeliveryPlan,
+  getNotificationSettings,
+  updateNotificationSettings
+};
@@ -0,0 +1,195 @@
+// Domain event subscribers that tell the people involved in a change about it with an in-app
+// notification. createNotification applies the user's preferences and pushes each one to
+// connected clients.
+
+const { DOMAIN_EVENTS } = require('./domainEvents');
+const { createNotification } = require('./notifications');
+const { getBookingParties, cancellationRecipients, getPaymentParties } = require('./bookingParties');
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : 'the booked date');
+
+const travelerName = (booking) => booking.traveler_name || 'A traveler';
+
+const formatAmount = (payment) => `${payment.currency} ${parseFloat(payment.amount).toLocaleString()}`;
+
+const notifyBookingRequest = (db) => async ({ bookingId }) => {
+  const booking = await getBookingParties(db, bookingId);
+  // Drafts are private to the traveler until they are submitted
+  if (!booking || booking.status !== 'pending') return;
+
+  await createNotification(db, {
+    userId: booking.provider_user_id,
+    type: 'booking_request',
+    title: 'New booking request',
+    message: `${travelerName(booking)} requested ${booking.service_title} on ${formatDate(booking.booking_date)}.`,
+    data: { bookingId }
+  });
+};
+
+const notifyBookingConfirmed = (db) => async ({ bookingId }) => {
+  const booking = await getBookingParties(db, bookingId);
+  if (!booking) return;
+
+  await createNotification(db, {
+    userId: booking.traveler_id,
+    type: 'booking_confirmed',
+    title: 'Booking confirmed',
+    message: `${booking.business_name || 'Your provider'} confirmed ${booking.service_title} on ${formatDate(booking.booking_date)}.`,
+    data: { bookingId }
+  });
+};
+
+const notifyBookingCancelled = (db) => async ({ bookingId, actor, fromStatus, reason = null }) => {
+  const booking = await getBookingParties(db, bookingId);
+  if (!booking) return;
+  const recipients = cancellationRecipients({ actor, fromStatus });
+  const because = reason ? ` Reason: ${reason}` : '';
+
+  if (recipients.traveler) {
+    await createNotification(db, {
+      userId: booking.traveler_id,
+      type: 'booking_cancelled',
+      title: recipients.declined ? 'Booking request declined' : 'Booking cancelled',
+      message: recipients.declined
+        ? `${booking.business_name || 'The provider'} declined your request for ${booking.service_title}.${because}`
+        : `Your booking for ${booking.service_title} on ${formatDate(booking.booking_date)} was cancelled.${because}`,
+      data: { bookingId }
+    });
+  }
+
+  if (recipients.provider) {
+    await createNotification(db, {
+      userId: booking.provider_user_id,
+      type: 'booking_cancelled',
+      title: 'Booking cancelled',
+      message: actor === 'traveler'
+        ? `${travelerName(booking)} cancelled booking #${booking.id} for ${booking.service_title}.${because}`
+        : `Booking #${booking.id} for ${booking.service_title} was cancelled.${because}`,
+      data: { bookingId }
+    });
+  }
+};
+
+const notifyBookingCompleted = (db) => async ({ bookingId }) => {
+  const booking = await getBookingParties(db, bookingId);
+  if (!booking) return;
+
+  await createNotification(db, {
+    userId: booking.traveler_id,
+    type: 'booking_completed',
+    title: 'How was your trip?',
+    message: `${booking.service_title} is complete. Leave a review to help other travelers.`,
+    data: { bookingId }
+  });
+};
+
+// The payer gets a receipt; providers hear about payments for their bookings
+const notifyPaymentCompleted = (db) => async ({ paymentId }) => {
+  const parties = await getPaymentParties(db, paymentId);
+  if (!parties) return;
+  const { payment, bookings } = parties;
+
+  await createNotification(db, {
+    userId: payment.user_id,
+    type: 'payment_completed',
+    title: 'Payment received',
+    message: `We received your payment of ${formatAmount(payment)}.`,
+    data: { paymentId: payment.id, bookingId: payment.booking_id, orderId: payment.order_id }
+  });
+
+  for (const booking of bookings) {
+    await createNotification(db, {
+      userId: booking.provider_user_id,
+      type: 'payment_completed',
+      title: 'Booking paid',
+      message: `Payment for booking #${booking.id} (${booking.service_title}) has been received.`,
+      data: { paymentId: payment.id, bookingId: booking.id }
+    });
+  }
+};
+
+const notifyStoryApproved = (db) => async ({ story }) => {
+  await createNotification(db, {
+    userId: story.user_id,
+    type: 'story_approved',
+    title: 'Your story is live',
+    message: `"${story.title}" has been approved and is now published.`,
+    data: { storyId: story.id }
+  });
+};
+
+const notifyStoryLiked = (db) => async ({ storyId, likerId }) => {
+  const result = await db.query(
+    `SELECT ts.user_id AS author_id, ts.title, TRIM(CONCAT(u.first_name, ' ', u.last_name)) AS liker_name
+     FROM traveler_stories ts
+     JOIN users u ON u.id = $2
+     WHERE ts.id = $1`,
+    [storyId, likerId]
+  );
+  const row = result.rows[0];
+  if (!row || row.author_id === likerId) return;
+
+  await createNotification(db, {
+    userId: row.author_id,
+    type: 'story_liked',
+    title: 'Someone liked your story',
+    message: `${row.liker_name || 'A traveler'} liked "${row.title}".`,
+    data: { storyId, likerId }
+  });
+};
+
+const notifyProviderFollowed = (db) => async ({ providerId, followerId }) => {
+  const result = await db.query(
+    `SELECT sp.user_id AS provider_user_id, TRIM(CONCAT(u.first_name, ' ', u.last_name)) AS follower_name
+     FROM service_providers sp
+     JOIN users u ON u.id = $2
+     WHERE sp.id = $1`,
+    [providerId, followerId]
+  );
+  const row = result.rows[0];
+  if (!row) return;
+
+  await createNotification(db, {
+    userId: row.provider_user_id,
+    type: 'new_follower',
+    title: 'New follower',
+    message: `${row.follower_name || 'A traveler'} is now following you.`,
+    data: { providerId, followerId }
+  });
+};
+
+const notifyPayoutPaid = (db) => async ({ payout }) => {
+  const result = await db.query('SELECT user_id FROM service_providers WHERE id = $1', [payout.provider_id]);
+  if (!result.rows[0]) return;
+
+  await createNotification(db, {
+    userId: result.rows[0].user_id,
+    type: 'payout_paid',
+    title: 'Payout sent',
+    message: `We paid out ${formatAmount(payout)}${payout.reference ? ` (reference ${payout.reference})` : ''}. Your statement is on its way by email.`,
+    data: { payoutId: payout.id }
+  });
+};
+
+/**
+ * Subscribe the in-app notification writers to the bus. Returns a function that removes them.
+ */
+const registerNotificationSubscribers = (bus, db) => {
+  const unsubscribers = [
+    bus.subscribe(DOMAIN_EVENTS.BOOKING_CREATED, notifyBookingRequest(db)),
+    bus.subscribe(DOMAIN_EVENTS.BOOKING_SUBMITTED, notifyBookingRequest(db)),
+    bus.subscribe(DOMAIN_EVENTS.BOOKING_CONFIRMED, notifyBookingConfirmed(db)),
+    bus.subscribe(DOMAIN_EVENTS.BOOKING_CANCELLED, notifyBookingCancelled(db)),
+    bus.subscribe(DOMAIN_EVENTS.BOOKING_COMPLETED, notifyBookingCompleted(db)),
+    bus.subscribe(DOMAIN_EVENTS.PAYMENT_COMPLETED, notifyPaymentCompleted(db)),
+    bus.subscribe(DOMAIN_EVENTS.STORY_APPROVED, notifyStoryApproved(db)),
+    bus.subscribe(DOMAIN_EVENTS.STORY_LIKED, notifyStoryLiked(db)),
+    bus.subscribe(DOMAIN_EVENTS.PROVIDER_FOLLOWED, notifyProviderFollowed(db)),
+    bus.subscribe(DOMAIN_EVENTS.PAYOUT_PAID, notifyPayoutPaid(db))
+  ];
+  return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+};
+
+module.exports = {
+  registerNotificationSubscribers
+};
@@ -0,0 +1,41 @@
+// In-app notifications, written straight to the notifications table so they can be created
+// inside the transaction of the change they report.
+
+const { publishEvent } = require('./realtime');
+const { getDeliveryPlan } = require('./notificationPreferences');
+
+/**
+ * Add a notification for a user. `data` carries the ids the client needs to link to the subject.
+ * Connected clients get it as a `notification` event. The user's preferences decide whether it
+ * is written at all, or held for their digest; either way the result has no rows.
+ */
+const createNotification = async (db, { userId, type, title, message, data = null }) => {
+  const plan = await getDeliveryPlan(db, { userId, type, channel: 'in_app' });
+  if (!plan.send) return { rows: [] };
+  if (plan.digest) {
+    await db.query(
+      `INSERT INTO notification_digest_items (user_id, type, title, message, data)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [userId, type, title, message, data ? JSON.stringify(data) : null]
+    );
+    return { rows: [] };
+  }
+
+  const result = await db.query(
+    `INSERT INTO notifications (user_id, type, title, message, data)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [userId, type, title, message, data ? JSON.stringify(data) : null]
+  );
+  const notification = result.rows[0];
+  await publishEvent(db, {
+    userIds: [userId],
+    type: 'notification',
+    data: { id: notification.id, type, title, message, data, createdAt: notification.created_at }
+  });
+  return result;
+};
+
+module.exports = {
+  createNotification
+};
@@ -0,0 +1,177 @@
+// Password resets. A forgot-password request creates a random single-use token that is emailed
+// to the user; only its SHA-256 hash is stored, so a leaked database can't be used to reset
+// anyone's password. Requesting a new link voids the previous ones, and a successful reset signs
+// the user out everywhere: it bumps their session_version so every login token issued before it
+// stops working, deletes their cookie sessions and closes their open real-time streams.
+// Requests are rate limited per email address and per IP, whether or not the account exists.
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { disconnectUser } = require('./realtime');
+
+const RESET_TOKEN_MINUTES = 60;
+const RATE_LIMIT_WINDOW_MINUTES = 60;
+const MAX_REQUESTS_PER_EMAIL = 3;
+const MAX_REQUESTS_PER_IP = 10;
+const MIN_PASSWORD_LENGTH = 6;
+// Request records are only needed for the rate limit window; used and expired tokens a while longer
+const RETENTION_DAYS = 7;
+// express-session's store table (see server.js); it only exists where sessions are kept in Postgres
+const SESSION_TABLE = 'session';
+
+const INVALID_LINK = 'This password reset link is invalid or has expired. Please request a new one.';
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const normalizeEmail = (email) => String(email || '').toLowerCase().trim();
+
+/**
+ * Record a forgot-password request and, when the email belongs to an account, create its reset
+ * token. Returns { user, token } (user null for unknown emails, so callers answer the same way),
+ * or { success: false, status: 429, message } when the email or IP has asked too often.
+ */
+const requestPasswordReset = async (pool, { email, ip = null }) => {
+  const address = normalizeEmail(email);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Held until commit, so parallel requests for the same email or IP are counted one at a time.
+    // Always email first, then IP, so two requests can't wait on each other.
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`password_reset:email:${address}`]);
+    if (ip) {
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`password_reset:ip:${ip}`]);
+    }
+
+    const recent = await client.query(
+      `SELECT COUNT(*) FILTER (WHERE email = $1) AS by_email, COUNT(*) FILTER (WHERE ip = $2) AS by_ip
+       FROM password_reset_requests
+       WHERE created_at > NOW() - make_interval(mins => $3)`,
+      [address, ip, RATE_LIMIT_WINDOW_MINUTES]
+    );
+    const { by_email: byEmail, by_ip: byIp } = recent.rows[0];
+    if (Number(byEmail) >= MAX_REQUESTS_PER_EMAIL || (ip && Number(byIp) >= MAX_REQUESTS_PER_IP)) {
+      await client.query('ROLLBACK');
+      return { success: false, status: 429, message: 'Too many password reset requests. Please try again later.' };
+    }
+
+    await client.query('INSERT INTO password_reset_requests (email, ip) VALUES ($1, $2)', [address, ip]);
+
+    const userResult = await client.query('SELECT id, email, first_name FROM users WHERE email = $1', [address]);
+    const user = userResult.rows[0];
+    if (!user) {
+      await client.query('COMMIT');
+      return { user: null, token: null };
+    }
+
+    await client.query(
+      'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+      [user.id]
+    );
+    const token = crypto.randomBytes(32).toString('hex');
+    await client.query(
+      `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip)
+       VALUES ($1, $2, NOW() + make_interval(mins => $3), $4)`,
+      [user.id, hashToken(token), RESET_TOKEN_MINUTES, ip]
+    );
+
+    await client.query('COMMIT');
+    return { user, token };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Sign a user out of every cookie session and close their real-time streams
+ */
+const endUserSessions = async (db, userId) => {
+  const table = await db.query('SELECT to_regclass($1) AS name', [SESSION_TABLE]);
+  if (table.rows[0].name) {
+    // Passport keeps the signed-in user's id under sess.passport.user
+    await db.query(
+      `DELETE FROM "${SESSION_TABLE}" WHERE sess->'passport'->>'user' = $1`,
+      [String(userId)]
+    );
+  }
+  await disconnectUser(db, userId);
+};
+
+/**
+ * Set a new password with a reset token. The token is used up, and the user's existing login
+ * tokens, cookie sessions and real-time streams are ended. Returns { userId } or { success: false, status, message }.
+ */
+const resetPassword = async (pool, { token, password }) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return { success: false, status: 400, message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long` };
+  }
+  if (!token || typeof token !== 'string') {
+    return { success: false, status: 400, message: INVALID_LINK };
+  }
+
+  const hashedPassword = await bcrypt.hash(password, 12);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const tokenResult = await client.query(
+      `SELECT id, user_id FROM password_reset_tokens
+       WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+       FOR UPDATE`,
+      [hashToken(token)]
+    );
+    const resetToken = tokenResult.rows[0];
+    if (!resetToken) {
+      await client.query('ROLLBACK');
+      return { success: false, status: 400, message: INVALID_LINK };
+    }
+
+    await client.query(
+      `UPDATE users SET password = $2, session_version = COALESCE(session_version, 0) + 1, updated_at = NOW()
+       WHERE id = $1`,
+      [resetToken.user_id, hashedPassword]
+    );
+    await client.query(
+      'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+      [resetToken.user_id]
+    );
+    await endUserSessions(client, resetToken.user_id);
+
+    await client.query('COMMIT');
+    return { userId: resetToken.user_id };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Delete request records and reset tokens past their retention. Returns how many rows went.
+ */
+const pruneResetRecords = async (db, { retentionDays = RETENTION_DAYS } = {}) => {
+  const requests = await db.query(
+    'DELETE FROM password_reset_requests WHERE created_at < NOW() - make_interval(days => $1)',
+    [retentionDays]
+  );
+  const tokens = await db.query(
+    'DELETE FROM password_reset_tokens WHERE expires_at < NOW() - make_interval(days => $1)',
+    [retentionDays]
+  );
+  return requests.rowCount + tokens.rowCount;
+};
+
+module.exports = {
+  RESET_TOKEN_MINUTES,
+  MAX_REQUESTS_PER_EMAIL,
+  MAX_REQUESTS_PER_IP,
+  hashToken,
+  requestPasswordReset,
+  resetPassword,
+  pruneResetRecords
+};
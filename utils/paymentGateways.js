@@ -0,0 +1,188 @@
+// Payment gateways. Each gateway starts a payment and turns its callback or webhook
+// into { eventId, reference, status, transactionId, failureReason } for utils/payments.js.
+//   mpesa   - STK push, callback authenticated by the token in the callback URL
+//   stripe  - payment intents, webhook signed with STRIPE_WEBHOOK_SECRET
+//   sandbox - local gateway for development and tests, callback signed with PAYMENT_SANDBOX_SECRET;
+//             only available when that secret is set, and never in production
+
+const crypto = require('crypto');
+const {
+  mpesaConfig,
+  stripeConfig,
+  initiateMpesaPayment,
+  createStripePaymentIntent
+} = require('../config/payment');
+
+// Seconds a Stripe signature stays valid, to stop replayed webhooks
+const STRIPE_SIGNATURE_TOLERANCE = 300;
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const signPayload = (secret, payload) =>
+  crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+/**
+ * Check a Stripe-Signature header ("t=<timestamp>,v1=<signature>[,v1=...]") against the raw body
+ */
+const verifyStripeSignature = (rawBody, header, secret, now = Date.now()) => {
+  if (!rawBody || !header || !secret) return false;
+
+  const parts = String(header).split(',').map(part => part.split('='));
+  const timestamp = parts.find(([key]) => key === 't')?.[1];
+  const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+  if (!timestamp || signatures.length === 0) return false;
+  if (Math.abs(now / 1000 - parseInt(timestamp)) > STRIPE_SIGNATURE_TOLERANCE) return false;
+
+  const expected = signPayload(secret, `${timestamp}.${rawBody}`);
+  return signatures.some(signature => safeEqual(signature, expected));
+};
+
+const getSandboxSecret = () => process.env.PAYMENT_SANDBOX_SECRET || null;
+
+// There is deliberately no default secret: one in the repository would let anyone sign a
+// "payment completed" callback on any deploy that forgot to set it
+const isSandboxEnabled = () => process.env.NODE_ENV !== 'production' && Boolean(getSandboxSecret());
+
+const mpesa = {
+  name: 'mpesa',
+
+  initiate: async ({ payment, phoneNumber }) => {
+    if (!phoneNumber) {
+      return { error: 'Phone number is required for M-Pesa payments' };
+    }
+
+    const response = await initiateMpesaPayment(
+      phoneNumber.replace(/[^0-9]/g, ''),
+      parseFloat(payment.charged_amount || payment.amount),
+      `ISG-${payment.id}`,
+      payment.description
+    );
+
+    if (String(response.ResponseCode) !== '0') {
+      return { error: response.errorMessage || response.ResponseDescription || 'M-Pesa request failed', raw: response };
+    }
+
+    return {
+      reference: response.CheckoutRequestID,
+      message: response.CustomerMessage || 'Check your phone to complete the M-Pesa payment',
+      raw: response
+    };
+  },
+
+  verify: (req) => Boolean(mpesaConfig.callbackToken) && safeEqual(req.query.token || '', mpesaConfig.callbackToken),
+
+  parse: (req) => {
+    const callback = req.body?.Body?.stkCallback;
+    if (!callback?.CheckoutRequestID) return null;
+
+    const items = callback.CallbackMetadata?.Item || [];
+    const receipt = items.find(item => item.Name === 'MpesaReceiptNumber')?.Value;
+    const succeeded = Number(callback.ResultCode) === 0;
+
+    return {
+      eventId: callback.CheckoutRequestID,
+      reference: callback.CheckoutRequestID,
+      status: succeeded ? 'completed' : 'failed',
+      transactionId: receipt || null,
+      failureReason: succeeded ? null : callback.ResultDesc
+    };
+  },
+
+  // Safaricom expects this acknowledgement body
+  acknowledge: () => ({ ResultCode: 0, ResultDesc: 'Accepted' })
+};
+
+const stripe = {
+  name: 'stripe',
+
+  initiate: async ({ payment }) => {
+    const intent = await createStripePaymentIntent(parseFloat(payment.charged_amount || payment.amount), payment.charged_currency || payment.currency, {
+      payment_id: payment.id,
+      booking_id: payment.booking_id || ''
+    });
+
+    return {
+      reference: intent.id,
+      clientSecret: intent.client_secret,
+      raw: { id: intent.id, status: intent.status }
+    };
+  },
+
+  verify: (req) => verifyStripeSignature(req.rawBody, req.headers['stripe-signature'], stripeConfig.webhookSecret),
+
+  parse: (req) => {
+    const event = req.body;
+    const intent = event?.data?.object;
+    if (!intent?.id) return null;
+
+    if (event.type === 'payment_intent.succeeded') {
+      return { eventId: event.id, reference: intent.id, status: 'completed', transactionId: intent.latest_charge || intent.id, failureReason: null };
+    }
+    if (event.type === 'payment_intent.payment_failed' || event.type === 'payment_intent.canceled') {
+      return {
+        eventId: event.id,
+        reference: intent.id,
+        status: 'failed',
+        transactionId: null,
+        failureReason: intent.last_payment_error?.message || intent.cancellation_reason || 'Card payment failed'
+      };
+    }
+    // Other event types are acknowledged and ignored
+    return null;
+  },
+
+  acknowledge: () => ({ received: true })
+};
+
+const sandbox = {
+  name: 'sandbox',
+
+  initiate: async () => ({
+    reference: `SANDBOX-${crypto.randomUUID()}`,
+    message: 'Sandbox payment created. Post a signed result to /api/payments/sandbox/callback to settle it.'
+  }),
+
+  verify: (req) => isSandboxEnabled() &&
+    Boolean(req.rawBody) &&
+    safeEqual(req.headers['x-sandbox-signature'] || '', signPayload(getSandboxSecret(), req.rawBody)),
+
+  parse: (req) => {
+    const { eventId, reference, status, transactionId, failureReason } = req.body || {};
+    if (!reference || !['completed', 'failed'].includes(status)) return null;
+
+    return {
+      eventId: eventId || `${reference}:${status}`,
+      reference,
+      status,
+      transactionId: transactionId || (status === 'completed' ? `${reference}-TXN` : null),
+      failureReason: status === 'failed' ? (failureReason || 'Sandbox payment failed') : null
+    };
+  },
+
+  acknowledge: () => ({ received: true })
+};
+
+const GATEWAYS = { mpesa, stripe, sandbox };
+
+/**
+ * Look up a gateway by name. The sandbox is only available when it is enabled.
+ */
+const getGateway = (name) => {
+  if (name === 'sandbox' && !isSandboxEnabled()) return null;
+  return GATEWAYS[name] || null;
+};
+
+module.exports = {
+  GATEWAYS,
+  STRIPE_SIGNATURE_TOLERANCE,
+  getGateway,
+  signPayload,
+  verifyStripeSignature,
+  getSandboxSecret,
+  isSandboxEnabled
+};
@@ -0,0 +1,374 @@
+// Deposit and instalment payment plans.
+// A plan is { depositPercent, instalments: [{ percent, daysBefore }], balanceDaysBefore, graceDays }:
+// the deposit is due when booking, each instalment `daysBefore` days before the booking date and
+// the rest of the price `balanceDaysBefore` days before. A booking whose instalment is still unpaid
+// `graceDays` after it fell due is cancelled under its cancellation policy.
+// Plans apply to bookings made directly; cart checkouts are paid in full by their order.
+
+const { CAPACITY_HOLDING_STATUSES, toDateKey, parseDateKey } = require('./availability');
+const { cancelBooking, getRefundablePayment } = require('./cancellations');
+const { createNotification } = require('./notifications');
+const { releasesCapacity, offerReleasedSeats } = require('./waitlist');
+
+// Days before an instalment falls due that the traveler is reminded
+const INSTALMENT_REMINDER_DAYS = parseInt(process.env.INSTALMENT_REMINDER_DAYS) || 3;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Date key `days` days after (or before, when negative) another date key
+ */
+const shiftDateKey = (dateKey, days) => {
+  const date = parseDateKey(dateKey);
+  date.setDate(date.getDate() + days);
+  return toDateKey(date);
+};
+
+/**
+ * Validate a payment plan from a request body or the database.
+ * Returns { plan } with instalments sorted by daysBefore descending, { plan: null } when the
+ * service is paid in full, or { error }.
+ */
+const normalizePaymentPlan = (plan) => {
+  if (!plan || plan.depositPercent === undefined || plan.depositPercent === null || plan.depositPercent === '') {
+    return { plan: null };
+  }
+
+  const depositPercent = parseFloat(plan.depositPercent);
+  const balanceDaysBefore = parseInt(plan.balanceDaysBefore) || 0;
+  const graceDays = plan.graceDays !== undefined && plan.graceDays !== '' ? parseInt(plan.graceDays) : 0;
+  const instalments = (plan.instalments || []).map(instalment => ({
+    percent: parseFloat(instalment.percent),
+    daysBefore: parseInt(instalment.daysBefore)
+  }));
+
+  if (isNaN(depositPercent) || depositPercent <= 0 || depositPercent >= 100) {
+    return { error: 'The deposit must be more than 0% and less than 100% of the price' };
+  }
+  if (balanceDaysBefore < 0 || isNaN(graceDays) || graceDays < 0) {
+    return { error: 'Balance due days and grace days must be 0 or more' };
+  }
+  if (instalments.some(i => isNaN(i.percent) || i.percent <= 0 || isNaN(i.daysBefore) || i.daysBefore <= balanceDaysBefore)) {
+    return { error: 'Each instalment needs a percent above 0 and falls due before the balance' };
+  }
+  if (new Set(instalments.map(i => i.daysBefore)).size !== instalments.length) {
+    return { error: 'Instalments must fall due on different days' };
+  }
+  if (depositPercent + instalments.reduce((sum, i) => sum + i.percent, 0) >= 100) {
+    return { error: 'The deposit and instalments must leave a balance to pay' };
+  }
+
+  instalments.sort((a, b) => b.daysBefore - a.daysBefore);
+  return { plan: { depositPercent, instalments, balanceDaysBefore, graceDays } };
+};
+
+/**
+ * Split a booking's price into the instalments of its plan. Anything that would already be due
+ * is folded into the deposit, so only the deposit is due today. The last instalment takes the
+ * rounding remainder so the amounts always add up to the total.
+ * Returns [{ sequence, kind, amount, dueDate }], or [] when the booking is simply paid in full.
+ */
+const buildInstalmentSchedule = ({ plan, totalAmount, bookingDate, today = toDateKey(new Date()) }) => {
+  const total = roundMoney(parseFloat(totalAmount) || 0);
+  if (!plan || total <= 0) return [];
+
+  const bookingKey = toDateKey(bookingDate);
+  const parts = [
+    { kind: 'deposit', percent: plan.depositPercent, dueDate: today },
+    ...plan.instalments.map(i => ({ kind: 'instalment', percent: i.percent, dueDate: shiftDateKey(bookingKey, -i.daysBefore) })),
+    {
+      kind: 'balance',
+      percent: 100 - plan.depositPercent - plan.instalments.reduce((sum, i) => sum + i.percent, 0),
+      dueDate: shiftDateKey(bookingKey, -plan.balanceDaysBefore)
+    }
+  ];
+
+  const [deposit, ...later] = parts;
+  const schedule = [{ ...deposit }];
+  later.forEach((part) => {
+    if (part.dueDate <= today) {
+      schedule[0].percent += part.percent;
+    } else {
+      schedule.push(part);
+    }
+  });
+  if (schedule.length === 1) return [];
+
+  let allocated = 0;
+  return schedule.map((part, index) => {
+    const amount = index === schedule.length - 1
+      ? roundMoney(total - allocated)
+      : roundMoney(total * part.percent / 100);
+    allocated = roundMoney(allocated + amount);
+    return { sequence: index + 1, kind: part.kind, amount, dueDate: part.dueDate };
+  });
+};
+
+/**
+ * Payment status of a booking from what has been paid against its total
+ */
+const paymentStatusFor = (paidAmount, totalAmount) => {
+  if (paidAmount >= roundMoney(parseFloat(totalAmount) || 0)) return 'paid';
+  return paidAmount > 0 ? 'partially_paid' : 'pending';
+};
+
+/**
+ * Insert a new booking's instalments. Runs inside the booking transaction.
+ */
+const createInstalments = async (client, booking, schedule) => {
+  const created = [];
+  for (const instalment of schedule) {
+    const result = await client.query(
+      `INSERT INTO booking_instalments (booking_id, sequence, kind, amount, currency, due_date)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [booking.id, instalment.sequence, instalment.kind, instalment.amount, booking.settlement_currency || 'TZS', instalment.dueDate]
+    );
+    created.push(result.rows[0]);
+  }
+  return created;
+};
+
+/**
+ * The unpaid instalment a payment on the booking should cover next, or null
+ */
+const getNextInstalment = async (db, bookingId) => {
+  const result = await db.query(
+    `SELECT * FROM booking_instalments
+     WHERE booking_id = $1 AND status = 'pending'
+     ORDER BY sequence ASC
+     LIMIT 1`,
+    [bookingId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * What a payment on the booking should charge now: its next unpaid instalment, or the whole
+ * balance when the traveler pays in full. Nothing is charged while another payment on the
+ * booking is still pending, even past its expiry: the gateway can still take that money until the
+ * payment is failed, so the same instalment can't be paid twice.
+ * Returns { amount, instalment } or { status, error }.
+ */
+const getAmountDue = async (db, booking, { payInFull = false } = {}) => {
+  const inProgress = await db.query(
+    `SELECT id FROM payments
+     WHERE booking_id = $1 AND payment_status = 'pending'
+     LIMIT 1`,
+    [booking.id]
+  );
+  if (inProgress.rows.length > 0) {
+    return { status: 409, error: 'A payment for this booking is already in progress' };
+  }
+
+  const instalment = payInFull ? null : await getNextInstalment(db, booking.id);
+  if (instalment) {
+    return { amount: parseFloat(instalment.amount), instalment };
+  }
+
+  const { paidAmount } = await getRefundablePayment(db, booking.id);
+  const amount = roundMoney(parseFloat(booking.total_amount) - paidAmount);
+  if (amount <= 0) {
+    return { status: 409, error: 'This booking is already paid' };
+  }
+  return { amount, instalment: null };
+};
+
+/**
+ * Mark what a completed booking payment paid for: its instalment, or every unpaid instalment
+ * when it paid the whole balance. Returns the amount still scheduled on the booking.
+ */
+const settleInstalments = async (client, payment) => {
+  await client.query(
+    `UPDATE booking_instalments
+     SET status = 'paid', payment_id = $2, paid_at = NOW()
+     WHERE booking_id = $1 AND status = 'pending' AND ($3::integer IS NULL OR id = $3)`,
+    [payment.booking_id, payment.id, payment.instalment_id || null]
+  );
+  const remaining = await client.query(
+    `SELECT COALESCE(SUM(amount), 0) AS remaining FROM booking_instalments
+     WHERE booking_id = $1 AND status = 'pending'`,
+    [payment.booking_id]
+  );
+  return parseFloat(remaining.rows[0]?.remaining) || 0;
+};
+
+/**
+ * Fit the unpaid instalments of a plan booking to a new total after an approved change.
+ * The unpaid amounts are rescaled in proportion; a balance with no instalment left to carry it
+ * becomes a new one due today. Returns the booking's payment status, or null when it has no plan.
+ */
+const rescheduleInstalments = async (client, booking, paidAmount, today = toDateKey(new Date())) => {
+  const result = await client.query(
+    'SELECT * FROM booking_instalments WHERE booking_id = $1 ORDER BY sequence ASC',
+    [booking.id]
+  );
+  if (result.rows.length === 0) return null;
+
+  const pending = result.rows.filter(instalment => instalment.status === 'pending');
+  const balance = roundMoney(parseFloat(booking.total_amount) - paidAmount);
+
+  if (balance <= 0) {
+    await client.query(
+      `UPDATE booking_instalments SET status = 'cancelled' WHERE booking_id = $1 AND status = 'pending'`,
+      [booking.id]
+    );
+  } else if (pending.length === 0) {
+    await client.query(
+      `INSERT INTO booking_instalments (booking_id, sequence, kind, amount, currency, due_date)
+       VALUES ($1, $2, 'balance', $3, $4, $5)`,
+      [booking.id, result.rows[result.rows.length - 1].sequence + 1, balance, booking.settlement_currency || 'TZS', today]
+    );
+  } else {
+    const scheduled = pending.reduce((sum, instalment) => sum + parseFloat(instalment.amount), 0);
+    let allocated = 0;
+    for (const [index, instalment] of pending.entries()) {
+      const amount = index === pending.length - 1
+        ? roundMoney(balance - allocated)
+        : roundMoney(balance * parseFloat(instalment.amount) / scheduled);
+      allocated = roundMoney(allocated + amount);
+      await client.query(
+        'UPDATE booking_instalments SET amount = $2, reminder_sent_at = NULL WHERE id = $1',
+        [instalment.id, amount]
+      );
+    }
+  }
+
+  return paymentStatusFor(paidAmount, booking.total_amount);
+};
+
+/**
+ * A booking's instalments with what has been paid and what is due next
+ */
+const getInstalmentSummary = async (db, booking) => {
+  const result = await db.query(
+    'SELECT * FROM booking_instalments WHERE booking_id = $1 ORDER BY sequence ASC',
+    [booking.id]
+  );
+  const instalments = result.rows.map(formatInstalment);
+  const paidAmount = roundMoney(instalments.filter(i => i.status === 'paid').reduce((sum, i) => sum + i.amount, 0));
+  return {
+    plan: booking.payment_plan || null,
+    instalments,
+    totalAmount: parseFloat(booking.total_amount),
+    paidAmount,
+    balance: roundMoney(instalments.filter(i => i.status === 'pending').reduce((sum, i) => sum + i.amount, 0)),
+    nextInstalment: instalments.find(i => i.status === 'pending') || null,
+    currency: booking.settlement_currency || 'TZS'
+  };
+};
+
+/**
+ * Instalment as returned by the API
+ */
+const formatInstalment = (instalment) => ({
+  id: instalment.id,
+  sequence: instalment.sequence,
+  kind: instalment.kind,
+  amount: parseFloat(instalment.amount),
+  currency: instalment.currency,
+  due_date: toDateKey(instalment.due_date),
+  status: instalment.status,
+  payment_id: instalment.payment_id,
+  paid_at: instalment.paid_at
+});
+
+const instalmentLabel = (instalment) =>
+  instalment.kind === 'deposit' ? 'deposit' : instalment.kind === 'balance' ? 'balance' : `instalment ${instalment.sequence}`;
+
+/**
+ * Remind travelers of instalments falling due soon, once per instalment.
+ * Returns the reminded instalments.
+ */
+const sendInstalmentReminders = async (pool, { today = toDateKey(new Date()), reminderDays = INSTALMENT_REMINDER_DAYS } = {}) => {
+  const due = await pool.query(
+    `UPDATE booking_instalments i
+     SET reminder_sent_at = NOW()
+     FROM bookings b, services s
+     WHERE b.id = i.booking_id AND s.id = b.service_id
+       AND i.status = 'pending' AND i.reminder_sent_at IS NULL AND i.sequence > 1
+       AND i.due_date BETWEEN $1::date AND $1::date + $2::integer
+       AND b.status = ANY($3)
+     RETURNING i.*, b.traveler_id, s.title AS service_title`,
+    [today, reminderDays, CAPACITY_HOLDING_STATUSES]
+  );
+
+  for (const instalment of due.rows) {
+    await createNotification(pool, {
+      userId: instalment.traveler_id,
+      type: 'payment_reminder',
+      title: 'Payment due soon',
+      message: `The ${instalmentLabel(instalment)} of ${instalment.currency} ${parseFloat(instalment.amount).toLocaleString()} for ${instalment.service_title} is due on ${toDateKey(instalment.due_date)}.`,
+      data: { bookingId: instalment.booking_id, instalmentId: instalment.id }
+    });
+  }
+
+  return due.rows;
+};
+
+/**
+ * Cancel bookings with an instalment still unpaid once its grace period has passed.
+ * The refund follows the booking's cancellation policy as if the traveler had cancelled.
+ * A booking with a payment pending at the gateway waits for a later run, once that has settled.
+ * Returns the cancellation results.
+ */
+const cancelOverdueBookings = async (pool, { today = toDateKey(new Date()) } = {}) => {
+  const overdue = await pool.query(
+    `SELECT DISTINCT ON (b.id) b.id, b.traveler_id, b.provider_id, i.due_date, s.title AS service_title
+     FROM booking_instalments i
+     JOIN bookings b ON b.id = i.booking_id
+     JOIN services s ON s.id = b.service_id
+     WHERE i.status = 'pending' AND b.status = ANY($2)
+       AND i.due_date + COALESCE((b.payment_plan->>'graceDays')::integer, 0) < $1::date
+       AND NOT EXISTS (SELECT 1 FROM payments p WHERE p.booking_id = b.id AND p.payment_status = 'pending')
+     ORDER BY b.id, i.sequence`,
+    [today, CAPACITY_HOLDING_STATUSES]
+  );
+
+  const cancelled = [];
+  for (const booking of overdue.rows) {
+    const reason = `Payment due on ${toDateKey(booking.due_date)} was not received`;
+    const result = await cancelBooking(pool, { bookingId: booking.id, actor: 'system', reason, refundAs: 'traveler' });
+    if (!result.success) continue;
+    if (releasesCapacity(result.fromStatus, 'cancelled')) {
+      await offerReleasedSeats(pool, result.booking);
+    }
+
+    await createNotification(pool, {
+      userId: booking.traveler_id,
+      type: 'booking_cancelled',
+      title: 'Booking cancelled for non-payment',
+      message: `Your booking for ${booking.service_title} was cancelled because the payment due on ${toDateKey(booking.due_date)} was not received.`,
+      data: { bookingId: booking.id }
+    });
+    const provider = await pool.query('SELECT user_id FROM service_providers WHERE id = $1', [booking.provider_id]);
+    if (provider.rows[0]?.user_id) {
+      await createNotification(pool, {
+        userId: provider.rows[0].user_id,
+        type: 'booking_cancelled',
+        title: 'Booking cancelled for non-payment',
+        message: `Booking #${booking.id} for ${booking.service_title} was cancelled because the traveler did not pay on time.`,
+        data: { bookingId: booking.id }
+      });
+    }
+    cancelled.push(result);
+  }
+
+  return cancelled;
+};
+
+module.exports = {
+  INSTALMENT_REMINDER_DAYS,
+  normalizePaymentPlan,
+  buildInstalmentSchedule,
+  paymentStatusFor,
+  createInstalments,
+  getNextInstalment,
+  getAmountDue,
+  settleInstalments,
+  rescheduleInstalments,
+  getInstalmentSummary,
+  formatInstalment,
+  sendInstalmentReminders,
+  cancelOverdueBookings
+};
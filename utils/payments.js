@@ -0,0 +1,341 @@
+// Payment lifecycle: start a payment through a gateway, apply gateway callbacks
+// idempotently, and fail pending payments the gateway never confirmed.
+
+const { getGateway } = require('./paymentGateways');
+const { recordPayment, recordRefund, getOrderPaymentShares } = require('./ledger');
+const { issueBookingInvoice } = require('./invoices');
+const { settleInstalments } = require('./paymentPlans');
+
+// Minutes a payment may stay pending before it is failed as timed out
+const PAYMENT_TIMEOUT_MINUTES = parseInt(process.env.PAYMENT_TIMEOUT_MINUTES) || 15;
+
+// What providers pay for a premium membership or a featured service, in TZS, per plan.
+// The client chooses a plan; the amount always comes from here.
+const PROMOTION_PLANS = {
+  premium_membership: {
+    monthly: { amount: 75000, months: 1 },
+    quarterly: { amount: 200000, months: 3 },
+    yearly: { amount: 750000, months: 12 }
+  },
+  featured_service: {
+    weekly: { amount: 50000, days: 7 },
+    monthly: { amount: 150000, days: 30 }
+  }
+};
+
+/**
+ * Price and validity of a promotion plan, or null when the payment type has no such plan
+ */
+const getPromotionPlan = (paymentType, duration, now = new Date()) => {
+  const plans = PROMOTION_PLANS[paymentType];
+  if (!plans || !Object.prototype.hasOwnProperty.call(plans, duration)) return null;
+  const plan = plans[duration];
+
+  const validUntil = new Date(now);
+  if (plan.months) validUntil.setMonth(validUntil.getMonth() + plan.months);
+  else validUntil.setDate(validUntil.getDate() + plan.days);
+
+  return { duration, amount: plan.amount, currency: 'TZS', validUntil };
+};
+
+/**
+ * Payment as returned by the API
+ */
+const formatPayment = (p) => ({
+  id: p.id,
+  payment_type: p.payment_type,
+  amount: parseFloat(p.amount),
+  currency: p.currency,
+  charged_amount: p.charged_amount !== null && p.charged_amount !== undefined ? parseFloat(p.charged_amount) : parseFloat(p.amount),
+  charged_currency: p.charged_currency || p.currency,
+  gateway: p.gateway,
+  payment_method: p.payment_method,
+  payment_status: p.payment_status,
+  transaction_id: p.transaction_id,
+  failure_reason: p.failure_reason,
+  description: p.description,
+  booking_id: p.booking_id,
+  order_id: p.order_id,
+  service_id: p.service_id,
+  provider_id: p.provider_id,
+  paid_at: p.paid_at,
+  valid_until: p.valid_until,
+  expires_at: p.expires_at,
+  created_at: p.created_at
+});
+
+/**
+ * Insert a pending gateway payment without contacting the gateway, so it can be created inside
+ * a larger transaction. `amount` and `currency` are what the payment settles as; the gateway
+ * collects `chargedAmount` in `chargedCurrency` when given.
+ */
+const createPayment = async (db, {
+  gateway, userId, paymentType, amount, currency = 'TZS',
+  chargedAmount = null, chargedCurrency = null, exchangeRate = null,
+  bookingId = null, orderId = null, instalmentId = null, serviceId = null, providerId = null, description = null,
+  validUntil = null
+}) => {
+  const created = await db.query(
+    `INSERT INTO payments (
+       user_id, provider_id, service_id, booking_id, order_id, payment_type, amount, currency,
+       payment_method, payment_status, description, gateway, expires_at,
+       charged_amount, charged_currency, exchange_rate, instalment_id, valid_until
+     )
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'pending', $10, $9, NOW() + ($11 || ' minutes')::interval, $12, $13, $14, $15, $16)
+     RETURNING *`,
+    [userId, providerId, serviceId, bookingId, orderId, paymentType, amount, currency, gateway, description, String(PAYMENT_TIMEOUT_MINUTES),
+      chargedAmount || amount, chargedCurrency || currency, exchangeRate || 1, instalmentId, validUntil]
+  );
+  return created.rows[0];
+};
+
+/**
+ * Start a pending payment with its gateway. Call after the payment row is committed.
+ * Returns { success: true, payment, clientSecret?, message } or { success: false, status, message }.
+ */
+const initiatePayment = async (db, payment, { phoneNumber = null } = {}) => {
+  const gateway = getGateway(payment.gateway);
+
+  let started;
+  try {
+    started = await gateway.initiate({ payment, phoneNumber });
+  } catch (error) {
+    started = { error: error.message };
+  }
+
+  if (started.error) {
+    await db.query(
+      `UPDATE payments SET payment_status = 'failed', failure_reason = $1, gateway_response = $2 WHERE id = $3`,
+      [started.error, started.raw ? JSON.stringify(started.raw) : null, payment.id]
+    );
+    return { success: false, status: 502, message: started.error };
+  }
+
+  const updated = await db.query(
+    `UPDATE payments SET gateway_reference = $1, gateway_response = $2 WHERE id = $3 RETURNING *`,
+    [started.reference, started.raw ? JSON.stringify(started.raw) : null, payment.id]
+  );
+
+  return {
+    success: true,
+    payment: updated.rows[0],
+    clientSecret: started.clientSecret || null,
+    message: started.message || 'Payment started'
+  };
+};
+
+/**
+ * Create a pending payment and start it with the gateway.
+ * Returns { success: true, payment, clientSecret?, message } or { success: false, status, message }.
+ */
+const startPayment = async (pool, { phoneNumber = null, ...details }) => {
+  const gateway = getGateway(details.gateway);
+  if (!gateway) {
+    return { success: false, status: 400, message: `Unsupported payment gateway: ${details.gateway}` };
+  }
+
+  const payment = await createPayment(pool, { ...details, gateway: gateway.name });
+  return initiatePayment(pool, payment, { phoneNumber });
+};
+
+/**
+ * Whether a gateway result may change a payment in its current status.
+ * A success that arrives after a timeout still counts: the gateway has taken the money.
+ */
+const canApplyResult = (currentStatus, resultStatus) =>
+  currentStatus === 'pending' || (currentStatus === 'failed' && resultStatus === 'completed');
+
+/**
+ * Refund `amount` of a completed payment in full to the traveler and post it to the ledger.
+ * `booking` supplies the provider and fee breakdown the refund is split by.
+ */
+const refundPayment = async (db, payment, booking, amount, reason) => {
+  const refundResult = await db.query(
+    `INSERT INTO refunds (booking_id, payment_id, amount, currency, refund_percent, reason)
+     VALUES ($1, $2, $3, $4, 100, $5)
+     RETURNING *`,
+    [booking.id, payment.id, amount, payment.currency || 'TZS', reason]
+  );
+  await recordRefund(db, refundResult.rows[0], booking);
+  return refundResult.rows[0];
+};
+
+/**
+ * Refund in full the share of an order payment that belongs to bookings cancelled while the
+ * payment was in flight. Nothing was paid when they were cancelled, so no refund was made then.
+ */
+const refundCancelledShares = async (db, payment) => {
+  const shares = await getOrderPaymentShares(db, payment);
+  for (const { booking, amount } of shares) {
+    if (booking.status !== 'cancelled' || amount <= 0) continue;
+
+    await refundPayment(db, payment, booking, amount, 'Booking was cancelled before its order was paid');
+    await db.query(`UPDATE bookings SET payment_status = 'refunded', updated_at = NOW() WHERE id = $1`, [booking.id]);
+  }
+};
+
+/**
+ * Apply a completed payment to its booking. A payment that completes after the booking was
+ * cancelled, or after what it was for was paid by another payment (a late success on one that
+ * had timed out), is refunded in full and leaves the booking as it was.
+ */
+const settleBookingPayment = async (client, payment) => {
+  const bookingResult = await client.query('SELECT * FROM bookings WHERE id = $1 FOR UPDATE', [payment.booking_id]);
+  const booking = bookingResult.rows[0];
+  if (!booking) return;
+
+  if (booking.status === 'cancelled') {
+    await refundPayment(client, payment, booking, parseFloat(payment.amount), 'Booking was cancelled before the payment went through');
+    return;
+  }
+
+  let alreadyPaid = ['paid', 'refunded'].includes(booking.payment_status);
+  if (!alreadyPaid && payment.instalment_id) {
+    const instalment = await client.query('SELECT status FROM booking_instalments WHERE id = $1', [payment.instalment_id]);
+    alreadyPaid = instalment.rows[0]?.status === 'paid';
+  }
+  if (alreadyPaid) {
+    await refundPayment(client, payment, booking, parseFloat(payment.amount), 'Duplicate payment: the booking was already paid');
+    return;
+  }
+
+  // A booking on a payment plan is only paid once its last instalment is in
+  const remaining = await settleInstalments(client, payment);
+  if (remaining > 0) {
+    await client.query(
+      `UPDATE bookings SET payment_status = 'partially_paid', updated_at = NOW()
+       WHERE id = $1 AND payment_status = 'pending'`,
+      [payment.booking_id]
+    );
+  } else {
+    await client.query(
+      `UPDATE bookings SET payment_status = 'paid', updated_at = NOW()
+       WHERE id = $1 AND payment_status IN ('pending', 'partially_paid')`,
+      [payment.booking_id]
+    );
+    await issueBookingInvoice(client, payment.booking_id);
+  }
+};
+
+/**
+ * Apply a completed cart checkout payment: it pays every booking in the order that is still going
+ * ahead. A late success on an order another payment already paid is refunded in full.
+ */
+const settleOrderPayment = async (client, payment) => {
+  const orderResult = await client.query('SELECT status FROM orders WHERE id = $1 FOR UPDATE', [payment.order_id]);
+  if (orderResult.rows[0]?.status === 'paid') {
+    const shares = await getOrderPaymentShares(client, payment);
+    for (const { booking, amount } of shares) {
+      if (amount > 0) await refundPayment(client, payment, booking, amount, 'Duplicate payment: the order was already paid');
+    }
+    return;
+  }
+
+  await client.query(`UPDATE orders SET status = 'paid' WHERE id = $1 AND status = 'pending'`, [payment.order_id]);
+  const paid = await client.query(
+    `UPDATE bookings SET payment_status = 'paid', updated_at = NOW()
+     WHERE order_id = $1 AND payment_status = 'pending' AND status <> 'cancelled'
+     RETURNING id`,
+    [payment.order_id]
+  );
+  for (const booking of paid.rows) {
+    await issueBookingInvoice(client, booking.id);
+  }
+  await refundCancelledShares(client, payment);
+};
+
+/**
+ * Apply a parsed gateway callback. Safe to call repeatedly with the same event.
+ * Returns { success: true, payment, duplicate?, unchanged? } or { success: false, status, message }.
+ */
+const applyGatewayResult = async (pool, gatewayName, result) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const event = await client.query(
+      `INSERT INTO payment_gateway_events (gateway, event_id, payload)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (gateway, event_id) DO NOTHING
+       RETURNING id`,
+      [gatewayName, result.eventId, JSON.stringify(result)]
+    );
+    if (event.rows.length === 0) {
+      await client.query('COMMIT');
+      return { success: true, duplicate: true };
+    }
+
+    const paymentResult = await client.query(
+      'SELECT * FROM payments WHERE gateway = $1 AND gateway_reference = $2 FOR UPDATE',
+      [gatewayName, result.reference]
+    );
+    const payment = paymentResult.rows[0];
+    if (!payment) {
+      await client.query('ROLLBACK');
+      return { success: false, status: 404, message: 'Payment not found' };
+    }
+
+    await client.query('UPDATE payment_gateway_events SET payment_id = $1 WHERE id = $2', [payment.id, event.rows[0].id]);
+
+    if (!canApplyResult(payment.payment_status, result.status)) {
+      await client.query('COMMIT');
+      return { success: true, payment, unchanged: true };
+    }
+
+    const updated = await client.query(
+      `UPDATE payments
+       SET payment_status = $1,
+           transaction_id = COALESCE($2, transaction_id),
+           failure_reason = $3,
+           paid_at = CASE WHEN $4 THEN NOW() ELSE paid_at END
+       WHERE id = $5
+       RETURNING *`,
+      [result.status, result.transactionId, result.failureReason, result.status === 'completed', payment.id]
+    );
+
+    if (result.status === 'completed') {
+      await recordPayment(client, updated.rows[0]);
+
+      if (payment.booking_id) {
+        await settleBookingPayment(client, updated.rows[0]);
+      }
+      if (payment.order_id) {
+        await settleOrderPayment(client, updated.rows[0]);
+      }
+    }
+
+    await client.query('COMMIT');
+    return { success: true, payment: updated.rows[0] };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Fail gateway payments still pending after their expiry. Returns the ids that timed out.
+ */
+const expireStalePayments = async (db) => {
+  const result = await db.query(
+    `UPDATE payments
+     SET payment_status = 'failed', failure_reason = 'Payment timed out'
+     WHERE payment_status = 'pending' AND gateway IS NOT NULL AND expires_at < NOW()
+     RETURNING id`
+  );
+  return result.rows.map(row => row.id);
+};
+
+module.exports = {
+  PAYMENT_TIMEOUT_MINUTES,
+  PROMOTION_PLANS,
+  getPromotionPlan,
+  formatPayment,
+  createPayment,
+  initiatePayment,
+  startPayment,
+  canApplyResult,
+  applyGatewayResult,
+  expireStalePayments
+};
@@ -0,0 +1,96 @@
+// Minimal PDF writer for generated documents such as invoices. Supports text in the
+// standard Helvetica fonts, straight lines and filled rectangles on A4 pages, which is all
+// our documents need, without pulling in a PDF library.
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+const FONTS = { regular: 'F1', bold: 'F2' };
+
+// Helvetica glyph widths (per 1000 units) for the characters that matter when right-aligning amounts
+const NARROW = { ' ': 278, ',': 278, '.': 278, ':': 278, '-': 333, '(': 333, ')': 333, '/': 278, 'I': 278, 'i': 222, 'l': 222 };
+
+/**
+ * Approximate width of a line of text in points
+ */
+const textWidth = (text, size) =>
+  String(text).split('').reduce((width, char) => width + (NARROW[char] || (/[0-9]/.test(char) ? 556 : 600)), 0) * size / 1000;
+
+// Standard fonts use WinAnsi encoding; characters outside Latin-1 can't be shown
+const escapeText = (text) => String(text)
+  .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?')
+  .replace(/\\/g, '\\\\')
+  .replace(/\(/g, '\\(')
+  .replace(/\)/g, '\\)');
+
+const formatNumber = (value) => Number(value.toFixed(2)).toString();
+
+const renderOperation = (op) => {
+  if (op.type === 'line') {
+    return `${op.width || 0.5} w ${formatNumber(op.x1)} ${formatNumber(op.y1)} m ${formatNumber(op.x2)} ${formatNumber(op.y2)} l S`;
+  }
+  if (op.type === 'rect') {
+    const colour = op.colour ? op.colour.join(' ') : '0 0 0';
+    return `${colour} rg ${formatNumber(op.x)} ${formatNumber(op.y)} ${formatNumber(op.width)} ${formatNumber(op.height)} re f`;
+  }
+
+  const size = op.size || 10;
+  const x = op.align === 'right' ? op.x - textWidth(op.text, size) : op.x;
+  const colour = op.colour ? `${op.colour.join(' ')} rg ` : '0 0 0 rg ';
+  return `BT ${colour}/${FONTS[op.font] || FONTS.regular} ${size} Tf ${formatNumber(x)} ${formatNumber(op.y)} Td (${escapeText(op.text)}) Tj ET`;
+};
+
+/**
+ * Build a PDF from a list of pages, each a list of drawing operations:
+ *   { type: 'text', x, y, text, size, font: 'regular' | 'bold', align: 'left' | 'right', colour: [r, g, b] }
+ *   { type: 'line', x1, y1, x2, y2, width }
+ *   { type: 'rect', x, y, width, height, colour: [r, g, b] } (filled)
+ * Coordinates are in points from the bottom-left corner. Returns a Buffer.
+ */
+const createPdf = (pages, { title } = {}) => {
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const regularFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const boldFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+  const infoId = addObject(`<< /Producer (iSafari Global)${title ? ` /Title (${escapeText(title)})` : ''} >>`);
+
+  const pageIds = pages.map((operations) => {
+    const content = operations.map(renderOperation).join('\n');
+    const contentId = addObject(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+    return addObject(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /${FONTS.regular} ${regularFontId} 0 R /${FONTS.bold} ${boldFontId} 0 R >> >> ` +
+      `/Contents ${contentId} 0 R >>`
+    );
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  let output = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(output, 'latin1');
+    output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(output, 'latin1');
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+};
+
+module.exports = {
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  textWidth,
+  createPdf
+};
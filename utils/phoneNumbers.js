@@ -0,0 +1,64 @@
+// Mobile numbers for text messages, normalised to E.164 (+255712345678). Numbers are accepted
+// the way people type them — "0712 345 678", "255712345678", "+255 712-345-678", "00255..." —
+// for Tanzania and its neighbours. Local numbers without a country code are read as Tanzanian
+// unless another default country is given.
+
+// Country code, national number length (without the trunk 0) and the digits mobile numbers start with
+const COUNTRIES = {
+  TZ: { code: '255', length: 9, mobilePrefixes: ['6', '7'] },
+  KE: { code: '254', length: 9, mobilePrefixes: ['1', '7'] },
+  UG: { code: '256', length: 9, mobilePrefixes: ['7'] },
+  RW: { code: '250', length: 9, mobilePrefixes: ['7'] },
+  BI: { code: '257', length: 8, mobilePrefixes: ['6', '7'] },
+  CD: { code: '243', length: 9, mobilePrefixes: ['8', '9'] },
+  ZM: { code: '260', length: 9, mobilePrefixes: ['7', '9'] },
+  MW: { code: '265', length: 9, mobilePrefixes: ['8', '9'] },
+  MZ: { code: '258', length: 9, mobilePrefixes: ['8'] }
+};
+
+const DEFAULT_COUNTRY = 'TZ';
+
+const isMobile = (country, national) =>
+  national.length === country.length && country.mobilePrefixes.includes(national[0]);
+
+/**
+ * The E.164 form of a mobile number from a supported country, or null if it isn't one
+ */
+const normalizePhoneNumber = (input, { defaultCountry = DEFAULT_COUNTRY } = {}) => {
+  if (input === null || input === undefined) return null;
+  const raw = String(input).trim();
+  if (!/^\+?[\d\s\-().]+$/.test(raw)) return null;
+
+  let digits = raw.replace(/\D/g, '');
+  const international = raw.startsWith('+') || digits.startsWith('00');
+  if (digits.startsWith('00')) digits = digits.slice(2);
+
+  // With a country code: "+255...", "00255..." or "255..."
+  for (const country of Object.values(COUNTRIES)) {
+    if (digits.startsWith(country.code)) {
+      let national = digits.slice(country.code.length);
+      // "+255 0712..." is a common mix-up
+      if (national.length === country.length + 1 && national.startsWith('0')) national = national.slice(1);
+      if (isMobile(country, national)) return `+${country.code}${national}`;
+    }
+  }
+  if (international) return null;
+
+  // A local number in the default country: "0712345678" or "712345678"
+  const country = COUNTRIES[defaultCountry];
+  if (!country) return null;
+  const national = digits.startsWith('0') ? digits.slice(1) : digits;
+  return isMobile(country, national) ? `+${country.code}${national}` : null;
+};
+
+/**
+ * The supported country a normalised number belongs to, e.g. 'KE'
+ */
+const phoneCountry = (e164) =>
+  Object.keys(COUNTRIES).find(key => String(e164 || '').startsWith(`+${COUNTRIES[key].code}`)) || null;
+
+module.exports = {
+  COUNTRIES,
+  normalizePhoneNumber,
+  phoneCountry
+};
@@ -0,0 +1,168 @@
+// Expiry of pre-orders nobody acts on: drafts the traveler never submits and requests the
+// provider never answers. Thresholds are admin settings kept in system_settings.
+
+const { transitionBooking } = require('./bookingStateMachine');
+const { cancelBooking } = require('./cancellations');
+const { createNotification } = require('./notifications');
+const { releasesCapacity, offerReleasedSeats } = require('./waitlist');
+
+const EXPIRY_SETTINGS_KEY = 'pre_order_expiry';
+
+const DEFAULT_EXPIRY_SETTINGS = {
+  draftExpiryDays: 7,
+  providerResponseHours: 48
+};
+
+const LIMITS = {
+  draftExpiryDays: { min: 1, max: 365, label: 'Draft expiry' },
+  providerResponseHours: { min: 1, max: 720, label: 'Provider response time' }
+};
+
+/**
+ * Validate expiry thresholds from the admin form. Missing fields keep their defaults.
+ * Returns { settings } or { error }.
+ */
+const normalizeExpirySettings = (input = {}) => {
+  const settings = { ...DEFAULT_EXPIRY_SETTINGS };
+
+  for (const [field, { min, max, label }] of Object.entries(LIMITS)) {
+    const raw = input?.[field];
+    if (raw === undefined || raw === null || raw === '') continue;
+
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { error: `${label} must be a whole number between ${min} and ${max}` };
+    }
+    settings[field] = value;
+  }
+
+  return { settings };
+};
+
+const getExpirySettings = async (db) => {
+  const result = await db.query('SELECT setting_value FROM system_settings WHERE setting_key = $1', [EXPIRY_SETTINGS_KEY]);
+  const { settings } = normalizeExpirySettings(result.rows[0]?.setting_value);
+  return settings || { ...DEFAULT_EXPIRY_SETTINGS };
+};
+
+const saveExpirySettings = async (db, settings) => {
+  await db.query(
+    `INSERT INTO system_settings (setting_key, setting_value)
+     VALUES ($1, $2)
+     ON CONFLICT (setting_key) DO UPDATE SET setting_value = $2, updated_at = NOW()`,
+    [EXPIRY_SETTINGS_KEY, JSON.stringify(settings)]
+  );
+  return settings;
+};
+
+// When a booking was last handed to its provider: the latest move to pending, or its creation
+const PENDING_SINCE = `COALESCE(
+  (SELECT MAX(h.created_at) FROM booking_status_history h WHERE h.booking_id = b.id AND h.to_status = 'pending'),
+  b.created_at
+)`;
+
+/**
+ * When the provider has to answer a pending booking by, for showing to the traveler
+ */
+const responseDueAt = (pendingSince, settings) =>
+  new Date(new Date(pendingSince).getTime() + settings.providerResponseHours * 60 * 60 * 1000);
+
+/**
+ * Cancel drafts left untouched for longer than the draft expiry. Drafts hold no capacity
+ * and the provider never saw them, so only the traveler is told.
+ */
+const expireStaleDrafts = async (pool, { settings } = {}) => {
+  const { draftExpiryDays } = settings || await getExpirySettings(pool);
+  const stale = await pool.query(
+    `SELECT b.id, b.traveler_id, s.title AS service_title
+     FROM bookings b
+     LEFT JOIN services s ON s.id = b.service_id
+     WHERE b.status = 'draft' AND b.updated_at < NOW() - make_interval(days => $1)`,
+    [draftExpiryDays]
+  );
+
+  const expired = [];
+  for (const booking of stale.rows) {
+    const result = await transitionBooking(pool, {
+      bookingId: booking.id,
+      toStatus: 'cancelled',
+      actor: 'system',
+      reason: `Draft not submitted within ${draftExpiryDays} days`
+    });
+    if (!result.success) continue;
+
+    await createNotification(pool, {
+      userId: booking.traveler_id,
+      type: 'booking_expired',
+      title: 'Draft pre-order expired',
+      message: `Your draft pre-order for ${booking.service_title || 'a service'} was removed because it was not submitted within ${draftExpiryDays} days.`,
+      data: { bookingId: booking.id }
+    });
+    expired.push(result.booking);
+  }
+
+  return expired;
+};
+
+/**
+ * Decline pending requests the provider has not answered within the response time. Anything
+ * paid is refunded in full, the seats go to the waitlist and both parties are told.
+ */
+const declineUnansweredRequests = async (pool, { settings } = {}) => {
+  const { providerResponseHours } = settings || await getExpirySettings(pool);
+  const unanswered = await pool.query(
+    `SELECT b.id, b.traveler_id, sp.user_id AS provider_user_id, s.title AS service_title
+     FROM bookings b
+     LEFT JOIN services s ON s.id = b.service_id
+     LEFT JOIN service_providers sp ON sp.id = b.provider_id
+     WHERE b.status = 'pending' AND ${PENDING_SINCE} < NOW() - make_interval(hours => $1)`,
+    [providerResponseHours]
+  );
+
+  const declined = [];
+  for (const booking of unanswered.rows) {
+    const result = await cancelBooking(pool, {
+      bookingId: booking.id,
+      actor: 'system',
+      reason: `Provider did not respond within ${providerResponseHours} hours`
+    });
+    if (!result.success) continue;
+    if (releasesCapacity(result.fromStatus, 'cancelled')) {
+      await offerReleasedSeats(pool, result.booking);
+    }
+
+    const serviceTitle = booking.service_title || 'a service';
+    await createNotification(pool, {
+      userId: booking.traveler_id,
+      type: 'booking_expired',
+      title: 'Pre-order not answered',
+      message: result.refund
+        ? `The provider did not respond to your pre-order for ${serviceTitle} in time, so it was declined. Your ${result.refund.currency} ${parseFloat(result.refund.amount).toLocaleString()} will be refunded.`
+        : `The provider did not respond to your pre-order for ${serviceTitle} in time, so it was declined.`,
+      data: { bookingId: booking.id }
+    });
+    if (booking.provider_user_id) {
+      await createNotification(pool, {
+        userId: booking.provider_user_id,
+        type: 'booking_expired',
+        title: 'Pre-order declined automatically',
+        message: `Booking #${booking.id} for ${serviceTitle} was declined because it was not answered within ${providerResponseHours} hours.`,
+        data: { bookingId: booking.id }
+      });
+    }
+    declined.push(result);
+  }
+
+  return declined;
+};
+
+module.exports = {
+  DEFAULT_EXPIRY_SETTINGS,
+  PENDING_SINCE,
+  normalizeExpirySettings,
+  getExpirySettings,
+  saveExpirySettings,
+  responseDueAt,
+  expireStaleDrafts,
+  declineUnansweredRequests
+};
@@ -0,0 +1,306 @@
+// Promo codes for discount campaigns. Admins create platform-wide codes; providers create
+// codes limited to their own services. A code takes a percentage or a fixed amount off the
+// items it covers (optionally one service, category or region), within its validity window,
+// above a minimum spend, and up to a global and a per-traveler number of uses.
+// The discount comes off the booking total. A provider's own code comes out of their earnings;
+// a platform-wide code is a platform expense, recorded on the booking's fee breakdown so the
+// ledger still pays the provider their share of the undiscounted price.
+
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+const optionalInt = (value) => (value === undefined || value === null || value === '' ? null : parseInt(value));
+
+/**
+ * Validate a promo code from a request body. Returns { promo } in column form, or { error }.
+ * Provider codes are always limited to that provider's services.
+ */
+const validatePromoCode = (body, { providerId = null } = {}) => {
+  const code = normalizeCode(body.code);
+  const discountValue = parseFloat(body.discountValue);
+  const minSpend = body.minSpend === undefined || body.minSpend === '' ? 0 : parseFloat(body.minSpend);
+  const maxUses = optionalInt(body.maxUses);
+  const maxUsesPerUser = body.maxUsesPerUser === undefined ? 1 : optionalInt(body.maxUsesPerUser);
+
+  if (!/^[A-Z0-9_-]{3,30}$/.test(code)) {
+    return { error: 'Code must be 3 to 30 letters, numbers, dashes or underscores' };
+  }
+  if (!DISCOUNT_TYPES.includes(body.discountType)) {
+    return { error: `Discount type must be one of ${DISCOUNT_TYPES.join(', ')}` };
+  }
+  if (isNaN(discountValue) || discountValue <= 0) {
+    return { error: 'Discount must be greater than zero' };
+  }
+  if (body.discountType === 'percentage' && discountValue > 100) {
+    return { error: 'A percentage discount cannot be more than 100%' };
+  }
+  if (isNaN(minSpend) || minSpend < 0) {
+    return { error: 'Minimum spend cannot be negative' };
+  }
+  if (maxUses !== null && (isNaN(maxUses) || maxUses < 1)) {
+    return { error: 'Total uses must be at least 1' };
+  }
+  if (maxUsesPerUser !== null && (isNaN(maxUsesPerUser) || maxUsesPerUser < 1)) {
+    return { error: 'Uses per traveler must be at least 1' };
+  }
+  if (!body.validFrom || isNaN(new Date(body.validFrom).getTime())) {
+    return { error: 'Start date is required' };
+  }
+  if (body.validUntil && (isNaN(new Date(body.validUntil).getTime()) || new Date(body.validUntil) < new Date(body.validFrom))) {
+    return { error: 'End date must be after the start date' };
+  }
+
+  return {
+    promo: {
+      code,
+      campaign: body.campaign ? String(body.campaign).trim() : null,
+      description: body.description || null,
+      discount_type: body.discountType,
+      discount_value: discountValue,
+      currency: body.currency || 'TZS',
+      provider_id: providerId,
+      service_id: optionalInt(body.serviceId),
+      category: body.category || null,
+      region: body.region || null,
+      min_spend: minSpend,
+      max_uses: maxUses,
+      max_uses_per_user: maxUsesPerUser,
+      valid_from: new Date(body.validFrom),
+      valid_until: body.validUntil ? new Date(body.validUntil) : null,
+      is_active: body.isActive !== false
+    }
+  };
+};
+
+/**
+ * Whether a code covers an item. `item` has the service's id, provider, category and region.
+ */
+const coversItem = (promo, item) =>
+  (!promo.provider_id || promo.provider_id === item.providerId) &&
+  (!promo.service_id || promo.service_id === item.serviceId) &&
+  (!promo.category || String(promo.category).toLowerCase() === String(item.category || '').toLowerCase()) &&
+  (!promo.region || String(promo.region).toLowerCase() === String(item.region || '').toLowerCase());
+
+/**
+ * Why a code can't be used right now, or null when it can
+ */
+const usageError = (promo, { now = new Date(), totalUses = 0, userUses = 0 } = {}) => {
+  if (!promo || promo.is_active === false) return 'This promo code is not valid';
+  if (new Date(promo.valid_from) > now) return 'This promo code is not active yet';
+  if (promo.valid_until && new Date(promo.valid_until) < now) return 'This promo code has expired';
+  if (promo.max_uses !== null && promo.max_uses !== undefined && totalUses >= promo.max_uses) {
+    return 'This promo code has been fully redeemed';
+  }
+  if (promo.max_uses_per_user !== null && promo.max_uses_per_user !== undefined && userUses >= promo.max_uses_per_user) {
+    return 'You have already used this promo code';
+  }
+  return null;
+};
+
+/**
+ * Discount a code gives on a set of items, each { amount, serviceId, providerId, category, region }
+ * in `currency`. A fixed discount is shared across covered items in proportion to their amounts.
+ * Returns { discount, allocations } with one amount per item, or { error }.
+ */
+const computeDiscount = (promo, items, currency) => {
+  const covered = items.map(item => coversItem(promo, item));
+  const eligibleSubtotal = roundMoney(items.reduce((sum, item, i) => sum + (covered[i] ? item.amount : 0), 0));
+
+  if (eligibleSubtotal <= 0) {
+    return { error: 'This promo code does not apply to these services' };
+  }
+  const usesAmounts = promo.discount_type === 'fixed' || parseFloat(promo.min_spend) > 0;
+  if (usesAmounts && (promo.currency || 'TZS') !== currency) {
+    return { error: `This promo code only applies to prices in ${promo.currency}` };
+  }
+  if (eligibleSubtotal < parseFloat(promo.min_spend || 0)) {
+    return { error: `Spend at least ${promo.currency} ${parseFloat(promo.min_spend).toLocaleString('en-US')} to use this promo code` };
+  }
+
+  const value = parseFloat(promo.discount_value);
+  const discount = promo.discount_type === 'percentage'
+    ? roundMoney(eligibleSubtotal * value / 100)
+    : roundMoney(Math.min(value, eligibleSubtotal));
+
+  // Split in proportion, giving the rounding remainder to the last covered item
+  const lastCovered = covered.lastIndexOf(true);
+  let allocated = 0;
+  const allocations = items.map((item, i) => {
+    if (!covered[i]) return 0;
+    if (i === lastCovered) return roundMoney(discount - allocated);
+    const share = roundMoney(discount * item.amount / eligibleSubtotal);
+    allocated = roundMoney(allocated + share);
+    return share;
+  });
+
+  return { discount, allocations };
+};
+
+/**
+ * Look up a code and work out its discount for a user's items inside an open transaction.
+ * The code row is locked so concurrent checkouts can't both take its last use.
+ * Returns { promo, discount, allocations } or { error }.
+ */
+const applyPromoCode = async (client, { code, userId, items, currency, now = new Date() }) => {
+  const result = await client.query('SELECT * FROM promo_codes WHERE code = $1 FOR UPDATE', [normalizeCode(code)]);
+  const promo = result.rows[0];
+
+  const uses = promo ? await client.query(
+    `SELECT COUNT(*) AS total, COUNT(*) FILTER (WHERE user_id = $2) AS mine
+     FROM promo_redemptions WHERE promo_code_id = $1 AND status = 'applied'`,
+    [promo.id, userId]
+  ) : null;
+
+  const error = usageError(promo, {
+    now,
+    totalUses: uses ? parseInt(uses.rows[0].total) : 0,
+    userUses: uses ? parseInt(uses.rows[0].mine) : 0
+  });
+  if (error) return { error };
+
+  const discount = computeDiscount(promo, items, currency);
+  if (discount.error) return { error: discount.error };
+
+  return { promo, ...discount };
+};
+
+/**
+ * Item shape computeDiscount expects, from a services row and the amount being charged for it
+ */
+const toPromoItem = (service, amount) => ({
+  amount,
+  serviceId: service.id,
+  providerId: service.provider_id,
+  category: service.category,
+  region: service.region
+});
+
+/**
+ * How much of a discount the platform pays for: all of it for a platform-wide code, none for a
+ * provider's own code
+ */
+const platformDiscount = (promo, discount) => (promo && !promo.provider_id ? roundMoney(discount || 0) : 0);
+
+const PROMO_COLUMNS = [
+  'campaign', 'description', 'discount_type', 'discount_value', 'currency', 'provider_id', 'service_id',
+  'category', 'region', 'min_spend', 'max_uses', 'max_uses_per_user', 'valid_from', 'valid_until', 'is_active'
+];
+
+/**
+ * Insert a validated code. Returns null when the code is already taken.
+ */
+const createPromoCode = async (db, promo, createdBy = null) => {
+  const columns = ['code', ...PROMO_COLUMNS, 'created_by'];
+  const result = await db.query(
+    `INSERT INTO promo_codes (${columns.join(', ')})
+     VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+     ON CONFLICT (code) DO NOTHING
+     RETURNING *`,
+    [promo.code, ...PROMO_COLUMNS.map(column => promo[column]), createdBy]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Update a code's terms. The code itself never changes, so travelers who were given it can still use it.
+ */
+const updatePromoCode = async (db, id, promo) => {
+  const result = await db.query(
+    `UPDATE promo_codes
+     SET ${PROMO_COLUMNS.map((column, i) => `${column} = $${i + 1}`).join(', ')}
+     WHERE id = $${PROMO_COLUMNS.length + 1}
+     RETURNING *`,
+    [...PROMO_COLUMNS.map(column => promo[column]), id]
+  );
+  return result.rows[0] || null;
+};
+
+const recordRedemption = async (db, { promo, userId, bookingId = null, orderId = null, discount, currency }) => {
+  const result = await db.query(
+    `INSERT INTO promo_redemptions (promo_code_id, user_id, booking_id, order_id, discount_amount, currency)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [promo.id, userId, bookingId, orderId, discount, currency]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Redemptions per code: uses, travelers, discount given and the booking value it brought in.
+ * Pass providerId to report on one provider's codes.
+ */
+const getRedemptionReport = async (db, { providerId = null } = {}) => {
+  const params = [];
+  let filter = '';
+  if (providerId) {
+    params.push(providerId);
+    filter = 'WHERE pc.provider_id = $1';
+  }
+
+  const result = await db.query(
+    `SELECT pc.*,
+            COUNT(r.id) FILTER (WHERE r.status = 'applied') AS redemptions,
+            COUNT(DISTINCT r.user_id) FILTER (WHERE r.status = 'applied') AS travelers,
+            COALESCE(SUM(r.discount_amount) FILTER (WHERE r.status = 'applied'), 0) AS discount_given,
+            COALESCE((SELECT SUM(b.total_amount) FROM bookings b WHERE b.promo_code_id = pc.id AND b.status <> 'cancelled'), 0) AS booking_value,
+            COALESCE((SELECT COUNT(*) FROM bookings b WHERE b.promo_code_id = pc.id AND b.payment_status = 'paid'), 0) AS paid_bookings
+     FROM promo_codes pc
+     LEFT JOIN promo_redemptions r ON r.promo_code_id = pc.id
+     ${filter}
+     GROUP BY pc.id
+     ORDER BY pc.is_active DESC, pc.created_at DESC`,
+    params
+  );
+  return result.rows;
+};
+
+/**
+ * Promo code as returned by the API, with its redemption figures when the row has them
+ */
+const formatPromoCode = (p) => ({
+  id: p.id,
+  code: p.code,
+  campaign: p.campaign,
+  description: p.description,
+  discountType: p.discount_type,
+  discountValue: parseFloat(p.discount_value),
+  currency: p.currency,
+  providerId: p.provider_id,
+  serviceId: p.service_id,
+  category: p.category,
+  region: p.region,
+  minSpend: parseFloat(p.min_spend || 0),
+  maxUses: p.max_uses,
+  maxUsesPerUser: p.max_uses_per_user,
+  validFrom: p.valid_from,
+  validUntil: p.valid_until,
+  isActive: p.is_active,
+  createdAt: p.created_at,
+  ...(p.redemptions !== undefined && {
+    redemptions: parseInt(p.redemptions),
+    travelers: parseInt(p.travelers),
+    discountGiven: roundMoney(parseFloat(p.discount_given)),
+    bookingValue: roundMoney(parseFloat(p.booking_value)),
+    paidBookings: parseInt(p.paid_bookings)
+  })
+});
+
+module.exports = {
+  DISCOUNT_TYPES,
+  normalizeCode,
+  validatePromoCode,
+  coversItem,
+  usageError,
+  computeDiscount,
+  applyPromoCode,
+  toPromoItem,
+  platformDiscount,
+  createPromoCode,
+  updatePromoCode,
+  recordRedemption,
+  getRedemptionReport,
+  formatPromoCode
+};
@@ -0,0 +1,316 @@
+// Minimal QR code encoder for vouchers, in the same spirit as utils/pdf.js: byte mode at
+// error correction level M, versions 1 to 10 (up to 213 bytes), which covers the short
+// codes we print. Follows ISO/IEC 18004; the result is a square matrix of dark modules.
+
+// Per version at level M: total codewords, error correction codewords per block, number of blocks
+const VERSIONS = [
+  null,
+  { codewords: 26, ecPerBlock: 10, blocks: 1 },
+  { codewords: 44, ecPerBlock: 16, blocks: 1 },
+  { codewords: 70, ecPerBlock: 26, blocks: 1 },
+  { codewords: 100, ecPerBlock: 18, blocks: 2 },
+  { codewords: 134, ecPerBlock: 24, blocks: 2 },
+  { codewords: 172, ecPerBlock: 16, blocks: 4 },
+  { codewords: 196, ecPerBlock: 18, blocks: 4 },
+  { codewords: 242, ecPerBlock: 22, blocks: 4 },
+  { codewords: 292, ecPerBlock: 22, blocks: 5 },
+  { codewords: 346, ecPerBlock: 26, blocks: 5 }
+];
+
+const ALIGNMENT_POSITIONS = [
+  null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+];
+
+// Level M is 00 in the format information
+const EC_LEVEL_BITS = 0;
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+const getBit = (value, index) => ((value >>> index) & 1) === 1;
+
+const dataCapacity = (version) => VERSIONS[version].codewords - VERSIONS[version].ecPerBlock * VERSIONS[version].blocks;
+
+// Multiply in GF(2^8) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+const gfMultiply = (x, y) => {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+};
+
+// Coefficients of the Reed-Solomon generator polynomial of the given degree, highest first, without the leading 1
+const reedSolomonDivisor = (degree) => {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < degree) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+};
+
+/**
+ * Error correction codewords for a block of data codewords
+ */
+const reedSolomonRemainder = (data, degree) => {
+  const divisor = reedSolomonDivisor(degree);
+  const result = new Array(degree).fill(0);
+  data.forEach((byte) => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  });
+  return result;
+};
+
+// Byte mode segment, terminator and padding, as data codewords for the version
+const encodeData = (bytes, version) => {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push(getBit(value, i) ? 1 : 0);
+  };
+
+  const capacityBits = dataCapacity(version) * 8;
+  append(0b0100, 4);
+  append(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach(byte => append(byte, 8));
+  append(0, Math.min(4, capacityBits - bits.length));
+  append(0, (8 - bits.length % 8) % 8);
+  for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) {
+    append(pad, 8);
+  }
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  return codewords;
+};
+
+// Split into blocks, add error correction to each and interleave
+const addErrorCorrection = (data, version) => {
+  const { codewords, ecPerBlock, blocks } = VERSIONS[version];
+  const shortBlocks = blocks - (codewords % blocks);
+  const shortDataLength = Math.floor(codewords / blocks) - ecPerBlock;
+
+  const dataBlocks = [];
+  const ecBlocks = [];
+  let offset = 0;
+  for (let i = 0; i < blocks; i++) {
+    const length = shortDataLength + (i < shortBlocks ? 0 : 1);
+    const block = data.slice(offset, offset + length);
+    offset += length;
+    dataBlocks.push(block);
+    ecBlocks.push(reedSolomonRemainder(block, ecPerBlock));
+  }
+
+  const result = [];
+  for (let i = 0; i <= shortDataLength; i++) {
+    dataBlocks.forEach((block) => {
+      if (i < block.length) result.push(block[i]);
+    });
+  }
+  for (let i = 0; i < ecPerBlock; i++) {
+    ecBlocks.forEach(block => result.push(block[i]));
+  }
+  return result;
+};
+
+// 15-bit format information for a mask, BCH-protected and masked as the standard requires
+const formatBits = (mask) => {
+  const data = (EC_LEVEL_BITS << 3) | mask;
+  let remainder = data;
+  for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  return ((data << 10) | remainder) ^ 0x5412;
+};
+
+// 18-bit version information, used from version 7
+const versionBits = (version) => {
+  let remainder = version;
+  for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+  return (version << 12) | remainder;
+};
+
+const drawFormatBits = ({ size, set }, mask) => {
+  const bits = formatBits(mask);
+  for (let i = 0; i <= 5; i++) set(8, i, getBit(bits, i));
+  set(8, 7, getBit(bits, 6));
+  set(8, 8, getBit(bits, 7));
+  set(7, 8, getBit(bits, 8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, getBit(bits, i));
+
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, getBit(bits, i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, getBit(bits, i));
+  set(8, size - 8, true);
+};
+
+const createMatrix = (version) => {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns with their separators
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x >= 0 && x < size && y >= 0 && y < size) {
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          set(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  });
+
+  // Alignment patterns, except where they would overlap a finder
+  const positions = ALIGNMENT_POSITIONS[version];
+  positions.forEach((cy, i) => {
+    positions.forEach((cx, j) => {
+      const last = positions.length - 1;
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  if (version >= 7) {
+    const bits = versionBits(version);
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      set(a, b, getBit(bits, i));
+      set(b, a, getBit(bits, i));
+    }
+  }
+
+  // Reserve the format areas; the real bits are drawn once the mask is chosen
+  drawFormatBits({ size, set }, 0);
+
+  return { size, modules, isFunction, set };
+};
+
+// Place codewords in the two-column zigzag from the bottom-right corner, skipping the timing column
+const drawCodewords = ({ size, modules, isFunction }, codewords) => {
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vertical = 0; vertical < size; vertical++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vertical : vertical;
+        if (!isFunction[y][x] && i < codewords.length * 8) {
+          modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+          i++;
+        }
+      }
+    }
+  }
+};
+
+const applyMask = ({ size, modules, isFunction }, mask) => {
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!isFunction[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+    }
+  }
+};
+
+// Penalty score from the standard; the mask with the lowest score is used
+const penalty = (modules) => {
+  const size = modules.length;
+  let score = 0;
+  const lines = [
+    ...modules,
+    ...modules.map((_, x) => modules.map(row => row[x]))
+  ];
+
+  lines.forEach((line) => {
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        run++;
+      } else {
+        if (run >= 5) score += run - 2;
+        run = 1;
+      }
+    }
+
+    const pattern = line.map(dark => (dark ? '1' : '0')).join('');
+    score += 40 * (pattern.match(/(?=10111010000|00001011101)/g) || []).length;
+  });
+
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const colour = modules[y][x];
+      if (colour === modules[y][x + 1] && colour === modules[y + 1][x] && colour === modules[y + 1][x + 1]) score += 3;
+    }
+  }
+
+  const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+  score += 10 * Math.floor(Math.abs((dark * 100) / (size * size) - 50) / 5);
+  return score;
+};
+
+/**
+ * Encode text as a QR code. Returns { version, size, modules } where modules[y][x] is true for dark,
+ * or throws when the text is too long for version 10.
+ */
+const encodeQr = (text) => {
+  const bytes = [...Buffer.from(String(text), 'utf8')];
+  const version = VERSIONS.findIndex((info, v) =>
+    info && 4 + (v < 10 ? 8 : 16) + bytes.length * 8 <= dataCapacity(v) * 8
+  );
+  if (version === -1) {
+    throw new Error('Text is too long for a QR code');
+  }
+
+  const codewords = addErrorCorrection(encodeData(bytes, version), version);
+
+  let best = null;
+  MASKS.forEach((_, mask) => {
+    const matrix = createMatrix(version);
+    drawCodewords(matrix, codewords);
+    applyMask(matrix, mask);
+    drawFormatBits(matrix, mask);
+    const score = penalty(matrix.modules);
+    if (!best || score < best.score) best = { score, modules: matrix.modules };
+  });
+
+  return { version, size: best.modules.length, modules: best.modules };
+};
+
+module.exports = {
+  encodeQr,
+  reedSolomonRemainder
+};
@@ -0,0 +1,268 @@
+// Real-time events for connected clients: new notifications, chat messages and booking status changes.
+// Every event is stored per recipient in realtime_events, so a client that drops off can resume from the
+// last event id it saw. Postgres NOTIFY tells each API instance about new rows, and the instance pushes
+// them to whichever recipients have a stream open with it.
+
+const CHANNEL = 'realtime_events';
+const REPLAY_LIMIT = 500;
+const DEFAULT_RETENTION_DAYS = 7;
+
+// Insert one event per recipient and notify listeners; the notification goes out when the
+// surrounding transaction commits, so nothing is pushed for changes that are rolled back
+const insertEvents = (recipients) =>
+  `WITH created AS (
+     INSERT INTO realtime_events (user_id, type, data)
+     ${recipients}
+     RETURNING id, user_id
+   )
+   SELECT pg_notify('${CHANNEL}', json_build_object('id', id, 'userId', user_id)::text) FROM created`;
+
+/**
+ * Send an event to some users
+ */
+const publishEvent = async (db, { userIds, type, data = {} }) => {
+  const recipients = [...new Set(userIds.filter(Boolean).map(Number))];
+  if (recipients.length === 0) return;
+  await db.query(
+    insertEvents('SELECT unnest($1::integer[]), $2::varchar, $3::jsonb'),
+    [recipients, type, JSON.stringify(data)]
+  );
+};
+
+/**
+ * Close every stream the user has open, on every instance, e.g. after their password is reset.
+ * Like events, this goes out when the surrounding transaction commits; reconnecting needs a
+ * login token that is still valid.
+ */
+const disconnectUser = async (db, userId) => {
+  await db.query(
+    `SELECT pg_notify('${CHANNEL}', json_build_object('userId', $1::integer, 'disconnect', true)::text)`,
+    [userId]
+  );
+};
+
+/**
+ * Send an event to the traveler and the provider of a booking
+ */
+const publishBookingEvent = async (db, bookingId, { type, data = {} }) => {
+  await db.query(
+    insertEvents(
+      `SELECT DISTINCT participant.user_id, $2::varchar, $3::jsonb
+       FROM bookings b
+       JOIN service_providers sp ON sp.id = b.provider_id
+       CROSS JOIN LATERAL unnest(ARRAY[b.traveler_id, sp.user_id]) AS participant(user_id)
+       WHERE b.id = $1 AND participant.user_id IS NOT NULL`
+    ),
+    [bookingId, type, JSON.stringify(data)]
+  );
+};
+
+// Event ids are BIGSERIAL, which pg returns as strings
+const formatEvent = (row) => ({
+  id: Number(row.id),
+  type: row.type,
+  data: row.data || {},
+  createdAt: row.created_at
+});
+
+/**
+ * The user's events after `afterId`, oldest first. Returns { events, hasMore }.
+ */
+const getEventsSince = async (db, userId, afterId, limit = REPLAY_LIMIT) => {
+  const result = await db.query(
+    `SELECT id, type, data, created_at FROM realtime_events
+     WHERE user_id = $1 AND id > $2
+     ORDER BY id
+     LIMIT $3`,
+    [userId, afterId, limit + 1]
+  );
+  return {
+    events: result.rows.slice(0, limit).map(formatEvent),
+    hasMore: result.rows.length > limit
+  };
+};
+
+const getLatestEventId = async (db, userId) => {
+  const result = await db.query('SELECT MAX(id) AS id FROM realtime_events WHERE user_id = $1', [userId]);
+  return Number(result.rows[0].id) || 0;
+};
+
+/**
+ * Delete events older than the retention period. Clients away for longer start afresh.
+ */
+const pruneEvents = async (db, retentionDays = parseInt(process.env.REALTIME_EVENT_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS) => {
+  const result = await db.query(
+    `DELETE FROM realtime_events WHERE created_at < NOW() - ($1 || ' days')::interval`,
+    [retentionDays]
+  );
+  return result.rowCount;
+};
+
+/**
+ * The streams open on this instance, by user. A stream is { send(event), close() }.
+ */
+const createRealtimeHub = () => {
+  const streams = new Map();
+
+  return {
+    subscribe(userId, stream) {
+      if (!streams.has(userId)) streams.set(userId, new Set());
+      streams.get(userId).add(stream);
+      return () => {
+        const userStreams = streams.get(userId);
+        if (!userStreams) return;
+        userStreams.delete(stream);
+        if (userStreams.size === 0) streams.delete(userId);
+      };
+    },
+
+    hasSubscribers(userId) {
+      return streams.has(userId);
+    },
+
+    dispatch(userId, event) {
+      for (const stream of streams.get(userId) || []) {
+        stream.send(event);
+      }
+    },
+
+    closeUser(userId) {
+      for (const stream of [...(streams.get(userId) || [])]) stream.close();
+    },
+
+    // Close every stream, e.g. after missing notifications; clients reconnect and replay what they missed
+    closeAll() {
+      for (const userStreams of [...streams.values()]) {
+        for (const stream of [...userStreams]) stream.close();
+      }
+    },
+
+    connectionCount() {
+      let count = 0;
+      for (const userStreams of streams.values()) count += userStreams.size;
+      return count;
+    }
+  };
+};
+
+/**
+ * Start streaming a user's events through `write(event)`. Events after `lastEventId` are replayed
+ * first; live events arriving meanwhile are held back and sent after them, each event exactly once.
+ * If more were missed than can be replayed, a `resync` event tells the client to reload instead.
+ * Returns a function that stops the stream.
+ */
+const openEventStream = async (db, hub, { userId, lastEventId = null, write, close }) => {
+  let lastSentId = lastEventId || 0;
+  let held = [];
+
+  const send = (event) => {
+    if (event.id <= lastSentId) return;
+    lastSentId = event.id;
+    write(event);
+  };
+
+  const unsubscribe = hub.subscribe(userId, {
+    send: (event) => (held ? held.push(event) : send(event)),
+    close
+  });
+
+  try {
+    if (lastEventId) {
+      const { events, hasMore } = await getEventsSince(db, userId, lastEventId);
+      if (hasMore) {
+        send({ id: await getLatestEventId(db, userId), type: 'resync', data: {} });
+      } else {
+        events.forEach(send);
+      }
+    }
+  } catch (error) {
+    unsubscribe();
+    throw error;
+  }
+
+  held.sort((a, b) => a.id - b.id).forEach(send);
+  held = null;
+  return unsubscribe;
+};
+
+/**
+ * Listen for new events on a dedicated connection and hand them to the hub. If the connection
+ * drops, streams are closed so their clients replay anything published while it was down.
+ */
+const listenForEvents = (pool, hub, { logger = console, retryDelayMs = 5000 } = {}) => {
+  let client = null;
+  let stopped = false;
+
+  const deliver = async ({ payload }) => {
+    try {
+      const { id, userId, disconnect } = JSON.parse(payload);
+      if (!hub.hasSubscribers(userId)) return;
+      if (disconnect) {
+        hub.closeUser(userId);
+        return;
+      }
+      const result = await pool.query('SELECT id, type, data, created_at FROM realtime_events WHERE id = $1', [id]);
+      if (result.rows[0]) hub.dispatch(userId, formatEvent(result.rows[0]));
+    } catch (error) {
+      logger.error('❌ Real-time delivery failed:', error);
+    }
+  };
+
+  const connect = async () => {
+    if (stopped) return;
+    const listener = await pool.connect().catch(reconnect);
+    if (!listener) return;
+
+    client = listener;
+    listener.on('notification', deliver);
+    listener.on('error', (error) => reconnect(error, listener));
+    try {
+      await listener.query(`LISTEN ${CHANNEL}`);
+      logger.log('📡 Listening for real-time events');
+    } catch (error) {
+      reconnect(error, listener);
+    }
+  };
+
+  const reconnect = (error, listener = null) => {
+    if (listener) {
+      // The same failure can surface as both an error event and a failed query
+      if (listener !== client) return;
+      client = null;
+      listener.removeAllListeners('notification');
+      listener.release(true);
+      hub.closeAll();
+    }
+    logger.error('❌ Real-time listener error:', error.message);
+    if (!stopped) setTimeout(connect, retryDelayMs).unref();
+  };
+
+  connect();
+
+  return {
+    stop() {
+      stopped = true;
+      if (client) {
+        client.release(true);
+        client = null;
+      }
+    }
+  };
+};
+
+// One hub per API process
+const realtimeHub = createRealtimeHub();
+
+module.exports = {
+  REPLAY_LIMIT,
+  publishEvent,
+  publishBookingEvent,
+  disconnectUser,
+  getEventsSince,
+  getLatestEventId,
+  pruneEvents,
+  createRealtimeHub,
+  openEventStream,
+  listenForEvents,
+  realtimeHub
+};
@@ -0,0 +1,361 @@
+// Traveler reviews. A traveler can review each of their completed bookings once, and edit the
+// review for a while after posting it. Every change recomputes the service's and provider's
+// rating aggregates in the same transaction, so the stored averages always match the reviews.
+// Providers can reply to a review once and flag abusive ones; admins hide, restore or delete
+// flagged reviews with a reason, and hidden reviews don't count toward the aggregates.
+
+// Travelers can edit their review for this many days after posting
+const REVIEW_EDIT_WINDOW_DAYS = parseInt(process.env.REVIEW_EDIT_WINDOW_DAYS) || 14;
+
+const INVALID_RATING = 'Rating must be a whole number from 1 to 5';
+
+const parseRating = (value) => {
+  const rating = Number(value);
+  return Number.isInteger(rating) && rating >= 1 && rating <= 5 ? rating : null;
+};
+
+const isWithinEditWindow = (review, now = new Date()) => {
+  const ageMs = now.getTime() - new Date(review.created_at).getTime();
+  return ageMs <= REVIEW_EDIT_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+};
+
+/**
+ * Recompute average rating and review count for a service and its provider from the reviews
+ * that are not hidden
+ */
+const recalculateReviewAggregates = async (db, serviceId, providerId) => {
+  if (serviceId) {
+    await db.query(`
+      UPDATE services SET
+        average_rating = COALESCE((SELECT ROUND(AVG(rating)::numeric, 2) FROM reviews WHERE service_id = $1 AND is_hidden IS NOT TRUE), 0),
+        total_reviews = (SELECT COUNT(*) FROM reviews WHERE service_id = $1 AND is_hidden IS NOT TRUE)
+      WHERE id = $1
+    `, [serviceId]);
+  }
+
+  if (providerId) {
+    await db.query(`
+      UPDATE service_providers SET
+        rating = COALESCE((SELECT ROUND(AVG(rating)::numeric, 2) FROM reviews WHERE provider_id = $1 AND is_hidden IS NOT TRUE), 0),
+        total_reviews = (SELECT COUNT(*) FROM reviews WHERE provider_id = $1 AND is_hidden IS NOT TRUE)
+      WHERE id = $1
+    `, [providerId]);
+  }
+};
+
+/**
+ * Review one of the traveler's completed bookings.
+ * Returns { success: true, review } or { success: false, status, message }.
+ */
+const createReview = async (pool, { bookingId, userId, rating: ratingValue, comment }) => {
+  const rating = parseRating(ratingValue);
+  if (rating === null) {
+    return { success: false, status: 400, message: INVALID_RATING };
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Locked so two submissions for the same booking can't both pass the check below
+    const bookingResult = await client.query(
+      'SELECT id, traveler_id, service_id, provider_id, status FROM bookings WHERE id = $1 FOR UPDATE',
+      [bookingId]
+    );
+    const booking = bookingResult.rows[0];
+    if (!booking) {
+      await client.query('ROLLBACK');
+      return { success: false, status: 404, message: 'Booking not found' };
+    }
+    if (booking.traveler_id !== userId) {
+      await client.query('ROLLBACK');
+      return { success: false, status: 403, message: 'You can only review your own bookings' };
+    }
+    if (booking.status !== 'completed') {
+      await client.query('ROLLBACK');
+      return { success: false, status: 400, message: 'Only completed bookings can be reviewed' };
+    }
+
+    const existing = await client.query('SELECT id FROM reviews WHERE booking_id = $1', [booking.id]);
+    if (existing.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return { success: false, status: 409, message: 'This booking has already been reviewed' };
+    }
+
+    const inserted = await client.query(`
+      INSERT INTO reviews (booking_id, traveler_id, service_id, provider_id, rating, comment)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [booking.id, userId, booking.service_id, booking.provider_id, rating, comment?.trim() || null]);
+
+    await recalculateReviewAggregates(client, booking.service_id, booking.provider_id);
+
+    await client.query('COMMIT');
+    return { success: true, review: inserted.rows[0] };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    // The unique index on booking_id catches what the lock can't, such as a booking reviewed
+    // by a request that committed in between
+    if (err.code === '23505') {
+      return { success: false, status: 409, message: 'This booking has already been reviewed' };
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// Lock a review for a change by its author
+const lockOwnReview = async (client, reviewId, userId, verb) => {
+  const result = await client.query('SELECT * FROM reviews WHERE id = $1 FOR UPDATE', [reviewId]);
+  const review = result.rows[0];
+  if (!review) return { error: { success: false, status: 404, message: 'Review not found' } };
+  if (review.traveler_id !== userId) {
+    return { error: { success: false, status: 403, message: `Not authorized to ${verb} this review` } };
+  }
+  return { review };
+};
+
+/**
+ * Change the rating or comment of the traveler's review, within the edit window. Fields left
+ * undefined keep their value. Returns { success: true, review } or { success: false, status, message }.
+ */
+const updateReview = async (pool, { reviewId, userId, rating: ratingValue, comment, now = new Date() }) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { review, error } = await lockOwnReview(client, reviewId, userId, 'edit');
+    if (error) {
+      await client.query('ROLLBACK');
+      return error;
+    }
+    if (!isWithinEditWindow(review, now)) {
+      await client.query('ROLLBACK');
+      return {
+        success: false,
+        status: 403,
+        message: `Reviews can only be edited within ${REVIEW_EDIT_WINDOW_DAYS} days of posting`
+      };
+    }
+
+    const rating = ratingValue !== undefined ? parseRating(ratingValue) : review.rating;
+    if (rating === null) {
+      await client.query('ROLLBACK');
+      return { success: false, status: 400, message: INVALID_RATING };
+    }
+
+    const updated = await client.query(
+      'UPDATE reviews SET rating = $1, comment = $2 WHERE id = $3 RETURNING *',
+      [rating, comment !== undefined ? (comment?.trim() || null) : review.comment, review.id]
+    );
+
+    await recalculateReviewAggregates(client, review.service_id, review.provider_id);
+
+    await client.query('COMMIT');
+    return { success: true, review: updated.rows[0] };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Delete the traveler's review. Returns { success: true } or { success: false, status, message }.
+ */
+const deleteReview = async (pool, { reviewId, userId }) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { review, error } = await lockOwnReview(client, reviewId, userId, 'delete');
+    if (error) {
+      await client.query('ROLLBACK');
+      return error;
+    }
+
+    await client.query('DELETE FROM reviews WHERE id = $1', [review.id]);
+    await recalculateReviewAggregates(client, review.service_id, review.provider_id);
+
+    await client.query('COMMIT');
+    return { success: true };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Record a flag or moderation action, with a snapshot of the review as it was, in
+ * review_moderation_log
+ */
+const logModeration = async (db, { review, action, reason, actorId }) => {
+  await db.query(`
+    INSERT INTO review_moderation_log (review_id, action, reason, actor_id, review_snapshot)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [review.id, action, reason, actorId, JSON.stringify(review)]);
+};
+
+// Lock a review for a change by the provider it was written about
+const lockProviderReview = async (client, reviewId, userId) => {
+  const providerResult = await client.query('SELECT id FROM service_providers WHERE user_id = $1', [userId]);
+  if (providerResult.rows.length === 0) {
+    return { error: { success: false, status: 403, message: 'Only providers can respond to reviews' } };
+  }
+
+  const result = await client.query('SELECT * FROM reviews WHERE id = $1 FOR UPDATE', [reviewId]);
+  const review = result.rows[0];
+  if (!review || review.provider_id !== providerResult.rows[0].id) {
+    return { error: { success: false, status: 404, message: 'Review not found' } };
+  }
+  return { review };
+};
+
+/**
+ * Post the provider's public reply to a review of theirs. Each review takes one reply.
+ * Returns { success: true, review } or { success: false, status, message }.
+ */
+const replyToReview = async (pool, { reviewId, userId, reply }) => {
+  const text = typeof reply === 'string' ? reply.trim() : '';
+  if (!text) {
+    return { success: false, status: 400, message: 'Reply text is required' };
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { review, error } = await lockProviderReview(client, reviewId, userId);
+    if (error) {
+      await client.query('ROLLBACK');
+      return error;
+    }
+    if (review.provider_reply) {
+      await client.query('ROLLBACK');
+      return { success: false, status: 409, message: 'You have already replied to this review' };
+    }
+
+    const updated = await client.query(`
+      UPDATE reviews SET provider_reply = $1, provider_replied_at = NOW()
+      WHERE id = $2
+      RETURNING *
+    `, [text, review.id]);
+
+    await client.query('COMMIT');
+    return { success: true, review: updated.rows[0] };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Flag a review of the provider's for admin moderation. Flagging a review that is already
+ * waiting changes nothing. Returns { success: true, review, alreadyFlagged } or
+ * { success: false, status, message }.
+ */
+const flagReview = async (pool, { reviewId, userId, reason }) => {
+  const text = typeof reason === 'string' ? reason.trim() : '';
+  if (!text) {
+    return { success: false, status: 400, message: 'A reason is required to flag a review' };
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { review, error } = await lockProviderReview(client, reviewId, userId);
+    if (error) {
+      await client.query('ROLLBACK');
+      return error;
+    }
+    if (review.is_flagged) {
+      await client.query('ROLLBACK');
+      return { success: true, review, alreadyFlagged: true };
+    }
+
+    const updated = await client.query(`
+      UPDATE reviews SET is_flagged = TRUE, flag_reason = $1, flagged_at = NOW()
+      WHERE id = $2
+      RETURNING *
+    `, [text, review.id]);
+
+    await logModeration(client, { review, action: 'flag', reason: text, actorId: userId });
+
+    await client.query('COMMIT');
+    return { success: true, review: updated.rows[0], alreadyFlagged: false };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Hide, restore or delete a review as an admin. A reason is required and goes into the
+ * moderation log with the admin who acted. Returns { success: true, review } (null once deleted)
+ * or { success: false, status, message }.
+ */
+const moderateReview = async (pool, { reviewId, action, reason, actorId }) => {
+  const text = typeof reason === 'string' ? reason.trim() : '';
+  if (!text) {
+    return { success: false, status: 400, message: 'A moderation reason is required' };
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query('SELECT * FROM reviews WHERE id = $1 FOR UPDATE', [reviewId]);
+    const review = result.rows[0];
+    if (!review) {
+      await client.query('ROLLBACK');
+      return { success: false, status: 404, message: 'Review not found' };
+    }
+
+    await logModeration(client, { review, action, reason: text, actorId });
+
+    let moderated = null;
+    if (action === 'delete') {
+      await client.query('DELETE FROM reviews WHERE id = $1', [review.id]);
+    } else {
+      const updated = await client.query(`
+        UPDATE reviews
+        SET is_hidden = $1, is_flagged = FALSE, moderation_reason = $2, moderated_at = NOW()
+        WHERE id = $3
+        RETURNING *
+      `, [action === 'hide', text, review.id]);
+      moderated = updated.rows[0];
+    }
+
+    await recalculateReviewAggregates(client, review.service_id, review.provider_id);
+
+    await client.query('COMMIT');
+    return { success: true, review: moderated };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  REVIEW_EDIT_WINDOW_DAYS,
+  parseRating,
+  isWithinEditWindow,
+  recalculateReviewAggregates,
+  createReview,
+  updateReview,
+  deleteReview,
+  replyToReview,
+  flagReview,
+  moderateReview
+};
@@ -0,0 +1,85 @@
+// Background jobs run on a fixed interval inside the API process. A job never overlaps with
+// itself, and the outcome of its last run is kept so admins can see the jobs are working.
+
+/**
+ * `run` resolves to a short summary to log, or nothing when there was no work to do.
+ */
+const createScheduler = ({ logger = console } = {}) => {
+  const jobs = new Map();
+
+  const register = (name, { description, intervalMs, run }) => {
+    if (jobs.has(name)) {
+      throw new Error(`Job ${name} is already registered`);
+    }
+    jobs.set(name, {
+      name,
+      description,
+      intervalMs,
+      run,
+      timer: null,
+      running: false,
+      lastRunAt: null,
+      lastSummary: null,
+      lastError: null
+    });
+  };
+
+  const runJob = async (name) => {
+    const job = jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job ${name}`);
+    }
+    if (job.running) return false;
+
+    job.running = true;
+    job.lastRunAt = new Date();
+    try {
+      const summary = await job.run();
+      job.lastSummary = summary || null;
+      job.lastError = null;
+      if (summary) logger.log(`⏱️ ${summary}`);
+    } catch (error) {
+      job.lastError = error.message;
+      logger.error(`❌ ${job.description || name} failed:`, error.message);
+    } finally {
+      job.running = false;
+    }
+    return true;
+  };
+
+  const start = () => {
+    for (const job of jobs.values()) {
+      if (job.timer) continue;
+      job.timer = setInterval(() => runJob(job.name), job.intervalMs);
+      // Timers alone shouldn't keep the process alive on shutdown
+      if (job.timer.unref) job.timer.unref();
+    }
+  };
+
+  const stop = () => {
+    for (const job of jobs.values()) {
+      clearInterval(job.timer);
+      job.timer = null;
+    }
+  };
+
+  const getStatus = () => [...jobs.values()].map(job => ({
+    name: job.name,
+    description: job.description,
+    intervalMinutes: job.intervalMs / 60000,
+    running: job.running,
+    lastRunAt: job.lastRunAt,
+    lastSummary: job.lastSummary,
+    lastError: job.lastError
+  }));
+
+  return { register, runJob, start, stop, getStatus };
+};
+
+// The API's own scheduler, started by server.js and read by the admin job status page
+const scheduler = createScheduler();
+
+module.exports = {
+  createScheduler,
+  scheduler
+};
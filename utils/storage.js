@@ -0,0 +1,61 @@
+// Where uploaded files are kept. Files are addressed by a key such as
+// "attachments/12/<uuid>.pdf"; each driver offers save/read/remove for those keys.
+// Only local disk exists so far — another driver (e.g. a cloud bucket) just needs the same three methods.
+// Files here are private: unlike /uploads they are not served statically, only through routes that check access.
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const createLocalStorage = (root) => {
+  const base = path.resolve(root);
+
+  // Keys never reach outside the storage directory
+  const resolve = (key) => {
+    const filePath = path.resolve(base, key);
+    if (!filePath.startsWith(base + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    async save(key, buffer) {
+      const filePath = resolve(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+    },
+
+    async read(key) {
+      return fs.readFile(resolve(key));
+    },
+
+    async remove(key) {
+      await fs.rm(resolve(key), { force: true });
+    }
+  };
+};
+
+const DRIVERS = {
+  local: () => createLocalStorage(process.env.STORAGE_LOCAL_ROOT || path.join(__dirname, '..', 'storage'))
+};
+
+let storage = null;
+
+/**
+ * The storage driver chosen by STORAGE_DRIVER (default: local disk)
+ */
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    if (!DRIVERS[driver]) {
+      throw new Error(`Unknown storage driver: ${driver}`);
+    }
+    storage = DRIVERS[driver]();
+  }
+  return storage;
+};
+
+module.exports = {
+  createLocalStorage,
+  getStorage
+};
@@ -0,0 +1,57 @@
+// Domain event subscribers that text new booking requests to providers and payment confirmations
+// to payers and providers, for users who opted in to SMS or WhatsApp. Texts go through sms_outbox;
+// the text-messages job delivers them.
+
+const { DOMAIN_EVENTS } = require('./domainEvents');
+const { queueTextMessage } = require('./textMessages');
+const { getBookingParties, getPaymentParties } = require('./bookingParties');
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : 'the booked date');
+const formatAmount = (payment) => `${payment.currency} ${parseFloat(payment.amount).toLocaleString()}`;
+
+const textBookingRequest = (db) => async ({ bookingId }) => {
+  const booking = await getBookingParties(db, bookingId);
+  if (!booking || booking.status !== 'pending') return;
+
+  await queueTextMessage(db, {
+    userId: booking.provider_user_id,
+    type: 'booking_request',
+    body: `iSafari: New booking request #${booking.id} from ${booking.traveler_name || 'a traveler'} for ${booking.service_title} on ${formatDate(booking.booking_date)}. Open your dashboard to accept or decline.`
+  });
+};
+
+const textPaymentCompleted = (db) => async ({ paymentId }) => {
+  const parties = await getPaymentParties(db, paymentId);
+  if (!parties) return;
+  const { payment, bookings } = parties;
+
+  await queueTextMessage(db, {
+    userId: payment.user_id,
+    type: 'payment_completed',
+    body: `iSafari: We received your payment of ${formatAmount(payment)}. Thank you!`
+  });
+
+  for (const booking of bookings) {
+    await queueTextMessage(db, {
+      userId: booking.provider_user_id,
+      type: 'payment_completed',
+      body: `iSafari: Booking #${booking.id} (${booking.service_title}) has been paid.`
+    });
+  }
+};
+
+/**
+ * Subscribe the text message senders to the bus. Returns a function that removes them.
+ */
+const registerTextMessageSubscribers = (bus, db) => {
+  const unsubscribers = [
+    bus.subscribe(DOMAIN_EVENTS.BOOKING_CREATED, textBookingRequest(db)),
+    bus.subscribe(DOMAIN_EVENTS.BOOKING_SUBMITTED, textBookingRequest(db)),
+    bus.subscribe(DOMAIN_EVENTS.PAYMENT_COMPLETED, textPaymentCompleted(db))
+  ];
+  return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+};
+
+module.exports = {
+  registerTextMessageSubscribers
+};
@@ -0,0 +1,286 @@
+// Text messages by SMS or WhatsApp, for users who opted in. Providers are adapters with the same
+// shape — send({ to, body, channel }) resolving to { messageId }, and parseInbound(body) for replies —
+// so Africa's Talking, Twilio or another gateway is chosen with SMS_PROVIDER; "fake" keeps messages
+// in memory for development and tests. Messages wait in sms_outbox and a background job delivers
+// them, as with emails. Replying STOP (or ACHA) opts a number out, START (or ANZA) back in.
+
+const { normalizePhoneNumber } = require('./phoneNumbers');
+const { getDeliveryPlan } = require('./notificationPreferences');
+
+const CHANNELS = ['sms', 'whatsapp'];
+const MAX_ATTEMPTS = 3;
+const CLAIM_MINUTES = 10;
+const BATCH_SIZE = 20;
+// One SMS segment; longer messages are cut rather than billed as several
+const MAX_LENGTH = 160;
+
+const STOP_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'ACHA', 'SITISHA'];
+const START_KEYWORDS = ['START', 'UNSTOP', 'YES', 'ANZA'];
+
+const createAfricasTalkingProvider = ({ username, apiKey, senderId = null }) => ({
+  name: 'africastalking',
+  channels: ['sms'],
+
+  async send({ to, body }) {
+    const host = username === 'sandbox' ? 'api.sandbox.africastalking.com' : 'api.africastalking.com';
+    const form = new URLSearchParams({ username, to, message: body });
+    if (senderId) form.set('from', senderId);
+
+    const response = await fetch(`https://${host}/version1/messaging`, {
+      method: 'POST',
+      headers: { apiKey, Accept: 'application/json', 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: form
+    });
+    const data = await response.json().catch(() => ({}));
+    const recipient = data.SMSMessageData?.Recipients?.[0];
+    // 100-102: processed, sent, queued
+    if (!response.ok || !recipient || ![100, 101, 102].includes(Number(recipient.statusCode))) {
+      throw new Error(recipient?.status || data.SMSMessageData?.Message || `Africa's Talking error ${response.status}`);
+    }
+    return { messageId: recipient.messageId };
+  },
+
+  parseInbound: (body) => ({ from: body.from, text: body.text })
+});
+
+const createTwilioProvider = ({ accountSid, authToken, from, whatsappFrom = null }) => ({
+  name: 'twilio',
+  channels: whatsappFrom ? ['sms', 'whatsapp'] : ['sms'],
+
+  async send({ to, body, channel }) {
+    const whatsapp = channel === 'whatsapp';
+    const form = new URLSearchParams({
+      To: whatsapp ? `whatsapp:${to}` : to,
+      From: whatsapp ? `whatsapp:${whatsappFrom}` : from,
+      Body: body
+    });
+
+    const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: form
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.message || `Twilio error ${response.status}`);
+    }
+    return { messageId: data.sid };
+  },
+
+  parseInbound: (body) => ({ from: String(body.From || '').replace(/^whatsapp:/, ''), text: body.Body })
+});
+
+const createFakeProvider = () => {
+  const sent = [];
+  return {
+    name: 'fake',
+    channels: CHANNELS,
+    sent,
+    async send(message) {
+      sent.push(message);
+      return { messageId: `fake-${sent.length}` };
+    },
+    parseInbound: (body) => ({ from: body.from, text: body.text })
+  };
+};
+
+const PROVIDERS = {
+  africastalking: () => createAfricasTalkingProvider({
+    username: process.env.AFRICASTALKING_USERNAME,
+    apiKey: process.env.AFRICASTALKING_API_KEY,
+    senderId: process.env.AFRICASTALKING_SENDER_ID || null
+  }),
+  twilio: () => createTwilioProvider({
+    accountSid: process.env.TWILIO_ACCOUNT_SID,
+    authToken: process.env.TWILIO_AUTH_TOKEN,
+    from: process.env.TWILIO_FROM_NUMBER,
+    whatsappFrom: process.env.TWILIO_WHATSAPP_FROM || null
+  }),
+  fake: () => createFakeProvider()
+};
+
+let provider = null;
+
+/**
+ * The provider chosen by SMS_PROVIDER (default: fake)
+ */
+const getTextProvider = () => {
+  if (!provider) {
+    const name = process.env.SMS_PROVIDER || 'fake';
+    if (!PROVIDERS[name]) {
+      throw new Error(`Unknown SMS provider: ${name}`);
+    }
+    provider = PROVIDERS[name]();
+  }
+  return provider;
+};
+
+const getProviderByName = (name) => {
+  const current = getTextProvider();
+  return current.name === name ? current : null;
+};
+
+/**
+ * Turn text messages on or off for a user. Opting in needs a mobile number we can text;
+ * `phone` defaults to the one on their profile. Returns { settings } or { success: false, status, message }.
+ */
+const setTextMessageConsent = async (db, userId, { optIn, channel = 'sms', phone = null }) => {
+  if (!CHANNELS.includes(channel)) {
+    return { success: false, status: 400, message: 'Channel must be sms or whatsapp' };
+  }
+
+  if (!optIn) {
+    const result = await db.query(
+      `UPDATE users SET sms_opt_in = false, sms_consent_updated_at = NOW() WHERE id = $1
+       RETURNING sms_opt_in, sms_channel, sms_phone`,
+      [userId]
+    );
+    return { settings: formatTextSettings(result.rows[0]) };
+  }
+
+  const userResult = await db.query('SELECT phone FROM users WHERE id = $1', [userId]);
+  if (!userResult.rows[0]) {
+    return { success: false, status: 404, message: 'User not found' };
+  }
+  const number = normalizePhoneNumber(phone || userResult.rows[0].phone);
+  if (!number) {
+    return { success: false, status: 400, message: 'Add a mobile number from Tanzania or a neighbouring country, e.g. +255 712 345 678' };
+  }
+
+  const result = await db.query(
+    `UPDATE users SET sms_opt_in = true, sms_channel = $2, sms_phone = $3, sms_consent_updated_at = NOW()
+     WHERE id = $1
+     RETURNING sms_opt_in, sms_channel, sms_phone`,
+    [userId, channel, number]
+  );
+  return { settings: formatTextSettings(result.rows[0]) };
+};
+
+const formatTextSettings = (row) => ({
+  optIn: Boolean(row?.sms_opt_in),
+  channel: row?.sms_channel || 'sms',
+  phone: row?.sms_phone || null
+});
+
+/**
+ * Queue a text for a user if they opted in and haven't turned texts off for this type of
+ * notification. Returns the outbox row, or null when it isn't sent. Texts queued during
+ * quiet hours wait until they end.
+ */
+const queueTextMessage = async (db, { userId, body, type }) => {
+  const userResult = await db.query(
+    'SELECT sms_opt_in, sms_channel, sms_phone FROM users WHERE id = $1',
+    [userId]
+  );
+  const user = userResult.rows[0];
+  if (!user?.sms_opt_in || !user.sms_phone) return null;
+
+  const plan = await getDeliveryPlan(db, { userId, type, channel: 'sms' });
+  if (!plan.send) return null;
+
+  const text = body.length > MAX_LENGTH ? `${body.slice(0, MAX_LENGTH - 1)}…` : body;
+  const result = await db.query(
+    `INSERT INTO sms_outbox (user_id, to_number, channel, type, body, next_attempt_at)
+     VALUES ($1, $2, $3, $4, $5, COALESCE($6, NOW()))
+     RETURNING *`,
+    [userId, user.sms_phone, user.sms_channel || 'sms', type, text, plan.sendAfter]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Send the texts that are due, the same way deliverOutbox sends emails. Texts for users who have
+ * opted out since they were queued are cancelled; WhatsApp messages fall back to SMS when the
+ * provider can't send WhatsApp. Returns the ids that were sent, will be retried, and failed.
+ */
+const deliverTextMessages = async (db, textProvider = getTextProvider(), { limit = BATCH_SIZE } = {}) => {
+  await db.query(
+    `UPDATE sms_outbox o SET status = 'cancelled', updated_at = NOW()
+     FROM users u
+     WHERE o.user_id = u.id AND o.status IN ('pending', 'sending') AND NOT u.sms_opt_in`
+  );
+
+  const claimed = await db.query(
+    `UPDATE sms_outbox
+     SET status = 'sending', attempts = attempts + 1,
+         next_attempt_at = NOW() + make_interval(mins => $2), updated_at = NOW()
+     WHERE id IN (
+       SELECT id FROM sms_outbox
+       WHERE status IN ('pending', 'sending') AND next_attempt_at <= NOW()
+       ORDER BY next_attempt_at, id
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [limit, CLAIM_MINUTES]
+  );
+
+  const outcome = { sent: [], retrying: [], failed: [] };
+  for (const message of claimed.rows) {
+    const channel = textProvider.channels.includes(message.channel) ? message.channel : 'sms';
+    try {
+      const { messageId } = await textProvider.send({ to: message.to_number, body: message.body, channel });
+      await db.query(
+        `UPDATE sms_outbox SET status = 'sent', channel = $2, provider_message_id = $3, sent_at = NOW(), last_error = NULL, updated_at = NOW()
+         WHERE id = $1`,
+        [message.id, channel, messageId || null]
+      );
+      outcome.sent.push(message.id);
+    } catch (error) {
+      const giveUp = message.attempts >= MAX_ATTEMPTS;
+      await db.query(
+        `UPDATE sms_outbox
+         SET status = $2, last_error = $3, next_attempt_at = NOW() + make_interval(mins => $4), updated_at = NOW()
+         WHERE id = $1`,
+        [message.id, giveUp ? 'failed' : 'pending', error.message, 5 * message.attempts]
+      );
+      (giveUp ? outcome.failed : outcome.retrying).push(message.id);
+      console.error(`❌ Text message ${message.id} (${message.type}) not sent:`, error.message);
+    }
+  }
+  return outcome;
+};
+
+/**
+ * The consent change a reply asks for: 'stop', 'start', or null for anything else
+ */
+const replyKeyword = (text) => {
+  const word = String(text || '').trim().toUpperCase().split(/\s+/)[0];
+  if (STOP_KEYWORDS.includes(word)) return 'stop';
+  if (START_KEYWORDS.includes(word)) return 'start';
+  return null;
+};
+
+/**
+ * Apply a STOP or START reply from a number. Returns what was done: 'stop', 'start' or null.
+ */
+const handleInboundMessage = async (db, { from, text }) => {
+  const keyword = replyKeyword(text);
+  const number = normalizePhoneNumber(from);
+  if (!keyword || !number) return null;
+
+  await db.query(
+    `UPDATE users SET sms_opt_in = $2, sms_consent_updated_at = NOW() WHERE sms_phone = $1`,
+    [number, keyword === 'start']
+  );
+  return keyword;
+};
+
+module.exports = {
+  CHANNELS,
+  MAX_ATTEMPTS,
+  createAfricasTalkingProvider,
+  createTwilioProvider,
+  createFakeProvider,
+  getTextProvider,
+  getProviderByName,
+  setTextMessageConsent,
+  formatTextSettings,
+  queueTextMessage,
+  deliverTextMessages,
+  replyKeyword,
+  handleInboundMessage
+};
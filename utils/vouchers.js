@@ -0,0 +1,216 @@
+// Booking vouchers: a signed code a traveler shows on arrival, as a QR code in the app or
+// on a printable PDF. The code carries the booking id and an HMAC of it, so providers can
+// check it in without a lookup table, and checking in completes the booking so a voucher
+// can't be used twice.
+
+const crypto = require('crypto');
+const { PAGE_WIDTH, textWidth, createPdf } = require('./pdf');
+const { toDateKey } = require('./availability');
+const { encodeQr } = require('./qrCode');
+const { transitionBooking } = require('./bookingStateMachine');
+
+// Bookings that have a voucher: confirmed ones, and completed ones to show they were used
+const VOUCHER_STATUSES = ['confirmed', 'completed'];
+
+// Crockford base32 leaves out I, L, O and U so typed codes aren't misread
+const BASE32 = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const SIGNATURE_LENGTH = 10;
+
+const getVoucherSecret = () => process.env.VOUCHER_SECRET || process.env.JWT_SECRET || null;
+
+const signature = (bookingId, secret) => {
+  const digest = crypto.createHmac('sha256', secret).update(`booking-voucher:${bookingId}`).digest();
+  let result = '';
+  for (let i = 0; result.length < SIGNATURE_LENGTH; i++) {
+    result += BASE32[digest[i] & 31];
+  }
+  return result;
+};
+
+/**
+ * Voucher code for a booking, e.g. ISF-1042-7K2QM9XA3P
+ */
+const signVoucher = (bookingId, secret = getVoucherSecret()) => {
+  if (!secret) {
+    throw new Error('VOUCHER_SECRET or JWT_SECRET must be set to sign vouchers');
+  }
+  return `ISF-${bookingId}-${signature(bookingId, secret)}`;
+};
+
+/**
+ * Read a scanned or typed code. Returns { bookingId } when the signature matches, or { error }.
+ */
+const verifyVoucherCode = (code, secret = getVoucherSecret()) => {
+  const normalized = String(code || '').toUpperCase().replace(/\s+/g, '');
+  const match = normalized.match(/^ISF-(\d+)-([0-9A-Z]+)$/);
+  if (!match || !secret) {
+    return { error: 'This is not an iSafari voucher code' };
+  }
+
+  const bookingId = parseInt(match[1]);
+  const expected = Buffer.from(signature(bookingId, secret));
+  const given = Buffer.from(match[2]);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { error: 'This voucher code is not valid' };
+  }
+  return { bookingId };
+};
+
+/**
+ * Voucher content for a booking row joined with its service, provider and traveler.
+ * `qr` is the QR code as rows of '1' (dark) and '0' so clients can draw it.
+ */
+const buildVoucher = (booking, secret = getVoucherSecret()) => {
+  const code = signVoucher(booking.id, secret);
+  return {
+    code,
+    bookingId: booking.id,
+    status: booking.status,
+    serviceTitle: booking.service_title,
+    location: booking.service_location || booking.provider_location || null,
+    providerName: booking.business_name || null,
+    travelerName: [booking.first_name, booking.last_name].filter(Boolean).join(' ') || null,
+    bookingDate: booking.booking_date ? toDateKey(booking.booking_date) : null,
+    startTime: booking.start_time || null,
+    participants: parseInt(booking.participants) || 1,
+    paymentStatus: booking.payment_status,
+    checkedInAt: booking.checked_in_at || null,
+    qr: encodeQr(code).modules.map(row => row.map(dark => (dark ? '1' : '0')).join(''))
+  };
+};
+
+/**
+ * One-page PDF of a voucher with its QR code
+ */
+const renderVoucherPdf = (voucher) => {
+  const margin = 50;
+  const page = [];
+  const text = (x, y, value, options = {}) => page.push({ type: 'text', x, y, text: value, size: 11, ...options });
+
+  text(margin, 790, 'Booking Voucher', { size: 20, font: 'bold' });
+  text(PAGE_WIDTH - margin, 790, `Booking #${voucher.bookingId}`, { size: 12, font: 'bold', align: 'right' });
+  text(margin, 770, 'Show this voucher to your provider on arrival', { colour: [0.4, 0.4, 0.4] });
+
+  // QR code centred, with the four-module quiet zone the standard asks for
+  const size = voucher.qr.length;
+  const moduleSize = Math.floor(220 / (size + 8));
+  const qrLeft = (PAGE_WIDTH - moduleSize * size) / 2;
+  const qrTop = 730 - moduleSize * 4;
+  voucher.qr.forEach((row, y) => {
+    row.split('').forEach((dark, x) => {
+      if (dark === '1') {
+        page.push({ type: 'rect', x: qrLeft + x * moduleSize, y: qrTop - (y + 1) * moduleSize, width: moduleSize, height: moduleSize });
+      }
+    });
+  });
+
+  let y = qrTop - size * moduleSize - 30;
+  text((PAGE_WIDTH - textWidth(voucher.code, 14)) / 2, y, voucher.code, { size: 14, font: 'bold' });
+  y -= 40;
+
+  [
+    ['Service', voucher.serviceTitle],
+    ['Provider', voucher.providerName],
+    ['Location', voucher.location],
+    ['Date', [voucher.bookingDate, voucher.startTime].filter(Boolean).join(' ')],
+    ['Participants', String(voucher.participants)],
+    ['Traveler', voucher.travelerName],
+    ['Payment', voucher.paymentStatus === 'paid' ? 'Paid' : 'Balance due at the provider']
+  ].filter(([, value]) => value).forEach(([label, value]) => {
+    text(margin, y, `${label}:`, { font: 'bold' });
+    text(150, y, value);
+    y -= 18;
+  });
+
+  if (voucher.checkedInAt) {
+    y -= 10;
+    text(margin, y, `USED - checked in ${toDateKey(new Date(voucher.checkedInAt))}`, {
+      size: 14, font: 'bold', colour: [0.7, 0.1, 0.1]
+    });
+  }
+
+  page.push({
+    type: 'text',
+    x: margin,
+    y: 40,
+    size: 8,
+    colour: [0.5, 0.5, 0.5],
+    text: 'Issued through iSafari Global. Each voucher can be checked in once.'
+  });
+
+  return createPdf([page], { title: `Voucher ${voucher.code}` });
+};
+
+/**
+ * Check a traveler in with their voucher code: verify the signature, make sure the booking is the
+ * provider's and due, then mark it checked in and completed in one transaction. A second scan is refused.
+ * Returns { success: true, booking } or { success: false, status, code?, message, booking? }.
+ */
+const checkInBooking = async (pool, { code, providerId, actorId, today = toDateKey(new Date()) }) => {
+  const { bookingId, error } = verifyVoucherCode(code);
+  if (error) {
+    return { success: false, status: 400, code: 'INVALID_VOUCHER', message: error };
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query('SELECT * FROM bookings WHERE id = $1 FOR UPDATE', [bookingId]);
+    const booking = result.rows[0];
+    const refuse = async (status, refusalCode, message) => {
+      await client.query('ROLLBACK');
+      return { success: false, status, code: refusalCode, message, booking };
+    };
+
+    if (!booking || booking.provider_id !== providerId) {
+      await client.query('ROLLBACK');
+      return { success: false, status: 404, code: 'NOT_FOUND', message: 'This voucher is not for one of your bookings' };
+    }
+    if (booking.checked_in_at) {
+      return refuse(409, 'ALREADY_CHECKED_IN', `This voucher was already used on ${toDateKey(new Date(booking.checked_in_at))}`);
+    }
+    if (booking.status !== 'confirmed') {
+      return refuse(409, 'NOT_CONFIRMED', `This booking is ${booking.status} and can't be checked in`);
+    }
+    const bookingDate = toDateKey(booking.booking_date);
+    if (bookingDate > today) {
+      return refuse(409, 'TOO_EARLY', `This voucher is for ${bookingDate}`);
+    }
+
+    const transition = await transitionBooking(pool, {
+      bookingId,
+      toStatus: 'completed',
+      actor: 'provider',
+      actorId,
+      reason: 'Checked in with voucher',
+      client
+    });
+    if (!transition.success) {
+      await client.query('ROLLBACK');
+      return transition;
+    }
+
+    const updated = await client.query(
+      'UPDATE bookings SET checked_in_at = NOW(), checked_in_by = $2 WHERE id = $1 RETURNING *',
+      [bookingId, actorId]
+    );
+
+    await client.query('COMMIT');
+    return { success: true, booking: updated.rows[0] };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  VOUCHER_STATUSES,
+  signVoucher,
+  verifyVoucherCode,
+  buildVoucher,
+  renderVoucherPdf,
+  checkInBooking
+};
@@ -0,0 +1,327 @@
+// Waitlist for fully booked service dates. Travelers queue per service, date and slot; when a
+// cancellation frees capacity the next entries that fit are offered the seats for an acceptance
+// window, and an offer that runs out passes on to whoever is next. Each step is a notification.
+
+const { CAPACITY_HOLDING_STATUSES, checkCapacity, toDateKey } = require('./availability');
+const { createNotification } = require('./notifications');
+
+// Entries still in the queue: waiting for a place, or holding an offer
+const ACTIVE_WAITLIST_STATUSES = ['waiting', 'offered'];
+
+const DEFAULT_OFFER_HOURS = 24;
+
+const getOfferWindowHours = () => parseFloat(process.env.WAITLIST_OFFER_HOURS) || DEFAULT_OFFER_HOURS;
+
+const notify = (db, userId, title, message, data) =>
+  createNotification(db, { userId, type: 'waitlist', title, message, data });
+
+const entryData = (entry) => ({
+  waitlistEntryId: entry.id,
+  serviceId: entry.service_id,
+  bookingDate: toDateKey(entry.booking_date),
+  startTime: entry.start_time || null
+});
+
+/**
+ * Whether a status change gives a booking's seats back. Completing a booking doesn't: the
+ * trip is under way by then.
+ */
+const releasesCapacity = (fromStatus, toStatus) =>
+  CAPACITY_HOLDING_STATUSES.includes(fromStatus) && toStatus === 'cancelled';
+
+/**
+ * Waiting entries to offer `remaining` seats to, in queue order. A party too large for what is
+ * free is passed over, not blocked on, so smaller parties behind it still get the seats.
+ * `remaining` of null means the service has no capacity limit.
+ */
+const selectOffers = (entries, remaining) => {
+  let left = remaining;
+  return entries.filter((entry) => {
+    if (left === null) return true;
+    if (entry.participants > left) return false;
+    left -= entry.participants;
+    return true;
+  });
+};
+
+/**
+ * Put a traveler on the waitlist for a date that can't take their party.
+ * Returns { success: true, entry, position } or { success: false, status, code?, message }.
+ */
+const joinWaitlist = async (pool, { userId, serviceId, bookingDate, startTime = null, participants = 1, today = toDateKey(new Date()) }) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Same lock booking creation takes, so the capacity seen here can't change underneath
+    const serviceResult = await client.query('SELECT * FROM services WHERE id = $1 FOR UPDATE', [serviceId]);
+    const service = serviceResult.rows[0];
+    if (!service || service.is_active === false) {
+      await client.query('ROLLBACK');
+      return { success: false, status: 404, message: 'Service not found' };
+    }
+    if (bookingDate < today) {
+      await client.query('ROLLBACK');
+      return { success: false, status: 400, message: 'This date has already passed' };
+    }
+
+    const capacity = await checkCapacity(client, service, bookingDate, startTime, { userId });
+    if (!capacity.available) {
+      await client.query('ROLLBACK');
+      return { success: false, status: 409, code: 'UNAVAILABLE', message: capacity.message };
+    }
+    if (capacity.remaining === null || participants <= capacity.remaining) {
+      await client.query('ROLLBACK');
+      return { success: false, status: 409, code: 'SPOTS_AVAILABLE', message: 'There are still spots on this date, you can book it now' };
+    }
+
+    const slotId = capacity.slot ? capacity.slot.id : null;
+    const existing = await client.query(
+      `SELECT id FROM waitlist_entries
+       WHERE user_id = $1 AND service_id = $2 AND booking_date = $3 AND slot_id IS NOT DISTINCT FROM $4
+         AND status = ANY($5)`,
+      [userId, serviceId, bookingDate, slotId, ACTIVE_WAITLIST_STATUSES]
+    );
+    if (existing.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return { success: false, status: 409, code: 'ALREADY_WAITING', message: 'You are already on the waitlist for this date' };
+    }
+
+    const inserted = await client.query(
+      `INSERT INTO waitlist_entries (service_id, user_id, booking_date, slot_id, start_time, participants)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [serviceId, userId, bookingDate, slotId, capacity.slot ? capacity.slot.start_time : startTime, participants]
+    );
+    const entry = inserted.rows[0];
+
+    const positionResult = await client.query(
+      `SELECT COUNT(*) AS position FROM waitlist_entries
+       WHERE service_id = $1 AND booking_date = $2 AND slot_id IS NOT DISTINCT FROM $3
+         AND status = 'waiting' AND id <= $4`,
+      [serviceId, bookingDate, slotId, entry.id]
+    );
+    const position = parseInt(positionResult.rows[0].position);
+
+    await notify(client, userId, 'You are on the waitlist',
+      `${service.title} on ${bookingDate} is fully booked. You are number ${position} on the waitlist and we will let you know if a place opens up.`,
+      entryData(entry));
+
+    await client.query('COMMIT');
+    return { success: true, entry, position };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Offer whatever capacity is free on a service date to the waitlist.
+ * Called after a booking stops holding seats and when offers run out. Returns the entries offered.
+ */
+const offerFreedCapacity = async (pool, { serviceId, bookingDate, startTime = null, today = toDateKey(new Date()) }) => {
+  const dateKey = toDateKey(bookingDate);
+  if (dateKey < today) return [];
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const serviceResult = await client.query('SELECT * FROM services WHERE id = $1 FOR UPDATE', [serviceId]);
+    const service = serviceResult.rows[0];
+    const capacity = service ? await checkCapacity(client, service, dateKey, startTime) : null;
+    if (!capacity || !capacity.available || capacity.remaining === 0) {
+      await client.query('ROLLBACK');
+      return [];
+    }
+
+    const waiting = await client.query(
+      `SELECT * FROM waitlist_entries
+       WHERE service_id = $1 AND booking_date = $2 AND slot_id IS NOT DISTINCT FROM $3 AND status = 'waiting'
+       ORDER BY created_at, id
+       FOR UPDATE`,
+      [serviceId, dateKey, capacity.slot ? capacity.slot.id : null]
+    );
+
+    const offered = [];
+    for (const entry of selectOffers(waiting.rows, capacity.remaining)) {
+      const result = await client.query(
+        `UPDATE waitlist_entries
+         SET status = 'offered', offered_at = NOW(), offer_expires_at = NOW() + make_interval(mins => $2)
+         WHERE id = $1
+         RETURNING *`,
+        [entry.id, Math.round(getOfferWindowHours() * 60)]
+      );
+      const offer = result.rows[0];
+      await notify(client, offer.user_id, 'A place opened up',
+        `${service.title} on ${dateKey} has room for your party of ${offer.participants}. Book it within ${getOfferWindowHours()} hours or the place goes to the next person on the waitlist.`,
+        { ...entryData(offer), offerExpiresAt: offer.offer_expires_at });
+      offered.push(offer);
+    }
+
+    await client.query('COMMIT');
+    return offered;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Offer the seats a booking gave back to its date's waitlist. The booking change is already
+ * committed by then, so a failure here is logged instead of failing the request.
+ */
+const offerReleasedSeats = async (pool, booking) => {
+  try {
+    return await offerFreedCapacity(pool, {
+      serviceId: booking.service_id,
+      bookingDate: booking.booking_date,
+      startTime: booking.start_time
+    });
+  } catch (error) {
+    console.error('❌ Waitlist offer failed:', error.message);
+    return [];
+  }
+};
+
+/**
+ * Close offers whose acceptance window ran out and pass their seats on, and retire waiting
+ * entries for dates that have gone by. Returns the offers that expired.
+ */
+const expireWaitlistOffers = async (pool) => {
+  const expired = await pool.query(
+    `UPDATE waitlist_entries w
+     SET status = 'expired'
+     FROM services s
+     WHERE s.id = w.service_id AND w.status = 'offered' AND w.offer_expires_at <= NOW()
+     RETURNING w.*, s.title AS service_title`
+  );
+
+  for (const entry of expired.rows) {
+    await notify(pool, entry.user_id, 'Waitlist offer expired',
+      `The place on ${entry.service_title} on ${toDateKey(entry.booking_date)} was not booked in time and has been offered to the next person.`,
+      entryData(entry));
+  }
+
+  await pool.query(
+    `UPDATE waitlist_entries SET status = 'expired'
+     WHERE status = 'waiting' AND booking_date < CURRENT_DATE`
+  );
+
+  const dates = new Map(expired.rows.map(entry => [
+    `${entry.service_id}:${toDateKey(entry.booking_date)}:${entry.slot_id}`,
+    { serviceId: entry.service_id, bookingDate: entry.booking_date, startTime: entry.start_time }
+  ]));
+  for (const date of dates.values()) {
+    await offerFreedCapacity(pool, date);
+  }
+
+  return expired.rows;
+};
+
+/**
+ * Close the traveler's waitlist entries for a date once they have booked it, recording the booking.
+ * Runs inside the booking transaction.
+ */
+const acceptWaitlistOffer = async (client, { userId, booking }) => {
+  const result = await client.query(
+    `UPDATE waitlist_entries
+     SET status = 'accepted', booking_id = $5
+     WHERE user_id = $1 AND service_id = $2 AND booking_date = $3 AND slot_id IS NOT DISTINCT FROM $4
+       AND status = ANY($6)
+     RETURNING *`,
+    [userId, booking.service_id, toDateKey(booking.booking_date), booking.slot_id || null, booking.id, ACTIVE_WAITLIST_STATUSES]
+  );
+  return result.rows;
+};
+
+/**
+ * Take a traveler off the waitlist. An offer they were holding goes to the next person.
+ * Returns { success: true, entry } or { success: false, status, message }.
+ */
+const leaveWaitlist = async (pool, { entryId, userId }) => {
+  const current = await pool.query(
+    'SELECT status FROM waitlist_entries WHERE id = $1 AND user_id = $2 AND status = ANY($3)',
+    [entryId, userId, ACTIVE_WAITLIST_STATUSES]
+  );
+  if (current.rows.length === 0) {
+    return { success: false, status: 404, message: 'Waitlist entry not found' };
+  }
+
+  // Only cancel the entry in the state we read, so an offer made in between isn't lost track of
+  const result = await pool.query(
+    `UPDATE waitlist_entries SET status = 'cancelled'
+     WHERE id = $1 AND status = $2
+     RETURNING *`,
+    [entryId, current.rows[0].status]
+  );
+  const entry = result.rows[0];
+  if (!entry) {
+    return { success: false, status: 409, message: 'This waitlist entry just changed, please try again' };
+  }
+
+  if (current.rows[0].status === 'offered') {
+    await offerFreedCapacity(pool, { serviceId: entry.service_id, bookingDate: entry.booking_date, startTime: entry.start_time });
+  }
+  return { success: true, entry };
+};
+
+/**
+ * A traveler's waitlist entries, newest first, with their place in the queue while waiting
+ */
+const getUserWaitlist = async (db, userId) => {
+  const result = await db.query(
+    `SELECT w.*, s.title AS service_title, s.location AS service_location, s.price, s.currency,
+            CASE WHEN w.status = 'waiting' THEN (
+              SELECT COUNT(*) FROM waitlist_entries q
+              WHERE q.service_id = w.service_id AND q.booking_date = w.booking_date
+                AND q.slot_id IS NOT DISTINCT FROM w.slot_id AND q.status = 'waiting' AND q.id <= w.id
+            ) END AS position
+     FROM waitlist_entries w
+     JOIN services s ON s.id = w.service_id
+     WHERE w.user_id = $1
+     ORDER BY w.created_at DESC
+     LIMIT 50`,
+    [userId]
+  );
+  return result.rows.map(formatWaitlistEntry);
+};
+
+/**
+ * Waitlist entry as returned by the API
+ */
+const formatWaitlistEntry = (entry) => ({
+  id: entry.id,
+  service_id: entry.service_id,
+  service_title: entry.service_title,
+  service_location: entry.service_location,
+  price: entry.price !== undefined ? parseFloat(entry.price) : undefined,
+  currency: entry.currency,
+  booking_date: toDateKey(entry.booking_date),
+  start_time: entry.start_time,
+  participants: entry.participants,
+  status: entry.status,
+  position: entry.position !== null && entry.position !== undefined ? parseInt(entry.position) : null,
+  offer_expires_at: entry.offer_expires_at,
+  booking_id: entry.booking_id,
+  created_at: entry.created_at
+});
+
+module.exports = {
+  ACTIVE_WAITLIST_STATUSES,
+  getOfferWindowHours,
+  releasesCapacity,
+  selectOffers,
+  joinWaitlist,
+  offerFreedCapacity,
+  offerReleasedSeats,
+  expireWaitlistOffers,
+  acceptWaitlistOffer,
+  leaveWaitlist,
+  getUserWaitlist,
+  formatWaitlistEntry
+};